@@ -1,7 +1,21 @@
 // controllers/authController.js
+const crypto = require('crypto');
 const db = require('../utils/db');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailer');
+const { renderMailTemplate } = require('../utils/mailTemplates');
+const { hitThrottle } = require('../utils/authThrottle');
+const { getClientIp, getUserAgent, normalizeSessionId } = require('../utils/userActivity');
+const {
+  findRefreshToken,
+  markRefreshTokenRotated,
+  newFamilyId,
+  recordRefreshToken,
+  revokeRefreshFamily,
+  revokeUserRefreshTokens,
+} = require('../utils/refreshTokenStore');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'super-secret-key';
 const REFRESH_SECRET = process.env.REFRESH_SECRET || 'refresh-secret-key';
@@ -9,12 +23,41 @@ const REFRESH_SECRET = process.env.REFRESH_SECRET || 'refresh-secret-key';
 const ACCESS_EXPIRES_IN = '8h';
 const REFRESH_EXPIRES_IN = '24h';
 
+const SALT_ROUNDS = 10;
+const PASSWORD_MIN_LENGTH = 8;
+const RESET_TOKEN_TTL_MIN = Number(process.env.PASSWORD_RESET_TTL_MIN) || 30;
+const RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password';
+// лимиты запросов сброса: на аккаунт и на IP за окно
+const RESET_LIMIT_PER_USER = 3;
+const RESET_LIMIT_PER_IP = 10;
+const RESET_LIMIT_WINDOW_MIN = 60;
+
 function signAccess(userPayload) {
   return jwt.sign(userPayload, JWT_SECRET, { expiresIn: ACCESS_EXPIRES_IN });
 }
 function signRefresh(userPayload) {
-  // в refresh можно хранить только id/role, но оставим тот же payload для простоты
-  return jwt.sign(userPayload, REFRESH_SECRET, { expiresIn: REFRESH_EXPIRES_IN });
+  // fid — семейство ротаций одного входа, jti делает каждый токен уникальным
+  return jwt.sign(userPayload, REFRESH_SECRET, {
+    expiresIn: REFRESH_EXPIRES_IN,
+    jwtid: crypto.randomBytes(16).toString('hex'),
+  });
+}
+
+// Выдать refresh-токен и записать его в auth_refresh_tokens
+async function issueRefreshToken(conn, req, { user, familyId = newFamilyId(), parentId = null, sessionId = null }) {
+  const refreshToken = signRefresh({ id: user.id, role: user.role, fid: familyId });
+  const { exp } = jwt.decode(refreshToken);
+  const id = await recordRefreshToken(conn, {
+    token: refreshToken,
+    userId: user.id,
+    familyId,
+    parentId,
+    sessionId,
+    expiresAt: new Date(exp * 1000),
+    ip: getClientIp(req),
+    userAgent: getUserAgent(req),
+  });
+  return { refreshToken, id };
 }
 
 async function fetchUserByUsername(username) {
@@ -65,6 +108,34 @@ function buildUserPayload(dbUser, permissions, capabilities) {
   };
 }
 
+// refresh-токены, выданные до смены пароля, больше не принимаются
+function issuedBeforePasswordChange(decoded, user) {
+  if (!user?.password_changed_at || !decoded?.iat) return false;
+  const changedAt = new Date(user.password_changed_at).getTime();
+  if (Number.isNaN(changedAt)) return false;
+  return decoded.iat < Math.floor(changedAt / 1000);
+}
+
+const hashResetToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function buildResetUrl(token) {
+  const separator = RESET_URL.includes('?') ? '&' : '?';
+  return `${RESET_URL}${separator}token=${encodeURIComponent(token)}`;
+}
+
+async function fetchUserForReset(login) {
+  const [rows] = await db.execute(
+    `SELECT id, username, full_name, email, is_active
+       FROM users
+      WHERE username = ? OR (email IS NOT NULL AND LOWER(email) = LOWER(?))
+      ORDER BY username = ? DESC, id ASC
+      LIMIT 1`,
+    [login, login, login]
+  );
+  return rows[0] || null;
+}
+
 /* =======================
    POST /auth/login
    body: { username, password }
@@ -91,7 +162,10 @@ exports.login = async (req, res) => {
     const payload = buildUserPayload(user, permissions, capabilities);
 
     const token = signAccess(payload);
-    const refreshToken = signRefresh({ id: payload.id, role: payload.role });
+    const { refreshToken } = await issueRefreshToken(db, req, {
+      user: payload,
+      sessionId: normalizeSessionId(req.body?.session_id),
+    });
 
     return res.json({
       token,
@@ -109,32 +183,62 @@ exports.login = async (req, res) => {
    body: { refreshToken }
    ======================= */
 exports.refreshToken = async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ message: 'refreshToken обязателен' });
+
+  let decoded;
   try {
-    const { refreshToken } = req.body || {};
-    if (!refreshToken) return res.status(400).json({ message: 'refreshToken обязателен' });
+    decoded = jwt.verify(refreshToken, REFRESH_SECRET);
+  } catch {
+    return res.status(401).json({ message: 'Некорректный или просроченный refreshToken' });
+  }
+  // токены без семейства выданы до серверного учёта — их нельзя отозвать, не принимаем
+  if (!decoded?.fid) {
+    return res.status(401).json({ message: 'Некорректный или просроченный refreshToken' });
+  }
 
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, REFRESH_SECRET);
-    } catch {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const stored = await findRefreshToken(conn, refreshToken, { forUpdate: true });
+    if (!stored || stored.revoked_at || Number(stored.user_id) !== Number(decoded.id)) {
+      await conn.rollback();
       return res.status(401).json({ message: 'Некорректный или просроченный refreshToken' });
     }
+    if (stored.rotated_at) {
+      // Повторное предъявление уже обменянного токена: им пользуется кто-то ещё.
+      // Гасим всю цепочку — и у злоумышленника, и у владельца.
+      await revokeRefreshFamily(conn, stored.family_id, 'reuse_detected');
+      await conn.commit();
+      logger.warn('[AUTH] refresh token reuse detected', {
+        userId: stored.user_id,
+        familyId: stored.family_id,
+        ip: getClientIp(req),
+      });
+      return res.status(401).json({ message: 'Сессия отозвана, войдите заново' });
+    }
 
     // подтянем актуальные данные пользователя (роль/permissions могли поменяться)
-    const user = await db
-      .execute(
-        `SELECT u.*, r.slug AS role_slug, r.name AS role_name
-           FROM users u
-           LEFT JOIN roles r ON r.id = u.role_id
-          WHERE u.id = ?
-          LIMIT 1`,
-        [decoded.id]
-      )
-      .then(r => r[0][0]);
+    const [[user]] = await conn.execute(
+      `SELECT u.*, r.slug AS role_slug, r.name AS role_name
+         FROM users u
+         LEFT JOIN roles r ON r.id = u.role_id
+        WHERE u.id = ?
+        LIMIT 1`,
+      [decoded.id]
+    );
 
     if (!user || !user.is_active) {
+      await revokeRefreshFamily(conn, stored.family_id, 'user_inactive');
+      await conn.commit();
       return res.status(403).json({ message: 'Пользователь недоступен' });
     }
+    if (issuedBeforePasswordChange(decoded, user)) {
+      await revokeRefreshFamily(conn, stored.family_id, 'password_changed');
+      await conn.commit();
+      return res.status(401).json({ message: 'Некорректный или просроченный refreshToken' });
+    }
 
     const isAdmin = (user.role_slug || '').toLowerCase() === 'admin';
     const permissions = isAdmin ? [] : await fetchRolePermissions(user.role_id);
@@ -142,16 +246,26 @@ exports.refreshToken = async (req, res) => {
     const payload = buildUserPayload(user, permissions, capabilities);
 
     const token = signAccess(payload);
-    const newRefresh = signRefresh({ id: payload.id, role: payload.role });
+    const rotated = await issueRefreshToken(conn, req, {
+      user: payload,
+      familyId: stored.family_id,
+      parentId: stored.id,
+      sessionId: normalizeSessionId(req.body?.session_id) || stored.session_id,
+    });
+    await markRefreshTokenRotated(conn, stored.id, rotated.id);
 
+    await conn.commit();
     return res.json({
       token,
-      refreshToken: newRefresh,
+      refreshToken: rotated.refreshToken,
       user: payload,
     });
   } catch (err) {
+    await conn.rollback();
     console.error('POST /auth/refresh error', err);
     res.status(500).json({ message: 'Ошибка сервера при обновлении токена' });
+  } finally {
+    conn.release();
   }
 };
 
@@ -161,15 +275,163 @@ exports.register = async (_req, res) => {
   return res.status(501).json({ message: 'Регистрация выключена' });
 };
 
-exports.forgotPassword = async (_req, res) => {
-  return res.status(501).json({ message: 'Сброс пароля через e-mail не настроен' });
+/* =======================
+   POST /auth/forgot-password
+   body: { login } (username или email)
+   Ответ всегда одинаковый, чтобы по нему нельзя было проверить,
+   существует ли пользователь.
+   ======================= */
+const FORGOT_PASSWORD_RESPONSE = {
+  success: true,
+  message: 'Если пользователь с таким логином существует, на его email отправлена ссылка для сброса пароля',
 };
 
-exports.resetPassword = async (_req, res) => {
-  return res.status(501).json({ message: 'Сброс пароля не настроен' });
+exports.forgotPassword = async (req, res) => {
+  try {
+    const login = String(req.body?.login || req.body?.username || req.body?.email || '').trim();
+    if (!login) return res.status(400).json({ message: 'Укажите логин или email' });
+
+    const ip = getClientIp(req);
+    const byIp = await hitThrottle({
+      scope: 'password_reset_ip',
+      key: ip,
+      limit: RESET_LIMIT_PER_IP,
+      windowMinutes: RESET_LIMIT_WINDOW_MIN,
+    });
+    if (!byIp.allowed) {
+      return res.status(429).json({ message: 'Слишком много запросов сброса пароля, попробуйте позже' });
+    }
+
+    const user = await fetchUserForReset(login);
+    if (!user || !user.is_active || !user.email) {
+      return res.json(FORGOT_PASSWORD_RESPONSE);
+    }
+
+    const byUser = await hitThrottle({
+      scope: 'password_reset_user',
+      key: user.id,
+      limit: RESET_LIMIT_PER_USER,
+      windowMinutes: RESET_LIMIT_WINDOW_MIN,
+    });
+    if (!byUser.allowed) {
+      logger.warn('[AUTH] password reset throttled for user', { userId: user.id });
+      return res.json(FORGOT_PASSWORD_RESPONSE);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // действует только последняя выданная ссылка
+    await db.execute(
+      `UPDATE password_reset_tokens
+          SET revoked_at = NOW()
+        WHERE user_id = ? AND used_at IS NULL AND revoked_at IS NULL`,
+      [user.id]
+    );
+    await db.execute(
+      `INSERT INTO password_reset_tokens
+         (user_id, token_hash, expires_at, requested_ip, requested_user_agent)
+       VALUES (?, ?, NOW() + INTERVAL ? MINUTE, ?, ?)`,
+      [user.id, hashResetToken(token), RESET_TOKEN_TTL_MIN, ip, getUserAgent(req)]
+    );
+
+    const { subject, text } = renderMailTemplate('password_reset', req.body?.lang, {
+      username: user.username,
+      full_name: user.full_name,
+      reset_url: buildResetUrl(token),
+      ttl_minutes: RESET_TOKEN_TTL_MIN,
+    });
+    const sent = await sendMail({ to: user.email, subject, text });
+    if (sent.skipped) {
+      logger.warn('[AUTH] password reset email skipped: mail transport is not configured');
+    }
+
+    return res.json(FORGOT_PASSWORD_RESPONSE);
+  } catch (err) {
+    console.error('POST /auth/forgot-password error', err);
+    res.status(500).json({ message: 'Ошибка сервера при запросе сброса пароля' });
+  }
 };
 
-exports.logout = async (_req, res) => {
-  // на JWT-стеке обычно stateless: делаем no-op
-  return res.json({ success: true });
+/* =======================
+   POST /auth/reset-password
+   body: { token, password }
+   ======================= */
+exports.resetPassword = async (req, res) => {
+  const token = String(req.body?.token || '').trim();
+  const password = String(req.body?.password || '');
+  if (!token) return res.status(400).json({ message: 'Ссылка для сброса пароля недействительна' });
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return res
+      .status(400)
+      .json({ message: `Пароль должен содержать не менее ${PASSWORD_MIN_LENGTH} символов` });
+  }
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[resetRow]] = await conn.execute(
+      `SELECT t.id, t.user_id, u.is_active
+         FROM password_reset_tokens t
+         JOIN users u ON u.id = t.user_id
+        WHERE t.token_hash = ?
+          AND t.used_at IS NULL
+          AND t.revoked_at IS NULL
+          AND t.expires_at > NOW()
+        FOR UPDATE`,
+      [hashResetToken(token)]
+    );
+    if (!resetRow || !resetRow.is_active) {
+      await conn.rollback();
+      return res.status(400).json({ message: 'Ссылка для сброса пароля недействительна или устарела' });
+    }
+
+    const hashed = await bcrypt.hash(password, SALT_ROUNDS);
+    await conn.execute(
+      'UPDATE users SET password = ?, password_changed_at = NOW() WHERE id = ?',
+      [hashed, resetRow.user_id]
+    );
+    await conn.execute('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?', [
+      resetRow.id,
+    ]);
+    await conn.execute(
+      `UPDATE password_reset_tokens
+          SET revoked_at = NOW()
+        WHERE user_id = ? AND id <> ? AND used_at IS NULL AND revoked_at IS NULL`,
+      [resetRow.user_id, resetRow.id]
+    );
+    await revokeUserRefreshTokens(conn, resetRow.user_id, 'password_reset');
+
+    await conn.commit();
+    return res.json({ success: true, message: 'Пароль изменён, войдите с новым паролем' });
+  } catch (err) {
+    await conn.rollback();
+    console.error('POST /auth/reset-password error', err);
+    res.status(500).json({ message: 'Ошибка сервера при сбросе пароля' });
+  } finally {
+    conn.release();
+  }
+};
+
+/* =======================
+   POST /auth/logout
+   body: { refreshToken }
+   Гасит цепочку refresh-токенов этого входа и закрывает связанную сессию.
+   Access-токен живёт до истечения срока, поэтому фронт его просто забывает.
+   ======================= */
+exports.logout = async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.json({ success: true });
+
+  try {
+    const stored = await findRefreshToken(db, refreshToken);
+    if (stored) {
+      await revokeRefreshFamily(db, stored.family_id, 'logout');
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('POST /auth/logout error', err);
+    res.status(500).json({ message: 'Ошибка сервера при выходе' });
+  }
 };
+
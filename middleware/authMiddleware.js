@@ -1,15 +1,28 @@
 const jwt = require('jsonwebtoken');
 const JWT_SECRET = process.env.JWT_SECRET || 'super-secret-key';
 
-module.exports = function authMiddleware(req, res, next) {
+// EventSource в браузере не умеет ставить заголовки, поэтому для потоков
+// text/event-stream токен можно передать в ?access_token=. Для обычных
+// запросов query-токен не принимаем: он оседает в логах и истории.
+function extractToken(req) {
   const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  const accept = String(req.headers.accept || '');
+  if (req.method === 'GET' && accept.includes('text/event-stream') && req.query?.access_token) {
+    return String(req.query.access_token);
+  }
+  return null;
+}
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+module.exports = function authMiddleware(req, res, next) {
+  const token = extractToken(req);
+
+  if (!token) {
     return res.status(401).json({ message: 'Токен не передан' });
   }
 
-  const token = authHeader.split(' ')[1];
-
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
     req.user = decoded; // теперь доступен req.user.id, req.user.username и т.п.
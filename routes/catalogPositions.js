@@ -5,6 +5,9 @@ const path = require('path')
 const db = require('../utils/db')
 const logActivity = require('../utils/logActivity')
 const { bucket, bucketName } = require('../utils/gcsClient')
+const { buildWhereUsed } = require('../utils/bomExplosion')
+const { normalizeTypedAttributeValue } = require('../utils/classifierAttributes')
+const { latestValidPriceJoinSql } = require('../utils/supplierPriceLists')
 
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -262,54 +265,6 @@ const buildCatalogPositionObjectPath = (id, file) => {
     .join('/')
 }
 
-const normalizeClassifierAttributeValue = (attribute, rawValue) => {
-  const empty = rawValue === undefined || rawValue === null || rawValue === ''
-  const type = String(attribute.value_type || '')
-  if (['text', 'textarea'].includes(type)) {
-    return { value_text: nz(rawValue), value_number: null, value_boolean: null, value_date: null, value_json: null }
-  }
-  if (type === 'number') {
-    if (empty) return { value_text: null, value_number: null, value_boolean: null, value_date: null, value_json: null }
-    const value = numOrNull(rawValue)
-    if (value === null) return { error: `${attribute.label}: нужно число` }
-    return { value_text: null, value_number: value, value_boolean: null, value_date: null, value_json: null }
-  }
-  if (type === 'boolean') {
-    if (empty) return { value_text: null, value_number: null, value_boolean: null, value_date: null, value_json: null }
-    const normalized = String(rawValue).trim().toLowerCase()
-    const truthy = rawValue === true || rawValue === 1 || ['1', 'true', 'да', 'yes'].includes(normalized)
-    const falsy = rawValue === false || rawValue === 0 || ['0', 'false', 'нет', 'no'].includes(normalized)
-    if (!truthy && !falsy) return { error: `${attribute.label}: укажите «Да» или «Нет»` }
-    return { value_text: null, value_number: null, value_boolean: truthy ? 1 : 0, value_date: null, value_json: null }
-  }
-  if (type === 'date') {
-    if (empty) return { value_text: null, value_number: null, value_boolean: null, value_date: null, value_json: null }
-    const value = nz(rawValue)
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return { error: `${attribute.label}: нужна дата ГГГГ-ММ-ДД` }
-    return { value_text: null, value_number: null, value_boolean: null, value_date: value, value_json: null }
-  }
-  if (['select', 'multiselect'].includes(type)) {
-    const rawItems = type === 'multiselect'
-      ? (Array.isArray(rawValue) ? rawValue : String(rawValue || '').split(/[;,]/)).map((item) => nz(item)).filter(Boolean)
-      : empty ? [] : [nz(rawValue)]
-    const optionMap = new Map()
-    ;(attribute.options || []).forEach((option) => {
-      optionMap.set(String(option.value_code).trim().toLowerCase(), option.value_code)
-      optionMap.set(String(option.value_label).trim().toLowerCase(), option.value_code)
-    })
-    const values = []
-    for (const item of rawItems) {
-      const code = optionMap.get(String(item).trim().toLowerCase())
-      if (!code) return { error: `${attribute.label}: неизвестное значение «${item}»` }
-      if (!values.includes(code)) values.push(code)
-    }
-    return type === 'multiselect'
-      ? { value_text: null, value_number: null, value_boolean: null, value_date: null, value_json: values.length ? JSON.stringify(values) : null }
-      : { value_text: values[0] || null, value_number: null, value_boolean: null, value_date: null, value_json: null }
-  }
-  return { error: `${attribute.label}: неподдерживаемый тип характеристики` }
-}
-
 const deriveCatalogAttributeValues = (items) => {
   const bySemanticKey = new Map(items.map((item) => [item.attribute.semantic_key, item]))
   const unitWeight = bySemanticKey.get('weight_kg')
@@ -404,14 +359,15 @@ router.post('/', async (req, res) => {
     }
     const attributes = await loadCatalogPositionAttributes(conn, classifierNodeId)
     const submittedValues = Array.isArray(req.body.attribute_values) ? req.body.attribute_values : []
-    const valuesByAttributeId = new Map(submittedValues.map((item) => [Number(item.attribute_id), item.value]))
+    const submittedByAttributeId = new Map(submittedValues.map((item) => [Number(item.attribute_id), item]))
     const normalizedValues = []
     for (const attribute of attributes) {
-      const rawValue = valuesByAttributeId.get(Number(attribute.id))
+      const submitted = submittedByAttributeId.get(Number(attribute.id))
+      const rawValue = submitted?.value
       if (Number(attribute.is_required || 0) === 1 && (rawValue === undefined || rawValue === null || rawValue === '')) {
         return res.status(400).json({ message: `Заполните обязательную характеристику «${attribute.label}»` })
       }
-      const normalized = normalizeClassifierAttributeValue(attribute, rawValue)
+      const normalized = normalizeTypedAttributeValue(attribute, rawValue, { unit: submitted?.unit })
       if (normalized.error) return res.status(400).json({ message: normalized.error })
       normalizedValues.push({ attribute, normalized })
     }
@@ -625,6 +581,32 @@ router.get('/:id/usage', async (req, res) => {
   }
 })
 
+/**
+ * GET /catalog-positions/:id/where-used?include_inactive=1
+ * Установленная база позиции: количество на машину по моделям с учётом
+ * вложенных сборок и по машинам клиентов с учётом их отличий BOM.
+ */
+router.get('/:id/where-used', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [[position]] = await db.execute(
+      'SELECT id, position_code, display_name, manufacturer_part_number FROM catalog_positions WHERE id = ?',
+      [id]
+    )
+    if (!position) return res.status(404).json({ message: 'Карточка товара не найдена' })
+
+    const usage = await buildWhereUsed(db, id, {
+      includeInactiveUnits: String(req.query.include_inactive || '') === '1',
+    })
+    res.json({ position, ...usage })
+  } catch (err) {
+    console.error('GET /catalog-positions/:id/where-used error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 router.patch('/:id/card', async (req, res) => {
   try {
     const id = toId(req.params.id)
@@ -639,7 +621,8 @@ router.patch('/:id/card', async (req, res) => {
     const meta = normalizeCardMeta(position.meta_json)
     const nextMeta = { ...meta }
 
-    const numericFields = ['weight_kg', 'length_mm', 'width_mm', 'height_mm']
+    // service_life_* — ресурс быстроизнашиваемой детали по умолчанию для прогноза замен
+    const numericFields = ['weight_kg', 'length_mm', 'width_mm', 'height_mm', 'service_life_hours', 'service_life_tonnage']
     for (const field of numericFields) {
       if (Object.prototype.hasOwnProperty.call(req.body, field)) {
         const value = numOrNull(req.body[field])
@@ -1475,21 +1458,11 @@ router.get('/:id/card', async (req, res) => {
       JOIN supplier_parts sp ON sp.id = spcp.supplier_part_id
       JOIN part_suppliers ps ON ps.id = sp.supplier_id
       LEFT JOIN materials dm ON dm.id = sp.default_material_id
-      LEFT JOIN (
-        SELECT spp1.*
-        FROM supplier_part_prices spp1
-        JOIN (
-          SELECT supplier_part_id, MAX(id) AS max_id
-          FROM supplier_part_prices
-          GROUP BY supplier_part_id
-        ) latest
-          ON latest.supplier_part_id = spp1.supplier_part_id
-         AND latest.max_id = spp1.id
-      ) lp ON lp.supplier_part_id = sp.id
+      ${latestValidPriceJoinSql({ alias: 'lp', partIdExpr: 'sp.id' })}
       WHERE spcp.catalog_position_id = ?
       ORDER BY spcp.is_preferred DESC, ps.name, sp.supplier_part_number
       `,
-      [id]
+      [new Date(), id]
     )
 
     const [materials] = await db.execute(
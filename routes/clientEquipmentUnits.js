@@ -4,6 +4,9 @@ const db = require('../utils/db')
 const logActivity = require('../utils/logActivity')
 const logFieldDiffs = require('../utils/logFieldDiffs')
 const { createTrashEntry, createTrashEntryItem } = require('../utils/trashStore')
+const { buildWearForecast } = require('../utils/wearPartForecast')
+const { diffBomItems, fetchCurrentBomItems, fetchRevisionItems, fetchUnitBomItems } = require('../utils/bomRevisions')
+const { aggregateExplodedBom, explodeUnitBom } = require('../utils/bomExplosion')
 
 const nz = (v) => {
   if (v === undefined || v === null) return null
@@ -30,6 +33,35 @@ const toYearOrNull = (v) => {
 
 const sqlValue = (v) => (v === undefined ? null : v)
 
+const numOrNull = (v) => {
+  if (v === undefined || v === null || v === '') return null
+  const n = Number(String(v).replace(',', '.'))
+  return Number.isFinite(n) ? n : null
+}
+
+// Ресурс и показания счётчиков: пусто → null, иначе неотрицательное число.
+// undefined возвращается, если значение некорректно.
+const nonNegativeOrNull = (v) => {
+  if (v === undefined || v === null || v === '') return null
+  const n = numOrNull(v)
+  return n !== null && n >= 0 ? n : undefined
+}
+
+const parseDateOnly = (v) => {
+  const s = nz(v)
+  if (!s) return null
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!m) return undefined
+  const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])))
+  return date.getUTCMonth() === Number(m[2]) - 1 ? s : undefined
+}
+
+const clampMonths = (v, def = 6) => {
+  const n = Number(v)
+  if (!Number.isFinite(n) || n <= 0) return def
+  return Math.min(Math.trunc(n), 36)
+}
+
 const ALLOWED_STATUS = new Set(['active', 'inactive', 'archived'])
 const ALLOWED_BOM_OVERRIDE_STATUS = new Set([
   'as_original',
@@ -47,6 +79,17 @@ const formatBomQuantity = (value) => {
   return Number.isInteger(n) ? String(n) : String(n).replace(/0+$/, '').replace(/\.$/, '')
 }
 
+// Ревизия BOM, по которой собрана машина, должна принадлежать её модели.
+const assertBomRevisionOfModel = async (revisionId, modelId) => {
+  const [[revision]] = await db.execute(
+    'SELECT id FROM equipment_model_bom_revisions WHERE id = ? AND equipment_model_id = ?',
+    [revisionId, modelId]
+  )
+  if (!revision) {
+    throw Object.assign(new Error('Ревизия BOM не найдена у модели этой машины'), { statusCode: 400 })
+  }
+}
+
 const baseSelect = `
   SELECT ceu.*,
          c.company_name AS client_name,
@@ -55,12 +98,15 @@ const baseSelect = `
          em.classifier_node_id,
          ecn.name AS classifier_node_name,
          m.id AS manufacturer_id,
-         m.name AS manufacturer_name
+         m.name AS manufacturer_name,
+         bom_rev.revision_no AS bom_revision_no,
+         bom_rev.name AS bom_revision_name
     FROM client_equipment_units ceu
     JOIN clients c ON c.id = ceu.client_id
     JOIN equipment_models em ON em.id = ceu.equipment_model_id
     JOIN equipment_manufacturers m ON m.id = em.manufacturer_id
     LEFT JOIN equipment_classifier_nodes ecn ON ecn.id = em.classifier_node_id
+    LEFT JOIN equipment_model_bom_revisions bom_rev ON bom_rev.id = ceu.bom_revision_id
 `
 
 router.get('/', async (req, res) => {
@@ -116,6 +162,28 @@ router.get('/', async (req, res) => {
   }
 })
 
+router.get('/wear-forecast', async (req, res) => {
+  try {
+    const clientId = req.query.client_id !== undefined ? toId(req.query.client_id) : null
+    if (req.query.client_id !== undefined && !clientId) {
+      return res.status(400).json({ message: 'Некорректный client_id' })
+    }
+    const asOf = parseDateOnly(req.query.as_of)
+    if (asOf === undefined) return res.status(400).json({ message: 'Некорректная дата as_of' })
+
+    const forecast = await buildWearForecast(db, {
+      clientId,
+      months: clampMonths(req.query.months),
+      asOf,
+      includeAll: String(req.query.include_all || '') === '1',
+    })
+    res.json(forecast)
+  } catch (err) {
+    console.error('GET /client-equipment-units/wear-forecast error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 router.get('/:id', async (req, res) => {
   try {
     const id = toId(req.params.id)
@@ -130,6 +198,61 @@ router.get('/:id', async (req, res) => {
   }
 })
 
+// Строки закреплённой ревизии BOM в формате GET /:id/bom. Поля строки — из
+// снимка ревизии, отличия машины — из совпавшей строки текущего BOM.
+async function buildPinnedBomRows(unit, currentItems) {
+  const pinned = await fetchUnitBomItems(db, unit)
+  const currentById = new Map(currentItems.map((row) => [Number(row.id), row]))
+  const catalogIds = [...new Set(pinned.map((row) => toId(row.catalog_position_id)).filter(Boolean))]
+  const catalogs = new Map()
+  if (catalogIds.length) {
+    const [rows] = await db.execute(
+      `SELECT catalog.id, catalog.display_name, catalog.position_code, catalog.description, catalog.uom,
+              catalog_node.name AS classifier_node_name
+         FROM catalog_positions catalog
+         LEFT JOIN equipment_classifier_nodes catalog_node ON catalog_node.id = catalog.classifier_node_id
+        WHERE catalog.id IN (${catalogIds.map(() => '?').join(',')})`,
+      catalogIds
+    )
+    rows.forEach((row) => catalogs.set(Number(row.id), row))
+  }
+
+  return pinned.map((item) => {
+    const current = item.in_current_bom ? currentById.get(Number(item.id)) || null : null
+    const catalog = catalogs.get(Number(item.catalog_position_id)) || null
+    return {
+      ...(current || {}),
+      id: item.id,
+      equipment_model_id: unit.equipment_model_id,
+      parent_item_id: item.parent_item_id,
+      row_kind: item.row_kind,
+      item_type: item.item_type,
+      item_no: item.item_no,
+      manufacturer_part_number: item.manufacturer_part_number,
+      manufacturer_part_name: item.manufacturer_part_name,
+      manufacturer_part_name_en: current?.manufacturer_part_name_en ?? null,
+      manufacturer_part_name_ru: item.manufacturer_part_name_ru,
+      drawing_number: item.drawing_number,
+      catalog_position_id: item.catalog_position_id,
+      bom_client_part_id: item.client_part_id,
+      title: item.title,
+      quantity: item.quantity,
+      service_life_hours: item.service_life_hours,
+      service_life_tonnage: item.service_life_tonnage,
+      sort_order: item.sort_order,
+      notes: current?.notes ?? null,
+      catalog_position_name: catalog?.display_name ?? null,
+      catalog_position_code: catalog?.position_code ?? null,
+      catalog_position_description: catalog?.description ?? null,
+      catalog_position_uom: catalog?.uom ?? null,
+      catalog_classifier_node_name: catalog?.classifier_node_name ?? null,
+      override_id: current?.override_id ?? null,
+      override_status: current?.override_status ?? null,
+      in_current_bom: item.in_current_bom,
+    }
+  })
+}
+
 router.get('/:id/bom', async (req, res) => {
   try {
     const id = toId(req.params.id)
@@ -138,7 +261,7 @@ router.get('/:id/bom', async (req, res) => {
     const [[unit]] = await db.execute(`${baseSelect} WHERE ceu.id = ?`, [id])
     if (!unit) return res.status(404).json({ message: 'Единица оборудования не найдена' })
 
-    const [items] = await db.execute(
+    const [currentItems] = await db.execute(
       `
       SELECT
         item.id,
@@ -157,6 +280,8 @@ router.get('/:id/bom', async (req, res) => {
         item.client_part_id AS bom_client_part_id,
         item.title,
         item.quantity,
+        item.service_life_hours,
+        item.service_life_tonnage,
         item.sort_order,
         item.notes,
         part.part_number,
@@ -184,6 +309,8 @@ router.get('/:id/bom', async (req, res) => {
         replacement_catalog.position_code AS replacement_catalog_position_code,
         override_row.client_part_id,
         client_part.display_name AS client_part_name,
+        override_row.service_life_hours AS override_service_life_hours,
+        override_row.service_life_tonnage AS override_service_life_tonnage,
         override_row.notes AS override_notes
       FROM equipment_model_bom_items item
       LEFT JOIN (SELECT NULL AS id, NULL AS part_number, NULL AS description_ru, NULL AS description_en, NULL AS manufacturer_id WHERE FALSE) part ON FALSE
@@ -205,9 +332,22 @@ router.get('/:id/bom', async (req, res) => {
       [id, unit.equipment_model_id]
     )
 
+    let items = currentItems
+    let changesSincePinned = null
+    if (unit.bom_revision_id) {
+      const diff = diffBomItems(
+        await fetchRevisionItems(db, unit.bom_revision_id),
+        await fetchCurrentBomItems(db, unit.equipment_model_id)
+      )
+      changesSincePinned = diff.summary
+      items = await buildPinnedBomRows(unit, currentItems)
+    }
+
     res.json({
       unit,
       model_id: unit.equipment_model_id,
+      bom_revision_id: unit.bom_revision_id || null,
+      changes_since_pinned: changesSincePinned,
       items: items.map((row) => ({
         ...row,
         quantity: formatBomQuantity(row.quantity),
@@ -220,6 +360,27 @@ router.get('/:id/bom', async (req, res) => {
   }
 })
 
+router.get('/:id/bom/explosion', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [[unit]] = await db.execute(`${baseSelect} WHERE ceu.id = ?`, [id])
+    if (!unit) return res.status(404).json({ message: 'Единица оборудования не найдена' })
+
+    const rows = await explodeUnitBom(db, unit)
+    res.json({
+      unit,
+      model_id: unit.equipment_model_id,
+      rows,
+      positions: aggregateExplodedBom(rows, { leavesOnly: String(req.query.leaves_only || '') === '1' }),
+    })
+  } catch (err) {
+    console.error('GET /client-equipment-units/:id/bom/explosion error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 router.put('/:id/bom/items/:itemId/override', async (req, res) => {
   try {
     const id = toId(req.params.id)
@@ -253,6 +414,12 @@ router.put('/:id/bom/items/:itemId/override', async (req, res) => {
         ? null
         : toId(req.body.client_part_id)
 
+    const serviceLifeHours = nonNegativeOrNull(req.body.service_life_hours)
+    const serviceLifeTonnage = nonNegativeOrNull(req.body.service_life_tonnage)
+    if (serviceLifeHours === undefined || serviceLifeTonnage === undefined) {
+      return res.status(400).json({ message: 'Ресурс детали должен быть неотрицательным числом' })
+    }
+
     if (replacementOemPartId) {
       return res.status(400).json({
         message: 'Старый OEM-каталог отключен. Выберите замещающую позицию классификатора.',
@@ -278,9 +445,10 @@ router.put('/:id/bom/items/:itemId/override', async (req, res) => {
         (
           client_equipment_unit_id, equipment_model_bom_item_id, status, difference_summary,
           client_part_number, client_drawing_number, client_revision,
-          replacement_oem_part_id, replacement_catalog_position_id, client_part_id, notes
+          replacement_oem_part_id, replacement_catalog_position_id, client_part_id,
+          service_life_hours, service_life_tonnage, notes
         )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON DUPLICATE KEY UPDATE
         status = VALUES(status),
         difference_summary = VALUES(difference_summary),
@@ -290,6 +458,8 @@ router.put('/:id/bom/items/:itemId/override', async (req, res) => {
         replacement_oem_part_id = VALUES(replacement_oem_part_id),
         replacement_catalog_position_id = VALUES(replacement_catalog_position_id),
         client_part_id = VALUES(client_part_id),
+        service_life_hours = VALUES(service_life_hours),
+        service_life_tonnage = VALUES(service_life_tonnage),
         notes = VALUES(notes)
       `,
       [
@@ -303,6 +473,8 @@ router.put('/:id/bom/items/:itemId/override', async (req, res) => {
         replacementOemPartId,
         replacementCatalogPositionId,
         clientPartId,
+        serviceLifeHours,
+        serviceLifeTonnage,
         nz(req.body.notes),
       ]
     )
@@ -357,6 +529,298 @@ router.delete('/:id/bom/items/:itemId/override', async (req, res) => {
   }
 })
 
+router.get('/:id/readings', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [rows] = await db.execute(
+      `
+      SELECT *
+        FROM client_equipment_unit_readings
+       WHERE client_equipment_unit_id = ?
+       ORDER BY reading_date DESC, id DESC
+       LIMIT ${clampLimit(req.query.limit, 200)}
+      `,
+      [id]
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error('GET /client-equipment-units/:id/readings error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// Показания счётчиков накопительные: одно показание на дату, повторная запись
+// за ту же дату заменяет прежнюю. Счётчик не может убывать во времени.
+router.post('/:id/readings', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [[unit]] = await db.execute('SELECT id, client_id FROM client_equipment_units WHERE id = ?', [id])
+    if (!unit) return res.status(404).json({ message: 'Единица оборудования не найдена' })
+
+    const readingDate = parseDateOnly(req.body.reading_date)
+    if (!readingDate) return res.status(400).json({ message: 'Укажите дату показания (YYYY-MM-DD)' })
+    const operatingHours = nonNegativeOrNull(req.body.operating_hours)
+    const throughputTonnage = nonNegativeOrNull(req.body.throughput_tonnage)
+    if (operatingHours === undefined || throughputTonnage === undefined) {
+      return res.status(400).json({ message: 'Показания должны быть неотрицательными числами' })
+    }
+    if (operatingHours === null && throughputTonnage === null) {
+      return res.status(400).json({ message: 'Укажите моточасы или тоннаж' })
+    }
+
+    const [[conflict]] = await db.execute(
+      `
+      SELECT reading_date, operating_hours, throughput_tonnage
+        FROM client_equipment_unit_readings
+       WHERE client_equipment_unit_id = ?
+         AND reading_date <> ?
+         AND (
+           (reading_date < ? AND (operating_hours > ? OR throughput_tonnage > ?))
+           OR (reading_date > ? AND (operating_hours < ? OR throughput_tonnage < ?))
+         )
+       LIMIT 1
+      `,
+      [id, readingDate, readingDate, operatingHours, throughputTonnage, readingDate, operatingHours, throughputTonnage]
+    )
+    if (conflict) {
+      return res.status(409).json({
+        message: 'Показание противоречит соседним: счётчики моточасов и тоннажа не могут убывать',
+        conflict,
+      })
+    }
+
+    await db.execute(
+      `
+      INSERT INTO client_equipment_unit_readings
+        (client_equipment_unit_id, reading_date, operating_hours, throughput_tonnage, notes, created_by_user_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        operating_hours = VALUES(operating_hours),
+        throughput_tonnage = VALUES(throughput_tonnage),
+        notes = VALUES(notes)
+      `,
+      [id, readingDate, operatingHours, throughputTonnage, nz(req.body.notes), toId(req.user?.id)]
+    )
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'client_equipment_units',
+      entity_id: id,
+      field_changed: 'readings',
+      new_value: [
+        operatingHours !== null ? `${operatingHours} ч` : null,
+        throughputTonnage !== null ? `${throughputTonnage} т` : null,
+      ]
+        .filter(Boolean)
+        .join(', '),
+      comment: `Показания счётчиков на ${readingDate}`,
+      client_id: unit.client_id,
+    })
+
+    const [[row]] = await db.execute(
+      'SELECT * FROM client_equipment_unit_readings WHERE client_equipment_unit_id = ? AND reading_date = ?',
+      [id, readingDate]
+    )
+    res.status(201).json(row)
+  } catch (err) {
+    console.error('POST /client-equipment-units/:id/readings error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.delete('/:id/readings/:readingId', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    const readingId = toId(req.params.readingId)
+    if (!id || !readingId) return res.status(400).json({ message: 'Некорректные идентификаторы' })
+
+    const [result] = await db.execute(
+      'DELETE FROM client_equipment_unit_readings WHERE id = ? AND client_equipment_unit_id = ?',
+      [readingId, id]
+    )
+    if (!result.affectedRows) return res.status(404).json({ message: 'Показание не найдено' })
+    res.json({ success: true })
+  } catch (err) {
+    console.error('DELETE /client-equipment-units/:id/readings/:readingId error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/replacements', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const itemId = req.query.equipment_model_bom_item_id !== undefined ? toId(req.query.equipment_model_bom_item_id) : null
+
+    const params = [id]
+    let sql = `
+      SELECT r.*,
+             item.item_no,
+             item.manufacturer_part_number,
+             COALESCE(item.manufacturer_part_name_ru, item.manufacturer_part_name, item.title) AS part_name,
+             cr.internal_number AS client_request_number
+        FROM client_equipment_unit_part_replacements r
+        JOIN equipment_model_bom_items item ON item.id = r.equipment_model_bom_item_id
+        LEFT JOIN client_requests cr ON cr.id = r.client_request_id
+       WHERE r.client_equipment_unit_id = ?
+    `
+    if (itemId) {
+      sql += ' AND r.equipment_model_bom_item_id = ?'
+      params.push(itemId)
+    }
+    sql += ' ORDER BY r.replacement_date DESC, r.id DESC'
+
+    const [rows] = await db.execute(sql, params)
+    res.json(rows)
+  } catch (err) {
+    console.error('GET /client-equipment-units/:id/replacements error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.post('/:id/replacements', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [[unit]] = await db.execute('SELECT * FROM client_equipment_units WHERE id = ?', [id])
+    if (!unit) return res.status(404).json({ message: 'Единица оборудования не найдена' })
+
+    const itemId = toId(req.body.equipment_model_bom_item_id)
+    if (!itemId) return res.status(400).json({ message: 'equipment_model_bom_item_id обязателен' })
+    const [[bomItem]] = await db.execute(
+      'SELECT id FROM equipment_model_bom_items WHERE id = ? AND equipment_model_id = ?',
+      [itemId, unit.equipment_model_id]
+    )
+    if (!bomItem) return res.status(404).json({ message: 'Строка BOM не найдена в модели этой машины' })
+
+    const replacementDate = parseDateOnly(req.body.replacement_date)
+    if (!replacementDate) return res.status(400).json({ message: 'Укажите дату замены (YYYY-MM-DD)' })
+    const hoursReading = nonNegativeOrNull(req.body.operating_hours_reading)
+    const tonnageReading = nonNegativeOrNull(req.body.throughput_tonnage_reading)
+    if (hoursReading === undefined || tonnageReading === undefined) {
+      return res.status(400).json({ message: 'Показания должны быть неотрицательными числами' })
+    }
+    const quantity = req.body.quantity !== undefined ? numOrNull(req.body.quantity) : null
+    if (quantity !== null && quantity <= 0) {
+      return res.status(400).json({ message: 'Количество должно быть больше нуля' })
+    }
+
+    const clientRequestId = toId(req.body.client_request_id)
+    const requestItemId = toId(req.body.client_request_revision_item_id)
+    if (requestItemId && !clientRequestId) {
+      return res.status(400).json({ message: 'Для строки заявки укажите client_request_id' })
+    }
+    if (clientRequestId) {
+      const [[request]] = await db.execute('SELECT id, client_id FROM client_requests WHERE id = ?', [clientRequestId])
+      if (!request || Number(request.client_id) !== Number(unit.client_id)) {
+        return res.status(400).json({ message: 'Заявка не найдена у клиента этой машины' })
+      }
+    }
+    if (requestItemId) {
+      const [[requestItem]] = await db.execute(
+        `
+        SELECT cri.id
+          FROM client_request_revision_items cri
+          JOIN client_request_revisions rev ON rev.id = cri.client_request_revision_id
+         WHERE cri.id = ? AND rev.client_request_id = ?
+        `,
+        [requestItemId, clientRequestId]
+      )
+      if (!requestItem) return res.status(400).json({ message: 'Строка заявки не найдена в указанной заявке' })
+    }
+
+    const [ins] = await db.execute(
+      `
+      INSERT INTO client_equipment_unit_part_replacements
+        (
+          client_equipment_unit_id, equipment_model_bom_item_id, replacement_date,
+          operating_hours_reading, throughput_tonnage_reading, quantity,
+          client_request_id, client_request_revision_item_id, notes, created_by_user_id
+        )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        id,
+        itemId,
+        replacementDate,
+        hoursReading,
+        tonnageReading,
+        quantity,
+        clientRequestId,
+        requestItemId,
+        nz(req.body.notes),
+        toId(req.user?.id),
+      ]
+    )
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'client_equipment_units',
+      entity_id: id,
+      field_changed: 'part_replacements',
+      new_value: String(ins.insertId),
+      comment: `Зафиксирована замена детали (строка BOM #${itemId}) на ${replacementDate}`,
+      client_id: unit.client_id,
+    })
+
+    const [[row]] = await db.execute('SELECT * FROM client_equipment_unit_part_replacements WHERE id = ?', [
+      ins.insertId,
+    ])
+    res.status(201).json(row)
+  } catch (err) {
+    console.error('POST /client-equipment-units/:id/replacements error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.delete('/:id/replacements/:replacementId', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    const replacementId = toId(req.params.replacementId)
+    if (!id || !replacementId) return res.status(400).json({ message: 'Некорректные идентификаторы' })
+
+    const [result] = await db.execute(
+      'DELETE FROM client_equipment_unit_part_replacements WHERE id = ? AND client_equipment_unit_id = ?',
+      [replacementId, id]
+    )
+    if (!result.affectedRows) return res.status(404).json({ message: 'Замена не найдена' })
+    res.json({ success: true })
+  } catch (err) {
+    console.error('DELETE /client-equipment-units/:id/replacements/:replacementId error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/wear-forecast', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const asOf = parseDateOnly(req.query.as_of)
+    if (asOf === undefined) return res.status(400).json({ message: 'Некорректная дата as_of' })
+
+    const [[unit]] = await db.execute('SELECT id, status FROM client_equipment_units WHERE id = ?', [id])
+    if (!unit) return res.status(404).json({ message: 'Единица оборудования не найдена' })
+
+    const forecast = await buildWearForecast(db, {
+      unitIds: [id],
+      months: clampMonths(req.query.months),
+      asOf,
+      includeAll: req.query.include_all === undefined ? true : String(req.query.include_all) === '1',
+    })
+    res.json({ ...forecast, unit_status: unit.status })
+  } catch (err) {
+    console.error('GET /client-equipment-units/:id/wear-forecast error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 router.post('/', async (req, res) => {
   try {
     const client_id = toId(req.body.client_id)
@@ -369,6 +833,7 @@ router.post('/', async (req, res) => {
     const decommissioned_date = nz(req.body.decommissioned_date)
     const status = nz(req.body.status) || 'active'
     const notes = nz(req.body.notes)
+    const bom_revision_id = toId(req.body.bom_revision_id)
 
     if (!client_id) return res.status(400).json({ message: 'client_id обязателен' })
     if (!equipment_model_id) {
@@ -389,19 +854,21 @@ router.post('/', async (req, res) => {
 
     const [[model]] = await db.execute('SELECT id FROM equipment_models WHERE id = ?', [equipment_model_id])
     if (!model) return res.status(400).json({ message: 'Модель оборудования не найдена' })
+    if (bom_revision_id) await assertBomRevisionOfModel(bom_revision_id, equipment_model_id)
 
     const [ins] = await db.execute(
       `
       INSERT INTO client_equipment_units
         (
-          client_id, equipment_model_id, serial_number, manufacture_year, site_name,
+          client_id, equipment_model_id, bom_revision_id, serial_number, manufacture_year, site_name,
           internal_name, commissioning_date, decommissioned_date, status, notes
         )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
       [
         client_id,
         equipment_model_id,
+        bom_revision_id,
         serial_number,
         manufacture_year,
         site_name,
@@ -430,6 +897,7 @@ router.post('/', async (req, res) => {
         message: 'Такая единица оборудования уже существует у клиента',
       })
     }
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message })
     console.error('POST /client-equipment-units error:', err)
     res.status(500).json({ message: 'Ошибка сервера' })
   }
@@ -457,6 +925,7 @@ router.put('/:id', async (req, res) => {
       req.body.decommissioned_date !== undefined ? nz(req.body.decommissioned_date) : undefined
     const status = req.body.status !== undefined ? nz(req.body.status) : undefined
     const notes = req.body.notes !== undefined ? nz(req.body.notes) : undefined
+    const bom_revision_id = req.body.bom_revision_id !== undefined ? toId(req.body.bom_revision_id) : undefined
 
     if (req.body.client_id !== undefined && !client_id) {
       return res.status(400).json({ message: 'Некорректный client_id' })
@@ -484,12 +953,20 @@ router.put('/:id', async (req, res) => {
       const [[model]] = await db.execute('SELECT id FROM equipment_models WHERE id = ?', [equipment_model_id])
       if (!model) return res.status(400).json({ message: 'Модель оборудования не найдена' })
     }
+    // при смене модели закреплённая ревизия прежней модели снимается
+    const modelChanged = Boolean(equipment_model_id) && Number(equipment_model_id) !== Number(before.equipment_model_id)
+    let nextBomRevisionId = modelChanged ? null : before.bom_revision_id
+    if (bom_revision_id !== undefined) nextBomRevisionId = bom_revision_id
+    if (nextBomRevisionId && (bom_revision_id !== undefined || modelChanged)) {
+      await assertBomRevisionOfModel(nextBomRevisionId, equipment_model_id || before.equipment_model_id)
+    }
 
     await db.execute(
       `
       UPDATE client_equipment_units
          SET client_id = COALESCE(?, client_id),
              equipment_model_id = COALESCE(?, equipment_model_id),
+             bom_revision_id = ?,
              serial_number = COALESCE(?, serial_number),
              manufacture_year = ?,
              site_name = COALESCE(?, site_name),
@@ -503,6 +980,7 @@ router.put('/:id', async (req, res) => {
       [
         sqlValue(client_id),
         sqlValue(equipment_model_id),
+        nextBomRevisionId || null,
         sqlValue(serial_number),
         manufacture_year === undefined ? before.manufacture_year : manufacture_year,
         sqlValue(site_name),
@@ -533,6 +1011,7 @@ router.put('/:id', async (req, res) => {
         message: 'Такая единица оборудования уже существует у клиента',
       })
     }
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message })
     console.error('PUT /client-equipment-units/:id error:', err)
     res.status(500).json({ message: 'Ошибка сервера' })
   }
@@ -599,6 +1078,40 @@ router.delete('/:id', async (req, res) => {
       })
     }
 
+    const [readingRows] = await conn.execute(
+      'SELECT * FROM client_equipment_unit_readings WHERE client_equipment_unit_id = ? ORDER BY id ASC',
+      [id]
+    )
+    for (const row of readingRows) {
+      await createTrashEntryItem({
+        executor: conn,
+        trashEntryId,
+        itemType: 'client_equipment_unit_readings',
+        itemId: row.id,
+        itemRole: 'reading',
+        title: `Показание #${row.id}`,
+        snapshot: row,
+        sortOrder: sortOrder++,
+      })
+    }
+
+    const [replacementRows] = await conn.execute(
+      'SELECT * FROM client_equipment_unit_part_replacements WHERE client_equipment_unit_id = ? ORDER BY id ASC',
+      [id]
+    )
+    for (const row of replacementRows) {
+      await createTrashEntryItem({
+        executor: conn,
+        trashEntryId,
+        itemType: 'client_equipment_unit_part_replacements',
+        itemId: row.id,
+        itemRole: 'part_replacement',
+        title: `Замена детали #${row.id}`,
+        snapshot: row,
+        sortOrder: sortOrder++,
+      })
+    }
+
     await conn.execute('DELETE FROM client_equipment_units WHERE id = ?', [id])
 
     await logActivity({
@@ -11,12 +11,14 @@ const {
 const { createTrashEntry, createTrashEntryItem } = require('../utils/trashStore')
 const { updateRequestStatus } = require('../utils/clientRequestStatus')
 const { createNotification } = require('../utils/notifications')
+const { publishAssignmentChange } = require('../utils/realtimeEvents')
 const {
   getClientFacingPartNumber,
   getClientFacingDescription,
   getSupplierFacingPartNumber,
   getSupplierFacingDescription,
 } = require('../utils/partPresentation')
+const { buildUnitBomRequestLines } = require('../utils/unitBomRequestItems')
 
 const toId = (v) => {
   const n = Number(v)
@@ -2330,6 +2332,12 @@ router.post('/', async (req, res) => {
           entityId: result.insertId,
         })
       }
+      await publishAssignmentChange(conn, {
+        entityType: 'client_requests',
+        entityId: result.insertId,
+        userId: assigned_to_user_id,
+        meta: { internal_number },
+      })
       await updateRequestStatus(conn, result.insertId)
       await conn.commit()
 
@@ -2447,6 +2455,13 @@ router.put('/:id', async (req, res) => {
         entityType: 'client_requests',
         entityId: id,
       })
+      await publishAssignmentChange(db, {
+        entityType: 'client_requests',
+        entityId: id,
+        previousUserId: prev.assigned_to_user_id,
+        userId: fields.assigned_to_user_id,
+        meta: { internal_number: prev.internal_number },
+      })
     }
 
     const [[updated]] = await db.execute('SELECT * FROM client_requests WHERE id = ?', [id])
@@ -2746,6 +2761,13 @@ router.post('/:id/assign-rfq', async (req, res) => {
         entityId: rfqId,
       })
     }
+    await publishAssignmentChange(conn, {
+      entityType: 'rfqs',
+      entityId: rfqId,
+      previousUserId: previousRfqAssigneeId,
+      userId: assigneeId,
+      meta: { rfq_number: rfqNumber, client_request_id: requestId },
+    })
 
     await updateRequestStatus(conn, requestId)
 
@@ -3129,11 +3151,13 @@ router.post('/:id/revisions', async (req, res) => {
             `
             INSERT INTO client_request_revision_items
               (client_request_revision_id, line_number, catalog_position_id, oem_part_id, standard_part_id, equipment_model_id,
-               client_part_number, client_description, client_line_text, requested_qty, uom,
+               client_equipment_unit_id, equipment_model_bom_item_id, client_part_id,
+               client_part_number, client_drawing_number, client_description, client_line_text, requested_qty, uom,
                required_date, priority, oem_only, client_comment, internal_comment)
             SELECT
               ?, line_number, COALESCE(catalog_position_id, oem_part_id), oem_part_id, standard_part_id, equipment_model_id,
-              client_part_number, client_description, client_line_text, requested_qty, uom,
+              client_equipment_unit_id, equipment_model_bom_item_id, client_part_id,
+              client_part_number, client_drawing_number, client_description, client_line_text, requested_qty, uom,
               required_date, priority, oem_only, client_comment, internal_comment
             FROM client_request_revision_items
             WHERE client_request_revision_id = ?
@@ -3586,6 +3610,168 @@ router.post('/:id/items/import/commit', async (req, res) => {
   }
 })
 
+router.post('/:id/items/from-equipment-unit', async (req, res) => {
+  const requestId = toId(req.params.id)
+  if (!requestId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+  const unitId = toId(req.body?.client_equipment_unit_id)
+  if (!unitId) return res.status(400).json({ message: 'Не указана машина клиента' })
+
+  const items = Array.isArray(req.body?.items) ? req.body.items : []
+  const assemblyItemIds = Array.isArray(req.body?.assembly_item_ids) ? req.body.assembly_item_ids : []
+  if (!items.length && !assemblyItemIds.length) {
+    return res.status(400).json({ message: 'Не выбраны строки BOM' })
+  }
+  const invalidQty = items.some(
+    (item) => ![undefined, null, ''].includes(item?.quantity) && !(numOrNull(item.quantity) > 0)
+  )
+  if (invalidQty) {
+    return res.status(400).json({ message: 'Количество должно быть больше нуля' })
+  }
+  const sets = req.body?.sets === undefined || req.body?.sets === null || req.body?.sets === '' ? 1 : numOrNull(req.body.sets)
+  if (!(sets > 0)) return res.status(400).json({ message: 'Количество комплектов должно быть больше нуля' })
+
+  const lockState = await ensureRequestUnlocked(db, requestId)
+  if (!lockState.ok) {
+    return res.status(lockState.code).json({ message: lockState.message })
+  }
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+
+    const [[request]] = await conn.execute(
+      'SELECT id, client_id, current_revision_id FROM client_requests WHERE id = ?',
+      [requestId]
+    )
+    const revisionId = toId(req.body?.revision_id) || toId(request.current_revision_id)
+    if (!revisionId || (await fetchRequestIdByRevisionId(conn, revisionId)) !== requestId) {
+      await conn.rollback()
+      return res.status(400).json({ message: 'Ревизия не относится к заявке' })
+    }
+
+    const [[unit]] = await conn.execute(
+      `SELECT id, client_id, equipment_model_id, bom_revision_id, serial_number, internal_name
+         FROM client_equipment_units
+        WHERE id = ?`,
+      [unitId]
+    )
+    if (!unit) {
+      await conn.rollback()
+      return res.status(404).json({ message: 'Машина клиента не найдена' })
+    }
+    if (Number(unit.client_id) !== Number(request.client_id)) {
+      await conn.rollback()
+      return res.status(400).json({ message: 'Машина принадлежит другому клиенту' })
+    }
+
+    const { lines, skipped, unknown_item_ids: unknownItemIds } = await buildUnitBomRequestLines(conn, unit, {
+      items,
+      assemblyItemIds,
+      sets,
+    })
+    if (unknownItemIds.length) {
+      await conn.rollback()
+      return res.status(400).json({
+        message: 'Строки не относятся к BOM модели машины',
+        bom_item_ids: unknownItemIds,
+      })
+    }
+    if (!lines.length) {
+      await conn.rollback()
+      return res.status(400).json({ message: 'Нет применимых строк BOM', skipped })
+    }
+
+    const [[{ next_line }]] = await conn.execute(
+      'SELECT COALESCE(MAX(line_number), 0) + 1 AS next_line FROM client_request_revision_items WHERE client_request_revision_id = ?',
+      [revisionId]
+    )
+    let lineNumber = next_line || 1
+    const requiredDate = nz(req.body?.required_date)
+    const priority = nz(req.body?.priority)
+    const insertedIds = []
+    for (const line of lines) {
+      const [result] = await conn.execute(
+        `INSERT INTO client_request_revision_items
+           (client_request_revision_id, line_number, catalog_position_id, oem_part_id, standard_part_id, equipment_model_id,
+            client_equipment_unit_id, equipment_model_bom_item_id, client_part_id,
+            client_part_number, client_drawing_number, client_description, client_line_text, requested_qty, uom,
+            required_date, priority, oem_only, client_comment, internal_comment)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+        [
+          revisionId,
+          lineNumber,
+          line.catalog_position_id,
+          line.catalog_position_id,
+          null,
+          line.equipment_model_id,
+          unitId,
+          // строка закреплённой ревизии, занятый id которой отдан другой строке, — без ссылки
+          line.bom_item_id > 0 ? line.bom_item_id : null,
+          line.client_part_id,
+          line.client_part_number,
+          line.client_drawing_number,
+          line.client_description,
+          null,
+          line.requested_qty,
+          line.uom,
+          requiredDate,
+          priority,
+          0,
+          null,
+          line.internal_comment,
+        ]
+      )
+      insertedIds.push(result.insertId)
+      lineNumber += 1
+    }
+
+    const [itemRows] = await conn.execute(
+      `SELECT ri.id AS revision_item_id,
+              ri.requested_qty,
+              COALESCE(ri.catalog_position_id, ri.oem_part_id) AS catalog_position_id,
+              COALESCE(ri.catalog_position_id, ri.oem_part_id) AS original_part_id,
+              ri.standard_part_id,
+              ri.client_part_number,
+              cp.position_code AS catalog_position_code,
+              cp.manufacturer_part_number AS catalog_position_manufacturer_part_number,
+              cp.display_name AS catalog_position_name,
+              COALESCE(cp.manufacturer_part_number, cp.position_code) AS original_cat_number,
+              COALESCE(cp.display_name_ru, cp.display_name) AS original_description_ru,
+              cp.display_name_en AS original_description_en
+         FROM client_request_revision_items ri
+         LEFT JOIN catalog_positions cp ON cp.id = COALESCE(ri.catalog_position_id, ri.oem_part_id)
+        WHERE ri.id IN (${insertedIds.map(() => '?').join(',')})`,
+      insertedIds
+    )
+    if (itemRows.length) {
+      await ensureStrategiesAndComponents(conn, itemRows)
+    }
+    await updateRequestStatus(conn, requestId)
+
+    const [created] = await conn.execute(
+      `SELECT *
+         FROM client_request_revision_items
+        WHERE id IN (${insertedIds.map(() => '?').join(',')})
+        ORDER BY line_number`,
+      insertedIds
+    )
+    await conn.commit()
+    res.status(201).json({
+      revision_id: revisionId,
+      inserted: created.length,
+      items: created,
+      unresolved: created.filter((row) => !row.catalog_position_id).length,
+      skipped,
+    })
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /client-requests/:id/items/from-equipment-unit error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.statusCode ? e.message : 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
 router.put('/revisions/:revisionId/items/:itemId', async (req, res) => {
   try {
     const revisionId = toId(req.params.revisionId)
@@ -32,6 +32,18 @@ const {
   getClientFacingPartNumber,
   getClientFacingDescription,
 } = require('../utils/partPresentation')
+const {
+  loadPaymentState,
+  saveMilestones,
+  recordPayment,
+  cancelPayment,
+  buildAgingReport,
+} = require('../utils/paymentSchedules')
+const {
+  loadContractDeliveryContext,
+  generateContractDeliveryDocument,
+} = require('../utils/deliveryDocuments')
+const { buildCustomsPack, buildCustomsPackWorkbook } = require('../utils/customsPack')
 const {
   Paragraph,
   TextRun,
@@ -425,6 +437,17 @@ const ensureContractExecutionTransition = async (conn, contractRow, targetStatus
         { statusCode: 409 }
       )
     }
+    if (Number(contractRow.require_full_payment) === 1) {
+      const paymentState = await loadPaymentState(conn, 'client_contract', contractRow.id)
+      if (paymentState && !paymentState.summary.fully_paid) {
+        throw Object.assign(
+          new Error(
+            `Контракт можно перевести в completed только после полной оплаты: остаток ${paymentState.summary.outstanding_amount} ${paymentState.document.currency || ''}`.trim()
+          ),
+          { statusCode: 409 }
+        )
+      }
+    }
   }
 }
 
@@ -1217,7 +1240,15 @@ router.patch('/:id', async (req, res) => {
     if (nextStatus === 'signed') {
       await ensureSingleFinalContractPerRequest(db, existing.sales_quote_id, contractId)
     }
-    await ensureContractExecutionTransition(db, existing, nextStatus)
+    const hasRequireFullPayment = Object.prototype.hasOwnProperty.call(req.body || {}, 'require_full_payment')
+    const nextRequireFullPayment = hasRequireFullPayment
+      ? [true, 1, '1', 'true'].includes(req.body.require_full_payment) ? 1 : 0
+      : existing.require_full_payment
+    await ensureContractExecutionTransition(
+      db,
+      { ...existing, require_full_payment: nextRequireFullPayment },
+      nextStatus
+    )
     const supportsQuoteRevision = await contractsSupportQuoteRevision(db)
     const nextRevisionId = supportsQuoteRevision ? toId(req.body.sales_quote_revision_id) : null
     if (supportsQuoteRevision && nextRevisionId) {
@@ -1241,6 +1272,7 @@ router.patch('/:id', async (req, res) => {
               contract_date = COALESCE(?, contract_date),
               status = COALESCE(?, status),
               ${supportsQuoteRevision ? 'sales_quote_revision_id = COALESCE(?, sales_quote_revision_id),' : ''}
+              ${hasRequireFullPayment ? 'require_full_payment = ?,' : ''}
               file_url = ?,
               note = ?,
               updated_at = NOW()
@@ -1250,6 +1282,7 @@ router.patch('/:id', async (req, res) => {
         nz(req.body.contract_date),
         nextStatus,
         ...(supportsQuoteRevision ? [nextRevisionId] : []),
+        ...(hasRequireFullPayment ? [nextRequireFullPayment] : []),
         nextFileUrl,
         nextNote,
         contractId,
@@ -1281,6 +1314,227 @@ router.patch('/:id', async (req, res) => {
   }
 })
 
+router.get('/receivables/aging', async (req, res) => {
+  try {
+    const report = await buildAgingReport(db, 'client_contract', {
+      asOf: nz(req.query.as_of) || new Date(),
+      counterpartyId: toId(req.query.client_id),
+    })
+    res.json(report)
+  } catch (e) {
+    console.error('GET /contracts/receivables/aging error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/payments', async (req, res) => {
+  try {
+    const contractId = toId(req.params.id)
+    if (!contractId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const state = await loadPaymentState(db, 'client_contract', contractId, { asOf: nz(req.query.as_of) || new Date() })
+    if (!state) return res.status(404).json({ message: 'Контракт не найден' })
+    res.json(state)
+  } catch (e) {
+    console.error('GET /contracts/:id/payments error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.put('/:id/payment-schedule', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const contractId = toId(req.params.id)
+    if (!contractId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    await conn.beginTransaction()
+    const { milestones } = await saveMilestones(conn, 'client_contract', contractId, req.body?.milestones, {
+      userId: toId(req.user?.id),
+    })
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'client_contracts',
+      entity_id: contractId,
+      field_changed: 'payment_schedule',
+      new_value: milestones.map((row) => `${row.milestone_type}:${row.amount}`).join(', '),
+      comment: 'Обновлен график платежей контракта',
+    })
+    res.json(await loadPaymentState(db, 'client_contract', contractId))
+  } catch (e) {
+    await conn.rollback()
+    console.error('PUT /contracts/:id/payment-schedule error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.post('/:id/payments', async (req, res) => {
+  try {
+    const contractId = toId(req.params.id)
+    if (!contractId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const payment = await recordPayment(db, 'client_contract', contractId, req.body || {}, {
+      userId: toId(req.user?.id),
+    })
+    await logActivity({
+      req,
+      action: 'create',
+      entity_type: 'client_contracts',
+      entity_id: contractId,
+      field_changed: 'payment',
+      new_value: `${payment.amount} ${payment.currency}`,
+      comment: 'Зарегистрирована оплата по контракту',
+    })
+    res.status(201).json({ payment, ...(await loadPaymentState(db, 'client_contract', contractId)) })
+  } catch (e) {
+    console.error('POST /contracts/:id/payments error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.post('/:id/payments/:paymentId/cancel', async (req, res) => {
+  try {
+    const contractId = toId(req.params.id)
+    const paymentId = toId(req.params.paymentId)
+    if (!contractId || !paymentId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const payment = await cancelPayment(db, 'client_contract', contractId, paymentId, {
+      userId: toId(req.user?.id),
+      reason: nz(req.body?.reason),
+    })
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'client_contracts',
+      entity_id: contractId,
+      field_changed: 'payment',
+      old_value: `${payment.amount} ${payment.currency}`,
+      new_value: 'cancelled',
+      comment: 'Отменена оплата по контракту',
+    })
+    res.json({ payment, ...(await loadPaymentState(db, 'client_contract', contractId)) })
+  } catch (e) {
+    console.error('POST /contracts/:id/payments/:paymentId/cancel error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/delivery-documents', async (req, res) => {
+  try {
+    const contractId = toId(req.params.id)
+    if (!contractId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const [rows] = await db.execute(
+      `SELECT d.id, d.doc_kind, d.language, d.format, d.document_no, d.warehouse_document_id,
+              wd.document_no AS warehouse_document_no, d.shipping_address_id, d.file_name, d.file_url,
+              d.created_by, u.full_name AS created_by_name, d.created_at
+         FROM client_contract_delivery_documents d
+         LEFT JOIN warehouse_documents wd ON wd.id = d.warehouse_document_id
+         LEFT JOIN users u ON u.id = d.created_by
+        WHERE d.client_contract_id = ?
+        ORDER BY d.id DESC`,
+      [contractId]
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /contracts/:id/delivery-documents error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// Строки будущего документа с весами, ТН ВЭД и страной происхождения —
+// чтобы до формирования увидеть незаполненные данные.
+router.get('/:id/delivery-documents/lines', async (req, res) => {
+  try {
+    const contractId = toId(req.params.id)
+    if (!contractId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const context = await loadContractDeliveryContext(db, contractId, {
+      warehouseDocumentId: toId(req.query.warehouse_document_id),
+      shippingAddressId: toId(req.query.shipping_address_id),
+    })
+    if (!context) return res.status(404).json({ message: 'Контракт не найден' })
+    res.json({
+      warehouse_document: context.warehouseDocument,
+      shipping_address: context.shippingAddress,
+      lines: context.lines,
+      totals: context.totals,
+    })
+  } catch (e) {
+    console.error('GET /contracts/:id/delivery-documents/lines error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+// POST /contracts/:id/delivery-documents
+// body: { kind: packing_list|delivery_note, language?: ru|en, format?: pdf|docx,
+//         warehouse_document_id?, shipping_address_id? }
+router.post('/:id/delivery-documents', async (req, res) => {
+  try {
+    const contractId = toId(req.params.id)
+    if (!contractId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const document = await generateContractDeliveryDocument(db, contractId, {
+      kind: nz(req.body?.kind),
+      language: nz(req.body?.language)?.toLowerCase() || 'ru',
+      format: nz(req.body?.format)?.toLowerCase() || 'pdf',
+      warehouseDocumentId: toId(req.body?.warehouse_document_id),
+      shippingAddressId: toId(req.body?.shipping_address_id),
+      userId: toId(req.user?.id),
+    })
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'client_contracts',
+      entity_id: contractId,
+      field_changed: 'delivery_documents',
+      new_value: document.file_url,
+      comment: `Сформирован документ ${document.document_no} (${document.format.toUpperCase()}, ${document.language.toUpperCase()})`,
+    })
+
+    res.status(201).json({ ...document, url: document.file_url })
+  } catch (e) {
+    console.error('POST /contracts/:id/delivery-documents error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Не удалось сформировать документ' })
+  }
+})
+
+router.get('/:id/customs-pack', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const currency = String(req.query.currency || '').trim().toUpperCase()
+    const pack = await buildCustomsPack(db, {
+      contractId: id,
+      ...(/^[A-Z]{3}$/.test(currency) ? { currency } : {}),
+    })
+    res.json(pack)
+  } catch (e) {
+    console.error('GET /contracts/:id/customs-pack error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/customs-pack/xlsx', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const currency = String(req.query.currency || '').trim().toUpperCase()
+    const pack = await buildCustomsPack(db, {
+      contractId: id,
+      ...(/^[A-Z]{3}$/.test(currency) ? { currency } : {}),
+    })
+    const buffer = await buildCustomsPackWorkbook(pack)
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    res.setHeader('Content-Disposition', `attachment; filename="customs_pack_contract_${id}.xlsx"`)
+    res.send(buffer)
+  } catch (e) {
+    console.error('GET /contracts/:id/customs-pack/xlsx error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка формирования таможенного пакета' })
+  }
+})
+
 router.post('/:id/generate', async (req, res) => {
   try {
     const contractId = toId(req.params.id)
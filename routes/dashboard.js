@@ -1,6 +1,13 @@
 const express = require('express')
 const router = express.Router()
 const db = require('../utils/db')
+const { fetchEventsSince, formatSseEvent, loadRealtimeViewer, subscribe } = require('../utils/realtimeEvents')
+
+const SSE_HEARTBEAT_MS = 25 * 1000
+const SSE_RETRY_MS = 5000
+// Cloud Run рвёт запросы по таймауту; закрываемся сами раньше, клиент переподключится
+const SSE_MAX_LIFETIME_MS = 55 * 60 * 1000
+const SSE_SENT_IDS_LIMIT = 1000
 
 const toId = (value) => {
   const n = Number(value)
@@ -89,8 +96,12 @@ router.get('/summary', async (req, res) => {
            WHERE cr.assigned_to_user_id = ?
         ) AS assigned_requests,
         (SELECT COUNT(*) FROM rfqs WHERE assigned_to_user_id = ?) AS assigned_rfqs,
-        (SELECT COUNT(*) FROM notifications WHERE user_id = ? AND is_read = 0) AS unread_notifications,
-        (SELECT COUNT(*) FROM notifications WHERE user_id = ? AND type = 'assignment' AND is_read = 0) AS unread_assignments
+        (SELECT COUNT(*) FROM notifications WHERE user_id = ? AND in_app = 1 AND is_read = 0) AS unread_notifications,
+        (
+          SELECT COUNT(*)
+            FROM notifications
+           WHERE user_id = ? AND in_app = 1 AND type = 'assignment' AND is_read = 0
+        ) AS unread_assignments
       `,
       [userId, userId, userId, userId]
     )
@@ -100,6 +111,7 @@ router.get('/summary', async (req, res) => {
       SELECT entity_type, entity_id, COUNT(*) AS cnt
         FROM notifications
        WHERE user_id = ?
+         AND in_app = 1
          AND type = 'assignment'
          AND is_read = 0
        GROUP BY entity_type, entity_id
@@ -207,7 +219,7 @@ router.get('/notifications', async (req, res) => {
     const unreadOnly = String(req.query.unread_only || '') === '1'
     const type = String(req.query.type || '').trim()
 
-    const where = ['user_id = ?']
+    const where = ['user_id = ?', 'in_app = 1']
     const params = [userId]
     if (unreadOnly) where.push('is_read = 0')
     if (type) {
@@ -226,7 +238,7 @@ router.get('/notifications', async (req, res) => {
       params
     )
 
-    const countWhere = ['user_id = ?', 'is_read = 0']
+    const countWhere = ['user_id = ?', 'in_app = 1', 'is_read = 0']
     const countParams = [userId]
     if (type) {
       countWhere.push('type = ?')
@@ -289,8 +301,82 @@ router.post('/notifications/:id/read', async (req, res) => {
   }
 })
 
-router.get('/events', (_req, res) => {
-  res.json([])
+// Поток событий (Server-Sent Events): новые уведомления, смены исполнителя,
+// смены статусов RFQ / ответов поставщиков / заказов поставщику.
+// Переподключение: браузер сам шлёт Last-Event-ID, пропущенное повторяем из БД.
+router.get('/events', async (req, res) => {
+  const userId = toId(req.user?.id)
+  if (!userId) return res.status(401).json({ message: 'Нет пользователя' })
+
+  const lastEventId = toId(req.get('Last-Event-ID') ?? req.query.last_event_id) || 0
+
+  let viewer
+  try {
+    viewer = await loadRealtimeViewer(req.user)
+  } catch (e) {
+    console.error('GET /dashboard/events access error:', e)
+    return res.status(500).json({ message: 'Ошибка сервера' })
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  res.flushHeaders()
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`)
+
+  const sentIds = new Set()
+  let closed = false
+  let pending = lastEventId ? [] : null
+  const send = (event) => {
+    if (closed || sentIds.has(event.id)) return
+    sentIds.add(event.id)
+    if (sentIds.size > SSE_SENT_IDS_LIMIT) sentIds.delete(sentIds.values().next().value)
+    res.write(formatSseEvent(event))
+  }
+
+  // Подписываемся до повтора, чтобы не потерять события между запросом и подпиской.
+  // Пока идёт повтор, живые события копим: Last-Event-ID должен расти монотонно.
+  const unsubscribe = subscribe(viewer, (event) => (pending ? pending.push(event) : send(event)))
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS)
+
+  // по истечении access-токена закрываем поток: новый коннект пройдёт auth заново
+  const tokenExpiresInMs = req.user?.exp ? req.user.exp * 1000 - Date.now() : SSE_MAX_LIFETIME_MS
+  const lifetime = setTimeout(
+    () => res.end(),
+    Math.max(Math.min(tokenExpiresInMs, SSE_MAX_LIFETIME_MS), 1000)
+  )
+
+  const close = () => {
+    if (closed) return
+    closed = true
+    clearInterval(heartbeat)
+    clearTimeout(lifetime)
+    unsubscribe()
+  }
+  req.on('close', close)
+  res.on('finish', close)
+
+  try {
+    if (lastEventId) {
+      const { events, truncated } = await fetchEventsSince(viewer, lastEventId)
+      events.forEach(send)
+      const queued = pending
+      pending = null
+      queued.sort((a, b) => a.id - b.id).forEach(send)
+      if (truncated && !closed) {
+        // пропущено слишком много — пусть клиент перечитает сводку целиком
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'too_many_events' })}\n\n`)
+      }
+    }
+    if (!closed) res.write(`event: ready\ndata: ${JSON.stringify({ user_id: userId })}\n\n`)
+  } catch (e) {
+    console.error('GET /dashboard/events replay error:', e)
+    pending = null
+    if (!closed) res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'replay_failed' })}\n\n`)
+  }
 })
 
 module.exports = router
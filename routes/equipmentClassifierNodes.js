@@ -7,7 +7,13 @@ const logActivity = require('../utils/logActivity')
 const logFieldDiffs = require('../utils/logFieldDiffs')
 const { createTrashEntry } = require('../utils/trashStore')
 const { buildTrashPreview, MODE } = require('../utils/trashPreview')
-const { normalizeCode: normalizeUnitCode } = require('../utils/uom')
+const { convertUnitValue, normalizeCode: normalizeUnitCode } = require('../utils/uom')
+const {
+  compileAttributeFilter,
+  normalizeAttributeSettingsInput,
+  normalizeTypedAttributeValue,
+  rescaleAttributeSettings,
+} = require('../utils/classifierAttributes')
 const { bucket, bucketName } = require('../utils/gcsClient')
 
 const nz = (v) => {
@@ -175,47 +181,6 @@ const validateClassifierNodeParent = async ({ nodeId, parentId, executor = db })
   return { valid: true }
 }
 
-const normalizeAttributeValue = (attribute, rawValue) => {
-  const type = normalizeAttributeType(attribute?.value_type)
-  if (!type) return { error: `Некорректный тип характеристики ${attribute?.label || ''}` }
-
-  const empty = rawValue === undefined || rawValue === null || rawValue === ''
-  if (type === 'text' || type === 'textarea' || type === 'select') {
-    return { value_text: nz(rawValue), value_number: null, value_boolean: null, value_date: null, value_json: null }
-  }
-  if (type === 'number') {
-    if (empty) return { value_text: null, value_number: null, value_boolean: null, value_date: null, value_json: null }
-    const n = Number(String(rawValue).replace(',', '.'))
-    if (!Number.isFinite(n)) return { error: `${attribute.label || attribute.code}: нужно число` }
-    return { value_text: null, value_number: n, value_boolean: null, value_date: null, value_json: null }
-  }
-  if (type === 'boolean') {
-    if (empty) return { value_text: null, value_number: null, value_boolean: null, value_date: null, value_json: null }
-    return { value_text: null, value_number: null, value_boolean: toBool(rawValue) ? 1 : 0, value_date: null, value_json: null }
-  }
-  if (type === 'date') {
-    if (empty) return { value_text: null, value_number: null, value_boolean: null, value_date: null, value_json: null }
-    const value = nz(rawValue)
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: `${attribute.label || attribute.code}: нужна дата YYYY-MM-DD` }
-    return { value_text: null, value_number: null, value_boolean: null, value_date: value, value_json: null }
-  }
-  if (type === 'multiselect') {
-    const values = Array.isArray(rawValue)
-      ? rawValue.map((item) => nz(item)).filter(Boolean)
-      : nz(rawValue)
-      ? [nz(rawValue)]
-      : []
-    return {
-      value_text: null,
-      value_number: null,
-      value_boolean: null,
-      value_date: null,
-      value_json: values.length ? JSON.stringify(values) : null,
-    }
-  }
-  return { error: `Тип характеристики ${type} пока не поддержан` }
-}
-
 const extractAttributeDisplayValue = (attribute, valueRow, optionsByAttributeId = new Map()) => {
   if (!valueRow) return null
   const type = normalizeAttributeType(attribute?.value_type)
@@ -535,6 +500,262 @@ router.get('/search', async (req, res) => {
   }
 })
 
+const PARAMETRIC_ENTITY_TYPES = new Set(['catalog_position', 'equipment_model'])
+const MAX_PARAMETRIC_FILTERS = 20
+
+const parametricEntitySql = {
+  catalog_position: {
+    select: `
+      SELECT cp.id, cp.classifier_node_id, cp.display_name AS title, cp.position_code,
+             cp.manufacturer_part_number, cp.uom, m.name AS manufacturer_name,
+             n.name AS classifier_node_name
+        FROM catalog_positions cp
+        JOIN equipment_classifier_nodes n ON n.id = cp.classifier_node_id
+        LEFT JOIN equipment_manufacturers m ON m.id = cp.manufacturer_id
+    `,
+    alias: 'cp',
+    baseWhere: 'cp.is_active = 1',
+    textWhere: '(cp.display_name LIKE ? OR cp.position_code LIKE ? OR cp.manufacturer_part_number LIKE ?)',
+    textParams: 3,
+    order: 'n.name, cp.display_name, cp.id',
+  },
+  equipment_model: {
+    select: `
+      SELECT em.id, em.classifier_node_id, CONCAT(mf.name, ' / ', em.model_name) AS title, em.model_code,
+             mf.name AS manufacturer_name, n.name AS classifier_node_name
+        FROM equipment_models em
+        JOIN equipment_manufacturers mf ON mf.id = em.manufacturer_id
+        JOIN equipment_classifier_nodes n ON n.id = em.classifier_node_id
+    `,
+    alias: 'em',
+    baseWhere: '1 = 1',
+    textWhere: '(em.model_name LIKE ? OR em.model_code LIKE ? OR mf.name LIKE ?)',
+    textParams: 3,
+    order: 'n.name, mf.name, em.model_name, em.id',
+  },
+}
+
+// Фильтруемые характеристики, на которые ссылаются фильтры (по id, коду или
+// semantic_key), в разделах поддерева nodeId или во всём классификаторе.
+const loadParametricAttributes = async ({ filters, entityType, nodeId }) => {
+  const ids = filters.map((filter) => toId(filter.attribute_id)).filter(Boolean)
+  const codes = filters.map((filter) => nz(filter.code)).filter(Boolean)
+  const params = [entityType, ids.length ? ids : [0], codes.length ? codes : [null], codes.length ? codes : [null]]
+  let nodeSql = ''
+  if (nodeId) {
+    const [subtree] = await db.execute(
+      `
+      WITH RECURSIVE subtree AS (
+        SELECT id FROM equipment_classifier_nodes WHERE id = ?
+        UNION ALL
+        SELECT c.id FROM equipment_classifier_nodes c JOIN subtree s ON s.id = c.parent_id
+      )
+      SELECT id FROM subtree
+      `,
+      [nodeId]
+    )
+    if (!subtree.length) return []
+    nodeSql = 'AND a.classifier_node_id IN (?)'
+    params.push(subtree.map((row) => Number(row.id)))
+  }
+  const [attributes] = await db.query(
+    `
+    SELECT a.*, n.name AS classifier_node_name
+    FROM equipment_classifier_node_attributes a
+    JOIN equipment_classifier_nodes n ON n.id = a.classifier_node_id
+    JOIN equipment_classifier_attribute_scopes scope
+      ON scope.attribute_id = a.id
+     AND scope.entity_type = ?
+    WHERE a.is_active = 1
+      AND a.is_filterable = 1
+      AND (a.id IN (?) OR a.code IN (?) OR a.semantic_key IN (?))
+      ${nodeSql}
+    ORDER BY a.classifier_node_id, a.sort_order, a.id
+    `,
+    params
+  )
+  if (!attributes.length) return []
+  const [options] = await db.query(
+    `
+    SELECT *
+    FROM equipment_classifier_attribute_options
+    WHERE attribute_id IN (?)
+      AND is_active = 1
+    ORDER BY attribute_id, sort_order, value_label
+    `,
+    [attributes.map((row) => Number(row.id))]
+  )
+  return attributes.map((row) => ({
+    ...row,
+    options: options.filter((option) => Number(option.attribute_id) === Number(row.id)),
+  }))
+}
+
+// Характеристика раздела для фильтра: точный id, затем код, затем semantic_key.
+const findFilterAttribute = (nodeAttributes, filter) => {
+  const attributeId = toId(filter.attribute_id)
+  if (attributeId) return nodeAttributes.find((row) => Number(row.id) === attributeId) || null
+  const code = nz(filter.code)
+  return (
+    nodeAttributes.find((row) => row.code === code) ||
+    nodeAttributes.find((row) => row.semantic_key && row.semantic_key === code) ||
+    null
+  )
+}
+
+router.post('/parametric-search', async (req, res) => {
+  try {
+    const entityType = nz(req.body.entity_type) || 'catalog_position'
+    if (!PARAMETRIC_ENTITY_TYPES.has(entityType)) {
+      return res.status(400).json({ message: 'Поиск по характеристикам доступен для карточек и моделей' })
+    }
+    const filters = Array.isArray(req.body.filters) ? req.body.filters : []
+    if (!filters.length) return res.status(400).json({ message: 'Укажите хотя бы одно условие' })
+    if (filters.length > MAX_PARAMETRIC_FILTERS) {
+      return res.status(400).json({ message: `Не больше ${MAX_PARAMETRIC_FILTERS} условий` })
+    }
+    if (filters.some((filter) => !toId(filter?.attribute_id) && !nz(filter?.code))) {
+      return res.status(400).json({ message: 'В условии укажите код или id характеристики' })
+    }
+    const nodeId = req.body.node_id === undefined || req.body.node_id === null ? null : toId(req.body.node_id)
+    if (req.body.node_id && !nodeId) return res.status(400).json({ message: 'Некорректный node_id' })
+    const q = nz(req.body.q)
+    const limit = clampLimit(req.body.limit, 100, 500)
+
+    const attributes = await loadParametricAttributes({ filters, entityType, nodeId })
+    const attributesByNode = new Map()
+    attributes.forEach((row) => {
+      const key = Number(row.classifier_node_id)
+      if (!attributesByNode.has(key)) attributesByNode.set(key, [])
+      attributesByNode.get(key).push(row)
+    })
+
+    // раздел участвует, только если в нём есть характеристика под каждое условие
+    const groups = []
+    const excludedNodes = []
+    for (const [classifierNodeId, nodeAttributes] of attributesByNode) {
+      const conditions = []
+      let excluded = null
+      for (const filter of filters) {
+        const attribute = findFilterAttribute(nodeAttributes, filter)
+        if (!attribute) {
+          excluded = `Нет характеристики «${filter.code || filter.attribute_id}»`
+          break
+        }
+        const compiled = compileAttributeFilter(attribute, filter)
+        if (compiled.error) return res.status(400).json({ message: compiled.error })
+        if (compiled.impossible) {
+          excluded = compiled.impossible
+          break
+        }
+        conditions.push({ attribute, ...compiled })
+      }
+      if (excluded) {
+        excludedNodes.push({
+          classifier_node_id: classifierNodeId,
+          classifier_node_name: nodeAttributes[0].classifier_node_name,
+          reason: excluded,
+        })
+        continue
+      }
+      groups.push({ classifierNodeId, conditions })
+    }
+
+    if (!groups.length) {
+      return res.json({ entity_type: entityType, total: 0, nodes: [], excluded_nodes: excludedNodes, items: [] })
+    }
+
+    const spec = parametricEntitySql[entityType]
+    const params = []
+    const groupSql = groups.map(({ classifierNodeId, conditions }) => {
+      params.push(classifierNodeId)
+      const exists = conditions.map(({ attribute, sql, params: conditionParams }) => {
+        params.push(Number(attribute.id), entityType, ...conditionParams)
+        return `EXISTS (
+          SELECT 1
+          FROM equipment_attribute_values v
+          WHERE v.attribute_id = ?
+            AND v.entity_type = ?
+            AND v.entity_id = ${spec.alias}.id
+            AND ${sql}
+        )`
+      })
+      return `(${spec.alias}.classifier_node_id = ? AND ${exists.join(' AND ')})`
+    })
+    let where = `${spec.baseWhere} AND (${groupSql.join(' OR ')})`
+    if (q) {
+      where += ` AND ${spec.textWhere}`
+      params.push(...Array(spec.textParams).fill(`%${q}%`))
+    }
+
+    const [countRows] = await db.execute(
+      `SELECT matched.classifier_node_id, matched.classifier_node_name, COUNT(*) AS matched_count
+         FROM (${spec.select} WHERE ${where}) matched
+        GROUP BY matched.classifier_node_id, matched.classifier_node_name`,
+      params
+    )
+    const [items] = await db.execute(`${spec.select} WHERE ${where} ORDER BY ${spec.order} LIMIT ${limit}`, params)
+
+    // значения характеристик из условий для найденных строк
+    const filterAttributes = groups.flatMap(({ conditions }) => conditions.map(({ attribute }) => attribute))
+    const valuesByEntity = new Map()
+    if (items.length) {
+      const [valueRows] = await db.query(
+        `
+        SELECT *
+        FROM equipment_attribute_values
+        WHERE entity_type = ?
+          AND entity_id IN (?)
+          AND attribute_id IN (?)
+        `,
+        [entityType, items.map((row) => Number(row.id)), filterAttributes.map((row) => Number(row.id))]
+      )
+      valueRows.forEach((row) => {
+        const key = Number(row.entity_id)
+        if (!valuesByEntity.has(key)) valuesByEntity.set(key, new Map())
+        valuesByEntity.get(key).set(Number(row.attribute_id), row)
+      })
+    }
+    const optionsByAttributeId = new Map(
+      filterAttributes.map((attribute) => [
+        Number(attribute.id),
+        new Map(attribute.options.map((option) => [String(option.value_code), option.value_label])),
+      ])
+    )
+    const conditionsByNode = new Map(groups.map((group) => [group.classifierNodeId, group.conditions]))
+
+    res.json({
+      entity_type: entityType,
+      total: countRows.reduce((sum, row) => sum + Number(row.matched_count || 0), 0),
+      nodes: countRows
+        .map((row) => ({
+          classifier_node_id: Number(row.classifier_node_id),
+          classifier_node_name: row.classifier_node_name,
+          matched_count: Number(row.matched_count || 0),
+        }))
+        .sort((a, b) => b.matched_count - a.matched_count),
+      excluded_nodes: excludedNodes,
+      items: items.map((row) => ({
+        ...row,
+        attributes: (conditionsByNode.get(Number(row.classifier_node_id)) || []).map(({ attribute }) => ({
+          attribute_id: Number(attribute.id),
+          code: attribute.code,
+          label: attribute.label,
+          unit: attribute.unit,
+          display_value: extractAttributeDisplayValue(
+            attribute,
+            valuesByEntity.get(Number(row.id))?.get(Number(attribute.id)) || null,
+            optionsByAttributeId
+          ),
+        })),
+      })),
+    })
+  } catch (err) {
+    console.error('POST /equipment-classifier-nodes/parametric-search error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 const fetchNodeAttributes = async (nodeId, entityType = null) => {
   const [rows] = await db.execute(
     `
@@ -673,6 +894,8 @@ router.post('/:id/attributes', async (req, res) => {
     const isIdentity = toBool(req.body.is_identity) ? 1 : 0
     const helpText = nz(req.body.help_text)
     const semanticKey = nz(req.body.semantic_key)
+    const normalizedSettings = normalizeAttributeSettingsInput(req.body.settings ?? null)
+    if (normalizedSettings.error) return res.status(400).json({ message: normalizedSettings.error })
     const requestedScopes = Array.isArray(req.body.scopes) ? req.body.scopes.map(nz).filter(Boolean) : []
     const defaultScopes = node.card_kind === 'equipment_model'
       ? ['equipment_model']
@@ -690,11 +913,12 @@ router.post('/:id/attributes', async (req, res) => {
       `
       INSERT INTO equipment_classifier_node_attributes
         (classifier_node_id, code, label, value_type, unit, sort_order, is_required, is_filterable,
-         is_importable, is_identity, semantic_key, help_text)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         is_importable, is_identity, semantic_key, help_text, settings_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
       [id, code, label, valueType, unit, sortOrder, isRequired, isFilterable,
-        isImportable, isIdentity, semanticKey, helpText]
+        isImportable, isIdentity, semanticKey, helpText,
+        normalizedSettings.settings ? JSON.stringify(normalizedSettings.settings) : null]
     )
 
     for (const scope of scopes) {
@@ -761,6 +985,8 @@ router.put('/attributes/:attributeId', async (req, res) => {
     const isActive = req.body.is_active !== undefined ? (toBool(req.body.is_active) ? 1 : 0) : undefined
     const helpText = req.body.help_text !== undefined ? nz(req.body.help_text) : undefined
     const semanticKey = req.body.semantic_key !== undefined ? nz(req.body.semantic_key) : undefined
+    const normalizedSettings = req.body.settings !== undefined ? normalizeAttributeSettingsInput(req.body.settings) : null
+    if (normalizedSettings?.error) return res.status(400).json({ message: normalizedSettings.error })
     const scopesToSave = Array.isArray(req.body.scopes)
       ? Array.from(new Set(req.body.scopes.map(nz).filter(Boolean)))
       : null
@@ -772,64 +998,123 @@ router.put('/attributes/:attributeId', async (req, res) => {
       return res.status(400).json({ message: 'Выберите хотя бы одну корректную область характеристики' })
     }
 
-    await db.execute(
-      `
-      UPDATE equipment_classifier_node_attributes
-      SET
-        label = COALESCE(?, label),
-        value_type = COALESCE(?, value_type),
-        unit = ?,
-        sort_order = COALESCE(?, sort_order),
-        is_required = COALESCE(?, is_required),
-        is_filterable = COALESCE(?, is_filterable),
-        is_importable = COALESCE(?, is_importable),
-        is_identity = COALESCE(?, is_identity),
-        is_active = COALESCE(?, is_active),
-        semantic_key = ?,
-        help_text = ?
-      WHERE id = ?
-      `,
-      [
-        sqlValue(label),
-        sqlValue(valueType),
-        unit === undefined ? before.unit : unit,
-        sqlValue(sortOrder),
-        sqlValue(isRequired),
-        sqlValue(isFilterable),
-        sqlValue(isImportable),
-        sqlValue(isIdentity),
-        sqlValue(isActive),
-        semanticKey === undefined ? before.semantic_key : semanticKey,
-        helpText === undefined ? before.help_text : helpText,
-        attributeId,
-      ]
-    )
+    const conn = await db.getConnection()
+    try {
+      await conn.beginTransaction()
+      // единица и пересчёт значений меняются вместе; запись значений
+      // в PUT /:id/attribute-values ждёт блокировку строки характеристики
+      const [[current]] = await conn.execute(
+        'SELECT unit, value_type, settings_json FROM equipment_classifier_node_attributes WHERE id = ? FOR UPDATE',
+        [attributeId]
+      )
 
-    if (scopesToSave) {
-      await db.execute('DELETE FROM equipment_classifier_attribute_scopes WHERE attribute_id = ?', [attributeId])
-      for (const scope of scopesToSave) {
-        await db.execute(
-          'INSERT INTO equipment_classifier_attribute_scopes (attribute_id, entity_type) VALUES (?, ?)',
-          [attributeId, scope]
-        )
+      let settingsJson = current.settings_json ?? null
+      if (settingsJson !== null && typeof settingsJson !== 'string') settingsJson = JSON.stringify(settingsJson)
+      if (normalizedSettings) {
+        settingsJson = normalizedSettings.settings ? JSON.stringify(normalizedSettings.settings) : null
       }
-    }
 
-    if (Array.isArray(req.body.options)) {
-      await db.execute('DELETE FROM equipment_classifier_attribute_options WHERE attribute_id = ?', [attributeId])
-      for (let idx = 0; idx < req.body.options.length; idx += 1) {
-        const optionLabel = nz(req.body.options[idx]?.value_label || req.body.options[idx]?.label || req.body.options[idx])
-        if (!optionLabel) continue
-        const optionCode = buildAttributeCode(req.body.options[idx]?.value_code || req.body.options[idx]?.code || optionLabel, `option_${idx + 1}`)
-        await db.execute(
-          `
-          INSERT INTO equipment_classifier_attribute_options
-            (attribute_id, value_code, value_label, sort_order, is_active)
-          VALUES (?, ?, ?, ?, 1)
-          `,
-          [attributeId, optionCode, optionLabel, idx]
+      // числовые значения и min/max пересчитываются в новую единицу; ограничения,
+      // переданные в том же запросе, уже заданы в новой единице
+      const nextUnit = unit === undefined ? current.unit : unit
+      const nextType = valueType || current.value_type
+      let rescaleFactor = null
+      if (nextType === 'number' && current.unit && nextUnit && current.unit !== nextUnit) {
+        const factor = convertUnitValue(1, current.unit, nextUnit)
+        if (factor.error) {
+          const [[stored]] = await conn.execute(
+            'SELECT COUNT(*) AS cnt FROM equipment_attribute_values WHERE attribute_id = ? AND value_number IS NOT NULL',
+            [attributeId]
+          )
+          if (Number(stored.cnt) > 0) {
+            throw Object.assign(
+              new Error(`Нельзя сменить единицу ${current.unit} на ${nextUnit}: это разные величины, а значения уже заполнены`),
+              { statusCode: 400 }
+            )
+          }
+        } else {
+          rescaleFactor = factor.value
+          if (!normalizedSettings) settingsJson = rescaleAttributeSettings(settingsJson, rescaleFactor)
+        }
+      }
+
+      await conn.execute(
+        `
+        UPDATE equipment_classifier_node_attributes
+        SET
+          label = COALESCE(?, label),
+          value_type = COALESCE(?, value_type),
+          unit = ?,
+          sort_order = COALESCE(?, sort_order),
+          is_required = COALESCE(?, is_required),
+          is_filterable = COALESCE(?, is_filterable),
+          is_importable = COALESCE(?, is_importable),
+          is_identity = COALESCE(?, is_identity),
+          is_active = COALESCE(?, is_active),
+          semantic_key = ?,
+          help_text = ?,
+          settings_json = ?
+        WHERE id = ?
+        `,
+        [
+          sqlValue(label),
+          sqlValue(valueType),
+          unit === undefined ? current.unit : unit,
+          sqlValue(sortOrder),
+          sqlValue(isRequired),
+          sqlValue(isFilterable),
+          sqlValue(isImportable),
+          sqlValue(isIdentity),
+          sqlValue(isActive),
+          semanticKey === undefined ? before.semantic_key : semanticKey,
+          helpText === undefined ? before.help_text : helpText,
+          settingsJson,
+          attributeId,
+        ]
+      )
+
+      if (rescaleFactor !== null) {
+        await conn.execute(
+          `UPDATE equipment_attribute_values
+              SET value_number = ROUND(value_number * ?, 6)
+            WHERE attribute_id = ?
+              AND value_number IS NOT NULL`,
+          [rescaleFactor, attributeId]
         )
       }
+
+      if (scopesToSave) {
+        await conn.execute('DELETE FROM equipment_classifier_attribute_scopes WHERE attribute_id = ?', [attributeId])
+        for (const scope of scopesToSave) {
+          await conn.execute(
+            'INSERT INTO equipment_classifier_attribute_scopes (attribute_id, entity_type) VALUES (?, ?)',
+            [attributeId, scope]
+          )
+        }
+      }
+
+      if (Array.isArray(req.body.options)) {
+        await conn.execute('DELETE FROM equipment_classifier_attribute_options WHERE attribute_id = ?', [attributeId])
+        for (let idx = 0; idx < req.body.options.length; idx += 1) {
+          const optionLabel = nz(req.body.options[idx]?.value_label || req.body.options[idx]?.label || req.body.options[idx])
+          if (!optionLabel) continue
+          const optionCode = buildAttributeCode(req.body.options[idx]?.value_code || req.body.options[idx]?.code || optionLabel, `option_${idx + 1}`)
+          await conn.execute(
+            `
+            INSERT INTO equipment_classifier_attribute_options
+              (attribute_id, value_code, value_label, sort_order, is_active)
+            VALUES (?, ?, ?, ?, 1)
+            `,
+            [attributeId, optionCode, optionLabel, idx]
+          )
+        }
+      }
+      await conn.commit()
+    } catch (e) {
+      await conn.rollback()
+      throw e
+    } finally {
+      conn.release()
     }
 
     const [[after]] = await db.execute('SELECT * FROM equipment_classifier_node_attributes WHERE id = ?', [attributeId])
@@ -845,7 +1130,7 @@ router.put('/attributes/:attributeId', async (req, res) => {
     res.json(after)
   } catch (err) {
     console.error('PUT /equipment-classifier-nodes/attributes/:attributeId error:', err)
-    res.status(500).json({ message: 'Ошибка сервера' })
+    res.status(err?.statusCode || 500).json({ message: err?.statusCode ? err.message : 'Ошибка сервера' })
   }
 })
 
@@ -918,14 +1203,32 @@ router.put('/:id/attribute-values', async (req, res) => {
     const attributesById = new Map(attributes.map((row) => [Number(row.id), row]))
 
     await conn.beginTransaction()
+    // единица характеристики перечитывается под блокировкой: смена единицы
+    // с пересчётом значений не пройдёт между проверкой и записью
+    const usedIds = [...new Set(values.map((entry) => toId(entry?.attribute_id)).filter((attributeId) => attributesById.has(attributeId)))]
+    if (usedIds.length) {
+      const [locked] = await conn.query(
+        'SELECT id, unit, value_type FROM equipment_classifier_node_attributes WHERE id IN (?) FOR SHARE',
+        [usedIds]
+      )
+      locked.forEach((row) => Object.assign(attributesById.get(Number(row.id)), { unit: row.unit, value_type: row.value_type }))
+    }
     for (const entry of values) {
       const attributeId = toId(entry?.attribute_id)
       const attribute = attributeId ? attributesById.get(attributeId) : null
       if (!attribute) continue
-      const normalized = normalizeAttributeValue(attribute, entry.value)
+      const emptyValue = Array.isArray(entry.value) ? !entry.value.length : !nz(entry.value)
+      if (Number(attribute.is_required || 0) === 1 && emptyValue) {
+        await conn.rollback()
+        return res.status(400).json({
+          message: `Заполните обязательную характеристику «${attribute.label}»`,
+          attribute_id: attributeId,
+        })
+      }
+      const normalized = normalizeTypedAttributeValue(attribute, entry.value, { unit: entry.unit })
       if (normalized.error) {
         await conn.rollback()
-        return res.status(400).json({ message: normalized.error })
+        return res.status(400).json({ message: normalized.error, attribute_id: attributeId })
       }
 
       await conn.execute(
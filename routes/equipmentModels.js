@@ -11,6 +11,15 @@ const logFieldDiffs = require('../utils/logFieldDiffs')
 const { createTrashEntry, createTrashEntryItem } = require('../utils/trashStore')
 const { buildTrashPreview, MODE } = require('../utils/trashPreview')
 const { bucket, bucketName } = require('../utils/gcsClient')
+const {
+  createBomRevision,
+  diffBomItems,
+  fetchCurrentBomItems,
+  fetchLatestRevision,
+  fetchRevisionItems,
+  snapshotBeforeOverwrite,
+} = require('../utils/bomRevisions')
+const { aggregateExplodedBom, explodeModelBom } = require('../utils/bomExplosion')
 
 // ------------------------------
 // helpers
@@ -1266,6 +1275,8 @@ const fetchModelBomItems = async (modelId) => {
       item.client_part_id,
       item.title,
       item.quantity,
+      item.service_life_hours,
+      item.service_life_tonnage,
       item.sort_order,
       item.notes,
       catalog.manufacturer_part_number AS part_number,
@@ -1353,6 +1364,179 @@ router.get('/:id/bom', async (req, res) => {
   }
 })
 
+/**
+ * GET /equipment-models/:id/bom/explosion?leaves_only=1
+ * Многоуровневый BOM с количествами на машину и сводкой по позициям.
+ */
+router.get('/:id/bom/explosion', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор модели' })
+
+    const [[model]] = await db.execute('SELECT id, model_name FROM equipment_models WHERE id = ?', [id])
+    if (!model) return res.status(404).json({ message: 'Модель не найдена' })
+
+    const rows = await explodeModelBom(db, id)
+    res.json({
+      model_id: id,
+      model_name: model.model_name,
+      rows,
+      positions: aggregateExplodedBom(rows, { leavesOnly: String(req.query.leaves_only || '') === '1' }),
+    })
+  } catch (err) {
+    console.error('GET /equipment-models/:id/bom/explosion error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/bom/revisions', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор модели' })
+
+    const [rows] = await db.execute(
+      `
+      SELECT rev.*,
+             u.full_name AS created_by_name,
+             (SELECT COUNT(*) FROM client_equipment_units ceu WHERE ceu.bom_revision_id = rev.id) AS pinned_units_count
+        FROM equipment_model_bom_revisions rev
+        LEFT JOIN users u ON u.id = rev.created_by_user_id
+       WHERE rev.equipment_model_id = ?
+       ORDER BY rev.revision_no DESC
+      `,
+      [id]
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error('GET /equipment-models/:id/bom/revisions error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+/**
+ * POST /equipment-models/:id/bom/revisions
+ * body: { name?, notes?, force? } — фиксирует текущий BOM как именованную ревизию
+ */
+router.post('/:id/bom/revisions', async (req, res) => {
+  const id = toId(req.params.id)
+  if (!id) return res.status(400).json({ message: 'Некорректный идентификатор модели' })
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const [[model]] = await conn.execute('SELECT id FROM equipment_models WHERE id = ?', [id])
+    if (!model) {
+      await conn.rollback()
+      return res.status(404).json({ message: 'Модель не найдена' })
+    }
+
+    const latest = await fetchLatestRevision(conn, id)
+    if (latest && !req.body?.force) {
+      const diff = diffBomItems(await fetchRevisionItems(conn, latest.id), await fetchCurrentBomItems(conn, id))
+      const { added, removed, quantity_changed: quantityChanged, relinked } = diff.summary
+      if (!added && !removed && !quantityChanged && !relinked) {
+        await conn.rollback()
+        return res.status(409).json({
+          message: `BOM не изменился с ревизии ${latest.revision_no} (${latest.name})`,
+          revision: latest,
+        })
+      }
+    }
+
+    const revision = await createBomRevision(conn, id, {
+      name: nz(req.body?.name),
+      source: 'manual',
+      notes: nz(req.body?.notes),
+      userId: toId(req.user?.id),
+    })
+    await logActivity({
+      req,
+      action: 'create',
+      entity_type: 'equipment_model_bom_items',
+      entity_id: id,
+      comment: `Зафиксирована ревизия BOM ${revision.revision_no}: ${revision.name}`,
+    })
+    await conn.commit()
+    res.status(201).json(revision)
+  } catch (err) {
+    try {
+      await conn.rollback()
+    } catch {}
+    console.error('POST /equipment-models/:id/bom/revisions error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+/**
+ * GET /equipment-models/:id/bom/revisions/diff?from=<revisionId>&to=<revisionId|current>
+ * Без from сравнивается с предыдущей ревизией (для current — с последней).
+ */
+router.get('/:id/bom/revisions/diff', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор модели' })
+
+    const [revisions] = await db.execute(
+      'SELECT * FROM equipment_model_bom_revisions WHERE equipment_model_id = ? ORDER BY revision_no ASC',
+      [id]
+    )
+    const byId = new Map(revisions.map((rev) => [Number(rev.id), rev]))
+
+    const toRaw = nz(req.query.to) || 'current'
+    const toCurrent = toRaw === 'current'
+    const toRevision = toCurrent ? null : byId.get(toId(toRaw))
+    if (!toCurrent && !toRevision) return res.status(404).json({ message: 'Ревизия to не найдена у этой модели' })
+
+    let fromRevision = null
+    if (req.query.from !== undefined) {
+      fromRevision = byId.get(toId(req.query.from))
+      if (!fromRevision) return res.status(404).json({ message: 'Ревизия from не найдена у этой модели' })
+    } else if (toCurrent) {
+      fromRevision = revisions[revisions.length - 1] || null
+    } else {
+      fromRevision = revisions.filter((rev) => rev.revision_no < toRevision.revision_no).pop() || null
+    }
+    if (!fromRevision) return res.status(400).json({ message: 'Нет ревизии для сравнения' })
+
+    const fromItems = await fetchRevisionItems(db, fromRevision.id)
+    const toItems = toCurrent ? await fetchCurrentBomItems(db, id) : await fetchRevisionItems(db, toRevision.id)
+    res.json({
+      model_id: id,
+      from: fromRevision,
+      to: toCurrent ? { id: null, name: 'Текущий BOM', current: true } : toRevision,
+      ...diffBomItems(fromItems, toItems),
+    })
+  } catch (err) {
+    console.error('GET /equipment-models/:id/bom/revisions/diff error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/bom/revisions/:revisionId', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    const revisionId = toId(req.params.revisionId)
+    if (!id || !revisionId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [[revision]] = await db.execute(
+      'SELECT * FROM equipment_model_bom_revisions WHERE id = ? AND equipment_model_id = ?',
+      [revisionId, id]
+    )
+    if (!revision) return res.status(404).json({ message: 'Ревизия BOM не найдена' })
+
+    const items = await fetchRevisionItems(db, revisionId)
+    res.json({
+      revision,
+      items: items.map((row) => ({ ...row, quantity: formatBomQuantity(row.quantity) })),
+    })
+  } catch (err) {
+    console.error('GET /equipment-models/:id/bom/revisions/:revisionId error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 router.get('/:id/client-executions', async (req, res) => {
   try {
     const id = toId(req.params.id)
@@ -1623,9 +1807,14 @@ router.post('/:id/bom/import/commit', async (req, res) => {
 
     const conn = await db.getConnection()
     const importedCatalogByPartKey = new Map()
+    const userId = toId(req.user?.id)
+    let preImportRevision = null
+    let revision = null
     try {
       await conn.beginTransaction()
 
+      preImportRevision = await snapshotBeforeOverwrite(conn, modelId, { userId })
+
       if (replace) {
         await conn.execute('DELETE FROM equipment_model_bom_items WHERE equipment_model_id = ?', [modelId])
       }
@@ -1677,12 +1866,21 @@ router.post('/:id/bom/import/commit', async (req, res) => {
         }
       }
 
+      revision = await createBomRevision(conn, modelId, {
+        name: nz(req.body?.revision_name),
+        source: 'import',
+        notes: nz(req.body?.revision_notes),
+        userId,
+      })
+
       await logActivity({
         req,
         action: replace ? 'replace' : 'create',
         entity_type: 'equipment_model_bom_items',
         entity_id: modelId,
-        comment: `Импорт BOM модели из Excel: ${result.rows.length} строк${replace ? ', с заменой текущего BOM' : ''}`,
+        comment: `Импорт BOM модели из Excel: ${result.rows.length} строк${
+          replace ? ', с заменой текущего BOM' : ''
+        }; ревизия ${revision.revision_no}`,
       })
 
       await conn.commit()
@@ -1702,6 +1900,8 @@ router.post('/:id/bom/import/commit', async (req, res) => {
       imported: result.rows.length,
       warnings: result.warnings,
       model_id: modelId,
+      bom_revision: revision,
+      pre_import_revision: preImportRevision,
       items,
     })
   } catch (err) {
@@ -1747,6 +1947,8 @@ router.post('/:id/bom/items', async (req, res) => {
     const quantity = numOrNull(req.body.quantity) || 1
     const sortOrder = Number.isInteger(Number(req.body.sort_order)) ? Number(req.body.sort_order) : 0
     const notes = nz(req.body.notes)
+    const serviceLifeHours = numOrNull(req.body.service_life_hours)
+    const serviceLifeTonnage = numOrNull(req.body.service_life_tonnage)
 
     if (!catalogPositionId && !clientPartId && !title && !manufacturerPartName && !manufacturerPartNumber) {
       return res.status(400).json({ message: 'Нужно указать номер/название строки BOM или выбрать позицию' })
@@ -1757,6 +1959,9 @@ router.post('/:id/bom/items', async (req, res) => {
     if (catalogPositionId && analogCatalogPositionId) {
       return res.status(400).json({ message: 'Нельзя одновременно выбрать прямую карточку и основную карточку-аналога' })
     }
+    if ((serviceLifeHours !== null && serviceLifeHours < 0) || (serviceLifeTonnage !== null && serviceLifeTonnage < 0)) {
+      return res.status(400).json({ message: 'Ресурс детали не может быть отрицательным' })
+    }
     if (quantity <= 0) {
       return res.status(400).json({ message: 'Количество должно быть больше нуля' })
     }
@@ -1824,8 +2029,9 @@ router.post('/:id/bom/items', async (req, res) => {
       INSERT INTO equipment_model_bom_items
         (equipment_model_id, parent_item_id, row_kind, item_type, item_no, manufacturer_part_number,
          manufacturer_part_name, manufacturer_part_name_en, manufacturer_part_name_ru, drawing_number,
-         catalog_position_id, client_part_id, title, quantity, sort_order, notes)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         catalog_position_id, client_part_id, title, quantity, service_life_hours, service_life_tonnage,
+         sort_order, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
       [
         modelId,
@@ -1842,6 +2048,8 @@ router.post('/:id/bom/items', async (req, res) => {
         clientPartId,
         title,
         quantity,
+        serviceLifeHours,
+        serviceLifeTonnage,
         sortOrder,
         notes,
       ]
@@ -1949,6 +2157,10 @@ router.put('/:id/bom/items/:itemId', async (req, res) => {
         ? Number(req.body.sort_order)
         : old.sort_order
     const notes = req.body.notes !== undefined ? nz(req.body.notes) : old.notes
+    const serviceLifeHours =
+      req.body.service_life_hours !== undefined ? numOrNull(req.body.service_life_hours) : old.service_life_hours
+    const serviceLifeTonnage =
+      req.body.service_life_tonnage !== undefined ? numOrNull(req.body.service_life_tonnage) : old.service_life_tonnage
     const analogCatalogPositionId =
       req.body.analog_catalog_position_id !== undefined ? toId(req.body.analog_catalog_position_id) : null
     const requestedCatalogPositionId =
@@ -1977,6 +2189,9 @@ router.put('/:id/bom/items/:itemId', async (req, res) => {
     if (Number(quantity) <= 0) {
       return res.status(400).json({ message: 'Количество должно быть больше нуля' })
     }
+    if (Number(serviceLifeHours) < 0 || Number(serviceLifeTonnage) < 0) {
+      return res.status(400).json({ message: 'Ресурс детали не может быть отрицательным' })
+    }
     const [[model]] = await db.execute('SELECT id, manufacturer_id FROM equipment_models WHERE id = ?', [modelId])
     if (!model) return res.status(404).json({ message: 'Модель не найдена' })
 
@@ -2036,7 +2251,7 @@ router.put('/:id/bom/items/:itemId', async (req, res) => {
       SET parent_item_id = ?, row_kind = ?, item_type = ?, item_no = ?, manufacturer_part_number = ?,
           manufacturer_part_name = ?, manufacturer_part_name_en = ?, manufacturer_part_name_ru = ?,
           drawing_number = ?, catalog_position_id = ?, title = ?,
-          quantity = ?, sort_order = ?, notes = ?
+          quantity = ?, service_life_hours = ?, service_life_tonnage = ?, sort_order = ?, notes = ?
       WHERE id = ? AND equipment_model_id = ?
       `,
       [
@@ -2052,6 +2267,8 @@ router.put('/:id/bom/items/:itemId', async (req, res) => {
         catalogPositionId || null,
         title,
         quantity,
+        serviceLifeHours,
+        serviceLifeTonnage,
         sortOrder,
         notes,
         itemId,
@@ -0,0 +1,119 @@
+// routes/notificationPreferences.js
+// Per-user notification preferences: types, channels (in-app / email), digest.
+const express = require('express')
+const router = express.Router()
+const db = require('../utils/db')
+const { isMailEnabled } = require('../utils/mailer')
+const {
+  fetchNotificationSettings,
+  listNotificationPreferences,
+  normalizePreferenceInput,
+  normalizeSettingsInput,
+  saveNotificationPreferences,
+} = require('../utils/notificationPreferences')
+const { loadDigestForUser, sendDueNotificationDigests } = require('../utils/notificationDigest')
+
+const currentUserId = (req) => {
+  const userId = Number(req.user?.id)
+  return Number.isInteger(userId) && userId > 0 ? userId : null
+}
+
+const isAdmin = (user) =>
+  user &&
+  (user.role === 'admin' || user.role_id === 1 || user.is_admin)
+
+const buildPayload = async (userId) => ({
+  email_enabled: isMailEnabled(),
+  settings: await fetchNotificationSettings(userId),
+  preferences: await listNotificationPreferences(userId),
+})
+
+// GET /notification-preferences
+// Returns { email_enabled, settings, preferences: [{ type, label, in_app, email, email_mode, is_default }] }
+router.get('/', async (req, res) => {
+  try {
+    const userId = currentUserId(req)
+    if (!userId) return res.status(401).json({ message: 'Не авторизован' })
+    res.json(await buildPayload(userId))
+  } catch (err) {
+    console.error('GET /notification-preferences error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// PUT /notification-preferences
+// body: { preferences?: [{ type, in_app, email, email_mode }], settings?: { email_lang, digest_hour } }
+router.put('/', async (req, res) => {
+  const userId = currentUserId(req)
+  if (!userId) return res.status(401).json({ message: 'Не авторизован' })
+
+  const rawPreferences = req.body?.preferences ?? []
+  if (!Array.isArray(rawPreferences)) {
+    return res.status(400).json({ message: 'preferences должен быть массивом' })
+  }
+  const preferences = []
+  for (const item of rawPreferences) {
+    const { preference, error } = normalizePreferenceInput(item)
+    if (error) return res.status(400).json({ message: error })
+    preferences.push(preference)
+  }
+  const { settings, error: settingsError } = normalizeSettingsInput(req.body?.settings || {})
+  if (settingsError) return res.status(400).json({ message: settingsError })
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    await saveNotificationPreferences(userId, { preferences, settings }, conn)
+    await conn.commit()
+  } catch (err) {
+    await conn.rollback()
+    console.error('PUT /notification-preferences error:', err)
+    return res.status(500).json({ message: 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+
+  try {
+    res.json(await buildPayload(userId))
+  } catch (err) {
+    console.error('PUT /notification-preferences reload error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// GET /notification-preferences/digest
+// Preview of the pending digest for the current user, grouped by entity.
+router.get('/digest', async (req, res) => {
+  try {
+    const userId = currentUserId(req)
+    if (!userId) return res.status(401).json({ message: 'Не авторизован' })
+    res.json(await loadDigestForUser(userId))
+  } catch (err) {
+    console.error('GET /notification-preferences/digest error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// POST /notification-preferences/digest/run
+// body: { force?: boolean, user_ids?: number[] }
+// Admin only; meant for an external scheduler (hourly).
+router.post('/digest/run', async (req, res) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ message: 'Нет доступа' })
+  }
+  try {
+    const userIds = Array.isArray(req.body?.user_ids)
+      ? req.body.user_ids.map(Number).filter((id) => Number.isInteger(id) && id > 0)
+      : null
+    const summary = await sendDueNotificationDigests({
+      force: req.body?.force === true,
+      userIds,
+    })
+    res.json(summary)
+  } catch (err) {
+    console.error('POST /notification-preferences/digest/run error:', err)
+    res.status(500).json({ message: 'Ошибка сервера при рассылке дайджестов' })
+  }
+})
+
+module.exports = router
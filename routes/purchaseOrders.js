@@ -26,6 +26,20 @@ const {
   getSupplierFacingPartNumber,
   getSupplierFacingDescription,
 } = require('../utils/partPresentation')
+const { publishStatusChange } = require('../utils/realtimeEvents')
+const {
+  loadPaymentState,
+  saveMilestones,
+  recordPayment,
+  cancelPayment,
+  buildAgingReport,
+} = require('../utils/paymentSchedules')
+const {
+  confirmPurchaseOrderLineDates,
+  revisePurchaseOrderLineDates,
+  fetchOverduePoLines,
+  syncPoLineDelayEvents,
+} = require('../utils/purchaseOrderExpediting')
 const {
   Paragraph,
   TextRun,
@@ -2052,22 +2066,44 @@ router.patch('/:id', async (req, res) => {
 
     const nextStatus = ensurePurchaseOrderStatusTransition(existing.status, nz(req.body.status) || existing.status)
 
-    await db.execute(
-      `UPDATE supplier_purchase_orders
-          SET status = ?,
-              supplier_reference = ?,
-              file_url = ?,
-              updated_at = NOW()
-        WHERE id = ?`,
-      [
-        nextStatus,
-        nz(req.body.supplier_reference) || existing.supplier_reference,
-        nz(req.body.file_url) || existing.file_url,
-        supplierPurchaseOrderId,
-      ]
-    )
+    const conn = await db.getConnection()
+    try {
+      await conn.beginTransaction()
+      if (nextStatus === 'confirmed' && existing.status !== 'confirmed') {
+        await confirmPurchaseOrderLineDates(conn, supplierPurchaseOrderId, req.body.line_dates, {
+          userId: toId(req.user?.id),
+        })
+      }
+      await conn.execute(
+        `UPDATE supplier_purchase_orders
+            SET status = ?,
+                supplier_reference = ?,
+                file_url = ?,
+                updated_at = NOW()
+          WHERE id = ?`,
+        [
+          nextStatus,
+          nz(req.body.supplier_reference) || existing.supplier_reference,
+          nz(req.body.file_url) || existing.file_url,
+          supplierPurchaseOrderId,
+        ]
+      )
+      await conn.commit()
+    } catch (e) {
+      await conn.rollback()
+      throw e
+    } finally {
+      conn.release()
+    }
 
     const [[updated]] = await db.execute('SELECT * FROM supplier_purchase_orders WHERE id = ?', [supplierPurchaseOrderId])
+    await publishStatusChange(db, {
+      entityType: 'supplier_purchase_orders',
+      entityId: supplierPurchaseOrderId,
+      from: existing.status,
+      to: nextStatus,
+      meta: { supplier_id: existing.supplier_id },
+    })
     await logActivity({
       req,
       action: 'update',
@@ -2085,6 +2121,207 @@ router.patch('/:id', async (req, res) => {
   }
 })
 
+router.get('/overdue-lines', async (req, res) => {
+  try {
+    const rows = await fetchOverduePoLines(db, {
+      asOf: nz(req.query.as_of) || new Date(),
+      supplierId: toId(req.query.supplier_id),
+      poId: toId(req.query.purchase_order_id),
+    })
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /purchase-orders/overdue-lines error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// POST /purchase-orders/overdue-lines/sync-delays
+// Создаёт/обновляет/закрывает авто-события DELAY по просроченным строкам.
+// Рассчитано на внешний планировщик (раз в сутки).
+router.post('/overdue-lines/sync-delays', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const summary = await syncPoLineDelayEvents(conn, {
+      asOf: nz(req.body?.as_of) || new Date(),
+      userId: toId(req.user?.id),
+    })
+    await conn.commit()
+    res.json(summary)
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /purchase-orders/overdue-lines/sync-delays error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.put('/:id/lines/:lineId/dates', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const supplierPurchaseOrderId = toId(req.params.id)
+    const lineId = toId(req.params.lineId)
+    if (!supplierPurchaseOrderId || !lineId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    await conn.beginTransaction()
+    const plan = await revisePurchaseOrderLineDates(conn, supplierPurchaseOrderId, lineId, req.body || {}, {
+      userId: toId(req.user?.id),
+    })
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'supplier_purchase_orders',
+      entity_id: supplierPurchaseOrderId,
+      field_changed: 'confirmed_arrival_date',
+      old_value: plan.previous_arrival_date,
+      new_value: plan.confirmed_arrival_date,
+      comment: `Перенесены сроки строки PO #${lineId}: ${String(req.body?.reason || '').trim()}`,
+    })
+    const [[line]] = await db.execute('SELECT * FROM supplier_purchase_order_lines WHERE id = ?', [lineId])
+    res.json(line)
+  } catch (e) {
+    await conn.rollback()
+    console.error('PUT /purchase-orders/:id/lines/:lineId/dates error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.get('/:id/lines/:lineId/date-revisions', async (req, res) => {
+  try {
+    const supplierPurchaseOrderId = toId(req.params.id)
+    const lineId = toId(req.params.lineId)
+    if (!supplierPurchaseOrderId || !lineId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [rows] = await db.execute(
+      `SELECT r.*,
+              u.full_name AS changed_by_name
+         FROM supplier_purchase_order_line_date_revisions r
+         LEFT JOIN users u ON u.id = r.changed_by
+        WHERE r.supplier_purchase_order_id = ?
+          AND r.supplier_purchase_order_line_id = ?
+        ORDER BY r.id DESC`,
+      [supplierPurchaseOrderId, lineId]
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /purchase-orders/:id/lines/:lineId/date-revisions error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/payables/aging', async (req, res) => {
+  try {
+    const report = await buildAgingReport(db, 'purchase_order', {
+      asOf: nz(req.query.as_of) || new Date(),
+      counterpartyId: toId(req.query.supplier_id),
+    })
+    res.json(report)
+  } catch (e) {
+    console.error('GET /purchase-orders/payables/aging error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/payments', async (req, res) => {
+  try {
+    const supplierPurchaseOrderId = toId(req.params.id)
+    if (!supplierPurchaseOrderId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const state = await loadPaymentState(db, 'purchase_order', supplierPurchaseOrderId, { asOf: nz(req.query.as_of) || new Date() })
+    if (!state) return res.status(404).json({ message: 'PO не найден' })
+    res.json(state)
+  } catch (e) {
+    console.error('GET /purchase-orders/:id/payments error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.put('/:id/payment-schedule', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const supplierPurchaseOrderId = toId(req.params.id)
+    if (!supplierPurchaseOrderId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    await conn.beginTransaction()
+    const { milestones } = await saveMilestones(conn, 'purchase_order', supplierPurchaseOrderId, req.body?.milestones, {
+      userId: toId(req.user?.id),
+    })
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'supplier_purchase_orders',
+      entity_id: supplierPurchaseOrderId,
+      field_changed: 'payment_schedule',
+      new_value: milestones.map((row) => `${row.milestone_type}:${row.amount}`).join(', '),
+      comment: 'Обновлен график платежей заказа поставщику',
+    })
+    res.json(await loadPaymentState(db, 'purchase_order', supplierPurchaseOrderId))
+  } catch (e) {
+    await conn.rollback()
+    console.error('PUT /purchase-orders/:id/payment-schedule error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.post('/:id/payments', async (req, res) => {
+  try {
+    const supplierPurchaseOrderId = toId(req.params.id)
+    if (!supplierPurchaseOrderId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const payment = await recordPayment(db, 'purchase_order', supplierPurchaseOrderId, req.body || {}, {
+      userId: toId(req.user?.id),
+    })
+    await logActivity({
+      req,
+      action: 'create',
+      entity_type: 'supplier_purchase_orders',
+      entity_id: supplierPurchaseOrderId,
+      field_changed: 'payment',
+      new_value: `${payment.amount} ${payment.currency}`,
+      comment: 'Зарегистрирована оплата поставщику',
+    })
+    res.status(201).json({ payment, ...(await loadPaymentState(db, 'purchase_order', supplierPurchaseOrderId)) })
+  } catch (e) {
+    console.error('POST /purchase-orders/:id/payments error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.post('/:id/payments/:paymentId/cancel', async (req, res) => {
+  try {
+    const supplierPurchaseOrderId = toId(req.params.id)
+    const paymentId = toId(req.params.paymentId)
+    if (!supplierPurchaseOrderId || !paymentId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const payment = await cancelPayment(db, 'purchase_order', supplierPurchaseOrderId, paymentId, {
+      userId: toId(req.user?.id),
+      reason: nz(req.body?.reason),
+    })
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'supplier_purchase_orders',
+      entity_id: supplierPurchaseOrderId,
+      field_changed: 'payment',
+      old_value: `${payment.amount} ${payment.currency}`,
+      new_value: 'cancelled',
+      comment: 'Отменена оплата поставщику',
+    })
+    res.json({ payment, ...(await loadPaymentState(db, 'purchase_order', supplierPurchaseOrderId)) })
+  } catch (e) {
+    console.error('POST /purchase-orders/:id/payments/:paymentId/cancel error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
 router.post('/:id/generate', async (req, res) => {
   try {
     const supplierPurchaseOrderId = toId(req.params.id)
@@ -1,5 +1,6 @@
 const express = require('express')
 const router = express.Router()
+const multer = require('multer')
 const db = require('../utils/db')
 const ExcelJS = require('exceljs')
 const crypto = require('crypto')
@@ -18,12 +19,31 @@ const {
   fetchRequestIdByRevisionId,
   fetchRequestIdByRfqId,
 } = require('../utils/clientRequestStatus')
-const { createNotification } = require('../utils/notifications')
+const { createNotification, notifyRfqStatusChange, notifySupplierResponse } = require('../utils/notifications')
+const { publishAssignmentChange, publishStatusChange } = require('../utils/realtimeEvents')
 const { normalizeUom } = require('../utils/uom')
+const { rankRfqSuppliers } = require('../utils/rfqSupplierRanking')
+const { flagPriceAnomalies } = require('../utils/priceAnalytics')
+const { latestValidPriceJoinSql, priceValidOnSql } = require('../utils/supplierPriceLists')
 const { createTrashEntry } = require('../utils/trashStore')
 const {
   syncRfqCoverageLogisticsFromLatestResponses,
 } = require('../utils/rfqLogisticsSync')
+const { queueRfqDispatchDelivery, retryRfqDispatches } = require('../utils/rfqDispatchMail')
+const {
+  RFQ_SHEET_HEADER_LABELS,
+  rfqSheetHeader,
+  rfqSheetColumnNumber,
+} = require('../utils/rfqSheetLayout')
+const {
+  extractWorkbookFromEml,
+  isEmlFile,
+  mapReplyRowsToRfqItems,
+  parseRfqReplyWorkbook,
+} = require('../utils/rfqReplyParser')
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } })
+const SEND_EMAIL_DISABLED_NOTE = 'Пакет сформирован без письма (send_email=false)'
 
 const toId = (v) => {
   const n = Number(v)
@@ -113,6 +133,14 @@ const archiveRfq = async (req, res) => {
     }
 
     await conn.execute(`UPDATE rfqs SET status = 'archived' WHERE id = ?`, [rfqId])
+    await publishStatusChange(conn, {
+      entityType: 'rfqs',
+      entityId: rfqId,
+      from: rfq.status,
+      to: 'archived',
+      meta: { rfq_number: rfq.rfq_number },
+    })
+    await notifyRfqStatusChange(conn, { rfqId, from: rfq.status, to: 'archived', actorUserId: toId(req.user?.id) })
 
     if (rfq.client_request_id) {
       await updateRequestStatus(conn, rfq.client_request_id)
@@ -361,6 +389,13 @@ const ensureSupplierResponseRevision = async (conn, rfqSupplierId, { status = 'r
       [rfqSupplierId, status, userId]
     )
     responseId = ins.insertId
+    await publishStatusChange(conn, {
+      entityType: 'rfq_supplier_responses',
+      entityId: responseId,
+      to: status,
+      meta: { rfq_supplier_id: rfqSupplierId },
+    })
+    await notifySupplierResponse(conn, { rfqSupplierId, actorUserId: userId })
   }
   const [[latestRev]] = await conn.execute(
     `SELECT * FROM rfq_response_revisions
@@ -803,21 +838,12 @@ const collectSuggestionSources = (structure, opts = {}) => {
   }
 }
 
-const buildSuggestedSupplierRows = async (db, structure) => {
+const buildSuggestedSupplierRows = async (db, structure, { asOf = new Date() } = {}) => {
   const { originalTypeMap, bundleItemIds, originalMetaMap, bundleMetaMap } =
     collectSuggestionSources(structure, { discoveryMode: true })
   const supplierMap = new Map()
-  const latestPriceJoin = `
-    LEFT JOIN (
-      SELECT spp1.*
-      FROM supplier_part_prices spp1
-      JOIN (
-        SELECT supplier_part_id, MAX(id) AS max_id
-        FROM supplier_part_prices
-        GROUP BY supplier_part_id
-      ) latest ON latest.max_id = spp1.id
-    ) lp ON lp.supplier_part_id = sp.id
-  `
+  // «С ценой» — есть цена, действующая на дату asOf.
+  const latestPriceJoin = latestValidPriceJoinSql({ alias: 'lp', partIdExpr: 'sp.id' })
 
   const ensureSupplier = (supplier_id, supplier_name) => {
     if (!supplierMap.has(supplier_id)) {
@@ -876,7 +902,7 @@ const buildSuggestedSupplierRows = async (db, structure) => {
           ${latestPriceJoin}
          WHERE sbl.item_id IN (${placeholders})
       `,
-      bundleIds
+      [asOf, ...bundleIds]
     )
 
     rows.forEach((row) => {
@@ -1276,6 +1302,12 @@ router.post('/', async (req, res) => {
         entityId: result.insertId,
       })
     }
+    await publishAssignmentChange(db, {
+      entityType: 'rfqs',
+      entityId: result.insertId,
+      userId: assigned_to_user_id,
+      meta: { rfq_number },
+    })
 
     const requestId = await fetchRequestIdByRevisionId(
       db,
@@ -1397,10 +1429,24 @@ router.post('/:id/structure/confirm', async (req, res) => {
       }
     }
 
+    const [[before]] = await db.execute('SELECT status FROM rfqs WHERE id = ?', [rfqId])
     await db.execute(`UPDATE rfqs SET status = 'structured' WHERE id = ? AND status <> 'sent'`, [
       rfqId,
     ])
     const [[updated]] = await db.execute('SELECT * FROM rfqs WHERE id = ?', [rfqId])
+    await publishStatusChange(db, {
+      entityType: 'rfqs',
+      entityId: rfqId,
+      from: before?.status ?? null,
+      to: updated?.status,
+      meta: { rfq_number: updated?.rfq_number },
+    })
+    await notifyRfqStatusChange(db, {
+      rfqId,
+      from: before?.status ?? null,
+      to: updated?.status,
+      actorUserId: toId(req.user?.id),
+    })
     await logActivity({
       req,
       action: 'update',
@@ -1482,9 +1528,14 @@ router.put('/:id/items/:itemId/strategy', async (req, res) => {
       await rebuildComponentsForItem(db, item, mode)
     }
 
-    await db.execute(`UPDATE rfqs SET status = 'draft' WHERE id = ? AND status = 'structured'`, [
-      rfqId,
-    ])
+    const [draftResult] = await db.execute(
+      `UPDATE rfqs SET status = 'draft' WHERE id = ? AND status = 'structured'`,
+      [rfqId]
+    )
+    if (draftResult?.affectedRows) {
+      await publishStatusChange(db, { entityType: 'rfqs', entityId: rfqId, from: 'structured', to: 'draft' })
+      await notifyRfqStatusChange(db, { rfqId, from: 'structured', to: 'draft', actorUserId: toId(req.user?.id) })
+    }
 
     const [[updated]] = await db.execute(
       'SELECT * FROM rfq_item_strategies WHERE rfq_item_id = ?',
@@ -2069,6 +2120,12 @@ router.get('/:id/supplier-hints', async (req, res) => {
     if (!supplierId) {
       return res.status(400).json({ message: 'Не выбран поставщик' })
     }
+    // Последняя цена — только действующая на дату as_of (по умолчанию сегодня).
+    const asOfRaw = String(req.query.as_of || '').trim()
+    if (asOfRaw && !/^\d{4}-\d{2}-\d{2}$/.test(asOfRaw)) {
+      return res.status(400).json({ message: 'Некорректная дата в as_of' })
+    }
+    const asOf = asOfRaw || new Date()
 
     const [[rfq]] = await db.execute(
       'SELECT id, client_request_revision_id FROM rfqs WHERE id = ? LIMIT 1',
@@ -2164,15 +2221,7 @@ router.get('/:id/supplier-hints', async (req, res) => {
                spl.valid_to AS latest_price_price_list_valid_to
           FROM (SELECT NULL AS item_id, NULL AS supplier_part_id WHERE FALSE) sbl
           JOIN supplier_parts sp ON sp.id = sbl.supplier_part_id
-          LEFT JOIN (
-            SELECT spp1.*
-            FROM supplier_part_prices spp1
-            JOIN (
-              SELECT supplier_part_id, MAX(id) AS max_id
-              FROM supplier_part_prices
-              GROUP BY supplier_part_id
-            ) latest ON latest.max_id = spp1.id
-          ) lp ON lp.supplier_part_id = sp.id
+          ${latestValidPriceJoinSql({ alias: 'lp', partIdExpr: 'sp.id' })}
           LEFT JOIN rfq_response_lines rfl
             ON rfl.id = lp.source_id
            AND lp.source_type IN ('RFQ', 'RFQ_RESPONSE')
@@ -2187,7 +2236,7 @@ router.get('/:id/supplier-hints', async (req, res) => {
          WHERE sbl.item_id IN (${placeholders})
            AND sp.supplier_id = ?
         `,
-        [...bundleItemIds, supplierId]
+        [asOf, ...bundleItemIds, supplierId]
       )
 
       rows.forEach((row) => {
@@ -2233,8 +2282,10 @@ router.get('/:id/supplier-hints', async (req, res) => {
           spl.list_code AS price_list_code,
           spl.list_name AS price_list_name,
           spl.valid_from AS price_list_valid_from,
-          spl.valid_to AS price_list_valid_to
+          spl.valid_to AS price_list_valid_to,
+          CASE WHEN ${priceValidOnSql('spp', 'spll', 'spl', 'as_of.d')} THEN 1 ELSE 0 END AS is_valid_on_date
         FROM supplier_part_prices spp
+        JOIN (SELECT DATE(?) AS d) as_of ON TRUE
         LEFT JOIN rfq_response_lines rfl
           ON rfl.id = spp.source_id
          AND spp.source_type IN ('RFQ', 'RFQ_RESPONSE')
@@ -2250,7 +2301,7 @@ router.get('/:id/supplier-hints', async (req, res) => {
         WHERE spp.supplier_part_id IN (${placeholders})
         ORDER BY spp.supplier_part_id ASC, spp.date DESC, spp.id DESC
         `,
-        partIds
+        [asOf, ...partIds]
       )
 
       priceRows.forEach((row) => {
@@ -2378,6 +2429,32 @@ router.patch('/:id/suppliers/:supplierId', async (req, res) => {
 
 router.delete('/:id', archiveRfq)
 
+router.get('/:id/supplier-ranking', async (req, res) => {
+  try {
+    const rfqId = toId(req.params.id)
+    if (!rfqId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const limitRaw = Number(req.query.limit)
+    const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), 50) : null
+    const rfqItemIds = String(req.query.rfq_item_ids || '')
+      .split(',')
+      .map(toId)
+      .filter(Boolean)
+    const currency = String(req.query.currency || '').trim().toUpperCase()
+
+    const ranking = await rankRfqSuppliers(db, rfqId, {
+      limit,
+      rfqItemIds,
+      ...(/^[A-Z]{3}$/.test(currency) ? { currency } : {}),
+    })
+    res.json(ranking)
+  } catch (e) {
+    console.error('GET /rfqs/:id/supplier-ranking error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.statusCode ? e.message : 'Ошибка сервера' })
+  }
+})
+
+// Без supplier_ids и с top_n — добавляет лучших по рейтингу поставщиков на
+// каждую строку и отмечает им эти строки в line-selections.
 router.post('/:id/suppliers/bulk', async (req, res) => {
   const rfqId = toId(req.params.id)
   if (!rfqId) return res.status(400).json({ message: 'Некорректный идентификатор' })
@@ -2385,7 +2462,8 @@ router.post('/:id/suppliers/bulk', async (req, res) => {
   const supplierIds = Array.isArray(req.body?.supplier_ids)
     ? req.body.supplier_ids.map(toId).filter(Boolean)
     : []
-  if (!supplierIds.length) {
+  const topN = toId(req.body?.top_n)
+  if (!supplierIds.length && !topN) {
     return res.status(400).json({ message: 'Нужно выбрать хотя бы одного поставщика' })
   }
 
@@ -2395,12 +2473,49 @@ router.post('/:id/suppliers/bulk', async (req, res) => {
   const language = (nz(req.body.language) || 'ru').toLowerCase()
   const rfq_format = normalizeRfqFormat(req.body.rfq_format)
 
+  // rfq_item_id → поставщики из рейтинга (только с ненулевым баллом)
+  let assignments = []
+  if (topN) {
+    try {
+      const rfqItemIds = Array.isArray(req.body.rfq_item_ids) ? req.body.rfq_item_ids.map(toId).filter(Boolean) : []
+      const ranking = await rankRfqSuppliers(db, rfqId, { limit: Math.min(topN, 20), rfqItemIds })
+      assignments = ranking.items.map((item) => ({
+        rfq_item_id: Number(item.rfq_item_id),
+        line_number: item.line_number,
+        catalog_position_id: item.catalog_position_id ? Number(item.catalog_position_id) : null,
+        requested_qty: item.requested_qty,
+        uom: item.uom,
+        label: item.catalog_position_name || item.client_part_number || null,
+        description: item.client_description || null,
+        suppliers: item.candidates
+          .filter((candidate) => candidate.score > 0)
+          .map((candidate) => ({
+            supplier_id: candidate.supplier_id,
+            supplier_name: candidate.supplier_name,
+            score: candidate.score,
+            rank: candidate.rank,
+          })),
+      }))
+    } catch (e) {
+      console.error('POST /rfqs/:id/suppliers/bulk error:', e)
+      return res.status(e?.statusCode || 500).json({ message: e?.statusCode ? e.message : 'Ошибка сервера' })
+    }
+  }
+  const allSupplierIds = [
+    ...new Set([...supplierIds, ...assignments.flatMap((item) => item.suppliers.map((s) => s.supplier_id))]),
+  ]
+  if (!allSupplierIds.length) {
+    return res.status(409).json({ message: 'Рейтинг не нашёл поставщиков для строк RFQ', assignments })
+  }
+
   const conn = await db.getConnection()
   try {
     await conn.beginTransaction()
     let inserted = 0
+    const [existingRows] = await conn.execute('SELECT supplier_id FROM rfq_suppliers WHERE rfq_id = ?', [rfqId])
+    const preExisting = new Set(existingRows.map((row) => Number(row.supplier_id)))
 
-    for (const supplier_id of supplierIds) {
+    for (const supplier_id of allSupplierIds) {
       const [result] = await conn.execute(
         `INSERT IGNORE INTO rfq_suppliers (rfq_id, supplier_id, status, invited_at, note, language, rfq_format)
          VALUES (?,?,?,?,?,?,?)`,
@@ -2409,15 +2524,72 @@ router.post('/:id/suppliers/bulk', async (req, res) => {
       inserted += result.affectedRows || 0
     }
 
+    let selectionsInserted = 0
+    if (assignments.length) {
+      const [rfqSupplierRows] = await conn.execute(
+        `SELECT id, supplier_id FROM rfq_suppliers WHERE rfq_id = ? AND supplier_id IN (${allSupplierIds.map(() => '?').join(',')})`,
+        [rfqId, ...allSupplierIds]
+      )
+      const rfqSupplierIdBySupplier = new Map(rfqSupplierRows.map((row) => [Number(row.supplier_id), Number(row.id)]))
+      const [selectionRows] = await conn.execute(
+        `SELECT rfq_supplier_id, selection_key
+           FROM rfq_supplier_line_selections
+          WHERE rfq_supplier_id IN (${rfqSupplierRows.map(() => '?').join(',')})`,
+        rfqSupplierRows.map((row) => row.id)
+      )
+      const keysBySupplier = new Map()
+      selectionRows.forEach((row) => {
+        const key = Number(row.rfq_supplier_id)
+        if (!keysBySupplier.has(key)) keysBySupplier.set(key, new Set())
+        keysBySupplier.get(key).add(row.selection_key)
+      })
+
+      for (const item of assignments) {
+        const selectionKey = `demand:${item.rfq_item_id}`
+        for (const supplier of item.suppliers) {
+          const rfqSupplierId = rfqSupplierIdBySupplier.get(supplier.supplier_id)
+          if (!rfqSupplierId) continue
+          const keys = keysBySupplier.get(rfqSupplierId)
+          // Поставщику, который уже был в RFQ без выбора строк, состав не сужаем.
+          if (preExisting.has(supplier.supplier_id) && !keys) continue
+          if (keys?.has(selectionKey)) continue
+          await conn.execute(
+            `INSERT INTO rfq_supplier_line_selections
+               (rfq_supplier_id, selection_key, rfq_item_id, line_type, oem_part_id, line_label, line_description, qty, uom, use_existing_price)
+             VALUES (?, ?, ?, 'DEMAND', ?, ?, ?, ?, ?, 0)`,
+            [
+              rfqSupplierId,
+              selectionKey,
+              item.rfq_item_id,
+              item.catalog_position_id,
+              item.label,
+              item.description,
+              item.requested_qty ?? null,
+              normalizeOptionalUomInput(item.uom),
+            ]
+          )
+          if (!keysBySupplier.has(rfqSupplierId)) keysBySupplier.set(rfqSupplierId, new Set())
+          keysBySupplier.get(rfqSupplierId).add(selectionKey)
+          selectionsInserted += 1
+        }
+      }
+    }
+
     await conn.commit()
     await logActivity({
       req,
       action: 'update',
       entity_type: 'rfqs',
       entity_id: rfqId,
-      comment: `Массово добавлены поставщики в RFQ: ${inserted}`,
+      comment: topN
+        ? `Массово добавлены поставщики в RFQ по рейтингу (топ-${topN} на строку): ${inserted}`
+        : `Массово добавлены поставщики в RFQ: ${inserted}`,
+    })
+    res.json({
+      success: true,
+      inserted,
+      ...(topN ? { selections_inserted: selectionsInserted, assignments } : {}),
     })
-    res.json({ success: true, inserted })
   } catch (e) {
     await conn.rollback()
     console.error('POST /rfqs/:id/suppliers/bulk error:', e)
@@ -2507,6 +2679,9 @@ router.post('/:id/send', async (req, res) => {
         ? 'delta'
         : 'full'
     const includePriced = !!req.body?.include_priced
+    // Письмо поставщику уходит по умолчанию (в фоне, после ответа);
+    // send_email=false — только сформировать файлы, доставка сразу skipped.
+    const sendEmail = req.body?.send_email !== false
 
     const supplierIds = Array.isArray(req.body?.supplier_ids)
       ? req.body.supplier_ids.map(toId).filter(Boolean)
@@ -2787,36 +2962,7 @@ router.post('/:id/send', async (req, res) => {
             ? {
                 note:
                   'Note: options (supply as whole / BOM / kit) are alternatives. Fill prices only for selected options.',
-                header: [
-                  'Line',
-                  'Part No.',
-                  'Description',
-                  'Qty',
-                  'UoM',
-                  'Supplier PN',
-                  'Supplier Description',
-                  'Offer type (OEM/ANALOG)',
-                  'Reply status',
-                  'Price',
-                  'Currency',
-                  'Lead time (days)',
-                  'Weight, kg',
-                  'Length, cm',
-                  'Width, cm',
-                  'Height, cm',
-                  'Heavy',
-                  'Oversize',
-                  'MOQ',
-                  'Pack',
-                  'Incoterms',
-                  'Named place',
-                  'Country of origin',
-                  'Payment terms',
-                  'Price validity (days)',
-                  'Comment',
-                  'selection_key',
-                  'rfq_item_id',
-                ],
+                header: rfqSheetHeader('en'),
                 role: 'Role',
                 kit: 'Supply as kit',
                 bom: 'Supply as BOM',
@@ -2824,36 +2970,7 @@ router.post('/:id/send', async (req, res) => {
             : {
                 note:
                   'Примечание: варианты (поставка целиком / по составу / комплектом) — альтернативы. Заполняйте цены только для выбранных вариантов.',
-                header: [
-                  'Строка',
-                  'Кат. номер',
-                  'Описание',
-                  'Кол-во',
-                  'Ед.',
-                  'Деталь поставщика (PN)',
-                  'Описание поставщика',
-                  'Тип предложения (OEM/ANALOG)',
-                  'Статус ответа',
-                  'Цена',
-                  'Валюта',
-                  'Срок (дн.)',
-                  'Вес, кг',
-                  'Длина, см',
-                  'Ширина, см',
-                  'Высота, см',
-                  'Тяжелая',
-                  'Негабарит',
-                  'MOQ',
-                  'Упаковка',
-                  'Incoterms',
-                  'Пункт Incoterms',
-                  'Страна происхождения товара',
-                  'Условия оплаты',
-                  'Срок действия цены (дн.)',
-                  'Комментарий',
-                  'selection_key',
-                  'rfq_item_id',
-                ],
+                header: rfqSheetHeader('ru'),
                 role: 'Роль',
                 kit: 'Поставка комплектом',
                 bom: 'Поставка по составу',
@@ -2877,32 +2994,7 @@ router.post('/:id/send', async (req, res) => {
         const workbook = new ExcelJS.Workbook()
         const sheet = workbook.addWorksheet('RFQ')
 
-        const headerLabels =
-          lang === 'en'
-            ? {
-                rfq: 'RFQ',
-                revision: 'Revision',
-                date: 'Date',
-                supplier: 'Supplier',
-                contact: 'Contact',
-                company: 'Our company',
-                email: 'Email',
-                phone: 'Phone',
-                website: 'Website',
-                address: 'Address',
-              }
-            : {
-                rfq: 'RFQ',
-                revision: 'Ревизия',
-                date: 'Дата',
-                supplier: 'Поставщик',
-                contact: 'Контакт',
-                company: 'Наша компания',
-                email: 'Email',
-                phone: 'Телефон',
-                website: 'Сайт',
-                address: 'Адрес',
-              }
+        const headerLabels = RFQ_SHEET_HEADER_LABELS[lang === 'en' ? 'en' : 'ru']
 
         const headerRows = [
           [headerLabels.rfq, rfq.rfq_number || `RFQ-${rfq.id}`],
@@ -3042,6 +3134,7 @@ router.post('/:id/send', async (req, res) => {
             '',
             '',
             '',
+            '',
             row.selection_key || '',
             row.rfq_item_id || '',
           ])
@@ -3511,13 +3604,13 @@ router.post('/:id/send', async (req, res) => {
           }
         }
 
-        applyListValidation(8, offerTypeList, lang === 'en' ? 'offer type' : 'тип предложения')
-        applyListValidation(9, replyStatusList, lang === 'en' ? 'reply status' : 'статус ответа')
-        applyListValidation(11, currencyList, lang === 'en' ? 'currency' : 'валюту')
-        applyListValidation(21, incotermsList, 'Incoterms')
-        applyListValidation(24, paymentTermsList, lang === 'en' ? 'payment terms' : 'условия оплаты')
-        applyListValidation(17, boolList, lang === 'en' ? 'heavy flag' : 'флаг "Тяжелая"')
-        applyListValidation(18, boolList, lang === 'en' ? 'oversize flag' : 'флаг "Негабарит"')
+        applyListValidation(rfqSheetColumnNumber('offer_type'), offerTypeList, lang === 'en' ? 'offer type' : 'тип предложения')
+        applyListValidation(rfqSheetColumnNumber('supplier_reply_status'), replyStatusList, lang === 'en' ? 'reply status' : 'статус ответа')
+        applyListValidation(rfqSheetColumnNumber('currency'), currencyList, lang === 'en' ? 'currency' : 'валюту')
+        applyListValidation(rfqSheetColumnNumber('incoterms'), incotermsList, 'Incoterms')
+        applyListValidation(rfqSheetColumnNumber('payment_terms'), paymentTermsList, lang === 'en' ? 'payment terms' : 'условия оплаты')
+        applyListValidation(rfqSheetColumnNumber('is_overweight'), boolList, lang === 'en' ? 'heavy flag' : 'флаг "Тяжелая"')
+        applyListValidation(rfqSheetColumnNumber('is_oversize'), boolList, lang === 'en' ? 'oversize flag' : 'флаг "Негабарит"')
 
         for (let rowNumber = tableHeaderRowNumber; rowNumber <= lastDataRow; rowNumber += 1) {
           for (let col = 1; col <= labels.header.length; col += 1) {
@@ -3615,16 +3708,18 @@ router.post('/:id/send', async (req, res) => {
           [docIns.insertId]
         )
         documents.push(docRow)
-        dispatches.push({
+        const dispatchEntry = {
           supplier_id: supplier.supplier_id,
           supplier_name: supplier.supplier_name,
           document: docRow,
-        })
+        }
+        dispatches.push(dispatchEntry)
 
-        await db.execute(
+        const [dispatchIns] = await db.execute(
           `INSERT INTO rfq_supplier_dispatches
-            (rfq_id, rfq_revision_id, rfq_supplier_id, dispatch_type, document_id, payload_hash, note, sent_by_user_id)
-           VALUES (?,?,?,?,?,?,?,?)`,
+            (rfq_id, rfq_revision_id, rfq_supplier_id, dispatch_type, document_id, payload_hash, note, sent_by_user_id,
+             delivery_status, delivery_error)
+           VALUES (?,?,?,?,?,?,?,?,?,?)`,
           [
             rfq.id,
             rfq.current_rfq_revision_id || rfq.rfq_revision_id || 0,
@@ -3639,6 +3734,8 @@ router.post('/:id/send', async (req, res) => {
               prev_rfq_revision_id: lastSentRevisionId,
             }),
             created_by_user_id,
+            sendEmail ? 'pending' : 'skipped',
+            sendEmail ? null : SEND_EMAIL_DISABLED_NOTE,
           ]
         )
 
@@ -3665,6 +3762,16 @@ router.post('/:id/send', async (req, res) => {
             note: null,
           })
         }
+
+        dispatchEntry.dispatch_id = dispatchIns.insertId
+        dispatchEntry.delivery = {
+          dispatch_id: dispatchIns.insertId,
+          delivery_status: sendEmail ? 'pending' : 'skipped',
+          delivery_error: sendEmail ? null : SEND_EMAIL_DISABLED_NOTE,
+        }
+        if (sendEmail) {
+          queueRfqDispatchDelivery(dispatchIns.insertId, { attachment: buffer, mode, rowsTotal: lineCounter })
+        }
       } catch (err) {
         errors.push({
           supplier_id: supplier.supplier_id,
@@ -3683,6 +3790,14 @@ router.post('/:id/send', async (req, res) => {
           WHERE id = ?`,
         [created_by_user_id, rfqId]
       )
+      await publishStatusChange(db, {
+        entityType: 'rfqs',
+        entityId: rfqId,
+        from: rfq.status,
+        to: 'sent',
+        meta: { rfq_number: rfq.rfq_number, suppliers_sent: documents.length },
+      })
+      await notifyRfqStatusChange(db, { rfqId, from: rfq.status, to: 'sent', actorUserId: created_by_user_id })
     }
 
     const requestId = await fetchRequestIdByRfqId(db, rfqId)
@@ -3760,6 +3875,14 @@ router.get('/:id/dispatches', async (req, res) => {
         file_url: row.file_url,
         sent_by_user_id: row.sent_by_user_id,
         sent_at: row.sent_at,
+        delivery_status: row.delivery_status || null,
+        recipient_email: row.recipient_email || null,
+        delivery_lang: row.delivery_lang || null,
+        delivery_transport: row.delivery_transport || null,
+        delivery_attempts: Number(row.delivery_attempts || 0),
+        delivery_error: row.delivery_error || null,
+        last_delivery_attempt_at: row.last_delivery_attempt_at || null,
+        delivered_at: row.delivered_at || null,
       }
     })
 
@@ -3770,6 +3893,39 @@ router.get('/:id/dispatches', async (req, res) => {
   }
 })
 
+// Повтор почтовой доставки: без dispatch_ids — все failed отправки RFQ; skipped — только по dispatch_ids.
+// Письма уходят в фоне, статус доставки — в GET /:id/dispatches.
+router.post('/:id/dispatches/retry', async (req, res) => {
+  try {
+    const rfqId = toId(req.params.id)
+    if (!rfqId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [[rfq]] = await db.execute('SELECT id FROM rfqs WHERE id = ?', [rfqId])
+    if (!rfq) return res.status(404).json({ message: 'RFQ не найден' })
+
+    const dispatchIds = Array.isArray(req.body?.dispatch_ids)
+      ? req.body.dispatch_ids.map(toId).filter(Boolean)
+      : []
+    const queued = await retryRfqDispatches(db, rfqId, { dispatchIds })
+
+    if (queued.length) {
+      await logActivity({
+        req,
+        action: 'update',
+        entity_type: 'rfqs',
+        entity_id: rfqId,
+        field_changed: 'delivery_status',
+        comment: `Повтор отправки RFQ по email: в очереди ${queued.length}`,
+      })
+    }
+
+    res.json({ success: true, queued_dispatch_ids: queued })
+  } catch (e) {
+    console.error('POST /rfqs/:id/dispatches/retry error:', e)
+    res.status(500).json({ message: 'Ошибка повторной отправки RFQ' })
+  }
+})
+
 router.get('/:id/dispatch-summary', async (req, res) => {
   try {
     const rfqId = toId(req.params.id)
@@ -4205,6 +4361,7 @@ router.post('/:id/responses/import', async (req, res) => {
     })
 
     let inserted = 0
+    const insertedPriceIds = []
     let previewValid = 0
     let previewErrors = 0
     let previewWouldCreateSupplierParts = 0
@@ -4513,7 +4670,7 @@ router.post('/:id/responses/import', async (req, res) => {
       })
 
       if (supplierPartId) {
-        await conn.execute(
+        const [priceIns] = await conn.execute(
           `INSERT INTO supplier_part_prices
              (supplier_part_id, material_id, price, currency, date, comment,
               offer_type, lead_time_days, min_order_qty, packaging, validity_days,
@@ -4537,6 +4694,7 @@ router.post('/:id/responses/import', async (req, res) => {
             created_by_user_id,
           ]
         )
+        insertedPriceIds.push(priceIns.insertId)
       }
       } catch (rowError) {
         if (!previewMode) throw rowError
@@ -4579,7 +4737,15 @@ router.post('/:id/responses/import', async (req, res) => {
     await syncRfqCoverageLogisticsFromLatestResponses(conn, rfqId, { supplierId })
 
     await conn.commit()
-    res.json({ success: true, inserted })
+
+    // Аномальные цены только отмечаем: импорт ответа уже сохранён.
+    let priceAnomalies = []
+    try {
+      priceAnomalies = await flagPriceAnomalies(db, insertedPriceIds)
+    } catch (anomalyError) {
+      console.error('POST /rfqs/:id/responses/import price anomalies error:', anomalyError)
+    }
+    res.json({ success: true, inserted, price_anomalies: priceAnomalies })
   } catch (e) {
     if (!previewMode) {
       await conn.rollback()
@@ -4592,6 +4758,170 @@ router.post('/:id/responses/import', async (req, res) => {
   }
 })
 
+const normalizeSupplierName = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+
+// Приём заполненного ответа поставщика (.xlsx или .eml с ним). RFQ и поставщик
+// определяются по шапке листа, строки сопоставляются с rfq_item_id и отдаются
+// готовым телом для POST /rfqs/:id/responses/import (preview).
+const intakeSupplierReply = async (req, res) => {
+  try {
+    if (!req.file?.buffer) return res.status(400).json({ message: 'Файл обязателен' })
+
+    let workbookBuffer = req.file.buffer
+    let fileName = req.file.originalname || 'reply.xlsx'
+    let senderEmail = null
+    let emailSubject = null
+    const format = isEmlFile(req.file) ? 'eml' : 'xlsx'
+    if (format === 'eml') {
+      const extracted = await extractWorkbookFromEml(req.file.buffer)
+      workbookBuffer = extracted.buffer
+      fileName = extracted.fileName
+      senderEmail = extracted.from
+      emailSubject = extracted.subject
+    }
+
+    const parsed = parseRfqReplyWorkbook(workbookBuffer)
+
+    let rfqId = toId(req.params.id) || toId(req.body?.rfq_id)
+    let rfqRecognizedBy = rfqId ? 'param' : null
+    let rfq = null
+    if (rfqId) {
+      ;[[rfq]] = await db.execute('SELECT * FROM rfqs WHERE id = ?', [rfqId])
+    } else if (parsed.header.rfq_number) {
+      ;[[rfq]] = await db.execute('SELECT * FROM rfqs WHERE rfq_number = ? LIMIT 1', [
+        parsed.header.rfq_number,
+      ])
+      rfqRecognizedBy = 'header'
+    }
+    if (!rfq) {
+      return res.status(404).json({
+        message: parsed.header.rfq_number
+          ? `RFQ ${parsed.header.rfq_number} из файла не найден`
+          : 'Не удалось определить RFQ: в шапке файла нет номера RFQ',
+      })
+    }
+    rfqId = rfq.id
+    const expectedNumber = rfq.rfq_number || `RFQ-${rfq.id}`
+    if (parsed.header.rfq_number && parsed.header.rfq_number !== expectedNumber) {
+      return res.status(400).json({
+        message: `Файл относится к ${parsed.header.rfq_number}, а не к ${expectedNumber}`,
+      })
+    }
+
+    const [rfqSuppliers] = await db.execute(
+      `SELECT rs.id, rs.supplier_id, ps.name AS supplier_name
+         FROM rfq_suppliers rs
+         JOIN part_suppliers ps ON ps.id = rs.supplier_id
+        WHERE rs.rfq_id = ?`,
+      [rfqId]
+    )
+    let rfqSupplier = null
+    let supplierRecognizedBy = null
+    const explicitSupplierId = toId(req.body?.supplier_id)
+    if (explicitSupplierId) {
+      rfqSupplier = rfqSuppliers.find((s) => Number(s.supplier_id) === explicitSupplierId) || null
+      supplierRecognizedBy = 'param'
+    }
+    if (!rfqSupplier && parsed.header.supplier_name) {
+      const wanted = normalizeSupplierName(parsed.header.supplier_name)
+      const byName = rfqSuppliers.filter((s) => normalizeSupplierName(s.supplier_name) === wanted)
+      if (byName.length === 1) {
+        rfqSupplier = byName[0]
+        supplierRecognizedBy = 'header'
+      }
+    }
+    if (!rfqSupplier && senderEmail && rfqSuppliers.length) {
+      const placeholders = rfqSuppliers.map(() => '?').join(',')
+      const [contacts] = await db.execute(
+        `SELECT DISTINCT supplier_id
+           FROM supplier_contacts
+          WHERE LOWER(TRIM(email)) = ?
+            AND supplier_id IN (${placeholders})`,
+        [senderEmail.trim().toLowerCase(), ...rfqSuppliers.map((s) => s.supplier_id)]
+      )
+      if (contacts.length === 1) {
+        rfqSupplier = rfqSuppliers.find((s) => Number(s.supplier_id) === Number(contacts[0].supplier_id))
+        supplierRecognizedBy = 'sender_email'
+      }
+    }
+    if (!rfqSupplier) {
+      return res.status(400).json({
+        message: explicitSupplierId
+          ? 'Поставщик не привязан к RFQ'
+          : 'Не удалось определить поставщика по шапке файла — укажите supplier_id',
+        header: parsed.header,
+      })
+    }
+
+    const activeItems = await fetchActiveRfqItems(db, rfqId)
+    const [[lastDocument]] = await db.execute(
+      `SELECT payload_json
+         FROM rfq_documents
+        WHERE rfq_id = ? AND rfq_supplier_id = ? AND document_type = 'rfq'
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1`,
+      [rfqId, rfqSupplier.id]
+    )
+    let structureRows = []
+    try {
+      const payload =
+        typeof lastDocument?.payload_json === 'string'
+          ? JSON.parse(lastDocument.payload_json)
+          : lastDocument?.payload_json
+      structureRows = Array.isArray(payload?.structure_rows) ? payload.structure_rows : []
+    } catch {
+      structureRows = []
+    }
+    const [selectionRows] = await db.execute(
+      `SELECT selection_key FROM rfq_supplier_line_selections WHERE rfq_supplier_id = ?`,
+      [rfqSupplier.id]
+    )
+    const selectionKeys = new Set(selectionRows.map((row) => row.selection_key).filter(Boolean))
+
+    const mapped = mapReplyRowsToRfqItems(parsed.rows, { activeItems, structureRows, selectionKeys })
+
+    res.json({
+      rfq_id: rfqId,
+      rfq_number: expectedNumber,
+      supplier_id: rfqSupplier.supplier_id,
+      supplier_name: rfqSupplier.supplier_name,
+      recognized_by: { rfq: rfqRecognizedBy, supplier: supplierRecognizedBy },
+      source: {
+        format,
+        file_name: fileName,
+        sender_email: senderEmail,
+        subject: emailSubject,
+        layout: parsed.layout,
+      },
+      header: parsed.header,
+      summary: {
+        total_rows: parsed.rows.length,
+        skipped_without_answer: mapped.skipped,
+        matched: mapped.rows.length,
+        unmatched: mapped.unmatched.length,
+      },
+      unmatched_rows: mapped.unmatched,
+      import_payload: {
+        supplier_id: rfqSupplier.supplier_id,
+        preview: true,
+        note: `Импорт из файла ${fileName}`,
+        rows: mapped.rows,
+      },
+    })
+  } catch (e) {
+    console.error('POST /rfqs/responses/intake error:', e)
+    const statusCode = toId(e?.statusCode) || 500
+    res.status(statusCode).json({ message: statusCode === 500 ? 'Ошибка разбора ответа поставщика' : e.message })
+  }
+}
+
+router.post('/responses/intake', upload.single('file'), intakeSupplierReply)
+router.post('/:id/responses/intake', upload.single('file'), intakeSupplierReply)
+
 // Линейные статусы (запрос/принята цена) по поставщику
 router.get('/:id/suppliers/:supplierId/line-status', async (req, res) => {
   try {
@@ -39,6 +39,7 @@ router.use(
 router.use('/sessions', auth, require('./sessions'))
 router.use('/user-activity', auth, require('./userActivity'))
 router.use('/user-ui-settings', auth, require('./userUiSettings'))
+router.use('/notification-preferences', auth, require('./notificationPreferences'))
 
 router.use('/tabs', auth, require('./tabs'))
 router.use(
@@ -175,6 +176,20 @@ router.use(
   requireMutationCapability('workflow.purchase_orders.manage'),
   require('./purchaseOrders')
 )
+router.use(
+  '/shipments',
+  auth,
+  requireAccessBundle('RFQ_WORKSPACE'),
+  requireMutationCapability('workflow.purchase_orders.manage'),
+  require('./shipments')
+)
+router.use(
+  '/supplier-invoices',
+  auth,
+  requireAccessBundle('RFQ_WORKSPACE'),
+  requireMutationCapability('workflow.purchase_orders.manage'),
+  require('./supplierInvoices')
+)
 router.use('/warehouse', auth, requireAccessBundle('WAREHOUSE'), require('./warehouse'))
 
 // ======================================================
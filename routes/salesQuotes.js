@@ -18,6 +18,7 @@ const {
   defaultCalculatorGlobals,
   normalizeCalculatorGlobals,
 } = require('../utils/commercialCalculator')
+const { loadCatalogPositionDutyRates } = require('../utils/customsPack')
 
 const toId = (v) => {
   const n = Number(v)
@@ -430,8 +431,20 @@ const buildSalesQuoteCalculationPreview = async (conn, revisionId, payload = {})
     warnings.push(`Есть строки в валюте, отличной от валюты КП ${quoteCurrency}: ${mixedCurrencyRows.length}.`)
   }
 
+  // По запросу (use_tnved_duty: true) пошлина по коду ТН ВЭД позиции каталога
+  // заменяет общий customs_pct, если для строки ставка не задана явно.
+  // По умолчанию выключено, чтобы итоги существующих КП не менялись.
+  const useTnvedDuty = payload?.use_tnved_duty === true
+  const dutyRates = useTnvedDuty
+    ? await loadCatalogPositionDutyRates(
+        conn,
+        activeRows.map((row) => row.catalog_position_id)
+      )
+    : new Map()
+
   const missingCostRows = []
   const zeroQtyRows = []
+  const missingTnvedRows = []
   const items = activeRows.map((row) => {
     const lineInput = lineInputMap.get(Number(row.id)) || {}
     const cost = numOrNull(lineInput.purchase_price_eur_per_unit) ?? numOrNull(lineInput.cost) ?? numOrNull(row.cost)
@@ -443,7 +456,11 @@ const buildSalesQuoteCalculationPreview = async (conn, revisionId, payload = {})
       original_cat_number: row.catalog_position_code || row.catalog_manufacturer_part_number,
       note: row.catalog_description,
     }
-    const lineCustomsPct = normalizeRatio(lineInput.customs_pct, lineDefaults.customs_pct)
+    const duty = dutyRates.get(Number(row.catalog_position_id)) || null
+    const tnvedCustomsPct = duty && duty.duty_rate !== null ? duty.duty_rate / 100 : null
+    const explicitCustomsPct = normalizeRatio(lineInput.customs_pct, null)
+    if (useTnvedDuty && explicitCustomsPct === null && tnvedCustomsPct === null) missingTnvedRows.push(row)
+    const lineCustomsPct = explicitCustomsPct ?? tnvedCustomsPct ?? lineDefaults.customs_pct
     const lineFinPct = normalizeRatio(lineInput.nadcen_fin_pct, lineDefaults.nadcen_fin_pct)
     const lineRfPct = normalizeRatio(lineInput.nadcen_rf_pct, lineDefaults.nadcen_rf_pct)
     const weightPerUnit =
@@ -465,12 +482,18 @@ const buildSalesQuoteCalculationPreview = async (conn, revisionId, payload = {})
       nadcen_fin_pct: lineFinPct,
       nadcen_rf_pct: lineRfPct,
       customs_pct: lineCustomsPct,
+      customs_pct_source: explicitCustomsPct !== null ? 'manual' : tnvedCustomsPct !== null ? 'tnved' : 'default',
+      tnved_code: duty?.tnved_code || null,
+      tnved_duty_rate: duty?.duty_rate ?? null,
     }
   })
 
   if (missingCostRows.length) {
     warnings.push(`Строки без закупочной цены посчитаны как 0: ${missingCostRows.length}.`)
   }
+  if (missingTnvedRows.length) {
+    warnings.push(`Строки без ставки пошлины по ТН ВЭД посчитаны по общему customs_pct: ${missingTnvedRows.length}.`)
+  }
   if (zeroQtyRows.length) {
     warnings.push(`Строки с нулевым количеством не влияют на итог: ${zeroQtyRows.length}.`)
   }
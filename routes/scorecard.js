@@ -1,6 +1,13 @@
 const express = require('express')
 const router = express.Router()
 const db = require('../utils/db')
+const {
+  computeSupplierEvaluations,
+  fetchSupplierRanking,
+  isAutoMetric,
+  listAutoMetrics,
+  recalcEvaluationTotal,
+} = require('../utils/supplierScorecard')
 
 const toId = (v) => {
   const n = Number(v)
@@ -16,6 +23,55 @@ const numOrNull = (v) => {
   const n = Number(String(v).replace(',', '.'))
   return Number.isFinite(n) ? n : null
 }
+const parseDateOnly = (v) => {
+  const s = nz(v)
+  if (!s) return null
+  const ru = s.match(/^(\d{2})\.(\d{2})\.(\d{4})$/)
+  const iso = ru ? `${ru[3]}-${ru[2]}-${ru[1]}` : s
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) return null
+  return Number.isNaN(new Date(`${iso}T00:00:00Z`).getTime()) ? null : iso
+}
+const toIdList = (v) => {
+  if (v === undefined || v === null || v === '') return []
+  const list = Array.isArray(v) ? v : String(v).split(',')
+  return [...new Set(list.map(toId).filter(Boolean))]
+}
+const CRITERION_SOURCES = new Set(['manual', 'auto'])
+
+// source/metric критерия: авто-критерий обязан ссылаться на известную метрику
+const normalizeCriterionSource = (body, current = {}) => {
+  const source = nz(body.source) || current.source || 'manual'
+  if (!CRITERION_SOURCES.has(source)) return { error: 'source должен быть manual или auto' }
+  if (source === 'manual') return { source, metric: null }
+  const metric = body.metric !== undefined ? nz(body.metric) : current.metric || null
+  if (!isAutoMetric(metric)) return { error: `Неизвестная метрика: ${metric || '—'}` }
+  return { source, metric }
+}
+
+const loadEvaluation = async (conn, id) => {
+  const [[evaluation]] = await conn.execute(
+    `SELECT e.*, ps.name AS supplier_name, t.name AS template_name
+       FROM supplier_evaluations e
+       JOIN part_suppliers ps ON ps.id = e.supplier_id
+       JOIN scorecard_templates t ON t.id = e.template_id
+      WHERE e.id = ?`,
+    [id]
+  )
+  if (!evaluation) return null
+  const [scores] = await conn.execute(
+    `SELECT s.*, c.code, c.name
+       FROM supplier_evaluation_scores s
+       JOIN scorecard_criteria c ON c.id = s.criterion_id
+      WHERE s.evaluation_id = ?
+      ORDER BY c.id ASC`,
+    [id]
+  )
+  return { ...evaluation, scores }
+}
+
+router.get('/metrics', (_req, res) => {
+  res.json(listAutoMetrics())
+})
 
 router.get('/templates', async (_req, res) => {
   try {
@@ -74,10 +130,13 @@ router.post('/templates/:id/criteria', async (req, res) => {
     if (!code || !name) return res.status(400).json({ message: 'code и name обязательны' })
 
     const weight = numOrNull(req.body.weight) || 0
+    if (weight < 0) return res.status(400).json({ message: 'weight не может быть отрицательным' })
+    const { source, metric, error } = normalizeCriterionSource(req.body)
+    if (error) return res.status(400).json({ message: error })
 
     const [result] = await db.execute(
-      'INSERT INTO scorecard_criteria (template_id, code, name, weight) VALUES (?,?,?,?)',
-      [templateId, code, name, weight]
+      'INSERT INTO scorecard_criteria (template_id, code, name, weight, source, metric) VALUES (?,?,?,?,?,?)',
+      [templateId, code, name, weight, source, metric]
     )
 
     const [[created]] = await db.execute('SELECT * FROM scorecard_criteria WHERE id = ?', [result.insertId])
@@ -88,4 +147,263 @@ router.post('/templates/:id/criteria', async (req, res) => {
   }
 })
 
+router.put('/criteria/:id', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [[current]] = await db.execute('SELECT * FROM scorecard_criteria WHERE id = ?', [id])
+    if (!current) return res.status(404).json({ message: 'Критерий не найден' })
+
+    const code = req.body.code !== undefined ? nz(req.body.code) : current.code
+    const name = req.body.name !== undefined ? nz(req.body.name) : current.name
+    if (!code || !name) return res.status(400).json({ message: 'code и name обязательны' })
+    const weight = req.body.weight !== undefined ? numOrNull(req.body.weight) || 0 : Number(current.weight) || 0
+    if (weight < 0) return res.status(400).json({ message: 'weight не может быть отрицательным' })
+    const { source, metric, error } = normalizeCriterionSource(req.body, current)
+    if (error) return res.status(400).json({ message: error })
+
+    await db.execute(
+      'UPDATE scorecard_criteria SET code = ?, name = ?, weight = ?, source = ?, metric = ? WHERE id = ?',
+      [code, name, weight, source, metric, id]
+    )
+    const [[updated]] = await db.execute('SELECT * FROM scorecard_criteria WHERE id = ?', [id])
+    res.json(updated)
+  } catch (e) {
+    console.error('PUT /scorecard/criteria/:id error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// POST /scorecard/evaluations/compute
+// body: { template_id, period_start, period_end, supplier_ids? }
+// Без supplier_ids — все поставщики, с которыми работали в периоде.
+router.post('/evaluations/compute', async (req, res) => {
+  const templateId = toId(req.body.template_id)
+  const periodStart = parseDateOnly(req.body.period_start)
+  const periodEnd = parseDateOnly(req.body.period_end)
+  if (!templateId) return res.status(400).json({ message: 'template_id обязателен' })
+  if (!periodStart || !periodEnd) {
+    return res.status(400).json({ message: 'period_start и period_end обязательны (YYYY-MM-DD)' })
+  }
+  if (periodStart > periodEnd) {
+    return res.status(400).json({ message: 'period_start не может быть позже period_end' })
+  }
+
+  const conn = await db.getConnection()
+  try {
+    const [[template]] = await conn.execute('SELECT id FROM scorecard_templates WHERE id = ?', [templateId])
+    if (!template) return res.status(404).json({ message: 'Шаблон не найден' })
+
+    await conn.beginTransaction()
+    const summary = await computeSupplierEvaluations(conn, {
+      templateId,
+      periodStart,
+      periodEnd,
+      supplierIds: toIdList(req.body.supplier_ids),
+      userId: toId(req.user?.id),
+    })
+    await conn.commit()
+    res.json({ template_id: templateId, period_start: periodStart, period_end: periodEnd, ...summary })
+  } catch (e) {
+    await conn.rollback().catch(() => {})
+    if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message })
+    console.error('POST /scorecard/evaluations/compute error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+// GET /scorecard/evaluations?template_id&supplier_id&status&period_start&period_end
+router.get('/evaluations', async (req, res) => {
+  try {
+    const where = []
+    const params = []
+    const templateId = toId(req.query.template_id)
+    const supplierId = toId(req.query.supplier_id)
+    const status = nz(req.query.status)
+    const periodStart = parseDateOnly(req.query.period_start)
+    const periodEnd = parseDateOnly(req.query.period_end)
+    if (templateId) {
+      where.push('e.template_id = ?')
+      params.push(templateId)
+    }
+    if (supplierId) {
+      where.push('e.supplier_id = ?')
+      params.push(supplierId)
+    }
+    if (status) {
+      where.push('e.status = ?')
+      params.push(status)
+    }
+    if (periodStart) {
+      where.push('e.period_end >= ?')
+      params.push(periodStart)
+    }
+    if (periodEnd) {
+      where.push('e.period_start <= ?')
+      params.push(periodEnd)
+    }
+
+    const [rows] = await db.execute(
+      `SELECT e.*, ps.name AS supplier_name, t.name AS template_name
+         FROM supplier_evaluations e
+         JOIN part_suppliers ps ON ps.id = e.supplier_id
+         JOIN scorecard_templates t ON t.id = e.template_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY e.period_end DESC, e.total_score DESC, e.id DESC
+        LIMIT 500`,
+      params
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /scorecard/evaluations error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/evaluations/:id', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const evaluation = await loadEvaluation(db, id)
+    if (!evaluation) return res.status(404).json({ message: 'Оценка не найдена' })
+    res.json(evaluation)
+  } catch (e) {
+    console.error('GET /scorecard/evaluations/:id error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// PUT /scorecard/evaluations/:id/scores/:criterionId
+// body: { score: 0..100 | null, comment? } — только для ручных критериев
+router.put('/evaluations/:id/scores/:criterionId', async (req, res) => {
+  const id = toId(req.params.id)
+  const criterionId = toId(req.params.criterionId)
+  if (!id || !criterionId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+  const score = numOrNull(req.body.score)
+  if (req.body.score !== null && req.body.score !== '' && score === null) {
+    return res.status(400).json({ message: 'score должен быть числом' })
+  }
+  if (score !== null && (score < 0 || score > 100)) {
+    return res.status(400).json({ message: 'score должен быть от 0 до 100' })
+  }
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const [[evaluation]] = await conn.execute(
+      'SELECT id, status FROM supplier_evaluations WHERE id = ? FOR UPDATE',
+      [id]
+    )
+    if (!evaluation) {
+      await conn.rollback()
+      return res.status(404).json({ message: 'Оценка не найдена' })
+    }
+    if (evaluation.status === 'final') {
+      await conn.rollback()
+      return res.status(409).json({ message: 'Оценка уже утверждена' })
+    }
+    const [[row]] = await conn.execute(
+      'SELECT id, source FROM supplier_evaluation_scores WHERE evaluation_id = ? AND criterion_id = ?',
+      [id, criterionId]
+    )
+    if (!row) {
+      await conn.rollback()
+      return res.status(404).json({ message: 'Критерий не входит в оценку' })
+    }
+    if (row.source !== 'manual') {
+      await conn.rollback()
+      return res.status(409).json({ message: 'Автоматический критерий нельзя оценить вручную' })
+    }
+
+    await conn.execute(
+      `UPDATE supplier_evaluation_scores
+          SET score = ?, comment = ?, entered_by_user_id = ?, entered_at = NOW()
+        WHERE id = ?`,
+      [score, nz(req.body.comment), toId(req.user?.id), row.id]
+    )
+    await recalcEvaluationTotal(conn, id)
+    await conn.commit()
+    res.json(await loadEvaluation(db, id))
+  } catch (e) {
+    await conn.rollback().catch(() => {})
+    console.error('PUT /scorecard/evaluations/:id/scores/:criterionId error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+// POST /scorecard/evaluations/:id/finalize — после утверждения оценка не пересчитывается
+router.post('/evaluations/:id/finalize', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [result] = await db.execute(
+      `UPDATE supplier_evaluations
+          SET status = 'final', finalized_at = NOW(), finalized_by_user_id = ?, note = COALESCE(?, note)
+        WHERE id = ? AND status = 'draft'`,
+      [toId(req.user?.id), nz(req.body?.note), id]
+    )
+    if (!result.affectedRows) {
+      const [[exists]] = await db.execute('SELECT id FROM supplier_evaluations WHERE id = ?', [id])
+      if (!exists) return res.status(404).json({ message: 'Оценка не найдена' })
+      return res.status(409).json({ message: 'Оценка уже утверждена' })
+    }
+    res.json(await loadEvaluation(db, id))
+  } catch (e) {
+    console.error('POST /scorecard/evaluations/:id/finalize error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// GET /scorecard/suppliers/:supplierId/history?template_id
+router.get('/suppliers/:supplierId/history', async (req, res) => {
+  try {
+    const supplierId = toId(req.params.supplierId)
+    if (!supplierId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const templateId = toId(req.query.template_id)
+
+    const [rows] = await db.execute(
+      `SELECT e.id, e.template_id, t.name AS template_name, e.period_start, e.period_end,
+              e.status, e.total_score, e.scored_weight, e.total_weight, e.computed_at, e.finalized_at
+         FROM supplier_evaluations e
+         JOIN scorecard_templates t ON t.id = e.template_id
+        WHERE e.supplier_id = ?
+          ${templateId ? 'AND e.template_id = ?' : ''}
+        ORDER BY e.period_end DESC, e.id DESC`,
+      templateId ? [supplierId, templateId] : [supplierId]
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /scorecard/suppliers/:supplierId/history error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// GET /scorecard/ranking?template_id&period_start&period_end&supplier_ids=1,2
+// Без периода — последняя оценка каждого поставщика; без шаблона — последний активный.
+router.get('/ranking', async (req, res) => {
+  try {
+    const periodStart = parseDateOnly(req.query.period_start)
+    const periodEnd = parseDateOnly(req.query.period_end)
+    const supplierIds = toIdList(req.query.supplier_ids)
+    const rows = await fetchSupplierRanking(db, {
+      templateId: toId(req.query.template_id),
+      supplierIds: supplierIds.length ? supplierIds : null,
+      periodStart: periodStart && periodEnd ? periodStart : null,
+      periodEnd: periodStart && periodEnd ? periodEnd : null,
+    })
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /scorecard/ranking error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 module.exports = router
@@ -9,6 +9,7 @@ const {
   normalizeSessionId,
   recordUserActivityEvent,
 } = require('../utils/userActivity')
+const { listActiveRefreshFamilies, revokeUserRefreshTokens } = require('../utils/refreshTokenStore')
 
 const isAdmin = (user) =>
   user &&
@@ -204,4 +205,57 @@ router.get('/online', async (req, res) => {
   }
 })
 
+// --------------------------------------------------
+// GET /sessions/users/:userId/refresh-tokens
+// Активные входы пользователя (по одному на цепочку refresh-токенов)
+// --------------------------------------------------
+router.get('/users/:userId/refresh-tokens', async (req, res) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ message: 'Нет доступа' })
+  }
+  const userId = Number(req.params.userId)
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ message: 'Некорректный идентификатор пользователя' })
+  }
+
+  try {
+    res.json(await listActiveRefreshFamilies(userId))
+  } catch (err) {
+    console.error('GET /sessions/users/:userId/refresh-tokens error:', err)
+    res.status(500).json({ message: 'Ошибка сервера при загрузке входов пользователя' })
+  }
+})
+
+// --------------------------------------------------
+// POST /sessions/users/:userId/revoke
+// Принудительный выход: гасит все refresh-токены и закрывает сессии.
+// Уже выданный access-токен доживает свой срок.
+// --------------------------------------------------
+router.post('/users/:userId/revoke', async (req, res) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ message: 'Нет доступа' })
+  }
+  const userId = Number(req.params.userId)
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(400).json({ message: 'Некорректный идентификатор пользователя' })
+  }
+
+  try {
+    const revoked = await revokeUserRefreshTokens(db, userId, 'admin_revoke')
+    await recordUserActivityEvent({
+      sessionId: normalizeSessionId(req.body?.session_id),
+      userId: Number(req.user.id),
+      eventType: 'write_action',
+      path: normalizePath(req.body?.last_path),
+      meta: { source: 'admin_revoke', target_user_id: userId, revoked },
+      ip: getClientIp(req),
+      userAgent: getUserAgent(req),
+    })
+    res.json({ ok: true, revoked })
+  } catch (err) {
+    console.error('POST /sessions/users/:userId/revoke error:', err)
+    res.status(500).json({ message: 'Ошибка сервера при отзыве сессий' })
+  }
+})
+
 module.exports = router
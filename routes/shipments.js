@@ -0,0 +1,500 @@
+const express = require('express')
+const router = express.Router()
+const db = require('../utils/db')
+const logActivity = require('../utils/logActivity')
+const requireAccessBundle = require('../middleware/requireAccessBundle')
+const requireMutationCapability = require('../middleware/requireMutationCapability')
+const { ROUTE_BUNDLES } = require('../utils/accessModel')
+const {
+  SHIPMENT_EVENT_TYPES,
+  compareTransit,
+  createShipmentReceiptDraft,
+  replaceShipmentLines,
+  resolveShipmentRoute,
+  syncShipmentProgress,
+  validateShipmentLines,
+} = require('../utils/shipments')
+const { buildCustomsPack, buildCustomsPackWorkbook } = require('../utils/customsPack')
+
+const toId = (v) => {
+  const n = Number(v)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+const nz = (v) => {
+  if (v === undefined || v === null) return null
+  const s = String(v).trim()
+  return s === '' ? null : s
+}
+const up = (v, n) => {
+  const s = nz(v)
+  return s ? s.toUpperCase().slice(0, n) : null
+}
+const toMysqlDateTime = (value) => {
+  const d = value ? new Date(value) : new Date()
+  if (Number.isNaN(d.getTime())) return null
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+}
+
+// Черновик прихода — это складской документ: готовить его может только тот,
+// у кого есть доступ к складу (маршрут /shipments открыт по RFQ_WORKSPACE).
+const RECEIPT_CAPABILITY = 'workflow.purchase_orders.manage'
+
+const hasWarehouseAccess = async (user) => {
+  if (!user) return false
+  if (user.role === 'admin' || user.role_id === 1 || user.is_admin) return true
+  if (!user.role_id) return false
+  const paths = ROUTE_BUNDLES.WAREHOUSE
+  const placeholders = paths.map(() => '?').join(',')
+  const [rows] = await db.execute(
+    `SELECT 1
+       FROM role_permissions rp
+       JOIN tabs t ON t.id = rp.tab_id
+      WHERE rp.role_id = ?
+        AND rp.can_view = 1
+        AND (t.tab_name IN (${placeholders}) OR t.path IN (${placeholders}))
+      LIMIT 1`,
+    [user.role_id, ...paths, ...paths]
+  )
+  return rows.length > 0
+}
+
+const HEADER_FIELDS = ['carrier', 'awb_number', 'bl_number', 'container_number', 'transport_mode', 'note']
+
+const shipmentSelectSql = `
+  SELECT s.*,
+         ps.name AS supplier_name,
+         rt.name AS route_template_name,
+         wl.name AS warehouse_name,
+         wd.document_no AS receipt_document_no,
+         wd.status AS receipt_document_status,
+         (SELECT COUNT(*) FROM shipment_lines sl WHERE sl.shipment_id = s.id) AS line_count,
+         (SELECT COALESCE(SUM(sl.gross_weight_kg), 0) FROM shipment_lines sl WHERE sl.shipment_id = s.id) AS gross_weight_kg,
+         (SELECT COALESCE(SUM(sl.package_count), 0) FROM shipment_lines sl WHERE sl.shipment_id = s.id) AS package_count
+    FROM shipments s
+    LEFT JOIN part_suppliers ps ON ps.id = s.supplier_id
+    LEFT JOIN logistics_route_templates rt ON rt.id = s.route_template_id
+    LEFT JOIN warehouse_locations wl ON wl.id = s.warehouse_id
+    LEFT JOIN warehouse_documents wd ON wd.id = s.receipt_document_id
+`
+
+const withTransit = (row) => ({
+  ...row,
+  transit: compareTransit({
+    pickedUpAt: row.picked_up_at,
+    deliveredAt: row.delivered_at,
+    etaMinDays: row.eta_min_days,
+    etaMaxDays: row.eta_max_days,
+  }),
+})
+
+const loadShipment = async (conn, id) => {
+  const [[row]] = await conn.execute(`${shipmentSelectSql} WHERE s.id = ?`, [id])
+  return row || null
+}
+
+const loadShipmentDetails = async (conn, id) => {
+  const shipment = await loadShipment(conn, id)
+  if (!shipment) return null
+  const [lines] = await conn.execute(
+    `SELECT sl.*,
+            pol.qty AS ordered_qty,
+            pol.confirmed_arrival_date,
+            pol.supplier_display_part_number_snapshot AS supplier_display_part_number,
+            pol.supplier_display_description_snapshot AS supplier_display_description,
+            po.supplier_reference,
+            po.status AS purchase_order_status
+       FROM shipment_lines sl
+       JOIN supplier_purchase_order_lines pol ON pol.id = sl.supplier_purchase_order_line_id
+       JOIN supplier_purchase_orders po ON po.id = sl.supplier_purchase_order_id
+      WHERE sl.shipment_id = ?
+      ORDER BY sl.id`,
+    [id]
+  )
+  const [events] = await conn.execute(
+    `SELECT e.*, u.full_name AS created_by_name
+       FROM shipment_events e
+       LEFT JOIN users u ON u.id = e.created_by
+      WHERE e.shipment_id = ?
+      ORDER BY e.occurred_at, e.id`,
+    [id]
+  )
+  return { ...withTransit(shipment), lines, events }
+}
+
+const lockShipment = async (conn, id) => {
+  const [[row]] = await conn.execute('SELECT * FROM shipments WHERE id = ? FOR UPDATE', [id])
+  if (!row) throw Object.assign(new Error('Отгрузка не найдена'), { statusCode: 404 })
+  return row
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const where = []
+    const params = []
+    const status = nz(req.query.status)
+    const supplierId = toId(req.query.supplier_id)
+    const poId = toId(req.query.purchase_order_id)
+    const search = nz(req.query.q)
+    if (status) {
+      where.push('s.status = ?')
+      params.push(status)
+    }
+    if (supplierId) {
+      where.push('s.supplier_id = ?')
+      params.push(supplierId)
+    }
+    if (poId) {
+      where.push('EXISTS (SELECT 1 FROM shipment_lines sl2 WHERE sl2.shipment_id = s.id AND sl2.supplier_purchase_order_id = ?)')
+      params.push(poId)
+    }
+    if (search) {
+      where.push('(s.shipment_no LIKE ? OR s.awb_number LIKE ? OR s.bl_number LIKE ? OR s.container_number LIKE ? OR s.carrier LIKE ?)')
+      params.push(...Array(5).fill(`%${search}%`))
+    }
+    const [rows] = await db.execute(
+      `${shipmentSelectSql}
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY s.id DESC
+       LIMIT 500`,
+      params
+    )
+    res.json(rows.map(withTransit))
+  } catch (e) {
+    console.error('GET /shipments error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const details = await loadShipmentDetails(db, id)
+    if (!details) return res.status(404).json({ message: 'Отгрузка не найдена' })
+    res.json(details)
+  } catch (e) {
+    console.error('GET /shipments/:id error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/customs-pack', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const currency = String(req.query.currency || '').trim().toUpperCase()
+    const pack = await buildCustomsPack(db, {
+      shipmentId: id,
+      ...(/^[A-Z]{3}$/.test(currency) ? { currency } : {}),
+    })
+    res.json(pack)
+  } catch (e) {
+    console.error('GET /shipments/:id/customs-pack error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id/customs-pack/xlsx', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const currency = String(req.query.currency || '').trim().toUpperCase()
+    const pack = await buildCustomsPack(db, {
+      shipmentId: id,
+      ...(/^[A-Z]{3}$/.test(currency) ? { currency } : {}),
+    })
+    const buffer = await buildCustomsPackWorkbook(pack)
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    res.setHeader('Content-Disposition', `attachment; filename="customs_pack_shipment_${id}.xlsx"`)
+    res.send(buffer)
+  } catch (e) {
+    console.error('GET /shipments/:id/customs-pack/xlsx error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка формирования таможенного пакета' })
+  }
+})
+
+router.post('/', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const lines = await validateShipmentLines(conn, req.body?.lines)
+    const supplierIds = [...new Set(lines.map((line) => line.supplier_id))]
+    const route = await resolveShipmentRoute(conn, {
+      routeTemplateId: req.body?.route_template_id,
+      shipmentGroupRouteId: lines.find((line) => line.shipment_group_route_id)?.shipment_group_route_id,
+    })
+
+    const [ins] = await conn.execute(
+      `INSERT INTO shipments
+        (supplier_id, route_template_id, shipment_group_route_id, transport_mode, carrier,
+         awb_number, bl_number, container_number, origin_country, destination_country,
+         eta_min_days, eta_max_days, planned_pickup_date, warehouse_id, storage_place_id, note, created_by)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+      [
+        supplierIds.length === 1 ? supplierIds[0] : null,
+        route.route_template_id,
+        route.shipment_group_route_id,
+        nz(req.body?.transport_mode) || route.transport_mode,
+        nz(req.body?.carrier),
+        up(req.body?.awb_number, 60),
+        up(req.body?.bl_number, 60),
+        up(req.body?.container_number, 30),
+        up(req.body?.origin_country, 2) || route.origin_country,
+        up(req.body?.destination_country, 2) || route.destination_country,
+        route.eta_min_days,
+        route.eta_max_days,
+        nz(req.body?.planned_pickup_date),
+        toId(req.body?.warehouse_id),
+        toId(req.body?.storage_place_id),
+        nz(req.body?.note),
+        toId(req.user?.id),
+      ]
+    )
+    const shipmentId = ins.insertId
+    await conn.execute('UPDATE shipments SET shipment_no = ? WHERE id = ?', [
+      `SH-${String(shipmentId).padStart(6, '0')}`,
+      shipmentId,
+    ])
+    await replaceShipmentLines(conn, shipmentId, lines)
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'create',
+      entity_type: 'shipments',
+      entity_id: shipmentId,
+      comment: `Создана отгрузка (${lines.length} строк PO)`,
+    })
+    res.status(201).json(await loadShipmentDetails(db, shipmentId))
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /shipments error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const [[existing]] = await db.execute('SELECT * FROM shipments WHERE id = ?', [id])
+    if (!existing) return res.status(404).json({ message: 'Отгрузка не найдена' })
+    if (existing.status === 'cancelled') return res.status(409).json({ message: 'Отгрузка отменена' })
+
+    const hasOwn = (key) => Object.prototype.hasOwnProperty.call(req.body || {}, key)
+    const sets = []
+    const params = []
+    for (const field of HEADER_FIELDS) {
+      if (!hasOwn(field)) continue
+      sets.push(`${field} = ?`)
+      params.push(
+        field.endsWith('_number') ? up(req.body[field], field === 'container_number' ? 30 : 60) : nz(req.body[field])
+      )
+    }
+    for (const field of ['warehouse_id', 'storage_place_id']) {
+      if (!hasOwn(field)) continue
+      sets.push(`${field} = ?`)
+      params.push(toId(req.body[field]))
+    }
+    if (hasOwn('planned_pickup_date')) {
+      sets.push('planned_pickup_date = ?')
+      params.push(nz(req.body.planned_pickup_date))
+    }
+    if (!sets.length) return res.status(400).json({ message: 'Нет изменений' })
+
+    await db.execute(`UPDATE shipments SET ${sets.join(', ')} WHERE id = ?`, [...params, id])
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'shipments',
+      entity_id: id,
+      comment: 'Обновлена отгрузка',
+    })
+    res.json(await loadShipmentDetails(db, id))
+  } catch (e) {
+    console.error('PATCH /shipments/:id error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.put('/:id/lines', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    await conn.beginTransaction()
+    const shipment = await lockShipment(conn, id)
+    if (shipment.status !== 'planned') {
+      throw Object.assign(new Error('Состав можно менять только до забора груза'), { statusCode: 409 })
+    }
+    const lines = await validateShipmentLines(conn, req.body?.lines, { excludeShipmentId: id })
+    await replaceShipmentLines(conn, id, lines)
+    const supplierIds = [...new Set(lines.map((line) => line.supplier_id))]
+    await conn.execute('UPDATE shipments SET supplier_id = ? WHERE id = ?', [
+      supplierIds.length === 1 ? supplierIds[0] : null,
+      id,
+    ])
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'shipments',
+      entity_id: id,
+      field_changed: 'lines',
+      comment: `Изменён состав отгрузки (${lines.length} строк PO)`,
+    })
+    res.json(await loadShipmentDetails(db, id))
+  } catch (e) {
+    await conn.rollback()
+    console.error('PUT /shipments/:id/lines error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+// POST /shipments/:id/events
+// body: { milestone, occurred_at?, location?, note?, warehouse_id?, storage_place_id? }
+// Веха delivered готовит черновик прихода, если известен склад получения.
+router.post('/:id/events', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const milestone = nz(req.body?.milestone)
+    if (!SHIPMENT_EVENT_TYPES.has(milestone)) {
+      return res.status(400).json({ message: 'Некорректная веха отгрузки' })
+    }
+    const occurredAt = toMysqlDateTime(req.body?.occurred_at)
+    if (!occurredAt) return res.status(400).json({ message: 'Некорректная дата события' })
+
+    await conn.beginTransaction()
+    let shipment = await lockShipment(conn, id)
+    if (shipment.status === 'cancelled') {
+      throw Object.assign(new Error('Отгрузка отменена'), { statusCode: 409 })
+    }
+    await conn.execute(
+      `INSERT INTO shipment_events (shipment_id, milestone, occurred_at, location, note, created_by)
+       VALUES (?,?,?,?,?,?)`,
+      [id, milestone, occurredAt, nz(req.body?.location), nz(req.body?.note), toId(req.user?.id)]
+    )
+    const warehouseId = toId(req.body?.warehouse_id)
+    if (warehouseId) {
+      await conn.execute('UPDATE shipments SET warehouse_id = ?, storage_place_id = ? WHERE id = ?', [
+        warehouseId,
+        toId(req.body?.storage_place_id),
+        id,
+      ])
+    }
+    await syncShipmentProgress(conn, id)
+    shipment = await lockShipment(conn, id)
+
+    let receipt = null
+    let receiptWarning = null
+    if (milestone === 'delivered' && shipment.status === 'delivered' && !shipment.receipt_document_id) {
+      if (!(await hasWarehouseAccess(req.user))) {
+        receiptWarning = 'Нет доступа к складу: черновик прихода не создан'
+      } else if (shipment.warehouse_id) {
+        receipt = await createShipmentReceiptDraft(conn, shipment, { userId: toId(req.user?.id) })
+      } else {
+        receiptWarning = 'Склад получения не указан: черновик прихода не создан'
+      }
+    }
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'shipments',
+      entity_id: id,
+      field_changed: 'status',
+      new_value: shipment.status,
+      comment: `Веха отгрузки: ${milestone}${receipt ? `, подготовлен приход ${receipt.document.document_no}` : ''}`,
+    })
+    res.status(201).json({
+      shipment: await loadShipmentDetails(db, id),
+      receipt,
+      receipt_warning: receiptWarning,
+    })
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /shipments/:id/events error:', e)
+    res.status(e?.statusCode || e?.status || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.post(
+  '/:id/receipt',
+  requireAccessBundle('WAREHOUSE'),
+  requireMutationCapability(RECEIPT_CAPABILITY),
+  async (req, res) => {
+    const conn = await db.getConnection()
+    try {
+      const id = toId(req.params.id)
+      if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+      await conn.beginTransaction()
+      const shipment = await lockShipment(conn, id)
+      if (shipment.status !== 'delivered') {
+        throw Object.assign(new Error('Приход готовится только по доставленной отгрузке'), { statusCode: 409 })
+      }
+      const receipt = await createShipmentReceiptDraft(
+        conn,
+        {
+          ...shipment,
+          warehouse_id: toId(req.body?.warehouse_id) || shipment.warehouse_id,
+          storage_place_id: toId(req.body?.storage_place_id) || shipment.storage_place_id,
+        },
+        { userId: toId(req.user?.id) }
+      )
+      await conn.commit()
+      res.status(201).json(receipt)
+    } catch (e) {
+      await conn.rollback()
+      console.error('POST /shipments/:id/receipt error:', e)
+      res.status(e?.statusCode || e?.status || 500).json({ message: e?.message || 'Ошибка сервера' })
+    } finally {
+      conn.release()
+    }
+  }
+)
+
+router.post('/:id/cancel', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    await conn.beginTransaction()
+    const shipment = await lockShipment(conn, id)
+    if (['delivered', 'cancelled'].includes(shipment.status)) {
+      throw Object.assign(new Error('Доставленную или отменённую отгрузку отменить нельзя'), { statusCode: 409 })
+    }
+    await conn.execute("UPDATE shipments SET status = 'cancelled' WHERE id = ?", [id])
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'shipments',
+      entity_id: id,
+      field_changed: 'status',
+      old_value: shipment.status,
+      new_value: 'cancelled',
+      comment: nz(req.body?.reason) ? `Отгрузка отменена: ${nz(req.body.reason)}` : 'Отгрузка отменена',
+    })
+    res.json(await loadShipmentDetails(db, id))
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /shipments/:id/cancel error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+module.exports = router
@@ -0,0 +1,507 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const path = require('path')
+const db = require('../utils/db')
+const logActivity = require('../utils/logActivity')
+const { bucket, bucketName } = require('../utils/gcsClient')
+const {
+  EDITABLE_INVOICE_STATUSES,
+  normalizeInvoiceLines,
+  replaceInvoiceLines,
+  resolveTolerances,
+  runThreeWayMatch,
+} = require('../utils/supplierInvoices')
+
+const toId = (v) => {
+  const n = Number(v)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+const nz = (v) => {
+  if (v === undefined || v === null) return null
+  const s = String(v).trim()
+  return s === '' ? null : s
+}
+const numOrNull = (v) => {
+  if (v === undefined || v === null || v === '') return null
+  const n = Number(String(v).replace(',', '.'))
+  return Number.isFinite(n) ? n : null
+}
+const parseDateOnly = (v) => {
+  const s = nz(v)
+  if (!s || !/^\d{4}-\d{2}-\d{2}$/.test(s)) return null
+  return s
+}
+const normCurrency = (v) => {
+  const s = nz(v)
+  return s && /^[A-Za-z]{3}$/.test(s) ? s.toUpperCase() : null
+}
+const parseIssues = (value) => {
+  if (!value) return []
+  if (Array.isArray(value)) return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return []
+  }
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+})
+
+const SCAN_TYPES = new Set(['application/pdf', 'image/png', 'image/jpeg', 'image/webp', 'image/tiff'])
+
+const invoiceSelectSql = `
+  SELECT si.*,
+         ps.name AS supplier_name,
+         approver.full_name AS approved_by_name,
+         (SELECT COUNT(*) FROM supplier_invoice_lines sil WHERE sil.supplier_invoice_id = si.id) AS line_count,
+         (SELECT COALESCE(SUM(sil.amount), 0) FROM supplier_invoice_lines sil WHERE sil.supplier_invoice_id = si.id) AS lines_total,
+         (
+           SELECT COUNT(*)
+             FROM supplier_invoice_lines sil
+            WHERE sil.supplier_invoice_id = si.id
+              AND sil.match_status = 'variance'
+         ) AS variance_lines
+    FROM supplier_invoices si
+    JOIN part_suppliers ps ON ps.id = si.supplier_id
+    LEFT JOIN users approver ON approver.id = si.approved_by
+`
+
+const loadInvoiceDetails = async (conn, id) => {
+  const [[invoice]] = await conn.execute(`${invoiceSelectSql} WHERE si.id = ?`, [id])
+  if (!invoice) return null
+  const [lines] = await conn.execute(
+    `SELECT sil.*,
+            pol.supplier_display_part_number_snapshot AS supplier_display_part_number,
+            pol.supplier_display_description_snapshot AS supplier_display_description,
+            po.supplier_reference
+       FROM supplier_invoice_lines sil
+       JOIN supplier_purchase_order_lines pol ON pol.id = sil.supplier_purchase_order_line_id
+       JOIN supplier_purchase_orders po ON po.id = sil.supplier_purchase_order_id
+      WHERE sil.supplier_invoice_id = ?
+      ORDER BY sil.id`,
+    [id]
+  )
+  return {
+    ...invoice,
+    tolerances: resolveTolerances(invoice),
+    lines: lines.map(({ match_issues_json, ...line }) => ({ ...line, match_issues: parseIssues(match_issues_json) })),
+  }
+}
+
+const lockInvoice = async (conn, id) => {
+  const [[row]] = await conn.execute('SELECT * FROM supplier_invoices WHERE id = ? FOR UPDATE', [id])
+  if (!row) throw Object.assign(new Error('Счёт поставщика не найден'), { statusCode: 404 })
+  return row
+}
+
+const duplicateNumberError = (e) =>
+  e?.code === 'ER_DUP_ENTRY'
+    ? Object.assign(new Error('Счёт с таким номером у поставщика уже зарегистрирован'), { statusCode: 409 })
+    : e
+
+router.get('/', async (req, res) => {
+  try {
+    const where = []
+    const params = []
+    const status = nz(req.query.status)
+    const supplierId = toId(req.query.supplier_id)
+    const poId = toId(req.query.purchase_order_id)
+    const search = nz(req.query.q)
+    if (status) {
+      where.push('si.status = ?')
+      params.push(status)
+    }
+    if (supplierId) {
+      where.push('si.supplier_id = ?')
+      params.push(supplierId)
+    }
+    if (poId) {
+      where.push(
+        'EXISTS (SELECT 1 FROM supplier_invoice_lines sil2 WHERE sil2.supplier_invoice_id = si.id AND sil2.supplier_purchase_order_id = ?)'
+      )
+      params.push(poId)
+    }
+    if (search) {
+      where.push('(si.invoice_number LIKE ? OR ps.name LIKE ?)')
+      params.push(`%${search}%`, `%${search}%`)
+    }
+    const [rows] = await db.execute(
+      `${invoiceSelectSql}
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY si.invoice_date DESC, si.id DESC
+       LIMIT 500`,
+      params
+    )
+    res.json(rows)
+  } catch (e) {
+    console.error('GET /supplier-invoices error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.get('/:id', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const details = await loadInvoiceDetails(db, id)
+    if (!details) return res.status(404).json({ message: 'Счёт поставщика не найден' })
+    res.json(details)
+  } catch (e) {
+    console.error('GET /supplier-invoices/:id error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// POST /supplier-invoices
+// body: { supplier_id | purchase_order_id, invoice_number, invoice_date, due_date?, currency?,
+//         total_amount?, price_tolerance_pct?, qty_tolerance_pct?, note?, lines[] }
+// Если строки переданы, счёт сразу сопоставляется с PO и приходами.
+router.post('/', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const invoiceNumber = nz(req.body?.invoice_number)
+    const invoiceDate = parseDateOnly(req.body?.invoice_date)
+    if (!invoiceNumber) return res.status(400).json({ message: 'Укажите номер счёта' })
+    if (!invoiceDate) return res.status(400).json({ message: 'Укажите дату счёта (YYYY-MM-DD)' })
+
+    await conn.beginTransaction()
+    let supplierId = toId(req.body?.supplier_id)
+    let currency = normCurrency(req.body?.currency)
+    const poId = toId(req.body?.purchase_order_id)
+    if (poId) {
+      const [[po]] = await conn.execute('SELECT id, supplier_id, currency FROM supplier_purchase_orders WHERE id = ?', [poId])
+      if (!po) throw Object.assign(new Error('PO не найден'), { statusCode: 404 })
+      if (supplierId && supplierId !== Number(po.supplier_id)) {
+        throw Object.assign(new Error('PO выставлен другому поставщику'), { statusCode: 400 })
+      }
+      supplierId = Number(po.supplier_id)
+      currency = currency || normCurrency(po.currency)
+    }
+    if (!supplierId) throw Object.assign(new Error('Укажите поставщика или PO'), { statusCode: 400 })
+    if (!currency) throw Object.assign(new Error('Укажите валюту счёта'), { statusCode: 400 })
+
+    const lines = await normalizeInvoiceLines(conn, supplierId, req.body?.lines)
+    const [ins] = await conn.execute(
+      `INSERT INTO supplier_invoices
+        (supplier_id, invoice_number, invoice_date, due_date, currency, total_amount,
+         price_tolerance_pct, qty_tolerance_pct, note, created_by)
+       VALUES (?,?,?,?,?,?,?,?,?,?)`,
+      [
+        supplierId,
+        invoiceNumber.slice(0, 80),
+        invoiceDate,
+        parseDateOnly(req.body?.due_date),
+        currency,
+        numOrNull(req.body?.total_amount),
+        numOrNull(req.body?.price_tolerance_pct),
+        numOrNull(req.body?.qty_tolerance_pct),
+        nz(req.body?.note),
+        toId(req.user?.id),
+      ]
+    )
+    const invoiceId = ins.insertId
+    let match = null
+    if (lines.length) {
+      await replaceInvoiceLines(conn, invoiceId, lines)
+      match = await runThreeWayMatch(conn, invoiceId)
+    }
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'create',
+      entity_type: 'supplier_invoices',
+      entity_id: invoiceId,
+      comment: `Зарегистрирован счёт поставщика ${invoiceNumber}${match ? ` (${match.status})` : ''}`,
+    })
+    res.status(201).json(await loadInvoiceDetails(db, invoiceId))
+  } catch (e) {
+    await conn.rollback()
+    const err = duplicateNumberError(e)
+    console.error('POST /supplier-invoices error:', e)
+    res.status(err?.statusCode || 500).json({ message: err?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.put('/:id', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    await conn.beginTransaction()
+    const invoice = await lockInvoice(conn, id)
+    if (!EDITABLE_INVOICE_STATUSES.has(invoice.status)) {
+      throw Object.assign(new Error('Счёт уже утверждён к оплате или отменён'), { statusCode: 409 })
+    }
+
+    const hasOwn = (key) => Object.prototype.hasOwnProperty.call(req.body || {}, key)
+    const sets = []
+    const params = []
+    if (hasOwn('invoice_number')) {
+      const invoiceNumber = nz(req.body.invoice_number)
+      if (!invoiceNumber) throw Object.assign(new Error('Укажите номер счёта'), { statusCode: 400 })
+      sets.push('invoice_number = ?')
+      params.push(invoiceNumber.slice(0, 80))
+    }
+    if (hasOwn('invoice_date')) {
+      const invoiceDate = parseDateOnly(req.body.invoice_date)
+      if (!invoiceDate) throw Object.assign(new Error('Укажите дату счёта (YYYY-MM-DD)'), { statusCode: 400 })
+      sets.push('invoice_date = ?')
+      params.push(invoiceDate)
+    }
+    if (hasOwn('due_date')) {
+      sets.push('due_date = ?')
+      params.push(parseDateOnly(req.body.due_date))
+    }
+    if (hasOwn('currency')) {
+      const currency = normCurrency(req.body.currency)
+      if (!currency) throw Object.assign(new Error('Укажите валюту счёта'), { statusCode: 400 })
+      sets.push('currency = ?')
+      params.push(currency)
+    }
+    for (const field of ['total_amount', 'price_tolerance_pct', 'qty_tolerance_pct']) {
+      if (!hasOwn(field)) continue
+      sets.push(`${field} = ?`)
+      params.push(numOrNull(req.body[field]))
+    }
+    if (hasOwn('note')) {
+      sets.push('note = ?')
+      params.push(nz(req.body.note))
+    }
+    if (sets.length) {
+      await conn.execute(`UPDATE supplier_invoices SET ${sets.join(', ')} WHERE id = ?`, [...params, id])
+    }
+    if (hasOwn('lines')) {
+      const lines = await normalizeInvoiceLines(conn, invoice.supplier_id, req.body.lines)
+      await replaceInvoiceLines(conn, id, lines)
+    }
+
+    const [[{ line_count: lineCount }]] = await conn.execute(
+      'SELECT COUNT(*) AS line_count FROM supplier_invoice_lines WHERE supplier_invoice_id = ?',
+      [id]
+    )
+    if (Number(lineCount) > 0) {
+      await runThreeWayMatch(conn, id)
+    } else {
+      await conn.execute("UPDATE supplier_invoices SET status = 'draft', matched_at = NULL WHERE id = ?", [id])
+    }
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'supplier_invoices',
+      entity_id: id,
+      comment: 'Обновлён счёт поставщика',
+    })
+    res.json(await loadInvoiceDetails(db, id))
+  } catch (e) {
+    await conn.rollback()
+    const err = duplicateNumberError(e)
+    console.error('PUT /supplier-invoices/:id error:', e)
+    res.status(err?.statusCode || 500).json({ message: err?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+// Повторная сверка, например после проведения новых приходов по PO.
+router.post('/:id/match', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    await conn.beginTransaction()
+    const match = await runThreeWayMatch(conn, id)
+    await conn.commit()
+
+    if (match.previous_status !== match.status) {
+      await logActivity({
+        req,
+        action: 'update',
+        entity_type: 'supplier_invoices',
+        entity_id: id,
+        field_changed: 'status',
+        old_value: match.previous_status,
+        new_value: match.status,
+        comment: 'Счёт поставщика пересопоставлен с PO и приходами',
+      })
+    }
+    res.json(await loadInvoiceDetails(db, id))
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /supplier-invoices/:id/match error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.post('/:id/dispute', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const reason = nz(req.body?.reason)
+    if (!reason) return res.status(400).json({ message: 'Укажите причину спора' })
+
+    const [[invoice]] = await db.execute('SELECT id, status FROM supplier_invoices WHERE id = ?', [id])
+    if (!invoice) return res.status(404).json({ message: 'Счёт поставщика не найден' })
+    if (!['matched', 'disputed'].includes(invoice.status)) {
+      return res.status(409).json({ message: 'Оспорить можно только сопоставленный счёт' })
+    }
+    await db.execute("UPDATE supplier_invoices SET status = 'disputed', dispute_reason = ? WHERE id = ?", [
+      reason.slice(0, 500),
+      id,
+    ])
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'supplier_invoices',
+      entity_id: id,
+      field_changed: 'status',
+      old_value: invoice.status,
+      new_value: 'disputed',
+      comment: `Счёт поставщика оспорен: ${reason}`,
+    })
+    res.json(await loadInvoiceDetails(db, id))
+  } catch (e) {
+    console.error('POST /supplier-invoices/:id/dispute error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+// POST /supplier-invoices/:id/approve
+// body: { note?, override_reason? }
+// Оспоренный счёт утверждается только с обоснованием (override_reason).
+router.post('/:id/approve', async (req, res) => {
+  const conn = await db.getConnection()
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    await conn.beginTransaction()
+    const invoice = await lockInvoice(conn, id)
+    const overrideReason = nz(req.body?.override_reason)
+    if (invoice.status === 'disputed' && !overrideReason) {
+      throw Object.assign(new Error('Счёт с расхождениями утверждается только с обоснованием'), { statusCode: 409 })
+    }
+    if (!['matched', 'disputed'].includes(invoice.status)) {
+      throw Object.assign(new Error('К оплате утверждается только сопоставленный счёт'), { statusCode: 409 })
+    }
+    const note = [nz(req.body?.note), overrideReason ? `Утверждён с расхождениями: ${overrideReason}` : null]
+      .filter(Boolean)
+      .join('; ')
+    await conn.execute(
+      `UPDATE supplier_invoices
+          SET status = 'approved_for_payment',
+              approved_by = ?,
+              approved_at = NOW(),
+              approval_note = ?
+        WHERE id = ?`,
+      [toId(req.user?.id), note ? note.slice(0, 500) : null, id]
+    )
+    await conn.commit()
+
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'supplier_invoices',
+      entity_id: id,
+      field_changed: 'status',
+      old_value: invoice.status,
+      new_value: 'approved_for_payment',
+      comment: note ? `Счёт утверждён к оплате: ${note}` : 'Счёт утверждён к оплате',
+    })
+    res.json(await loadInvoiceDetails(db, id))
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /supplier-invoices/:id/approve error:', e)
+    res.status(e?.statusCode || 500).json({ message: e?.message || 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const [[invoice]] = await db.execute('SELECT id, status FROM supplier_invoices WHERE id = ?', [id])
+    if (!invoice) return res.status(404).json({ message: 'Счёт поставщика не найден' })
+    if (invoice.status === 'cancelled') return res.status(409).json({ message: 'Счёт уже отменён' })
+
+    await db.execute("UPDATE supplier_invoices SET status = 'cancelled' WHERE id = ?", [id])
+    const reason = nz(req.body?.reason)
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'supplier_invoices',
+      entity_id: id,
+      field_changed: 'status',
+      old_value: invoice.status,
+      new_value: 'cancelled',
+      comment: reason ? `Счёт поставщика отменён: ${reason}` : 'Счёт поставщика отменён',
+    })
+    res.json(await loadInvoiceDetails(db, id))
+  } catch (e) {
+    console.error('POST /supplier-invoices/:id/cancel error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.post('/:id/scan', upload.single('file'), async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    if (!bucket || !bucketName) return res.status(500).json({ message: 'GCS бакет не настроен на сервере' })
+
+    const [[invoice]] = await db.execute('SELECT id, supplier_id, invoice_number FROM supplier_invoices WHERE id = ?', [id])
+    if (!invoice) return res.status(404).json({ message: 'Счёт поставщика не найден' })
+
+    const file = req.file
+    if (!file) return res.status(400).json({ message: 'Файл не загружен' })
+    if (!SCAN_TYPES.has(file.mimetype)) {
+      return res.status(415).json({ message: `Недопустимый тип файла: ${file.mimetype}` })
+    }
+
+    const ext = path.extname(file.originalname || '') || ''
+    const rawBase = path.basename(file.originalname || 'supplier-invoice', ext)
+    const safeBase = rawBase.replace(/[^\w-]+/g, '_').slice(0, 100) || 'supplier-invoice'
+    const objectPath = ['supplier-invoices', String(invoice.supplier_id), String(id), `${Date.now()}_${safeBase}${ext}`]
+      .map((seg) => encodeURIComponent(seg))
+      .join('/')
+
+    await bucket.file(objectPath).save(file.buffer, {
+      resumable: false,
+      metadata: { contentType: file.mimetype },
+    })
+
+    const publicUrl = `https://storage.googleapis.com/${bucketName}/${objectPath}`
+    await db.execute(
+      `UPDATE supplier_invoices
+          SET scan_file_url = ?, scan_file_name = ?, scan_file_type = ?, scan_file_size = ?
+        WHERE id = ?`,
+      [publicUrl, file.originalname || null, file.mimetype, file.size, id]
+    )
+
+    await logActivity({
+      req,
+      action: 'upload_document',
+      entity_type: 'supplier_invoices',
+      entity_id: id,
+      comment: `Загружен скан счёта ${invoice.invoice_number} "${file.originalname || ''}"`,
+    })
+    res.status(201).json(await loadInvoiceDetails(db, id))
+  } catch (e) {
+    console.error('POST /supplier-invoices/:id/scan error:', e)
+    res.status(500).json({ message: 'Ошибка загрузки скана счёта' })
+  }
+})
+
+module.exports = router
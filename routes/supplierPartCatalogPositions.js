@@ -4,6 +4,7 @@ const router = express.Router()
 const db = require('../utils/db')
 const logActivity = require('../utils/logActivity')
 const { createTrashEntry } = require('../utils/trashStore')
+const { latestValidPriceJoinSql } = require('../utils/supplierPriceLists')
 
 const toId = (v) => {
   const n = Number(v)
@@ -108,21 +109,11 @@ router.get('/of-position', async (req, res) => {
       FROM supplier_part_catalog_positions spcp
       JOIN supplier_parts sp ON sp.id = spcp.supplier_part_id
       JOIN part_suppliers ps ON ps.id = sp.supplier_id
-      LEFT JOIN (
-        SELECT spp1.*
-        FROM supplier_part_prices spp1
-        JOIN (
-          SELECT supplier_part_id, MAX(id) AS max_id
-          FROM supplier_part_prices
-          GROUP BY supplier_part_id
-        ) latest
-          ON latest.supplier_part_id = spp1.supplier_part_id
-         AND latest.max_id = spp1.id
-      ) spp ON spp.supplier_part_id = sp.id
+      ${latestValidPriceJoinSql({ alias: 'spp', partIdExpr: 'sp.id' })}
       WHERE spcp.catalog_position_id = ?
       ORDER BY spcp.is_preferred DESC, ps.name, sp.supplier_part_number
       `,
-      [catalogPositionId]
+      [new Date(), catalogPositionId]
     )
 
     res.json(rows)
@@ -4,6 +4,7 @@ const router = express.Router()
 const db = require('../utils/db')
 const logActivity = require('../utils/logActivity')
 const { createTrashEntry } = require('../utils/trashStore')
+const { fetchPriceHistory } = require('../utils/priceAnalytics')
 
 // helpers
 const toId = (v) => {
@@ -555,4 +556,118 @@ router.get('/latest', async (req, res) => {
   }
 })
 
+/** HISTORY: GET /supplier-part-prices/history?supplier_part_id= | catalog_position_id= */
+router.get('/history', async (req, res) => {
+  try {
+    const supplierPartId = toId(req.query.supplier_part_id)
+    const catalogPositionId = toId(req.query.catalog_position_id)
+    if (!supplierPartId && !catalogPositionId) {
+      return res.status(400).json({ message: 'Нужно выбрать деталь поставщика или позицию каталога' })
+    }
+    const dateFrom = parseDate(req.query.date_from)
+    const dateTo = parseDate(req.query.date_to)
+    if (req.query.date_from && !dateFrom) {
+      return res.status(400).json({ message: 'Некорректная дата в date_from' })
+    }
+    if (req.query.date_to && !dateTo) {
+      return res.status(400).json({ message: 'Некорректная дата в date_to' })
+    }
+    const currency = normCurrency(req.query.currency)
+
+    const history = await fetchPriceHistory(db, {
+      supplierPartId,
+      catalogPositionId: supplierPartId ? null : catalogPositionId,
+      dateFrom,
+      dateTo,
+      ...(currency ? { currency } : {}),
+    })
+    res.json(history)
+  } catch (err) {
+    console.error('GET /supplier-part-prices/history error:', err)
+    res.status(err?.statusCode || 500).json({ message: err?.statusCode ? err.message : 'Ошибка сервера' })
+  }
+})
+
+/** ANOMALIES: GET /supplier-part-prices/anomalies?status=open&supplier_id= */
+router.get('/anomalies', async (req, res) => {
+  try {
+    const where = []
+    const params = []
+    const status = nz(req.query.status)
+    if (status) {
+      if (!['open', 'reviewed'].includes(status)) {
+        return res.status(400).json({ message: 'Некорректный статус' })
+      }
+      where.push('a.status = ?')
+      params.push(status)
+    }
+    const supplierId = toId(req.query.supplier_id)
+    if (supplierId) {
+      where.push('sp.supplier_id = ?')
+      params.push(supplierId)
+    }
+    const supplierPartId = toId(req.query.supplier_part_id)
+    if (supplierPartId) {
+      where.push('a.supplier_part_id = ?')
+      params.push(supplierPartId)
+    }
+
+    const [rows] = await db.execute(
+      `SELECT a.*,
+              spp.price,
+              spp.currency AS price_currency,
+              spp.date AS price_date,
+              spp.source_subtype,
+              spp.source_id,
+              sp.supplier_part_number,
+              sp.supplier_id,
+              ps.name AS supplier_name
+         FROM supplier_part_price_anomalies a
+         JOIN supplier_part_prices spp ON spp.id = a.supplier_part_price_id
+         JOIN supplier_parts sp ON sp.id = a.supplier_part_id
+         JOIN part_suppliers ps ON ps.id = sp.supplier_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY a.id DESC
+        LIMIT 500`,
+      params
+    )
+    res.json(rows)
+  } catch (err) {
+    console.error('GET /supplier-part-prices/anomalies error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+/** REVIEW ANOMALY: POST /supplier-part-prices/anomalies/:id/review */
+router.post('/anomalies/:id/review', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+
+    const [result] = await db.execute(
+      `UPDATE supplier_part_price_anomalies
+          SET status = 'reviewed',
+              review_note = ?,
+              reviewed_by_user_id = ?,
+              reviewed_at = NOW()
+        WHERE id = ?`,
+      [nz(req.body?.note), toId(req.user?.id), id]
+    )
+    if (!result.affectedRows) return res.status(404).json({ message: 'Отметка не найдена' })
+
+    const [[row]] = await db.execute('SELECT * FROM supplier_part_price_anomalies WHERE id = ?', [id])
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'supplier_parts',
+      entity_id: row.supplier_part_id,
+      comment: `Проверена аномальная цена (price_id=${row.supplier_part_price_id})`,
+    })
+    res.json(row)
+  } catch (err) {
+    console.error('POST /supplier-part-prices/anomalies/:id/review error:', err)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 module.exports = router
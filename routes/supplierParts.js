@@ -5,6 +5,7 @@ const db = require('../utils/db')
 const logActivity = require('../utils/logActivity')
 const { createTrashEntry, createTrashEntryItem } = require('../utils/trashStore')
 const { normalizeUom } = require('../utils/uom')
+const { latestValidPriceJoinSql } = require('../utils/supplierPriceLists')
 
 const toId = (v) => {
   const n = Number(v)
@@ -135,17 +136,7 @@ router.get('/search-lite', async (req, res) => {
         COALESCE(spp.offer_type, sp.part_type) AS part_type
       FROM supplier_parts sp
       JOIN part_suppliers ps ON ps.id = sp.supplier_id
-      LEFT JOIN (
-        SELECT spp1.*
-        FROM supplier_part_prices spp1
-        JOIN (
-          SELECT supplier_part_id, MAX(id) AS max_id
-          FROM supplier_part_prices
-          GROUP BY supplier_part_id
-        ) latest
-          ON latest.supplier_part_id = spp1.supplier_part_id
-         AND latest.max_id = spp1.id
-      ) spp ON spp.supplier_part_id = sp.id
+      ${latestValidPriceJoinSql({ alias: 'spp', partIdExpr: 'sp.id' })}
       LEFT JOIN (
         SELECT supplier_part_id, COUNT(*) AS catalog_links
         FROM supplier_part_catalog_positions
@@ -155,7 +146,7 @@ router.get('/search-lite', async (req, res) => {
       ORDER BY ps.name ASC, sp.supplier_part_number ASC
       LIMIT ${limit}
       `,
-      params
+      [new Date(), ...params]
     )
 
     res.json(rows)
@@ -200,6 +191,12 @@ router.get('/picker', async (req, res) => {
     }
 
     const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : ''
+    // Подсказка цены — последняя действующая на дату as_of (по умолчанию сегодня).
+    const asOfRaw = String(req.query.as_of || '').trim()
+    if (asOfRaw && !/^\d{4}-\d{2}-\d{2}$/.test(asOfRaw)) {
+      return res.status(400).json({ message: 'Некорректная дата в as_of' })
+    }
+    const asOf = asOfRaw || new Date()
 
     const [[{ total }]] = await db.execute(
       `
@@ -236,17 +233,7 @@ router.get('/picker', async (req, res) => {
         sm.default_material_name
       FROM supplier_parts sp
       JOIN part_suppliers ps ON ps.id = sp.supplier_id
-      LEFT JOIN (
-        SELECT spp1.*
-        FROM supplier_part_prices spp1
-        JOIN (
-          SELECT supplier_part_id, MAX(id) AS max_id
-          FROM supplier_part_prices
-          GROUP BY supplier_part_id
-        ) latest
-          ON latest.supplier_part_id = spp1.supplier_part_id
-         AND latest.max_id = spp1.id
-      ) lp ON lp.supplier_part_id = sp.id
+      ${latestValidPriceJoinSql({ alias: 'lp', partIdExpr: 'sp.id' })}
       LEFT JOIN rfq_response_lines rfl
         ON rfl.id = lp.source_id
        AND lp.source_type IN ('RFQ', 'RFQ_RESPONSE')
@@ -283,7 +270,7 @@ router.get('/picker', async (req, res) => {
       ORDER BY ps.name ASC, sp.supplier_part_number ASC
       ${limitSql}
       `,
-      params
+      [asOf, ...params]
     )
 
     res.json({ items: rows, page, page_size: pageSize, total })
@@ -457,17 +444,7 @@ router.get('/', async (req, res) => {
         sm.default_material_name
       FROM supplier_parts sp
       JOIN part_suppliers ps ON ps.id = sp.supplier_id
-      LEFT JOIN (
-        SELECT spp1.*
-        FROM supplier_part_prices spp1
-        JOIN (
-          SELECT supplier_part_id, MAX(id) AS max_id
-          FROM supplier_part_prices
-          GROUP BY supplier_part_id
-        ) latest
-          ON latest.supplier_part_id = spp1.supplier_part_id
-         AND latest.max_id = spp1.id
-      ) lp ON lp.supplier_part_id = sp.id
+      ${latestValidPriceJoinSql({ alias: 'lp', partIdExpr: 'sp.id' })}
       LEFT JOIN rfq_response_lines rfl
         ON rfl.id = lp.source_id
        AND lp.source_type IN ('RFQ', 'RFQ_RESPONSE')
@@ -504,7 +481,7 @@ router.get('/', async (req, res) => {
       ORDER BY ps.name ASC, sp.supplier_part_number ASC
       ${limitSql}
       `,
-      params
+      [new Date(), ...params]
     )
 
     res.json({ items: rows, page, page_size: pageSize, total })
@@ -625,17 +602,7 @@ router.get('/:id', async (req, res) => {
         sm.default_material_name
       FROM supplier_parts sp
       JOIN part_suppliers ps ON ps.id = sp.supplier_id
-      LEFT JOIN (
-        SELECT spp1.*
-        FROM supplier_part_prices spp1
-        JOIN (
-          SELECT supplier_part_id, MAX(id) AS max_id
-          FROM supplier_part_prices
-          GROUP BY supplier_part_id
-        ) latest
-          ON latest.supplier_part_id = spp1.supplier_part_id
-         AND latest.max_id = spp1.id
-      ) lp ON lp.supplier_part_id = sp.id
+      ${latestValidPriceJoinSql({ alias: 'lp', partIdExpr: 'sp.id' })}
       LEFT JOIN rfq_response_lines rfl
         ON rfl.id = lp.source_id
        AND lp.source_type IN ('RFQ', 'RFQ_RESPONSE')
@@ -670,7 +637,7 @@ router.get('/:id', async (req, res) => {
       ) sm ON sm.supplier_part_id = sp.id
       WHERE sp.id = ?
       `,
-      [id]
+      [new Date(), id]
     )
     if (!row) return res.status(404).json({ message: 'Не найдено' })
 
@@ -4,6 +4,9 @@ const XLSX = require('xlsx')
 const db = require('../utils/db')
 const logActivity = require('../utils/logActivity')
 const { createTrashEntry, createTrashEntryItem } = require('../utils/trashStore')
+const { flagPriceAnomalies } = require('../utils/priceAnalytics')
+const { buildActivationDiff, findSupersededLists, validityStateSql } = require('../utils/supplierPriceLists')
+const { AUTO_MATCH_CONFIDENCE, createPartMatcher } = require('../utils/partNumberMatching')
 
 const router = express.Router()
 const upload = multer({ storage: multer.memoryStorage() })
@@ -126,7 +129,7 @@ const headerAliases = {
 
 const fetchPartMaps = async (conn, supplierId) => {
   const [parts] = await conn.execute(
-    `SELECT id, supplier_part_number, canonical_part_number
+    `SELECT id, supplier_part_number, canonical_part_number, description_ru, description_en
        FROM supplier_parts
       WHERE supplier_id = ?`,
     [supplierId]
@@ -141,6 +144,7 @@ const fetchPartMaps = async (conn, supplierId) => {
   })
 
   let aliasMap = new Map()
+  let aliasRows = []
   try {
     const [aliases] = await conn.execute(
       `SELECT alias_canonical_part_number, supplier_part_id
@@ -148,6 +152,7 @@ const fetchPartMaps = async (conn, supplierId) => {
         WHERE supplier_id = ? AND is_active = 1`,
       [supplierId]
     )
+    aliasRows = aliases
     aliases.forEach((a) => {
       const key = canonicalPartNumber(a.alias_canonical_part_number)
       if (!key) return
@@ -169,27 +174,109 @@ const fetchPartMaps = async (conn, supplierId) => {
     materialMap.set(String(m.code).trim().toUpperCase(), m.id)
   })
 
-  return { partMap, aliasMap, materialMap }
+  return { partMap, aliasMap, materialMap, matcher: createPartMatcher(parts, aliasRows) }
 }
 
-const resolveMatch = ({ canonical, partMap, aliasMap }) => {
+// Точное совпадение номера или алиаса, затем нормализованное (префиксы,
+// ведущие нули) — оно принимается автоматически, если однозначно. Нечёткие
+// кандидаты только сохраняются в match_candidates_json для ручного выбора.
+const resolveMatch = ({ canonical, partMap, aliasMap, matcher = null, rawPart = null, description = null }) => {
   if (!canonical) {
-    return { status: 'error', partId: null, method: null, note: 'Пустой номер детали' }
+    return { status: 'error', partId: null, method: null, note: 'Пустой номер детали', confidence: null, candidates: [] }
   }
   const exact = partMap.get(canonical) || []
   if (exact.length === 1) {
-    return { status: 'matched', partId: exact[0], method: 'exact_canonical', note: null }
+    return { status: 'matched', partId: exact[0], method: 'exact_canonical', note: null, confidence: 100, candidates: [] }
   }
 
   const alias = aliasMap.get(canonical) || []
   const uniq = [...new Set([...exact, ...alias])]
   if (uniq.length === 1) {
-    return { status: 'matched', partId: uniq[0], method: 'alias', note: null }
+    return { status: 'matched', partId: uniq[0], method: 'alias', note: null, confidence: 100, candidates: [] }
+  }
+
+  const suggestion = matcher && uniq.length === 0 ? matcher.match(rawPart || canonical, description) : null
+  const candidates = suggestion?.candidates || []
+  const top = candidates[0]
+  if (suggestion?.exact && top && top.confidence >= AUTO_MATCH_CONFIDENCE) {
+    return {
+      status: 'matched',
+      partId: top.supplier_part_id,
+      method: top.method,
+      note: top.reasons[0] || null,
+      confidence: top.confidence,
+      candidates: [],
+    }
   }
   if (uniq.length > 1) {
-    return { status: 'ambiguous', partId: null, method: 'ambiguous', note: 'Найдено несколько кандидатов' }
+    return {
+      status: 'ambiguous',
+      partId: null,
+      method: 'ambiguous',
+      note: 'Найдено несколько кандидатов',
+      confidence: null,
+      candidates: [],
+    }
+  }
+  if (candidates.length) {
+    return {
+      status: 'ambiguous',
+      partId: null,
+      method: 'fuzzy',
+      note: `Предложено кандидатов: ${candidates.length}`,
+      confidence: top.confidence,
+      candidates,
+    }
+  }
+  return {
+    status: 'new_part_required',
+    partId: null,
+    method: 'none',
+    note: 'Совпадения не найдены',
+    confidence: null,
+    candidates: [],
   }
-  return { status: 'new_part_required', partId: null, method: 'none', note: 'Совпадения не найдены' }
+}
+
+const candidatesJson = (matched) => (matched.candidates?.length ? JSON.stringify(matched.candidates) : null)
+
+// Принимает сопоставление строки с деталью поставщика. Тот же номер в других
+// нерешённых строках списка сопоставляется сразу, а при learnAlias номер
+// запоминается как алиас — следующий импорт этого поставщика найдёт его сам.
+const acceptLineMatch = async (conn, line, supplierPartId, { learnAlias = true, userId = null } = {}) => {
+  const canonical = line.supplier_part_number_canonical || canonicalPartNumber(line.supplier_part_number_raw)
+  const [lineResult] = await conn.execute(
+    `UPDATE supplier_price_list_lines
+        SET line_status = 'matched',
+            matched_supplier_part_id = ?,
+            match_confidence = 100,
+            match_method = 'manual',
+            match_note = NULL,
+            match_candidates_json = NULL
+      WHERE supplier_price_list_id = ?
+        AND (id = ? OR (supplier_part_number_canonical = ? AND line_status IN ('ambiguous', 'new_part_required')))`,
+    [supplierPartId, line.supplier_price_list_id, line.id, canonical || '']
+  )
+
+  let aliasLearned = false
+  if (learnAlias && canonical) {
+    const [[part]] = await conn.execute(
+      'SELECT canonical_part_number, supplier_part_number FROM supplier_parts WHERE id = ?',
+      [supplierPartId]
+    )
+    const partCanonical = canonicalPartNumber(part?.canonical_part_number || part?.supplier_part_number)
+    if (partCanonical !== canonical) {
+      const [aliasResult] = await conn.execute(
+        `INSERT INTO supplier_part_aliases
+           (supplier_id, supplier_part_id, alias_part_number, alias_canonical_part_number, is_active, source, created_by_user_id)
+         VALUES (?,?,?,?,1,'price_list',?)
+         ON DUPLICATE KEY UPDATE is_active = 1`,
+        [line.supplier_id, supplierPartId, line.supplier_part_number_raw || canonical, canonical, userId]
+      )
+      aliasLearned = aliasResult.affectedRows > 0
+    }
+  }
+  return { lines_matched: lineResult.affectedRows, alias_learned: aliasLearned }
 }
 
 router.get('/template', async (_req, res) => {
@@ -246,8 +333,17 @@ router.get('/', async (req, res) => {
       where.push('spl.supplier_id = ?')
       params.push(supplierId)
     }
+    const validity = nz(req.query.validity)
+    if (validity) {
+      if (!['scheduled', 'current', 'expired'].includes(validity)) {
+        return res.status(400).json({ message: 'Некорректный срок действия' })
+      }
+      where.push(`${validityStateSql('spl')} = ?`)
+      params.push(validity)
+    }
     const [rows] = await db.execute(
       `SELECT spl.*,
+              ${validityStateSql('spl')} AS validity_state,
               ps.name AS supplier_name,
               COUNT(spll.id) AS lines_count,
               SUM(CASE WHEN spll.line_status = 'matched' THEN 1 ELSE 0 END) AS matched_count,
@@ -276,6 +372,9 @@ router.post('/', async (req, res) => {
     const currencyDefault = normCurrency(req.body.currency_default)
     const validFrom = parseDateOnly(req.body.valid_from)
     const validTo = parseDateOnly(req.body.valid_to)
+    if (validFrom && validTo && validTo < validFrom) {
+      return res.status(400).json({ message: 'Дата окончания действия раньше даты начала' })
+    }
     const note = nz(req.body.note)
     const uploadedBy = toId(req.user?.id)
 
@@ -293,6 +392,42 @@ router.post('/', async (req, res) => {
   }
 })
 
+// Действующие списки с истёкшим сроком и те, что истекают в ближайшие within_days дней.
+router.get('/expired', async (req, res) => {
+  try {
+    const withinRaw = Number(req.query.within_days)
+    const withinDays = Number.isInteger(withinRaw) && withinRaw >= 0 ? Math.min(withinRaw, 365) : 30
+    const supplierId = toId(req.query.supplier_id)
+    const params = [withinDays]
+    let supplierSql = ''
+    if (supplierId) {
+      supplierSql = 'AND spl.supplier_id = ?'
+      params.push(supplierId)
+    }
+    const [rows] = await db.execute(
+      `SELECT spl.*,
+              ps.name AS supplier_name,
+              DATEDIFF(spl.valid_to, CURDATE()) AS days_left
+         FROM supplier_price_lists spl
+         JOIN part_suppliers ps ON ps.id = spl.supplier_id
+        WHERE spl.status = 'active'
+          AND spl.valid_to IS NOT NULL
+          AND spl.valid_to <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+          ${supplierSql}
+        ORDER BY spl.valid_to ASC, spl.id ASC`,
+      params
+    )
+    res.json({
+      within_days: withinDays,
+      expired: rows.filter((row) => Number(row.days_left) < 0),
+      expiring: rows.filter((row) => Number(row.days_left) >= 0),
+    })
+  } catch (e) {
+    console.error('GET /supplier-price-lists/expired error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 router.get('/:id', async (req, res) => {
   try {
     const id = toId(req.params.id)
@@ -317,6 +452,17 @@ router.put('/:id', async (req, res) => {
     const validTo = req.body.valid_to !== undefined ? parseDateOnly(req.body.valid_to) : undefined
     const note = req.body.note !== undefined ? nz(req.body.note) : undefined
 
+    const [[current]] = await db.execute(
+      `SELECT COALESCE(?, valid_to) < COALESCE(?, valid_from) AS invalid_window
+         FROM supplier_price_lists
+        WHERE id = ?`,
+      [validTo || null, validFrom || null, id]
+    )
+    if (!current) return res.status(404).json({ message: 'Прайс-лист не найден' })
+    if (Number(current.invalid_window) === 1) {
+      return res.status(400).json({ message: 'Дата окончания действия раньше даты начала' })
+    }
+
     await db.execute(
       `UPDATE supplier_price_lists
           SET list_code = COALESCE(?, list_code),
@@ -479,8 +625,15 @@ router.post('/:id/lines', async (req, res) => {
 
     const rawPart = nz(req.body.supplier_part_number_raw)
     const canonical = canonicalPartNumber(rawPart)
-    const { partMap, aliasMap, materialMap } = await fetchPartMaps(conn, list.supplier_id)
-    const matched = resolveMatch({ canonical, partMap, aliasMap })
+    const { partMap, aliasMap, materialMap, matcher } = await fetchPartMaps(conn, list.supplier_id)
+    const matched = resolveMatch({
+      canonical,
+      partMap,
+      aliasMap,
+      matcher,
+      rawPart,
+      description: nz(req.body.description_raw),
+    })
     const materialCode = nz(req.body.material_code_raw)
     const matchedMaterialId = materialCode ? materialMap.get(materialCode.toUpperCase()) || null : null
 
@@ -489,8 +642,8 @@ router.post('/:id/lines', async (req, res) => {
         (supplier_price_list_id, source_row_no, line_status, supplier_part_number_raw, supplier_part_number_canonical,
          description_raw, material_code_raw, price, currency, offer_type, lead_time_days, min_order_qty, packaging,
          validity_days, valid_from, valid_to, comment, matched_supplier_part_id, matched_material_id,
-         match_confidence, match_method, match_note, imported_by_user_id)
-       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+         match_confidence, match_method, match_note, match_candidates_json, imported_by_user_id)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
       [
         id,
         intOrNull(req.body.source_row_no),
@@ -511,9 +664,10 @@ router.post('/:id/lines', async (req, res) => {
         nz(req.body.comment),
         matched.partId,
         matchedMaterialId,
-        matched.status === 'matched' ? 100 : null,
+        matched.confidence,
         matched.method,
         matched.note,
+        candidatesJson(matched),
         toId(req.user?.id),
       ]
     )
@@ -545,8 +699,15 @@ router.put('/lines/:lineId', async (req, res) => {
     const canonical = canonicalPartNumber(partRaw)
     const conn = await db.getConnection()
     try {
-      const { partMap, aliasMap, materialMap } = await fetchPartMaps(conn, line.supplier_id)
-      const matched = resolveMatch({ canonical, partMap, aliasMap })
+      const { partMap, aliasMap, materialMap, matcher } = await fetchPartMaps(conn, line.supplier_id)
+      const matched = resolveMatch({
+        canonical,
+        partMap,
+        aliasMap,
+        matcher,
+        rawPart: partRaw,
+        description: req.body.description_raw !== undefined ? nz(req.body.description_raw) : line.description_raw,
+      })
       const materialCode = req.body.material_code_raw !== undefined ? nz(req.body.material_code_raw) : line.material_code_raw
       const matchedMaterialId = materialCode ? materialMap.get(String(materialCode).toUpperCase()) || null : null
 
@@ -572,7 +733,8 @@ router.put('/lines/:lineId', async (req, res) => {
                 matched_material_id = ?,
                 match_confidence = ?,
                 match_method = ?,
-                match_note = ?
+                match_note = ?,
+                match_candidates_json = ?
           WHERE id = ?`,
         [
           req.body.source_row_no !== undefined ? intOrNull(req.body.source_row_no) : null,
@@ -593,9 +755,10 @@ router.put('/lines/:lineId', async (req, res) => {
           req.body.comment !== undefined ? nz(req.body.comment) : null,
           matched.partId,
           matchedMaterialId,
-          matched.status === 'matched' ? 100 : null,
+          matched.confidence,
           matched.method,
           matched.note,
+          candidatesJson(matched),
           lineId,
         ]
       )
@@ -611,6 +774,93 @@ router.put('/lines/:lineId', async (req, res) => {
   }
 })
 
+router.get('/lines/:lineId/candidates', async (req, res) => {
+  try {
+    const lineId = toId(req.params.lineId)
+    if (!lineId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const limit = Math.min(Math.max(intOrNull(req.query.limit) || 5, 1), 20)
+    const [[line]] = await db.execute(
+      `SELECT spll.*, spl.supplier_id
+         FROM supplier_price_list_lines spll
+         JOIN supplier_price_lists spl ON spl.id = spll.supplier_price_list_id
+        WHERE spll.id = ?`,
+      [lineId]
+    )
+    if (!line) return res.status(404).json({ message: 'Строка не найдена' })
+
+    // кандидаты пересчитываются: с момента импорта могли появиться детали и алиасы
+    const { matcher } = await fetchPartMaps(db, line.supplier_id)
+    const result = matcher.match(line.supplier_part_number_raw, line.description_raw, { limit })
+    res.json({
+      line_id: lineId,
+      line_status: line.line_status,
+      matched_supplier_part_id: line.matched_supplier_part_id,
+      normalized_part_number: result.key,
+      auto_match_confidence: AUTO_MATCH_CONFIDENCE,
+      candidates: result.candidates,
+    })
+  } catch (e) {
+    console.error('GET /supplier-price-lists/lines/:lineId/candidates error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
+router.post('/lines/:lineId/accept-match', async (req, res) => {
+  const lineId = toId(req.params.lineId)
+  const supplierPartId = toId(req.body?.supplier_part_id)
+  if (!lineId) return res.status(400).json({ message: 'Некорректный идентификатор' })
+  if (!supplierPartId) return res.status(400).json({ message: 'Укажите supplier_part_id' })
+  const learnAlias = req.body?.learn_alias === undefined ? true : Boolean(req.body.learn_alias)
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const [[line]] = await conn.execute(
+      `SELECT spll.*, spl.supplier_id
+         FROM supplier_price_list_lines spll
+         JOIN supplier_price_lists spl ON spl.id = spll.supplier_price_list_id
+        WHERE spll.id = ?
+        FOR UPDATE`,
+      [lineId]
+    )
+    if (!line) {
+      await conn.rollback()
+      return res.status(404).json({ message: 'Строка не найдена' })
+    }
+    const [[part]] = await conn.execute('SELECT id, supplier_id FROM supplier_parts WHERE id = ?', [supplierPartId])
+    if (!part || Number(part.supplier_id) !== Number(line.supplier_id)) {
+      await conn.rollback()
+      return res.status(400).json({ message: 'Деталь не найдена у поставщика прайс-листа' })
+    }
+
+    const result = await acceptLineMatch(conn, line, supplierPartId, {
+      learnAlias,
+      userId: toId(req.user?.id),
+    })
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'suppliers',
+      entity_id: Number(line.supplier_id),
+      field_changed: 'price_list_match',
+      new_value: String(supplierPartId),
+      comment: `Строка прайс-листа ${line.supplier_part_number_raw || lineId} сопоставлена вручную${
+        result.alias_learned ? ', номер сохранён как алиас' : ''
+      }`,
+    })
+    await conn.commit()
+
+    const [[row]] = await db.execute('SELECT * FROM supplier_price_list_lines WHERE id = ?', [lineId])
+    res.json({ ...result, line: row })
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /supplier-price-lists/lines/:lineId/accept-match error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
 router.delete('/lines/:lineId', async (req, res) => {
   const conn = await db.getConnection()
   try {
@@ -728,7 +978,7 @@ router.post('/:id/import', upload.single('file'), async (req, res) => {
       return res.status(400).json({ message: 'Файл не содержит строк' })
     }
 
-    const { partMap, aliasMap, materialMap } = await fetchPartMaps(conn, list.supplier_id)
+    const { partMap, aliasMap, materialMap, matcher } = await fetchPartMaps(conn, list.supplier_id)
     const userId = toId(req.user?.id)
 
     await conn.beginTransaction()
@@ -738,6 +988,7 @@ router.post('/:id/import', upload.single('file'), async (req, res) => {
 
     let inserted = 0
     let matchedCount = 0
+    let fuzzyMatchedCount = 0
     let issuesCount = 0
     for (let i = 0; i < rows.length; i += 1) {
       const normalized = buildNormalizedRow(rows[i])
@@ -746,19 +997,26 @@ router.post('/:id/import', upload.single('file'), async (req, res) => {
       const price = numOrNull(extractByAliases(normalized, headerAliases.price))
       const currency = normCurrency(extractByAliases(normalized, headerAliases.currency))
 
+      const description = nz(extractByAliases(normalized, headerAliases.description_raw))
+
       let status = 'pending'
       let partId = null
       let method = null
       let matchNote = null
+      let confidence = null
+      let candidates = null
 
       if (!rawPart && price === null && !currency) {
         status = 'ignored'
       } else {
-        const matched = resolveMatch({ canonical, partMap, aliasMap })
+        const matched = resolveMatch({ canonical, partMap, aliasMap, matcher, rawPart, description })
         status = matched.status
         partId = matched.partId
         method = matched.method
         matchNote = matched.note
+        confidence = matched.confidence
+        candidates = candidatesJson(matched)
+        if (status === 'matched' && confidence < 100) fuzzyMatchedCount += 1
       }
 
       const materialCode = nz(extractByAliases(normalized, headerAliases.material_code_raw))
@@ -770,15 +1028,15 @@ router.post('/:id/import', upload.single('file'), async (req, res) => {
           (supplier_price_list_id, source_row_no, line_status, supplier_part_number_raw, supplier_part_number_canonical,
            description_raw, material_code_raw, price, currency, offer_type, lead_time_days, min_order_qty, packaging,
            validity_days, valid_from, valid_to, comment, matched_supplier_part_id, matched_material_id,
-           match_confidence, match_method, match_note, source_row_hash, imported_by_user_id)
-         VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+           match_confidence, match_method, match_note, match_candidates_json, source_row_hash, imported_by_user_id)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
         [
           id,
           i + 2,
           status,
           rawPart,
           canonical,
-          nz(extractByAliases(normalized, headerAliases.description_raw)),
+          description,
           materialCode,
           price,
           currency,
@@ -792,9 +1050,10 @@ router.post('/:id/import', upload.single('file'), async (req, res) => {
           nz(extractByAliases(normalized, headerAliases.comment)),
           partId,
           matchedMaterialId,
-          status === 'matched' ? 100 : null,
+          confidence,
           method,
           matchNote,
+          candidates,
           null,
           userId,
         ]
@@ -815,7 +1074,13 @@ router.post('/:id/import', upload.single('file'), async (req, res) => {
     )
 
     await conn.commit()
-    res.json({ success: true, inserted, matched: matchedCount, issues: issuesCount })
+    res.json({
+      success: true,
+      inserted,
+      matched: matchedCount,
+      matched_normalized: fuzzyMatchedCount,
+      issues: issuesCount,
+    })
   } catch (e) {
     try {
       await conn.rollback()
@@ -827,6 +1092,94 @@ router.post('/:id/import', upload.single('file'), async (req, res) => {
   }
 })
 
+// Массовое принятие предложенных кандидатов: берётся лучший кандидат строки,
+// если его уверенность не ниже min_confidence и он однозначно лучше второго.
+router.post('/:id/accept-suggestions', async (req, res) => {
+  const id = toId(req.params.id)
+  if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+  const minConfidence = numOrNull(req.body?.min_confidence) ?? 90
+  if (minConfidence <= 0 || minConfidence > 100) {
+    return res.status(400).json({ message: 'min_confidence должен быть в диапазоне 1–100' })
+  }
+  const learnAlias = req.body?.learn_alias === undefined ? true : Boolean(req.body.learn_alias)
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const [[list]] = await conn.execute('SELECT * FROM supplier_price_lists WHERE id = ? FOR UPDATE', [id])
+    if (!list) {
+      await conn.rollback()
+      return res.status(404).json({ message: 'Прайс-лист не найден' })
+    }
+    const [lines] = await conn.execute(
+      `SELECT spll.*, ? AS supplier_id
+         FROM supplier_price_list_lines spll
+        WHERE spll.supplier_price_list_id = ?
+          AND spll.line_status IN ('ambiguous', 'new_part_required')
+          AND spll.match_candidates_json IS NOT NULL
+        ORDER BY spll.id`,
+      [list.supplier_id, id]
+    )
+
+    const userId = toId(req.user?.id)
+    const accepted = []
+    const skipped = []
+    const handledCanonicals = new Set()
+    for (const line of lines) {
+      if (handledCanonicals.has(line.supplier_part_number_canonical)) continue
+      let candidates = line.match_candidates_json
+      if (typeof candidates === 'string') {
+        try {
+          candidates = JSON.parse(candidates)
+        } catch {
+          candidates = null
+        }
+      }
+      const [top, second] = Array.isArray(candidates) ? candidates : []
+      const topConfidence = Number(top?.confidence || 0)
+      if (!top || topConfidence < minConfidence) continue
+      if (second && Number(second.confidence || 0) >= topConfidence) {
+        skipped.push({ line_id: Number(line.id), reason: 'Несколько кандидатов с одинаковой уверенностью' })
+        continue
+      }
+      const result = await acceptLineMatch(conn, line, Number(top.supplier_part_id), { learnAlias, userId })
+      handledCanonicals.add(line.supplier_part_number_canonical)
+      accepted.push({
+        line_id: Number(line.id),
+        supplier_part_id: Number(top.supplier_part_id),
+        confidence: topConfidence,
+        ...result,
+      })
+    }
+
+    if (accepted.length) {
+      await logActivity({
+        req,
+        action: 'update',
+        entity_type: 'suppliers',
+        entity_id: Number(list.supplier_id),
+        field_changed: 'price_list_match',
+        comment: `Прайс-лист #${id}: принято предложенных сопоставлений — ${accepted.length}`,
+      })
+    }
+    await conn.commit()
+    res.json({
+      success: true,
+      min_confidence: minConfidence,
+      accepted,
+      skipped,
+      lines_matched: accepted.reduce((sum, row) => sum + row.lines_matched, 0),
+      aliases_learned: accepted.filter((row) => row.alias_learned).length,
+    })
+  } catch (e) {
+    await conn.rollback()
+    console.error('POST /supplier-price-lists/:id/accept-suggestions error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  } finally {
+    conn.release()
+  }
+})
+
 router.post('/:id/fill-from-catalog', async (req, res) => {
   const conn = await db.getConnection()
   try {
@@ -926,6 +1279,29 @@ router.post('/:id/fill-from-catalog', async (req, res) => {
   }
 })
 
+// До активации — разница с действующим списком того же поставщика и валюты,
+// после — сохранённая при активации.
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const id = toId(req.params.id)
+    if (!id) return res.status(400).json({ message: 'Некорректный идентификатор' })
+    const [[list]] = await db.execute('SELECT * FROM supplier_price_lists WHERE id = ?', [id])
+    if (!list) return res.status(404).json({ message: 'Прайс-лист не найден' })
+
+    if (list.status !== 'draft' && list.activation_diff_json) {
+      const stored =
+        typeof list.activation_diff_json === 'string' ? JSON.parse(list.activation_diff_json) : list.activation_diff_json
+      return res.json({ ...stored, stored: true })
+    }
+    const superseded = await findSupersededLists(db, list)
+    const diff = await buildActivationDiff(db, list, superseded)
+    res.json({ ...diff, stored: false })
+  } catch (e) {
+    console.error('GET /supplier-price-lists/:id/diff error:', e)
+    res.status(500).json({ message: 'Ошибка сервера' })
+  }
+})
+
 router.post('/:id/activate', async (req, res) => {
   const conn = await db.getConnection()
   try {
@@ -957,22 +1333,47 @@ router.post('/:id/activate', async (req, res) => {
       return res.status(409).json({ message: 'Исправьте проблемные строки перед активацией' })
     }
 
-    await conn.execute(
-      `UPDATE supplier_price_lists
-          SET status = 'superseded'
-        WHERE supplier_id = ?
-          AND status = 'active'
-          AND id <> ?`,
-      [list.supplier_id, id]
+    const [[validity]] = await conn.execute(
+      'SELECT valid_to IS NOT NULL AND valid_to < CURDATE() AS is_expired FROM supplier_price_lists WHERE id = ?',
+      [id]
     )
+    if (Number(validity.is_expired) === 1) {
+      await conn.rollback()
+      return res.status(409).json({ message: 'Срок действия прайс-листа уже истёк' })
+    }
+
+    // Вытесняется только список того же поставщика и валюты; его срок
+    // закрывается днём до начала действия нового списка.
+    const superseded = await findSupersededLists(conn, list, { forUpdate: true })
+    const diff = await buildActivationDiff(conn, list, superseded)
+    if (superseded.length) {
+      const supersededIds = superseded.map((row) => row.id)
+      await conn.execute(
+        `UPDATE supplier_price_lists
+            SET status = 'superseded',
+                superseded_by_list_id = ?,
+                superseded_at = NOW(),
+                valid_to = CASE
+                  WHEN valid_to IS NULL OR valid_to >= COALESCE(?, CURDATE())
+                    THEN GREATEST(
+                      DATE_SUB(COALESCE(?, CURDATE()), INTERVAL 1 DAY),
+                      COALESCE(valid_from, DATE_SUB(COALESCE(?, CURDATE()), INTERVAL 1 DAY))
+                    )
+                  ELSE valid_to
+                END
+          WHERE id IN (${supersededIds.map(() => '?').join(',')})`,
+        [id, list.valid_from || null, list.valid_from || null, list.valid_from || null, ...supersededIds]
+      )
+    }
 
     await conn.execute(
       `UPDATE supplier_price_lists
           SET status = 'active',
               activated_by_user_id = ?,
-              activated_at = NOW()
+              activated_at = NOW(),
+              activation_diff_json = ?
         WHERE id = ?`,
-      [userId, id]
+      [userId, JSON.stringify(diff), id]
     )
 
     const [lines] = await conn.execute(
@@ -987,9 +1388,10 @@ router.post('/:id/activate', async (req, res) => {
     )
 
     let insertedPrices = 0
+    const insertedPriceIds = []
     for (const line of lines) {
       const dateForPrice = line.valid_from || list.valid_from || new Date()
-      await conn.execute(
+      const [priceIns] = await conn.execute(
         `INSERT INTO supplier_part_prices
            (supplier_part_id, material_id, price, currency, date, comment,
             offer_type, lead_time_days, min_order_qty, packaging, validity_days,
@@ -1013,10 +1415,35 @@ router.post('/:id/activate', async (req, res) => {
         ]
       )
       insertedPrices += 1
+      insertedPriceIds.push(priceIns.insertId)
     }
 
     await conn.commit()
-    res.json({ success: true, inserted_prices: insertedPrices, matched_lines: lines.length })
+
+    // Проверка цен на аномалии не должна отменять уже проведённую активацию.
+    let priceAnomalies = []
+    try {
+      priceAnomalies = await flagPriceAnomalies(db, insertedPriceIds)
+    } catch (anomalyError) {
+      console.error('POST /supplier-price-lists/:id/activate price anomalies error:', anomalyError)
+    }
+    await logActivity({
+      req,
+      action: 'update',
+      entity_type: 'suppliers',
+      entity_id: Number(list.supplier_id),
+      comment: diff.superseded_list_ids.length
+        ? `Прайс-лист ${list.list_code || id} активирован, вытеснены: ${diff.superseded_list_ids.join(', ')} (новых ${diff.summary.added}, снято ${diff.summary.removed}, переоценено ${diff.summary.repriced})`
+        : `Прайс-лист ${list.list_code || id} активирован`,
+    })
+    res.json({
+      success: true,
+      inserted_prices: insertedPrices,
+      matched_lines: lines.length,
+      superseded_list_ids: diff.superseded_list_ids,
+      diff,
+      price_anomalies: priceAnomalies,
+    })
   } catch (e) {
     try {
       await conn.rollback()
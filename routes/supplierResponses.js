@@ -8,6 +8,8 @@ const {
 const {
   syncRfqCoverageLogisticsFromLatestResponses,
 } = require('../utils/rfqLogisticsSync')
+const { notifySupplierResponse } = require('../utils/notifications')
+const { publishStatusChange } = require('../utils/realtimeEvents')
 
 const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj || {}, key)
 
@@ -114,6 +116,27 @@ const markSupplierAsResponded = async (conn, rfqSupplierId) => {
   )
 }
 
+const setSupplierResponseStatus = async (conn, responseId, status) => {
+  const [[current]] = await conn.execute(
+    'SELECT status, rfq_supplier_id FROM rfq_supplier_responses WHERE id = ?',
+    [responseId]
+  )
+  if (!current) return
+  await conn.execute(
+    `UPDATE rfq_supplier_responses
+        SET status = ?
+      WHERE id = ?`,
+    [status, responseId]
+  )
+  await publishStatusChange(conn, {
+    entityType: 'rfq_supplier_responses',
+    entityId: responseId,
+    from: current.status,
+    to: status,
+    meta: { rfq_supplier_id: current.rfq_supplier_id },
+  })
+}
+
 const upsertLineStatus = async (
   conn,
   {
@@ -178,6 +201,13 @@ const ensureSupplierResponseRevision = async (
       [rfqSupplierId, status, userId]
     )
     responseId = ins.insertId
+    await publishStatusChange(conn, {
+      entityType: 'rfq_supplier_responses',
+      entityId: responseId,
+      to: status,
+      meta: { rfq_supplier_id: rfqSupplierId },
+    })
+    await notifySupplierResponse(conn, { rfqSupplierId, actorUserId: userId })
   }
 
   const [[latestRevision]] = await conn.execute(
@@ -835,6 +865,13 @@ router.post('/', async (req, res) => {
        VALUES (?,?,?)`,
       [rfq_supplier_id, status, created_by_user_id]
     )
+    await publishStatusChange(conn, {
+      entityType: 'rfq_supplier_responses',
+      entityId: result.insertId,
+      to: status,
+      meta: { rfq_supplier_id },
+    })
+    await notifySupplierResponse(conn, { rfqSupplierId: rfq_supplier_id, actorUserId: created_by_user_id })
 
     let revision = null
     if (createRevision) {
@@ -884,12 +921,7 @@ router.put('/:id(\\d+)', async (req, res) => {
       return res.status(400).json({ message: 'status обязателен' })
     }
 
-    await db.execute(
-      `UPDATE rfq_supplier_responses
-          SET status = ?
-        WHERE id = ?`,
-      [status, id]
-    )
+    await setSupplierResponseStatus(db, id, status)
 
     const requestId = await fetchRequestIdBySupplierResponseId(db, id)
     if (requestId) {
@@ -1801,12 +1833,7 @@ router.post('/manual-line', async (req, res) => {
       note,
     })
 
-    await conn.execute(
-      `UPDATE rfq_supplier_responses
-          SET status = 'review'
-        WHERE id = ?`,
-      [revisionPayload.responseId]
-    )
+    await setSupplierResponseStatus(conn, revisionPayload.responseId, 'review')
 
     await markSupplierAsResponded(conn, rfqSupplier.id)
 
@@ -2278,12 +2305,7 @@ router.post('/lines/:id(\\d+)/revise', async (req, res) => {
       note: reason,
     })
 
-    await conn.execute(
-      `UPDATE rfq_supplier_responses
-          SET status = 'review'
-        WHERE id = ?`,
-      [revisionPayload.responseId]
-    )
+    await setSupplierResponseStatus(conn, revisionPayload.responseId, 'review')
 
     await syncRfqCoverageLogisticsFromLatestResponses(conn, baseLine.rfq_id, {
       supplierId: baseLine.supplier_id,
@@ -77,6 +77,11 @@ const ENTITY_LABEL_RESOLVERS = {
     labelExpr:
       `CONCAT('Строка PO #', id, COALESCE(CONCAT(' · ', NULLIF(supplier_display_part_number_snapshot, '')), ''), COALESCE(CONCAT(' · ', NULLIF(supplier_display_description_snapshot, '')), ''))`,
   },
+  supplier_invoices: {
+    table: 'supplier_invoices',
+    labelExpr: `CONCAT('Счёт поставщика ', invoice_number)`,
+  },
+  shipments: { table: 'shipments', labelExpr: `COALESCE(NULLIF(shipment_no, ''), CONCAT('Отгрузка #', id))` },
   client_billing_addresses: {
     table: 'client_billing_addresses',
     labelExpr: `COALESCE(NULLIF(label, ''), NULLIF(city, ''), CONCAT('Платежный адрес #', id))`,
@@ -5,6 +5,7 @@ const db = require('../utils/db')
 const bcrypt = require('bcrypt')
 const { createTrashEntry } = require('../utils/trashStore')
 const { buildTrashPreview, MODE } = require('../utils/trashPreview')
+const { revokeUserRefreshTokens } = require('../utils/refreshTokenStore')
 
 // Здесь adminOnly уже навешан в routerIndex.js:
 // router.use('/users', auth, adminOnly, require('./users'))
@@ -307,7 +308,12 @@ router.post('/:id/reset-password', async (req, res) => {
     const newPasswordPlain = Math.random().toString(36).slice(-8)
     const newHash = await bcrypt.hash(newPasswordPlain, SALT_ROUNDS)
 
-    await db.execute('UPDATE users SET password = ? WHERE id = ?', [newHash, id])
+    await db.execute(
+      'UPDATE users SET password = ?, password_changed_at = NOW() WHERE id = ?',
+      [newHash, id]
+    )
+    // старые входы с прежним паролем больше не должны продлеваться
+    await revokeUserRefreshTokens(db, id, 'password_reset')
 
     res.json({ newPassword: newPasswordPlain })
   } catch (err) {
@@ -1,14 +1,28 @@
 const express = require('express')
 const router = express.Router()
 const db = require('../utils/db')
-
-const DOC_TYPES = {
-  receipt: { label: 'Приход', prefix: 'WH-RC' },
-  transfer: { label: 'Перемещение', prefix: 'WH-TR' },
-  writeoff: { label: 'Списание', prefix: 'WH-WO' },
-  reserve: { label: 'Резерв', prefix: 'WH-RS' },
-  unreserve: { label: 'Снятие резерва', prefix: 'WH-UR' },
-}
+const {
+  allocateIssueCost,
+  buildReceiptCost,
+  buildSurplusCost,
+  commitIssueCost,
+  getValuationCurrency,
+  getValuationMethod,
+  openReceiptLayer,
+  openTransferLayers,
+  reverseMovementCost,
+} = require('../utils/warehouseValuation')
+const {
+  DOC_TYPES,
+  assertWarehouse,
+  assertPlace,
+  assertSupplierPart,
+  resolveLineSku,
+  insertDraftDocument,
+} = require('../utils/warehouseDocuments')
+const { latestValidPriceJoinSql } = require('../utils/supplierPriceLists')
+
+const QTY_EPSILON = 0.0005
 
 const nz = (v) => {
   if (v === undefined || v === null) return null
@@ -336,25 +350,6 @@ const currentStock = async (conn, { warehouseId, storagePlaceId, supplierPartId
   return { actual, reserved, free: actual - reserved }
 }
 
-const assertWarehouse = async (conn, id, label = 'Склад') => {
-  const [[row]] = await conn.execute(
-    'SELECT * FROM warehouse_locations WHERE id = ? AND is_active = 1',
-    [id]
-  )
-  if (!row) throw Object.assign(new Error(`${label} не найден`), { status: 400 })
-  return row
-}
-
-const assertPlace = async (conn, id, warehouseId, label = 'Место хранения') => {
-  if (!id) return null
-  const [[row]] = await conn.execute(
-    'SELECT * FROM warehouse_storage_places WHERE id = ? AND warehouse_id = ? AND is_active = 1',
-    [id, warehouseId]
-  )
-  if (!row) throw Object.assign(new Error(`${label} не найдено на выбранном складе`), { status: 400 })
-  return row
-}
-
 const requireLinePlace = async (conn, line, warehouseId, label = 'Место хранения') => {
   const placeId = toId(line.storage_place_id)
   if (!placeId) throw Object.assign(new Error(`${label} обязательно`), { status: 400 })
@@ -362,65 +357,6 @@ const requireLinePlace = async (conn, line, warehouseId, label = 'Место х
   return placeId
 }
 
-const assertSupplierPart = async (conn, id) => {
-  const [[row]] = await conn.execute(
-    `
-    SELECT
-      sp.id,
-      sp.supplier_id,
-      sp.supplier_part_number,
-      sp.canonical_part_number,
-      sp.description_ru,
-      sp.description_en,
-      sp.uom,
-      ps.name AS supplier_name
-    FROM supplier_parts sp
-    JOIN part_suppliers ps ON ps.id = sp.supplier_id
-    WHERE sp.id = ?
-      AND COALESCE(sp.active, 1) = 1
-    `,
-    [id]
-  )
-  if (!row) throw Object.assign(new Error('Деталь поставщика не найдена'), { status: 400 })
-  return row
-}
-
-const resolveCatalogPositionForSupplierPart = async (conn, supplierPartId, catalogPositionId = null) => {
-  const requestedId = toId(catalogPositionId)
-  if (requestedId) {
-    const [[row]] = await conn.execute(
-      `
-      SELECT cp.id, cp.uom
-      FROM supplier_part_catalog_positions spcp
-      JOIN catalog_positions cp ON cp.id = spcp.catalog_position_id
-      WHERE spcp.supplier_part_id = ?
-        AND spcp.catalog_position_id = ?
-        AND cp.is_active = 1
-      LIMIT 1
-      `,
-      [supplierPartId, requestedId]
-    )
-    if (!row) {
-      throw Object.assign(new Error('Деталь поставщика не связана с выбранной карточкой позиции'), { status: 400 })
-    }
-    return row
-  }
-
-  const [[row]] = await conn.execute(
-    `
-    SELECT cp.id, cp.uom
-    FROM supplier_part_catalog_positions spcp
-    JOIN catalog_positions cp ON cp.id = spcp.catalog_position_id
-    WHERE spcp.supplier_part_id = ?
-      AND cp.is_active = 1
-    ORDER BY spcp.is_preferred DESC, spcp.priority_rank IS NULL, spcp.priority_rank, cp.id
-    LIMIT 1
-    `,
-    [supplierPartId]
-  )
-  return row || null
-}
-
 const normalizeLines = (rawLines) => {
   const input = Array.isArray(rawLines) ? rawLines : []
   const lines = []
@@ -429,12 +365,15 @@ const normalizeLines = (rawLines) => {
     const catalogPositionId = toId(raw?.catalog_position_id)
     const quantity = numOrNull(raw?.quantity)
     if (!supplierPartId || quantity === null || quantity <= 0) continue
+    const unitCost = numOrNull(raw?.unit_cost)
     lines.push({
       supplier_part_id: supplierPartId,
       catalog_position_id: catalogPositionId,
       storage_place_id: toId(raw?.storage_place_id),
       target_storage_place_id: toId(raw?.target_storage_place_id),
       quantity,
+      unit_cost: unitCost !== null && unitCost >= 0 ? unitCost : null,
+      currency: nz(raw?.currency)?.toUpperCase() || null,
       unit_code: nz(raw?.unit_code),
       reason: nz(raw?.reason),
       notes: nz(raw?.notes),
@@ -447,95 +386,26 @@ const normalizeLines = (rawLines) => {
   return lines
 }
 
-const withDocumentSourceFallback = (line, docSource, inheritDocumentLineId = false) => ({
-  ...line,
-  source_type: line.source_type || docSource.source_type || null,
-  source_id: line.source_id || docSource.source_id || null,
-  source_line_id: line.source_line_id || (inheritDocumentLineId ? docSource.source_line_id : null) || null,
-  source_label: line.source_label || docSource.source_label || null,
-})
-
-const resolveLineSku = async (conn, line) => {
-  const supplierPartId = toId(line?.supplier_part_id)
-  if (!supplierPartId) {
-    throw Object.assign(new Error('В строке документа выберите деталь поставщика'), { status: 400 })
-  }
-  const supplierPart = await assertSupplierPart(conn, supplierPartId)
-  const catalogPosition = await resolveCatalogPositionForSupplierPart(conn, supplierPartId, line.catalog_position_id)
-  line.catalog_position_id = catalogPosition?.id || null
-  return {
-    supplierPart,
-    catalogPosition,
-    catalogPositionId: catalogPosition?.id || null,
-  }
-}
-
-const validatePurchaseOrderReceiptLine = async (conn, line) => {
-  if (line.source_type !== 'purchase_order') return
-  const purchaseOrderId = toId(line.source_id)
-  const purchaseOrderLineId = toId(line.source_line_id)
-  if (!purchaseOrderId || !purchaseOrderLineId) {
-    throw Object.assign(new Error('Для прихода по PO нужна точная строка заказа поставщику'), { status: 400 })
-  }
-
-  const [[poLine]] = await conn.execute(
-    `
-    SELECT
-      pol.id,
-      pol.qty,
-      po.status,
-      po.supplier_reference,
-      rl.supplier_part_id
-    FROM supplier_purchase_order_lines pol
-    JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
-    LEFT JOIN rfq_response_lines rl ON rl.id = pol.rfq_response_line_id
-    WHERE pol.id = ?
-      AND pol.supplier_purchase_order_id = ?
-    LIMIT 1
-    `,
-    [purchaseOrderLineId, purchaseOrderId]
-  )
-  if (!poLine) throw Object.assign(new Error('Строка заказа поставщику для прихода не найдена'), { status: 400 })
-  if (!['sent', 'confirmed'].includes(String(poLine.status || ''))) {
-    throw Object.assign(new Error('Приход можно оформлять только по отправленному или подтвержденному PO'), { status: 409 })
-  }
-  if (toId(poLine.supplier_part_id) !== toId(line.supplier_part_id)) {
-    throw Object.assign(new Error('Деталь поставщика в приходе не совпадает со строкой PO'), { status: 409 })
-  }
-
-  const [[received]] = await conn.execute(
-    `
-    SELECT COALESCE(SUM(wdl.quantity), 0) AS qty
-    FROM warehouse_document_lines wdl
-    JOIN warehouse_documents wd ON wd.id = wdl.document_id
-    WHERE wd.doc_type = 'receipt'
-      AND wd.status IN ('draft', 'posted')
-      AND COALESCE(wdl.source_type, wd.source_type) = 'purchase_order'
-      AND COALESCE(wdl.source_id, wd.source_id) = ?
-      AND wdl.source_line_id = ?
-    `,
-    [String(purchaseOrderId), String(purchaseOrderLineId)]
-  )
-  const orderedQty = Number(poLine.qty || 0)
-  const alreadyQty = Number(received?.qty || 0)
-  const nextQty = Number(line.quantity || 0)
-  if (alreadyQty + nextQty > orderedQty + 0.0005) {
-    throw Object.assign(
-      new Error(`По строке PO уже принято/подготовлено ${alreadyQty}. Нельзя принять больше ${orderedQty}.`),
-      { status: 409 }
-    )
-  }
-}
-
+// cost: { costed_qty, unit_cost, cost_amount, cost_currency, cost_method } со знаком движения
 const insertStockMovement = async (
   conn,
-  { doc, line, warehouseId, storagePlaceId, movementType, quantityDelta = 0, reservedDelta = 0 }
+  {
+    doc,
+    line,
+    warehouseId,
+    storagePlaceId,
+    movementType,
+    quantityDelta = 0,
+    reservedDelta = 0,
+    cost = null,
+    reversalOfMovementId = null,
+  }
 ) => {
-  await conn.execute(
+  const [ins] = await conn.execute(
     `
     INSERT INTO warehouse_stock_movements
-      (document_id, document_line_id, supplier_part_id, catalog_position_id, warehouse_id, storage_place_id, movement_type, quantity_delta, reserved_delta, occurred_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (document_id, document_line_id, supplier_part_id, catalog_position_id, warehouse_id, storage_place_id, movement_type, quantity_delta, reserved_delta, costed_qty, unit_cost, cost_amount, cost_currency, cost_method, reversal_of_movement_id, occurred_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `,
     [
       doc.id,
@@ -547,9 +417,168 @@ const insertStockMovement = async (
       movementType,
       quantityDelta,
       reservedDelta,
+      cost ? cost.costed_qty : null,
+      cost?.unit_cost ?? null,
+      cost?.cost_amount ?? null,
+      cost?.cost_currency || null,
+      cost?.cost_method || null,
+      reversalOfMovementId,
       doc.document_date,
     ]
   )
+  return ins.insertId
+}
+
+const signedIssueCost = (issue, sign) => ({
+  ...issue,
+  costed_qty: sign * issue.costed_qty,
+  cost_amount: issue.cost_amount === null ? null : sign * issue.cost_amount,
+})
+
+const inventoryLineKey = (supplierPartId, storagePlaceId) => `${supplierPartId}|${storagePlaceId || 0}`
+
+/**
+ * Снимок ожидаемых остатков инвентаризации: новые позиции добавляются,
+ * ожидаемое количество существующих строк обновляется, непересчитанные
+ * строки без остатка удаляются. Введённые факты не трогаем.
+ */
+const syncInventorySnapshot = async (conn, doc) => {
+  const where = ['m.warehouse_id = ?', 'm.supplier_part_id IS NOT NULL']
+  const params = [doc.warehouse_id]
+  if (doc.storage_place_id) {
+    where.push('m.storage_place_id = ?')
+    params.push(doc.storage_place_id)
+  }
+  const [stockRows] = await conn.execute(
+    `
+    SELECT
+      m.supplier_part_id,
+      m.storage_place_id,
+      MAX(m.catalog_position_id) AS catalog_position_id,
+      SUM(m.quantity_delta) AS actual_qty
+    FROM warehouse_stock_movements m
+    WHERE ${where.join(' AND ')}
+    GROUP BY m.supplier_part_id, m.storage_place_id
+    HAVING actual_qty <> 0
+    `,
+    params
+  )
+  const [lines] = await conn.execute(
+    'SELECT id, supplier_part_id, storage_place_id, counted_qty, is_unexpected FROM warehouse_document_lines WHERE document_id = ?',
+    [doc.id]
+  )
+  const linesByKey = new Map(lines.map((line) => [inventoryLineKey(line.supplier_part_id, line.storage_place_id), line]))
+  const seen = new Set()
+
+  for (const row of stockRows) {
+    const key = inventoryLineKey(row.supplier_part_id, row.storage_place_id)
+    seen.add(key)
+    const existing = linesByKey.get(key)
+    if (existing) {
+      await conn.execute('UPDATE warehouse_document_lines SET expected_qty = ? WHERE id = ?', [row.actual_qty, existing.id])
+      continue
+    }
+    await conn.execute(
+      `
+      INSERT INTO warehouse_document_lines
+        (document_id, supplier_part_id, catalog_position_id, storage_place_id, quantity, expected_qty, is_unexpected)
+      VALUES (?, ?, ?, ?, 0, ?, 0)
+      `,
+      [doc.id, row.supplier_part_id, row.catalog_position_id || null, row.storage_place_id || null, row.actual_qty]
+    )
+  }
+
+  for (const [key, line] of linesByKey) {
+    if (seen.has(key)) continue
+    if (line.counted_qty === null && !Number(line.is_unexpected)) {
+      await conn.execute('DELETE FROM warehouse_document_lines WHERE id = ?', [line.id])
+    } else {
+      await conn.execute('UPDATE warehouse_document_lines SET expected_qty = 0 WHERE id = ?', [line.id])
+    }
+  }
+  return stockRows.length
+}
+
+const postInventoryCount = async (conn, doc, lines) => {
+  const warehouseId = toId(doc.warehouse_id)
+  await assertWarehouse(conn, warehouseId, 'Склад инвентаризации')
+  const uncounted = lines.filter((line) => line.counted_qty === null)
+  if (uncounted.length) {
+    throw Object.assign(new Error(`Не введён факт по ${uncounted.length} позициям инвентаризации`), { status: 400 })
+  }
+
+  const prepared = []
+  const changed = []
+  for (const line of lines) {
+    const { supplierPart } = await resolveLineSku(conn, line)
+    const stock = await currentStock(conn, {
+      warehouseId,
+      storagePlaceId: line.storage_place_id,
+      supplierPartId: line.supplier_part_id,
+    })
+    if (Math.abs(stock.actual - Number(line.expected_qty || 0)) > QTY_EPSILON) {
+      changed.push(supplierPartLabel(supplierPart))
+    }
+    prepared.push({ line, supplierPart, stock })
+  }
+  if (changed.length) {
+    throw Object.assign(
+      new Error(`Остаток изменился после снимка: ${changed.slice(0, 5).join(', ')}. Обновите снимок инвентаризации.`),
+      { status: 409 }
+    )
+  }
+
+  for (const { line, supplierPart, stock } of prepared) {
+    const counted = Number(line.counted_qty)
+    const difference = Math.round((counted - Number(line.expected_qty || 0)) * 1000) / 1000
+    if (Math.abs(difference) <= QTY_EPSILON) continue
+    if (counted + QTY_EPSILON < stock.reserved) {
+      throw Object.assign(
+        new Error(`По ${supplierPartLabel(supplierPart)} факт меньше резерва (${stock.reserved}). Сначала снимите резерв.`),
+        { status: 409 }
+      )
+    }
+
+    if (difference > 0) {
+      const cost = await buildSurplusCost(conn, {
+        supplierPartId: line.supplier_part_id,
+        warehouseId,
+        quantity: difference,
+      })
+      const movementId = await insertStockMovement(conn, {
+        doc,
+        line,
+        warehouseId,
+        storagePlaceId: line.storage_place_id,
+        movementType: 'inventory_adjustment',
+        quantityDelta: difference,
+        cost: cost && { ...cost, cost_method: getValuationMethod() },
+      })
+      await openReceiptLayer(conn, {
+        movementId,
+        supplierPartId: line.supplier_part_id,
+        warehouseId,
+        cost,
+        receivedAt: doc.document_date,
+      })
+    } else {
+      const issue = await allocateIssueCost(conn, {
+        supplierPartId: line.supplier_part_id,
+        warehouseId,
+        quantity: -difference,
+      })
+      const movementId = await insertStockMovement(conn, {
+        doc,
+        line,
+        warehouseId,
+        storagePlaceId: line.storage_place_id,
+        movementType: 'inventory_adjustment',
+        quantityDelta: difference,
+        cost: signedIssueCost(issue, -1),
+      })
+      await commitIssueCost(conn, { movementId, issue })
+    }
+  }
 }
 
 const postDocument = async (conn, documentId, userId = null) => {
@@ -577,13 +606,22 @@ const postDocument = async (conn, documentId, userId = null) => {
     for (const line of lines) {
       await resolveLineSku(conn, line)
       await assertPlace(conn, line.storage_place_id, warehouseId)
-      await insertStockMovement(conn, {
+      const cost = await buildReceiptCost(line)
+      const movementId = await insertStockMovement(conn, {
         doc,
         line,
         warehouseId,
         storagePlaceId: line.storage_place_id,
         movementType: 'receipt',
         quantityDelta: Number(line.quantity),
+        cost: cost && { ...cost, cost_method: getValuationMethod() },
+      })
+      await openReceiptLayer(conn, {
+        movementId,
+        supplierPartId: line.supplier_part_id,
+        warehouseId,
+        cost,
+        receivedAt: doc.document_date,
       })
     }
   }
@@ -604,14 +642,21 @@ const postDocument = async (conn, documentId, userId = null) => {
           status: 400,
         })
       }
-      await insertStockMovement(conn, {
+      const issue = await allocateIssueCost(conn, {
+        supplierPartId: line.supplier_part_id,
+        warehouseId,
+        quantity: Number(line.quantity),
+      })
+      const movementId = await insertStockMovement(conn, {
         doc,
         line,
         warehouseId,
         storagePlaceId: line.storage_place_id,
         movementType: 'writeoff',
         quantityDelta: -Number(line.quantity),
+        cost: signedIssueCost(issue, -1),
       })
+      await commitIssueCost(conn, { movementId, issue })
     }
   }
 
@@ -669,6 +714,10 @@ const postDocument = async (conn, documentId, userId = null) => {
     }
   }
 
+  if (doc.doc_type === 'inventory_count') {
+    await postInventoryCount(conn, doc, lines)
+  }
+
   if (doc.doc_type === 'transfer') {
     const sourceWarehouseId = toId(doc.source_warehouse_id)
     const targetWarehouseId = toId(doc.target_warehouse_id)
@@ -688,21 +737,36 @@ const postDocument = async (conn, documentId, userId = null) => {
           status: 400,
         })
       }
-      await insertStockMovement(conn, {
+      const issue = await allocateIssueCost(conn, {
+        supplierPartId: line.supplier_part_id,
+        warehouseId: sourceWarehouseId,
+        quantity: Number(line.quantity),
+      })
+      const outMovementId = await insertStockMovement(conn, {
         doc,
         line,
         warehouseId: sourceWarehouseId,
         storagePlaceId: line.storage_place_id,
         movementType: 'transfer_out',
         quantityDelta: -Number(line.quantity),
+        cost: signedIssueCost(issue, -1),
       })
-      await insertStockMovement(conn, {
+      await commitIssueCost(conn, { movementId: outMovementId, issue })
+      const inMovementId = await insertStockMovement(conn, {
         doc,
         line,
         warehouseId: targetWarehouseId,
         storagePlaceId: line.target_storage_place_id,
         movementType: 'transfer_in',
         quantityDelta: Number(line.quantity),
+        cost: signedIssueCost(issue, 1),
+      })
+      await openTransferLayers(conn, {
+        movementId: inMovementId,
+        supplierPartId: line.supplier_part_id,
+        warehouseId: targetWarehouseId,
+        issue,
+        receivedAt: doc.document_date,
       })
     }
   }
@@ -720,6 +784,177 @@ const postDocument = async (conn, documentId, userId = null) => {
   return fresh
 }
 
+const negateOrNull = (value) => (value === null || value === undefined ? null : -Number(value))
+
+/**
+ * Сторно проведённого документа: документ storno с теми же строками и
+ * обратными движениями (тип движения сохраняется, чтобы резервы и остатки
+ * по источникам сворачивались в ноль), исходный документ — reversed.
+ */
+const reverseDocument = async (conn, documentId, { userId = null, reason = null } = {}) => {
+  const [[doc]] = await conn.execute('SELECT * FROM warehouse_documents WHERE id = ? FOR UPDATE', [documentId])
+  if (!doc) throw Object.assign(new Error('Документ склада не найден'), { status: 404 })
+  if (doc.doc_type === 'storno') {
+    throw Object.assign(new Error('Документ сторно не сторнируется'), { status: 400 })
+  }
+  if (doc.status === 'reversed') {
+    throw Object.assign(new Error('Документ уже сторнирован'), { status: 409 })
+  }
+  if (doc.status !== 'posted') {
+    throw Object.assign(new Error('Сторнировать можно только проведённый документ'), { status: 400 })
+  }
+
+  const [movements] = await conn.execute(
+    'SELECT * FROM warehouse_stock_movements WHERE document_id = ? ORDER BY id',
+    [documentId]
+  )
+  if (!movements.length) {
+    throw Object.assign(new Error('У документа нет движений для сторно'), { status: 400 })
+  }
+
+  const effects = new Map()
+  for (const movement of movements) {
+    const key = `${movement.warehouse_id}|${movement.storage_place_id || 0}|${movement.supplier_part_id}`
+    if (!effects.has(key)) {
+      effects.set(key, {
+        warehouseId: movement.warehouse_id,
+        storagePlaceId: movement.storage_place_id,
+        supplierPartId: movement.supplier_part_id,
+        qty: 0,
+        reserved: 0,
+      })
+    }
+    const effect = effects.get(key)
+    effect.qty -= Number(movement.quantity_delta || 0)
+    effect.reserved -= Number(movement.reserved_delta || 0)
+  }
+  for (const effect of effects.values()) {
+    const stock = await currentStock(conn, effect)
+    const reserved = stock.reserved + effect.reserved
+    const free = stock.actual + effect.qty - reserved
+    if (reserved >= -QTY_EPSILON && free >= -QTY_EPSILON) continue
+    const supplierPart = await assertSupplierPart(conn, effect.supplierPartId).catch(() => ({ id: effect.supplierPartId }))
+    throw Object.assign(
+      new Error(
+        reserved < -QTY_EPSILON
+          ? `Сторно невозможно: резерв по ${supplierPartLabel(supplierPart)} стал бы отрицательным`
+          : `Сторно невозможно: свободный остаток по ${supplierPartLabel(supplierPart)} стал бы отрицательным`
+      ),
+      { status: 409 }
+    )
+  }
+
+  const [ins] = await conn.execute(
+    `
+    INSERT INTO warehouse_documents
+      (doc_type, status, document_date, warehouse_id, source_warehouse_id, target_warehouse_id, storage_place_id, basis_document, client_reference, source_type, source_id, source_line_id, source_label, reversal_of_document_id, notes, created_by, posted_by, posted_at)
+    VALUES ('storno', 'posted', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `,
+    [
+      toMysqlDateTime(new Date()),
+      doc.warehouse_id,
+      doc.source_warehouse_id,
+      doc.target_warehouse_id,
+      doc.storage_place_id || null,
+      `Сторно ${doc.document_no || `#${doc.id}`}`,
+      doc.client_reference,
+      doc.source_type,
+      doc.source_id,
+      doc.source_line_id,
+      doc.source_label,
+      doc.id,
+      reason,
+      userId,
+      userId,
+    ]
+  )
+  const stornoId = ins.insertId
+  await conn.execute('UPDATE warehouse_documents SET document_no = ? WHERE id = ?', [
+    `${DOC_TYPES.storno.prefix}-${String(stornoId).padStart(6, '0')}`,
+    stornoId,
+  ])
+  const [[storno]] = await conn.execute('SELECT * FROM warehouse_documents WHERE id = ?', [stornoId])
+
+  const [lines] = await conn.execute('SELECT * FROM warehouse_document_lines WHERE document_id = ? ORDER BY id', [
+    documentId,
+  ])
+  const lineIds = new Map()
+  for (const line of lines) {
+    const [lineIns] = await conn.execute(
+      `
+      INSERT INTO warehouse_document_lines
+        (document_id, supplier_part_id, catalog_position_id, storage_place_id, target_storage_place_id, quantity, unit_cost, currency, cost_source, unit_code, reason, notes, source_type, source_id, source_line_id, source_label, reversal_of_line_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        stornoId,
+        line.supplier_part_id,
+        line.catalog_position_id,
+        line.storage_place_id,
+        line.target_storage_place_id,
+        line.quantity,
+        line.unit_cost,
+        line.currency,
+        line.cost_source,
+        line.unit_code,
+        line.reason,
+        line.notes,
+        line.source_type,
+        line.source_id,
+        line.source_line_id,
+        line.source_label,
+        line.id,
+      ]
+    )
+    lineIds.set(line.id, lineIns.insertId)
+  }
+
+  for (const movement of movements) {
+    const reversal = await reverseMovementCost(conn, { movementId: movement.id })
+    const stornoMovementId = await insertStockMovement(conn, {
+      doc: storno,
+      line: {
+        id: lineIds.get(movement.document_line_id),
+        supplier_part_id: movement.supplier_part_id,
+        catalog_position_id: movement.catalog_position_id,
+      },
+      warehouseId: movement.warehouse_id,
+      storagePlaceId: movement.storage_place_id,
+      movementType: movement.movement_type,
+      quantityDelta: -Number(movement.quantity_delta || 0),
+      reservedDelta: -Number(movement.reserved_delta || 0),
+      cost:
+        reversal.cost ||
+        (movement.costed_qty === null
+          ? null
+          : {
+              costed_qty: negateOrNull(movement.costed_qty),
+              unit_cost: movement.unit_cost,
+              cost_amount: negateOrNull(movement.cost_amount),
+              cost_currency: movement.cost_currency,
+              cost_method: movement.cost_method,
+            }),
+      reversalOfMovementId: movement.id,
+    })
+    if (reversal.issue) await commitIssueCost(conn, { movementId: stornoMovementId, issue: reversal.issue })
+  }
+
+  await conn.execute(
+    `
+    UPDATE warehouse_documents
+    SET status = 'reversed',
+        reversed_by_document_id = ?,
+        reversed_at = NOW(),
+        reversed_by = ?,
+        reversal_reason = ?,
+        updated_at = NOW()
+    WHERE id = ?
+    `,
+    [stornoId, userId, reason, doc.id]
+  )
+  return storno
+}
+
 router.get('/document-types', (_req, res) => {
   res.json(Object.entries(DOC_TYPES).map(([value, meta]) => ({ value, ...meta })))
 })
@@ -837,6 +1072,8 @@ router.get('/supplier-parts', async (req, res) => {
     ? 'LEFT JOIN supplier_part_catalog_positions selected_link ON selected_link.supplier_part_id = sp.id AND selected_link.catalog_position_id = ?'
     : 'LEFT JOIN supplier_part_catalog_positions selected_link ON 1 = 0'
   if (catalogPositionId) params.push(catalogPositionId)
+  // Дата для последней действующей цены — её JOIN стоит до WHERE
+  params.push(new Date())
 
   const where = ['COALESCE(sp.active, 1) = 1']
   if (catalogPositionId) {
@@ -909,17 +1146,7 @@ router.get('/supplier-parts', async (req, res) => {
       LEFT JOIN equipment_manufacturers mf ON mf.id = COALESCE(cp.manufacturer_id, em.manufacturer_id)
       LEFT JOIN (${supplierPartCatalogLinksSql}) catalog_links
         ON catalog_links.supplier_part_id = sp.id
-      LEFT JOIN (
-        SELECT spp1.*
-        FROM supplier_part_prices spp1
-        JOIN (
-          SELECT supplier_part_id, MAX(id) AS max_id
-          FROM supplier_part_prices
-          GROUP BY supplier_part_id
-        ) latest
-          ON latest.supplier_part_id = spp1.supplier_part_id
-         AND latest.max_id = spp1.id
-      ) latest_price ON latest_price.supplier_part_id = sp.id
+      ${latestValidPriceJoinSql({ alias: 'latest_price', partIdExpr: 'sp.id' })}
       WHERE ${where.join(' AND ')}
       ORDER BY selected_link.catalog_position_id IS NULL, ps.name, sp.supplier_part_number
       LIMIT 50
@@ -1051,6 +1278,120 @@ router.get('/overview', async (req, res) => {
   }
 })
 
+// GET /warehouse/valuation?warehouse_id&as_of=YYYY-MM-DD
+// Стоимость остатка по складам на конец дня as_of (по умолчанию — текущая).
+router.get('/valuation', async (req, res) => {
+  const warehouseId = toId(req.query.warehouse_id)
+  const asOfRaw = nz(req.query.as_of)
+  if (asOfRaw && !/^\d{4}-\d{2}-\d{2}$/.test(asOfRaw)) {
+    return res.status(400).json({ message: 'Дата оценки должна быть в формате YYYY-MM-DD' })
+  }
+
+  try {
+    const where = ['m.supplier_part_id IS NOT NULL']
+    const params = []
+    if (warehouseId) {
+      where.push('m.warehouse_id = ?')
+      params.push(warehouseId)
+    }
+    if (asOfRaw) {
+      where.push('m.occurred_at < DATE_ADD(?, INTERVAL 1 DAY)')
+      params.push(asOfRaw)
+    }
+    const [rows] = await db.execute(
+      `
+      SELECT
+        balance.warehouse_id,
+        balance.supplier_part_id,
+        balance.qty,
+        balance.costed_qty,
+        balance.value,
+        wl.name AS warehouse_name,
+        wl.code AS warehouse_code,
+        sp.supplier_id,
+        ps.name AS supplier_name,
+        sp.supplier_part_number,
+        sp.canonical_part_number,
+        COALESCE(sp.description_ru, sp.description_en) AS supplier_part_description,
+        sp.uom
+      FROM (
+        SELECT
+          m.warehouse_id,
+          m.supplier_part_id,
+          SUM(m.quantity_delta) AS qty,
+          SUM(COALESCE(m.costed_qty, 0)) AS costed_qty,
+          SUM(COALESCE(m.cost_amount, 0)) AS value
+        FROM warehouse_stock_movements m
+        WHERE ${where.join(' AND ')}
+        GROUP BY m.warehouse_id, m.supplier_part_id
+        HAVING qty <> 0 OR value <> 0
+      ) balance
+      JOIN warehouse_locations wl ON wl.id = balance.warehouse_id
+      JOIN supplier_parts sp ON sp.id = balance.supplier_part_id
+      JOIN part_suppliers ps ON ps.id = sp.supplier_id
+      ORDER BY wl.name, ps.name, sp.supplier_part_number
+      `,
+      params
+    )
+
+    const round = (value, digits) => Math.round(Number(value || 0) * 10 ** digits) / 10 ** digits
+    const warehouses = new Map()
+    const totals = { qty: 0, costed_qty: 0, uncosted_qty: 0, value: 0 }
+    const items = rows.map((row) => {
+      const qty = formatQuantity(row.qty)
+      const costedQty = formatQuantity(row.costed_qty)
+      const value = Number(row.value || 0)
+      const item = {
+        ...row,
+        qty,
+        costed_qty: costedQty,
+        uncosted_qty: round(qty - costedQty, 3),
+        value: round(value, 2),
+        avg_unit_cost: costedQty > 0 ? round(value / costedQty, 4) : null,
+      }
+      if (!warehouses.has(row.warehouse_id)) {
+        warehouses.set(row.warehouse_id, {
+          warehouse_id: row.warehouse_id,
+          warehouse_name: row.warehouse_name,
+          warehouse_code: row.warehouse_code,
+          positions_count: 0,
+          qty: 0,
+          costed_qty: 0,
+          uncosted_qty: 0,
+          value: 0,
+        })
+      }
+      for (const acc of [warehouses.get(row.warehouse_id), totals]) {
+        acc.qty += item.qty
+        acc.costed_qty += item.costed_qty
+        acc.uncosted_qty += item.uncosted_qty
+        acc.value += item.value
+      }
+      warehouses.get(row.warehouse_id).positions_count += 1
+      return item
+    })
+    const roundTotals = (acc) => ({
+      ...acc,
+      qty: round(acc.qty, 3),
+      costed_qty: round(acc.costed_qty, 3),
+      uncosted_qty: round(acc.uncosted_qty, 3),
+      value: round(acc.value, 2),
+    })
+
+    res.json({
+      method: getValuationMethod(),
+      currency: getValuationCurrency(),
+      as_of: asOfRaw,
+      totals: roundTotals(totals),
+      warehouses: [...warehouses.values()].map(roundTotals),
+      items,
+    })
+  } catch (err) {
+    console.error('GET /warehouse/valuation error:', err)
+    res.status(500).json({ message: 'Ошибка расчёта стоимости склада' })
+  }
+})
+
 router.get('/positions/:id', async (req, res) => {
   const catalogPositionId = toId(req.params.id)
   if (!catalogPositionId) return res.status(400).json({ message: 'Некорректный идентификатор карточки позиции' })
@@ -1106,10 +1447,22 @@ router.get('/positions/:id', async (req, res) => {
         m.movement_type,
         m.quantity_delta,
         m.reserved_delta,
+        m.costed_qty,
+        m.unit_cost,
+        m.cost_amount,
+        m.cost_currency,
+        m.cost_method,
+        m.reversal_of_movement_id,
         m.occurred_at,
         doc.document_no,
         doc.doc_type,
         doc.status AS document_status,
+        doc.reversal_of_document_id,
+        reversal_of.document_no AS reversal_of_document_no,
+        reversal_of.doc_type AS reversal_of_doc_type,
+        doc.reversed_by_document_id,
+        reversed_by.document_no AS reversed_by_document_no,
+        doc.reversed_at,
         doc.basis_document,
         doc.source_type,
         doc.source_id,
@@ -1125,6 +1478,8 @@ router.get('/positions/:id', async (req, res) => {
         COALESCE(sp.description_ru, sp.description_en) AS supplier_part_description
       FROM warehouse_stock_movements m
       JOIN warehouse_documents doc ON doc.id = m.document_id
+      LEFT JOIN warehouse_documents reversal_of ON reversal_of.id = doc.reversal_of_document_id
+      LEFT JOIN warehouse_documents reversed_by ON reversed_by.id = doc.reversed_by_document_id
       JOIN warehouse_locations wl ON wl.id = m.warehouse_id
       JOIN supplier_parts sp ON sp.id = m.supplier_part_id
       JOIN part_suppliers ps ON ps.id = sp.supplier_id
@@ -1175,8 +1530,12 @@ router.get('/documents/:id', async (req, res) => {
         sw.name AS source_warehouse_name,
         tw.name AS target_warehouse_name,
         creator.full_name AS created_by_name,
-        poster.full_name AS posted_by_name
+        poster.full_name AS posted_by_name,
+        reversal_of.document_no AS reversal_of_document_no,
+        reversed_by.document_no AS reversed_by_document_no
       FROM warehouse_documents doc
+      LEFT JOIN warehouse_documents reversal_of ON reversal_of.id = doc.reversal_of_document_id
+      LEFT JOIN warehouse_documents reversed_by ON reversed_by.id = doc.reversed_by_document_id
       LEFT JOIN warehouse_locations wl ON wl.id = doc.warehouse_id
       LEFT JOIN warehouse_locations sw ON sw.id = doc.source_warehouse_id
       LEFT JOIN warehouse_locations tw ON tw.id = doc.target_warehouse_id
@@ -1202,8 +1561,22 @@ router.get('/documents/:id', async (req, res) => {
         cp.manufacturer_part_number,
         cp.position_code,
         place.code AS storage_place_code,
-        target_place.code AS target_storage_place_code
+        target_place.code AS target_storage_place_code,
+        line_cost.cost_amount AS line_cost_amount,
+        line_cost.costed_qty AS line_costed_qty,
+        line_cost.cost_currency AS line_cost_currency
       FROM warehouse_document_lines line
+      LEFT JOIN (
+        SELECT
+          document_line_id,
+          ABS(SUM(cost_amount)) AS cost_amount,
+          ABS(SUM(costed_qty)) AS costed_qty,
+          MAX(cost_currency) AS cost_currency
+        FROM warehouse_stock_movements
+        WHERE document_id = ?
+          AND movement_type IN ('receipt', 'writeoff', 'transfer_out')
+        GROUP BY document_line_id
+      ) line_cost ON line_cost.document_line_id = line.id
       LEFT JOIN supplier_parts sp ON sp.id = line.supplier_part_id
       LEFT JOIN part_suppliers ps ON ps.id = sp.supplier_id
       LEFT JOIN catalog_positions cp ON cp.id = line.catalog_position_id
@@ -1212,9 +1585,16 @@ router.get('/documents/:id', async (req, res) => {
       WHERE line.document_id = ?
       ORDER BY line.id
       `,
-      [id]
+      [id, id]
     )
-    res.json({ document, lines })
+    const costLines = lines.filter((line) => line.line_cost_amount !== null)
+    const cost = costLines.length
+      ? {
+          currency: costLines[0].line_cost_currency,
+          amount: Math.round(costLines.reduce((sum, line) => sum + Number(line.line_cost_amount), 0) * 100) / 100,
+        }
+      : null
+    res.json({ document, lines, cost })
   } catch (err) {
     console.error('GET /warehouse/documents/:id error:', err)
     res.status(500).json({ message: 'Ошибка загрузки документа склада' })
@@ -1224,21 +1604,36 @@ router.get('/documents/:id', async (req, res) => {
 router.post('/documents', async (req, res) => {
   const docType = nz(req.body?.doc_type)
   if (!DOC_TYPES[docType]) return res.status(400).json({ message: 'Некорректный тип документа' })
+  if (docType === 'storno') {
+    return res.status(400).json({ message: 'Сторно создаётся действием POST /warehouse/documents/:id/reverse' })
+  }
 
-  const lines = normalizeLines(req.body?.lines)
-  if (!lines.length) return res.status(400).json({ message: 'Добавьте хотя бы одну строку документа' })
+  // инвентаризация создаётся снимком остатков, факт вводится через PUT /documents/:id/counts
+  const isInventoryCount = docType === 'inventory_count'
+  const lines = isInventoryCount ? [] : normalizeLines(req.body?.lines)
+  if (!lines.length && !isInventoryCount) {
+    return res.status(400).json({ message: 'Добавьте хотя бы одну строку документа' })
+  }
 
   const warehouseId = toId(req.body?.warehouse_id)
   const sourceWarehouseId = toId(req.body?.source_warehouse_id)
   const targetWarehouseId = toId(req.body?.target_warehouse_id)
+  const storagePlaceId = isInventoryCount ? toId(req.body?.storage_place_id) : null
 
   const conn = await db.getConnection()
   try {
     await conn.beginTransaction()
 
-    if (docType === 'receipt' || docType === 'writeoff' || docType === 'reserve' || docType === 'unreserve') {
+    if (
+      docType === 'receipt' ||
+      docType === 'writeoff' ||
+      docType === 'reserve' ||
+      docType === 'unreserve' ||
+      isInventoryCount
+    ) {
       await assertWarehouse(conn, warehouseId)
     }
+    if (storagePlaceId) await assertPlace(conn, storagePlaceId, warehouseId)
     if (docType === 'transfer') {
       await assertWarehouse(conn, sourceWarehouseId, 'Склад отправления')
       await assertWarehouse(conn, targetWarehouseId, 'Склад получения')
@@ -1247,87 +1642,32 @@ router.post('/documents', async (req, res) => {
       }
     }
 
-    const [ins] = await conn.execute(
-      `
-      INSERT INTO warehouse_documents
-        (doc_type, status, document_date, warehouse_id, source_warehouse_id, target_warehouse_id, basis_document, client_reference, source_type, source_id, source_line_id, source_label, notes, created_by)
-      VALUES (?, 'draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-      [
-        docType,
-        toMysqlDateTime(req.body?.document_date),
-        docType === 'transfer' ? null : warehouseId,
-        sourceWarehouseId,
-        targetWarehouseId,
-        nz(req.body?.basis_document),
-        nz(req.body?.client_reference),
-        nz(req.body?.source_type),
-        nz(req.body?.source_id),
-        nz(req.body?.source_line_id),
-        nz(req.body?.source_label),
-        nz(req.body?.notes),
-        toId(req.user?.id),
-      ]
-    )
-
-    const documentId = ins.insertId
-    const documentNo = `${DOC_TYPES[docType].prefix}-${String(documentId).padStart(6, '0')}`
-    await conn.execute('UPDATE warehouse_documents SET document_no = ? WHERE id = ?', [documentNo, documentId])
-
-    const documentSource = {
-      source_type: nz(req.body?.source_type),
-      source_id: nz(req.body?.source_id),
-      source_line_id: nz(req.body?.source_line_id),
-      source_label: nz(req.body?.source_label),
-    }
+    const { id: documentId } = await insertDraftDocument(conn, {
+      docType,
+      documentDate: req.body?.document_date,
+      warehouseId: docType === 'transfer' ? null : warehouseId,
+      sourceWarehouseId,
+      targetWarehouseId,
+      storagePlaceId,
+      basisDocument: nz(req.body?.basis_document),
+      clientReference: nz(req.body?.client_reference),
+      source: {
+        source_type: nz(req.body?.source_type),
+        source_id: nz(req.body?.source_id),
+        source_line_id: nz(req.body?.source_line_id),
+        source_label: nz(req.body?.source_label),
+      },
+      notes: nz(req.body?.notes),
+      lines,
+      userId: toId(req.user?.id),
+    })
 
-    for (const rawLine of lines) {
-      const line = withDocumentSourceFallback(rawLine, documentSource, lines.length === 1)
-      const { supplierPart, catalogPosition, catalogPositionId } = await resolveLineSku(conn, line)
-      if (docType === 'receipt') {
-        await validatePurchaseOrderReceiptLine(conn, line)
-      }
-      const effectiveUnit = line.unit_code || supplierPart.uom || catalogPosition?.uom || 'шт'
-      await conn.execute(
-        `
-        INSERT INTO warehouse_document_lines
-          (
-            document_id,
-            supplier_part_id,
-            catalog_position_id,
-            storage_place_id,
-            target_storage_place_id,
-            quantity,
-            unit_code,
-            reason,
-            notes,
-            source_type,
-            source_id,
-            source_line_id,
-            source_label
-          )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `,
-        [
-          documentId,
-          line.supplier_part_id,
-          catalogPositionId,
-          line.storage_place_id,
-          line.target_storage_place_id,
-          line.quantity,
-          effectiveUnit,
-          line.reason,
-          line.notes,
-          line.source_type,
-          line.source_id,
-          line.source_line_id,
-          line.source_label,
-        ]
-      )
+    if (isInventoryCount) {
+      await syncInventorySnapshot(conn, { id: documentId, warehouse_id: warehouseId, storage_place_id: storagePlaceId })
     }
 
     let posted = null
-    if (boolValue(req.body?.post, true)) {
+    if (!isInventoryCount && boolValue(req.body?.post, true)) {
       posted = await postDocument(conn, documentId, toId(req.user?.id))
     }
 
@@ -1371,4 +1711,301 @@ router.post('/documents/:id/post', async (req, res) => {
   }
 })
 
+const lockDraftInventoryCount = async (conn, id) => {
+  const [[doc]] = await conn.execute('SELECT * FROM warehouse_documents WHERE id = ? FOR UPDATE', [id])
+  if (!doc) throw Object.assign(new Error('Документ склада не найден'), { status: 404 })
+  if (doc.doc_type !== 'inventory_count') {
+    throw Object.assign(new Error('Документ не является инвентаризацией'), { status: 400 })
+  }
+  if (doc.status !== 'draft') {
+    throw Object.assign(new Error('Инвентаризация уже проведена'), { status: 409 })
+  }
+  return doc
+}
+
+// POST /warehouse/documents/:id/reverse
+// body: { reason? }
+router.post('/documents/:id/reverse', async (req, res) => {
+  const id = toId(req.params.id)
+  if (!id) return res.status(400).json({ message: 'Некорректный идентификатор документа' })
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const storno = await reverseDocument(conn, id, {
+      userId: toId(req.user?.id),
+      reason: nz(req.body?.reason)?.slice(0, 255) || null,
+    })
+    await conn.commit()
+    const [[document]] = await db.execute('SELECT * FROM warehouse_documents WHERE id = ?', [id])
+    res.status(201).json({ document, storno })
+  } catch (err) {
+    try {
+      await conn.rollback()
+    } catch {}
+    if (err?.status) return res.status(err.status).json({ message: err.message })
+    console.error('POST /warehouse/documents/:id/reverse error:', err)
+    res.status(500).json({ message: 'Ошибка сторно складского документа' })
+  } finally {
+    conn.release()
+  }
+})
+
+// PUT /warehouse/documents/:id/counts
+// body: { lines: [{ line_id? | supplier_part_id + storage_place_id, counted_qty, notes?, remove? }] }
+// Позиция, которой нет в снимке, добавляется строкой «не числилась» с ожидаемым 0.
+router.put('/documents/:id/counts', async (req, res) => {
+  const id = toId(req.params.id)
+  if (!id) return res.status(400).json({ message: 'Некорректный идентификатор документа' })
+  const input = Array.isArray(req.body?.lines) ? req.body.lines : []
+  if (!input.length) return res.status(400).json({ message: 'Передайте строки с фактическим количеством' })
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const doc = await lockDraftInventoryCount(conn, id)
+    const userId = toId(req.user?.id)
+
+    for (const raw of input) {
+      const hasCount = raw?.counted_qty !== undefined && raw?.counted_qty !== null && raw?.counted_qty !== ''
+      const countedQty = hasCount ? numOrNull(raw.counted_qty) : null
+      if (hasCount && (countedQty === null || countedQty < 0)) {
+        throw Object.assign(new Error('Фактическое количество должно быть неотрицательным числом'), { status: 400 })
+      }
+
+      let line = null
+      const lineId = toId(raw?.line_id)
+      if (lineId) {
+        const [[found]] = await conn.execute(
+          'SELECT * FROM warehouse_document_lines WHERE id = ? AND document_id = ?',
+          [lineId, id]
+        )
+        if (!found) throw Object.assign(new Error('Строка инвентаризации не найдена'), { status: 404 })
+        line = found
+      } else {
+        const candidate = { supplier_part_id: toId(raw?.supplier_part_id), catalog_position_id: toId(raw?.catalog_position_id) }
+        await resolveLineSku(conn, candidate)
+        const placeId = toId(raw?.storage_place_id) || toId(doc.storage_place_id)
+        await assertPlace(conn, placeId, doc.warehouse_id)
+        if (doc.storage_place_id && placeId !== toId(doc.storage_place_id)) {
+          throw Object.assign(new Error('Инвентаризация ограничена другим местом хранения'), { status: 400 })
+        }
+        const [[found]] = await conn.execute(
+          `
+          SELECT * FROM warehouse_document_lines
+          WHERE document_id = ? AND supplier_part_id = ? AND storage_place_id <=> ?
+          LIMIT 1
+          `,
+          [id, candidate.supplier_part_id, placeId || null]
+        )
+        if (found) {
+          line = found
+        } else {
+          if (boolValue(raw?.remove)) continue
+          const [ins] = await conn.execute(
+            `
+            INSERT INTO warehouse_document_lines
+              (document_id, supplier_part_id, catalog_position_id, storage_place_id, quantity, expected_qty, is_unexpected)
+            VALUES (?, ?, ?, ?, 0, 0, 1)
+            `,
+            [id, candidate.supplier_part_id, candidate.catalog_position_id || null, placeId || null]
+          )
+          line = { id: ins.insertId, is_unexpected: 1, notes: null }
+        }
+      }
+
+      if (boolValue(raw?.remove)) {
+        if (!Number(line.is_unexpected)) {
+          throw Object.assign(new Error('Удалить можно только позицию, которой не было в снимке'), { status: 400 })
+        }
+        await conn.execute('DELETE FROM warehouse_document_lines WHERE id = ?', [line.id])
+        continue
+      }
+
+      await conn.execute(
+        `
+        UPDATE warehouse_document_lines
+        SET counted_qty = ?, quantity = ?, notes = ?, counted_by = ?, counted_at = ?
+        WHERE id = ?
+        `,
+        [
+          countedQty,
+          countedQty ?? 0,
+          raw?.notes !== undefined ? nz(raw.notes) : line.notes ?? null,
+          hasCount ? userId : null,
+          hasCount ? toMysqlDateTime(new Date()) : null,
+          line.id,
+        ]
+      )
+    }
+
+    await conn.commit()
+    res.json({ ok: true })
+  } catch (err) {
+    try {
+      await conn.rollback()
+    } catch {}
+    if (err?.status) return res.status(err.status).json({ message: err.message })
+    console.error('PUT /warehouse/documents/:id/counts error:', err)
+    res.status(500).json({ message: 'Ошибка сохранения результатов инвентаризации' })
+  } finally {
+    conn.release()
+  }
+})
+
+// POST /warehouse/documents/:id/snapshot — пересчитать ожидаемые остатки черновика
+router.post('/documents/:id/snapshot', async (req, res) => {
+  const id = toId(req.params.id)
+  if (!id) return res.status(400).json({ message: 'Некорректный идентификатор документа' })
+
+  const conn = await db.getConnection()
+  try {
+    await conn.beginTransaction()
+    const doc = await lockDraftInventoryCount(conn, id)
+    const positions = await syncInventorySnapshot(conn, doc)
+    await conn.commit()
+    res.json({ ok: true, positions })
+  } catch (err) {
+    try {
+      await conn.rollback()
+    } catch {}
+    if (err?.status) return res.status(err.status).json({ message: err.message })
+    console.error('POST /warehouse/documents/:id/snapshot error:', err)
+    res.status(500).json({ message: 'Ошибка обновления снимка остатков' })
+  } finally {
+    conn.release()
+  }
+})
+
+// GET /warehouse/documents/:id/discrepancies?only_differences=1
+router.get('/documents/:id/discrepancies', async (req, res) => {
+  const id = toId(req.params.id)
+  if (!id) return res.status(400).json({ message: 'Некорректный идентификатор документа' })
+  try {
+    const [[document]] = await db.execute(
+      `
+      SELECT doc.*, wl.name AS warehouse_name, place.code AS storage_place_code
+      FROM warehouse_documents doc
+      LEFT JOIN warehouse_locations wl ON wl.id = doc.warehouse_id
+      LEFT JOIN warehouse_storage_places place ON place.id = doc.storage_place_id
+      WHERE doc.id = ?
+      `,
+      [id]
+    )
+    if (!document) return res.status(404).json({ message: 'Документ склада не найден' })
+    if (document.doc_type !== 'inventory_count') {
+      return res.status(400).json({ message: 'Документ не является инвентаризацией' })
+    }
+
+    const [rows] = await db.execute(
+      `
+      SELECT
+        line.id,
+        line.supplier_part_id,
+        line.catalog_position_id,
+        line.storage_place_id,
+        line.expected_qty,
+        line.counted_qty,
+        line.is_unexpected,
+        line.notes,
+        line.counted_at,
+        counter.full_name AS counted_by_name,
+        place.code AS storage_place_code,
+        sp.supplier_id,
+        ps.name AS supplier_name,
+        sp.supplier_part_number,
+        sp.canonical_part_number,
+        COALESCE(sp.description_ru, sp.description_en) AS supplier_part_description,
+        sp.uom,
+        cp.display_name,
+        cp.manufacturer_part_number,
+        adj.quantity_delta AS adjusted_qty,
+        adj.cost_amount AS adjustment_cost_amount,
+        adj.cost_currency AS adjustment_cost_currency
+      FROM warehouse_document_lines line
+      LEFT JOIN (
+        SELECT
+          document_line_id,
+          SUM(quantity_delta) AS quantity_delta,
+          SUM(cost_amount) AS cost_amount,
+          MAX(cost_currency) AS cost_currency
+        FROM warehouse_stock_movements
+        WHERE document_id = ?
+          AND movement_type = 'inventory_adjustment'
+        GROUP BY document_line_id
+      ) adj ON adj.document_line_id = line.id
+      LEFT JOIN users counter ON counter.id = line.counted_by
+      LEFT JOIN warehouse_storage_places place ON place.id = line.storage_place_id
+      LEFT JOIN supplier_parts sp ON sp.id = line.supplier_part_id
+      LEFT JOIN part_suppliers ps ON ps.id = sp.supplier_id
+      LEFT JOIN catalog_positions cp ON cp.id = line.catalog_position_id
+      WHERE line.document_id = ?
+      ORDER BY place.code, ps.name, sp.supplier_part_number, line.id
+      `,
+      [id, id]
+    )
+
+    const summary = {
+      lines_count: rows.length,
+      counted_count: 0,
+      uncounted_count: 0,
+      matched_count: 0,
+      surplus_count: 0,
+      shortage_count: 0,
+      unexpected_count: 0,
+      surplus_qty: 0,
+      shortage_qty: 0,
+      adjustment_cost_amount: null,
+    }
+    const lines = rows.map((row) => {
+      const expected = formatQuantity(row.expected_qty)
+      const counted = row.counted_qty === null ? null : formatQuantity(row.counted_qty)
+      const difference = counted === null ? null : Math.round((counted - expected) * 1000) / 1000
+      let status = 'uncounted'
+      if (difference !== null) {
+        if (Math.abs(difference) <= QTY_EPSILON) status = 'match'
+        else status = difference > 0 ? 'surplus' : 'shortage'
+      }
+      if (Number(row.is_unexpected)) summary.unexpected_count += 1
+      if (status === 'uncounted') summary.uncounted_count += 1
+      else summary.counted_count += 1
+      if (status === 'match') summary.matched_count += 1
+      if (status === 'surplus') {
+        summary.surplus_count += 1
+        summary.surplus_qty += difference
+      }
+      if (status === 'shortage') {
+        summary.shortage_count += 1
+        summary.shortage_qty += -difference
+      }
+      if (row.adjustment_cost_amount !== null) {
+        summary.adjustment_cost_amount = (summary.adjustment_cost_amount || 0) + Number(row.adjustment_cost_amount)
+      }
+      return {
+        ...row,
+        is_unexpected: Boolean(Number(row.is_unexpected)),
+        expected_qty: expected,
+        counted_qty: counted,
+        difference,
+        status,
+      }
+    })
+    summary.surplus_qty = Math.round(summary.surplus_qty * 1000) / 1000
+    summary.shortage_qty = Math.round(summary.shortage_qty * 1000) / 1000
+    if (summary.adjustment_cost_amount !== null) {
+      summary.adjustment_cost_amount = Math.round(summary.adjustment_cost_amount * 100) / 100
+    }
+
+    const onlyDifferences = boolValue(req.query.only_differences)
+    res.json({
+      document,
+      summary,
+      lines: onlyDifferences ? lines.filter((line) => line.status !== 'match') : lines,
+    })
+  } catch (err) {
+    console.error('GET /warehouse/documents/:id/discrepancies error:', err)
+    res.status(500).json({ message: 'Ошибка загрузки расхождений инвентаризации' })
+  }
+})
+
 module.exports = router
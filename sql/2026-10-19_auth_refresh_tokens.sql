@@ -0,0 +1,27 @@
+-- Серверный учёт refresh-токенов: ротация (каждый refresh выдаёт новый токен и
+-- гасит старый), цепочки-«семейства» для обнаружения повторного использования
+-- и связь с user_sessions для принудительного выхода.
+CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+  id BIGINT NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  family_id CHAR(36) NOT NULL,
+  parent_id BIGINT NULL,
+  token_hash CHAR(64) NOT NULL,
+  session_id VARCHAR(64) NULL,
+  issued_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  rotated_at DATETIME NULL,
+  replaced_by_id BIGINT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(32) NULL,
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_auth_refresh_tokens_hash (token_hash),
+  KEY idx_auth_refresh_tokens_family (family_id),
+  KEY idx_auth_refresh_tokens_user (user_id, revoked_at, expires_at),
+  KEY idx_auth_refresh_tokens_session (session_id),
+  CONSTRAINT fk_auth_refresh_tokens_user
+    FOREIGN KEY (user_id) REFERENCES users (id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,34 @@
+-- Параметрический поиск по характеристикам: условия «равно» и «одно из» по
+-- текстовым значениям и вариантам select идут по префиксу value_text.
+-- Ограничения числовых характеристик хранятся в уже существующем
+-- equipment_classifier_node_attributes.settings_json: {"min", "max", "integer"}.
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_sql TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_sql);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_index_if_missing(
+  'equipment_attribute_values',
+  'idx_equipment_attribute_values_text',
+  'INDEX idx_equipment_attribute_values_text (attribute_id, value_text(100))'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
@@ -0,0 +1,79 @@
+-- Строки заявки клиента, созданные из BOM машины клиента: ссылка на машину,
+-- строку BOM модели и деталь клиента, а также чертёж клиента, подставленный
+-- из отличий BOM машины.
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'client_request_revision_items',
+  'client_drawing_number',
+  'client_drawing_number VARCHAR(120) NULL AFTER client_part_number'
+);
+CALL add_column_if_missing(
+  'client_request_revision_items',
+  'client_equipment_unit_id',
+  'client_equipment_unit_id INT NULL AFTER equipment_model_id'
+);
+CALL add_column_if_missing(
+  'client_request_revision_items',
+  'equipment_model_bom_item_id',
+  'equipment_model_bom_item_id INT NULL AFTER client_equipment_unit_id'
+);
+CALL add_column_if_missing(
+  'client_request_revision_items',
+  'client_part_id',
+  'client_part_id INT NULL AFTER equipment_model_bom_item_id'
+);
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_sql TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_sql);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_index_if_missing(
+  'client_request_revision_items',
+  'idx_cri_client_equipment_unit',
+  'INDEX idx_cri_client_equipment_unit (client_equipment_unit_id, equipment_model_bom_item_id)'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
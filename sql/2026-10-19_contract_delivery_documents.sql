@@ -0,0 +1,24 @@
+-- Сформированные упаковочные листы и отгрузочные накладные по контрактам.
+-- Файл хранится в GCS (как DOCX контрактов и PO), в payload_json — снимок
+-- строк и итогов, по которым документ был построен. Номер — порядковый seq
+-- в рамках контракта и вида документа, уникальность держит ключ.
+CREATE TABLE IF NOT EXISTS client_contract_delivery_documents (
+  id INT NOT NULL AUTO_INCREMENT,
+  client_contract_id INT NOT NULL,
+  doc_kind ENUM('packing_list','delivery_note') NOT NULL,
+  language ENUM('ru','en') NOT NULL DEFAULT 'ru',
+  format ENUM('pdf','docx') NOT NULL DEFAULT 'pdf',
+  seq INT NOT NULL,
+  document_no VARCHAR(80) NOT NULL,
+  warehouse_document_id INT NULL,
+  shipping_address_id INT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  file_url VARCHAR(1024) NOT NULL,
+  payload_json JSON NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_contract_delivery_documents_seq (client_contract_id, doc_kind, seq),
+  CONSTRAINT fk_contract_delivery_documents_contract
+    FOREIGN KEY (client_contract_id) REFERENCES client_contracts(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,81 @@
+-- Ревизии BOM модели оборудования. Рабочий BOM по-прежнему хранится в
+-- equipment_model_bom_items; ревизия — именованный снимок его строк на момент
+-- импорта или ручной фиксации. Строки снимка сопоставляются между ревизиями
+-- по item_key (путь от корня по номеру производителя, карточке или названию),
+-- потому что импорт с заменой пересоздаёт строки BOM с новыми id.
+CREATE TABLE IF NOT EXISTS equipment_model_bom_revisions (
+  id INT NOT NULL AUTO_INCREMENT,
+  equipment_model_id INT NOT NULL,
+  revision_no INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  source ENUM('import','manual','pre_import') NOT NULL DEFAULT 'manual',
+  notes TEXT NULL,
+  items_count INT NOT NULL DEFAULT 0,
+  created_by_user_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_bom_revisions_model_no (equipment_model_id, revision_no),
+  CONSTRAINT fk_bom_revisions_model
+    FOREIGN KEY (equipment_model_id) REFERENCES equipment_models (id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS equipment_model_bom_revision_items (
+  id INT NOT NULL AUTO_INCREMENT,
+  bom_revision_id INT NOT NULL,
+  item_key VARCHAR(1000) NOT NULL,
+  parent_item_key VARCHAR(1000) NULL,
+  bom_item_id INT NULL,
+  parent_item_id INT NULL,
+  row_kind VARCHAR(32) NULL,
+  item_type VARCHAR(32) NULL,
+  item_no VARCHAR(64) NULL,
+  manufacturer_part_number VARCHAR(120) NULL,
+  manufacturer_part_name VARCHAR(255) NULL,
+  manufacturer_part_name_ru VARCHAR(255) NULL,
+  drawing_number VARCHAR(120) NULL,
+  catalog_position_id INT NULL,
+  client_part_id INT NULL,
+  title VARCHAR(255) NULL,
+  quantity DECIMAL(12,3) NOT NULL DEFAULT 1.000,
+  service_life_hours DECIMAL(12,2) NULL,
+  service_life_tonnage DECIMAL(16,2) NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (id),
+  KEY idx_bom_revision_items_revision (bom_revision_id, sort_order, id),
+  KEY idx_bom_revision_items_catalog (catalog_position_id),
+  CONSTRAINT fk_bom_revision_items_revision
+    FOREIGN KEY (bom_revision_id) REFERENCES equipment_model_bom_revisions (id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'client_equipment_units',
+  'bom_revision_id',
+  'bom_revision_id INT NULL AFTER equipment_model_id'
+);
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
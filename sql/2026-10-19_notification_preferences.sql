@@ -0,0 +1,100 @@
+-- Настройки уведомлений пользователя: какие типы получать, в приложении и/или
+-- по почте, почтой сразу или ежедневным дайджестом.
+CREATE TABLE IF NOT EXISTS user_notification_preferences (
+  user_id INT NOT NULL,
+  notification_type VARCHAR(32) NOT NULL,
+  in_app TINYINT(1) NOT NULL DEFAULT 1,
+  email TINYINT(1) NOT NULL DEFAULT 0,
+  email_mode ENUM('immediate','digest') NOT NULL DEFAULT 'digest',
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, notification_type),
+  CONSTRAINT fk_user_notification_preferences_user
+    FOREIGN KEY (user_id) REFERENCES users (id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Общие параметры почты пользователя: язык писем, час дайджеста, последняя отправка.
+CREATE TABLE IF NOT EXISTS user_notification_settings (
+  user_id INT NOT NULL,
+  email_lang VARCHAR(8) NOT NULL DEFAULT 'ru',
+  digest_hour TINYINT UNSIGNED NOT NULL DEFAULT 8,
+  last_digest_sent_at DATETIME NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id),
+  CONSTRAINT fk_user_notification_settings_user
+    FOREIGN KEY (user_id) REFERENCES users (id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'notifications',
+  'in_app',
+  'in_app TINYINT(1) NOT NULL DEFAULT 1 AFTER is_read'
+);
+
+CALL add_column_if_missing(
+  'notifications',
+  'email_mode',
+  "email_mode ENUM('immediate','digest') NULL AFTER in_app"
+);
+
+CALL add_column_if_missing(
+  'notifications',
+  'emailed_at',
+  'emailed_at DATETIME NULL AFTER email_mode'
+);
+
+CALL add_index_if_missing(
+  'notifications',
+  'idx_notifications_email_queue',
+  'INDEX idx_notifications_email_queue (email_mode, emailed_at, user_id)'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
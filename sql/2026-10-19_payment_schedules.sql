@@ -0,0 +1,86 @@
+-- Графики платежей и учёт оплат по контрактам клиентов и заказам поставщикам.
+-- Этап графика (payment_milestones) — предоплата, оплата по отгрузке, по
+-- поставке или через N дней; сумма фиксируется в валюте документа.
+-- Оплата (payments) хранится в валюте документа со снимком FX-курса к базовой
+-- валюте на момент регистрации.
+CREATE TABLE IF NOT EXISTS payment_milestones (
+  id INT NOT NULL AUTO_INCREMENT,
+  document_type ENUM('client_contract','purchase_order') NOT NULL,
+  document_id INT NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  milestone_type ENUM('prepayment','on_shipment','on_delivery','net_days') NOT NULL,
+  percent DECIMAL(7,4) NULL,
+  amount DECIMAL(18,2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  days_offset INT NOT NULL DEFAULT 0,
+  event_date DATE NULL,
+  note VARCHAR(500) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_payment_milestones_document (document_type, document_id, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS payments (
+  id INT NOT NULL AUTO_INCREMENT,
+  direction ENUM('incoming','outgoing') NOT NULL,
+  document_type ENUM('client_contract','purchase_order') NOT NULL,
+  document_id INT NOT NULL,
+  milestone_id INT NULL,
+  amount DECIMAL(18,2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  paid_at DATE NOT NULL,
+  base_currency CHAR(3) NOT NULL,
+  fx_rate DECIMAL(18,8) NOT NULL,
+  fx_source VARCHAR(40) NULL,
+  fx_as_of DATETIME NULL,
+  amount_base DECIMAL(18,2) NOT NULL,
+  reference VARCHAR(120) NULL,
+  note VARCHAR(500) NULL,
+  status ENUM('active','cancelled') NOT NULL DEFAULT 'active',
+  cancelled_at DATETIME NULL,
+  cancelled_by INT NULL,
+  cancel_reason VARCHAR(500) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_payments_document (document_type, document_id, status),
+  KEY idx_payments_paid_at (direction, paid_at),
+  KEY idx_payments_milestone (milestone_id),
+  CONSTRAINT fk_payments_milestone
+    FOREIGN KEY (milestone_id) REFERENCES payment_milestones(id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+
+CALL add_column_if_missing(
+  'client_contracts',
+  'require_full_payment',
+  'require_full_payment TINYINT(1) NOT NULL DEFAULT 0 AFTER currency'
+);
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
@@ -0,0 +1,92 @@
+-- Нечёткое сопоставление строк прайс-листа: кандидаты с уверенностью хранятся
+-- в строке, принятое пользователем сопоставление запоминается как алиас номера
+-- у поставщика и при следующем импорте разрешается автоматически.
+CREATE TABLE IF NOT EXISTS supplier_part_aliases (
+  id INT NOT NULL AUTO_INCREMENT,
+  supplier_id INT NOT NULL,
+  supplier_part_id INT NOT NULL,
+  alias_part_number VARCHAR(255) NULL,
+  alias_canonical_part_number VARCHAR(255) NOT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  source VARCHAR(40) NULL,
+  created_by_user_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_supplier_part_aliases (supplier_id, alias_canonical_part_number, supplier_part_id),
+  KEY idx_supplier_part_aliases_part (supplier_part_id),
+  CONSTRAINT fk_supplier_part_aliases_part
+    FOREIGN KEY (supplier_part_id) REFERENCES supplier_parts(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'supplier_part_aliases',
+  'alias_part_number',
+  'alias_part_number VARCHAR(255) NULL AFTER supplier_part_id'
+);
+
+CALL add_column_if_missing(
+  'supplier_part_aliases',
+  'source',
+  'source VARCHAR(40) NULL AFTER is_active'
+);
+
+CALL add_column_if_missing(
+  'supplier_part_aliases',
+  'created_by_user_id',
+  'created_by_user_id INT NULL AFTER source'
+);
+
+CALL add_column_if_missing(
+  'supplier_price_list_lines',
+  'match_candidates_json',
+  'match_candidates_json JSON NULL AFTER match_note'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
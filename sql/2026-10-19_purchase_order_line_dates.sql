@@ -0,0 +1,105 @@
+-- Подтверждённые сроки по строкам PO: дата отгрузки и прибытия, фиксируются
+-- при переходе PO в confirmed; каждый перенос пишется в журнал ревизий с причиной.
+-- Просроченные строки автоматически создают событие DELAY в supplier_quality_events
+-- (auto_source = 'po_line_overdue').
+CREATE TABLE IF NOT EXISTS supplier_purchase_order_line_date_revisions (
+  id INT NOT NULL AUTO_INCREMENT,
+  supplier_purchase_order_id INT NOT NULL,
+  supplier_purchase_order_line_id INT NOT NULL,
+  revision_kind ENUM('confirmation','revision') NOT NULL,
+  previous_ship_date DATE NULL,
+  previous_arrival_date DATE NULL,
+  confirmed_ship_date DATE NULL,
+  confirmed_arrival_date DATE NULL,
+  reason VARCHAR(500) NULL,
+  changed_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_po_line_date_revisions_line (supplier_purchase_order_line_id, id),
+  KEY idx_po_line_date_revisions_po (supplier_purchase_order_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'supplier_purchase_order_lines',
+  'confirmed_ship_date',
+  'confirmed_ship_date DATE NULL AFTER lead_time_days'
+);
+
+CALL add_column_if_missing(
+  'supplier_purchase_order_lines',
+  'confirmed_arrival_date',
+  'confirmed_arrival_date DATE NULL AFTER confirmed_ship_date'
+);
+
+CALL add_column_if_missing(
+  'supplier_purchase_order_lines',
+  'dates_confirmed_at',
+  'dates_confirmed_at DATETIME NULL AFTER confirmed_arrival_date'
+);
+
+CALL add_column_if_missing(
+  'supplier_purchase_order_lines',
+  'dates_confirmed_by',
+  'dates_confirmed_by INT NULL AFTER dates_confirmed_at'
+);
+
+CALL add_column_if_missing(
+  'supplier_quality_events',
+  'auto_source',
+  'auto_source VARCHAR(40) NULL AFTER note'
+);
+
+CALL add_index_if_missing(
+  'supplier_quality_events',
+  'idx_sqe_auto_source_line',
+  'INDEX idx_sqe_auto_source_line (auto_source, supplier_purchase_order_line_id)'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
@@ -0,0 +1,15 @@
+-- Журнал событий для потока GET /dashboard/events (Server-Sent Events).
+-- id события = id строки: по нему клиент переподключается с Last-Event-ID и
+-- получает пропущенное. user_id NULL — событие для всех (смены статусов).
+CREATE TABLE IF NOT EXISTS realtime_events (
+  id BIGINT NOT NULL AUTO_INCREMENT,
+  user_id INT NULL,
+  event_type VARCHAR(32) NOT NULL,
+  entity_type VARCHAR(64) NULL,
+  entity_id BIGINT NULL,
+  payload_json JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_realtime_events_user (user_id, id),
+  KEY idx_realtime_events_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,116 @@
+-- Статус почтовой доставки RFQ-пакета по каждой записи rfq_supplier_dispatches.
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'delivery_status',
+  "delivery_status ENUM('pending','sent','failed','skipped') NOT NULL DEFAULT 'pending' AFTER sent_by_user_id"
+);
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'recipient_email',
+  'recipient_email VARCHAR(255) NULL AFTER delivery_status'
+);
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'delivery_lang',
+  'delivery_lang VARCHAR(8) NULL AFTER recipient_email'
+);
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'delivery_transport',
+  'delivery_transport VARCHAR(16) NULL AFTER delivery_lang'
+);
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'delivery_message_id',
+  'delivery_message_id VARCHAR(255) NULL AFTER delivery_transport'
+);
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'delivery_attempts',
+  'delivery_attempts INT NOT NULL DEFAULT 0 AFTER delivery_message_id'
+);
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'delivery_error',
+  'delivery_error TEXT NULL AFTER delivery_attempts'
+);
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'last_delivery_attempt_at',
+  'last_delivery_attempt_at DATETIME NULL AFTER delivery_error'
+);
+
+CALL add_column_if_missing(
+  'rfq_supplier_dispatches',
+  'delivered_at',
+  'delivered_at DATETIME NULL AFTER last_delivery_attempt_at'
+);
+
+CALL add_index_if_missing(
+  'rfq_supplier_dispatches',
+  'idx_rfq_dispatches_delivery',
+  'INDEX idx_rfq_dispatches_delivery (rfq_id, delivery_status)'
+);
+
+-- Всё, что отправлялось до появления почты, уходило вручную.
+UPDATE rfq_supplier_dispatches
+   SET delivery_status = 'skipped',
+       delivery_error = 'Отправлено до подключения почтовой рассылки'
+ WHERE delivery_status = 'pending'
+   AND delivery_attempts = 0;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
@@ -0,0 +1,86 @@
+-- Физические отгрузки по размещённым PO: партии (consignments) из строк PO,
+-- транспортные документы (AWB / B/L / контейнер), перевозчик и вехи движения.
+-- Фактический транзит сравнивается с eta_min_days/eta_max_days шаблона маршрута;
+-- при доставке готовится черновик складского прихода.
+CREATE TABLE IF NOT EXISTS shipments (
+  id INT NOT NULL AUTO_INCREMENT,
+  shipment_no VARCHAR(40) NULL,
+  status ENUM('planned','picked_up','in_transit','at_port','customs','delivered','cancelled') NOT NULL DEFAULT 'planned',
+  supplier_id INT NULL,
+  route_template_id INT NULL,
+  shipment_group_route_id INT NULL,
+  transport_mode VARCHAR(30) NULL,
+  carrier VARCHAR(200) NULL,
+  awb_number VARCHAR(60) NULL,
+  bl_number VARCHAR(60) NULL,
+  container_number VARCHAR(30) NULL,
+  origin_country CHAR(2) NULL,
+  destination_country CHAR(2) NULL,
+  eta_min_days INT NULL,
+  eta_max_days INT NULL,
+  planned_pickup_date DATE NULL,
+  picked_up_at DATETIME NULL,
+  delivered_at DATETIME NULL,
+  warehouse_id INT NULL,
+  storage_place_id INT NULL,
+  receipt_document_id INT NULL,
+  note TEXT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_shipments_no (shipment_no),
+  KEY idx_shipments_status (status),
+  KEY idx_shipments_supplier (supplier_id),
+  KEY idx_shipments_awb (awb_number),
+  KEY idx_shipments_bl (bl_number),
+  KEY idx_shipments_container (container_number),
+  CONSTRAINT fk_shipments_supplier
+    FOREIGN KEY (supplier_id) REFERENCES part_suppliers(id)
+    ON DELETE SET NULL,
+  CONSTRAINT fk_shipments_warehouse
+    FOREIGN KEY (warehouse_id) REFERENCES warehouse_locations(id)
+    ON DELETE SET NULL,
+  CONSTRAINT fk_shipments_receipt_document
+    FOREIGN KEY (receipt_document_id) REFERENCES warehouse_documents(id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS shipment_lines (
+  id INT NOT NULL AUTO_INCREMENT,
+  shipment_id INT NOT NULL,
+  supplier_purchase_order_id INT NOT NULL,
+  supplier_purchase_order_line_id INT NOT NULL,
+  quantity DECIMAL(18,3) NOT NULL,
+  package_count INT NULL,
+  gross_weight_kg DECIMAL(12,3) NULL,
+  note VARCHAR(500) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_shipment_lines_po_line (shipment_id, supplier_purchase_order_line_id),
+  KEY idx_shipment_lines_po (supplier_purchase_order_id),
+  KEY idx_shipment_lines_po_line (supplier_purchase_order_line_id),
+  CONSTRAINT fk_shipment_lines_shipment
+    FOREIGN KEY (shipment_id) REFERENCES shipments(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_shipment_lines_po
+    FOREIGN KEY (supplier_purchase_order_id) REFERENCES supplier_purchase_orders(id),
+  CONSTRAINT fk_shipment_lines_po_line
+    FOREIGN KEY (supplier_purchase_order_line_id) REFERENCES supplier_purchase_order_lines(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS shipment_events (
+  id INT NOT NULL AUTO_INCREMENT,
+  shipment_id INT NOT NULL,
+  milestone ENUM('picked_up','in_transit','at_port','customs','delivered','exception') NOT NULL,
+  occurred_at DATETIME NOT NULL,
+  location VARCHAR(200) NULL,
+  note VARCHAR(1000) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_shipment_events_shipment (shipment_id, occurred_at),
+  CONSTRAINT fk_shipment_events_shipment
+    FOREIGN KEY (shipment_id) REFERENCES shipments(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
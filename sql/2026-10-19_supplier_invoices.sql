@@ -0,0 +1,62 @@
+-- Входящие счета поставщиков и трёхстороннее сопоставление: строка счёта
+-- сверяется с ценой строки PO и с количеством, проведённым приходами склада.
+-- Результат сверки (снимок PO/прихода и отклонения) хранится в строке счёта.
+CREATE TABLE IF NOT EXISTS supplier_invoices (
+  id INT NOT NULL AUTO_INCREMENT,
+  supplier_id INT NOT NULL,
+  invoice_number VARCHAR(80) NOT NULL,
+  invoice_date DATE NOT NULL,
+  due_date DATE NULL,
+  currency CHAR(3) NOT NULL,
+  total_amount DECIMAL(18,2) NULL,
+  status ENUM('draft','matched','disputed','approved_for_payment','cancelled') NOT NULL DEFAULT 'draft',
+  price_tolerance_pct DECIMAL(7,4) NULL,
+  qty_tolerance_pct DECIMAL(7,4) NULL,
+  matched_at DATETIME NULL,
+  dispute_reason VARCHAR(500) NULL,
+  approved_by INT NULL,
+  approved_at DATETIME NULL,
+  approval_note VARCHAR(500) NULL,
+  scan_file_url VARCHAR(1024) NULL,
+  scan_file_name VARCHAR(255) NULL,
+  scan_file_type VARCHAR(120) NULL,
+  scan_file_size INT NULL,
+  note VARCHAR(1000) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_supplier_invoices_number (supplier_id, invoice_number),
+  KEY idx_supplier_invoices_status (status, invoice_date),
+  CONSTRAINT fk_supplier_invoices_supplier
+    FOREIGN KEY (supplier_id) REFERENCES part_suppliers(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS supplier_invoice_lines (
+  id INT NOT NULL AUTO_INCREMENT,
+  supplier_invoice_id INT NOT NULL,
+  supplier_purchase_order_id INT NOT NULL,
+  supplier_purchase_order_line_id INT NOT NULL,
+  description VARCHAR(500) NULL,
+  quantity DECIMAL(18,3) NOT NULL,
+  unit_price DECIMAL(18,4) NOT NULL,
+  amount DECIMAL(18,2) NOT NULL,
+  po_qty DECIMAL(18,3) NULL,
+  po_unit_price DECIMAL(18,4) NULL,
+  po_currency CHAR(3) NULL,
+  received_qty DECIMAL(18,3) NULL,
+  invoiced_qty_other DECIMAL(18,3) NULL,
+  price_variance_pct DECIMAL(9,4) NULL,
+  qty_variance DECIMAL(18,3) NULL,
+  match_status ENUM('pending','matched','variance') NOT NULL DEFAULT 'pending',
+  match_issues_json JSON NULL,
+  note VARCHAR(500) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_supplier_invoice_lines_invoice (supplier_invoice_id),
+  KEY idx_supplier_invoice_lines_po_line (supplier_purchase_order_line_id),
+  CONSTRAINT fk_supplier_invoice_lines_invoice
+    FOREIGN KEY (supplier_invoice_id) REFERENCES supplier_invoices(id) ON DELETE CASCADE,
+  CONSTRAINT fk_supplier_invoice_lines_po_line
+    FOREIGN KEY (supplier_purchase_order_line_id) REFERENCES supplier_purchase_order_lines(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
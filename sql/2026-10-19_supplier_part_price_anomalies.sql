@@ -0,0 +1,30 @@
+-- Отметки об аномальных ценах поставщиков. Новая цена (из импорта ответа на
+-- RFQ или активации прайс-листа) сравнивается в единой валюте с медианой
+-- истории цен этой детали и с медианой последних цен других поставщиков той же
+-- позиции каталога; при отклонении больше порога сохраняется строка здесь.
+CREATE TABLE IF NOT EXISTS supplier_part_price_anomalies (
+  id INT NOT NULL AUTO_INCREMENT,
+  supplier_part_price_id INT NOT NULL,
+  supplier_part_id INT NOT NULL,
+  source_type VARCHAR(32) NULL,
+  currency CHAR(3) NOT NULL,
+  normalized_price DECIMAL(18,4) NOT NULL,
+  history_reference DECIMAL(18,4) NULL,
+  history_deviation_pct DECIMAL(9,2) NULL,
+  peer_reference DECIMAL(18,4) NULL,
+  peer_deviation_pct DECIMAL(9,2) NULL,
+  threshold_pct DECIMAL(7,2) NOT NULL,
+  status ENUM('open','reviewed') NOT NULL DEFAULT 'open',
+  review_note VARCHAR(500) NULL,
+  reviewed_by_user_id INT NULL,
+  reviewed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_price_anomalies_price (supplier_part_price_id),
+  KEY idx_price_anomalies_part (supplier_part_id, id),
+  KEY idx_price_anomalies_status (status, id),
+  CONSTRAINT fk_price_anomalies_price
+    FOREIGN KEY (supplier_part_price_id) REFERENCES supplier_part_prices(id) ON DELETE CASCADE,
+  CONSTRAINT fk_price_anomalies_part
+    FOREIGN KEY (supplier_part_id) REFERENCES supplier_parts(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
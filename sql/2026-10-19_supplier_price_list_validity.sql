@@ -0,0 +1,82 @@
+-- Сроки действия прайс-листов и вытеснение: при активации список вытесняет
+-- действующий список того же поставщика и валюты. У вытесненного списка
+-- запоминаются преемник и момент вытеснения, а valid_to закрывается днём до
+-- начала действия нового. Разница между списками хранится у нового списка.
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'supplier_price_lists',
+  'superseded_by_list_id',
+  'superseded_by_list_id INT NULL AFTER status'
+);
+
+CALL add_column_if_missing(
+  'supplier_price_lists',
+  'superseded_at',
+  'superseded_at DATETIME NULL AFTER superseded_by_list_id'
+);
+
+CALL add_column_if_missing(
+  'supplier_price_lists',
+  'activation_diff_json',
+  'activation_diff_json JSON NULL AFTER superseded_at'
+);
+
+CALL add_index_if_missing(
+  'supplier_price_lists',
+  'idx_spl_supplier_status_currency',
+  'INDEX idx_spl_supplier_status_currency (supplier_id, status, currency_default)'
+);
+
+CALL add_index_if_missing(
+  'supplier_price_lists',
+  'idx_spl_status_valid_to',
+  'INDEX idx_spl_status_valid_to (status, valid_to)'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
@@ -0,0 +1,107 @@
+-- Оценка поставщиков по шаблонам scorecard: критерий либо вычисляется из
+-- накопленных данных (metric), либо выставляется закупщиком вручную.
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'scorecard_criteria',
+  'source',
+  "source ENUM('manual','auto') NOT NULL DEFAULT 'manual' AFTER weight"
+);
+
+CALL add_column_if_missing(
+  'scorecard_criteria',
+  'metric',
+  'metric VARCHAR(64) NULL AFTER source'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+
+CREATE TABLE IF NOT EXISTS supplier_evaluations (
+  id INT NOT NULL AUTO_INCREMENT,
+  template_id INT NOT NULL,
+  supplier_id INT NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  status ENUM('draft','final') NOT NULL DEFAULT 'draft',
+  total_score DECIMAL(6,2) NULL,
+  scored_weight DECIMAL(10,4) NULL,
+  total_weight DECIMAL(10,4) NULL,
+  note TEXT NULL,
+  computed_at DATETIME NULL,
+  created_by_user_id INT NULL,
+  finalized_at DATETIME NULL,
+  finalized_by_user_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_supplier_evaluations_period (template_id, supplier_id, period_start, period_end),
+  KEY idx_supplier_evaluations_supplier (supplier_id, period_end),
+  KEY idx_supplier_evaluations_ranking (template_id, period_end, total_score)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS supplier_evaluation_scores (
+  id INT NOT NULL AUTO_INCREMENT,
+  evaluation_id INT NOT NULL,
+  criterion_id INT NOT NULL,
+  source ENUM('manual','auto') NOT NULL,
+  metric VARCHAR(64) NULL,
+  raw_value DECIMAL(14,4) NULL,
+  details_json JSON NULL,
+  score DECIMAL(6,2) NULL,
+  weight DECIMAL(10,4) NOT NULL DEFAULT 0,
+  comment TEXT NULL,
+  entered_by_user_id INT NULL,
+  entered_at DATETIME NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_supplier_evaluation_scores (evaluation_id, criterion_id),
+  KEY idx_supplier_evaluation_scores_criterion (criterion_id),
+  CONSTRAINT fk_supplier_evaluation_scores_evaluation
+    FOREIGN KEY (evaluation_id) REFERENCES supplier_evaluations (id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
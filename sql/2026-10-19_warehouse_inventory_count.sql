@@ -0,0 +1,89 @@
+-- Инвентаризация склада (inventory_count): снимок ожидаемых остатков по местам
+-- хранения, ввод фактических количеств и корректирующие движения при проведении.
+ALTER TABLE warehouse_documents
+  MODIFY doc_type ENUM('receipt','transfer','writeoff','reserve','unreserve','inventory','inventory_count','assembly','packing','shipment','minmax') NOT NULL;
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'warehouse_documents',
+  'storage_place_id',
+  'storage_place_id INT NULL AFTER target_warehouse_id'
+);
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'expected_qty',
+  'expected_qty DECIMAL(14,3) NULL AFTER quantity'
+);
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'counted_qty',
+  'counted_qty DECIMAL(14,3) NULL AFTER expected_qty'
+);
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'is_unexpected',
+  'is_unexpected TINYINT(1) NOT NULL DEFAULT 0 AFTER counted_qty'
+);
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'counted_by',
+  'counted_by INT NULL AFTER is_unexpected'
+);
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'counted_at',
+  'counted_at DATETIME NULL AFTER counted_by'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
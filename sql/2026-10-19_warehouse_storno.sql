@@ -0,0 +1,108 @@
+-- Сторно проведённых складских документов: связанный документ storno с
+-- обратными движениями, исходный документ получает статус reversed.
+ALTER TABLE warehouse_documents
+  MODIFY doc_type ENUM('receipt','transfer','writeoff','reserve','unreserve','inventory','inventory_count','storno','assembly','packing','shipment','minmax') NOT NULL,
+  MODIFY status ENUM('draft','posted','cancelled','reversed') NOT NULL DEFAULT 'draft';
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'warehouse_documents',
+  'reversal_of_document_id',
+  'reversal_of_document_id INT NULL AFTER source_label'
+);
+
+CALL add_column_if_missing(
+  'warehouse_documents',
+  'reversed_by_document_id',
+  'reversed_by_document_id INT NULL AFTER reversal_of_document_id'
+);
+
+CALL add_column_if_missing(
+  'warehouse_documents',
+  'reversed_at',
+  'reversed_at DATETIME NULL AFTER reversed_by_document_id'
+);
+
+CALL add_column_if_missing(
+  'warehouse_documents',
+  'reversed_by',
+  'reversed_by INT NULL AFTER reversed_at'
+);
+
+CALL add_column_if_missing(
+  'warehouse_documents',
+  'reversal_reason',
+  'reversal_reason VARCHAR(255) NULL AFTER reversed_by'
+);
+
+CALL add_index_if_missing(
+  'warehouse_documents',
+  'idx_warehouse_documents_reversal',
+  'INDEX idx_warehouse_documents_reversal (reversal_of_document_id)'
+);
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'reversal_of_line_id',
+  'reversal_of_line_id INT NULL AFTER source_label'
+);
+
+CALL add_column_if_missing(
+  'warehouse_stock_movements',
+  'reversal_of_movement_id',
+  'reversal_of_movement_id INT NULL AFTER cost_method'
+);
+
+CALL add_index_if_missing(
+  'warehouse_stock_movements',
+  'idx_warehouse_movements_reversal',
+  'INDEX idx_warehouse_movements_reversal (reversal_of_movement_id)'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
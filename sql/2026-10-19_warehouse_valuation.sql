@@ -0,0 +1,145 @@
+-- Стоимостной учёт склада: цена прихода, себестоимость расхода (FIFO или
+-- скользящее среднее) и партии для FIFO. Стоимость движений хранится в валюте
+-- оценки склада (WAREHOUSE_VALUATION_CURRENCY), цена строки прихода — в валюте PO.
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_index_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_index_name VARCHAR(64),
+  IN p_index_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.statistics
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND index_name = p_index_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD ', p_index_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'unit_cost',
+  'unit_cost DECIMAL(18,4) NULL AFTER quantity'
+);
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'currency',
+  'currency CHAR(3) NULL AFTER unit_cost'
+);
+
+CALL add_column_if_missing(
+  'warehouse_document_lines',
+  'cost_source',
+  'cost_source VARCHAR(32) NULL AFTER currency'
+);
+
+CALL add_column_if_missing(
+  'warehouse_stock_movements',
+  'costed_qty',
+  'costed_qty DECIMAL(14,3) NULL AFTER reserved_delta'
+);
+
+CALL add_column_if_missing(
+  'warehouse_stock_movements',
+  'unit_cost',
+  'unit_cost DECIMAL(18,6) NULL AFTER costed_qty'
+);
+
+CALL add_column_if_missing(
+  'warehouse_stock_movements',
+  'cost_amount',
+  'cost_amount DECIMAL(18,2) NULL AFTER unit_cost'
+);
+
+CALL add_column_if_missing(
+  'warehouse_stock_movements',
+  'cost_currency',
+  'cost_currency CHAR(3) NULL AFTER cost_amount'
+);
+
+CALL add_column_if_missing(
+  'warehouse_stock_movements',
+  'cost_method',
+  'cost_method VARCHAR(16) NULL AFTER cost_currency'
+);
+
+CALL add_index_if_missing(
+  'warehouse_stock_movements',
+  'idx_warehouse_movements_valuation',
+  'INDEX idx_warehouse_movements_valuation (warehouse_id, supplier_part_id, occurred_at)'
+);
+
+DROP PROCEDURE IF EXISTS add_index_if_missing;
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+
+CREATE TABLE IF NOT EXISTS warehouse_cost_layers (
+  id INT NOT NULL AUTO_INCREMENT,
+  supplier_part_id INT NOT NULL,
+  warehouse_id INT NOT NULL,
+  movement_id INT NOT NULL,
+  unit_cost DECIMAL(18,6) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  quantity DECIMAL(14,3) NOT NULL,
+  remaining_qty DECIMAL(14,3) NOT NULL,
+  received_at DATETIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_warehouse_cost_layers_open (supplier_part_id, warehouse_id, remaining_qty, received_at, id),
+  KEY idx_warehouse_cost_layers_movement (movement_id),
+  CONSTRAINT fk_warehouse_cost_layers_warehouse
+    FOREIGN KEY (warehouse_id) REFERENCES warehouse_locations (id)
+    ON DELETE RESTRICT ON UPDATE CASCADE,
+  CONSTRAINT fk_warehouse_cost_layers_movement
+    FOREIGN KEY (movement_id) REFERENCES warehouse_stock_movements (id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS warehouse_cost_layer_consumptions (
+  id INT NOT NULL AUTO_INCREMENT,
+  layer_id INT NOT NULL,
+  movement_id INT NOT NULL,
+  quantity DECIMAL(14,3) NOT NULL,
+  unit_cost DECIMAL(18,6) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_warehouse_cost_consumptions_layer (layer_id),
+  KEY idx_warehouse_cost_consumptions_movement (movement_id),
+  CONSTRAINT fk_warehouse_cost_consumptions_layer
+    FOREIGN KEY (layer_id) REFERENCES warehouse_cost_layers (id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_warehouse_cost_consumptions_movement
+    FOREIGN KEY (movement_id) REFERENCES warehouse_stock_movements (id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
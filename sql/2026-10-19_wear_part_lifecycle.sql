@@ -0,0 +1,100 @@
+-- Ресурс быстроизнашиваемых деталей (футеровки, броня конуса, чаши) и прогноз
+-- замен по машинам клиентов. Ресурс в моточасах и/или тоннах переработки
+-- задаётся на строке BOM модели, на карточке позиции (meta_json) или для
+-- конкретной машины в отличиях BOM. Показания счётчиков машины и история
+-- замен (со ссылкой на заявку клиента, по которой поставлены детали) дают
+-- базу для расчёта следующей замены.
+CREATE TABLE IF NOT EXISTS client_equipment_unit_readings (
+  id INT NOT NULL AUTO_INCREMENT,
+  client_equipment_unit_id INT NOT NULL,
+  reading_date DATE NOT NULL,
+  operating_hours DECIMAL(12,2) NULL,
+  throughput_tonnage DECIMAL(16,2) NULL,
+  notes VARCHAR(500) NULL,
+  created_by_user_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_ceu_readings_unit_date (client_equipment_unit_id, reading_date),
+  CONSTRAINT fk_ceu_readings_unit
+    FOREIGN KEY (client_equipment_unit_id) REFERENCES client_equipment_units (id)
+    ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS client_equipment_unit_part_replacements (
+  id INT NOT NULL AUTO_INCREMENT,
+  client_equipment_unit_id INT NOT NULL,
+  equipment_model_bom_item_id INT NOT NULL,
+  replacement_date DATE NOT NULL,
+  operating_hours_reading DECIMAL(12,2) NULL,
+  throughput_tonnage_reading DECIMAL(16,2) NULL,
+  quantity DECIMAL(12,3) NULL,
+  client_request_id INT NULL,
+  client_request_revision_item_id INT NULL,
+  notes VARCHAR(500) NULL,
+  created_by_user_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_ceu_replacements_unit_item (client_equipment_unit_id, equipment_model_bom_item_id, replacement_date),
+  KEY idx_ceu_replacements_request (client_request_id),
+  CONSTRAINT fk_ceu_replacements_unit
+    FOREIGN KEY (client_equipment_unit_id) REFERENCES client_equipment_units (id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_ceu_replacements_bom_item
+    FOREIGN KEY (equipment_model_bom_item_id) REFERENCES equipment_model_bom_items (id)
+    ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_ceu_replacements_request
+    FOREIGN KEY (client_request_id) REFERENCES client_requests (id)
+    ON DELETE SET NULL ON UPDATE CASCADE,
+  CONSTRAINT fk_ceu_replacements_request_item
+    FOREIGN KEY (client_request_revision_item_id) REFERENCES client_request_revision_items (id)
+    ON DELETE SET NULL ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
+DELIMITER //
+CREATE PROCEDURE add_column_if_missing(
+  IN p_table_name VARCHAR(64),
+  IN p_column_name VARCHAR(64),
+  IN p_column_definition TEXT
+)
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = p_table_name
+       AND column_name = p_column_name
+  ) THEN
+    SET @ddl = CONCAT('ALTER TABLE `', p_table_name, '` ADD COLUMN ', p_column_definition);
+    PREPARE stmt FROM @ddl;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+  END IF;
+END//
+DELIMITER ;
+
+CALL add_column_if_missing(
+  'equipment_model_bom_items',
+  'service_life_hours',
+  'service_life_hours DECIMAL(12,2) NULL AFTER quantity'
+);
+
+CALL add_column_if_missing(
+  'equipment_model_bom_items',
+  'service_life_tonnage',
+  'service_life_tonnage DECIMAL(16,2) NULL AFTER service_life_hours'
+);
+
+CALL add_column_if_missing(
+  'client_equipment_unit_bom_overrides',
+  'service_life_hours',
+  'service_life_hours DECIMAL(12,2) NULL AFTER client_part_id'
+);
+
+CALL add_column_if_missing(
+  'client_equipment_unit_bom_overrides',
+  'service_life_tonnage',
+  'service_life_tonnage DECIMAL(16,2) NULL AFTER service_life_hours'
+);
+
+DROP PROCEDURE IF EXISTS add_column_if_missing;
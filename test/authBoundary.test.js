@@ -56,3 +56,18 @@ test('auth boundary forwards the existing decoded JWT payload', () => {
   assert.equal(req.user.id, 7)
   assert.equal(req.user.role, 'admin')
 })
+
+test('auth boundary accepts a query token only for event streams', () => {
+  const token = jwt.sign({ id: 9, role: 'manager' }, process.env.JWT_SECRET || 'super-secret-key')
+
+  const plain = { method: 'GET', headers: {}, query: { access_token: token } }
+  const plainRes = responseRecorder()
+  authMiddleware(plain, plainRes, () => assert.fail('next must not be called'))
+  assert.equal(plainRes.statusCode, 401)
+
+  const stream = { method: 'GET', headers: { accept: 'text/event-stream' }, query: { access_token: token } }
+  let nextCalled = false
+  authMiddleware(stream, responseRecorder(), () => { nextCalled = true })
+  assert.equal(nextCalled, true)
+  assert.equal(stream.user.id, 9)
+})
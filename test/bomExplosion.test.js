@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { aggregateExplodedBom, explodeBom } = require('../utils/bomExplosion')
+
+const items = [
+  { id: 1, parent_item_id: null, manufacturer_part_number: 'ASSY-1', catalog_position_id: 100, quantity: '2.000' },
+  { id: 2, parent_item_id: 1, manufacturer_part_number: 'SUB-1', catalog_position_id: 101, quantity: '3.000' },
+  { id: 3, parent_item_id: 2, manufacturer_part_number: 'BOLT', catalog_position_id: 200, quantity: '4.000' },
+  { id: 4, parent_item_id: 1, manufacturer_part_number: 'BOLT', catalog_position_id: 200, quantity: '1.000' },
+  { id: 5, parent_item_id: null, manufacturer_part_number: 'LINER', catalog_position_id: 300, quantity: '1.000' },
+]
+
+test('BOM explosion multiplies quantities down nested assemblies', () => {
+  const rows = explodeBom(items)
+  const bolt = rows.find((row) => row.bom_item_id === 3)
+  assert.equal(bolt.level, 2)
+  assert.equal(bolt.extended_quantity, 24)
+  assert.equal(bolt.path, 'ASSY-1 / SUB-1 / BOLT')
+
+  const positions = aggregateExplodedBom(rows, { leavesOnly: true })
+  const boltTotal = positions.find((row) => row.catalog_position_id === 200)
+  assert.equal(boltTotal.total_quantity, 26)
+  assert.equal(boltTotal.occurrences, 2)
+  assert.equal(positions.some((row) => row.catalog_position_id === 100), false)
+})
+
+test('BOM explosion applies client unit overrides', () => {
+  const overrides = new Map([
+    [2, { status: 'not_applicable' }],
+    [5, { status: 'replaced', replacement_catalog_position_id: 301 }],
+  ])
+  const rows = explodeBom(items, { overrides })
+  assert.equal(rows.some((row) => row.bom_item_id === 3), false)
+  const liner = rows.find((row) => row.bom_item_id === 5)
+  assert.equal(liner.catalog_position_id, 301)
+  assert.equal(liner.original_catalog_position_id, 300)
+  assert.equal(liner.replaced, true)
+
+  const positions = aggregateExplodedBom(rows)
+  assert.equal(positions.find((row) => row.catalog_position_id === 200).total_quantity, 2)
+})
@@ -0,0 +1,78 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { explodeBom } = require('../utils/bomExplosion')
+const { assignBomItemKeys, diffBomItems, pinRevisionItems } = require('../utils/bomRevisions')
+
+test('BOM item keys follow the tree path and survive re-imported row ids', () => {
+  const keyed = assignBomItemKeys([
+    { id: 10, parent_item_id: null, manufacturer_part_number: '442.7155', sort_order: 1 },
+    { id: 11, parent_item_id: 10, manufacturer_part_number: null, catalog_position_id: 7, sort_order: 1 },
+    { id: 12, parent_item_id: 10, manufacturer_part_name: 'Bolt  M24', sort_order: 2 },
+    { id: 13, parent_item_id: 10, manufacturer_part_name: 'bolt m24', sort_order: 3 },
+  ])
+  assert.deepEqual(
+    keyed.map((row) => row.item_key),
+    ['PN:442.7155', 'PN:442.7155/CP:7', 'PN:442.7155/NM:BOLT M24', 'PN:442.7155/NM:BOLT M24#2']
+  )
+  assert.equal(keyed[1].parent_item_key, 'PN:442.7155')
+
+  const reimported = assignBomItemKeys([{ id: 99, parent_item_id: null, manufacturer_part_number: '442 7155 ' }])
+  assert.equal(reimported[0].item_key, 'PN:4427155')
+})
+
+test('BOM revision diff lists added, removed, quantity-changed and relinked items', () => {
+  const diff = diffBomItems(
+    [
+      { item_key: 'PN:A', quantity: '1.000', catalog_position_id: 1 },
+      { item_key: 'PN:B', quantity: '2.000', catalog_position_id: 2 },
+      { item_key: 'PN:C', quantity: '4.000', catalog_position_id: 3 },
+      { item_key: 'PN:D', quantity: '1.000', catalog_position_id: 4 },
+    ],
+    [
+      { item_key: 'PN:A', quantity: '1.000', catalog_position_id: 1 },
+      { item_key: 'PN:B', quantity: '3.000', catalog_position_id: 2 },
+      { item_key: 'PN:C', quantity: '4.000', catalog_position_id: 9 },
+      { item_key: 'PN:E', quantity: '1.000', catalog_position_id: 5 },
+    ]
+  )
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, quantity_changed: 1, relinked: 1, unchanged: 1 })
+  assert.equal(diff.quantity_changed[0].quantity_delta, 1)
+  assert.equal(diff.relinked[0].old_catalog_position_id, 3)
+  assert.equal(diff.removed[0].item_key, 'PN:D')
+})
+
+test('pinned revision rows take current ids by item key so unit overrides still apply', () => {
+  const current = assignBomItemKeys([
+    { id: 50, parent_item_id: null, manufacturer_part_number: 'ASM', sort_order: 1 },
+    { id: 51, parent_item_id: 50, manufacturer_part_number: 'LINER', quantity: 4, sort_order: 1 },
+    { id: 7, parent_item_id: null, manufacturer_part_number: 'NEW', sort_order: 2 },
+  ])
+  const revision = [
+    { id: 1, item_key: 'PN:ASM', parent_item_key: null, bom_item_id: 10, manufacturer_part_number: 'ASM', quantity: 1, sort_order: 1 },
+    { id: 2, item_key: 'PN:ASM/PN:LINER', parent_item_key: 'PN:ASM', bom_item_id: 11, manufacturer_part_number: 'LINER', quantity: 2, sort_order: 1 },
+    { id: 3, item_key: 'PN:ASM/PN:BOLT', parent_item_key: 'PN:ASM', bom_item_id: 12, manufacturer_part_number: 'BOLT', quantity: 8, sort_order: 2 },
+    { id: 4, item_key: 'PN:OLD', parent_item_key: null, bom_item_id: 7, manufacturer_part_number: 'OLD', quantity: 1, sort_order: 2 },
+  ]
+
+  const pinned = pinRevisionItems(revision, current)
+  assert.deepEqual(
+    pinned.map((row) => [row.id, row.parent_item_id, row.in_current_bom]),
+    [
+      [50, null, true],
+      [51, 50, true],
+      [12, 50, false],
+      [-4, null, false],
+    ]
+  )
+
+  const exploded = explodeBom(pinned, { overrides: new Map([[51, { status: 'not_applicable' }]]) })
+  assert.deepEqual(
+    exploded.map((row) => [row.manufacturer_part_number, row.extended_quantity]),
+    [
+      ['ASM', 1],
+      ['BOLT', 8],
+      ['OLD', 1],
+    ]
+  )
+})
@@ -0,0 +1,65 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { compileAttributeFilter, normalizeTypedAttributeValue, rescaleAttributeSettings } = require('../utils/classifierAttributes')
+const { convertUnitValue, parseQuantity } = require('../utils/uom')
+
+const diameter = {
+  id: 1,
+  code: 'diameter_mm',
+  label: 'Диаметр',
+  value_type: 'number',
+  unit: 'мм',
+  settings_json: '{"min": 6, "max": 64}',
+}
+const material = {
+  id: 2,
+  code: 'material',
+  label: 'Материал',
+  value_type: 'select',
+  options: [
+    { value_code: '42crmo4', value_label: '42CrMo4' },
+    { value_code: 'st45', value_label: 'Сталь 45' },
+  ],
+}
+
+test('uom parses quantities and converts only within one dimension', () => {
+  assert.deepEqual(parseQuantity('2,4 cm'), { value: 2.4, unit: 'см' })
+  assert.equal(parseQuantity('M24'), null)
+  assert.deepEqual(convertUnitValue(2.4, 'см', 'мм'), { value: 24, error: null })
+  assert.ok(convertUnitValue(1, 'кг', 'мм').error)
+})
+
+test('number attribute values are converted to the attribute unit and range-checked', () => {
+  assert.equal(normalizeTypedAttributeValue(diameter, '2,4 см').value_number, 24)
+  assert.equal(normalizeTypedAttributeValue(diameter, 0.02, { unit: 'm' }).value_number, 20)
+  assert.match(normalizeTypedAttributeValue(diameter, 80).error, /не больше 64 мм/)
+  assert.match(normalizeTypedAttributeValue(diameter, '1 кг').error, /Нельзя пересчитать/)
+  assert.match(normalizeTypedAttributeValue(diameter, 'M24').error, /нужно число/)
+})
+
+test('select values are stored as option codes and unknown options are rejected', () => {
+  assert.equal(normalizeTypedAttributeValue(material, '42CrMo4').value_text, '42crmo4')
+  assert.match(normalizeTypedAttributeValue(material, '40Х').error, /неизвестное значение/)
+})
+
+test('parametric filters compile to attribute-unit bounds and option codes', () => {
+  assert.deepEqual(compileAttributeFilter(diameter, { op: 'between', from: '2 см', to: 24 }), {
+    sql: 'v.value_number >= CAST(? AS DECIMAL(18,6)) AND v.value_number <= CAST(? AS DECIMAL(18,6))',
+    params: [20, 24],
+  })
+  assert.deepEqual(compileAttributeFilter(material, { value: '42CrMo4' }), {
+    sql: 'v.value_text IN (?)',
+    params: ['42crmo4'],
+  })
+  assert.ok(compileAttributeFilter(material, { value: 'Бронза' }).impossible)
+  assert.ok(compileAttributeFilter(diameter, { value: 20, unit: 'кг' }).impossible)
+  assert.ok(compileAttributeFilter(diameter, { op: 'contains', value: '2' }).error)
+})
+
+test('unit change rescales stored min/max by the conversion factor', () => {
+  const factor = convertUnitValue(1, 'мм', 'см').value
+  assert.deepEqual(JSON.parse(rescaleAttributeSettings(diameter.settings_json, factor)), { min: 0.6, max: 6.4 })
+  assert.deepEqual(JSON.parse(rescaleAttributeSettings({ max: 2, integer: true }, 1000)), { max: 2000, integer: true })
+  assert.equal(rescaleAttributeSettings(null, 10), null)
+})
@@ -0,0 +1,70 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { summarizeCustomsPack, buildCustomsPackWorkbook } = require('../utils/customsPack')
+
+const lines = [
+  {
+    supplier_purchase_order_line_id: 1,
+    tnved_code: '8474901000',
+    duty_rate: 5,
+    origin_country: 'de',
+    quantity: 2,
+    customs_value: 1000,
+    net_weight_kg: 40,
+  },
+  {
+    supplier_purchase_order_line_id: 2,
+    tnved_code: '8474901000',
+    duty_rate: 5,
+    origin_country: 'CN',
+    quantity: 1,
+    customs_value: 500,
+    net_weight_kg: 10,
+    gross_weight_kg: 12,
+  },
+  {
+    supplier_purchase_order_line_id: 3,
+    tnved_code: null,
+    origin_country: null,
+    quantity: 3,
+    customs_value: 300,
+    net_weight_kg: null,
+  },
+]
+
+test('customs pack groups lines by TN VED code and applies duty plus VAT', () => {
+  const pack = summarizeCustomsPack(lines, { vatPct: 20 })
+
+  assert.equal(pack.groups.length, 2)
+  const [coded, unassigned] = pack.groups
+  assert.equal(coded.tnved_code, '8474901000')
+  assert.deepEqual(coded.origin_countries, ['CN', 'DE'])
+  assert.equal(coded.customs_value, 1500)
+  assert.equal(coded.net_weight_kg, 50)
+  assert.equal(coded.gross_weight_kg, 52)
+  assert.equal(coded.duty, 75)
+  assert.equal(coded.vat, 315)
+  assert.equal(coded.payments_total, 390)
+
+  assert.equal(unassigned.tnved_code, null)
+  assert.equal(unassigned.duty, null)
+  assert.equal(pack.totals.customs_value, 1800)
+  assert.equal(pack.totals.payments, 390)
+  assert.deepEqual(pack.issues.missing_tnved, [3])
+  assert.deepEqual(pack.issues.missing_origin, [3])
+  assert.deepEqual(pack.issues.missing_weight, [3])
+})
+
+test('customs pack workbook has declaration, lines and issues sheets', async () => {
+  const summary = summarizeCustomsPack(lines, { vatPct: 20 })
+  const buffer = await buildCustomsPackWorkbook({ currency: 'RUB', lines, ...summary })
+  const ExcelJS = require('exceljs')
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+  assert.deepEqual(
+    workbook.worksheets.map((sheet) => sheet.name),
+    ['Предварительная декларация', 'Строки', 'Замечания']
+  )
+  assert.equal(workbook.getWorksheet('Предварительная декларация').getCell('B2').value, '8474901000')
+})
@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { summarizeDeliveryLines, loadContractDeliveryContext } = require('../utils/deliveryDocuments')
+
+test('delivery lines carry net weight, volume and flag missing customs data', () => {
+  const { lines, totals } = summarizeDeliveryLines([
+    {
+      quantity: 4,
+      weight_kg: 12.5,
+      length_cm: 50,
+      width_cm: 40,
+      height_cm: 20,
+      tnved_code: ' 8474901000 ',
+      origin_country: 'de',
+    },
+    { quantity: '2', weight_kg: null, length_cm: 30, width_cm: null, height_cm: 10, tnved_code: null },
+  ])
+
+  assert.deepEqual(
+    lines.map((line) => [line.line_number, line.net_weight_kg, line.dimensions_cm, line.volume_m3, line.tnved_code, line.origin_country]),
+    [
+      [1, 50, '50×40×20', 0.16, '8474901000', 'DE'],
+      [2, null, null, null, null, null],
+    ]
+  )
+  assert.deepEqual(totals, {
+    quantity: 6,
+    net_weight_kg: 50,
+    volume_m3: 0.16,
+    missing_weight: 1,
+    missing_tnved: 1,
+    missing_origin: 1,
+  })
+})
+
+test('delivery context is built only from a posted warehouse document', async () => {
+  const contextFor = (doc) =>
+    loadContractDeliveryContext(
+      {
+        async execute(sql) {
+          if (sql.includes('FROM client_contracts')) return [[{ id: 3, selection_id: 5, client_request_id: 8 }]]
+          if (sql.includes('FROM warehouse_documents')) return [[doc].filter(Boolean)]
+          throw new Error(`unexpected query: ${sql}`)
+        },
+      },
+      3,
+      { warehouseDocumentId: 11 }
+    )
+
+  await assert.rejects(contextFor(null), { statusCode: 404 })
+  for (const status of ['draft', 'cancelled', 'reversed']) {
+    await assert.rejects(contextFor({ id: 11, status }), { statusCode: 409 })
+  }
+})
@@ -0,0 +1,54 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs/promises')
+const os = require('node:os')
+const path = require('node:path')
+
+const { createTransport, sendMail } = require('../utils/mailer')
+const { renderMailTemplate } = require('../utils/mailTemplates')
+
+test('mail transport is off unless MAIL_TRANSPORT is configured', () => {
+  assert.equal(createTransport({}), null)
+  assert.equal(createTransport({ MAIL_TRANSPORT: 'off' }), null)
+})
+
+test('outbox transport writes an .eml message with the attachment', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-outbox-'))
+  t.after(() => fs.rm(dir, { recursive: true, force: true }))
+
+  const transport = createTransport({ MAIL_TRANSPORT: 'outbox', MAIL_OUTBOX_DIR: dir })
+  const result = await sendMail(
+    {
+      from: 'rfq@example.com',
+      to: 'supplier@example.com',
+      subject: 'RFQ-1',
+      text: 'Body',
+      attachments: [{ filename: 'rfq_1.xlsx', content: Buffer.from('xlsx') }],
+    },
+    { transport }
+  )
+
+  assert.equal(result.skipped, false)
+  assert.equal(result.transport, 'outbox')
+  const eml = await fs.readFile(result.filePath, 'utf8')
+  assert.match(eml, /To: supplier@example.com/)
+  assert.match(eml, /filename=rfq_1\.xlsx/)
+})
+
+test('sendMail without a transport is skipped, not failed', async () => {
+  const result = await sendMail({ to: 'x@example.com', subject: 's' }, { transport: null })
+  assert.equal(result.skipped, true)
+})
+
+test('rfq dispatch template renders per supplier language', () => {
+  const ctx = { rfq_number: 'RFQ-7', supplier_name: 'ACME', mode: 'full', rows_total: 3 }
+  const ru = renderMailTemplate('rfq_dispatch', 'ru', ctx)
+  const en = renderMailTemplate('rfq_dispatch', 'EN', ctx)
+  const fallback = renderMailTemplate('rfq_dispatch', 'de', ctx)
+
+  assert.equal(ru.lang, 'ru')
+  assert.match(ru.subject, /Запрос цен RFQ-7/)
+  assert.equal(en.lang, 'en')
+  assert.match(en.subject, /Request for quotation RFQ-7/)
+  assert.equal(fallback.lang, 'ru')
+})
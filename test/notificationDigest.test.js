@@ -0,0 +1,63 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { buildNotificationDigest } = require('../utils/notificationDigest')
+const { renderMailTemplate } = require('../utils/mailTemplates')
+const { normalizePreferenceInput, normalizeSettingsInput } = require('../utils/notificationPreferences')
+
+const row = (id, entityType, entityId, createdAt, title = `N${id}`) => ({
+  id,
+  type: 'assignment',
+  title,
+  message: null,
+  entity_type: entityType,
+  entity_id: entityId,
+  created_at: createdAt,
+})
+
+test('digest groups notifications by entity in a stable order', () => {
+  const digest = buildNotificationDigest(
+    [
+      row(1, 'rfqs', 5, '2026-10-18T09:00:00Z'),
+      row(2, null, null, '2026-10-18T10:00:00Z'),
+      row(3, 'client_requests', 7, '2026-10-18T08:00:00Z'),
+      row(4, 'rfqs', 5, '2026-10-18T07:00:00Z'),
+      row(5, 'supplier_purchase_orders', 2, '2026-10-18T11:00:00Z'),
+      row(6, 'rfqs', 9, '2026-10-18T12:00:00Z'),
+    ],
+    new Map([['rfqs:5', 'RFQ-100']])
+  )
+
+  assert.equal(digest.total, 6)
+  assert.deepEqual(
+    digest.groups.map((group) => [group.entity_type, group.entity_id]),
+    [
+      ['client_requests', 7],
+      ['rfqs', 9],
+      ['rfqs', 5],
+      ['supplier_purchase_orders', 2],
+      [null, null],
+    ]
+  )
+  const rfq = digest.groups.find((group) => group.entity_id === 5)
+  assert.equal(rfq.entity_title, 'RFQ-100')
+  assert.deepEqual(rfq.notifications.map((item) => item.id), [4, 1])
+
+  const mail = renderMailTemplate('notification_digest', 'en', { total: digest.total, groups: digest.groups })
+  assert.match(mail.text, /RFQ RFQ-100\n• N4\n• N1/)
+  assert.match(mail.text, /Purchase order #2/)
+})
+
+test('preference input is validated', () => {
+  assert.deepEqual(normalizePreferenceInput({ type: 'assignment', email: '1', email_mode: 'immediate' }), {
+    preference: { type: 'assignment', in_app: true, email: true, email_mode: 'immediate' },
+    error: null,
+  })
+  assert.ok(normalizePreferenceInput({ type: 'unknown' }).error)
+  assert.ok(normalizePreferenceInput({ type: 'assignment', email_mode: 'weekly' }).error)
+  assert.deepEqual(normalizeSettingsInput({ digest_hour: 7, email_lang: 'EN' }), {
+    settings: { digest_hour: 7, email_lang: 'en' },
+    error: null,
+  })
+  assert.ok(normalizeSettingsInput({ digest_hour: 24 }).error)
+})
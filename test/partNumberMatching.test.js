@@ -0,0 +1,45 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { createPartMatcher, normalizePartNumber } = require('../utils/partNumberMatching')
+
+test('part number normalization drops OEM prefixes, separators and leading zeros', () => {
+  assert.equal(normalizePartNumber('P/N 00-442.7155'), '4427155')
+  assert.equal(normalizePartNumber('ART. NO 0012-A'), '12A')
+  assert.equal(normalizePartNumber(' oem:n55208 '), 'N55208')
+  assert.equal(normalizePartNumber('PN'), 'PN')
+  // префикс без разделителя — часть номера
+  assert.equal(normalizePartNumber('NR123'), 'NR123')
+  assert.equal(normalizePartNumber('CAT320-1'), 'CAT3201')
+  assert.equal(normalizePartNumber('REF 7'), '7')
+  assert.equal(normalizePartNumber('000'), '0')
+  assert.equal(normalizePartNumber(''), null)
+})
+
+test('part matcher resolves normalized numbers and ranks fuzzy candidates', () => {
+  const matcher = createPartMatcher(
+    [
+      { id: 1, supplier_part_number: '442.7155', description_ru: 'Броня конуса' },
+      { id: 2, supplier_part_number: '442.7156', description_ru: 'Броня чаши' },
+      { id: 3, supplier_part_number: 'N55208', description_ru: 'Втулка эксцентрика' },
+    ],
+    [{ supplier_part_id: 3, alias_canonical_part_number: 'MM0355208' }]
+  )
+
+  const exact = matcher.match('P/N 0442-7155')
+  assert.equal(exact.exact, true)
+  assert.equal(exact.candidates[0].supplier_part_id, 1)
+  assert.equal(exact.candidates[0].method, 'normalized')
+  assert.equal(exact.candidates[0].confidence, 98)
+
+  const alias = matcher.match('MM-0355208')
+  assert.equal(alias.candidates[0].supplier_part_id, 3)
+  assert.equal(alias.candidates[0].method, 'alias_normalized')
+
+  const fuzzy = matcher.match('442715', 'броня конуса')
+  assert.equal(fuzzy.exact, false)
+  assert.equal(fuzzy.candidates[0].supplier_part_id, 1)
+  assert.equal(fuzzy.candidates[0].method, 'fuzzy')
+  assert.ok(fuzzy.candidates[0].confidence <= 95)
+  assert.ok(fuzzy.candidates.length >= 2)
+})
@@ -0,0 +1,209 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const crypto = require('node:crypto')
+
+// письма со ссылкой сброса складываются в outbox, токен берём оттуда
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reset-outbox-'))
+process.env.MAIL_TRANSPORT = 'outbox'
+process.env.MAIL_OUTBOX_DIR = outboxDir
+
+const bcrypt = require('bcrypt')
+const { simpleParser } = require('mailparser')
+const db = require('../utils/db')
+const authController = require('../controllers/authController')
+const { hitThrottle } = require('../utils/authThrottle')
+
+test.after(() => fs.rmSync(outboxDir, { recursive: true, force: true }))
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex')
+
+// Пользователи, токены сброса, счётчики и refresh-токены в памяти —
+// ровно те запросы, что делают forgot/reset-password.
+const authStore = () => {
+  const state = {
+    users: [{ id: 5, username: 'ivanov', full_name: 'Иванов', email: 'ivanov@example.com', is_active: 1, password: 'old' }],
+    resetTokens: [],
+    throttle: [],
+    refreshRevokedFor: [],
+  }
+  const active = (row) => !row.used_at && !row.revoked_at
+  state.execute = async (sql, params = []) => {
+    if (sql.includes('INSERT INTO auth_throttle_events')) {
+      state.throttle.push({ scope: params[0], key: params[1] })
+      return [{}]
+    }
+    if (sql.includes('FROM auth_throttle_events')) {
+      const cnt = state.throttle.filter((row) => row.scope === params[0] && row.key === params[1]).length
+      return [[{ cnt }]]
+    }
+    if (sql.includes('DELETE FROM auth_throttle_events')) return [{}]
+    if (sql.includes('FROM users') && sql.includes('LOWER(email)')) {
+      return [state.users.filter((user) => user.username === params[0] || user.email === String(params[1]).toLowerCase())]
+    }
+    if (sql.includes('UPDATE password_reset_tokens') && sql.includes('id <> ?')) {
+      state.resetTokens
+        .filter((row) => row.user_id === params[0] && row.id !== params[1] && active(row))
+        .forEach((row) => (row.revoked_at = 'now'))
+      return [{}]
+    }
+    if (sql.includes('UPDATE password_reset_tokens') && sql.includes('SET revoked_at = NOW()')) {
+      state.resetTokens.filter((row) => row.user_id === params[0] && active(row)).forEach((row) => (row.revoked_at = 'now'))
+      return [{}]
+    }
+    if (sql.includes('INSERT INTO password_reset_tokens')) {
+      state.resetTokens.push({
+        id: state.resetTokens.length + 1,
+        user_id: params[0],
+        token_hash: params[1],
+        expires_at: Date.now() + params[2] * 60000,
+      })
+      return [{}]
+    }
+    if (sql.includes('FROM password_reset_tokens t')) {
+      const row = state.resetTokens.find((item) => item.token_hash === params[0] && active(item) && item.expires_at > Date.now())
+      const user = row && state.users.find((item) => item.id === row.user_id)
+      return [row ? [{ id: row.id, user_id: row.user_id, is_active: user.is_active }] : []]
+    }
+    if (sql.includes('UPDATE password_reset_tokens SET used_at = NOW()')) {
+      state.resetTokens.find((row) => row.id === params[0]).used_at = 'now'
+      return [{}]
+    }
+    if (sql.includes('UPDATE users SET password = ?')) {
+      state.users.find((user) => user.id === params[1]).password = params[0]
+      return [{}]
+    }
+    if (sql.includes('UPDATE auth_refresh_tokens')) {
+      state.refreshRevokedFor.push({ userId: params[1], reason: params[0] })
+      return [{ affectedRows: 1 }]
+    }
+    if (sql.includes('UPDATE user_sessions')) return [{}]
+    throw new Error(`unexpected SQL: ${sql}`)
+  }
+  return state
+}
+
+const useAuthStore = (t) => {
+  const store = authStore()
+  const { getConnection, execute } = db
+  t.after(() => {
+    db.getConnection = getConnection
+    db.execute = execute
+  })
+  db.execute = (sql, params) => store.execute(sql, params)
+  db.getConnection = async () => ({
+    execute: (sql, params) => store.execute(sql, params),
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+  })
+  return store
+}
+
+const call = async (handler, body, ip = '10.0.0.1') => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(payload) {
+      this.payload = payload
+      return this
+    },
+  }
+  await handler({ body, headers: { 'x-forwarded-for': ip, 'user-agent': 'test' } }, res)
+  return res
+}
+
+const mailedFiles = new Set()
+const lastMailedToken = async () => {
+  const [file] = fs.readdirSync(outboxDir).filter((name) => !mailedFiles.has(name))
+  mailedFiles.add(file)
+  const mail = await simpleParser(fs.readFileSync(path.join(outboxDir, file)))
+  return mail.text.match(/token=([0-9a-f]{64})/)[1]
+}
+
+test('forgot-password issues a hashed, single-use token that resets the password once', async (t) => {
+  const store = useAuthStore(t)
+
+  const requested = await call(authController.forgotPassword, { login: 'ivanov' })
+  assert.equal(requested.statusCode, 200)
+  assert.equal(requested.payload.success, true)
+  assert.equal(store.resetTokens.length, 1)
+
+  const token = await lastMailedToken()
+  // в БД только sha256 токена
+  assert.equal(store.resetTokens[0].token_hash, sha256(token))
+
+  const reset = await call(authController.resetPassword, { token, password: 'new-password-1' })
+  assert.equal(reset.statusCode, 200)
+  assert.ok(await bcrypt.compare('new-password-1', store.users[0].password))
+  assert.equal(store.resetTokens[0].used_at, 'now')
+  assert.deepEqual(store.refreshRevokedFor, [{ userId: 5, reason: 'password_reset' }])
+
+  const reused = await call(authController.resetPassword, { token, password: 'new-password-2' })
+  assert.equal(reused.statusCode, 400)
+  assert.ok(await bcrypt.compare('new-password-1', store.users[0].password))
+})
+
+test('a new reset request revokes the previous link, and expired links are rejected', async (t) => {
+  const store = useAuthStore(t)
+
+  await call(authController.forgotPassword, { login: 'ivanov@example.com' })
+  const first = await lastMailedToken()
+  await call(authController.forgotPassword, { login: 'ivanov' })
+  const second = await lastMailedToken()
+  assert.notEqual(first, second)
+  assert.equal(store.resetTokens[0].revoked_at, 'now')
+
+  assert.equal((await call(authController.resetPassword, { token: first, password: 'new-password-1' })).statusCode, 400)
+
+  store.resetTokens[1].expires_at = Date.now() - 1000
+  assert.equal((await call(authController.resetPassword, { token: second, password: 'new-password-1' })).statusCode, 400)
+  assert.equal(store.users[0].password, 'old')
+})
+
+test('unknown logins get the same answer and no token', async (t) => {
+  const store = useAuthStore(t)
+  const res = await call(authController.forgotPassword, { login: 'nobody' })
+  assert.equal(res.statusCode, 200)
+  assert.match(res.payload.message, /Если пользователь/)
+  assert.equal(store.resetTokens.length, 0)
+})
+
+test('reset requests are throttled per account silently and per IP with 429', async (t) => {
+  const store = useAuthStore(t)
+  const warn = console.warn
+  t.after(() => {
+    console.warn = warn
+  })
+
+  for (let i = 0; i < 5; i += 1) {
+    const res = await call(authController.forgotPassword, { login: 'ivanov' }, `10.0.1.${i}`)
+    assert.equal(res.statusCode, 200)
+  }
+  // лимит на аккаунт — 3 ссылки в час; ответ тот же, но токен не выдаётся
+  assert.equal(store.resetTokens.length, 3)
+
+  for (let i = 0; i < 10; i += 1) {
+    assert.equal((await call(authController.forgotPassword, { login: 'nobody' }, '10.0.2.1')).statusCode, 200)
+  }
+  const blocked = await call(authController.forgotPassword, { login: 'nobody' }, '10.0.2.1')
+  assert.equal(blocked.statusCode, 429)
+})
+
+test('hitThrottle counts the blocked attempt too and ignores empty keys', async () => {
+  const store = authStore()
+  const options = { scope: 'password_reset_ip', key: '10.0.0.9', limit: 2, windowMinutes: 60 }
+  assert.deepEqual(await hitThrottle(options, store), { allowed: true, count: 1 })
+  assert.deepEqual(await hitThrottle(options, store), { allowed: true, count: 2 })
+  assert.deepEqual(await hitThrottle(options, store), { allowed: false, count: 3 })
+  assert.deepEqual(await hitThrottle(options, store), { allowed: false, count: 4 })
+
+  assert.deepEqual(await hitThrottle({ ...options, key: '  ' }, store), { allowed: true, count: 0 })
+  assert.equal(store.throttle.length, 4)
+})
@@ -0,0 +1,159 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const {
+  normalizeMilestones,
+  summarizePaymentSchedule,
+  bucketScheduleSummary,
+  buildAgingReport,
+  loadPaymentState,
+  recordPayment,
+  PAYMENT_BASE_CURRENCY,
+} = require('../utils/paymentSchedules')
+
+test('milestones take amounts from percent and cannot exceed the document total', () => {
+  const milestones = normalizeMilestones(
+    [
+      { milestone_type: 'prepayment', percent: 30 },
+      { milestone_type: 'net_days', percent: 70, net_days: 30 },
+    ],
+    { totalAmount: 1000, currency: 'EUR' }
+  )
+  assert.deepEqual(
+    milestones.map((row) => [row.milestone_type, row.amount, row.days_offset]),
+    [
+      ['prepayment', 300, 0],
+      ['net_days', 700, 30],
+    ]
+  )
+  assert.throws(
+    () =>
+      normalizeMilestones(
+        [
+          { milestone_type: 'prepayment', percent: 50 },
+          { milestone_type: 'on_delivery', amount: 600 },
+        ],
+        { totalAmount: 1000, currency: 'EUR' }
+      ),
+    /превышает сумму документа/
+  )
+  assert.throws(
+    () => normalizeMilestones([{ milestone_type: 'net_days', percent: 10 }], { totalAmount: 1000, currency: 'EUR' }),
+    /число дней/
+  )
+})
+
+test('payments are allocated to the chosen milestone first, then in schedule order', () => {
+  const summary = summarizePaymentSchedule({
+    totalAmount: 1000,
+    documentDate: '2026-08-01',
+    asOf: '2026-10-19',
+    milestones: [
+      { id: 1, sort_order: 1, milestone_type: 'prepayment', amount: 300, days_offset: 0 },
+      { id: 2, sort_order: 2, milestone_type: 'on_delivery', amount: 500, days_offset: 10 },
+      { id: 3, sort_order: 3, milestone_type: 'net_days', amount: 100, days_offset: 60 },
+    ],
+    payments: [
+      { amount: 200, milestone_id: 3 },
+      { amount: 250 },
+      { amount: 900, status: 'cancelled' },
+    ],
+  })
+
+  assert.equal(summary.paid_amount, 450)
+  assert.equal(summary.outstanding_amount, 550)
+  assert.equal(summary.unscheduled_amount, 100)
+  assert.deepEqual(
+    summary.milestones.map((row) => [row.id, row.paid_amount, row.status, row.due_date]),
+    [
+      [1, 300, 'paid', '2026-08-01'],
+      [2, 50, 'awaiting_event', null],
+      [3, 100, 'paid', '2026-09-30'],
+    ]
+  )
+  assert.equal(summary.fully_paid, false)
+})
+
+test('outstanding amounts fall into aging buckets by days overdue', () => {
+  const summary = summarizePaymentSchedule({
+    totalAmount: 1000,
+    documentDate: '2026-06-01',
+    asOf: '2026-10-19',
+    events: { delivered_at: '2026-09-01' },
+    milestones: [
+      { id: 1, sort_order: 1, milestone_type: 'prepayment', amount: 200, days_offset: 0 },
+      { id: 2, sort_order: 2, milestone_type: 'on_delivery', amount: 300, days_offset: 14 },
+      { id: 3, sort_order: 3, milestone_type: 'net_days', amount: 100, days_offset: 180 },
+    ],
+    payments: [],
+  })
+
+  assert.equal(summary.overdue_amount, 500)
+  assert.deepEqual(bucketScheduleSummary(summary), {
+    not_due: 100,
+    overdue_1_30: 0,
+    overdue_31_60: 300,
+    overdue_61_90: 0,
+    overdue_90_plus: 200,
+    no_due_date: 400,
+  })
+})
+
+const paymentConn = (document) => {
+  const calls = []
+  return {
+    calls,
+    async execute(sql, params) {
+      calls.push({ sql, params })
+      if (sql.includes('INSERT INTO payments')) return [{ insertId: 77 }]
+      if (sql.includes('FROM payments WHERE id = ?')) return [[{ id: 77 }]]
+      return [[document]]
+    },
+  }
+}
+
+const isoDay = (offsetDays = 0) => new Date(Date.now() + offsetDays * 86400000).toISOString().slice(0, 10)
+
+test('backdated foreign-currency payments need the rate on the payment date', async () => {
+  const foreign = PAYMENT_BASE_CURRENCY === 'EUR' ? 'USD' : 'EUR'
+  const document = { id: 5, status: 'sent', currency: foreign }
+  const backdated = isoDay(-10)
+
+  const rejected = paymentConn(document)
+  await assert.rejects(
+    recordPayment(rejected, 'purchase_order', 5, { amount: 100, paid_at: backdated }),
+    (err) => err.statusCode === 400 && /задним числом/.test(err.message)
+  )
+  assert.equal(rejected.calls.some((call) => call.sql.includes('INSERT INTO payments')), false)
+
+  await assert.rejects(
+    recordPayment(paymentConn(document), 'purchase_order', 5, { amount: 100, paid_at: backdated, fx_rate: -1 }),
+    (err) => err.statusCode === 400
+  )
+
+  const manual = paymentConn(document)
+  await recordPayment(manual, 'purchase_order', 5, { amount: 100, paid_at: backdated, fx_rate: '92.5' })
+  const insert = manual.calls.find((call) => call.sql.includes('INSERT INTO payments'))
+  // paid_at, fx_rate, fx_source, fx_as_of, amount_base
+  assert.deepEqual(
+    [insert.params[6], insert.params[8], insert.params[9], insert.params[10].toISOString().slice(0, 10), insert.params[11]],
+    [backdated, 92.5, 'manual', backdated, 9250]
+  )
+
+  const base = paymentConn({ ...document, currency: PAYMENT_BASE_CURRENCY })
+  await recordPayment(base, 'purchase_order', 5, { amount: 100, paid_at: backdated })
+  const baseInsert = base.calls.find((call) => call.sql.includes('INSERT INTO payments'))
+  assert.deepEqual([baseInsert.params[8], baseInsert.params[11]], [1, 100])
+})
+
+test('payment dates and as_of must be real YYYY-MM-DD dates', async () => {
+  const conn = paymentConn({ id: 5, status: 'sent', currency: PAYMENT_BASE_CURRENCY })
+  await assert.rejects(
+    recordPayment(conn, 'purchase_order', 5, { amount: 100, paid_at: '2026-02-30' }),
+    /Некорректная дата оплаты/
+  )
+  for (const asOf of ['2026-13-01', 'yesterday', '2026-02-30']) {
+    await assert.rejects(buildAgingReport(conn, 'purchase_order', { asOf }), (err) => err.statusCode === 400)
+    await assert.rejects(loadPaymentState(conn, 'purchase_order', 5, { asOf }), (err) => err.statusCode === 400)
+  }
+})
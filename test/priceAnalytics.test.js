@@ -0,0 +1,85 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { summarizePriceSeries, evaluatePriceAnomaly, flagPriceAnomalies } = require('../utils/priceAnalytics')
+
+test('price series summary reports trend, regression slope and volatility', () => {
+  const summary = summarizePriceSeries([
+    { date: '2026-03-01', value: 120 },
+    { date: '2026-01-01', value: 100 },
+    { date: '2026-01-31', value: 110 },
+    { date: '2026-04-01', value: null },
+  ])
+
+  assert.equal(summary.count, 3)
+  assert.equal(summary.first, 100)
+  assert.equal(summary.last, 120)
+  assert.equal(summary.median, 110)
+  assert.equal(summary.trend_pct, 20)
+  assert.equal(summary.slope_pct_per_30d, 9.24)
+  assert.equal(summary.volatility_pct, 7.42)
+  assert.equal(summarizePriceSeries([]).trend_pct, null)
+})
+
+test('price anomaly compares against history and other suppliers medians', () => {
+  const outlier = evaluatePriceAnomaly(150, { history: [100, 104, 98], peers: [140, 160], thresholdPct: 25 })
+  assert.equal(outlier.is_anomaly, true)
+  assert.equal(outlier.history_reference, 100)
+  assert.equal(outlier.history_deviation_pct, 50)
+  assert.equal(outlier.history_exceeds, true)
+  assert.equal(outlier.peer_deviation_pct, 0)
+  assert.equal(outlier.peer_exceeds, false)
+
+  const noData = evaluatePriceAnomaly(150, { history: [], peers: [], thresholdPct: 25 })
+  assert.equal(noData.is_anomaly, false)
+  assert.equal(noData.history_deviation_pct, null)
+})
+
+test('anomaly check skips the new prices in history and peers and binds only its own ids', async () => {
+  // деталь 1 (поставщик 10) получила цену 200, деталь 2 (поставщик 20) — сосед по позиции
+  const prices = [
+    { id: 1, supplier_part_id: 1, price: 100, currency: 'RUB' },
+    { id: 2, supplier_part_id: 1, price: 104, currency: 'RUB' },
+    { id: 3, supplier_part_id: 2, price: 150, currency: 'RUB' },
+    { id: 4, supplier_part_id: 2, price: 9999, currency: 'RUB' },
+    { id: 5, supplier_part_id: 1, price: 200, currency: 'RUB' },
+  ]
+  const calls = []
+  const conn = {
+    async execute(sql, params = []) {
+      calls.push({ sql, params })
+      if (sql.includes('WHERE spp.id IN')) {
+        return [prices.filter((row) => params.includes(row.id)).map((row) => ({ ...row, supplier_id: row.supplier_part_id * 10 }))]
+      }
+      if (sql.includes('FROM supplier_part_catalog_positions target')) {
+        return [params.includes(1) ? [{ target_part_id: 1, peer_part_id: 2 }] : []]
+      }
+      if (sql.includes('MAX(id) AS max_id')) {
+        const [partId, ...excluded] = params
+        const latest = prices
+          .filter((row) => row.supplier_part_id === partId && !excluded.includes(row.id))
+          .sort((a, b) => b.id - a.id)[0]
+        return [[latest]]
+      }
+      if (sql.includes('FROM supplier_part_prices')) {
+        return [prices.filter((row) => params.includes(row.supplier_part_id))]
+      }
+      return [{}]
+    },
+  }
+
+  const flagged = await flagPriceAnomalies(conn, [5, 4], { currency: 'RUB', thresholdPct: 25 })
+  assert.deepEqual(
+    flagged.map((row) => [row.supplier_part_price_id, row.history_reference, row.peer_reference]),
+    [
+      [4, 150, null],
+      [5, 102, 150],
+    ]
+  )
+
+  const peerPrices = calls.filter((call) => call.sql.includes('MAX(id) AS max_id'))
+  assert.equal(peerPrices.length, 1)
+  // исключаются только новые цены самой детали-соседа
+  assert.deepEqual(peerPrices[0].params, [2, 4])
+  assert.ok(calls.every((call) => !/NOT IN/.test(call.sql) || call === peerPrices[0]))
+})
@@ -0,0 +1,47 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { planLineDateConfirmation, summarizeLineReceipt } = require('../utils/purchaseOrderExpediting')
+
+test('confirmation takes explicit dates or falls back to lead time from the confirmation day', () => {
+  const plans = planLineDateConfirmation(
+    [
+      { id: 1, lead_time_days: 20 },
+      { id: 2, lead_time_days: null },
+    ],
+    [{ line_id: 2, confirmed_ship_date: '2026-11-01', confirmed_arrival_date: '2026-11-20' }],
+    { confirmedOn: '2026-10-19' }
+  )
+  assert.deepEqual(
+    plans.map((plan) => [plan.line_id, plan.confirmed_ship_date, plan.confirmed_arrival_date]),
+    [
+      [1, null, '2026-11-08'],
+      [2, '2026-11-01', '2026-11-20'],
+    ]
+  )
+
+  assert.throws(() => planLineDateConfirmation([{ id: 3, lead_time_days: null }], []), /дату прибытия/)
+  assert.throws(
+    () =>
+      planLineDateConfirmation(
+        [{ id: 4, lead_time_days: 5 }],
+        [{ line_id: 4, confirmed_ship_date: '2026-11-10', confirmed_arrival_date: '2026-11-01' }]
+      ),
+    /раньше даты отгрузки/
+  )
+})
+
+test('line receipt summary counts overdue days only while quantity is still open', () => {
+  const open = summarizeLineReceipt(
+    { qty: 10, received_qty: 4, pending_receipt_qty: 3, due_date: '2026-10-09' },
+    '2026-10-19'
+  )
+  assert.equal(open.open_qty, 6)
+  assert.equal(open.remaining_receipt_qty, 3)
+  assert.equal(open.overdue_days, 10)
+  assert.equal(open.is_overdue, true)
+
+  const closed = summarizeLineReceipt({ qty: 5, received_qty: 5, due_date: '2026-10-01' }, '2026-10-19')
+  assert.equal(closed.overdue_days, 0)
+  assert.equal(closed.is_overdue, false)
+})
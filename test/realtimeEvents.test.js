@@ -0,0 +1,143 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { EventEmitter } = require('node:events')
+
+const db = require('../utils/db')
+const { fetchEventsSince, loadRealtimeViewer } = require('../utils/realtimeEvents')
+const dashboardRouter = require('../routes/dashboard')
+
+const eventRow = (id, userId, entityType, type = 'status') => ({
+  id,
+  user_id: userId,
+  event_type: type,
+  entity_type: entityType,
+  entity_id: 10 + id,
+  payload_json: JSON.stringify({ n: id }),
+  created_at: '2026-10-19T10:00:00Z',
+})
+
+const fakeConn = (rows) => {
+  const calls = []
+  return {
+    calls,
+    async execute(sql, params) {
+      calls.push({ sql, params })
+      return [rows]
+    },
+  }
+}
+
+test('viewer access comes from role tabs; admins see every section', async () => {
+  const conn = fakeConn([{ path: '/RFQ-Workspace', tab_name: 'rfq' }])
+  const viewer = await loadRealtimeViewer({ id: 4, role_id: 3 }, conn)
+  assert.equal(viewer.userId, 4)
+  assert.deepEqual([...viewer.allowedPaths], ['/rfq-workspace', 'rfq'])
+
+  const admin = await loadRealtimeViewer({ id: 1, role: 'admin' }, fakeConn([]))
+  assert.equal(admin.allowedPaths, null)
+})
+
+test('replay keeps own events and broadcasts only for sections the viewer can open', async () => {
+  const rows = [
+    eventRow(5, 7, 'client_requests', 'assignment'),
+    eventRow(6, null, 'rfqs'),
+    eventRow(7, null, 'supplier_purchase_orders'),
+    eventRow(8, null, 'unknown_entity'),
+  ]
+  const conn = fakeConn(rows)
+
+  const seller = { userId: 7, allowedPaths: new Set(['/client-request-workspace']) }
+  const own = await fetchEventsSince(seller, 4, {}, conn)
+  assert.deepEqual(own.events.map((event) => event.id), [5])
+  assert.deepEqual(conn.calls[0].params, [4, 7])
+
+  const buyer = { userId: 9, allowedPaths: new Set(['/rfq-workspace']) }
+  const bought = await fetchEventsSince(buyer, 4, {}, fakeConn(rows))
+  assert.deepEqual(bought.events.map((event) => event.id), [6, 7])
+  assert.deepEqual(bought.events[0].payload, { n: 6 })
+})
+
+test('replay reports truncation when more events are waiting than the limit', async () => {
+  const rows = [eventRow(1, 3, 'rfqs'), eventRow(2, 3, 'rfqs'), eventRow(3, 3, 'rfqs')]
+  const { events, truncated } = await fetchEventsSince({ userId: 3, allowedPaths: null }, 0, { limit: 2 }, fakeConn(rows))
+  assert.deepEqual(events.map((event) => event.id), [1, 2])
+  assert.equal(truncated, true)
+})
+
+const eventsHandler = () => {
+  const layer = dashboardRouter.stack.find((item) => item.route?.path === '/events' && item.route.methods.get)
+  return layer.route.stack[0].handle
+}
+
+const streamRequest = (user, headers = {}) => {
+  const req = new EventEmitter()
+  req.user = user
+  req.query = {}
+  req.get = (name) => headers[name]
+  const res = new EventEmitter()
+  res.chunks = []
+  res.set = () => res
+  res.flushHeaders = () => {}
+  res.write = (chunk) => res.chunks.push(chunk)
+  res.end = () => res.emit('finish')
+  res.status = (code) => {
+    res.statusCode = code
+    return res
+  }
+  res.json = (payload) => {
+    res.payload = payload
+    return res
+  }
+  return { req, res }
+}
+
+test('GET /dashboard/events replays missed events after Last-Event-ID before ready', async (t) => {
+  const execute = db.execute
+  t.after(() => {
+    db.execute = execute
+  })
+  const replayParams = []
+  db.execute = async (sql, params) => {
+    if (sql.includes('role_permissions')) return [[{ path: '/rfq-workspace', tab_name: null }]]
+    if (sql.includes('WHERE id > ?') && sql.includes('user_id = ?')) {
+      replayParams.push(params)
+      return [[eventRow(12, 4, 'rfqs', 'notification'), eventRow(13, null, 'rfqs'), eventRow(14, null, 'unknown_entity')]]
+    }
+    return [[{ max_id: 0 }]]
+  }
+
+  const { req, res } = streamRequest({ id: 4, role_id: 3 }, { 'Last-Event-ID': '11' })
+  await eventsHandler()(req, res)
+  req.emit('close')
+
+  assert.deepEqual(replayParams, [[11, 4]])
+  const body = res.chunks.join('')
+  assert.match(body, /^retry: \d+/)
+  assert.deepEqual([...body.matchAll(/^id: (\d+)$/gm)].map((match) => Number(match[1])), [12, 13])
+  assert.ok(body.indexOf('id: 13') < body.indexOf('event: ready'))
+  assert.doesNotMatch(body, /event: resync/)
+})
+
+test('GET /dashboard/events asks the client to resync when replay fails', async (t) => {
+  const execute = db.execute
+  t.after(() => {
+    db.execute = execute
+  })
+  db.execute = async (sql) => {
+    if (sql.includes('role_permissions')) return [[]]
+    throw new Error('connection lost')
+  }
+  const error = console.error
+  console.error = () => {}
+  t.after(() => {
+    console.error = error
+  })
+
+  const { req, res } = streamRequest({ id: 4, role_id: 3 }, { 'Last-Event-ID': '20' })
+  await eventsHandler()(req, res)
+  req.emit('close')
+
+  const body = res.chunks.join('')
+  assert.match(body, /event: resync\ndata: \{"reason":"replay_failed"\}/)
+  assert.doesNotMatch(body, /event: ready/)
+})
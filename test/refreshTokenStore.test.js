@@ -0,0 +1,169 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const jwt = require('jsonwebtoken')
+
+const db = require('../utils/db')
+const authController = require('../controllers/authController')
+const {
+  hashRefreshToken,
+  newFamilyId,
+  recordRefreshToken,
+  revokeRefreshFamily,
+} = require('../utils/refreshTokenStore')
+
+const REFRESH_SECRET = process.env.REFRESH_SECRET || 'refresh-secret-key'
+
+// auth_refresh_tokens и user_sessions в памяти — запросы refresh-ротации и отзыва.
+const tokenStore = () => {
+  const state = {
+    tokens: [],
+    closedSessions: [],
+    users: [{ id: 5, username: 'ivanov', role_id: 2, role_slug: 'zakupshchik', is_active: 1, password_changed_at: null }],
+  }
+  const byId = (id) => state.tokens.find((row) => row.id === id)
+  state.execute = async (sql, params = []) => {
+    if (sql.includes('INSERT INTO auth_refresh_tokens')) {
+      const [user_id, family_id, parent_id, token_hash, session_id] = params
+      const row = { id: state.tokens.length + 1, user_id, family_id, parent_id, token_hash, session_id }
+      state.tokens.push(row)
+      return [{ insertId: row.id }]
+    }
+    if (sql.includes('SELECT * FROM auth_refresh_tokens WHERE token_hash = ?')) {
+      return [state.tokens.filter((row) => row.token_hash === params[0]).map((row) => ({ ...row }))]
+    }
+    if (sql.includes('SET rotated_at = NOW(), replaced_by_id = ?')) {
+      Object.assign(byId(params[1]), { rotated_at: 'now', replaced_by_id: params[0] })
+      return [{}]
+    }
+    if (sql.includes('SELECT DISTINCT session_id FROM auth_refresh_tokens WHERE family_id = ?')) {
+      const ids = [...new Set(state.tokens.filter((row) => row.family_id === params[0] && row.session_id).map((row) => row.session_id))]
+      return [ids.map((session_id) => ({ session_id }))]
+    }
+    if (sql.includes('WHERE family_id = ? AND revoked_at IS NULL')) {
+      const rows = state.tokens.filter((row) => row.family_id === params[1] && !row.revoked_at)
+      rows.forEach((row) => Object.assign(row, { revoked_at: 'now', revoked_reason: params[0] }))
+      return [{ affectedRows: rows.length }]
+    }
+    if (sql.includes('UPDATE user_sessions')) {
+      state.closedSessions.push(...params.slice(1))
+      return [{}]
+    }
+    if (sql.includes('FROM users u')) return [state.users.filter((user) => user.id === params[0])]
+    if (sql.includes('FROM role_permissions')) return [[{ tab_id: 3 }]]
+    if (sql.includes('FROM role_capabilities')) return [[{ capability_key: 'workflow.purchase_orders.manage' }]]
+    throw new Error(`unexpected SQL: ${sql}`)
+  }
+  return state
+}
+
+const useTokenStore = (t) => {
+  const store = tokenStore()
+  const { getConnection, execute } = db
+  t.after(() => {
+    db.getConnection = getConnection
+    db.execute = execute
+  })
+  db.execute = (sql, params) => store.execute(sql, params)
+  db.getConnection = async () => ({
+    execute: (sql, params) => store.execute(sql, params),
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+  })
+  return store
+}
+
+const signIn = async (store, { sessionId = 'sess-1' } = {}) => {
+  const familyId = newFamilyId()
+  const token = jwt.sign({ id: 5, role: 'zakupshchik', fid: familyId }, REFRESH_SECRET, {
+    expiresIn: '1h',
+    jwtid: `login-${store.tokens.length}`,
+  })
+  await recordRefreshToken(store, { token, userId: 5, familyId, sessionId, expiresAt: new Date(Date.now() + 3600000) })
+  return { token, familyId }
+}
+
+const refresh = async (refreshToken) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(payload) {
+      this.payload = payload
+      return this
+    },
+  }
+  await authController.refreshToken({ body: { refreshToken }, headers: {} }, res)
+  return res
+}
+
+test('refresh rotates the token inside its family and links the old one to the new', async (t) => {
+  const store = useTokenStore(t)
+  const { token, familyId } = await signIn(store)
+
+  const res = await refresh(token)
+  assert.equal(res.statusCode, 200)
+  assert.ok(res.payload.token)
+  assert.notEqual(res.payload.refreshToken, token)
+  assert.deepEqual(res.payload.user.capabilities, ['workflow.purchase_orders.manage'])
+
+  const [first, second] = store.tokens
+  assert.equal(second.token_hash, hashRefreshToken(res.payload.refreshToken))
+  assert.equal(second.family_id, familyId)
+  assert.equal(second.parent_id, first.id)
+  assert.equal(second.session_id, 'sess-1')
+  assert.equal(first.rotated_at, 'now')
+  assert.equal(first.replaced_by_id, second.id)
+  assert.equal(jwt.decode(res.payload.refreshToken).fid, familyId)
+
+  // новый токен снова обменивается
+  assert.equal((await refresh(res.payload.refreshToken)).statusCode, 200)
+  assert.equal(store.tokens.length, 3)
+})
+
+test('presenting a rotated token again revokes the whole family and closes its session', async (t) => {
+  const store = useTokenStore(t)
+  const warn = console.warn
+  t.after(() => {
+    console.warn = warn
+  })
+  const { token, familyId } = await signIn(store)
+  const other = await signIn(store, { sessionId: 'sess-2' })
+
+  const rotated = await refresh(token)
+  const reused = await refresh(token)
+  assert.equal(reused.statusCode, 401)
+  assert.match(reused.payload.message, /Сессия отозвана/)
+
+  const family = store.tokens.filter((row) => row.family_id === familyId)
+  assert.equal(family.length, 2)
+  assert.ok(family.every((row) => row.revoked_at && row.revoked_reason === 'reuse_detected'))
+  assert.deepEqual(store.closedSessions, ['sess-1'])
+
+  // свежий токен злоумышленника/владельца из этой цепочки тоже погашен
+  assert.equal((await refresh(rotated.payload.refreshToken)).statusCode, 401)
+  // другой вход того же пользователя не затронут
+  assert.equal((await refresh(other.token)).statusCode, 200)
+  assert.ok(store.tokens.filter((row) => row.family_id === other.familyId).every((row) => !row.revoked_at))
+})
+
+test('refresh rejects tokens without a family and tokens that were never recorded', async (t) => {
+  const store = useTokenStore(t)
+  const legacy = jwt.sign({ id: 5, role: 'zakupshchik' }, REFRESH_SECRET, { expiresIn: '1h' })
+  assert.equal((await refresh(legacy)).statusCode, 401)
+
+  const unknown = jwt.sign({ id: 5, role: 'zakupshchik', fid: newFamilyId() }, REFRESH_SECRET, { expiresIn: '1h' })
+  assert.equal((await refresh(unknown)).statusCode, 401)
+  assert.equal(store.tokens.length, 0)
+})
+
+test('revokeRefreshFamily reports the number of revoked tokens and skips empty families', async () => {
+  const store = tokenStore()
+  const { familyId } = await signIn(store)
+  assert.equal(await revokeRefreshFamily(store, familyId, 'logout'), 1)
+  assert.equal(await revokeRefreshFamily(store, familyId, 'logout'), 0)
+  assert.equal(await revokeRefreshFamily(store, null, 'logout'), 0)
+})
@@ -0,0 +1,51 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { deliverPendingRfqDispatches, retryRfqDispatches } = require('../utils/rfqDispatchMail')
+
+const queueConn = (pending) => {
+  const calls = []
+  return {
+    calls,
+    async execute(sql, params) {
+      calls.push({ sql, params })
+      if (sql.includes("WHERE delivery_status = 'pending'")) return [pending.map((id) => ({ id }))]
+      if (sql.includes('SET last_delivery_attempt_at = NOW()')) return [{ affectedRows: params[0] === 2 ? 0 : 1 }]
+      if (sql.includes('FROM rfq_supplier_dispatches d')) {
+        return [[{ id: params[0], rfq_id: 1, rfq_supplier_id: 5, supplier_id: 9, supplier_name: 'S', contact_email: 's@example.com' }]]
+      }
+      return [{ affectedRows: 1 }]
+    },
+  }
+}
+
+test('queue delivery claims each pending dispatch once and records the outcome', async () => {
+  const conn = queueConn([1, 2])
+  const summary = await deliverPendingRfqDispatches(conn)
+
+  // без MAIL_TRANSPORT письмо не уходит — запись помечается skipped, а не остаётся pending
+  assert.deepEqual(summary, { sent: 0, failed: 0, skipped: 1 })
+  const loaded = conn.calls.filter((call) => call.sql.includes('FROM rfq_supplier_dispatches d'))
+  assert.deepEqual(loaded.map((call) => call.params[0]), [1])
+  const states = conn.calls.filter((call) => call.sql.includes('SET delivery_status = ?'))
+  assert.deepEqual(states.map((call) => [call.params.at(-1), call.params[0]]), [[1, 'skipped']])
+})
+
+test('retry requeues failed dispatches, and skipped ones only by explicit id', async () => {
+  const calls = []
+  const conn = {
+    async execute(sql, params) {
+      calls.push({ sql, params })
+      if (sql.startsWith('SELECT')) return [[{ id: 4 }]]
+      return [{ affectedRows: 1 }]
+    },
+  }
+
+  assert.deepEqual(await retryRfqDispatches(conn, 3), [4])
+  assert.deepEqual(calls[0].params, [3, 'failed'])
+  assert.match(calls[1].sql, /SET delivery_status = 'pending'/)
+
+  calls.length = 0
+  await retryRfqDispatches(conn, 3, { dispatchIds: [4] })
+  assert.deepEqual(calls[0].params, [3, 'failed', 'skipped', 4])
+})
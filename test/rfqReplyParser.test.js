@@ -0,0 +1,113 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const ExcelJS = require('exceljs')
+const nodemailer = require('nodemailer')
+
+const {
+  extractWorkbookFromEml,
+  mapReplyRowsToRfqItems,
+  parseRfqReplyWorkbook,
+} = require('../utils/rfqReplyParser')
+const { RFQ_SHEET_COLUMNS, rfqSheetHeader } = require('../utils/rfqSheetLayout')
+
+const dataRow = (values) => RFQ_SHEET_COLUMNS.map(({ key }) => values[key] ?? '')
+
+async function buildReplyWorkbook(lang, rows) {
+  const workbook = new ExcelJS.Workbook()
+  const sheet = workbook.addWorksheet('RFQ')
+  sheet.addRow(['RFQ', 'RFQ-1001'])
+  sheet.addRow([lang === 'en' ? 'Revision' : 'Ревизия', 2])
+  sheet.addRow([lang === 'en' ? 'Supplier' : 'Поставщик', 'ACME Mining'])
+  sheet.addRow([])
+  sheet.addRow(['note'])
+  sheet.addRow([])
+  sheet.addRow(rfqSheetHeader(lang))
+  rows.forEach((row) => sheet.addRow(dataRow(row)))
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}
+
+test('reply workbook header and rows are recognised in both languages', async () => {
+  for (const lang of ['ru', 'en']) {
+    const buffer = await buildReplyWorkbook(lang, [
+      { line: 1, cat_number: 'A-1', price: 10.5, currency: 'EUR', selection_key: 'demand:11', rfq_item_id: 11 },
+      { line: 2, cat_number: 'A-2', rfq_item_id: 12 },
+    ])
+    const parsed = parseRfqReplyWorkbook(buffer)
+
+    assert.equal(parsed.header.rfq_number, 'RFQ-1001')
+    assert.equal(parsed.header.supplier_name, 'ACME Mining')
+    assert.equal(parsed.header.lang, lang)
+    assert.equal(parsed.layout, 'current')
+    assert.equal(parsed.rows.length, 2)
+    assert.equal(parsed.rows[0].rfq_item_id, 11)
+    assert.equal(parsed.rows[0].price, 10.5)
+    assert.equal(parsed.rows[0].answered, true)
+    assert.equal(parsed.rows[1].answered, false)
+  }
+})
+
+test('rows are mapped to rfq items and unmatched rows are flagged', async () => {
+  const buffer = await buildReplyWorkbook('ru', [
+    { line: 1, cat_number: 'A-1', price: 10, currency: 'EUR', rfq_item_id: 11 },
+    { line: 2, cat_number: 'B 200', price: 20, currency: 'USD' },
+    { line: 3, cat_number: 'C-3', price: 30, currency: 'USD', selection_key: 'bom:13:77', rfq_item_id: 13 },
+    { line: 4, cat_number: 'ZZZ', price: 40, currency: 'USD' },
+    { line: 5, cat_number: 'A-5', price: 50, currency: 'USD', rfq_item_id: 999 },
+  ])
+  const parsed = parseRfqReplyWorkbook(buffer)
+  const mapped = mapReplyRowsToRfqItems(parsed.rows, {
+    activeItems: [
+      { id: 11, line_number: 1 },
+      { id: 12, line_number: 2 },
+      { id: 13, line_number: 3 },
+    ],
+    structureRows: [{ rfq_item_id: 12, selection_key: 'demand:12', label: 'B-200' }],
+    selectionKeys: new Set(),
+  })
+
+  assert.deepEqual(
+    mapped.rows.map((row) => [row.rfq_item_id, row.matched_by, row.selection_key]),
+    [
+      [11, 'rfq_item_id', undefined],
+      [12, 'cat_number', undefined],
+    ]
+  )
+  assert.deepEqual(
+    mapped.unmatched.map((row) => row.sheet_row),
+    [10, 11, 12]
+  )
+})
+
+test('files generated before the column fix are read with the legacy layout', async () => {
+  const legacy = dataRow({ line: 1, cat_number: 'A-1', price: 5, currency: 'EUR' })
+  const noteIndex = RFQ_SHEET_COLUMNS.findIndex((col) => col.key === 'note')
+  legacy.splice(noteIndex, 3, 'demand:11', '11', '')
+  const workbook = new ExcelJS.Workbook()
+  const sheet = workbook.addWorksheet('RFQ')
+  sheet.addRow(['RFQ', 'RFQ-1001'])
+  sheet.addRow(rfqSheetHeader('ru'))
+  sheet.addRow(legacy)
+
+  const parsed = parseRfqReplyWorkbook(Buffer.from(await workbook.xlsx.writeBuffer()))
+  assert.equal(parsed.layout, 'legacy')
+  assert.equal(parsed.rows[0].rfq_item_id, 11)
+  assert.equal(parsed.rows[0].selection_key, 'demand:11')
+  assert.equal(parsed.rows[0].note, null)
+})
+
+test('the workbook is extracted from an .eml reply', async () => {
+  const xlsx = await buildReplyWorkbook('en', [])
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true })
+  const { message } = await transporter.sendMail({
+    from: 'sales@acme.example',
+    to: 'rfq@example.com',
+    subject: 'Re: RFQ-1001',
+    text: 'Our offer attached',
+    attachments: [{ filename: 'rfq_1001_reply.xlsx', content: xlsx }],
+  })
+
+  const extracted = await extractWorkbookFromEml(message)
+  assert.equal(extracted.from, 'sales@acme.example')
+  assert.equal(extracted.fileName, 'rfq_1001_reply.xlsx')
+  assert.equal(parseRfqReplyWorkbook(extracted.buffer).header.rfq_number, 'RFQ-1001')
+})
@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { scoreLineCandidates } = require('../utils/rfqSupplierRanking')
+
+test('supplier ranking scores candidates relative to the best price and lead time with reasons', () => {
+  const ranked = scoreLineCandidates([
+    {
+      supplier_id: 2,
+      supplier_name: 'Beta',
+      linked_parts: [],
+      quotes_count: 3,
+      price_source: 'RFQ_RESPONSE',
+      unit_price: 200,
+      price_currency: 'EUR',
+      unit_price_base: 200,
+      lead_time_days: 60,
+      stats: { rfq_invited: 4, rfq_responded: 2, complaints_count: 1, complaint_severity_sum: 5, has_activity: true },
+    },
+    {
+      supplier_id: 1,
+      supplier_name: 'Alpha',
+      linked_parts: [{ supplier_part_id: 10, supplier_part_number: 'A-10', confidence: null }],
+      price_list: { price_list_id: 7, list_code: 'PL-2026' },
+      price_source: 'PRICE_LIST',
+      unit_price: 100,
+      price_currency: 'EUR',
+      unit_price_base: 100,
+      lead_time_days: 30,
+      stats: { rfq_invited: 2, rfq_responded: 2, has_activity: true },
+    },
+    { supplier_id: 3, supplier_name: 'Gamma', linked_parts: [], stats: {} },
+  ])
+
+  assert.deepEqual(
+    ranked.map((row) => [row.supplier_id, row.rank, row.score]),
+    [
+      [1, 1, 100],
+      [2, 2, 30],
+      [3, 3, 0],
+    ]
+  )
+  const beta = ranked[1]
+  const points = Object.fromEntries(beta.reasons.map((reason) => [reason.code, reason.points]))
+  assert.deepEqual(points, {
+    catalog_link: 0,
+    price: 12.5,
+    quote_history: 0,
+    price_list: 0,
+    response_rate: 7.5,
+    lead_time: 5,
+    quality: 5,
+  })
+  assert.match(beta.reasons.find((reason) => reason.code === 'price').text, /выше лучшей на 100%/)
+  assert.equal(ranked[2].reasons.find((reason) => reason.code === 'quality').text, 'Нет истории работы за период')
+})
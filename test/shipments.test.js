@@ -0,0 +1,86 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { deriveShipmentProgress, compareTransit } = require('../utils/shipments')
+
+test('shipment status follows the furthest milestone, exceptions do not move it', () => {
+  const progress = deriveShipmentProgress([
+    { milestone: 'picked_up', occurred_at: '2026-10-01T10:00:00Z' },
+    { milestone: 'at_port', occurred_at: '2026-10-05T10:00:00Z' },
+    { milestone: 'in_transit', occurred_at: '2026-10-03T10:00:00Z' },
+    { milestone: 'exception', occurred_at: '2026-10-06T10:00:00Z' },
+  ])
+  assert.equal(progress.status, 'at_port')
+  assert.equal(progress.picked_up_at.toISOString(), '2026-10-01T10:00:00.000Z')
+  assert.equal(progress.delivered_at, null)
+
+  assert.equal(deriveShipmentProgress([{ milestone: 'exception', occurred_at: '2026-10-06' }]).status, 'planned')
+})
+
+test('transit is compared with the route ETA window', () => {
+  const pickedUpAt = '2026-10-01T00:00:00Z'
+  const eta = { etaMinDays: 10, etaMaxDays: 14 }
+
+  assert.equal(compareTransit({ ...eta }).transit_status, 'not_started')
+
+  const onTime = compareTransit({ ...eta, pickedUpAt, deliveredAt: '2026-10-13T00:00:00Z' })
+  assert.equal(onTime.transit_days, 12)
+  assert.equal(onTime.transit_status, 'on_time')
+  assert.equal(onTime.deviation_days, 0)
+
+  const late = compareTransit({ ...eta, pickedUpAt, deliveredAt: '2026-10-18T00:00:00Z' })
+  assert.equal(late.transit_status, 'late')
+  assert.equal(late.deviation_days, 3)
+
+  const early = compareTransit({ ...eta, pickedUpAt, deliveredAt: '2026-10-08T00:00:00Z' })
+  assert.equal(early.transit_status, 'early')
+  assert.equal(early.deviation_days, -3)
+
+  const overdue = compareTransit({ ...eta, pickedUpAt, asOf: '2026-10-19T00:00:00Z' })
+  assert.equal(overdue.transit_status, 'overdue')
+  assert.equal(overdue.deviation_days, 4)
+  assert.equal(overdue.expected_delivery_to.toISOString(), '2026-10-15T00:00:00.000Z')
+})
+
+test('POST /shipments/:id/receipt requires warehouse access and the purchase order capability', async (t) => {
+  const db = require('../utils/db')
+  const shipmentsRouter = require('../routes/shipments')
+  const execute = db.execute
+  t.after(() => {
+    db.execute = execute
+  })
+  const warn = console.warn
+  console.warn = () => {}
+  t.after(() => {
+    console.warn = warn
+  })
+
+  const layer = shipmentsRouter.stack.find((item) => item.route?.path === '/:id/receipt')
+  const [warehouseGuard, capabilityGuard] = layer.route.stack.map((item) => item.handle)
+  const run = async (guard, user) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json() {
+        return this
+      },
+    }
+    let passed = false
+    await guard({ method: 'POST', user }, res, () => {
+      passed = true
+    })
+    return passed || res.statusCode
+  }
+
+  db.execute = async (sql, params) => [params.includes('/warehouse') && params[0] === 5 ? [{ 1: 1 }] : []]
+  const buyer = { id: 2, role_id: 4, capabilities: ['workflow.purchase_orders.manage'] }
+  const storekeeper = { id: 3, role_id: 5, capabilities: [] }
+
+  assert.equal(await run(warehouseGuard, buyer), 403)
+  assert.equal(await run(warehouseGuard, storekeeper), true)
+  assert.equal(await run(capabilityGuard, storekeeper), 403)
+  assert.equal(await run(capabilityGuard, buyer), true)
+})
@@ -0,0 +1,50 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { evaluateInvoiceLine, summarizeInvoiceMatch } = require('../utils/supplierInvoices')
+
+const tolerances = { price_pct: 2, qty_pct: 0 }
+
+test('invoice line within tolerances matches PO price and received quantity', () => {
+  const result = evaluateInvoiceLine(
+    { quantity: 10, unit_price: 101.5, amount: 1015 },
+    { po_qty: 10, po_unit_price: 100, po_currency: 'EUR', received_qty: 10, invoiced_qty_other: 0 },
+    { invoiceCurrency: 'eur', tolerances }
+  )
+  assert.equal(result.match_status, 'matched')
+  assert.equal(result.price_variance_pct, 1.5)
+  assert.equal(result.qty_variance, 0)
+  assert.deepEqual(result.issues, [])
+})
+
+test('variances beyond tolerances are flagged against PO and receipts', () => {
+  const result = evaluateInvoiceLine(
+    { quantity: 6, unit_price: 105 },
+    { po_qty: 10, po_unit_price: 100, po_currency: 'EUR', received_qty: 8, invoiced_qty_other: 5 },
+    { invoiceCurrency: 'EUR', tolerances }
+  )
+  assert.equal(result.match_status, 'variance')
+  assert.deepEqual(result.issues, ['price_variance', 'qty_exceeds_ordered', 'qty_exceeds_received'])
+  assert.equal(result.qty_variance, 3)
+
+  const otherCurrency = evaluateInvoiceLine(
+    { quantity: 1, unit_price: 90 },
+    { po_qty: 1, po_unit_price: 100, po_currency: 'USD', received_qty: 1 },
+    { invoiceCurrency: 'EUR', tolerances }
+  )
+  assert.deepEqual(otherCurrency.issues, ['currency_mismatch'])
+  assert.equal(otherCurrency.price_variance_pct, null)
+})
+
+test('invoice is disputed when any line varies or the stated total differs', () => {
+  const matched = [{ amount: 500, match_status: 'matched' }, { amount: 250, match_status: 'matched' }]
+  assert.equal(summarizeInvoiceMatch(matched, { totalAmount: 750 }).status, 'matched')
+
+  const totalOff = summarizeInvoiceMatch(matched, { totalAmount: 800 })
+  assert.equal(totalOff.status, 'disputed')
+  assert.deepEqual(totalOff.issues, ['total_mismatch'])
+
+  const variance = summarizeInvoiceMatch([...matched, { amount: 10, match_status: 'variance' }])
+  assert.equal(variance.status, 'disputed')
+  assert.equal(variance.variance_lines, 1)
+})
@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { diffPriceListLines, latestValidPriceJoinSql } = require('../utils/supplierPriceLists')
+
+test('price list activation diff reports added, removed and repriced parts', () => {
+  const diff = diffPriceListLines(
+    [
+      { matched_supplier_part_id: 1, supplier_part_number: 'A-1', price: '100.00', currency: 'EUR' },
+      { matched_supplier_part_id: 2, supplier_part_number: 'A-2', price: '50.00', currency: 'EUR' },
+      { matched_supplier_part_id: 3, supplier_part_number: 'A-3', price: '10.00', currency: 'EUR' },
+    ],
+    [
+      { matched_supplier_part_id: 1, supplier_part_number: 'A-1', price: '110.00', currency: 'EUR' },
+      { matched_supplier_part_id: 3, supplier_part_number: 'A-3', price: '10.00', currency: 'EUR' },
+      { matched_supplier_part_id: 4, supplier_part_number: 'A-4', price: '7.50', currency: 'EUR' },
+    ]
+  )
+
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, repriced: 1, unchanged: 1 })
+  assert.equal(diff.added[0].supplier_part_id, 4)
+  assert.equal(diff.removed[0].supplier_part_number, 'A-2')
+  assert.deepEqual(
+    [diff.repriced[0].old_price, diff.repriced[0].price, diff.repriced[0].change_pct],
+    [100, 110, 10]
+  )
+})
+
+test('latest valid price join takes the as-of date as its only parameter', () => {
+  const sql = latestValidPriceJoinSql({ alias: 'lp', partIdExpr: 'sp.id' })
+  assert.equal((sql.match(/\?/g) || []).length, 1)
+  assert.match(sql, /\) lp ON lp\.supplier_part_id = sp\.id/)
+})
+
+test('warehouse supplier part search binds the price date between the link and filter params', async (t) => {
+  const db = require('../utils/db')
+  const warehouseRouter = require('../routes/warehouse')
+  const execute = db.execute
+  t.after(() => {
+    db.execute = execute
+  })
+  const calls = []
+  db.execute = async (sql, params) => {
+    calls.push({ sql, params })
+    return [[]]
+  }
+
+  const layer = warehouseRouter.stack.find((item) => item.route?.path === '/supplier-parts' && item.route.methods.get)
+  const res = { json: (payload) => (res.payload = payload) }
+  await layer.route.stack.at(-1).handle({ query: { catalog_position_id: '9', q: 'ab' } }, res)
+
+  const [{ sql, params }] = calls
+  assert.match(sql, /spll0\.valid_from/)
+  assert.equal((sql.match(/\?/g) || []).length, params.length)
+  assert.equal(params[0], 9)
+  assert.ok(params[1] instanceof Date)
+  assert.deepEqual(params.slice(2), [9, '%ab%', '%ab%', '%ab%', '%ab%', '%ab%', '%ab%', '%ab%'])
+})
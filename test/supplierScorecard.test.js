@@ -0,0 +1,54 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const {
+  computeSupplierEvaluations,
+  computeWeightedTotal,
+  scoreAutoMetric,
+  summarizePoLines,
+} = require('../utils/supplierScorecard')
+
+test('weighted total ignores criteria without a score', () => {
+  const total = computeWeightedTotal([
+    { score: 80, weight: 2 },
+    { score: 50, weight: 1 },
+    { score: null, weight: 3 },
+  ])
+  assert.deepEqual(total, { total_score: 70, scored_weight: 3, total_weight: 6 })
+  assert.equal(computeWeightedTotal([{ score: null, weight: 1 }]).total_score, null)
+})
+
+test('auto metrics return null without data and scale to 0..100', () => {
+  assert.equal(scoreAutoMetric('rfq_response_rate', { rfq_invited: 0 }), null)
+  assert.equal(scoreAutoMetric('quality_complaints', {}), null)
+  assert.equal(scoreAutoMetric('quality_complaints', { has_activity: true }).score, 100)
+  assert.equal(scoreAutoMetric('quality_rating', { avg_processing_rating: 4 }).score, 75)
+  assert.equal(scoreAutoMetric('rfq_response_rate', { rfq_invited: 4, rfq_responded: 3 }).score, 75)
+  assert.equal(scoreAutoMetric('rfq_response_speed', { rfq_avg_response_hours: 12 }).score, 100)
+  assert.equal(scoreAutoMetric('rfq_response_speed', { rfq_avg_response_hours: 132 }).score, 50)
+  assert.equal(scoreAutoMetric('unknown_metric', { rfq_invited: 1 }), null)
+})
+
+test('PO on-time share counts late and undelivered lines due in the period', () => {
+  const summary = summarizePoLines(
+    [
+      { due_date: '2026-09-10', qty: 5, received_qty: 5, completed_at: '2026-09-09' },
+      { due_date: '2026-09-12', qty: 5, received_qty: 5, completed_at: '2026-09-15' },
+      { due_date: '2026-09-20', qty: 5, received_qty: 2, completed_at: '2026-09-18' },
+      { due_date: '2026-10-05', qty: 1, received_qty: 0, completed_at: null },
+    ],
+    { periodStart: '2026-09-01', periodEnd: '2026-09-30', today: '2026-09-25' }
+  )
+  assert.equal(summary.po_lines_due, 3)
+  assert.equal(summary.po_lines_on_time, 1)
+  assert.equal(summary.po_avg_late_days, 4)
+  assert.equal(scoreAutoMetric('po_on_time', summary).score, 33.33)
+})
+
+test('computing a template without criteria is a 400 error', async () => {
+  const conn = { execute: async () => [[]] }
+  await assert.rejects(
+    computeSupplierEvaluations(conn, { templateId: 1, periodStart: '2026-01-01', periodEnd: '2026-03-31' }),
+    (err) => err instanceof Error && err.statusCode === 400 && err.status === undefined
+  )
+})
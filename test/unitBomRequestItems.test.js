@@ -0,0 +1,60 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { explodeBom } = require('../utils/bomExplosion')
+const { buildRequestLine, selectBomRows } = require('../utils/unitBomRequestItems')
+
+const items = [
+  { id: 1, parent_item_id: null, manufacturer_part_number: 'ASM-1', quantity: 2, sort_order: 1 },
+  { id: 2, parent_item_id: 1, manufacturer_part_number: 'LINER', catalog_position_id: 10, drawing_number: 'DR-2', quantity: 3, sort_order: 1 },
+  { id: 3, parent_item_id: 1, manufacturer_part_number: 'BOLT', catalog_position_id: 11, quantity: 8, sort_order: 2 },
+  { id: 4, parent_item_id: null, manufacturer_part_number: 'MANTLE', catalog_position_id: 12, quantity: 1, sort_order: 2 },
+]
+
+test('assembly selection expands to leaves with extended quantities and skips excluded rows', () => {
+  const overrides = new Map([[3, { status: 'not_applicable' }]])
+  const exploded = explodeBom(items, { overrides })
+  const result = selectBomRows(exploded, {
+    assemblyItemIds: [1],
+    items: [{ bom_item_id: 3 }, { bom_item_id: 4, quantity: 5 }, { bom_item_id: 99 }],
+    sets: 2,
+    modelItemIds: new Set([1, 2, 3, 4]),
+  })
+
+  assert.deepEqual(
+    result.selected.map(({ row, quantity, source }) => [row.bom_item_id, quantity, source]),
+    [
+      [2, 12, 'assembly'],
+      [4, 5, 'item'],
+    ]
+  )
+  assert.deepEqual(result.skipped.map((entry) => [entry.bom_item_id, entry.reason]), [[3, 'not_applicable']])
+  assert.deepEqual(result.unknown_item_ids, [99])
+})
+
+test('request line takes client part number and drawing from the unit override', () => {
+  const overrides = new Map([[2, { status: 'replaced', replacement_catalog_position_id: 20, client_drawing_number: 'CL-DR-7' }]])
+  const [entry] = selectBomRows(explodeBom(items, { overrides }), { items: [{ bom_item_id: 2 }] }).selected
+  const line = buildRequestLine(entry, {
+    unit: { id: 5, equipment_model_id: 7, internal_name: 'КСД-1' },
+    override: { client_part_number: 'CL-100', client_drawing_number: 'CL-DR-7' },
+    catalog: { display_name: 'Броня конуса', uom: 'шт', drawing_number: 'CAT-DR' },
+  })
+
+  assert.equal(line.catalog_position_id, 20)
+  assert.equal(line.client_part_number, 'CL-100')
+  assert.equal(line.client_drawing_number, 'CL-DR-7')
+  assert.equal(line.client_description, 'Броня конуса')
+  assert.equal(line.requested_qty, 6)
+  assert.equal(line.equipment_model_id, 7)
+  assert.equal(line.internal_comment, 'Из BOM машины КСД-1: ASM-1 / LINER')
+})
+
+test('replaced row does not inherit the model drawing number', () => {
+  const overrides = new Map([[2, { status: 'replaced', replacement_catalog_position_id: 20 }]])
+  const [entry] = selectBomRows(explodeBom(items, { overrides }), { items: [{ bom_item_id: 2 }] }).selected
+  const line = buildRequestLine(entry, { unit: { id: 5 }, catalog: { drawing_number: 'CAT-DR' } })
+
+  assert.equal(line.client_drawing_number, 'CAT-DR')
+  assert.equal(line.client_part_number, 'LINER')
+})
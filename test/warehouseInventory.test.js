@@ -0,0 +1,213 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const db = require('../utils/db')
+const warehouseRouter = require('../routes/warehouse')
+
+// Склад в памяти: документ инвентаризации, его строки, остатки по движениям и партии.
+const inventoryStore = ({ doc, lines = [], stock = {}, layers = [], balance = { qty: 0, value: 0 } }) => {
+  const state = {
+    doc: { ...doc },
+    lines: lines.map((line) => ({ ...line })),
+    stock,
+    layers: layers.map((layer) => ({ ...layer })),
+    movements: [],
+    consumptions: [],
+    committed: false,
+  }
+  const stockKey = (partId, placeId) => `${partId}|${placeId || 0}`
+  state.execute = async (sql, params = []) => {
+    if (sql.includes('FROM warehouse_documents WHERE id = ?')) return [[state.doc]]
+    if (sql.includes("SET status = 'posted'")) {
+      state.doc.status = 'posted'
+      return [{}]
+    }
+    if (sql.includes('GROUP BY m.supplier_part_id, m.storage_place_id')) {
+      const rows = Object.entries(state.stock)
+        .map(([key, value]) => {
+          const [supplier_part_id, storage_place_id] = key.split('|').map(Number)
+          return { supplier_part_id, storage_place_id: storage_place_id || null, catalog_position_id: null, actual_qty: value.actual }
+        })
+        .filter((row) => row.actual_qty !== 0)
+      return [rows]
+    }
+    if (sql.includes('FROM warehouse_document_lines WHERE document_id = ?')) return [state.lines.map((line) => ({ ...line }))]
+    if (sql.includes('UPDATE warehouse_document_lines SET expected_qty = ?')) {
+      state.lines.find((line) => line.id === params[1]).expected_qty = params[0]
+      return [{}]
+    }
+    if (sql.includes('UPDATE warehouse_document_lines SET expected_qty = 0')) {
+      state.lines.find((line) => line.id === params[0]).expected_qty = 0
+      return [{}]
+    }
+    if (sql.includes('INSERT INTO warehouse_document_lines')) {
+      const line = { id: 100 + state.lines.length, supplier_part_id: params[1], storage_place_id: params[3], expected_qty: params[4], counted_qty: null }
+      state.lines.push(line)
+      return [{ insertId: line.id }]
+    }
+    if (sql.includes('DELETE FROM warehouse_document_lines')) {
+      state.lines = state.lines.filter((line) => line.id !== params[0])
+      return [{}]
+    }
+    if (sql.includes('FROM warehouse_locations')) return [[{ id: params[0] }]]
+    if (sql.includes('FROM supplier_parts sp')) return [[{ id: params[0], supplier_part_number: `SP-${params[0]}` }]]
+    if (sql.includes('FROM supplier_part_catalog_positions')) return [[]]
+    if (sql.includes('AS actual_qty') && sql.includes('storage_place_id <=> ?')) {
+      const value = state.stock[stockKey(params[2], params[1])] || { actual: 0, reserved: 0 }
+      return [[{ actual_qty: value.actual, reserved_qty: value.reserved || 0 }]]
+    }
+    if (sql.includes('SUM(remaining_qty), 0) AS qty')) return [[{ qty: balance.qty }]]
+    if (sql.includes('SUM(cost_amount), 0) AS value')) return [[{ value: balance.value }]]
+    if (sql.includes('AND remaining_qty > 0')) {
+      return [state.layers.filter((layer) => layer.supplier_part_id === params[0] && layer.remaining_qty > 0)]
+    }
+    if (sql.includes('SET remaining_qty = remaining_qty - ?')) {
+      state.layers.find((layer) => layer.id === params[1]).remaining_qty -= params[0]
+      return [{}]
+    }
+    if (sql.includes('INSERT INTO warehouse_stock_movements')) {
+      const [, lineId, supplierPartId, , , , movementType, quantityDelta, , costedQty, unitCost, costAmount] = params
+      state.movements.push({ lineId, supplierPartId, movementType, quantityDelta, costedQty, unitCost, costAmount })
+      return [{ insertId: 700 + state.movements.length }]
+    }
+    if (sql.includes('INSERT INTO warehouse_cost_layers')) {
+      state.layers.push({ id: 900 + state.layers.length, supplier_part_id: params[0], movement_id: params[2], unit_cost: params[3], remaining_qty: params[6] })
+      return [{}]
+    }
+    if (sql.includes('INSERT INTO warehouse_cost_layer_consumptions')) {
+      state.consumptions.push({ layer_id: params[0], movement_id: params[1], quantity: params[2] })
+      return [{}]
+    }
+    throw new Error(`unexpected SQL: ${sql}`)
+  }
+  return state
+}
+
+const useStore = (t, options) => {
+  const store = inventoryStore(options)
+  const { getConnection } = db
+  t.after(() => {
+    db.getConnection = getConnection
+  })
+  db.getConnection = async () => ({
+    execute: (sql, params) => store.execute(sql, params),
+    beginTransaction: async () => {},
+    commit: async () => {
+      store.committed = true
+    },
+    rollback: async () => {},
+    release: () => {},
+  })
+  return store
+}
+
+const callRoute = async (path, id) => {
+  const layer = warehouseRouter.stack.find((item) => item.route?.path === path && item.route.methods.post)
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(payload) {
+      this.payload = payload
+      return this
+    },
+  }
+  await layer.route.stack[0].handle({ params: { id: String(id) }, body: {}, user: { id: 3 } }, res)
+  return res
+}
+
+const draftCount = { id: 50, doc_type: 'inventory_count', status: 'draft', warehouse_id: 2, document_date: '2026-10-19 10:00:00' }
+
+test('inventory snapshot refreshes expected quantities and keeps entered counts', async (t) => {
+  const store = useStore(t, {
+    doc: draftCount,
+    stock: { '7|9': { actual: 5 }, '8|9': { actual: 3 } },
+    lines: [
+      { id: 1, supplier_part_id: 7, storage_place_id: 9, expected_qty: 4, counted_qty: 6, is_unexpected: 0 },
+      { id: 2, supplier_part_id: 9, storage_place_id: 9, expected_qty: 1, counted_qty: null, is_unexpected: 0 },
+      { id: 3, supplier_part_id: 10, storage_place_id: 9, expected_qty: 0, counted_qty: 2, is_unexpected: 1 },
+    ],
+  })
+
+  const res = await callRoute('/documents/:id/snapshot', 50)
+  assert.equal(res.statusCode, 200)
+  assert.deepEqual(res.payload, { ok: true, positions: 2 })
+  assert.deepEqual(
+    store.lines.map((line) => [line.supplier_part_id, line.expected_qty, line.counted_qty]),
+    [
+      [7, 5, 6],
+      [10, 0, 2],
+      [8, 3, null],
+    ]
+  )
+})
+
+test('posting an inventory count writes surplus and shortage adjustments with cost', async (t) => {
+  const store = useStore(t, {
+    doc: draftCount,
+    stock: { '7|9': { actual: 5 }, '8|9': { actual: 4 }, '11|9': { actual: 2 } },
+    lines: [
+      { id: 1, supplier_part_id: 7, storage_place_id: 9, expected_qty: 5, counted_qty: 7 },
+      { id: 2, supplier_part_id: 8, storage_place_id: 9, expected_qty: 4, counted_qty: 1 },
+      { id: 3, supplier_part_id: 11, storage_place_id: 9, expected_qty: 2, counted_qty: 2 },
+    ],
+    layers: [{ id: 1, supplier_part_id: 8, unit_cost: 12, remaining_qty: 4, received_at: '2026-01-01' }],
+    balance: { qty: 5, value: 50 },
+  })
+
+  const res = await callRoute('/documents/:id/post', 50)
+  assert.equal(res.statusCode, 200)
+  assert.equal(store.committed, true)
+  assert.equal(store.doc.status, 'posted')
+
+  assert.deepEqual(store.movements, [
+    // излишек — по средней цене учтённого остатка (50 / 5)
+    { lineId: 1, supplierPartId: 7, movementType: 'inventory_adjustment', quantityDelta: 2, costedQty: 2, unitCost: 10, costAmount: 20 },
+    // недостача — расход партий по FIFO
+    { lineId: 2, supplierPartId: 8, movementType: 'inventory_adjustment', quantityDelta: -3, costedQty: -3, unitCost: 12, costAmount: -36 },
+  ])
+  assert.deepEqual(
+    store.layers.map((layer) => [layer.supplier_part_id, layer.remaining_qty]),
+    [
+      [8, 1],
+      [7, 2],
+    ]
+  )
+  assert.deepEqual(store.consumptions, [{ layer_id: 1, movement_id: 702, quantity: 3 }])
+})
+
+test('inventory count is not posted with missing counts or a stale snapshot', async (t) => {
+  const uncounted = useStore(t, {
+    doc: draftCount,
+    lines: [{ id: 1, supplier_part_id: 7, storage_place_id: 9, expected_qty: 5, counted_qty: null }],
+  })
+  const missing = await callRoute('/documents/:id/post', 50)
+  assert.equal(missing.statusCode, 400)
+  assert.match(missing.payload.message, /Не введён факт по 1/)
+  assert.equal(uncounted.movements.length, 0)
+
+  const stale = useStore(t, {
+    doc: draftCount,
+    stock: { '7|9': { actual: 6 } },
+    lines: [{ id: 1, supplier_part_id: 7, storage_place_id: 9, expected_qty: 5, counted_qty: 4 }],
+  })
+  const changed = await callRoute('/documents/:id/post', 50)
+  assert.equal(changed.statusCode, 409)
+  assert.match(changed.payload.message, /Остаток изменился после снимка: SP-7/)
+  assert.equal(stale.movements.length, 0)
+  assert.equal(stale.doc.status, 'draft')
+})
+
+test('a shortage below the reserved quantity is rejected', async (t) => {
+  const store = useStore(t, {
+    doc: draftCount,
+    stock: { '7|9': { actual: 5, reserved: 3 } },
+    lines: [{ id: 1, supplier_part_id: 7, storage_place_id: 9, expected_qty: 5, counted_qty: 2 }],
+  })
+  const res = await callRoute('/documents/:id/post', 50)
+  assert.equal(res.statusCode, 409)
+  assert.match(res.payload.message, /факт меньше резерва/)
+  assert.equal(store.committed, false)
+})
@@ -0,0 +1,261 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const db = require('../utils/db')
+const { allocateFifo, allocateMovingAverage, reverseMovementCost } = require('../utils/warehouseValuation')
+const warehouseRouter = require('../routes/warehouse')
+
+test('FIFO issue consumes the oldest layers first', () => {
+  const result = allocateFifo(
+    [
+      { id: 1, remaining_qty: 2, unit_cost: 10 },
+      { id: 2, remaining_qty: 0, unit_cost: 99 },
+      { id: 3, remaining_qty: 5, unit_cost: 12 },
+    ],
+    4
+  )
+  assert.deepEqual(
+    result.chunks.map((chunk) => [chunk.layer_id, chunk.quantity]),
+    [
+      [1, 2],
+      [3, 2],
+    ]
+  )
+  assert.equal(result.costedQty, 4)
+  assert.equal(result.costAmount, 44)
+  assert.equal(result.shortfall, 0)
+})
+
+test('FIFO issue reports quantity not covered by cost layers', () => {
+  const result = allocateFifo([{ id: 1, remaining_qty: 1.5, unit_cost: 8 }], 4)
+  assert.equal(result.costedQty, 1.5)
+  assert.equal(result.costAmount, 12)
+  assert.equal(result.shortfall, 2.5)
+})
+
+test('moving average uses the book value of the costed balance', () => {
+  const partial = allocateMovingAverage({ qty: 3, value: 100 }, 1)
+  assert.equal(partial.unitCost, 33.333333)
+  assert.equal(partial.costAmount, 33.33)
+
+  const last = allocateMovingAverage({ qty: 2, value: 66.67 }, 2)
+  assert.equal(last.costAmount, 66.67)
+  assert.equal(last.shortfall, 0)
+
+  const empty = allocateMovingAverage({ qty: 0, value: 0 }, 2)
+  assert.equal(empty.costedQty, 0)
+  assert.equal(empty.shortfall, 2)
+})
+
+// Партии и расходы партий в памяти: ровно те запросы, что делает сторно.
+const layerStore = (layers, consumptions = []) => {
+  const state = { layers: layers.map((layer) => ({ ...layer })), consumptions: [...consumptions] }
+  const layer = (id) => state.layers.find((item) => item.id === id)
+  state.execute = async (sql, params = []) => {
+    if (/FROM warehouse_cost_layers\s+WHERE movement_id = \?/.test(sql)) {
+      return [state.layers.filter((item) => item.movement_id === params[0]).map((item) => ({ ...item }))]
+    }
+    if (sql.includes('SET remaining_qty = 0 WHERE movement_id = ?')) {
+      state.layers.filter((item) => item.movement_id === params[0]).forEach((item) => (item.remaining_qty = 0))
+      return [{}]
+    }
+    if (sql.includes('AND remaining_qty > 0')) {
+      return [state.layers.filter((item) => item.supplier_part_id === params[0] && item.warehouse_id === params[1] && item.remaining_qty > 0)]
+    }
+    if (sql.includes('SET remaining_qty = remaining_qty - ?')) {
+      layer(params[1]).remaining_qty -= params[0]
+      return [{}]
+    }
+    if (sql.includes('SET remaining_qty = remaining_qty + ?')) {
+      layer(params[1]).remaining_qty += Number(params[0])
+      return [{}]
+    }
+    if (sql.includes('FROM warehouse_cost_layer_consumptions WHERE movement_id = ?')) {
+      return [state.consumptions.filter((item) => item.movement_id === params[0])]
+    }
+    if (sql.includes('INSERT INTO warehouse_cost_layer_consumptions')) {
+      state.consumptions.push({ layer_id: params[0], movement_id: params[1], quantity: params[2], unit_cost: params[3] })
+      return [{}]
+    }
+    return null
+  }
+  return state
+}
+
+const receiptLayers = () => [
+  { id: 1, movement_id: 10, supplier_part_id: 7, warehouse_id: 2, unit_cost: 10, quantity: 5, remaining_qty: 2, received_at: '2026-01-01' },
+  { id: 2, movement_id: 20, supplier_part_id: 7, warehouse_id: 2, unit_cost: 12, quantity: 4, remaining_qty: 4, received_at: '2026-02-01' },
+]
+
+test('storno of an untouched receipt closes its layer and keeps the mirrored cost', async () => {
+  const store = layerStore(receiptLayers())
+  const reversal = await reverseMovementCost(store, { movementId: 20 })
+  assert.deepEqual(reversal, { cost: null, issue: null })
+  assert.equal(store.layers[1].remaining_qty, 0)
+  assert.equal(store.layers[0].remaining_qty, 2)
+})
+
+test('storno of a partly consumed FIFO receipt takes the consumed quantity from other layers', async () => {
+  const store = layerStore(receiptLayers())
+  const { cost, issue } = await reverseMovementCost(store, { movementId: 10 })
+
+  assert.deepEqual(
+    store.layers.map((item) => item.remaining_qty),
+    [0, 1]
+  )
+  assert.deepEqual(issue.chunks.map((chunk) => [chunk.layer_id, chunk.quantity]), [[2, 3]])
+  // 2 шт. остатка партии по 10 + 3 шт. из следующей партии по 12
+  assert.equal(cost.costed_qty, -5)
+  assert.equal(cost.cost_amount, -56)
+  assert.equal(cost.unit_cost, 11.2)
+  assert.equal(cost.cost_method, 'fifo')
+})
+
+test('storno of an issue restores the layers it consumed', async () => {
+  const store = layerStore(receiptLayers(), [{ layer_id: 1, movement_id: 30, quantity: 3, unit_cost: 10 }])
+  assert.deepEqual(await reverseMovementCost(store, { movementId: 30 }), { cost: null, issue: null })
+  assert.equal(store.layers[0].remaining_qty, 5)
+})
+
+const reverseHandler = () => {
+  const layer = warehouseRouter.stack.find((item) => item.route?.path === '/documents/:id/reverse')
+  return layer.route.stack[0].handle
+}
+
+const callReverse = async (id) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(payload) {
+      this.payload = payload
+      return this
+    },
+  }
+  await reverseHandler()({ params: { id: String(id) }, body: { reason: 'ошибка прихода' }, user: { id: 3 } }, res)
+  return res
+}
+
+const stubWarehouseDb = (t, { doc, movements = [], lines = [], layers = [], stock = { actual_qty: 0, reserved_qty: 0 } }) => {
+  const store = layerStore(layers)
+  const documents = new Map([[doc.id, { ...doc }]])
+  const inserted = { movements: [], lines: [] }
+  const conn = {
+    state: 'idle',
+    async beginTransaction() {
+      this.state = 'open'
+    },
+    async commit() {
+      this.state = 'committed'
+    },
+    async rollback() {
+      this.state = 'rolled_back'
+    },
+    release() {},
+    async execute(sql, params = []) {
+      const layerResult = await store.execute(sql, params)
+      if (layerResult) return layerResult
+      if (sql.includes('SELECT * FROM warehouse_documents WHERE id = ?')) return [[documents.get(params[0])].filter(Boolean)]
+      if (sql.includes('SELECT * FROM warehouse_stock_movements WHERE document_id = ?')) return [movements]
+      if (sql.includes('SUM(quantity_delta)')) return [[stock]]
+      if (sql.includes('INSERT INTO warehouse_documents')) {
+        documents.set(500, { id: 500, doc_type: 'storno', status: 'posted', document_date: params[0] })
+        return [{ insertId: 500 }]
+      }
+      if (sql.includes('SET document_no = ?')) {
+        documents.get(params[1]).document_no = params[0]
+        return [{}]
+      }
+      if (sql.includes('SELECT * FROM warehouse_document_lines')) return [lines]
+      if (sql.includes('INSERT INTO warehouse_document_lines')) {
+        inserted.lines.push(params)
+        return [{ insertId: 600 + inserted.lines.length }]
+      }
+      if (sql.includes('INSERT INTO warehouse_stock_movements')) {
+        inserted.movements.push(params)
+        return [{ insertId: 700 + inserted.movements.length }]
+      }
+      if (sql.includes("SET status = 'reversed'")) {
+        Object.assign(documents.get(params[3]), { status: 'reversed', reversed_by_document_id: params[0] })
+        return [{}]
+      }
+      throw new Error(`unexpected SQL: ${sql}`)
+    },
+  }
+  const { getConnection, execute } = db
+  t.after(() => {
+    db.getConnection = getConnection
+    db.execute = execute
+  })
+  db.getConnection = async () => conn
+  db.execute = (sql, params) => conn.execute(sql, params)
+  return { conn, store, documents, inserted }
+}
+
+test('POST /warehouse/documents/:id/reverse posts a storno for a partly consumed receipt', async (t) => {
+  const { conn, store, documents, inserted } = stubWarehouseDb(t, {
+    doc: { id: 40, doc_type: 'receipt', status: 'posted', document_no: 'ПР-000040', warehouse_id: 2 },
+    lines: [{ id: 41, supplier_part_id: 7, quantity: 5 }],
+    movements: [
+      {
+        id: 10,
+        document_line_id: 41,
+        supplier_part_id: 7,
+        warehouse_id: 2,
+        storage_place_id: 9,
+        movement_type: 'receipt',
+        quantity_delta: 5,
+        reserved_delta: 0,
+        costed_qty: 5,
+        unit_cost: 10,
+        cost_amount: 50,
+        cost_currency: 'RUB',
+        cost_method: null,
+      },
+    ],
+    layers: receiptLayers(),
+    stock: { actual_qty: 6, reserved_qty: 0 },
+  })
+
+  const res = await callReverse(40)
+
+  assert.equal(res.statusCode, 201)
+  assert.equal(conn.state, 'committed')
+  assert.equal(res.payload.storno.id, 500)
+  assert.equal(documents.get(40).status, 'reversed')
+  assert.equal(documents.get(40).reversed_by_document_id, 500)
+
+  const [movement] = inserted.movements
+  // quantity_delta, costed_qty, cost_amount, reversal_of_movement_id
+  assert.deepEqual([movement[7], movement[9], movement[11], movement[14]], [-5, -5, -56, 10])
+  assert.deepEqual(store.consumptions, [{ layer_id: 2, movement_id: 701, quantity: 3, unit_cost: 12 }])
+})
+
+test('POST /warehouse/documents/:id/reverse rejects drafts and storno documents', async (t) => {
+  stubWarehouseDb(t, { doc: { id: 41, doc_type: 'receipt', status: 'draft' } })
+  const draft = await callReverse(41)
+  assert.equal(draft.statusCode, 400)
+  assert.match(draft.payload.message, /только проведённый/)
+
+  stubWarehouseDb(t, { doc: { id: 42, doc_type: 'storno', status: 'posted' } })
+  assert.equal((await callReverse(42)).statusCode, 400)
+})
+
+test('POST /warehouse/documents/:id/reverse refuses to drive free stock negative', async (t) => {
+  const { conn } = stubWarehouseDb(t, {
+    doc: { id: 43, doc_type: 'receipt', status: 'posted', warehouse_id: 2 },
+    movements: [{ id: 11, supplier_part_id: 7, warehouse_id: 2, storage_place_id: 9, quantity_delta: 5, reserved_delta: 0 }],
+    stock: { actual_qty: 5, reserved_qty: 2 },
+  })
+  const warn = console.error
+  t.after(() => {
+    console.error = warn
+  })
+  console.error = () => {}
+
+  const res = await callReverse(43)
+  assert.equal(res.statusCode, 409)
+  assert.equal(conn.state, 'rolled_back')
+})
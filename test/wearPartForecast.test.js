@@ -0,0 +1,61 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+
+const { effectiveServiceLife, forecastWearItem, toDay } = require('../utils/wearPartForecast')
+
+test('wear part service life prefers unit override, then BOM item, then catalog card', () => {
+  const life = effectiveServiceLife({
+    override_service_life_hours: null,
+    service_life_hours: '1500.00',
+    override_service_life_tonnage: '90000',
+    service_life_tonnage: '120000',
+    catalog_meta_json: '{"service_life_hours": 2000}',
+  })
+  assert.deepEqual(life.hours, { value: 1500, source: 'bom_item' })
+  assert.deepEqual(life.tonnage, { value: 90000, source: 'unit_override' })
+
+  const fromCard = effectiveServiceLife({ catalog_meta_json: { service_life_hours: 2000 } })
+  assert.deepEqual(fromCard.hours, { value: 2000, source: 'catalog_position' })
+  assert.equal(fromCard.tonnage.value, null)
+})
+
+test('wear forecast counts usage from the last replacement at the recent reading rate', () => {
+  const asOfDay = toDay('2026-10-19')
+  const readings = [
+    { reading_date: '2026-06-01', operating_hours: 1000 },
+    { reading_date: '2026-10-01', operating_hours: 3440 },
+  ]
+  const overdue = forecastWearItem({
+    life: { hours: { value: 2000, source: 'bom_item' }, tonnage: { value: null, source: null } },
+    readings,
+    lastReplacement: { replacement_date: '2026-07-01', operating_hours_reading: null },
+    commissioningDate: '2026-01-01',
+    asOfDay,
+    horizonDay: asOfDay + 182,
+  })
+  assert.equal(overdue.status, 'overdue')
+  assert.equal(overdue.basis, 'last_replacement')
+  assert.equal(overdue.measures.hours.rate_per_day, 20)
+  assert.equal(overdue.measures.hours.used, 2200)
+  assert.equal(overdue.due_date, '2026-10-09')
+  assert.equal(overdue.replacements_in_horizon, 2)
+
+  const upcoming = forecastWearItem({
+    life: { hours: { value: 2000, source: 'bom_item' }, tonnage: { value: null, source: null } },
+    readings,
+    lastReplacement: { replacement_date: '2026-10-01', operating_hours_reading: 3440 },
+    asOfDay,
+    horizonDay: asOfDay + 90,
+  })
+  assert.equal(upcoming.status, 'due')
+  assert.equal(upcoming.measures.hours.remaining, 1640)
+  assert.equal(upcoming.due_date, '2027-01-09')
+
+  const noReadings = forecastWearItem({
+    life: { hours: { value: 2000, source: 'bom_item' }, tonnage: { value: null, source: null } },
+    readings: [],
+    asOfDay,
+    horizonDay: asOfDay + 60,
+  })
+  assert.equal(noReadings.status, 'no_data')
+})
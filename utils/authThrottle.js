@@ -0,0 +1,52 @@
+// utils/authThrottle.js
+// Ограничение частоты для публичных auth-операций (сброс пароля и т.п.).
+// Счётчики лежат в БД, а не в памяти: у Cloud Run несколько инстансов.
+
+const db = require('./db')
+
+const RETENTION_HOURS = 24
+
+/**
+ * Зафиксировать обращение и проверить лимит за окно.
+ * Обращение пишется всегда, в том числе сверх лимита — иначе перебор
+ * «с паузами» обнулял бы окно.
+ * @param {Object} options
+ * @param {string} options.scope - область ('password_reset_ip', 'password_reset_user', ...)
+ * @param {string|number} options.key - IP, id пользователя и т.п.
+ * @param {number} options.limit - допустимое число обращений в окне (включая текущее)
+ * @param {number} options.windowMinutes
+ * @returns {Promise<{allowed: boolean, count: number}>}
+ */
+async function hitThrottle({ scope, key, limit, windowMinutes }, conn = db) {
+  const throttleKey = String(key ?? '').trim().slice(0, 191)
+  if (!scope || !throttleKey) return { allowed: true, count: 0 }
+
+  await conn.execute(
+    'INSERT INTO auth_throttle_events (scope, throttle_key) VALUES (?, ?)',
+    [scope, throttleKey]
+  )
+  const [[row]] = await conn.execute(
+    `SELECT COUNT(*) AS cnt
+       FROM auth_throttle_events
+      WHERE scope = ?
+        AND throttle_key = ?
+        AND created_at >= NOW() - INTERVAL ? MINUTE`,
+    [scope, throttleKey, Number(windowMinutes) || 60]
+  )
+  const count = Number(row?.cnt || 0)
+
+  // Попутно чистим старые записи, чтобы таблица не росла бесконечно.
+  if (Math.random() < 0.05) {
+    conn
+      .execute('DELETE FROM auth_throttle_events WHERE created_at < NOW() - INTERVAL ? HOUR', [
+        RETENTION_HOURS,
+      ])
+      .catch((err) => console.warn('authThrottle cleanup skipped:', err.code || err.message))
+  }
+
+  return { allowed: count <= limit, count }
+}
+
+module.exports = {
+  hitThrottle,
+}
@@ -0,0 +1,330 @@
+// utils/bomExplosion.js
+// Многоуровневое разузлование BOM модели оборудования и обратный поиск
+// применяемости. Количество строки умножается на количества всех родительских
+// сборок. Для машины клиента применяются её отличия BOM: строка со статусом
+// not_applicable исключается вместе с поддеревом, replacement_catalog_position_id
+// и client_part_id подменяют позицию строки. Машина с закреплённой ревизией
+// BOM разузловывается по строкам этой ревизии.
+
+const { fetchUnitBomItems } = require('./bomRevisions')
+
+const round3 = (value) => Math.round(value * 1000) / 1000
+const toNumber = (value, fallback = 1) => {
+  const n = Number(value)
+  return Number.isFinite(n) && n > 0 ? n : fallback
+}
+const idOrNull = (value) => {
+  const n = Number(value)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+
+/**
+ * Разузлование одного BOM.
+ * @param {Object[]} items - строки equipment_model_bom_items одной модели
+ * @param {Object} [options]
+ * @param {Map<number, Object>} [options.overrides] - отличия машины по id строки BOM
+ * @returns {Object[]} строки в порядке обхода: level, path, extended_quantity, эффективная позиция
+ */
+function explodeBom(items, { overrides = new Map() } = {}) {
+  const list = Array.isArray(items) ? items : []
+  const ids = new Set(list.map((row) => Number(row.id)))
+  const children = new Map()
+  list.forEach((row) => {
+    const parentId = ids.has(Number(row.parent_item_id)) ? Number(row.parent_item_id) : 0
+    if (!children.has(parentId)) children.set(parentId, [])
+    children.get(parentId).push(row)
+  })
+  for (const group of children.values()) {
+    group.sort((a, b) => Number(a.sort_order || 0) - Number(b.sort_order || 0) || Number(a.id) - Number(b.id))
+  }
+
+  const result = []
+  const visited = new Set()
+  const walk = (parentId, level, multiplier, path) => {
+    for (const row of children.get(parentId) || []) {
+      const id = Number(row.id)
+      // защита от циклов в parent_item_id
+      if (visited.has(id)) continue
+      visited.add(id)
+      const override = overrides.get(id) || null
+      if (override?.status === 'not_applicable') continue
+
+      const quantity = toNumber(row.quantity)
+      const extended = round3(multiplier * quantity)
+      const originalCatalogId = idOrNull(row.catalog_position_id)
+      const replacementCatalogId = idOrNull(override?.replacement_catalog_position_id)
+      const overrideClientPartId = idOrNull(override?.client_part_id)
+      const clientPartId = overrideClientPartId || idOrNull(row.client_part_id)
+      // деталь клиента без замещающей позиции заменяет позицию модели целиком
+      const effectiveCatalogId = replacementCatalogId || (overrideClientPartId ? null : originalCatalogId)
+      const label = row.manufacturer_part_number || row.manufacturer_part_name || row.title || row.item_no || `#${id}`
+      const rowPath = [...path, label]
+      const hasChildren = (children.get(id) || []).length > 0
+
+      result.push({
+        bom_item_id: id,
+        parent_item_id: parentId || null,
+        level,
+        path: rowPath.join(' / '),
+        row_kind: row.row_kind || null,
+        is_leaf: !hasChildren,
+        item_no: row.item_no || null,
+        manufacturer_part_number: row.manufacturer_part_number || null,
+        drawing_number: row.drawing_number || null,
+        name: row.manufacturer_part_name_ru || row.manufacturer_part_name || row.title || null,
+        quantity,
+        extended_quantity: extended,
+        catalog_position_id: effectiveCatalogId,
+        original_catalog_position_id: originalCatalogId,
+        client_part_id: clientPartId,
+        override_status: override?.status || null,
+        replaced: effectiveCatalogId !== originalCatalogId,
+      })
+      walk(id, level + 1, extended, rowPath)
+    }
+  }
+  walk(0, 0, 1, [])
+  return result
+}
+
+/**
+ * Сводка разузлованного BOM по позициям: суммарное количество на машину.
+ * @param {Object[]} rows - результат explodeBom
+ * @param {Object} [options] - { leavesOnly } — только нижний уровень (без сборок)
+ */
+function aggregateExplodedBom(rows, { leavesOnly = false } = {}) {
+  const totals = new Map()
+  for (const row of rows) {
+    if (leavesOnly && !row.is_leaf) continue
+    const key = row.catalog_position_id
+      ? `catalog_position:${row.catalog_position_id}`
+      : row.client_part_id
+        ? `client_part:${row.client_part_id}`
+        : null
+    if (!key) continue
+    if (!totals.has(key)) {
+      totals.set(key, {
+        catalog_position_id: row.catalog_position_id,
+        client_part_id: row.catalog_position_id ? null : row.client_part_id,
+        manufacturer_part_number: row.manufacturer_part_number,
+        name: row.name,
+        total_quantity: 0,
+        occurrences: 0,
+        bom_item_ids: [],
+        replaced: false,
+      })
+    }
+    const total = totals.get(key)
+    total.total_quantity = round3(total.total_quantity + row.extended_quantity)
+    total.occurrences += 1
+    total.bom_item_ids.push(row.bom_item_id)
+    total.replaced = total.replaced || row.replaced
+  }
+  return [...totals.values()].sort(
+    (a, b) => b.total_quantity - a.total_quantity || String(a.name || '').localeCompare(String(b.name || ''))
+  )
+}
+
+const BOM_ITEMS_SQL = (placeholders) => `
+  SELECT id, equipment_model_id, parent_item_id, row_kind, item_no, manufacturer_part_number,
+         manufacturer_part_name, manufacturer_part_name_ru, drawing_number, title, catalog_position_id,
+         client_part_id, quantity, sort_order
+    FROM equipment_model_bom_items
+   WHERE equipment_model_id IN (${placeholders})
+`
+
+const groupBy = (rows, keyFn) => {
+  const map = new Map()
+  rows.forEach((row) => {
+    const key = keyFn(row)
+    if (!map.has(key)) map.set(key, [])
+    map.get(key).push(row)
+  })
+  return map
+}
+
+async function fetchModelItems(conn, modelIds) {
+  if (!modelIds.length) return new Map()
+  const [rows] = await conn.execute(BOM_ITEMS_SQL(modelIds.map(() => '?').join(',')), modelIds)
+  return groupBy(rows, (row) => Number(row.equipment_model_id))
+}
+
+async function fetchUnitOverrides(conn, unitIds) {
+  const byUnit = new Map()
+  if (!unitIds.length) return byUnit
+  const [rows] = await conn.execute(
+    `SELECT client_equipment_unit_id, equipment_model_bom_item_id, status,
+            replacement_catalog_position_id, client_part_id
+       FROM client_equipment_unit_bom_overrides
+      WHERE client_equipment_unit_id IN (${unitIds.map(() => '?').join(',')})`,
+    unitIds
+  )
+  rows.forEach((row) => {
+    const unitId = Number(row.client_equipment_unit_id)
+    if (!byUnit.has(unitId)) byUnit.set(unitId, new Map())
+    byUnit.get(unitId).set(Number(row.equipment_model_bom_item_id), row)
+  })
+  return byUnit
+}
+
+/**
+ * Разузлованный BOM модели.
+ */
+async function explodeModelBom(conn, modelId) {
+  const items = (await fetchModelItems(conn, [modelId])).get(Number(modelId)) || []
+  return explodeBom(items)
+}
+
+/**
+ * Разузлованный BOM машины клиента с её отличиями.
+ */
+async function explodeUnitBom(conn, unit) {
+  const items = await fetchUnitBomItems(conn, unit)
+  const overrides = (await fetchUnitOverrides(conn, [Number(unit.id)])).get(Number(unit.id)) || new Map()
+  return explodeBom(items, { overrides })
+}
+
+/**
+ * Применяемость позиции каталога: количество на машину по моделям и
+ * установленная база по машинам и клиентам с учётом отличий BOM машин.
+ * @param {Object} conn
+ * @param {number} catalogPositionId
+ * @param {Object} [options] - { includeInactiveUnits }
+ */
+async function buildWhereUsed(conn, catalogPositionId, { includeInactiveUnits = false } = {}) {
+  const [modelRows] = await conn.execute(
+    `SELECT DISTINCT item.equipment_model_id
+       FROM equipment_model_bom_items item
+      WHERE item.catalog_position_id = ?
+     UNION
+     SELECT DISTINCT item.equipment_model_id
+       FROM client_equipment_unit_bom_overrides ov
+       JOIN equipment_model_bom_items item ON item.id = ov.equipment_model_bom_item_id
+      WHERE ov.replacement_catalog_position_id = ?
+     UNION
+     SELECT DISTINCT ceu.equipment_model_id
+       FROM equipment_model_bom_revision_items rev_item
+       JOIN client_equipment_units ceu ON ceu.bom_revision_id = rev_item.bom_revision_id
+      WHERE rev_item.catalog_position_id = ?`,
+    [catalogPositionId, catalogPositionId, catalogPositionId]
+  )
+  const modelIds = modelRows.map((row) => Number(row.equipment_model_id))
+  const result = {
+    catalog_position_id: Number(catalogPositionId),
+    models: [],
+    units: [],
+    clients: [],
+    totals: { models: 0, units: 0, clients: 0, installed_quantity: 0 },
+  }
+  if (!modelIds.length) return result
+
+  const modelPlaceholders = modelIds.map(() => '?').join(',')
+  const [models] = await conn.execute(
+    `SELECT em.id, em.model_name, em.model_code, mf.name AS manufacturer_name
+       FROM equipment_models em
+       JOIN equipment_manufacturers mf ON mf.id = em.manufacturer_id
+      WHERE em.id IN (${modelPlaceholders})
+      ORDER BY mf.name, em.model_name`,
+    modelIds
+  )
+  const [units] = await conn.execute(
+    `SELECT ceu.id, ceu.client_id, ceu.equipment_model_id, ceu.bom_revision_id, ceu.serial_number, ceu.internal_name,
+            ceu.site_name, ceu.status, c.company_name AS client_name
+       FROM client_equipment_units ceu
+       JOIN clients c ON c.id = ceu.client_id
+      WHERE ceu.equipment_model_id IN (${modelPlaceholders})
+        ${includeInactiveUnits ? '' : "AND ceu.status = 'active'"}
+      ORDER BY c.company_name, ceu.id`,
+    modelIds
+  )
+  const itemsByModel = await fetchModelItems(conn, modelIds)
+  const overridesByUnit = await fetchUnitOverrides(conn, units.map((unit) => Number(unit.id)))
+
+  const usageOf = (rows) => {
+    const matches = rows.filter((row) => row.catalog_position_id === Number(catalogPositionId))
+    return {
+      quantity: round3(matches.reduce((sum, row) => sum + row.extended_quantity, 0)),
+      occurrences: matches.map((row) => ({
+        bom_item_id: row.bom_item_id,
+        path: row.path,
+        level: row.level,
+        extended_quantity: row.extended_quantity,
+        replaced: row.replaced,
+      })),
+    }
+  }
+
+  const modelUsage = new Map()
+  for (const model of models) {
+    const usage = usageOf(explodeBom(itemsByModel.get(Number(model.id)) || []))
+    modelUsage.set(Number(model.id), usage)
+    result.models.push({
+      equipment_model_id: Number(model.id),
+      model_name: model.model_name,
+      model_code: model.model_code,
+      manufacturer_name: model.manufacturer_name,
+      quantity_per_unit: usage.quantity,
+      occurrences: usage.occurrences,
+      units_count: 0,
+    })
+  }
+  const modelSummary = new Map(result.models.map((row) => [row.equipment_model_id, row]))
+
+  const clients = new Map()
+  for (const unit of units) {
+    const overrides = overridesByUnit.get(Number(unit.id))
+    // без отличий и закреплённой ревизии количество совпадает с моделью — повторно не разузловываем
+    let usage = modelUsage.get(Number(unit.equipment_model_id))
+    if (unit.bom_revision_id) {
+      usage = usageOf(explodeBom(await fetchUnitBomItems(conn, unit), { overrides: overrides || new Map() }))
+    } else if (overrides) {
+      usage = usageOf(explodeBom(itemsByModel.get(Number(unit.equipment_model_id)) || [], { overrides }))
+    }
+    if (!usage || usage.quantity <= 0) continue
+
+    const modelRow = modelSummary.get(Number(unit.equipment_model_id))
+    modelRow.units_count += 1
+    result.units.push({
+      client_equipment_unit_id: Number(unit.id),
+      client_id: Number(unit.client_id),
+      client_name: unit.client_name,
+      equipment_model_id: Number(unit.equipment_model_id),
+      model_name: modelRow.model_name,
+      serial_number: unit.serial_number,
+      internal_name: unit.internal_name,
+      site_name: unit.site_name,
+      status: unit.status,
+      quantity: usage.quantity,
+      differs_from_model: usage.quantity !== modelUsage.get(Number(unit.equipment_model_id))?.quantity,
+    })
+    if (!clients.has(Number(unit.client_id))) {
+      clients.set(Number(unit.client_id), {
+        client_id: Number(unit.client_id),
+        client_name: unit.client_name,
+        units_count: 0,
+        installed_quantity: 0,
+      })
+    }
+    const client = clients.get(Number(unit.client_id))
+    client.units_count += 1
+    client.installed_quantity = round3(client.installed_quantity + usage.quantity)
+  }
+
+  result.clients = [...clients.values()].sort((a, b) => b.installed_quantity - a.installed_quantity)
+  result.totals = {
+    models: result.models.filter((row) => row.quantity_per_unit > 0).length,
+    units: result.units.length,
+    clients: result.clients.length,
+    installed_quantity: round3(result.units.reduce((sum, row) => sum + row.quantity, 0)),
+  }
+  return result
+}
+
+module.exports = {
+  aggregateExplodedBom,
+  buildWhereUsed,
+  explodeBom,
+  explodeModelBom,
+  explodeUnitBom,
+  fetchModelItems,
+}
@@ -0,0 +1,327 @@
+// utils/bomRevisions.js
+// Ревизии BOM модели оборудования: снимки строк equipment_model_bom_items и
+// сравнение двух ревизий (или ревизии с текущим BOM). Строки сопоставляются
+// по item_key — пути от корня, где каждая строка обозначена номером
+// производителя, а без него — карточкой позиции или названием.
+
+const round3 = (value) => Math.round(value * 1000) / 1000
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+const idOrNull = (value) => {
+  const n = Number(value)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+
+const keyPart = (value) =>
+  String(value ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toUpperCase()
+
+const rowLabel = (row) => {
+  const partNumber = keyPart(row.manufacturer_part_number).replace(/\s+/g, '')
+  if (partNumber) return `PN:${partNumber}`
+  if (idOrNull(row.catalog_position_id)) return `CP:${row.catalog_position_id}`
+  if (idOrNull(row.client_part_id)) return `CL:${row.client_part_id}`
+  const name = keyPart(row.manufacturer_part_name || row.manufacturer_part_name_ru || row.title || row.item_no)
+  return name ? `NM:${name}` : `ID:${row.id}`
+}
+
+/**
+ * Проставляет item_key / parent_item_key строкам BOM. Одинаковые строки
+ * под одним родителем различаются порядковым суффиксом «#2», «#3».
+ * @param {Object[]} rows - строки equipment_model_bom_items (id, parent_item_id, ...)
+ * @returns {Object[]} строки с item_key и parent_item_key в порядке обхода дерева
+ */
+function assignBomItemKeys(rows) {
+  const list = Array.isArray(rows) ? rows : []
+  const ids = new Set(list.map((row) => Number(row.id)))
+  const children = new Map()
+  list.forEach((row) => {
+    const parentId = ids.has(Number(row.parent_item_id)) ? Number(row.parent_item_id) : 0
+    if (!children.has(parentId)) children.set(parentId, [])
+    children.get(parentId).push(row)
+  })
+  for (const group of children.values()) {
+    group.sort((a, b) => Number(a.sort_order || 0) - Number(b.sort_order || 0) || Number(a.id) - Number(b.id))
+  }
+
+  const result = []
+  const visited = new Set()
+  const walk = (parentId, parentKey) => {
+    const seen = new Map()
+    for (const row of children.get(parentId) || []) {
+      if (visited.has(Number(row.id))) continue
+      visited.add(Number(row.id))
+      const label = rowLabel(row)
+      const occurrence = (seen.get(label) || 0) + 1
+      seen.set(label, occurrence)
+      const key = `${parentKey ? `${parentKey}/` : ''}${label}${occurrence > 1 ? `#${occurrence}` : ''}`
+      result.push({ ...row, item_key: key, parent_item_key: parentKey || null })
+      walk(Number(row.id), key)
+    }
+  }
+  walk(0, null)
+  return result
+}
+
+const describeItem = (row) => ({
+  item_key: row.item_key,
+  parent_item_key: row.parent_item_key || null,
+  bom_item_id: idOrNull(row.bom_item_id ?? row.id),
+  item_no: row.item_no || null,
+  manufacturer_part_number: row.manufacturer_part_number || null,
+  name: row.manufacturer_part_name || row.manufacturer_part_name_ru || row.title || null,
+  catalog_position_id: idOrNull(row.catalog_position_id),
+  client_part_id: idOrNull(row.client_part_id),
+  quantity: numOrNull(row.quantity),
+})
+
+/**
+ * Разница двух наборов строк BOM с проставленными item_key.
+ * @returns {Object} { added, removed, quantity_changed, relinked, unchanged_count, summary }
+ */
+function diffBomItems(fromItems, toItems) {
+  const byKey = (items) => new Map((Array.isArray(items) ? items : []).map((row) => [row.item_key, row]))
+  const from = byKey(fromItems)
+  const to = byKey(toItems)
+
+  const added = []
+  const quantityChanged = []
+  const relinked = []
+  let unchangedCount = 0
+  for (const [key, row] of to) {
+    const before = from.get(key)
+    if (!before) {
+      added.push(describeItem(row))
+      continue
+    }
+    let changed = false
+    const oldQty = numOrNull(before.quantity)
+    const newQty = numOrNull(row.quantity)
+    if (oldQty !== newQty) {
+      changed = true
+      quantityChanged.push({
+        ...describeItem(row),
+        old_quantity: oldQty,
+        quantity_delta: oldQty !== null && newQty !== null ? round3(newQty - oldQty) : null,
+      })
+    }
+    const oldCatalog = idOrNull(before.catalog_position_id)
+    const oldClientPart = idOrNull(before.client_part_id)
+    if (oldCatalog !== idOrNull(row.catalog_position_id) || oldClientPart !== idOrNull(row.client_part_id)) {
+      changed = true
+      relinked.push({
+        ...describeItem(row),
+        old_catalog_position_id: oldCatalog,
+        old_client_part_id: oldClientPart,
+      })
+    }
+    if (!changed) unchangedCount += 1
+  }
+  const removed = [...from]
+    .filter(([key]) => !to.has(key))
+    .map(([, row]) => describeItem(row))
+
+  return {
+    added,
+    removed,
+    quantity_changed: quantityChanged,
+    relinked,
+    unchanged_count: unchangedCount,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      quantity_changed: quantityChanged.length,
+      relinked: relinked.length,
+      unchanged: unchangedCount,
+    },
+  }
+}
+
+const hasChanges = (diff) =>
+  diff.summary.added + diff.summary.removed + diff.summary.quantity_changed + diff.summary.relinked > 0
+
+const SNAPSHOT_COLUMNS = [
+  'item_key',
+  'parent_item_key',
+  'bom_item_id',
+  'parent_item_id',
+  'row_kind',
+  'item_type',
+  'item_no',
+  'manufacturer_part_number',
+  'manufacturer_part_name',
+  'manufacturer_part_name_ru',
+  'drawing_number',
+  'catalog_position_id',
+  'client_part_id',
+  'title',
+  'quantity',
+  'service_life_hours',
+  'service_life_tonnage',
+  'sort_order',
+]
+const SNAPSHOT_CHUNK = 200
+
+/**
+ * Текущий BOM модели с item_key.
+ */
+async function fetchCurrentBomItems(conn, modelId) {
+  const [rows] = await conn.execute(
+    `SELECT id, parent_item_id, row_kind, item_type, item_no, manufacturer_part_number,
+            manufacturer_part_name, manufacturer_part_name_ru, drawing_number, catalog_position_id,
+            client_part_id, title, quantity, service_life_hours, service_life_tonnage, sort_order
+       FROM equipment_model_bom_items
+      WHERE equipment_model_id = ?`,
+    [modelId]
+  )
+  return assignBomItemKeys(rows).map((row) => ({ ...row, bom_item_id: row.id }))
+}
+
+/**
+ * Строки сохранённой ревизии.
+ */
+async function fetchRevisionItems(conn, revisionId) {
+  const [rows] = await conn.execute(
+    `SELECT *
+       FROM equipment_model_bom_revision_items
+      WHERE bom_revision_id = ?
+      ORDER BY id ASC`,
+    [revisionId]
+  )
+  return rows
+}
+
+/**
+ * Строки закреплённой ревизии в виде строк BOM. Строка ревизии получает id
+ * строки текущего BOM с тем же item_key — к нему привязаны отличия машины;
+ * строки, которых в текущем BOM уже нет, сохраняют id из снимка, а если он
+ * занят другой строкой — отрицательный id строки снимка.
+ * @param {Object[]} revisionItems - строки equipment_model_bom_revision_items
+ * @param {Object[]} currentItems - результат fetchCurrentBomItems
+ * @returns {Object[]} строки с id, parent_item_id и in_current_bom
+ */
+function pinRevisionItems(revisionItems, currentItems) {
+  const currentByKey = new Map((Array.isArray(currentItems) ? currentItems : []).map((row) => [row.item_key, Number(row.id)]))
+  const taken = new Set(currentByKey.values())
+  const idByKey = new Map()
+  const list = Array.isArray(revisionItems) ? revisionItems : []
+  list.forEach((row) => {
+    let id = currentByKey.get(row.item_key)
+    if (!id) {
+      const snapshotId = idOrNull(row.bom_item_id)
+      id = snapshotId && !taken.has(snapshotId) ? snapshotId : -Number(row.id)
+    }
+    taken.add(id)
+    idByKey.set(row.item_key, id)
+  })
+  return list.map((row) => {
+    const id = idByKey.get(row.item_key)
+    return {
+      ...row,
+      id,
+      bom_item_id: id,
+      parent_item_id: row.parent_item_key ? idByKey.get(row.parent_item_key) ?? null : null,
+      revision_item_id: Number(row.id),
+      in_current_bom: currentByKey.has(row.item_key),
+    }
+  })
+}
+
+/**
+ * Строки BOM машины клиента: закреплённой ревизии, а без неё — текущего BOM модели.
+ * @param {Object} conn
+ * @param {Object} unit - строка client_equipment_units (equipment_model_id, bom_revision_id)
+ */
+async function fetchUnitBomItems(conn, unit) {
+  const current = await fetchCurrentBomItems(conn, unit.equipment_model_id)
+  if (!idOrNull(unit.bom_revision_id)) return current
+  return pinRevisionItems(await fetchRevisionItems(conn, unit.bom_revision_id), current)
+}
+
+/**
+ * Последняя ревизия модели или null.
+ */
+async function fetchLatestRevision(conn, modelId) {
+  const [[row]] = await conn.execute(
+    `SELECT *
+       FROM equipment_model_bom_revisions
+      WHERE equipment_model_id = ?
+      ORDER BY revision_no DESC
+      LIMIT 1`,
+    [modelId]
+  )
+  return row || null
+}
+
+/**
+ * Сохраняет текущий BOM модели как новую ревизию. Вызывать внутри транзакции.
+ * @param {Object} conn
+ * @param {number} modelId
+ * @param {Object} options - { name, source: 'import'|'manual'|'pre_import', notes, userId }
+ * @returns {Promise<Object>} строка equipment_model_bom_revisions
+ */
+async function createBomRevision(conn, modelId, { name = null, source = 'manual', notes = null, userId = null } = {}) {
+  // блокировка модели упорядочивает номера ревизий при параллельных фиксациях
+  await conn.execute('SELECT id FROM equipment_models WHERE id = ? FOR UPDATE', [modelId])
+  const [[{ next_no: nextNo }]] = await conn.execute(
+    'SELECT COALESCE(MAX(revision_no), 0) + 1 AS next_no FROM equipment_model_bom_revisions WHERE equipment_model_id = ?',
+    [modelId]
+  )
+  const items = await fetchCurrentBomItems(conn, modelId)
+  const [ins] = await conn.execute(
+    `INSERT INTO equipment_model_bom_revisions
+       (equipment_model_id, revision_no, name, source, notes, items_count, created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [modelId, nextNo, name || `Ревизия ${nextNo}`, source, notes, items.length, userId]
+  )
+
+  for (let i = 0; i < items.length; i += SNAPSHOT_CHUNK) {
+    const chunk = items.slice(i, i + SNAPSHOT_CHUNK)
+    const rowPlaceholders = `(?, ${SNAPSHOT_COLUMNS.map(() => '?').join(', ')})`
+    await conn.execute(
+      `INSERT INTO equipment_model_bom_revision_items (bom_revision_id, ${SNAPSHOT_COLUMNS.join(', ')})
+       VALUES ${chunk.map(() => rowPlaceholders).join(', ')}`,
+      chunk.flatMap((row) => [ins.insertId, ...SNAPSHOT_COLUMNS.map((column) => row[column] ?? null)])
+    )
+  }
+
+  const [[revision]] = await conn.execute('SELECT * FROM equipment_model_bom_revisions WHERE id = ?', [ins.insertId])
+  return revision
+}
+
+/**
+ * Фиксирует текущий BOM перед его перезаписью, если он отличается от
+ * последней ревизии (или ревизий ещё нет), чтобы прежний вид не потерялся.
+ * @returns {Promise<Object|null>} созданная ревизия или null
+ */
+async function snapshotBeforeOverwrite(conn, modelId, { userId = null } = {}) {
+  const current = await fetchCurrentBomItems(conn, modelId)
+  if (!current.length) return null
+  const latest = await fetchLatestRevision(conn, modelId)
+  if (latest) {
+    const diff = diffBomItems(await fetchRevisionItems(conn, latest.id), current)
+    if (!hasChanges(diff)) return null
+  }
+  return createBomRevision(conn, modelId, {
+    name: latest ? `Изменения после ревизии ${latest.revision_no}` : 'Исходный BOM',
+    source: 'pre_import',
+    userId,
+  })
+}
+
+module.exports = {
+  assignBomItemKeys,
+  createBomRevision,
+  diffBomItems,
+  fetchCurrentBomItems,
+  fetchLatestRevision,
+  fetchRevisionItems,
+  fetchUnitBomItems,
+  pinRevisionItems,
+  snapshotBeforeOverwrite,
+}
@@ -0,0 +1,333 @@
+// utils/classifierAttributes.js
+// Типизированные значения характеристик классификатора. Значение проверяется
+// по типу характеристики, допустимому диапазону из settings_json
+// ({ min, max, integer }) и списку вариантов; число с единицей пересчитывается
+// в единицу характеристики через utils/uom.js. Здесь же собираются условия
+// параметрического поиска по equipment_attribute_values.
+
+const { convertUnitValue, normalizeCode, parseQuantity } = require('./uom')
+
+const text = (value) => {
+  if (value === undefined || value === null) return null
+  const s = String(value).trim()
+  return s === '' ? null : s
+}
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === ''
+const finiteOrNull = (value) => {
+  if (isEmpty(value)) return null
+  const n = Number(String(value).replace(',', '.'))
+  return Number.isFinite(n) ? n : null
+}
+const labelOf = (attribute) => attribute?.label || attribute?.code || 'Характеристика'
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+const EMPTY_VALUE = Object.freeze({
+  value_text: null,
+  value_number: null,
+  value_boolean: null,
+  value_date: null,
+  value_json: null,
+})
+
+/**
+ * Ограничения характеристики из settings_json.
+ * @returns {Object} { min, max, integer }
+ */
+function parseAttributeSettings(settingsJson) {
+  let settings = settingsJson
+  if (typeof settings === 'string') {
+    try {
+      settings = JSON.parse(settings)
+    } catch {
+      settings = null
+    }
+  }
+  if (!settings || typeof settings !== 'object') return { min: null, max: null, integer: false }
+  return {
+    min: finiteOrNull(settings.min),
+    max: finiteOrNull(settings.max),
+    integer: settings.integer === true || settings.integer === 1 || settings.integer === '1',
+  }
+}
+
+/**
+ * Проверка ограничений, переданных при создании или изменении характеристики.
+ * @returns {Object} { settings: Object|null, error }
+ */
+function normalizeAttributeSettingsInput(input) {
+  if (input === null) return { settings: null, error: null }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { settings: null, error: 'Некорректные ограничения характеристики' }
+  }
+  const settings = {}
+  for (const key of ['min', 'max']) {
+    if (isEmpty(input[key])) continue
+    const n = finiteOrNull(input[key])
+    if (n === null) return { settings: null, error: `Ограничение ${key} должно быть числом` }
+    settings[key] = n
+  }
+  if (settings.min !== undefined && settings.max !== undefined && settings.min > settings.max) {
+    return { settings: null, error: 'Минимум больше максимума' }
+  }
+  if (input.integer !== undefined) {
+    settings.integer = input.integer === true || input.integer === 1 || ['1', 'true'].includes(String(input.integer))
+  }
+  return { settings: Object.keys(settings).length ? settings : null, error: null }
+}
+
+/**
+ * settings_json после смены единицы характеристики: min/max умножаются на тот
+ * же коэффициент, что и сохранённые значения.
+ * @returns {string|null}
+ */
+function rescaleAttributeSettings(settingsJson, factor) {
+  if (settingsJson === null || settingsJson === undefined) return null
+  let settings = settingsJson
+  if (typeof settings === 'string') {
+    try {
+      settings = JSON.parse(settings)
+    } catch {
+      return settingsJson
+    }
+  }
+  if (!settings || typeof settings !== 'object') return JSON.stringify(settings)
+  const next = { ...settings }
+  for (const key of ['min', 'max']) {
+    const n = finiteOrNull(settings[key])
+    if (n !== null) next[key] = Math.round(n * factor * 1e6) / 1e6
+  }
+  return JSON.stringify(next)
+}
+
+/**
+ * Число в единице характеристики. Единица берётся из самого значения
+ * («24 мм») или из отдельно переданной unit.
+ * @returns {Object} { value, error }
+ */
+function numberInAttributeUnit(attribute, rawValue, unit = null) {
+  const parsed = parseQuantity(rawValue)
+  if (!parsed) return { value: null, error: `${labelOf(attribute)}: нужно число` }
+  const fromUnit = parsed.unit || normalizeCode(unit)
+  const attributeUnit = normalizeCode(attribute.unit)
+  if (!fromUnit || fromUnit === attributeUnit) return { value: parsed.value, error: null }
+  if (!attributeUnit) {
+    return { value: null, error: `${labelOf(attribute)}: у характеристики не задана единица измерения` }
+  }
+  const converted = convertUnitValue(parsed.value, fromUnit, attributeUnit)
+  if (converted.error) return { value: null, error: `${labelOf(attribute)}: ${converted.error}` }
+  return { value: converted.value, error: null }
+}
+
+const optionCodeMap = (attribute) => {
+  const map = new Map()
+  ;(attribute.options || []).forEach((option) => {
+    map.set(String(option.value_code).trim().toLowerCase(), option.value_code)
+    map.set(String(option.value_label).trim().toLowerCase(), option.value_code)
+  })
+  return map
+}
+
+const splitListValue = (rawValue) =>
+  (Array.isArray(rawValue) ? rawValue : String(rawValue ?? '').split(/[;,]/)).map(text).filter(Boolean)
+
+/**
+ * Значение характеристики для записи в equipment_attribute_values.
+ * @param {Object} attribute - строка характеристики с options и settings_json
+ * @param {*} rawValue
+ * @param {Object} [options] - { unit } — единица переданного числа
+ * @returns {Object} { value_text, value_number, value_boolean, value_date, value_json } или { error }
+ */
+function normalizeTypedAttributeValue(attribute, rawValue, { unit = null } = {}) {
+  const type = String(attribute?.value_type || '')
+  const empty = Array.isArray(rawValue) ? !rawValue.length : isEmpty(rawValue)
+  if (empty) return { ...EMPTY_VALUE }
+
+  if (type === 'text' || type === 'textarea') {
+    return { ...EMPTY_VALUE, value_text: text(rawValue) }
+  }
+  if (type === 'number') {
+    const { value, error } = numberInAttributeUnit(attribute, rawValue, unit)
+    if (error) return { error }
+    const { min, max, integer } = parseAttributeSettings(attribute.settings_json)
+    const unitSuffix = attribute.unit ? ` ${attribute.unit}` : ''
+    if (integer && !Number.isInteger(value)) return { error: `${labelOf(attribute)}: нужно целое число` }
+    if (min !== null && value < min) return { error: `${labelOf(attribute)}: не меньше ${min}${unitSuffix}` }
+    if (max !== null && value > max) return { error: `${labelOf(attribute)}: не больше ${max}${unitSuffix}` }
+    return { ...EMPTY_VALUE, value_number: value }
+  }
+  if (type === 'boolean') {
+    const key = String(rawValue).trim().toLowerCase()
+    const truthy = rawValue === true || rawValue === 1 || ['1', 'true', 'да', 'yes'].includes(key)
+    const falsy = rawValue === false || rawValue === 0 || ['0', 'false', 'нет', 'no'].includes(key)
+    if (!truthy && !falsy) return { error: `${labelOf(attribute)}: укажите «Да» или «Нет»` }
+    return { ...EMPTY_VALUE, value_boolean: truthy ? 1 : 0 }
+  }
+  if (type === 'date') {
+    const value = text(rawValue)
+    if (!DATE_RE.test(value || '') || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      return { error: `${labelOf(attribute)}: нужна дата ГГГГ-ММ-ДД` }
+    }
+    return { ...EMPTY_VALUE, value_date: value }
+  }
+  if (type === 'select' || type === 'multiselect') {
+    const codes = optionCodeMap(attribute)
+    const rawItems = type === 'multiselect' ? splitListValue(rawValue) : [text(rawValue)]
+    const values = []
+    for (const item of rawItems) {
+      const code = codes.get(String(item).toLowerCase())
+      if (!code) return { error: `${labelOf(attribute)}: неизвестное значение «${item}»` }
+      if (!values.includes(code)) values.push(code)
+    }
+    return type === 'multiselect'
+      ? { ...EMPTY_VALUE, value_json: values.length ? JSON.stringify(values) : null }
+      : { ...EMPTY_VALUE, value_text: values[0] || null }
+  }
+  return { error: `${labelOf(attribute)}: неподдерживаемый тип характеристики` }
+}
+
+const OPERATOR_ALIASES = {
+  '=': 'eq',
+  '==': 'eq',
+  eq: 'eq',
+  in: 'in',
+  all: 'all',
+  contains: 'contains',
+  like: 'contains',
+  between: 'between',
+  '>': 'gt',
+  gt: 'gt',
+  '>=': 'gte',
+  gte: 'gte',
+  '<': 'lt',
+  lt: 'lt',
+  '<=': 'lte',
+  lte: 'lte',
+}
+const COMPARISONS = { eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=' }
+const OPERATORS_BY_TYPE = {
+  number: ['eq', 'between', 'gt', 'gte', 'lt', 'lte'],
+  date: ['eq', 'between', 'gt', 'gte', 'lt', 'lte'],
+  text: ['eq', 'in', 'contains'],
+  textarea: ['eq', 'in', 'contains'],
+  select: ['eq', 'in'],
+  multiselect: ['eq', 'in', 'all'],
+  boolean: ['eq'],
+}
+
+/**
+ * Оператор фильтра: явный или по форме значения (from/to — диапазон,
+ * values — список).
+ */
+function resolveFilterOperator(filter) {
+  if (!isEmpty(filter?.op)) return OPERATOR_ALIASES[String(filter.op).trim().toLowerCase()] || null
+  if (!isEmpty(filter?.from) || !isEmpty(filter?.to)) return 'between'
+  if (Array.isArray(filter?.values)) return 'in'
+  return 'eq'
+}
+
+/**
+ * Условие фильтра для одной характеристики по строке значений с алиасом v.
+ * Числа и даты сравниваются в единице характеристики, варианты select —
+ * по коду. Если фильтр к этой характеристике неприменим (другая величина,
+ * нет такого варианта), возвращается { impossible } — раздел просто не
+ * попадает в выдачу.
+ * @returns {Object} { sql, params } | { impossible } | { error }
+ */
+function compileAttributeFilter(attribute, filter) {
+  const type = String(attribute?.value_type || '')
+  const op = resolveFilterOperator(filter)
+  if (!op || !(OPERATORS_BY_TYPE[type] || []).includes(op)) {
+    return { error: `${labelOf(attribute)}: условие «${filter?.op ?? op}» не подходит для типа ${type}` }
+  }
+
+  if (type === 'number') {
+    const bound = (rawValue) => {
+      if (isEmpty(rawValue)) return { value: null }
+      const parsed = parseQuantity(rawValue)
+      if (!parsed) return { error: `${labelOf(attribute)}: в фильтре нужно число` }
+      const converted = numberInAttributeUnit(attribute, rawValue, filter.unit)
+      return converted.error ? { impossible: converted.error } : { value: converted.value }
+    }
+    const parts = op === 'between' ? [bound(filter.from), bound(filter.to)] : [bound(filter.value)]
+    const failed = parts.find((part) => part.error || part.impossible)
+    if (failed) return failed
+    if (op === 'between') {
+      const [from, to] = parts.map((part) => part.value)
+      if (from === null && to === null) return { error: `${labelOf(attribute)}: укажите границы диапазона` }
+      const sql = []
+      const params = []
+      if (from !== null) {
+        sql.push('v.value_number >= CAST(? AS DECIMAL(18,6))')
+        params.push(from)
+      }
+      if (to !== null) {
+        sql.push('v.value_number <= CAST(? AS DECIMAL(18,6))')
+        params.push(to)
+      }
+      return { sql: sql.join(' AND '), params }
+    }
+    if (parts[0].value === null) return { error: `${labelOf(attribute)}: укажите значение` }
+    return { sql: `v.value_number ${COMPARISONS[op]} CAST(? AS DECIMAL(18,6))`, params: [parts[0].value] }
+  }
+
+  if (type === 'date') {
+    const dateOf = (rawValue) => (isEmpty(rawValue) ? null : text(rawValue))
+    const values = op === 'between' ? [dateOf(filter.from), dateOf(filter.to)] : [dateOf(filter.value)]
+    if (values.every((value) => value === null) || values.some((value) => value !== null && !DATE_RE.test(value))) {
+      return { error: `${labelOf(attribute)}: в фильтре нужна дата ГГГГ-ММ-ДД` }
+    }
+    if (op === 'between') {
+      const sql = []
+      const params = []
+      if (values[0]) {
+        sql.push('v.value_date >= ?')
+        params.push(values[0])
+      }
+      if (values[1]) {
+        sql.push('v.value_date <= ?')
+        params.push(values[1])
+      }
+      return { sql: sql.join(' AND '), params }
+    }
+    return { sql: `v.value_date ${COMPARISONS[op]} ?`, params: values }
+  }
+
+  if (type === 'boolean') {
+    const normalized = normalizeTypedAttributeValue(attribute, filter.value)
+    if (normalized.error || normalized.value_boolean === null) {
+      return { error: `${labelOf(attribute)}: в фильтре укажите «Да» или «Нет»` }
+    }
+    return { sql: 'v.value_boolean = ?', params: [normalized.value_boolean] }
+  }
+
+  const rawValues = op === 'eq' || op === 'contains' ? [filter.value] : splitListValue(filter.values ?? filter.value)
+  const values = rawValues.map(text).filter(Boolean)
+  if (!values.length) return { error: `${labelOf(attribute)}: укажите значение` }
+
+  if (type === 'text' || type === 'textarea') {
+    if (op === 'contains') return { sql: 'v.value_text LIKE ?', params: [`%${values[0]}%`] }
+    return { sql: `v.value_text IN (${values.map(() => '?').join(', ')})`, params: values }
+  }
+
+  const codes = optionCodeMap(attribute)
+  const resolved = values.map((value) => codes.get(value.toLowerCase()) || null)
+  const matched = [...new Set(resolved.filter(Boolean))]
+  // для all каждое значение обязано быть вариантом этой характеристики
+  if (!matched.length || (op === 'all' && resolved.includes(null))) {
+    return { impossible: `${labelOf(attribute)}: нет варианта «${values.join(', ')}»` }
+  }
+  if (type === 'select') {
+    return { sql: `v.value_text IN (${matched.map(() => '?').join(', ')})`, params: matched }
+  }
+  const contains = matched.map(() => 'JSON_CONTAINS(v.value_json, JSON_QUOTE(?))')
+  return { sql: `(${contains.join(op === 'all' ? ' AND ' : ' OR ')})`, params: matched }
+}
+
+module.exports = {
+  compileAttributeFilter,
+  normalizeAttributeSettingsInput,
+  normalizeTypedAttributeValue,
+  parseAttributeSettings,
+  rescaleAttributeSettings,
+  resolveFilterOperator,
+}
@@ -0,0 +1,379 @@
+// utils/customsPack.js
+// Пакет для подготовки таможенной декларации по отгрузке или контракту.
+// Строки PO группируются по коду ТН ВЭД; по группе суммируются таможенная
+// стоимость (цена PO × количество, пересчитанная в валюту декларации) и вес,
+// начисляются пошлина по ставке tnved_codes.duty_rate и НДС на (стоимость +
+// пошлина). Строки без кода, ставки, страны происхождения или стоимости
+// попадают в замечания.
+
+const ExcelJS = require('exceljs')
+const { getRate } = require('./fxRatesService')
+
+const round2 = (value) => Math.round(value * 100) / 100
+const round3 = (value) => Math.round(value * 1000) / 1000
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+const normCode = (value) => {
+  const code = String(value || '').trim().toUpperCase()
+  return code.length === 3 ? code : null
+}
+
+const CUSTOMS_CURRENCY = normCode(process.env.CUSTOMS_CURRENCY) || 'RUB'
+const CUSTOMS_VAT_PCT = (() => {
+  const n = numOrNull(process.env.CUSTOMS_VAT_PCT)
+  return n !== null && n >= 0 ? n : 20
+})()
+
+const UNASSIGNED_TNVED = null
+
+const metaTnvedIdSql = (alias) => `CAST(JSON_UNQUOTE(JSON_EXTRACT(${alias}.meta_json, '$.tnved_code_id')) AS UNSIGNED)`
+const metaTnvedCodeSql = (alias) => `NULLIF(JSON_UNQUOTE(JSON_EXTRACT(${alias}.meta_json, '$.tnved_code')), '')`
+
+// Код ТН ВЭД позиции каталога: явная ссылка на справочник или код из meta.
+const tnvedJoinSql = (cpAlias) => `
+  LEFT JOIN tnved_codes tn ON tn.id = ${metaTnvedIdSql(cpAlias)}
+  LEFT JOIN tnved_codes tn_by_code
+    ON ${metaTnvedIdSql(cpAlias)} IS NULL
+   AND ${metaTnvedCodeSql(cpAlias)} = tn_by_code.code
+`
+const tnvedColumnsSql = (cpAlias) => `
+  COALESCE(tn.code, tn_by_code.code, ${metaTnvedCodeSql(cpAlias)}) AS tnved_code,
+  COALESCE(tn.description, tn_by_code.description) AS tnved_description,
+  COALESCE(tn.duty_rate, tn_by_code.duty_rate) AS duty_rate
+`
+
+/**
+ * Группировка строк по коду ТН ВЭД с расчётом пошлины и НДС.
+ * Строки без стоимости в расчёт платежей не входят, строки без кода
+ * собираются в отдельную группу с tnved_code = null.
+ */
+const summarizeCustomsPack = (lines = [], { vatPct = CUSTOMS_VAT_PCT } = {}) => {
+  const groups = new Map()
+  const issues = { missing_tnved: [], missing_duty_rate: [], missing_origin: [], missing_value: [], missing_weight: [] }
+
+  for (const line of lines) {
+    const code = line.tnved_code ? String(line.tnved_code).trim() || UNASSIGNED_TNVED : UNASSIGNED_TNVED
+    const dutyRate = numOrNull(line.duty_rate)
+    const value = numOrNull(line.customs_value)
+    const weight = numOrNull(line.net_weight_kg)
+    const origin = line.origin_country ? String(line.origin_country).trim().toUpperCase() || null : null
+    const ref = line.supplier_purchase_order_line_id
+
+    if (code === UNASSIGNED_TNVED) issues.missing_tnved.push(ref)
+    else if (dutyRate === null) issues.missing_duty_rate.push(ref)
+    if (!origin) issues.missing_origin.push(ref)
+    if (value === null) issues.missing_value.push(ref)
+    if (weight === null) issues.missing_weight.push(ref)
+
+    const key = code || ''
+    if (!groups.has(key)) {
+      groups.set(key, {
+        tnved_code: code,
+        tnved_description: line.tnved_description || null,
+        duty_rate: code ? dutyRate : null,
+        origin_countries: new Set(),
+        line_count: 0,
+        quantity: 0,
+        customs_value: 0,
+        net_weight_kg: 0,
+        gross_weight_kg: 0,
+      })
+    }
+    const group = groups.get(key)
+    group.line_count += 1
+    group.quantity += Number(line.quantity || 0)
+    if (value !== null) group.customs_value += value
+    if (weight !== null) group.net_weight_kg += weight
+    group.gross_weight_kg += numOrNull(line.gross_weight_kg) ?? weight ?? 0
+    if (origin) group.origin_countries.add(origin)
+  }
+
+  const totals = { customs_value: 0, duty: 0, vat: 0, payments: 0, net_weight_kg: 0, gross_weight_kg: 0 }
+  const result = [...groups.values()]
+    .sort((a, b) => (a.tnved_code === null) - (b.tnved_code === null) || String(a.tnved_code).localeCompare(String(b.tnved_code)))
+    .map((group) => {
+      const customsValue = round2(group.customs_value)
+      const duty = group.duty_rate === null ? null : round2((customsValue * group.duty_rate) / 100)
+      const vat = duty === null ? null : round2(((customsValue + duty) * vatPct) / 100)
+      totals.customs_value += customsValue
+      totals.duty += duty || 0
+      totals.vat += vat || 0
+      totals.net_weight_kg += group.net_weight_kg
+      totals.gross_weight_kg += group.gross_weight_kg
+      return {
+        ...group,
+        origin_countries: [...group.origin_countries].sort(),
+        quantity: round3(group.quantity),
+        customs_value: customsValue,
+        net_weight_kg: round3(group.net_weight_kg),
+        gross_weight_kg: round3(group.gross_weight_kg),
+        vat_pct: vatPct,
+        duty,
+        vat,
+        payments_total: duty === null ? null : round2(duty + vat),
+      }
+    })
+
+  totals.customs_value = round2(totals.customs_value)
+  totals.duty = round2(totals.duty)
+  totals.vat = round2(totals.vat)
+  totals.payments = round2(totals.duty + totals.vat)
+  totals.net_weight_kg = round3(totals.net_weight_kg)
+  totals.gross_weight_kg = round3(totals.gross_weight_kg)
+  return { groups: result, totals, issues }
+}
+
+// Строки PO с кодом ТН ВЭД позиции каталога (позиция из заявки клиента или
+// первая связанная с деталью поставщика), весом и страной происхождения.
+const poLineCustomsSql = ({ qtyExpr, grossWeightExpr, from, where }) => `
+  SELECT pol.id AS supplier_purchase_order_line_id,
+         pol.supplier_purchase_order_id,
+         ${qtyExpr} AS quantity,
+         pol.price AS unit_price,
+         COALESCE(pol.currency, po.currency) AS currency,
+         pol.supplier_display_part_number_snapshot AS part_number,
+         pol.supplier_display_description_snapshot AS description,
+         cp.id AS catalog_position_id,
+         sp.weight_kg AS unit_weight_kg,
+         ${grossWeightExpr} AS gross_weight_kg,
+         rl.origin_country,
+         ${tnvedColumnsSql('cp')}
+    ${from}
+    JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+    LEFT JOIN rfq_response_lines rl ON rl.id = pol.rfq_response_line_id
+    LEFT JOIN supplier_parts sp ON sp.id = rl.supplier_part_id
+    LEFT JOIN selection_lines sel ON sel.id = pol.selection_line_id
+    LEFT JOIN rfq_items ri ON ri.id = sel.rfq_item_id
+    LEFT JOIN client_request_revision_items cri ON cri.id = ri.client_request_revision_item_id
+    LEFT JOIN catalog_positions cp ON cp.id = COALESCE(
+      cri.catalog_position_id,
+      (
+        SELECT MIN(spcp.catalog_position_id)
+          FROM supplier_part_catalog_positions spcp
+         WHERE spcp.supplier_part_id = rl.supplier_part_id
+      )
+    )
+    ${tnvedJoinSql('cp')}
+   WHERE ${where}
+   ORDER BY pol.supplier_purchase_order_id, pol.id
+`
+
+async function loadCustomsSource(conn, { shipmentId = null, contractId = null }) {
+  if (shipmentId) {
+    const [[shipment]] = await conn.execute(
+      'SELECT id, shipment_no, status, origin_country, destination_country FROM shipments WHERE id = ?',
+      [shipmentId]
+    )
+    if (!shipment) throw Object.assign(new Error('Отгрузка не найдена'), { statusCode: 404 })
+    const [rows] = await conn.execute(
+      poLineCustomsSql({
+        qtyExpr: 'sl.quantity',
+        grossWeightExpr: 'sl.gross_weight_kg',
+        from: `FROM shipment_lines sl
+               JOIN supplier_purchase_order_lines pol ON pol.id = sl.supplier_purchase_order_line_id`,
+        where: 'sl.shipment_id = ?',
+      }),
+      [shipmentId]
+    )
+    return { source: { type: 'shipment', id: Number(shipment.id), label: shipment.shipment_no, ...shipment }, rows }
+  }
+
+  const [[contract]] = await conn.execute(
+    `SELECT cc.id, cc.contract_number, cc.status, sq.selection_id
+       FROM client_contracts cc
+       JOIN sales_quotes sq ON sq.id = cc.sales_quote_id
+      WHERE cc.id = ?`,
+    [contractId]
+  )
+  if (!contract) throw Object.assign(new Error('Контракт не найден'), { statusCode: 404 })
+  const [rows] = await conn.execute(
+    poLineCustomsSql({
+      qtyExpr: 'pol.qty',
+      grossWeightExpr: 'NULL',
+      from: 'FROM supplier_purchase_order_lines pol',
+      where: `po.selection_id = ? AND po.status <> 'cancelled'`,
+    }),
+    [contract.selection_id]
+  )
+  return { source: { type: 'contract', id: Number(contract.id), label: contract.contract_number, ...contract }, rows }
+}
+
+/**
+ * Собирает пакет по отгрузке или контракту: строки с таможенной стоимостью
+ * в валюте декларации, группы по ТН ВЭД, итоги и замечания.
+ */
+async function buildCustomsPack(conn, { shipmentId = null, contractId = null, currency = CUSTOMS_CURRENCY } = {}) {
+  const { source, rows } = await loadCustomsSource(conn, { shipmentId, contractId })
+  if (!rows.length) {
+    throw Object.assign(new Error('Нет строк PO для таможенного пакета'), { statusCode: 409 })
+  }
+
+  const rates = new Map([[currency, 1]])
+  for (const code of new Set(rows.map((row) => normCode(row.currency)).filter(Boolean))) {
+    if (rates.has(code)) continue
+    rates.set(
+      code,
+      await getRate(code, currency)
+        .then((fx) => Number(fx.rate))
+        .catch(() => null)
+    )
+  }
+
+  const lines = rows.map((row) => {
+    const quantity = Number(row.quantity || 0)
+    const unitPrice = numOrNull(row.unit_price)
+    const rate = rates.get(normCode(row.currency)) ?? null
+    const unitWeight = numOrNull(row.unit_weight_kg)
+    return {
+      ...row,
+      quantity,
+      invoice_value: unitPrice === null ? null : round2(unitPrice * quantity),
+      fx_rate: rate,
+      customs_value: unitPrice === null || rate === null ? null : round2(unitPrice * quantity * rate),
+      net_weight_kg: unitWeight === null ? null : round3(unitWeight * quantity),
+      duty_rate: numOrNull(row.duty_rate),
+    }
+  })
+  const summary = summarizeCustomsPack(lines)
+  return {
+    source,
+    currency,
+    vat_pct: CUSTOMS_VAT_PCT,
+    fx_rates: Object.fromEntries(rates),
+    lines,
+    ...summary,
+  }
+}
+
+const styleHeaderRow = (sheet) => {
+  const header = sheet.getRow(1)
+  header.height = 24
+  header.eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFFFF' } }
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2563EB' } }
+    cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true }
+  })
+}
+
+async function buildCustomsPackWorkbook(pack) {
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = 'Crusher Parts'
+  workbook.created = new Date()
+
+  const declaration = workbook.addWorksheet('Предварительная декларация', { views: [{ state: 'frozen', ySplit: 1 }] })
+  declaration.columns = [
+    { header: '№', key: 'index', width: 6 },
+    { header: 'Код ТН ВЭД', key: 'tnved_code', width: 16 },
+    { header: 'Описание кода', key: 'tnved_description', width: 40 },
+    { header: 'Страны происхождения', key: 'origin_countries', width: 16 },
+    { header: 'Строк', key: 'line_count', width: 8 },
+    { header: 'Количество', key: 'quantity', width: 12 },
+    { header: 'Вес нетто, кг', key: 'net_weight_kg', width: 14 },
+    { header: 'Вес брутто, кг', key: 'gross_weight_kg', width: 14 },
+    { header: `Таможенная стоимость, ${pack.currency}`, key: 'customs_value', width: 20 },
+    { header: 'Пошлина, %', key: 'duty_rate', width: 12 },
+    { header: `Пошлина, ${pack.currency}`, key: 'duty', width: 16 },
+    { header: 'НДС, %', key: 'vat_pct', width: 10 },
+    { header: `НДС, ${pack.currency}`, key: 'vat', width: 16 },
+    { header: `Итого платежей, ${pack.currency}`, key: 'payments_total', width: 18 },
+  ]
+  pack.groups.forEach((group, index) => {
+    declaration.addRow({
+      ...group,
+      index: index + 1,
+      tnved_code: group.tnved_code || 'БЕЗ КОДА',
+      origin_countries: group.origin_countries.join(', ') || '—',
+    })
+  })
+  const totalRow = declaration.addRow({
+    tnved_code: 'ИТОГО',
+    net_weight_kg: pack.totals.net_weight_kg,
+    gross_weight_kg: pack.totals.gross_weight_kg,
+    customs_value: pack.totals.customs_value,
+    duty: pack.totals.duty,
+    vat: pack.totals.vat,
+    payments_total: pack.totals.payments,
+  })
+  totalRow.font = { bold: true }
+  styleHeaderRow(declaration)
+  ;['F', 'G', 'H'].forEach((col) => {
+    declaration.getColumn(col).numFmt = '#,##0.###'
+  })
+  ;['I', 'K', 'M', 'N'].forEach((col) => {
+    declaration.getColumn(col).numFmt = '#,##0.00'
+  })
+
+  const linesSheet = workbook.addWorksheet('Строки', { views: [{ state: 'frozen', ySplit: 1 }] })
+  linesSheet.columns = [
+    { header: 'PO', key: 'supplier_purchase_order_id', width: 8 },
+    { header: 'Строка PO', key: 'supplier_purchase_order_line_id', width: 10 },
+    { header: 'Номер', key: 'part_number', width: 24 },
+    { header: 'Описание', key: 'description', width: 40 },
+    { header: 'Код ТН ВЭД', key: 'tnved_code', width: 16 },
+    { header: 'Страна', key: 'origin_country', width: 8 },
+    { header: 'Количество', key: 'quantity', width: 12 },
+    { header: 'Цена', key: 'unit_price', width: 12 },
+    { header: 'Валюта', key: 'currency', width: 8 },
+    { header: 'Курс', key: 'fx_rate', width: 10 },
+    { header: `Таможенная стоимость, ${pack.currency}`, key: 'customs_value', width: 20 },
+    { header: 'Вес нетто, кг', key: 'net_weight_kg', width: 14 },
+  ]
+  pack.lines.forEach((line) => linesSheet.addRow(line))
+  styleHeaderRow(linesSheet)
+
+  const issuesSheet = workbook.addWorksheet('Замечания')
+  issuesSheet.columns = [
+    { header: 'Замечание', key: 'issue', width: 36 },
+    { header: 'Строки PO', key: 'lines', width: 80 },
+  ]
+  const issueLabels = {
+    missing_tnved: 'Нет кода ТН ВЭД',
+    missing_duty_rate: 'Нет ставки пошлины в справочнике',
+    missing_origin: 'Нет страны происхождения',
+    missing_value: 'Нет цены или курса валюты',
+    missing_weight: 'Нет веса детали',
+  }
+  Object.entries(pack.issues).forEach(([key, refs]) => {
+    if (refs.length) issuesSheet.addRow({ issue: issueLabels[key] || key, lines: refs.join(', ') })
+  })
+  styleHeaderRow(issuesSheet)
+
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}
+
+/**
+ * Ставки пошлины по позициям каталога — для расчёта КП (customs_pct).
+ * Возвращает Map(catalog_position_id → { tnved_code, duty_rate }).
+ */
+async function loadCatalogPositionDutyRates(conn, catalogPositionIds) {
+  const ids = [...new Set((catalogPositionIds || []).map(Number).filter((id) => Number.isInteger(id) && id > 0))]
+  const result = new Map()
+  if (!ids.length) return result
+  const [rows] = await conn.execute(
+    `SELECT cp.id AS catalog_position_id,
+            ${tnvedColumnsSql('cp')}
+       FROM catalog_positions cp
+       ${tnvedJoinSql('cp')}
+      WHERE cp.id IN (${ids.map(() => '?').join(',')})`,
+    ids
+  )
+  for (const row of rows) {
+    result.set(Number(row.catalog_position_id), {
+      tnved_code: row.tnved_code || null,
+      duty_rate: numOrNull(row.duty_rate),
+    })
+  }
+  return result
+}
+
+module.exports = {
+  CUSTOMS_CURRENCY,
+  CUSTOMS_VAT_PCT,
+  summarizeCustomsPack,
+  buildCustomsPack,
+  buildCustomsPackWorkbook,
+  loadCatalogPositionDutyRates,
+}
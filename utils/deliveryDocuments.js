@@ -0,0 +1,604 @@
+// utils/deliveryDocuments.js
+// Упаковочный лист и отгрузочная накладная по контракту клиента.
+// Строки берутся из складских движений, привязанных к контракту: либо из
+// конкретного складского документа, либо из действующих резервов под PO
+// выбора закупки, под заявку клиента или под сам контракт.
+// Вес и габариты — из карточки детали поставщика, ТН ВЭД — из позиции
+// каталога, страна происхождения — из ответа поставщика по строке PO.
+
+const {
+  createPdfBuffer,
+  uploadPdfBuffer,
+  beginDocument,
+  drawFieldGrid,
+  drawSimpleTable,
+  formatDate,
+  formatDateRu,
+} = require('./documentPdf')
+const { createDocxBuffer, uploadDocxBuffer } = require('./documentDocx')
+const { fetchCurrentCompanyLegalProfile, parseSnapshot } = require('./companyLegalProfiles')
+const { getClientFacingPartNumber, getClientFacingDescription } = require('./partPresentation')
+const {
+  Paragraph,
+  TextRun,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  BorderStyle,
+  HeadingLevel,
+  ShadingType,
+} = require('docx')
+
+const toId = (v) => {
+  const n = Number(v)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+const numOrNull = (v) => {
+  if (v === undefined || v === null || v === '') return null
+  const n = Number(v)
+  return Number.isFinite(n) ? n : null
+}
+const round3 = (value) => Math.round(value * 1000) / 1000
+const round4 = (value) => Math.round(value * 10000) / 10000
+
+const DELIVERY_DOCUMENT_KINDS = {
+  packing_list: { prefix: 'PL', folder: 'packing-lists' },
+  delivery_note: { prefix: 'DN', folder: 'delivery-notes' },
+}
+const DELIVERY_DOCUMENT_LANGUAGES = new Set(['ru', 'en'])
+const DELIVERY_DOCUMENT_FORMATS = new Set(['pdf', 'docx'])
+// Сколько раз пересобирать документ, если номер занят параллельной генерацией
+const NUMBER_ATTEMPTS = 3
+
+const LABELS = {
+  ru: {
+    packing_list: 'Упаковочный лист',
+    delivery_note: 'Отгрузочная накладная',
+    number_date: (no, date) => `№ ${no} от ${formatDateRu(date)}`,
+    contract: 'Контракт',
+    contract_value: (no, date) => `№ ${no} от ${formatDateRu(date)}`,
+    seller: 'Продавец',
+    buyer: 'Покупатель',
+    consignee_address: 'Адрес доставки',
+    warehouse_document: 'Складской документ',
+    basis_reservations: 'по резервам склада под контракт',
+    line: '№',
+    part_number: 'Номер',
+    description: 'Описание',
+    qty: 'Кол-во',
+    uom: 'Ед.',
+    tnved: 'ТН ВЭД',
+    origin: 'Страна',
+    unit_weight: 'Вес ед., кг',
+    net_weight: 'Нетто, кг',
+    dimensions: 'Габариты, см',
+    totals: 'Итого',
+    total_qty: 'Количество',
+    total_net_weight: 'Вес нетто, кг',
+    total_volume: 'Объём, м³',
+    missing_data: 'Не заполнены данные',
+    missing_weight: 'вес',
+    missing_tnved: 'ТН ВЭД',
+    missing_origin: 'страна происхождения',
+    released_by: 'Отпустил',
+    received_by: 'Получил',
+    signature: '________________________ / подпись, ФИО',
+  },
+  en: {
+    packing_list: 'Packing list',
+    delivery_note: 'Delivery note',
+    number_date: (no, date) => `No. ${no} dated ${formatDate(date)}`,
+    contract: 'Contract',
+    contract_value: (no, date) => `No. ${no} dated ${formatDate(date)}`,
+    seller: 'Seller',
+    buyer: 'Buyer',
+    consignee_address: 'Delivery address',
+    warehouse_document: 'Warehouse document',
+    basis_reservations: 'stock reserved for the contract',
+    line: 'No.',
+    part_number: 'Part number',
+    description: 'Description',
+    qty: 'Qty',
+    uom: 'UoM',
+    tnved: 'HS code',
+    origin: 'Origin',
+    unit_weight: 'Unit wt, kg',
+    net_weight: 'Net, kg',
+    dimensions: 'Dimensions, cm',
+    totals: 'Totals',
+    total_qty: 'Quantity',
+    total_net_weight: 'Net weight, kg',
+    total_volume: 'Volume, m³',
+    missing_data: 'Missing data',
+    missing_weight: 'weight',
+    missing_tnved: 'HS code',
+    missing_origin: 'country of origin',
+    released_by: 'Released by',
+    received_by: 'Received by',
+    signature: '________________________ / signature, name',
+  },
+}
+
+/**
+ * Рассчитывает вес/объём по строкам и итоги документа, отмечая строки
+ * без веса, кода ТН ВЭД или страны происхождения.
+ */
+const summarizeDeliveryLines = (rows = []) => {
+  const totals = { quantity: 0, net_weight_kg: 0, volume_m3: 0, missing_weight: 0, missing_tnved: 0, missing_origin: 0 }
+  const lines = rows.map((row, index) => {
+    const quantity = Number(row.quantity || 0)
+    const unitWeight = numOrNull(row.weight_kg)
+    const dims = [numOrNull(row.length_cm), numOrNull(row.width_cm), numOrNull(row.height_cm)]
+    const hasDims = dims.every((value) => value !== null && value > 0)
+    const netWeight = unitWeight === null ? null : round3(unitWeight * quantity)
+    const volume = hasDims ? round4(((dims[0] * dims[1] * dims[2]) / 1e6) * quantity) : null
+    const tnvedCode = row.tnved_code ? String(row.tnved_code).trim() || null : null
+    const originCountry = row.origin_country ? String(row.origin_country).trim().toUpperCase() || null : null
+
+    totals.quantity += quantity
+    if (netWeight !== null) totals.net_weight_kg += netWeight
+    else totals.missing_weight += 1
+    if (volume !== null) totals.volume_m3 += volume
+    if (!tnvedCode) totals.missing_tnved += 1
+    if (!originCountry) totals.missing_origin += 1
+
+    return {
+      ...row,
+      line_number: index + 1,
+      quantity,
+      unit_weight_kg: unitWeight,
+      net_weight_kg: netWeight,
+      dimensions_cm: hasDims ? dims.join('×') : null,
+      volume_m3: volume,
+      tnved_code: tnvedCode,
+      origin_country: originCountry,
+    }
+  })
+  totals.quantity = round3(totals.quantity)
+  totals.net_weight_kg = round3(totals.net_weight_kg)
+  totals.volume_m3 = round4(totals.volume_m3)
+  return { lines, totals }
+}
+
+// Строка склада относится к контракту, если её источник — PO выбора закупки
+// контракта, заявка клиента или сам контракт.
+const contractScopeSql = (lineAlias, docAlias) => {
+  const sourceType = `COALESCE(${lineAlias}.source_type, ${docAlias}.source_type)`
+  const sourceId = `CAST(NULLIF(COALESCE(${lineAlias}.source_id, ${docAlias}.source_id), '') AS UNSIGNED)`
+  return `(
+    (
+      ${sourceType} = 'purchase_order'
+      AND ${sourceId} IN (
+        SELECT po_scope.id
+          FROM supplier_purchase_orders po_scope
+         WHERE po_scope.selection_id = ?
+           AND po_scope.status <> 'cancelled'
+      )
+    )
+    OR (${sourceType} IN ('client_request', 'request') AND ${sourceId} = ?)
+    OR (${sourceType} IN ('client_contract', 'contract') AND ${sourceId} = ?)
+  )`
+}
+
+const itemDetailsSql = (itemsSql) => `
+  SELECT item.*,
+         sp.supplier_part_number,
+         sp.canonical_part_number,
+         sp.description_ru AS supplier_description_ru,
+         sp.description_en AS supplier_description_en,
+         COALESCE(sp.uom, cp.uom) AS uom,
+         sp.weight_kg,
+         sp.length_cm,
+         sp.width_cm,
+         sp.height_cm,
+         cp.manufacturer_part_number AS original_cat_number,
+         cp.display_name_ru,
+         cp.display_name_en,
+         sel.client_display_part_number_snapshot AS client_display_part_number,
+         sel.client_display_description_snapshot AS client_display_description,
+         COALESCE(tn.code, NULLIF(JSON_UNQUOTE(JSON_EXTRACT(cp.meta_json, '$.tnved_code')), '')) AS tnved_code,
+         rl.origin_country
+    FROM (${itemsSql}) item
+    JOIN supplier_parts sp ON sp.id = item.supplier_part_id
+    LEFT JOIN catalog_positions cp ON cp.id = COALESCE(
+      item.catalog_position_id,
+      (
+        SELECT MIN(spcp.catalog_position_id)
+          FROM supplier_part_catalog_positions spcp
+         WHERE spcp.supplier_part_id = item.supplier_part_id
+      )
+    )
+    LEFT JOIN tnved_codes tn
+      ON tn.id = CAST(JSON_UNQUOTE(JSON_EXTRACT(cp.meta_json, '$.tnved_code_id')) AS UNSIGNED)
+    LEFT JOIN supplier_purchase_order_lines pol
+      ON item.source_type = 'purchase_order'
+     AND pol.id = CAST(NULLIF(item.source_line_id, '') AS UNSIGNED)
+    LEFT JOIN selection_lines sel ON sel.id = pol.selection_line_id
+    LEFT JOIN rfq_response_lines rl ON rl.id = pol.rfq_response_line_id
+   ORDER BY item.first_line_id
+`
+
+async function loadContractDeliveryContext(
+  conn,
+  contractId,
+  { warehouseDocumentId = null, shippingAddressId = null } = {}
+) {
+  const [[contract]] = await conn.execute(
+    `SELECT cc.*,
+            c.id AS client_id,
+            c.company_name AS client_name,
+            c.tax_id AS client_inn,
+            sq.selection_id,
+            cr.client_request_id
+       FROM client_contracts cc
+       JOIN sales_quotes sq ON sq.id = cc.sales_quote_id
+       JOIN client_request_revisions cr ON cr.id = sq.client_request_revision_id
+       JOIN client_requests req ON req.id = cr.client_request_id
+       JOIN clients c ON c.id = req.client_id
+      WHERE cc.id = ?`,
+    [contractId]
+  )
+  if (!contract) return null
+
+  const scopeParams = [toId(contract.selection_id), toId(contract.client_request_id), Number(contract.id)]
+  let warehouseDocument = null
+  let itemsSql
+  let itemsParams
+  if (warehouseDocumentId) {
+    const [[doc]] = await conn.execute(
+      `SELECT id, document_no, doc_type, status, document_date, warehouse_id
+         FROM warehouse_documents
+        WHERE id = ?`,
+      [warehouseDocumentId]
+    )
+    if (!doc) throw Object.assign(new Error('Складской документ не найден'), { statusCode: 404 })
+    if (doc.status !== 'posted') {
+      throw Object.assign(new Error('Документы на отгрузку формируются только по проведённому складскому документу'), {
+        statusCode: 409,
+      })
+    }
+    warehouseDocument = doc
+    itemsSql = `
+      SELECT line.supplier_part_id,
+             MAX(line.catalog_position_id) AS catalog_position_id,
+             COALESCE(line.source_type, doc.source_type) AS source_type,
+             COALESCE(line.source_id, doc.source_id, '') AS source_id,
+             COALESCE(line.source_line_id, doc.source_line_id, '') AS source_line_id,
+             SUM(line.quantity) AS quantity,
+             MIN(line.id) AS first_line_id
+        FROM warehouse_document_lines line
+        JOIN warehouse_documents doc ON doc.id = line.document_id
+       WHERE doc.id = ?
+         AND line.supplier_part_id IS NOT NULL
+         AND ${contractScopeSql('line', 'doc')}
+       GROUP BY line.supplier_part_id,
+                COALESCE(line.source_type, doc.source_type),
+                COALESCE(line.source_id, doc.source_id, ''),
+                COALESCE(line.source_line_id, doc.source_line_id, '')`
+    itemsParams = [doc.id, ...scopeParams]
+  } else {
+    itemsSql = `
+      SELECT m.supplier_part_id,
+             COALESCE(MAX(m.catalog_position_id), MAX(line.catalog_position_id)) AS catalog_position_id,
+             COALESCE(line.source_type, doc.source_type, 'manual') AS source_type,
+             COALESCE(line.source_id, doc.source_id, '') AS source_id,
+             COALESCE(line.source_line_id, doc.source_line_id, '') AS source_line_id,
+             COALESCE(SUM(m.reserved_delta), 0) AS quantity,
+             MIN(m.id) AS first_line_id
+        FROM warehouse_stock_movements m
+        JOIN warehouse_documents doc ON doc.id = m.document_id
+        LEFT JOIN warehouse_document_lines line ON line.id = m.document_line_id
+       WHERE m.movement_type IN ('reserve', 'unreserve')
+         AND m.supplier_part_id IS NOT NULL
+         AND ${contractScopeSql('line', 'doc')}
+       GROUP BY m.supplier_part_id,
+                COALESCE(line.source_type, doc.source_type, 'manual'),
+                COALESCE(line.source_id, doc.source_id, ''),
+                COALESCE(line.source_line_id, doc.source_line_id, '')
+      HAVING quantity > 0`
+    itemsParams = scopeParams
+  }
+
+  const [rows] = await conn.execute(itemDetailsSql(itemsSql), itemsParams)
+  if (!rows.length) {
+    throw Object.assign(
+      new Error(
+        warehouseDocument
+          ? 'В складском документе нет строк, относящихся к контракту'
+          : 'Под контракт нет зарезервированных на складе позиций'
+      ),
+      { statusCode: 409 }
+    )
+  }
+
+  const [addresses] = await conn.execute(
+    `SELECT id, formatted_address
+       FROM client_shipping_addresses
+      WHERE client_id = ?
+        ${shippingAddressId ? 'AND id = ?' : ''}
+      ORDER BY id DESC
+      LIMIT 1`,
+    shippingAddressId ? [contract.client_id, shippingAddressId] : [contract.client_id]
+  )
+  if (shippingAddressId && !addresses.length) {
+    throw Object.assign(new Error('Адрес доставки клиента не найден'), { statusCode: 404 })
+  }
+
+  return {
+    contract,
+    warehouseDocument,
+    shippingAddress: addresses[0] || null,
+    legalProfile:
+      parseSnapshot(contract.company_legal_snapshot_json) ||
+      (await fetchCurrentCompanyLegalProfile(conn, contract.contract_date)),
+    ...summarizeDeliveryLines(rows),
+  }
+}
+
+const lineDescription = (line, language) =>
+  getClientFacingDescription(
+    line,
+    (language === 'en'
+      ? line.display_name_en || line.supplier_description_en || line.display_name_ru || line.supplier_description_ru
+      : line.display_name_ru || line.supplier_description_ru || line.display_name_en || line.supplier_description_en) ||
+      '—'
+  )
+
+const documentRows = (lines, language) =>
+  lines.map((line) => ({
+    line_number: line.line_number,
+    part_number: getClientFacingPartNumber(line, line.canonical_part_number || line.supplier_part_number || '—'),
+    description: lineDescription(line, language),
+    qty: line.quantity,
+    uom: line.uom || '—',
+    tnved: line.tnved_code || '—',
+    origin: line.origin_country || '—',
+    unit_weight: line.unit_weight_kg ?? '—',
+    net_weight: line.net_weight_kg ?? '—',
+    dimensions: line.dimensions_cm || '—',
+  }))
+
+const headerFields = (context, language) => {
+  const t = LABELS[language]
+  const { contract, legalProfile, shippingAddress, warehouseDocument } = context
+  const sellerName =
+    language === 'en'
+      ? legalProfile?.full_name_en || legalProfile?.short_name_ru || legalProfile?.full_name_ru
+      : legalProfile?.full_name_ru || legalProfile?.short_name_ru
+  return [
+    { label: t.contract, value: t.contract_value(contract.contract_number, contract.contract_date) },
+    { label: t.seller, value: sellerName || '—' },
+    { label: t.buyer, value: contract.client_name },
+    { label: t.consignee_address, value: shippingAddress?.formatted_address || '—' },
+    {
+      label: t.warehouse_document,
+      value: warehouseDocument ? warehouseDocument.document_no || `#${warehouseDocument.id}` : t.basis_reservations,
+    },
+  ]
+}
+
+const totalsFields = (context, language) => {
+  const t = LABELS[language]
+  const { totals } = context
+  const fields = [
+    { label: t.total_qty, value: String(totals.quantity) },
+    { label: t.total_net_weight, value: String(totals.net_weight_kg) },
+    { label: t.total_volume, value: String(totals.volume_m3) },
+  ]
+  const missing = [
+    totals.missing_weight ? `${t.missing_weight}: ${totals.missing_weight}` : null,
+    totals.missing_tnved ? `${t.missing_tnved}: ${totals.missing_tnved}` : null,
+    totals.missing_origin ? `${t.missing_origin}: ${totals.missing_origin}` : null,
+  ].filter(Boolean)
+  if (missing.length) fields.push({ label: t.missing_data, value: missing.join('; ') })
+  return fields
+}
+
+// Упаковочный лист показывает габариты, накладная — вес единицы.
+const tableColumns = (kind, language) => {
+  const t = LABELS[language]
+  const last =
+    kind === 'packing_list'
+      ? { title: t.dimensions, key: 'dimensions', width: 64, docx: 13 }
+      : { title: t.unit_weight, key: 'unit_weight', width: 64, docx: 13 }
+  return [
+    { title: t.line, key: 'line_number', width: 22, docx: 5 },
+    { title: t.part_number, key: 'part_number', width: 80, docx: 15 },
+    { title: t.description, key: 'description', width: 118, docx: 22 },
+    { title: t.qty, key: 'qty', width: 36, docx: 7 },
+    { title: t.uom, key: 'uom', width: 28, docx: 6 },
+    { title: t.tnved, key: 'tnved', width: 62, docx: 12 },
+    { title: t.origin, key: 'origin', width: 38, docx: 8 },
+    { title: t.net_weight, key: 'net_weight', width: 50, docx: 12 },
+    last,
+  ]
+}
+
+const buildDeliveryPdf = (context, { kind, language, documentNo, documentDate }) =>
+  createPdfBuffer(async (doc, ctx) => {
+    const t = LABELS[language]
+    beginDocument(doc, {
+      title: t[kind],
+      subtitle: t.number_date(documentNo, documentDate),
+      logoPath: ctx.logoPath,
+      regularFont: ctx.regularFont,
+      boldFont: ctx.boldFont,
+    })
+    drawFieldGrid(doc, headerFields(context, language), ctx)
+    drawSimpleTable(doc, tableColumns(kind, language), documentRows(context.lines, language), ctx)
+    doc.moveDown(0.6)
+    doc.font(ctx.boldFont ? 'bold' : 'Helvetica-Bold').fontSize(12).fillColor('#163A70').text(t.totals, 48)
+    doc.moveDown(0.4)
+    drawFieldGrid(doc, totalsFields(context, language), ctx)
+    doc.moveDown(0.8)
+    drawFieldGrid(
+      doc,
+      [
+        { label: t.released_by, value: t.signature },
+        { label: t.received_by, value: t.signature },
+      ],
+      ctx
+    )
+  })
+
+const docxLabelValue = (label, value) =>
+  new Paragraph({
+    spacing: { after: 100 },
+    children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun({ text: value ?? '—' })],
+  })
+
+const docxTableCell = (text, opts = {}) =>
+  new TableCell({
+    width: opts.width ? { size: opts.width, type: WidthType.PERCENTAGE } : undefined,
+    shading: opts.header ? { fill: 'EAF2FF', type: ShadingType.CLEAR, color: 'auto' } : undefined,
+    borders: {
+      top: { style: BorderStyle.SINGLE, size: 1, color: 'D9D9D9' },
+      bottom: { style: BorderStyle.SINGLE, size: 1, color: 'D9D9D9' },
+      left: { style: BorderStyle.SINGLE, size: 1, color: 'D9D9D9' },
+      right: { style: BorderStyle.SINGLE, size: 1, color: 'D9D9D9' },
+    },
+    children: [
+      new Paragraph({
+        spacing: { after: 60 },
+        children: [new TextRun({ text: text == null ? '—' : String(text), bold: Boolean(opts.header), size: 18 })],
+      }),
+    ],
+  })
+
+const buildDeliveryDocx = (context, { kind, language, documentNo, documentDate }) => {
+  const t = LABELS[language]
+  const columns = tableColumns(kind, language)
+  const rows = documentRows(context.lines, language)
+  return createDocxBuffer([
+    {
+      properties: {},
+      children: [
+        new Paragraph({
+          spacing: { after: 220 },
+          children: [new TextRun({ text: 'GOK', bold: true, size: 34, color: '1E4ED8' })],
+        }),
+        new Paragraph({ text: t[kind].toUpperCase(), heading: HeadingLevel.TITLE, spacing: { after: 160 } }),
+        new Paragraph({ text: t.number_date(documentNo, documentDate), spacing: { after: 240 } }),
+        ...headerFields(context, language).map((field) => docxLabelValue(field.label, field.value)),
+        new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: [
+            new TableRow({
+              tableHeader: true,
+              children: columns.map((col) => docxTableCell(col.title, { header: true, width: col.docx })),
+            }),
+            ...rows.map(
+              (row) => new TableRow({ children: columns.map((col) => docxTableCell(row[col.key], { width: col.docx })) })
+            ),
+          ],
+        }),
+        new Paragraph({ text: t.totals, heading: HeadingLevel.HEADING_2, spacing: { before: 220, after: 120 } }),
+        ...totalsFields(context, language).map((field) => docxLabelValue(field.label, field.value)),
+        new Paragraph({ spacing: { before: 280, after: 120 }, text: `${t.released_by}: ${t.signature}` }),
+        new Paragraph({ spacing: { after: 120 }, text: `${t.received_by}: ${t.signature}` }),
+      ],
+    },
+  ])
+}
+
+/**
+ * Формирует документ, загружает его в GCS и регистрирует в
+ * client_contract_delivery_documents.
+ */
+async function generateContractDeliveryDocument(
+  conn,
+  contractId,
+  { kind, language = 'ru', format = 'pdf', warehouseDocumentId = null, shippingAddressId = null, userId = null }
+) {
+  if (!DELIVERY_DOCUMENT_KINDS[kind]) {
+    throw Object.assign(new Error('Неизвестный вид документа'), { statusCode: 400 })
+  }
+  if (!DELIVERY_DOCUMENT_LANGUAGES.has(language)) {
+    throw Object.assign(new Error('Язык документа: ru или en'), { statusCode: 400 })
+  }
+  if (!DELIVERY_DOCUMENT_FORMATS.has(format)) {
+    throw Object.assign(new Error('Формат документа: pdf или docx'), { statusCode: 400 })
+  }
+  const context = await loadContractDeliveryContext(conn, contractId, { warehouseDocumentId, shippingAddressId })
+  if (!context) throw Object.assign(new Error('Контракт не найден'), { statusCode: 404 })
+
+  const { prefix, folder } = DELIVERY_DOCUMENT_KINDS[kind]
+  const payload = {
+    contract_id: Number(contractId),
+    warehouse_document_id: context.warehouseDocument ? Number(context.warehouseDocument.id) : null,
+    totals: context.totals,
+    lines: context.lines.map((line) => ({
+      supplier_part_id: line.supplier_part_id,
+      catalog_position_id: line.catalog_position_id,
+      source_type: line.source_type,
+      source_id: line.source_id,
+      source_line_id: line.source_line_id,
+      quantity: line.quantity,
+      net_weight_kg: line.net_weight_kg,
+      volume_m3: line.volume_m3,
+      tnved_code: line.tnved_code,
+      origin_country: line.origin_country,
+    })),
+  }
+
+  // Номер занимает уникальный ключ (контракт, вид, seq): если параллельный запрос
+  // успел раньше, документ собирается заново со следующим номером.
+  for (let attempt = 1; ; attempt += 1) {
+    const [[{ seq }]] = await conn.execute(
+      'SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM client_contract_delivery_documents WHERE client_contract_id = ? AND doc_kind = ?',
+      [contractId, kind]
+    )
+    const documentNo = `${prefix}-${context.contract.contract_number || contractId}-${seq}`
+    const documentDate = new Date()
+    const options = { kind, language, documentNo, documentDate }
+    const buffer =
+      format === 'docx' ? await buildDeliveryDocx(context, options) : await buildDeliveryPdf(context, options)
+    const fileName = `${folder.slice(0, -1)}-${contractId}-${language}-${Date.now()}.${format}`
+    const upload = format === 'docx' ? uploadDocxBuffer : uploadPdfBuffer
+    const fileUrl = await upload({ folder, fileName, buffer })
+
+    let ins
+    try {
+      ;[ins] = await conn.execute(
+        `INSERT INTO client_contract_delivery_documents
+          (client_contract_id, doc_kind, language, format, seq, document_no, warehouse_document_id,
+           shipping_address_id, file_name, file_url, payload_json, created_by)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`,
+        [
+          contractId,
+          kind,
+          language,
+          format,
+          seq,
+          documentNo,
+          payload.warehouse_document_id,
+          context.shippingAddress ? Number(context.shippingAddress.id) : null,
+          fileName,
+          fileUrl,
+          JSON.stringify(payload),
+          userId,
+        ]
+      )
+    } catch (err) {
+      if (err?.code === 'ER_DUP_ENTRY' && attempt < NUMBER_ATTEMPTS) continue
+      throw err
+    }
+    return {
+      id: ins.insertId,
+      document_no: documentNo,
+      doc_kind: kind,
+      language,
+      format,
+      file_url: fileUrl,
+      totals: context.totals,
+    }
+  }
+}
+
+module.exports = {
+  DELIVERY_DOCUMENT_KINDS,
+  summarizeDeliveryLines,
+  loadContractDeliveryContext,
+  generateContractDeliveryDocument,
+}
@@ -0,0 +1,186 @@
+// utils/mailTemplates.js
+// Шаблоны исходящих писем по языкам. Язык берётся из карточки получателя
+// (part_suppliers.language и т.п.); неизвестный язык откатывается на русский.
+
+const DEFAULT_LANG = 'ru'
+
+const normalizeLang = (value) => {
+  const lang = String(value || '').trim().toLowerCase()
+  return lang === 'en' ? 'en' : DEFAULT_LANG
+}
+
+const line = (label, value) => (value ? `${label}: ${value}` : null)
+
+const signature = (company = {}) =>
+  [company.name, company.email, company.phone, company.website].filter(Boolean).join('\n')
+
+const ENTITY_LABELS = {
+  ru: {
+    client_requests: 'Заявка',
+    rfqs: 'RFQ',
+    client_contracts: 'Контракт',
+    supplier_purchase_orders: 'Заказ поставщику',
+    other: 'Прочее',
+  },
+  en: {
+    client_requests: 'Client request',
+    rfqs: 'RFQ',
+    client_contracts: 'Contract',
+    supplier_purchase_orders: 'Purchase order',
+    other: 'Other',
+  },
+}
+
+const entityHeading = (lang, group) => {
+  const labels = ENTITY_LABELS[lang]
+  if (!group.entity_type) return labels.other
+  const kind = labels[group.entity_type] || group.entity_type
+  return `${kind} ${group.entity_title || `#${group.entity_id}`}`
+}
+
+const notificationLine = (item) => `• ${[item.title, item.message].filter(Boolean).join(' — ')}`
+
+const digestBody = (lang, groups) =>
+  groups.flatMap((group) => [entityHeading(lang, group), ...group.notifications.map(notificationLine), ''])
+
+const TEMPLATES = {
+  rfq_dispatch: {
+    ru: (ctx) => ({
+      subject: `Запрос цен ${ctx.rfq_number}${ctx.rev_number ? ` (ревизия ${ctx.rev_number})` : ''} — ${ctx.supplier_name}`,
+      text: [
+        ctx.contact_person ? `Здравствуйте, ${ctx.contact_person}!` : 'Здравствуйте!',
+        '',
+        ctx.mode === 'delta'
+          ? `Направляем изменения по запросу ${ctx.rfq_number}: новые и изменённые позиции во вложении.`
+          : `Просим предоставить коммерческое предложение по запросу ${ctx.rfq_number}.`,
+        'Заполните, пожалуйста, цены, валюту и сроки в приложенном файле и отправьте его в ответ на это письмо, не меняя структуру листа.',
+        '',
+        line('Строк в запросе', ctx.rows_total),
+        line('Файл', ctx.file_name),
+        '',
+        'С уважением,',
+        signature(ctx.company),
+      ]
+        .filter((row) => row !== null)
+        .join('\n'),
+    }),
+    en: (ctx) => ({
+      subject: `Request for quotation ${ctx.rfq_number}${ctx.rev_number ? ` (revision ${ctx.rev_number})` : ''} — ${ctx.supplier_name}`,
+      text: [
+        ctx.contact_person ? `Dear ${ctx.contact_person},` : 'Dear Sir or Madam,',
+        '',
+        ctx.mode === 'delta'
+          ? `Please find attached the new and changed lines of RFQ ${ctx.rfq_number}.`
+          : `Please quote the items listed in the attached RFQ ${ctx.rfq_number}.`,
+        'Fill in prices, currency and lead times in the attached workbook and send it back as a reply to this email without changing the sheet layout.',
+        '',
+        line('Lines requested', ctx.rows_total),
+        line('File', ctx.file_name),
+        '',
+        'Best regards,',
+        signature(ctx.company),
+      ]
+        .filter((row) => row !== null)
+        .join('\n'),
+    }),
+  },
+  notification: {
+    ru: (ctx) => ({
+      subject: `Crusher Parts: ${ctx.title}`,
+      text: [
+        ctx.full_name ? `Здравствуйте, ${ctx.full_name}!` : 'Здравствуйте!',
+        '',
+        ctx.title,
+        ctx.message || null,
+        ctx.entity_type ? entityHeading('ru', ctx) : null,
+        '',
+        'Настроить уведомления можно в профиле пользователя.',
+      ]
+        .filter((row) => row !== null)
+        .join('\n'),
+    }),
+    en: (ctx) => ({
+      subject: `Crusher Parts: ${ctx.title}`,
+      text: [
+        ctx.full_name ? `Hello ${ctx.full_name},` : 'Hello,',
+        '',
+        ctx.title,
+        ctx.message || null,
+        ctx.entity_type ? entityHeading('en', ctx) : null,
+        '',
+        'You can change notification settings in your user profile.',
+      ]
+        .filter((row) => row !== null)
+        .join('\n'),
+    }),
+  },
+  notification_digest: {
+    ru: (ctx) => ({
+      subject: `Crusher Parts: непрочитанные уведомления (${ctx.total})`,
+      text: [
+        ctx.full_name ? `Здравствуйте, ${ctx.full_name}!` : 'Здравствуйте!',
+        '',
+        `Непрочитанных уведомлений: ${ctx.total}.`,
+        '',
+        ...digestBody('ru', ctx.groups || []),
+        'Настроить уведомления можно в профиле пользователя.',
+      ].join('\n'),
+    }),
+    en: (ctx) => ({
+      subject: `Crusher Parts: unread notifications (${ctx.total})`,
+      text: [
+        ctx.full_name ? `Hello ${ctx.full_name},` : 'Hello,',
+        '',
+        `Unread notifications: ${ctx.total}.`,
+        '',
+        ...digestBody('en', ctx.groups || []),
+        'You can change notification settings in your user profile.',
+      ].join('\n'),
+    }),
+  },
+  password_reset: {
+    ru: (ctx) => ({
+      subject: 'Сброс пароля Crusher Parts',
+      text: [
+        ctx.full_name ? `Здравствуйте, ${ctx.full_name}!` : 'Здравствуйте!',
+        '',
+        `Для пользователя ${ctx.username} запрошен сброс пароля.`,
+        `Чтобы задать новый пароль, перейдите по ссылке (действует ${ctx.ttl_minutes} мин.):`,
+        ctx.reset_url,
+        '',
+        'Если вы не запрашивали сброс, просто проигнорируйте это письмо — пароль останется прежним.',
+      ].join('\n'),
+    }),
+    en: (ctx) => ({
+      subject: 'Crusher Parts password reset',
+      text: [
+        ctx.full_name ? `Hello ${ctx.full_name},` : 'Hello,',
+        '',
+        `A password reset was requested for user ${ctx.username}.`,
+        `Follow the link to set a new password (valid for ${ctx.ttl_minutes} min):`,
+        ctx.reset_url,
+        '',
+        'If you did not request it, ignore this email — your password will not change.',
+      ].join('\n'),
+    }),
+  },
+}
+
+/**
+ * Собрать тему и текст письма по шаблону.
+ * @param {string} name - ключ шаблона (например, 'rfq_dispatch')
+ * @param {string} lang - 'ru' | 'en'
+ * @param {Object} ctx - данные для подстановки
+ * @returns {{subject: string, text: string, lang: string}}
+ */
+const renderMailTemplate = (name, lang, ctx = {}) => {
+  const template = TEMPLATES[name]
+  if (!template) throw new Error(`Неизвестный шаблон письма: ${name}`)
+  const normalizedLang = normalizeLang(lang)
+  const render = template[normalizedLang] || template[DEFAULT_LANG]
+  return { ...render(ctx), lang: normalizedLang }
+}
+
+module.exports = {
+  renderMailTemplate,
+}
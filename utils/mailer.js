@@ -0,0 +1,122 @@
+// utils/mailer.js
+// Исходящая почта с подключаемым транспортом:
+//   MAIL_TRANSPORT=smtp   — отправка через SMTP (SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD/SMTP_SECURE);
+//   MAIL_TRANSPORT=outbox — письма складываются .eml-файлами в MAIL_OUTBOX_DIR (локальная проверка);
+//   не задан / off        — почта выключена, sendMail возвращает { skipped: true }.
+
+const fs = require('fs/promises')
+const path = require('path')
+const nodemailer = require('nodemailer')
+const logger = require('./logger')
+
+const DEFAULT_OUTBOX_DIR = path.join(process.cwd(), 'exports', 'mail-outbox')
+
+const nz = (v) => {
+  if (v === undefined || v === null) return null
+  const s = String(v).trim()
+  return s === '' ? null : s
+}
+
+const resolveTransportName = (env = process.env) => {
+  const raw = String(env.MAIL_TRANSPORT || '').trim().toLowerCase()
+  if (raw === 'smtp') return 'smtp'
+  if (raw === 'outbox' || raw === 'file') return 'outbox'
+  return 'off'
+}
+
+const createSmtpTransport = (env) => {
+  const host = nz(env.SMTP_HOST)
+  if (!host) throw new Error('SMTP_HOST не задан')
+  const port = Number(env.SMTP_PORT) || 587
+  const user = nz(env.SMTP_USER)
+  return {
+    name: 'smtp',
+    transporter: nodemailer.createTransport({
+      host,
+      port,
+      secure: env.SMTP_SECURE === '1' || env.SMTP_SECURE === 'true' || port === 465,
+      auth: user ? { user, pass: env.SMTP_PASSWORD || '' } : undefined,
+    }),
+  }
+}
+
+// Outbox собирает полноценное RFC822-сообщение и пишет его на диск:
+// такой .eml можно открыть почтовым клиентом или отдать обратно во входящий импорт.
+const createOutboxTransport = (env) => {
+  const dir = nz(env.MAIL_OUTBOX_DIR) || DEFAULT_OUTBOX_DIR
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true })
+  return {
+    name: 'outbox',
+    dir,
+    transporter: {
+      async sendMail(message) {
+        const info = await transporter.sendMail(message)
+        await fs.mkdir(dir, { recursive: true })
+        const safeId = String(info.messageId || Date.now()).replace(/[^\w.-]+/g, '_')
+        const filePath = path.join(dir, `${Date.now()}_${safeId}.eml`)
+        await fs.writeFile(filePath, info.message)
+        return { ...info, filePath }
+      },
+    },
+  }
+}
+
+const createTransport = (env = process.env) => {
+  const name = resolveTransportName(env)
+  if (name === 'smtp') return createSmtpTransport(env)
+  if (name === 'outbox') return createOutboxTransport(env)
+  return null
+}
+
+let cachedTransport
+const getTransport = () => {
+  if (cachedTransport === undefined) {
+    try {
+      cachedTransport = createTransport(process.env)
+    } catch (e) {
+      logger.warn('[MAIL] Транспорт не инициализирован:', e.message)
+      cachedTransport = null
+    }
+  }
+  return cachedTransport
+}
+
+const isMailEnabled = () => !!getTransport()
+
+/**
+ * Отправить письмо через настроенный транспорт.
+ * @param {Object} message
+ * @param {string|string[]} message.to
+ * @param {string} message.subject
+ * @param {string} [message.text]
+ * @param {string} [message.html]
+ * @param {Array<{filename: string, content: Buffer, contentType?: string}>} [message.attachments]
+ * @returns {Promise<{skipped: boolean, transport: string|null, messageId: string|null, filePath?: string}>}
+ */
+const sendMail = async (message, { transport = getTransport() } = {}) => {
+  if (!transport) return { skipped: true, transport: null, messageId: null }
+  const to = Array.isArray(message.to) ? message.to.filter(Boolean) : nz(message.to)
+  if (!to || (Array.isArray(to) && !to.length)) {
+    throw new Error('Не указан получатель письма')
+  }
+
+  const info = await transport.transporter.sendMail({
+    ...message,
+    from: nz(message.from) || nz(process.env.MAIL_FROM) || nz(process.env.RFQ_COMPANY_EMAIL),
+    replyTo: nz(message.replyTo) || nz(process.env.MAIL_REPLY_TO) || undefined,
+    to,
+  })
+  logger.debug('[MAIL] sent', { transport: transport.name, to, messageId: info?.messageId })
+  return {
+    skipped: false,
+    transport: transport.name,
+    messageId: info?.messageId || null,
+    ...(info?.filePath ? { filePath: info.filePath } : {}),
+  }
+}
+
+module.exports = {
+  createTransport,
+  isMailEnabled,
+  sendMail,
+}
@@ -0,0 +1,292 @@
+// utils/notificationDigest.js
+// Почтовая доставка уведомлений: немедленные письма и ежедневный дайджест.
+// Уведомление создаётся внутри транзакции бизнес-операции, поэтому писем
+// оттуда не шлём: берём только закоммиченные строки с emailed_at IS NULL
+// и «захватываем» каждую UPDATE'ом — соседний инстанс её уже не отправит.
+
+const db = require('./db')
+const { isMailEnabled, sendMail } = require('./mailer')
+const { renderMailTemplate } = require('./mailTemplates')
+const { fetchNotificationSettings } = require('./notificationPreferences')
+
+const DIGEST_ENTITY_ORDER = ['client_requests', 'rfqs', 'client_contracts', 'supplier_purchase_orders']
+const IMMEDIATE_BATCH_LIMIT = 100
+const DIGEST_ITEMS_LIMIT = 500
+
+const ENTITY_TITLE_QUERIES = {
+  client_requests: 'SELECT id, internal_number AS title FROM client_requests WHERE id IN (?)',
+  rfqs: 'SELECT id, rfq_number AS title FROM rfqs WHERE id IN (?)',
+  client_contracts: 'SELECT id, contract_number AS title FROM client_contracts WHERE id IN (?)',
+  supplier_purchase_orders: 'SELECT id, supplier_reference AS title FROM supplier_purchase_orders WHERE id IN (?)',
+}
+
+const entityRank = (entityType) => {
+  const index = DIGEST_ENTITY_ORDER.indexOf(entityType)
+  return index === -1 ? DIGEST_ENTITY_ORDER.length : index
+}
+
+/**
+ * Сгруппировать уведомления по сущности (заявка, RFQ, контракт, заказ поставщику).
+ * Уведомления без сущности попадают в общую группу в конце.
+ * @param {Object[]} notifications - строки notifications
+ * @param {Map<string, string>} [titles] - `${entity_type}:${entity_id}` → номер сущности
+ * @returns {{total: number, groups: Object[]}}
+ */
+function buildNotificationDigest(notifications = [], titles = new Map()) {
+  const groups = new Map()
+  for (const item of notifications) {
+    const entityType = item.entity_type || null
+    const entityId = entityType && item.entity_id ? Number(item.entity_id) : null
+    const key = entityType && entityId ? `${entityType}:${entityId}` : 'other'
+    if (!groups.has(key)) {
+      groups.set(key, {
+        entity_type: key === 'other' ? null : entityType,
+        entity_id: key === 'other' ? null : entityId,
+        entity_title: titles.get(key) || null,
+        latest_at: null,
+        notifications: [],
+      })
+    }
+    const group = groups.get(key)
+    group.notifications.push({
+      id: item.id,
+      type: item.type,
+      title: item.title,
+      message: item.message,
+      created_at: item.created_at,
+    })
+    const createdAt = item.created_at ? new Date(item.created_at) : null
+    if (createdAt && (!group.latest_at || createdAt > group.latest_at)) group.latest_at = createdAt
+  }
+
+  const sorted = [...groups.values()].sort((a, b) => {
+    if (!a.entity_type !== !b.entity_type) return a.entity_type ? -1 : 1
+    const rank = entityRank(a.entity_type) - entityRank(b.entity_type)
+    if (rank) return rank
+    return (b.latest_at?.getTime() || 0) - (a.latest_at?.getTime() || 0)
+  })
+  sorted.forEach((group) =>
+    group.notifications.sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0))
+  )
+  return { total: notifications.length, groups: sorted }
+}
+
+async function fetchEntityTitles(conn, notifications) {
+  const idsByType = new Map()
+  for (const item of notifications) {
+    if (!ENTITY_TITLE_QUERIES[item.entity_type] || !item.entity_id) continue
+    if (!idsByType.has(item.entity_type)) idsByType.set(item.entity_type, new Set())
+    idsByType.get(item.entity_type).add(Number(item.entity_id))
+  }
+  const titles = new Map()
+  for (const [entityType, ids] of idsByType) {
+    const [rows] = await conn.query(ENTITY_TITLE_QUERIES[entityType], [[...ids]])
+    rows.forEach((row) => {
+      if (row.title) titles.set(`${entityType}:${row.id}`, String(row.title))
+    })
+  }
+  return titles
+}
+
+const fetchRecipient = async (conn, userId) => {
+  const [[user]] = await conn.execute(
+    'SELECT id, username, full_name, email, is_active FROM users WHERE id = ?',
+    [userId]
+  )
+  return user || null
+}
+
+const claimNotifications = async (conn, ids) => {
+  if (!ids.length) return []
+  const claimed = []
+  for (const id of ids) {
+    const [result] = await conn.execute(
+      'UPDATE notifications SET emailed_at = NOW() WHERE id = ? AND emailed_at IS NULL',
+      [id]
+    )
+    if (result?.affectedRows) claimed.push(id)
+  }
+  return claimed
+}
+
+const releaseNotifications = async (conn, ids) => {
+  if (!ids.length) return
+  await conn.query('UPDATE notifications SET emailed_at = NULL WHERE id IN (?)', [ids])
+}
+
+// Уведомления «только почтой» после отправки больше не нужны: в ленте их не видно.
+const dropEmailOnlyNotifications = async (conn, ids) => {
+  if (!ids.length) return
+  await conn.query('DELETE FROM notifications WHERE id IN (?) AND in_app = 0', [ids])
+}
+
+const localDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+/**
+ * Непрочитанные уведомления пользователя, ожидающие дайджеста.
+ */
+async function loadDigestForUser(userId, conn = db) {
+  const [rows] = await conn.execute(
+    `SELECT id, type, title, message, entity_type, entity_id, created_at
+       FROM notifications
+      WHERE user_id = ?
+        AND email_mode = 'digest'
+        AND emailed_at IS NULL
+        AND is_read = 0
+      ORDER BY created_at ASC, id ASC
+      LIMIT ${DIGEST_ITEMS_LIMIT}`,
+    [userId]
+  )
+  return buildNotificationDigest(rows, await fetchEntityTitles(conn, rows))
+}
+
+/**
+ * Разослать немедленные письма по уже закоммиченным уведомлениям.
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+async function sendPendingImmediateNotifications(conn = db) {
+  const summary = { sent: 0, failed: 0, skipped: 0 }
+  if (!isMailEnabled()) return summary
+
+  const [rows] = await conn.execute(
+    `SELECT id, user_id, type, title, message, entity_type, entity_id
+       FROM notifications
+      WHERE email_mode = 'immediate'
+        AND emailed_at IS NULL
+      ORDER BY id ASC
+      LIMIT ${IMMEDIATE_BATCH_LIMIT}`
+  )
+  const titles = await fetchEntityTitles(conn, rows)
+
+  for (const row of rows) {
+    const [claimedId] = await claimNotifications(conn, [row.id])
+    if (!claimedId) continue
+
+    const user = await fetchRecipient(conn, row.user_id)
+    if (!user?.email || !user.is_active) {
+      await dropEmailOnlyNotifications(conn, [row.id])
+      summary.skipped += 1
+      continue
+    }
+    const settings = await fetchNotificationSettings(row.user_id, conn)
+    const message = renderMailTemplate('notification', settings.email_lang, {
+      full_name: user.full_name,
+      title: row.title,
+      message: row.message,
+      entity_type: row.entity_type,
+      entity_id: row.entity_id,
+      entity_title: titles.get(`${row.entity_type}:${row.entity_id}`) || null,
+    })
+    try {
+      await sendMail({ to: user.email, subject: message.subject, text: message.text })
+      await dropEmailOnlyNotifications(conn, [row.id])
+      summary.sent += 1
+    } catch (err) {
+      console.error('notification email failed:', err.message)
+      await releaseNotifications(conn, [row.id])
+      summary.failed += 1
+    }
+  }
+  return summary
+}
+
+let immediateTimer = null
+
+/**
+ * Отложенно разослать немедленные письма — после коммита вызывающей транзакции.
+ */
+function scheduleImmediateNotificationEmails(delayMs = 1000) {
+  if (immediateTimer || !isMailEnabled()) return
+  immediateTimer = setTimeout(() => {
+    immediateTimer = null
+    sendPendingImmediateNotifications().catch((err) =>
+      console.error('sendPendingImmediateNotifications error:', err)
+    )
+  }, delayMs)
+  immediateTimer.unref()
+}
+
+/**
+ * Отправить дайджесты тем, у кого наступил час рассылки (по времени сервера)
+ * и сегодня её ещё не было.
+ * Запускается внешним планировщиком через POST /notification-preferences/digest/run.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {boolean} [options.force] - не смотреть на час и дату последней рассылки
+ * @param {number[]} [options.userIds] - ограничить список получателей
+ */
+async function sendDueNotificationDigests({ now = new Date(), force = false, userIds = null } = {}, conn = db) {
+  const summary = { users: 0, sent: 0, failed: 0, skipped: 0, notifications: 0 }
+  if (!isMailEnabled()) return { ...summary, mail_disabled: true }
+  const where = ["n.email_mode = 'digest'", 'n.emailed_at IS NULL', 'n.is_read = 0']
+  const params = []
+  if (Array.isArray(userIds) && userIds.length) {
+    where.push(`n.user_id IN (${userIds.map(() => '?').join(',')})`)
+    params.push(...userIds)
+  }
+  const [candidates] = await conn.execute(
+    `SELECT DISTINCT n.user_id
+       FROM notifications n
+      WHERE ${where.join(' AND ')}`,
+    params
+  )
+
+  // час рассылки и «уже отправляли сегодня» считаются в одном поясе — времени сервера
+  const today = localDayKey(now)
+  for (const { user_id: userId } of candidates) {
+    const settings = await fetchNotificationSettings(userId, conn)
+    const sentToday =
+      settings.last_digest_sent_at && localDayKey(new Date(settings.last_digest_sent_at)) === today
+    if (!force && (now.getHours() < settings.digest_hour || sentToday)) continue
+    summary.users += 1
+
+    const user = await fetchRecipient(conn, userId)
+    if (!user?.email || !user.is_active) {
+      summary.skipped += 1
+      continue
+    }
+
+    const digest = await loadDigestForUser(userId, conn)
+    const ids = await claimNotifications(
+      conn,
+      digest.groups.flatMap((group) => group.notifications.map((item) => item.id))
+    )
+    if (!ids.length) continue
+    const claimed = new Set(ids)
+    const groups = digest.groups
+      .map((group) => ({ ...group, notifications: group.notifications.filter((item) => claimed.has(item.id)) }))
+      .filter((group) => group.notifications.length)
+
+    const message = renderMailTemplate('notification_digest', settings.email_lang, {
+      full_name: user.full_name,
+      total: ids.length,
+      groups,
+    })
+    try {
+      await sendMail({ to: user.email, subject: message.subject, text: message.text })
+      await conn.execute(
+        `INSERT INTO user_notification_settings (user_id, last_digest_sent_at)
+         VALUES (?, NOW())
+         ON DUPLICATE KEY UPDATE last_digest_sent_at = NOW()`,
+        [userId]
+      )
+      await dropEmailOnlyNotifications(conn, ids)
+      summary.sent += 1
+      summary.notifications += ids.length
+    } catch (err) {
+      console.error('notification digest failed:', err.message)
+      await releaseNotifications(conn, ids)
+      summary.failed += 1
+    }
+  }
+  return summary
+}
+
+module.exports = {
+  buildNotificationDigest,
+  loadDigestForUser,
+  scheduleImmediateNotificationEmails,
+  sendDueNotificationDigests,
+  sendPendingImmediateNotifications,
+}
@@ -0,0 +1,169 @@
+// utils/notificationPreferences.js
+// Настройки уведомлений пользователя: тип → каналы (в приложении / почта)
+// и режим почты (сразу / ежедневный дайджест). Нет строки в БД — действуют
+// значения по умолчанию: только в приложении, без писем.
+
+const db = require('./db')
+
+// Только типы, которые действительно создаются (createNotification и
+// notifyRfq*/notifySupplierResponse в utils/notifications.js).
+const NOTIFICATION_TYPES = [
+  { type: 'assignment', label: 'Назначения заявок и RFQ' },
+  { type: 'supplier_response', label: 'Ответы поставщиков по RFQ' },
+  { type: 'status_change', label: 'Смена статусов RFQ' },
+]
+const NOTIFICATION_TYPE_SET = new Set(NOTIFICATION_TYPES.map((item) => item.type))
+
+const EMAIL_MODES = ['immediate', 'digest']
+const EMAIL_LANGS = ['ru', 'en']
+
+const DEFAULT_PREFERENCE = Object.freeze({ in_app: true, email: false, email_mode: 'digest' })
+const DEFAULT_SETTINGS = Object.freeze({ email_lang: 'ru', digest_hour: 8, last_digest_sent_at: null })
+
+const toFlag = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback
+  if (typeof value === 'boolean') return value
+  const s = String(value).trim().toLowerCase()
+  if (['1', 'true', 'yes', 'да'].includes(s)) return true
+  if (['0', 'false', 'no', 'нет'].includes(s)) return false
+  return fallback
+}
+
+const rowToPreference = (row) => ({
+  in_app: Boolean(Number(row.in_app)),
+  email: Boolean(Number(row.email)),
+  email_mode: EMAIL_MODES.includes(row.email_mode) ? row.email_mode : DEFAULT_PREFERENCE.email_mode,
+})
+
+/**
+ * Проверить и нормализовать настройку одного типа.
+ * @returns {{preference: Object|null, error: string|null}}
+ */
+const normalizePreferenceInput = (input = {}) => {
+  const type = String(input.type || input.notification_type || '').trim()
+  if (!NOTIFICATION_TYPE_SET.has(type)) {
+    return { preference: null, error: `Неизвестный тип уведомлений: ${type || '—'}` }
+  }
+  const emailMode = input.email_mode === undefined ? DEFAULT_PREFERENCE.email_mode : String(input.email_mode).trim()
+  if (!EMAIL_MODES.includes(emailMode)) {
+    return { preference: null, error: `Неизвестный режим почты: ${emailMode}` }
+  }
+  return {
+    preference: {
+      type,
+      in_app: toFlag(input.in_app, DEFAULT_PREFERENCE.in_app),
+      email: toFlag(input.email, DEFAULT_PREFERENCE.email),
+      email_mode: emailMode,
+    },
+    error: null,
+  }
+}
+
+/**
+ * @returns {{settings: Object|null, error: string|null}}
+ */
+const normalizeSettingsInput = (input = {}) => {
+  const settings = {}
+  if (input.email_lang !== undefined) {
+    const lang = String(input.email_lang || '').trim().toLowerCase()
+    if (!EMAIL_LANGS.includes(lang)) return { settings: null, error: `Неподдерживаемый язык писем: ${lang || '—'}` }
+    settings.email_lang = lang
+  }
+  if (input.digest_hour !== undefined) {
+    const hour = Number(input.digest_hour)
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return { settings: null, error: 'Час дайджеста должен быть целым числом от 0 до 23' }
+    }
+    settings.digest_hour = hour
+  }
+  return { settings, error: null }
+}
+
+/**
+ * Настройка пользователя для одного типа уведомления.
+ */
+async function resolveNotificationPreference(conn, userId, type) {
+  const [[row]] = await conn.execute(
+    `SELECT in_app, email, email_mode
+       FROM user_notification_preferences
+      WHERE user_id = ? AND notification_type = ?`,
+    [userId, type]
+  )
+  return row ? rowToPreference(row) : { ...DEFAULT_PREFERENCE }
+}
+
+async function fetchNotificationSettings(userId, conn = db) {
+  const [[row]] = await conn.execute(
+    `SELECT email_lang, digest_hour, last_digest_sent_at
+       FROM user_notification_settings
+      WHERE user_id = ?`,
+    [userId]
+  )
+  return row
+    ? {
+        email_lang: EMAIL_LANGS.includes(row.email_lang) ? row.email_lang : DEFAULT_SETTINGS.email_lang,
+        digest_hour: Number(row.digest_hour),
+        last_digest_sent_at: row.last_digest_sent_at || null,
+      }
+    : { ...DEFAULT_SETTINGS }
+}
+
+/**
+ * Все типы с действующими настройками пользователя (сохранёнными или по умолчанию).
+ */
+async function listNotificationPreferences(userId, conn = db) {
+  const [rows] = await conn.execute(
+    `SELECT notification_type, in_app, email, email_mode
+       FROM user_notification_preferences
+      WHERE user_id = ?`,
+    [userId]
+  )
+  const saved = new Map(rows.map((row) => [row.notification_type, rowToPreference(row)]))
+  return NOTIFICATION_TYPES.map(({ type, label }) => ({
+    type,
+    label,
+    ...(saved.get(type) || DEFAULT_PREFERENCE),
+    is_default: !saved.has(type),
+  }))
+}
+
+/**
+ * Сохранить уже нормализованные настройки (см. normalize*Input).
+ */
+async function saveNotificationPreferences(userId, { preferences = [], settings = {} }, conn = db) {
+  for (const pref of preferences) {
+    await conn.execute(
+      `INSERT INTO user_notification_preferences (user_id, notification_type, in_app, email, email_mode)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         in_app = VALUES(in_app),
+         email = VALUES(email),
+         email_mode = VALUES(email_mode)`,
+      [userId, pref.type, pref.in_app ? 1 : 0, pref.email ? 1 : 0, pref.email_mode]
+    )
+  }
+  if (settings.email_lang !== undefined || settings.digest_hour !== undefined) {
+    const current = await fetchNotificationSettings(userId, conn)
+    await conn.execute(
+      `INSERT INTO user_notification_settings (user_id, email_lang, digest_hour)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         email_lang = VALUES(email_lang),
+         digest_hour = VALUES(digest_hour)`,
+      [userId, settings.email_lang ?? current.email_lang, settings.digest_hour ?? current.digest_hour]
+    )
+  }
+}
+
+module.exports = {
+  DEFAULT_PREFERENCE,
+  DEFAULT_SETTINGS,
+  EMAIL_MODES,
+  NOTIFICATION_TYPES,
+  fetchNotificationSettings,
+  listNotificationPreferences,
+  normalizePreferenceInput,
+  normalizeSettingsInput,
+  resolveNotificationPreference,
+  saveNotificationPreferences,
+}
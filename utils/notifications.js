@@ -1,9 +1,18 @@
+const { publishRealtimeEvent } = require('./realtimeEvents')
+const { resolveNotificationPreference } = require('./notificationPreferences')
+const { scheduleImmediateNotificationEmails } = require('./notificationDigest')
+
 const createNotification = async (
   conn,
   { userId, type, title, message, entityType, entityId }
 ) => {
   if (!userId) return
   try {
+    // Каналы доставки — по настройкам получателя (см. utils/notificationPreferences.js)
+    const preference = await resolveNotificationPreference(conn, userId, type)
+    if (!preference.in_app && !preference.email) return
+    const emailMode = preference.email ? preference.email_mode : null
+
     if (type === 'assignment' && entityType && entityId) {
       // Не копим дубли уведомлений на одно и то же назначение.
       await conn.execute(
@@ -16,16 +25,98 @@ const createNotification = async (
       )
     }
 
-    await conn.execute(
-      `INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id)
-       VALUES (?,?,?,?,?,?)`,
-      [userId, type, title, message, entityType, entityId]
+    const [ins] = await conn.execute(
+      `INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id, in_app, email_mode)
+       VALUES (?,?,?,?,?,?,?,?)`,
+      [userId, type, title, message, entityType, entityId, preference.in_app ? 1 : 0, emailMode]
     )
+
+    if (emailMode === 'immediate') scheduleImmediateNotificationEmails()
+    if (!preference.in_app) return
+
+    await publishRealtimeEvent(conn, {
+      userIds: userId,
+      type: 'notification',
+      entityType,
+      entityId,
+      payload: {
+        id: ins.insertId,
+        type,
+        title,
+        message,
+        entity_type: entityType || null,
+        entity_id: entityId || null,
+        is_read: 0,
+      },
+    })
   } catch (e) {
     console.error('createNotification error:', e)
   }
 }
 
+/**
+ * Уведомление ответственному за RFQ (assigned_to_user_id). Автору изменения
+ * уведомление не нужно.
+ */
+const notifyRfqAssignee = async (conn, { rfqId, actorUserId = null, type, title, message = null }) => {
+  try {
+    const [[rfq]] = await conn.execute('SELECT rfq_number, assigned_to_user_id FROM rfqs WHERE id = ?', [rfqId])
+    const userId = Number(rfq?.assigned_to_user_id) || null
+    if (!userId || userId === Number(actorUserId)) return
+    await createNotification(conn, {
+      userId,
+      type,
+      title,
+      message: [`RFQ ${rfq.rfq_number}`, message].filter(Boolean).join(' · '),
+      entityType: 'rfqs',
+      entityId: rfqId,
+    })
+  } catch (e) {
+    console.error('notifyRfqAssignee error:', e)
+  }
+}
+
+/**
+ * Смена статуса RFQ — ответственному за RFQ.
+ */
+const notifyRfqStatusChange = async (conn, { rfqId, from = null, to, actorUserId = null }) => {
+  if (!to || (from !== null && String(from) === String(to))) return
+  await notifyRfqAssignee(conn, {
+    rfqId,
+    actorUserId,
+    type: 'status_change',
+    title: 'Изменён статус RFQ',
+    message: `${from || '—'} → ${to}`,
+  })
+}
+
+/**
+ * Новый ответ поставщика по RFQ — ответственному за RFQ.
+ */
+const notifySupplierResponse = async (conn, { rfqSupplierId, actorUserId = null }) => {
+  try {
+    const [[row]] = await conn.execute(
+      `SELECT rs.rfq_id, ps.name AS supplier_name
+         FROM rfq_suppliers rs
+         LEFT JOIN part_suppliers ps ON ps.id = rs.supplier_id
+        WHERE rs.id = ?`,
+      [rfqSupplierId]
+    )
+    if (!row) return
+    await notifyRfqAssignee(conn, {
+      rfqId: row.rfq_id,
+      actorUserId,
+      type: 'supplier_response',
+      title: 'Получен ответ поставщика',
+      message: row.supplier_name || null,
+    })
+  } catch (e) {
+    console.error('notifySupplierResponse error:', e)
+  }
+}
+
 module.exports = {
   createNotification,
+  notifyRfqStatusChange,
+  notifySupplierResponse,
 }
@@ -0,0 +1,200 @@
+// utils/partNumberMatching.js
+// Сопоставление номеров из прайс-листа с деталями поставщика.
+// Номер нормализуется (регистр, разделители, служебные префиксы вроде «P/N»,
+// «OEM», «ART.», ведущие нули); совпадение нормализованных ключей считается
+// почти точным. Остальное ищется нечётко через fuse.js по номеру и описанию —
+// такие кандидаты только предлагаются с уверенностью 0–100, а принятое
+// пользователем сопоставление сохраняется как алиас поставщика.
+
+const Fuse = require('fuse.js')
+
+const round1 = (value) => Math.round(value * 10) / 10
+
+const DEFAULT_OEM_PREFIXES = ['P/N', 'PN', 'OEM', 'ART', 'ARTNO', 'REF', 'CAT', 'NO', 'NR']
+const OEM_PREFIXES = (() => {
+  const raw = String(process.env.PART_NUMBER_OEM_PREFIXES || '').trim()
+  const list = raw
+    ? raw.split(',').map((item) => item.trim().toUpperCase()).filter(Boolean)
+    : DEFAULT_OEM_PREFIXES
+  // длинные префиксы раньше коротких: «ARTNO» не должен срезаться как «ART»
+  return [...new Set(list)].sort((a, b) => b.length - a.length)
+})()
+
+// Уверенность совпадения нормализованных ключей и порог автоматического сопоставления.
+const NORMALIZED_MATCH_CONFIDENCE = 98
+const AUTO_MATCH_CONFIDENCE = (() => {
+  const n = Number(process.env.PRICE_LIST_AUTO_MATCH_CONFIDENCE)
+  return Number.isFinite(n) && n > 0 && n <= 100 ? n : NORMALIZED_MATCH_CONFIDENCE
+})()
+// Нечёткое совпадение никогда не считается точным.
+const FUZZY_CONFIDENCE_CAP = 95
+const FUZZY_THRESHOLD = 0.4
+const NUMBER_WEIGHT = 0.75
+const MAX_CANDIDATES = 5
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+const PREFIX_RE = OEM_PREFIXES.length
+  ? new RegExp(`^(?:${OEM_PREFIXES.map(escapeRegExp).join('|')})[\\s.:#№_-]+`)
+  : null
+
+/**
+ * Ключ номера детали для сравнения: без служебного префикса, разделителей и
+ * ведущих нулей. Префикс срезается, только если за ним идёт разделитель и после
+ * него что-то остаётся: «NR123», «CAT320» и «REF7» — это сами номера.
+ */
+function normalizePartNumber(value) {
+  let s = String(value ?? '').trim().toUpperCase()
+  if (!s) return null
+  // «ART. NO 123» — два префикса подряд
+  for (let pass = 0; PREFIX_RE && pass < 2; pass += 1) {
+    const stripped = s.replace(PREFIX_RE, '')
+    if (!stripped || stripped === s || !/[A-Z0-9]/.test(stripped)) break
+    s = stripped
+  }
+  s = s.replace(/[\s\-_./\\,:;#№'"()]+/g, '')
+  const withoutZeros = s.replace(/^0+(?=[A-Z0-9])/, '')
+  return withoutZeros || s || null
+}
+
+const normalizeDescription = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+
+/**
+ * Индекс деталей одного поставщика для подбора кандидатов.
+ * @param {Object[]} parts - { id, supplier_part_number, canonical_part_number, description_ru, description_en }
+ * @param {Object[]} [aliases] - { supplier_part_id, alias_canonical_part_number }
+ */
+function createPartMatcher(parts, aliases = []) {
+  const partsById = new Map()
+  ;(Array.isArray(parts) ? parts : []).forEach((part) => {
+    const id = Number(part.id)
+    if (!id) return
+    partsById.set(id, {
+      supplier_part_id: id,
+      supplier_part_number: part.supplier_part_number || null,
+      description: [part.description_ru, part.description_en].filter(Boolean).join(' / ') || null,
+    })
+  })
+
+  const byKey = new Map()
+  const entries = []
+  const addKey = (key, partId, source) => {
+    if (!key || !partsById.has(partId)) return
+    if (!byKey.has(key)) byKey.set(key, new Map())
+    if (!byKey.get(key).has(partId)) byKey.get(key).set(partId, source)
+    entries.push({
+      key,
+      source,
+      supplier_part_id: partId,
+      description: normalizeDescription(partsById.get(partId).description),
+    })
+  }
+  for (const part of parts || []) {
+    const id = Number(part.id)
+    addKey(normalizePartNumber(part.supplier_part_number), id, 'part_number')
+    if (part.canonical_part_number) addKey(normalizePartNumber(part.canonical_part_number), id, 'part_number')
+  }
+  for (const alias of aliases || []) {
+    addKey(normalizePartNumber(alias.alias_canonical_part_number), Number(alias.supplier_part_id), 'alias')
+  }
+
+  const numberFuse = new Fuse(entries, {
+    keys: ['key'],
+    includeScore: true,
+    threshold: FUZZY_THRESHOLD,
+    ignoreLocation: true,
+  })
+  const descriptionFuse = new Fuse(
+    entries.filter((entry) => entry.description),
+    { keys: ['description'], includeScore: true, threshold: FUZZY_THRESHOLD, ignoreLocation: true }
+  )
+
+  /**
+   * Кандидаты для строки прайс-листа, лучшие первыми.
+   * @returns {Object} { key, exact: boolean, candidates: [{ supplier_part_id, supplier_part_number, confidence, method, reasons }] }
+   */
+  const match = (rawNumber, rawDescription = null, { limit = MAX_CANDIDATES } = {}) => {
+    const key = normalizePartNumber(rawNumber)
+    const description = normalizeDescription(rawDescription)
+    const candidates = new Map()
+    const put = (partId, confidence, method, reason) => {
+      const current = candidates.get(partId)
+      if (current && current.confidence >= confidence) {
+        if (!current.reasons.includes(reason)) current.reasons.push(reason)
+        return
+      }
+      candidates.set(partId, {
+        ...partsById.get(partId),
+        confidence: round1(confidence),
+        method,
+        reasons: current ? [...new Set([reason, ...current.reasons])] : [reason],
+      })
+    }
+
+    const exactHits = key ? byKey.get(key) : null
+    if (exactHits) {
+      for (const [partId, source] of exactHits) {
+        put(
+          partId,
+          NORMALIZED_MATCH_CONFIDENCE,
+          source === 'alias' ? 'alias_normalized' : 'normalized',
+          source === 'alias' ? 'Совпадает с сохранённым алиасом' : 'Номер совпадает после нормализации'
+        )
+      }
+    }
+
+    const numberScores = new Map()
+    if (key) {
+      numberFuse.search(key).forEach(({ item, score }) => {
+        const confidence = (1 - score) * 100
+        const prev = numberScores.get(item.supplier_part_id) || 0
+        if (confidence > prev) numberScores.set(item.supplier_part_id, confidence)
+      })
+    }
+    const descriptionScores = new Map()
+    if (description) {
+      descriptionFuse.search(description).forEach(({ item, score }) => {
+        const confidence = (1 - score) * 100
+        const prev = descriptionScores.get(item.supplier_part_id) || 0
+        if (confidence > prev) descriptionScores.set(item.supplier_part_id, confidence)
+      })
+    }
+    const fuzzyIds = new Set([...numberScores.keys(), ...descriptionScores.keys()])
+    for (const partId of fuzzyIds) {
+      const numberScore = numberScores.get(partId) || 0
+      const descriptionScore = descriptionScores.get(partId)
+      const combined =
+        description && descriptionScore !== undefined
+          ? numberScore * NUMBER_WEIGHT + descriptionScore * (1 - NUMBER_WEIGHT)
+          : description
+          ? numberScore * NUMBER_WEIGHT
+          : numberScore
+      if (combined <= 0) continue
+      const reasons = []
+      if (numberScores.has(partId)) reasons.push(`Похожий номер (${round1(numberScore)}%)`)
+      if (descriptionScore !== undefined) reasons.push(`Похожее описание (${round1(descriptionScore)}%)`)
+      put(partId, Math.min(combined, FUZZY_CONFIDENCE_CAP), 'fuzzy', reasons.join(', '))
+    }
+
+    const ranked = [...candidates.values()]
+      .sort(
+        (a, b) =>
+          b.confidence - a.confidence ||
+          String(a.supplier_part_number || '').localeCompare(String(b.supplier_part_number || ''))
+      )
+      .slice(0, limit)
+    return { key, exact: Boolean(exactHits && exactHits.size === 1), candidates: ranked }
+  }
+
+  return { match }
+}
+
+module.exports = {
+  AUTO_MATCH_CONFIDENCE,
+  NORMALIZED_MATCH_CONFIDENCE,
+  createPartMatcher,
+  normalizePartNumber,
+}
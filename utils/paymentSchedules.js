@@ -0,0 +1,707 @@
+// utils/paymentSchedules.js
+// Графики платежей и оплаты по контрактам клиентов (входящие, дебиторка) и
+// заказам поставщикам (исходящие, кредиторка).
+// Этап графика задаётся процентом от суммы документа или фиксированной суммой;
+// срок оплаты = дата-основание + days_offset, где основание — дата документа
+// (prepayment, net_days), дата отгрузки (on_shipment) или поставки (on_delivery).
+// Пока событие не наступило, срок этапа не определён.
+// Оплаты разносятся сначала на явно указанный этап, остаток — по порядку этапов.
+
+const { getRate } = require('./fxRatesService')
+
+const round2 = (value) => Math.round(value * 100) / 100
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+const normCode = (value) => {
+  const code = String(value || '').trim().toUpperCase()
+  return code.length === 3 ? code : null
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const AMOUNT_EPSILON = 0.005
+const toDateOnly = (value) => {
+  if (!value) return null
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (match) return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) return null
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+}
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : null)
+// Дата из запроса: Date или строго YYYY-MM-DD (без переноса 2026-02-30 на март).
+const parseDateInput = (value) => {
+  if (value instanceof Date) return toDateOnly(value)
+  const raw = String(value ?? '').trim()
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) return null
+  const date = toDateOnly(raw)
+  return formatDate(date) === raw ? date : null
+}
+const requireAsOf = (asOf) => {
+  const date = parseDateInput(asOf)
+  if (!date) throw Object.assign(new Error('Некорректная дата as_of (ожидается YYYY-MM-DD)'), { statusCode: 400 })
+  return date
+}
+
+const PAYMENT_BASE_CURRENCY =
+  normCode(process.env.PAYMENTS_BASE_CURRENCY) || normCode(process.env.KPI_CURRENCY) || 'RUB'
+
+const MILESTONE_TYPES = new Set(['prepayment', 'on_shipment', 'on_delivery', 'net_days'])
+
+const PAYMENT_DOCUMENTS = {
+  client_contract: {
+    direction: 'incoming',
+    entityType: 'client_contracts',
+    label: 'контракта',
+    notFound: 'Контракт не найден',
+    sql: `SELECT cc.id,
+                 cc.contract_number AS document_number,
+                 COALESCE(cc.contract_date, DATE(cc.created_at)) AS document_date,
+                 cc.amount AS total_amount,
+                 cc.currency,
+                 cc.status,
+                 cc.require_full_payment,
+                 c.id AS counterparty_id,
+                 c.company_name AS counterparty_name
+            FROM client_contracts cc
+            JOIN sales_quotes sq ON sq.id = cc.sales_quote_id
+            JOIN client_request_revisions cr ON cr.id = sq.client_request_revision_id
+            JOIN client_requests req ON req.id = cr.client_request_id
+            JOIN clients c ON c.id = req.client_id`,
+    idColumn: 'cc.id',
+    statusColumn: 'cc.status',
+    openStatuses: ['signed', 'in_execution', 'completed', 'closed_with_issues'],
+  },
+  purchase_order: {
+    direction: 'outgoing',
+    entityType: 'supplier_purchase_orders',
+    label: 'заказа поставщику',
+    notFound: 'PO не найден',
+    sql: `SELECT po.id,
+                 COALESCE(po.supplier_reference, CONCAT('PO #', po.id)) AS document_number,
+                 DATE(po.created_at) AS document_date,
+                 (
+                   SELECT COALESCE(SUM(pol.qty * pol.price), 0)
+                     FROM supplier_purchase_order_lines pol
+                    WHERE pol.supplier_purchase_order_id = po.id
+                 ) AS total_amount,
+                 po.currency,
+                 po.status,
+                 0 AS require_full_payment,
+                 ps.id AS counterparty_id,
+                 ps.name AS counterparty_name
+            FROM supplier_purchase_orders po
+            JOIN part_suppliers ps ON ps.id = po.supplier_id`,
+    idColumn: 'po.id',
+    statusColumn: 'po.status',
+    openStatuses: ['sent', 'confirmed'],
+  },
+}
+
+const placeholders = (ids) => ids.map(() => '?').join(',')
+
+const getPaymentDocumentConfig = (documentType) => {
+  const config = PAYMENT_DOCUMENTS[documentType]
+  if (!config) throw Object.assign(new Error('Неизвестный тип документа оплаты'), { statusCode: 400 })
+  return config
+}
+
+/**
+ * Приводит этапы графика к виду для сохранения: сумма считается из процента
+ * (если задан), проценты в сумме не больше 100, суммы — не больше суммы документа.
+ */
+const normalizeMilestones = (input, { totalAmount, currency }) => {
+  if (!Array.isArray(input)) {
+    throw Object.assign(new Error('Передайте список этапов графика платежей'), { statusCode: 400 })
+  }
+  const total = Number(totalAmount || 0)
+  let percentSum = 0
+  let amountSum = 0
+
+  const milestones = input.map((raw, index) => {
+    const milestoneType = String(raw?.milestone_type || '').trim()
+    if (!MILESTONE_TYPES.has(milestoneType)) {
+      throw Object.assign(new Error(`Этап ${index + 1}: неизвестный тип этапа`), { statusCode: 400 })
+    }
+    const percent = numOrNull(raw?.percent)
+    const fixedAmount = numOrNull(raw?.amount)
+    if (percent === null && fixedAmount === null) {
+      throw Object.assign(new Error(`Этап ${index + 1}: укажите процент или сумму`), { statusCode: 400 })
+    }
+    if (percent !== null && (percent <= 0 || percent > 100)) {
+      throw Object.assign(new Error(`Этап ${index + 1}: процент должен быть в диапазоне (0; 100]`), { statusCode: 400 })
+    }
+    if (percent === null && fixedAmount <= 0) {
+      throw Object.assign(new Error(`Этап ${index + 1}: сумма должна быть больше нуля`), { statusCode: 400 })
+    }
+    const daysOffset = numOrNull(raw?.days_offset ?? raw?.net_days) ?? 0
+    if (!Number.isInteger(daysOffset) || daysOffset < 0) {
+      throw Object.assign(new Error(`Этап ${index + 1}: срок в днях должен быть целым неотрицательным числом`), {
+        statusCode: 400,
+      })
+    }
+    if (milestoneType === 'net_days' && daysOffset <= 0) {
+      throw Object.assign(new Error(`Этап ${index + 1}: для оплаты через N дней укажите число дней`), {
+        statusCode: 400,
+      })
+    }
+    const eventDate = raw?.event_date ? toDateOnly(raw.event_date) : null
+    if (raw?.event_date && !eventDate) {
+      throw Object.assign(new Error(`Этап ${index + 1}: некорректная дата события`), { statusCode: 400 })
+    }
+
+    const amount = percent !== null ? round2((total * percent) / 100) : round2(fixedAmount)
+    percentSum += percent !== null ? percent : total > 0 ? (amount / total) * 100 : 0
+    amountSum += amount
+
+    return {
+      id: numOrNull(raw?.id),
+      sort_order: index + 1,
+      milestone_type: milestoneType,
+      percent,
+      amount,
+      currency,
+      days_offset: daysOffset,
+      event_date: formatDate(eventDate),
+      note: raw?.note ? String(raw.note).trim().slice(0, 500) || null : null,
+    }
+  })
+
+  if (percentSum > 100 + 1e-6 || amountSum > total + AMOUNT_EPSILON) {
+    throw Object.assign(new Error('Сумма этапов графика превышает сумму документа'), { statusCode: 400 })
+  }
+  return milestones
+}
+
+const resolveMilestoneDueDate = (milestone, { documentDate, events = {} }) => {
+  let baseDate = null
+  if (['prepayment', 'net_days'].includes(milestone.milestone_type)) {
+    baseDate = toDateOnly(documentDate)
+  } else {
+    const eventKey = milestone.milestone_type === 'on_shipment' ? 'shipped_at' : 'delivered_at'
+    baseDate = toDateOnly(milestone.event_date) || toDateOnly(events[eventKey])
+  }
+  if (!baseDate) return null
+  return new Date(baseDate.getTime() + Number(milestone.days_offset || 0) * DAY_MS)
+}
+
+/**
+ * Сводка по графику: разнесение активных оплат по этапам, остатки и просрочка
+ * на дату asOf. Часть суммы документа вне графика показывается отдельно.
+ */
+const summarizePaymentSchedule = ({
+  totalAmount,
+  milestones = [],
+  payments = [],
+  documentDate = null,
+  events = {},
+  asOf = new Date(),
+}) => {
+  const today = toDateOnly(asOf)
+  const total = round2(Number(totalAmount || 0))
+  const activePayments = payments.filter((payment) => (payment.status || 'active') === 'active')
+  const paid = round2(activePayments.reduce((sum, payment) => sum + Number(payment.amount || 0), 0))
+
+  const rows = [...milestones]
+    .sort((a, b) => Number(a.sort_order || 0) - Number(b.sort_order || 0) || Number(a.id || 0) - Number(b.id || 0))
+    .map((milestone) => ({ ...milestone, amount: round2(Number(milestone.amount || 0)), paid_amount: 0 }))
+  const byId = new Map(rows.filter((row) => row.id).map((row) => [Number(row.id), row]))
+
+  let unallocated = 0
+  for (const payment of activePayments) {
+    let rest = Number(payment.amount || 0)
+    const target = payment.milestone_id ? byId.get(Number(payment.milestone_id)) : null
+    if (target) {
+      const applied = Math.min(rest, Math.max(target.amount - target.paid_amount, 0))
+      target.paid_amount += applied
+      rest -= applied
+    }
+    unallocated += rest
+  }
+  for (const row of rows) {
+    if (unallocated <= AMOUNT_EPSILON) break
+    const applied = Math.min(unallocated, Math.max(row.amount - row.paid_amount, 0))
+    row.paid_amount += applied
+    unallocated -= applied
+  }
+
+  const scheduledAmount = round2(rows.reduce((sum, row) => sum + row.amount, 0))
+  const unscheduledAmount = round2(Math.max(total - scheduledAmount, 0))
+  const resultMilestones = rows.map((row) => {
+    const dueDate = resolveMilestoneDueDate(row, { documentDate, events })
+    const paidAmount = round2(row.paid_amount)
+    const outstanding = round2(Math.max(row.amount - paidAmount, 0))
+    const overdueDays =
+      dueDate && today && outstanding > AMOUNT_EPSILON ? Math.max(Math.round((today - dueDate) / DAY_MS), 0) : 0
+    return {
+      ...row,
+      paid_amount: paidAmount,
+      outstanding_amount: outstanding,
+      due_date: formatDate(dueDate),
+      overdue_days: overdueDays,
+      status:
+        outstanding <= AMOUNT_EPSILON
+          ? 'paid'
+          : !dueDate
+            ? 'awaiting_event'
+            : overdueDays > 0
+              ? 'overdue'
+              : paidAmount > 0
+                ? 'partially_paid'
+                : 'scheduled',
+    }
+  })
+
+  const outstanding = round2(Math.max(total - paid, 0))
+  return {
+    total_amount: total,
+    paid_amount: paid,
+    outstanding_amount: outstanding,
+    overpaid_amount: round2(Math.max(paid - total, 0)),
+    scheduled_amount: scheduledAmount,
+    unscheduled_amount: unscheduledAmount,
+    unscheduled_outstanding: round2(Math.max(unscheduledAmount - Math.max(unallocated, 0), 0)),
+    fully_paid: outstanding <= AMOUNT_EPSILON,
+    overdue_amount: round2(
+      resultMilestones.filter((row) => row.status === 'overdue').reduce((sum, row) => sum + row.outstanding_amount, 0)
+    ),
+    milestones: resultMilestones,
+  }
+}
+
+const AGING_BUCKETS = ['not_due', 'overdue_1_30', 'overdue_31_60', 'overdue_61_90', 'overdue_90_plus', 'no_due_date']
+
+const agingBucketFor = (dueDate, overdueDays) => {
+  if (!dueDate) return 'no_due_date'
+  if (overdueDays <= 0) return 'not_due'
+  if (overdueDays <= 30) return 'overdue_1_30'
+  if (overdueDays <= 60) return 'overdue_31_60'
+  if (overdueDays <= 90) return 'overdue_61_90'
+  return 'overdue_90_plus'
+}
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket, 0]))
+
+/**
+ * Раскладывает непогашенные остатки сводки по корзинам просрочки.
+ * Остаток вне графика попадает в no_due_date.
+ */
+const bucketScheduleSummary = (summary) => {
+  const buckets = emptyBuckets()
+  for (const milestone of summary.milestones) {
+    if (milestone.outstanding_amount <= AMOUNT_EPSILON) continue
+    const bucket = agingBucketFor(milestone.due_date, milestone.overdue_days)
+    buckets[bucket] = round2(buckets[bucket] + milestone.outstanding_amount)
+  }
+  if (summary.unscheduled_outstanding > AMOUNT_EPSILON) {
+    buckets.no_due_date = round2(buckets.no_due_date + summary.unscheduled_outstanding)
+  }
+  return buckets
+}
+
+async function fetchPaymentDocuments(conn, documentType, { ids = null, openOnly = false } = {}) {
+  const config = getPaymentDocumentConfig(documentType)
+  const where = []
+  const params = []
+  if (ids) {
+    if (!ids.length) return []
+    where.push(`${config.idColumn} IN (${placeholders(ids)})`)
+    params.push(...ids)
+  }
+  if (openOnly) {
+    where.push(`${config.statusColumn} IN (${placeholders(config.openStatuses)})`)
+    params.push(...config.openStatuses)
+  }
+  const [rows] = await conn.execute(
+    `${config.sql}
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY ${config.idColumn}`,
+    params
+  )
+  return rows
+}
+
+// Дата поставки PO — дата последнего проведённого прихода, закрывшего все строки.
+async function fetchPurchaseOrderEvents(conn, poIds) {
+  const events = new Map()
+  if (!poIds.length) return events
+  const [rows] = await conn.execute(
+    `SELECT pol.supplier_purchase_order_id AS po_id,
+            MIN(COALESCE(rc.received_qty, 0) >= pol.qty) AS fully_received,
+            MAX(rc.received_at) AS delivered_at
+       FROM supplier_purchase_order_lines pol
+       LEFT JOIN (
+         SELECT wdl.source_line_id AS po_line_id,
+                SUM(wdl.quantity) AS received_qty,
+                MAX(wd.document_date) AS received_at
+           FROM warehouse_document_lines wdl
+           JOIN warehouse_documents wd ON wd.id = wdl.document_id
+          WHERE wd.doc_type = 'receipt'
+            AND wd.status = 'posted'
+            AND COALESCE(wdl.source_type, wd.source_type) = 'purchase_order'
+          GROUP BY wdl.source_line_id
+       ) rc ON rc.po_line_id = CAST(pol.id AS CHAR)
+      WHERE pol.supplier_purchase_order_id IN (${placeholders(poIds)})
+      GROUP BY pol.supplier_purchase_order_id`,
+    poIds
+  )
+  for (const row of rows) {
+    events.set(Number(row.po_id), {
+      delivered_at: Number(row.fully_received) ? row.delivered_at : null,
+    })
+  }
+
+  // Отгрузкой PO считается первый забор груза по любой партии с его строками.
+  const [shipped] = await conn.execute(
+    `SELECT sl.supplier_purchase_order_id AS po_id,
+            MIN(s.picked_up_at) AS shipped_at
+       FROM shipment_lines sl
+       JOIN shipments s ON s.id = sl.shipment_id
+      WHERE sl.supplier_purchase_order_id IN (${placeholders(poIds)})
+        AND s.status <> 'cancelled'
+        AND s.picked_up_at IS NOT NULL
+      GROUP BY sl.supplier_purchase_order_id`,
+    poIds
+  )
+  for (const row of shipped) {
+    const poId = Number(row.po_id)
+    events.set(poId, { ...(events.get(poId) || {}), shipped_at: row.shipped_at })
+  }
+  return events
+}
+
+async function fetchScheduleRows(conn, documentType, ids) {
+  if (!ids.length) return { milestones: [], payments: [] }
+  const [milestones] = await conn.execute(
+    `SELECT *
+       FROM payment_milestones
+      WHERE document_type = ?
+        AND document_id IN (${placeholders(ids)})
+      ORDER BY document_id, sort_order, id`,
+    [documentType, ...ids]
+  )
+  const [payments] = await conn.execute(
+    `SELECT p.*,
+            creator.full_name AS created_by_name
+       FROM payments p
+       LEFT JOIN users creator ON creator.id = p.created_by
+      WHERE p.document_type = ?
+        AND p.document_id IN (${placeholders(ids)})
+      ORDER BY p.paid_at, p.id`,
+    [documentType, ...ids]
+  )
+  return { milestones, payments }
+}
+
+const groupByDocument = (rows) => {
+  const map = new Map()
+  for (const row of rows) {
+    const key = Number(row.document_id)
+    if (!map.has(key)) map.set(key, [])
+    map.get(key).push(row)
+  }
+  return map
+}
+
+async function buildPaymentStates(conn, documentType, documents, { asOf = new Date() } = {}) {
+  const ids = documents.map((doc) => Number(doc.id))
+  const { milestones, payments } = await fetchScheduleRows(conn, documentType, ids)
+  const events = documentType === 'purchase_order' ? await fetchPurchaseOrderEvents(conn, ids) : new Map()
+  const milestonesByDoc = groupByDocument(milestones)
+  const paymentsByDoc = groupByDocument(payments)
+
+  return documents.map((document) => {
+    const docPayments = paymentsByDoc.get(Number(document.id)) || []
+    const docEvents = events.get(Number(document.id)) || {}
+    const summary = summarizePaymentSchedule({
+      totalAmount: document.total_amount,
+      milestones: milestonesByDoc.get(Number(document.id)) || [],
+      payments: docPayments,
+      documentDate: document.document_date,
+      events: docEvents,
+      asOf,
+    })
+    return { document, events: docEvents, summary, payments: docPayments }
+  })
+}
+
+async function loadPaymentState(conn, documentType, documentId, opts = {}) {
+  const asOf = requireAsOf(opts.asOf || new Date())
+  const [document] = await fetchPaymentDocuments(conn, documentType, { ids: [documentId] })
+  if (!document) return null
+  const [state] = await buildPaymentStates(conn, documentType, [document], { ...opts, asOf })
+  return state
+}
+
+/**
+ * Заменяет график документа: этапы с id обновляются, новые добавляются,
+ * отсутствующие в списке удаляются (оплаты по ним становятся неразнесёнными).
+ */
+async function saveMilestones(conn, documentType, documentId, input, { userId = null } = {}) {
+  const config = getPaymentDocumentConfig(documentType)
+  const [document] = await fetchPaymentDocuments(conn, documentType, { ids: [documentId] })
+  if (!document) throw Object.assign(new Error(config.notFound), { statusCode: 404 })
+  const currency = normCode(document.currency)
+  if (!currency) {
+    throw Object.assign(new Error(`У ${config.label} не задана валюта`), { statusCode: 409 })
+  }
+  const milestones = normalizeMilestones(input, { totalAmount: document.total_amount, currency })
+
+  const [existingRows] = await conn.execute(
+    'SELECT id FROM payment_milestones WHERE document_type = ? AND document_id = ?',
+    [documentType, documentId]
+  )
+  const existingIds = new Set(existingRows.map((row) => Number(row.id)))
+  const keptIds = new Set()
+
+  for (const milestone of milestones) {
+    const values = [
+      milestone.sort_order,
+      milestone.milestone_type,
+      milestone.percent,
+      milestone.amount,
+      milestone.currency,
+      milestone.days_offset,
+      milestone.event_date,
+      milestone.note,
+    ]
+    if (milestone.id && existingIds.has(milestone.id)) {
+      await conn.execute(
+        `UPDATE payment_milestones
+            SET sort_order = ?,
+                milestone_type = ?,
+                percent = ?,
+                amount = ?,
+                currency = ?,
+                days_offset = ?,
+                event_date = ?,
+                note = ?
+          WHERE id = ?`,
+        [...values, milestone.id]
+      )
+      keptIds.add(milestone.id)
+    } else {
+      await conn.execute(
+        `INSERT INTO payment_milestones
+          (document_type, document_id, sort_order, milestone_type, percent, amount, currency, days_offset, event_date, note, created_by)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?)`,
+        [documentType, documentId, ...values, userId]
+      )
+    }
+  }
+
+  const removedIds = [...existingIds].filter((id) => !keptIds.has(id))
+  if (removedIds.length) {
+    await conn.execute(`DELETE FROM payment_milestones WHERE id IN (${placeholders(removedIds)})`, removedIds)
+  }
+  return { document, milestones }
+}
+
+/**
+ * Регистрирует оплату в валюте документа. Курс к базовой валюте фиксируется
+ * при регистрации и дальше не пересчитывается. Исторических курсов у сервиса
+ * нет, поэтому оплату в валюте задним числом принимаем только с курсом на дату
+ * оплаты (fx_rate), текущий курс — только для оплаты сегодняшним днём.
+ * Курс запрашивается до записи, а сама функция не вызывается внутри транзакции:
+ * запрос курса может уйти в сеть.
+ */
+async function recordPayment(conn, documentType, documentId, input = {}, { userId = null } = {}) {
+  const config = getPaymentDocumentConfig(documentType)
+  const [document] = await fetchPaymentDocuments(conn, documentType, { ids: [documentId] })
+  if (!document) throw Object.assign(new Error(config.notFound), { statusCode: 404 })
+  if (!config.openStatuses.includes(document.status)) {
+    throw Object.assign(
+      new Error(`Оплату можно зарегистрировать только для ${config.label} в статусах: ${config.openStatuses.join(', ')}`),
+      { statusCode: 409 }
+    )
+  }
+
+  const currency = normCode(document.currency)
+  if (!currency) throw Object.assign(new Error(`У ${config.label} не задана валюта`), { statusCode: 409 })
+  const requestedCurrency = input.currency ? normCode(input.currency) : currency
+  if (requestedCurrency !== currency) {
+    throw Object.assign(new Error(`Оплата регистрируется в валюте ${config.label} (${currency})`), {
+      statusCode: 400,
+    })
+  }
+  const amount = numOrNull(input.amount)
+  if (amount === null || amount <= 0) {
+    throw Object.assign(new Error('Сумма оплаты должна быть больше нуля'), { statusCode: 400 })
+  }
+  const today = toDateOnly(new Date())
+  const paidAt = input.paid_at ? parseDateInput(input.paid_at) : today
+  if (!paidAt) throw Object.assign(new Error('Некорректная дата оплаты'), { statusCode: 400 })
+
+  let fx
+  const manualRate = numOrNull(input.fx_rate)
+  if (input.fx_rate !== undefined && input.fx_rate !== null && input.fx_rate !== '' && !(manualRate > 0)) {
+    throw Object.assign(new Error('Курс оплаты должен быть больше нуля'), { statusCode: 400 })
+  }
+  if (currency === PAYMENT_BASE_CURRENCY) {
+    fx = { rate: 1, source: 'same', fetchedAt: paidAt }
+  } else if (manualRate) {
+    fx = { rate: manualRate, source: 'manual', fetchedAt: paidAt }
+  } else if (paidAt < today) {
+    throw Object.assign(
+      new Error(
+        `Оплата задним числом (${formatDate(paidAt)}) в ${currency}: укажите курс ${currency}/${PAYMENT_BASE_CURRENCY} на дату оплаты (fx_rate)`
+      ),
+      { statusCode: 400 }
+    )
+  } else {
+    try {
+      fx = await getRate(currency, PAYMENT_BASE_CURRENCY)
+    } catch (err) {
+      throw Object.assign(new Error(`Не удалось получить курс ${currency}/${PAYMENT_BASE_CURRENCY}: ${err.message}`), {
+        statusCode: 502,
+      })
+    }
+  }
+
+  const milestoneId = numOrNull(input.milestone_id)
+  if (milestoneId) {
+    const [[milestone]] = await conn.execute(
+      'SELECT id FROM payment_milestones WHERE id = ? AND document_type = ? AND document_id = ?',
+      [milestoneId, documentType, documentId]
+    )
+    if (!milestone) {
+      throw Object.assign(new Error('Этап графика не относится к этому документу'), { statusCode: 400 })
+    }
+  }
+
+  const [result] = await conn.execute(
+    `INSERT INTO payments
+      (direction, document_type, document_id, milestone_id, amount, currency, paid_at,
+       base_currency, fx_rate, fx_source, fx_as_of, amount_base, reference, note, created_by)
+     VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+    [
+      config.direction,
+      documentType,
+      documentId,
+      milestoneId,
+      round2(amount),
+      currency,
+      formatDate(paidAt),
+      PAYMENT_BASE_CURRENCY,
+      fx.rate,
+      fx.source || null,
+      fx.fetchedAt || null,
+      round2(amount * Number(fx.rate)),
+      input.reference ? String(input.reference).trim().slice(0, 120) || null : null,
+      input.note ? String(input.note).trim().slice(0, 500) || null : null,
+      userId,
+    ]
+  )
+  const [[payment]] = await conn.execute('SELECT * FROM payments WHERE id = ?', [result.insertId])
+  return payment
+}
+
+async function cancelPayment(conn, documentType, documentId, paymentId, { userId = null, reason = null } = {}) {
+  const [[payment]] = await conn.execute(
+    'SELECT * FROM payments WHERE id = ? AND document_type = ? AND document_id = ?',
+    [paymentId, documentType, documentId]
+  )
+  if (!payment) throw Object.assign(new Error('Оплата не найдена'), { statusCode: 404 })
+  if (payment.status !== 'active') {
+    throw Object.assign(new Error('Оплата уже отменена'), { statusCode: 409 })
+  }
+  await conn.execute(
+    `UPDATE payments
+        SET status = 'cancelled',
+            cancelled_at = NOW(),
+            cancelled_by = ?,
+            cancel_reason = ?
+      WHERE id = ?`,
+    [userId, reason ? String(reason).trim().slice(0, 500) || null : null, paymentId]
+  )
+  const [[updated]] = await conn.execute('SELECT * FROM payments WHERE id = ?', [paymentId])
+  return updated
+}
+
+/**
+ * Отчёт по срокам дебиторской (client_contract) или кредиторской
+ * (purchase_order) задолженности. Итоги по корзинам пересчитываются в базовую
+ * валюту по текущему курсу; документы без курса попадают в unconverted.
+ */
+async function buildAgingReport(conn, documentType, { asOf = new Date(), counterpartyId = null } = {}) {
+  const config = getPaymentDocumentConfig(documentType)
+  const today = requireAsOf(asOf)
+  const documents = await fetchPaymentDocuments(conn, documentType, { openOnly: true })
+  const filtered = counterpartyId
+    ? documents.filter((doc) => Number(doc.counterparty_id) === Number(counterpartyId))
+    : documents
+  const states = await buildPaymentStates(conn, documentType, filtered, { asOf: today })
+
+  const rates = new Map()
+  const rateFor = async (currency) => {
+    if (!rates.has(currency)) {
+      rates.set(
+        currency,
+        await getRate(currency, PAYMENT_BASE_CURRENCY)
+          .then((fx) => Number(fx.rate))
+          .catch(() => null)
+      )
+    }
+    return rates.get(currency)
+  }
+
+  const totals = emptyBuckets()
+  const unconverted = []
+  const items = []
+  for (const { document, summary } of states) {
+    if (summary.outstanding_amount <= AMOUNT_EPSILON) continue
+    const currency = normCode(document.currency)
+    const buckets = bucketScheduleSummary(summary)
+    const rate = currency ? await rateFor(currency) : null
+    if (rate === null) {
+      unconverted.push(Number(document.id))
+    } else {
+      for (const bucket of AGING_BUCKETS) totals[bucket] = round2(totals[bucket] + buckets[bucket] * rate)
+    }
+    items.push({
+      document_type: documentType,
+      document_id: Number(document.id),
+      document_number: document.document_number,
+      document_date: formatDate(toDateOnly(document.document_date)),
+      status: document.status,
+      counterparty_id: document.counterparty_id,
+      counterparty_name: document.counterparty_name,
+      currency,
+      total_amount: summary.total_amount,
+      paid_amount: summary.paid_amount,
+      outstanding_amount: summary.outstanding_amount,
+      overdue_amount: summary.overdue_amount,
+      outstanding_base: rate === null ? null : round2(summary.outstanding_amount * rate),
+      buckets,
+    })
+  }
+
+  return {
+    direction: config.direction,
+    as_of: formatDate(today),
+    base_currency: PAYMENT_BASE_CURRENCY,
+    buckets: AGING_BUCKETS,
+    totals: { ...totals, total: round2(AGING_BUCKETS.reduce((sum, bucket) => sum + totals[bucket], 0)) },
+    unconverted_document_ids: unconverted,
+    items,
+  }
+}
+
+module.exports = {
+  PAYMENT_BASE_CURRENCY,
+  MILESTONE_TYPES,
+  AGING_BUCKETS,
+  getPaymentDocumentConfig,
+  normalizeMilestones,
+  resolveMilestoneDueDate,
+  summarizePaymentSchedule,
+  agingBucketFor,
+  bucketScheduleSummary,
+  loadPaymentState,
+  saveMilestones,
+  recordPayment,
+  cancelPayment,
+  buildAgingReport,
+}
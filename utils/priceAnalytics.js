@@ -0,0 +1,424 @@
+// utils/priceAnalytics.js
+// История цен supplier_part_prices в единой валюте (через fxRatesService):
+// ряды по детали поставщика или по позиции каталога, тренд и волатильность.
+// Здесь же проверка новых цен: отклонение от медианы истории детали и от
+// медианы последних цен других поставщиков той же позиции каталога больше
+// порога сохраняется в supplier_part_price_anomalies.
+
+const { getRate } = require('./fxRatesService')
+
+const round2 = (value) => Math.round(value * 100) / 100
+const round4 = (value) => Math.round(value * 10000) / 10000
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+const normCode = (value) => {
+  const code = String(value || '').trim().toUpperCase()
+  return code.length === 3 ? code : null
+}
+const placeholders = (ids) => ids.map(() => '?').join(',')
+
+const PRICE_ANALYTICS_CURRENCY = normCode(process.env.KPI_CURRENCY) || 'RUB'
+const PRICE_ANOMALY_THRESHOLD_PCT = (() => {
+  const n = numOrNull(process.env.PRICE_ANOMALY_THRESHOLD_PCT)
+  return n !== null && n > 0 ? n : 25
+})()
+
+// Большие прайс-листы проверяем порциями, чтобы не упираться в число плейсхолдеров.
+const CHUNK_SIZE = 500
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const median = (values) => {
+  const sorted = values.filter((value) => Number.isFinite(value)).sort((a, b) => a - b)
+  if (!sorted.length) return null
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+const deviationPct = (value, reference) =>
+  reference && reference > 0 ? round2(((value - reference) / reference) * 100) : null
+
+const toTime = (value) => {
+  if (!value) return null
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.getTime()
+}
+
+/**
+ * Сводка по ряду цен (уже в одной валюте).
+ * trend_pct — изменение последней цены к первой; slope_pct_per_30d — наклон
+ * линейной регрессии за 30 дней в % от средней; volatility_pct — коэффициент
+ * вариации (стандартное отклонение / среднее).
+ * @param {Object[]} points - { date, value }
+ */
+function summarizePriceSeries(points) {
+  const series = (Array.isArray(points) ? points : [])
+    .map((point) => ({ time: toTime(point.date), value: numOrNull(point.value) }))
+    .filter((point) => point.time !== null && point.value !== null)
+    .sort((a, b) => a.time - b.time)
+  if (!series.length) {
+    return {
+      count: 0,
+      first: null,
+      last: null,
+      min: null,
+      max: null,
+      avg: null,
+      median: null,
+      trend_pct: null,
+      slope_pct_per_30d: null,
+      volatility_pct: null,
+    }
+  }
+  const values = series.map((point) => point.value)
+  const avg = values.reduce((sum, value) => sum + value, 0) / values.length
+  const variance = values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / values.length
+  const first = series[0].value
+  const last = series[series.length - 1].value
+
+  let slope = null
+  if (series.length > 1) {
+    const t0 = series[0].time
+    const xs = series.map((point) => (point.time - t0) / DAY_MS)
+    const xAvg = xs.reduce((sum, x) => sum + x, 0) / xs.length
+    const sxx = xs.reduce((sum, x) => sum + (x - xAvg) ** 2, 0)
+    if (sxx > 0) {
+      const sxy = xs.reduce((sum, x, index) => sum + (x - xAvg) * (values[index] - avg), 0)
+      slope = sxy / sxx
+    }
+  }
+
+  return {
+    count: series.length,
+    first: round4(first),
+    last: round4(last),
+    min: round4(Math.min(...values)),
+    max: round4(Math.max(...values)),
+    avg: round4(avg),
+    median: round4(median(values)),
+    trend_pct: deviationPct(last, first),
+    slope_pct_per_30d: slope === null || !avg ? null : round2(((slope * 30) / avg) * 100),
+    volatility_pct: avg ? round2((Math.sqrt(variance) / avg) * 100) : null,
+  }
+}
+
+/**
+ * Проверка одной цены против истории детали и цен других поставщиков.
+ * @returns {Object} { is_anomaly, history_reference, history_deviation_pct, peer_reference, peer_deviation_pct }
+ */
+function evaluatePriceAnomaly(value, { history = [], peers = [], thresholdPct = PRICE_ANOMALY_THRESHOLD_PCT } = {}) {
+  const historyReference = median(history)
+  const peerReference = median(peers)
+  const historyDeviation = value === null ? null : deviationPct(value, historyReference)
+  const peerDeviation = value === null ? null : deviationPct(value, peerReference)
+  const exceeds = (deviation) => deviation !== null && Math.abs(deviation) > thresholdPct
+  return {
+    is_anomaly: exceeds(historyDeviation) || exceeds(peerDeviation),
+    history_reference: historyReference === null ? null : round4(historyReference),
+    history_deviation_pct: historyDeviation,
+    history_exceeds: exceeds(historyDeviation),
+    peer_reference: peerReference === null ? null : round4(peerReference),
+    peer_deviation_pct: peerDeviation,
+    peer_exceeds: exceeds(peerDeviation),
+    threshold_pct: thresholdPct,
+  }
+}
+
+/**
+ * Кэш курсов к целевой валюте; недоступный курс — null (цена в ряд не попадёт).
+ */
+function createRateResolver(currency) {
+  const rates = new Map([[currency, 1]])
+  const resolve = async (code) => {
+    const normalized = normCode(code)
+    if (!normalized) return null
+    if (!rates.has(normalized)) {
+      rates.set(
+        normalized,
+        await getRate(normalized, currency)
+          .then((fx) => Number(fx.rate))
+          .catch(() => null)
+      )
+    }
+    return rates.get(normalized)
+  }
+  resolve.rates = rates
+  return resolve
+}
+
+const normalizeRows = async (rows, resolveRate) => {
+  const result = []
+  for (const row of rows) {
+    const price = numOrNull(row.price)
+    const rate = price === null ? null : await resolveRate(row.currency)
+    result.push({
+      ...row,
+      price,
+      fx_rate: rate,
+      normalized_price: price === null || !rate ? null : round4(price * rate),
+    })
+  }
+  return result
+}
+
+/**
+ * История цен по детали поставщика или по всем деталям, связанным с позицией каталога.
+ * @returns {Promise<Object>} { currency, fx_rates, series: [...], summary }
+ */
+async function fetchPriceHistory(
+  conn,
+  { supplierPartId = null, catalogPositionId = null, dateFrom = null, dateTo = null, currency = PRICE_ANALYTICS_CURRENCY } = {}
+) {
+  const where = []
+  const params = []
+  if (supplierPartId) {
+    where.push('spp.supplier_part_id = ?')
+    params.push(supplierPartId)
+  } else if (catalogPositionId) {
+    where.push(
+      'spp.supplier_part_id IN (SELECT supplier_part_id FROM supplier_part_catalog_positions WHERE catalog_position_id = ?)'
+    )
+    params.push(catalogPositionId)
+  } else {
+    throw Object.assign(new Error('Нужно выбрать деталь поставщика или позицию каталога'), { statusCode: 400 })
+  }
+  if (dateFrom) {
+    where.push('spp.date >= ?')
+    params.push(dateFrom)
+  }
+  if (dateTo) {
+    where.push('spp.date <= ?')
+    params.push(dateTo)
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT spp.id AS price_id,
+            spp.supplier_part_id,
+            spp.price,
+            spp.currency,
+            spp.date,
+            spp.offer_type,
+            spp.lead_time_days,
+            spp.source_type,
+            spp.source_subtype,
+            spp.source_id,
+            sp.supplier_part_number,
+            sp.supplier_id,
+            ps.name AS supplier_name,
+            a.id AS anomaly_id,
+            a.status AS anomaly_status
+       FROM supplier_part_prices spp
+       JOIN supplier_parts sp ON sp.id = spp.supplier_part_id
+       JOIN part_suppliers ps ON ps.id = sp.supplier_id
+       LEFT JOIN supplier_part_price_anomalies a ON a.supplier_part_price_id = spp.id
+      WHERE ${where.join(' AND ')}
+      ORDER BY spp.supplier_part_id, spp.date ASC, spp.id ASC`,
+    params
+  )
+
+  const resolveRate = createRateResolver(currency)
+  const points = await normalizeRows(rows, resolveRate)
+  const seriesByPart = new Map()
+  points.forEach((point) => {
+    const key = Number(point.supplier_part_id)
+    if (!seriesByPart.has(key)) {
+      seriesByPart.set(key, {
+        supplier_part_id: key,
+        supplier_part_number: point.supplier_part_number,
+        supplier_id: Number(point.supplier_id),
+        supplier_name: point.supplier_name,
+        points: [],
+      })
+    }
+    const { supplier_part_number, supplier_id, supplier_name, ...rest } = point
+    seriesByPart.get(key).points.push(rest)
+  })
+
+  const toSummaryPoints = (list) =>
+    list
+      .filter((point) => point.normalized_price !== null)
+      .map((point) => ({ date: point.date, value: point.normalized_price }))
+  const series = [...seriesByPart.values()].map((item) => ({
+    ...item,
+    summary: summarizePriceSeries(toSummaryPoints(item.points)),
+  }))
+
+  return {
+    currency,
+    fx_rates: Object.fromEntries(resolveRate.rates),
+    series,
+    summary: summarizePriceSeries(toSummaryPoints(points)),
+    unconverted_count: points.filter((point) => point.price !== null && point.normalized_price === null).length,
+  }
+}
+
+const chunk = (list, size) => {
+  const result = []
+  for (let index = 0; index < list.length; index += size) result.push(list.slice(index, index + size))
+  return result
+}
+
+const pushTo = (map, key, value) => {
+  if (!map.has(key)) map.set(key, [])
+  map.get(key).push(value)
+}
+
+/**
+ * Проверить только что записанные цены и сохранить отметки об аномалиях.
+ * История детали — цены до проверяемых (сами новые цены не учитываются),
+ * другие поставщики — последняя цена каждой их детали той же позиции каталога.
+ * Запросы идут пачками по CHUNK_SIZE, каждая пачка связывает только свои id;
+ * последние цены деталей-«соседей» считаются один раз на весь набор.
+ * @param {Object} conn
+ * @param {number[]} priceIds - id строк supplier_part_prices
+ * @returns {Promise<Object[]>} сохранённые аномалии
+ */
+async function flagPriceAnomalies(
+  conn,
+  priceIds,
+  { currency = PRICE_ANALYTICS_CURRENCY, thresholdPct = PRICE_ANOMALY_THRESHOLD_PCT } = {}
+) {
+  const ids = [...new Set((Array.isArray(priceIds) ? priceIds : []).map(Number).filter((id) => id > 0))]
+  if (!ids.length) return []
+  const resolveRate = createRateResolver(currency)
+
+  const newRows = []
+  for (const batch of chunk(ids, CHUNK_SIZE)) {
+    const [rows] = await conn.execute(
+      `SELECT spp.id, spp.supplier_part_id, spp.price, spp.currency, spp.source_type, sp.supplier_id
+         FROM supplier_part_prices spp
+         JOIN supplier_parts sp ON sp.id = spp.supplier_part_id
+        WHERE spp.id IN (${placeholders(batch)})`,
+      batch
+    )
+    newRows.push(...rows)
+  }
+  if (!newRows.length) return []
+  const newIds = new Set(newRows.map((row) => Number(row.id)))
+  const newIdsByPart = new Map()
+  newRows.forEach((row) => pushTo(newIdsByPart, Number(row.supplier_part_id), Number(row.id)))
+  const partIds = [...newIdsByPart.keys()]
+
+  const historyByPart = new Map()
+  const peerLinks = []
+  for (const batch of chunk(partIds, CHUNK_SIZE)) {
+    const [historyRows] = await conn.execute(
+      `SELECT id, supplier_part_id, price, currency
+         FROM supplier_part_prices
+        WHERE supplier_part_id IN (${placeholders(batch)})`,
+      batch
+    )
+    const previous = historyRows.filter((row) => !newIds.has(Number(row.id)))
+    for (const row of await normalizeRows(previous, resolveRate)) {
+      if (row.normalized_price === null) continue
+      pushTo(historyByPart, Number(row.supplier_part_id), row.normalized_price)
+    }
+
+    const [links] = await conn.execute(
+      `SELECT DISTINCT target.supplier_part_id AS target_part_id,
+              peer.supplier_part_id AS peer_part_id
+         FROM supplier_part_catalog_positions target
+         JOIN supplier_parts target_sp ON target_sp.id = target.supplier_part_id
+         JOIN supplier_part_catalog_positions peer
+           ON peer.catalog_position_id = target.catalog_position_id
+          AND peer.supplier_part_id <> target.supplier_part_id
+         JOIN supplier_parts peer_sp
+           ON peer_sp.id = peer.supplier_part_id
+          AND peer_sp.supplier_id <> target_sp.supplier_id
+        WHERE target.supplier_part_id IN (${placeholders(batch)})`,
+      batch
+    )
+    peerLinks.push(...links)
+  }
+
+  // последняя цена каждой детали-соседа без только что записанных
+  const peerPrice = new Map()
+  const peerPartIds = [...new Set(peerLinks.map((row) => Number(row.peer_part_id)))]
+  for (const batch of chunk(peerPartIds, CHUNK_SIZE)) {
+    const excluded = batch.flatMap((partId) => newIdsByPart.get(partId) || [])
+    const [rows] = await conn.execute(
+      `SELECT spp.supplier_part_id, spp.price, spp.currency
+         FROM supplier_part_prices spp
+         JOIN (
+           SELECT supplier_part_id, MAX(id) AS max_id
+             FROM supplier_part_prices
+            WHERE supplier_part_id IN (${placeholders(batch)})
+              ${excluded.length ? `AND id NOT IN (${placeholders(excluded)})` : ''}
+            GROUP BY supplier_part_id
+         ) latest ON latest.max_id = spp.id`,
+      [...batch, ...excluded]
+    )
+    for (const row of await normalizeRows(rows, resolveRate)) {
+      if (row.normalized_price === null) continue
+      peerPrice.set(Number(row.supplier_part_id), row.normalized_price)
+    }
+  }
+  const peersByPart = new Map()
+  for (const link of peerLinks) {
+    const price = peerPrice.get(Number(link.peer_part_id))
+    if (price === undefined) continue
+    const key = Number(link.target_part_id)
+    if (!peersByPart.has(key)) peersByPart.set(key, new Map())
+    peersByPart.get(key).set(Number(link.peer_part_id), price)
+  }
+
+  const flagged = []
+  for (const row of await normalizeRows(newRows, resolveRate)) {
+    if (row.normalized_price === null) continue
+    const partId = Number(row.supplier_part_id)
+    const result = evaluatePriceAnomaly(row.normalized_price, {
+      history: historyByPart.get(partId) || [],
+      peers: [...(peersByPart.get(partId)?.values() || [])],
+      thresholdPct,
+    })
+    if (!result.is_anomaly) continue
+    await conn.execute(
+      `INSERT INTO supplier_part_price_anomalies
+         (supplier_part_price_id, supplier_part_id, source_type, currency, normalized_price,
+          history_reference, history_deviation_pct, peer_reference, peer_deviation_pct, threshold_pct)
+       VALUES (?,?,?,?,?,?,?,?,?,?)
+       ON DUPLICATE KEY UPDATE
+         currency = VALUES(currency),
+         normalized_price = VALUES(normalized_price),
+         history_reference = VALUES(history_reference),
+         history_deviation_pct = VALUES(history_deviation_pct),
+         peer_reference = VALUES(peer_reference),
+         peer_deviation_pct = VALUES(peer_deviation_pct),
+         threshold_pct = VALUES(threshold_pct)`,
+      [
+        row.id,
+        partId,
+        row.source_type || null,
+        currency,
+        row.normalized_price,
+        result.history_reference,
+        result.history_deviation_pct,
+        result.peer_reference,
+        result.peer_deviation_pct,
+        thresholdPct,
+      ]
+    )
+    flagged.push({
+      supplier_part_price_id: Number(row.id),
+      supplier_part_id: partId,
+      supplier_id: Number(row.supplier_id),
+      price: row.price,
+      price_currency: row.currency,
+      normalized_price: row.normalized_price,
+      currency,
+      ...result,
+    })
+  }
+  return flagged
+}
+
+module.exports = {
+  PRICE_ANALYTICS_CURRENCY,
+  PRICE_ANOMALY_THRESHOLD_PCT,
+  evaluatePriceAnomaly,
+  fetchPriceHistory,
+  flagPriceAnomalies,
+  summarizePriceSeries,
+}
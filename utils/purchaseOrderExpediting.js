@@ -0,0 +1,426 @@
+// utils/purchaseOrderExpediting.js
+// Подтверждённые сроки строк PO и контроль просрочки.
+// При переходе PO в confirmed каждая строка получает подтверждённые даты
+// отгрузки/прибытия (из запроса или lead_time_days от даты подтверждения);
+// дальнейшие переносы — только с причиной, все изменения пишутся в журнал.
+// Строка просрочена, если плановая дата прибытия прошла, а проведённые
+// приходы не закрыли количество; по таким строкам ведётся событие DELAY.
+
+const {
+  loadSupplierQualityContextFromPoLine,
+  syncSupplierQualityDerivedFields,
+} = require('./supplierQuality')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const QTY_EPSILON = 1e-6
+const DELAY_AUTO_SOURCE = 'po_line_overdue'
+const OPEN_PO_STATUSES = ['sent', 'confirmed']
+
+const toDateOnly = (value) => {
+  if (!value) return null
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (match) return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) return null
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+}
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : null)
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS)
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS)
+
+// Плановая дата прибытия строки: подтверждённая, иначе дата PO + lead_time_days.
+const PO_LINE_DUE_DATE_SQL =
+  'COALESCE(pol.confirmed_arrival_date, DATE_ADD(DATE(po.created_at), INTERVAL pol.lead_time_days DAY))'
+
+const receiptQtySql = (status) => `(
+  SELECT COALESCE(SUM(wdl.quantity), 0)
+    FROM warehouse_document_lines wdl
+    JOIN warehouse_documents wd ON wd.id = wdl.document_id
+   WHERE wd.doc_type = 'receipt'
+     AND wd.status = '${status}'
+     AND COALESCE(wdl.source_type, wd.source_type) = 'purchase_order'
+     AND COALESCE(wdl.source_id, wd.source_id) = CAST(po.id AS CHAR)
+     AND wdl.source_line_id = CAST(pol.id AS CHAR)
+)`
+
+const placeholders = (ids) => ids.map(() => '?').join(',')
+
+const parseDateInput = (value, label) => {
+  if (value === undefined || value === null || value === '') return null
+  const date = toDateOnly(value)
+  if (!date) throw Object.assign(new Error(`Некорректная дата: ${label}`), { statusCode: 400 })
+  return date
+}
+
+const ensureDateOrder = (shipDate, arrivalDate, lineId) => {
+  if (shipDate && arrivalDate && arrivalDate < shipDate) {
+    throw Object.assign(
+      new Error(`Строка PO #${lineId}: дата прибытия не может быть раньше даты отгрузки`),
+      { statusCode: 400 }
+    )
+  }
+}
+
+/**
+ * Готовит подтверждение сроков для всех строк PO. Дата прибытия обязательна:
+ * если она не передана, берётся дата подтверждения + lead_time_days.
+ */
+const planLineDateConfirmation = (lines, input = [], { confirmedOn = new Date() } = {}) => {
+  const today = toDateOnly(confirmedOn)
+  const byLineId = new Map(
+    (Array.isArray(input) ? input : []).map((row) => [Number(row?.line_id ?? row?.id), row])
+  )
+  return lines.map((line) => {
+    const raw = byLineId.get(Number(line.id)) || {}
+    const shipDate =
+      parseDateInput(raw.confirmed_ship_date, 'confirmed_ship_date') || toDateOnly(line.confirmed_ship_date)
+    let arrivalDate =
+      parseDateInput(raw.confirmed_arrival_date, 'confirmed_arrival_date') || toDateOnly(line.confirmed_arrival_date)
+    if (!arrivalDate && line.lead_time_days !== null && line.lead_time_days !== undefined) {
+      arrivalDate = addDays(today, Number(line.lead_time_days))
+    }
+    if (!arrivalDate) {
+      throw Object.assign(
+        new Error(`Строка PO #${line.id}: укажите подтверждённую дату прибытия (нет lead_time_days)`),
+        { statusCode: 409 }
+      )
+    }
+    ensureDateOrder(shipDate, arrivalDate, line.id)
+    return {
+      line_id: Number(line.id),
+      previous_ship_date: formatDate(toDateOnly(line.confirmed_ship_date)),
+      previous_arrival_date: formatDate(toDateOnly(line.confirmed_arrival_date)),
+      confirmed_ship_date: formatDate(shipDate),
+      confirmed_arrival_date: formatDate(arrivalDate),
+    }
+  })
+}
+
+const insertDateRevision = async (conn, { poId, plan, kind, reason = null, userId = null }) => {
+  await conn.execute(
+    `INSERT INTO supplier_purchase_order_line_date_revisions
+      (supplier_purchase_order_id, supplier_purchase_order_line_id, revision_kind,
+       previous_ship_date, previous_arrival_date, confirmed_ship_date, confirmed_arrival_date,
+       reason, changed_by)
+     VALUES (?,?,?,?,?,?,?,?,?)`,
+    [
+      poId,
+      plan.line_id,
+      kind,
+      plan.previous_ship_date,
+      plan.previous_arrival_date,
+      plan.confirmed_ship_date,
+      plan.confirmed_arrival_date,
+      reason,
+      userId,
+    ]
+  )
+}
+
+async function confirmPurchaseOrderLineDates(conn, poId, input = [], { userId = null } = {}) {
+  const [lines] = await conn.execute(
+    `SELECT id, lead_time_days, confirmed_ship_date, confirmed_arrival_date
+       FROM supplier_purchase_order_lines
+      WHERE supplier_purchase_order_id = ?
+      ORDER BY id`,
+    [poId]
+  )
+  const plans = planLineDateConfirmation(lines, input)
+  for (const plan of plans) {
+    await conn.execute(
+      `UPDATE supplier_purchase_order_lines
+          SET confirmed_ship_date = ?,
+              confirmed_arrival_date = ?,
+              dates_confirmed_at = NOW(),
+              dates_confirmed_by = ?
+        WHERE id = ?`,
+      [plan.confirmed_ship_date, plan.confirmed_arrival_date, userId, plan.line_id]
+    )
+    await insertDateRevision(conn, { poId, plan, kind: 'confirmation', userId })
+  }
+  return plans
+}
+
+/**
+ * Перенос подтверждённых сроков строки. Открытое авто-событие DELAY по
+ * прежнему сроку закрывается: просрочка дальше считается от нового срока.
+ */
+async function revisePurchaseOrderLineDates(conn, poId, lineId, input = {}, { userId = null } = {}) {
+  const reason = String(input.reason || '').trim()
+  if (!reason) throw Object.assign(new Error('Укажите причину переноса сроков'), { statusCode: 400 })
+
+  const [[line]] = await conn.execute(
+    `SELECT pol.id, pol.confirmed_ship_date, pol.confirmed_arrival_date, po.status
+       FROM supplier_purchase_order_lines pol
+       JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+      WHERE pol.id = ?
+        AND pol.supplier_purchase_order_id = ?
+      FOR UPDATE`,
+    [lineId, poId]
+  )
+  if (!line) throw Object.assign(new Error('Строка PO не найдена'), { statusCode: 404 })
+  if (line.status !== 'confirmed') {
+    throw Object.assign(new Error('Сроки переносятся только в подтверждённом PO'), { statusCode: 409 })
+  }
+
+  const hasOwn = (key) => Object.prototype.hasOwnProperty.call(input, key)
+  const shipDate = hasOwn('confirmed_ship_date')
+    ? parseDateInput(input.confirmed_ship_date, 'confirmed_ship_date')
+    : toDateOnly(line.confirmed_ship_date)
+  const arrivalDate = hasOwn('confirmed_arrival_date')
+    ? parseDateInput(input.confirmed_arrival_date, 'confirmed_arrival_date')
+    : toDateOnly(line.confirmed_arrival_date)
+  if (!arrivalDate) {
+    throw Object.assign(new Error('Подтверждённая дата прибытия обязательна'), { statusCode: 400 })
+  }
+  ensureDateOrder(shipDate, arrivalDate, line.id)
+
+  const plan = {
+    line_id: Number(line.id),
+    previous_ship_date: formatDate(toDateOnly(line.confirmed_ship_date)),
+    previous_arrival_date: formatDate(toDateOnly(line.confirmed_arrival_date)),
+    confirmed_ship_date: formatDate(shipDate),
+    confirmed_arrival_date: formatDate(arrivalDate),
+  }
+  if (
+    plan.previous_ship_date === plan.confirmed_ship_date &&
+    plan.previous_arrival_date === plan.confirmed_arrival_date
+  ) {
+    throw Object.assign(new Error('Сроки не изменились'), { statusCode: 409 })
+  }
+
+  await conn.execute(
+    `UPDATE supplier_purchase_order_lines
+        SET confirmed_ship_date = ?,
+            confirmed_arrival_date = ?
+      WHERE id = ?`,
+    [plan.confirmed_ship_date, plan.confirmed_arrival_date, plan.line_id]
+  )
+  await insertDateRevision(conn, { poId, plan, kind: 'revision', reason: reason.slice(0, 500), userId })
+
+  await conn.execute(
+    `UPDATE supplier_quality_events
+        SET status = 'closed',
+            note = CONCAT(COALESCE(note, ''), ?)
+      WHERE auto_source = ?
+        AND supplier_purchase_order_line_id = ?
+        AND status = 'open'`,
+    [`\nСрок перенесён на ${plan.confirmed_arrival_date}: ${reason.slice(0, 200)}`, DELAY_AUTO_SOURCE, plan.line_id]
+  )
+  return plan
+}
+
+const delaySeverity = (overdueDays) => (overdueDays > 30 ? 4 : overdueDays > 7 ? 3 : 2)
+
+/**
+ * Состояние строки на дату asOf: остатки по приходам и дни просрочки.
+ * remaining_receipt_qty — то, что ещё не оформлено даже черновиком прихода.
+ */
+const summarizeLineReceipt = (row, asOf = new Date()) => {
+  const today = toDateOnly(asOf)
+  const qty = Number(row.qty || 0)
+  const receivedQty = Number(row.received_qty || 0)
+  const pendingReceiptQty = Number(row.pending_receipt_qty || 0)
+  const openQty = Math.max(qty - receivedQty, 0)
+  const dueDate = toDateOnly(row.due_date)
+  const overdueDays = dueDate && openQty > QTY_EPSILON ? Math.max(daysBetween(dueDate, today), 0) : 0
+  return {
+    received_qty: receivedQty,
+    pending_receipt_qty: pendingReceiptQty,
+    remaining_receipt_qty: Math.max(0, qty - receivedQty - pendingReceiptQty),
+    open_qty: openQty,
+    due_date: formatDate(dueDate),
+    overdue_days: overdueDays,
+    is_overdue: overdueDays > 0,
+  }
+}
+
+async function fetchOverduePoLines(conn, { asOf = new Date(), supplierId = null, poId = null } = {}) {
+  const today = formatDate(toDateOnly(asOf))
+  const where = [
+    `po.status IN (${placeholders(OPEN_PO_STATUSES)})`,
+    `${PO_LINE_DUE_DATE_SQL} < ?`,
+    `${receiptQtySql('posted')} < pol.qty`,
+  ]
+  const params = [...OPEN_PO_STATUSES, today]
+  if (supplierId) {
+    where.push('po.supplier_id = ?')
+    params.push(supplierId)
+  }
+  if (poId) {
+    where.push('po.id = ?')
+    params.push(poId)
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT pol.id,
+            pol.supplier_purchase_order_id,
+            pol.qty,
+            pol.lead_time_days,
+            pol.confirmed_ship_date,
+            pol.confirmed_arrival_date,
+            pol.supplier_display_part_number_snapshot AS supplier_display_part_number,
+            pol.supplier_display_description_snapshot AS supplier_display_description,
+            po.supplier_id,
+            po.status AS purchase_order_status,
+            po.supplier_reference,
+            po.created_at AS purchase_order_created_at,
+            ps.name AS supplier_name,
+            ${PO_LINE_DUE_DATE_SQL} AS due_date,
+            CASE WHEN pol.confirmed_arrival_date IS NULL THEN 'lead_time' ELSE 'confirmed' END AS due_date_source,
+            ${receiptQtySql('posted')} AS received_qty,
+            ${receiptQtySql('draft')} AS pending_receipt_qty,
+            (
+              SELECT COUNT(*)
+                FROM supplier_purchase_order_line_date_revisions r
+               WHERE r.supplier_purchase_order_line_id = pol.id
+                 AND r.revision_kind = 'revision'
+            ) AS date_revision_count,
+            (
+              SELECT MAX(e.id)
+                FROM supplier_quality_events e
+               WHERE e.auto_source = '${DELAY_AUTO_SOURCE}'
+                 AND e.supplier_purchase_order_line_id = pol.id
+                 AND e.status = 'open'
+            ) AS delay_event_id
+       FROM supplier_purchase_order_lines pol
+       JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+       JOIN part_suppliers ps ON ps.id = po.supplier_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY due_date ASC, pol.id ASC`,
+    params
+  )
+  return rows.map((row) => ({ ...row, ...summarizeLineReceipt(row, asOf) }))
+}
+
+/**
+ * Ведёт авто-события DELAY: создаёт по новым просроченным строкам, обновляет
+ * дни просрочки по открытым и закрывает события по строкам, закрытым приходом.
+ */
+async function syncPoLineDelayEvents(conn, { asOf = new Date(), userId = null } = {}) {
+  const today = toDateOnly(asOf)
+  const overdueLines = await fetchOverduePoLines(conn, { asOf: today })
+  const touchedSuppliers = new Set()
+  const result = { created: 0, updated: 0, closed: 0 }
+
+  for (const line of overdueLines) {
+    const [[existing]] = await conn.execute(
+      `SELECT id, status
+         FROM supplier_quality_events
+        WHERE auto_source = ?
+          AND supplier_purchase_order_line_id = ?
+          AND expected_date = ?
+        ORDER BY id DESC
+        LIMIT 1`,
+      [DELAY_AUTO_SOURCE, line.id, line.due_date]
+    )
+    if (existing) {
+      if (existing.status !== 'open') continue
+      await conn.execute(
+        `UPDATE supplier_quality_events
+            SET delay_days = ?,
+                qty_affected = ?,
+                severity = GREATEST(severity, ?)
+          WHERE id = ?`,
+        [line.overdue_days, line.open_qty, delaySeverity(line.overdue_days), existing.id]
+      )
+      result.updated += 1
+    } else {
+      const context = await loadSupplierQualityContextFromPoLine(conn, {
+        supplierId: line.supplier_id,
+        poId: line.supplier_purchase_order_id,
+        poLineId: line.id,
+      })
+      await conn.execute(
+        `INSERT INTO supplier_quality_events
+          (supplier_id, event_type, severity, status, occurred_at, created_by_user_id, note, auto_source,
+           supplier_purchase_order_id, supplier_purchase_order_line_id, rfq_response_line_id,
+           selection_id, selection_line_id, sales_quote_id, sales_quote_line_id, oem_part_id,
+           qty_affected, expected_date, actual_date, delay_days, rating)
+         VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+        [
+          line.supplier_id,
+          'DELAY',
+          delaySeverity(line.overdue_days),
+          'open',
+          formatDate(addDays(toDateOnly(line.due_date), 1)),
+          userId,
+          `Автоматически: строка PO #${line.id} не поступила к ${line.due_date}`,
+          DELAY_AUTO_SOURCE,
+          line.supplier_purchase_order_id,
+          line.id,
+          context?.rfq_response_line_id || null,
+          context?.selection_id || null,
+          context?.selection_line_id || null,
+          context?.sales_quote_id || null,
+          context?.sales_quote_line_id || null,
+          context?.oem_part_id || null,
+          line.open_qty,
+          line.due_date,
+          null,
+          line.overdue_days,
+          null,
+        ]
+      )
+      result.created += 1
+    }
+    touchedSuppliers.add(Number(line.supplier_id))
+  }
+
+  const [received] = await conn.execute(
+    `SELECT e.id,
+            e.supplier_id,
+            e.expected_date,
+            (
+              SELECT MAX(wd.document_date)
+                FROM warehouse_document_lines wdl
+                JOIN warehouse_documents wd ON wd.id = wdl.document_id
+               WHERE wd.doc_type = 'receipt'
+                 AND wd.status = 'posted'
+                 AND COALESCE(wdl.source_type, wd.source_type) = 'purchase_order'
+                 AND COALESCE(wdl.source_id, wd.source_id) = CAST(po.id AS CHAR)
+                 AND wdl.source_line_id = CAST(pol.id AS CHAR)
+            ) AS received_at
+       FROM supplier_quality_events e
+       JOIN supplier_purchase_order_lines pol ON pol.id = e.supplier_purchase_order_line_id
+       JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+      WHERE e.auto_source = ?
+        AND e.status = 'open'
+        AND (${receiptQtySql('posted')} >= pol.qty OR po.status = 'cancelled')`,
+    [DELAY_AUTO_SOURCE]
+  )
+  for (const event of received) {
+    const actualDate = toDateOnly(event.received_at)
+    const expectedDate = toDateOnly(event.expected_date)
+    await conn.execute(
+      `UPDATE supplier_quality_events
+          SET status = 'closed',
+              actual_date = ?,
+              delay_days = COALESCE(?, delay_days)
+        WHERE id = ?`,
+      [
+        formatDate(actualDate),
+        actualDate && expectedDate ? Math.max(daysBetween(expectedDate, actualDate), 0) : null,
+        event.id,
+      ]
+    )
+    result.closed += 1
+    touchedSuppliers.add(Number(event.supplier_id))
+  }
+
+  for (const supplierId of touchedSuppliers) {
+    await syncSupplierQualityDerivedFields(conn, supplierId)
+  }
+  return { ...result, suppliers: touchedSuppliers.size }
+}
+
+module.exports = {
+  PO_LINE_DUE_DATE_SQL,
+  DELAY_AUTO_SOURCE,
+  planLineDateConfirmation,
+  summarizeLineReceipt,
+  confirmPurchaseOrderLineDates,
+  revisePurchaseOrderLineDates,
+  fetchOverduePoLines,
+  syncPoLineDelayEvents,
+}
@@ -0,0 +1,316 @@
+// utils/realtimeEvents.js
+// События для потока GET /dashboard/events (SSE).
+// Публикация — строка в realtime_events в той же транзакции, что и само изменение:
+// откатилась транзакция — откатилось и событие. Доставка — опрос таблицы одним
+// таймером на процесс (у Cloud Run несколько инстансов, событие может родиться
+// на соседнем), локальная публикация лишь будит опрос раньше срока.
+
+const db = require('./db')
+const { ROUTE_BUNDLES } = require('./accessModel')
+
+const POLL_INTERVAL_MS = Number(process.env.REALTIME_POLL_MS) || 2000
+// Автоинкремент выдаётся до коммита, поэтому строка с меньшим id может стать
+// видимой позже строки с большим. Перечитываем короткое окно и отсекаем дубли.
+const LOOKBACK_SECONDS = 15
+const BATCH_LIMIT = 500
+const REPLAY_LIMIT = 500
+const RETENTION_DAYS = 3
+const CLEANUP_EVERY_MS = 60 * 60 * 1000
+
+const subscribers = new Set()
+const recentIds = new Set()
+let highWaterMark = null
+let pollTimer = null
+let polling = false
+let wakeScheduled = false
+let lastCleanupAt = 0
+
+const toJson = (value) => {
+  if (value === undefined || value === null) return null
+  try {
+    return JSON.stringify(value)
+  } catch {
+    return null
+  }
+}
+
+const parsePayload = (value) => {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'object') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return null
+  }
+}
+
+const normalizeRow = (row) => ({
+  id: Number(row.id),
+  user_id: row.user_id === null || row.user_id === undefined ? null : Number(row.user_id),
+  type: row.event_type,
+  entity_type: row.entity_type || null,
+  entity_id: row.entity_id === null || row.entity_id === undefined ? null : Number(row.entity_id),
+  payload: parsePayload(row.payload_json),
+  created_at: row.created_at,
+})
+
+// Событие без адресата (смена статуса) видит тот, кому открыт раздел сущности —
+// те же наборы вкладок, что у маршрутов в routerIndex.
+const ENTITY_BUNDLES = {
+  rfqs: 'RFQ_WORKSPACE',
+  rfq_supplier_responses: 'RFQ_WORKSPACE',
+  supplier_purchase_orders: 'RFQ_WORKSPACE',
+}
+
+const isAdminUser = (user) => user?.role === 'admin' || Number(user?.role_id) === 1 || Boolean(user?.is_admin)
+
+/**
+ * Кто слушает поток: пользователь и открытые ему вкладки (null — админ, видит всё).
+ * @param {Object} user - req.user
+ * @returns {Promise<{userId: number, allowedPaths: Set<string>|null}>}
+ */
+async function loadRealtimeViewer(user, conn = db) {
+  const userId = Number(user?.id)
+  if (isAdminUser(user)) return { userId, allowedPaths: null }
+  if (!user?.role_id) return { userId, allowedPaths: new Set() }
+  const [rows] = await conn.execute(
+    `SELECT t.path, t.tab_name
+       FROM role_permissions rp
+       JOIN tabs t ON t.id = rp.tab_id
+      WHERE rp.role_id = ?
+        AND rp.can_view = 1`,
+    [user.role_id]
+  )
+  const allowedPaths = new Set()
+  rows.forEach((row) => {
+    ;[row.path, row.tab_name].forEach((key) => {
+      const value = String(key || '').trim().toLowerCase()
+      if (value) allowedPaths.add(value)
+    })
+  })
+  return { userId, allowedPaths }
+}
+
+const isAddressedTo = (event, viewer) => {
+  if (event.user_id !== null) return event.user_id === Number(viewer.userId)
+  if (viewer.allowedPaths === null) return true
+  const paths = ROUTE_BUNDLES[ENTITY_BUNDLES[event.entity_type]]
+  return Boolean(paths && paths.some((path) => viewer.allowedPaths.has(path)))
+}
+
+/**
+ * Записать событие. Ошибка публикации не должна ломать основное действие,
+ * поэтому она только логируется — как в createNotification.
+ * @param {Object} conn - соединение/пул (в транзакции — её соединение)
+ * @param {Object} event
+ * @param {number|number[]|null} event.userIds - получатели; null — всем, кому открыт раздел сущности
+ * @param {string} event.type - 'notification' | 'assignment' | 'status'
+ * @param {string} [event.entityType]
+ * @param {number} [event.entityId]
+ * @param {Object} [event.payload]
+ */
+async function publishRealtimeEvent(conn, { userIds = null, type, entityType = null, entityId = null, payload = null }) {
+  if (!type) return
+  const recipients =
+    userIds === null
+      ? [null]
+      : [...new Set([].concat(userIds).map(Number).filter((id) => Number.isInteger(id) && id > 0))]
+  if (!recipients.length) return
+
+  try {
+    for (const userId of recipients) {
+      await conn.execute(
+        `INSERT INTO realtime_events (user_id, event_type, entity_type, entity_id, payload_json)
+         VALUES (?, ?, ?, ?, ?)`,
+        [userId, type, entityType, entityId || null, toJson(payload)]
+      )
+    }
+    scheduleWake()
+  } catch (e) {
+    console.error('publishRealtimeEvent error:', e)
+  }
+}
+
+/**
+ * Смена статуса сущности (rfqs, rfq_supplier_responses, supplier_purchase_orders).
+ * Одинаковые статусы не публикуются.
+ */
+async function publishStatusChange(conn, { entityType, entityId, from = null, to, userIds = null, meta = {} }) {
+  if (!entityType || !entityId || !to) return
+  if (from !== null && String(from) === String(to)) return
+  await publishRealtimeEvent(conn, {
+    userIds,
+    type: 'status',
+    entityType,
+    entityId,
+    payload: { ...meta, entity_type: entityType, entity_id: Number(entityId), from, to },
+  })
+}
+
+/**
+ * Смена исполнителя: событие получают и прежний, и новый исполнитель.
+ */
+async function publishAssignmentChange(conn, { entityType, entityId, previousUserId = null, userId = null, meta = {} }) {
+  const prev = Number(previousUserId) || null
+  const next = Number(userId) || null
+  if (!entityType || !entityId || prev === next) return
+  await publishRealtimeEvent(conn, {
+    userIds: [prev, next].filter(Boolean),
+    type: 'assignment',
+    entityType,
+    entityId,
+    payload: {
+      ...meta,
+      entity_type: entityType,
+      entity_id: Number(entityId),
+      previous_user_id: prev,
+      assigned_to_user_id: next,
+    },
+  })
+}
+
+/**
+ * События пользователя после lastEventId — для повтора при переподключении.
+ * Общие события отбираются по доступу так же, как при живой доставке.
+ * @param {Object} viewer - результат loadRealtimeViewer
+ * @returns {Promise<{events: Object[], truncated: boolean}>}
+ */
+async function fetchEventsSince(viewer, lastEventId, { limit = REPLAY_LIMIT } = {}, conn = db) {
+  const safeLimit = Math.min(Math.max(Number(limit) || REPLAY_LIMIT, 1), REPLAY_LIMIT)
+  const [rows] = await conn.execute(
+    `SELECT id, user_id, event_type, entity_type, entity_id, payload_json, created_at
+       FROM realtime_events
+      WHERE id > ?
+        AND (user_id = ? OR user_id IS NULL)
+      ORDER BY id ASC
+      LIMIT ${safeLimit + 1}`,
+    [Number(lastEventId) || 0, Number(viewer.userId)]
+  )
+  const truncated = rows.length > safeLimit
+  const events = rows
+    .slice(0, safeLimit)
+    .map(normalizeRow)
+    .filter((event) => isAddressedTo(event, viewer))
+  return { events, truncated }
+}
+
+const rememberId = (id) => {
+  recentIds.add(id)
+  if (recentIds.size > BATCH_LIMIT * 4) {
+    const overflow = recentIds.size - BATCH_LIMIT * 2
+    let i = 0
+    for (const value of recentIds) {
+      if (i++ >= overflow) break
+      recentIds.delete(value)
+    }
+  }
+}
+
+const cleanupOldEvents = () => {
+  const now = Date.now()
+  if (now - lastCleanupAt < CLEANUP_EVERY_MS) return
+  lastCleanupAt = now
+  db.execute('DELETE FROM realtime_events WHERE created_at < NOW() - INTERVAL ? DAY', [RETENTION_DAYS]).catch(
+    (err) => console.warn('realtimeEvents cleanup skipped:', err.code || err.message)
+  )
+}
+
+async function poll() {
+  if (polling || !subscribers.size) return
+  polling = true
+  try {
+    if (highWaterMark === null) {
+      // старт опроса: всё, что уже лежит в окне, считаем доставленным —
+      // пропущенное клиент получит повтором по Last-Event-ID
+      const [[row]] = await db.execute('SELECT COALESCE(MAX(id), 0) AS max_id FROM realtime_events')
+      const [seen] = await db.execute(
+        `SELECT id FROM realtime_events WHERE created_at >= NOW() - INTERVAL ${LOOKBACK_SECONDS} SECOND`
+      )
+      seen.forEach((item) => rememberId(Number(item.id)))
+      highWaterMark = Number(row?.max_id || 0)
+    }
+    const [rows] = await db.execute(
+      `SELECT id, user_id, event_type, entity_type, entity_id, payload_json, created_at
+         FROM realtime_events
+        WHERE id > ?
+           OR created_at >= NOW() - INTERVAL ${LOOKBACK_SECONDS} SECOND
+        ORDER BY id ASC
+        LIMIT ${BATCH_LIMIT}`,
+      [highWaterMark]
+    )
+    for (const row of rows) {
+      const event = normalizeRow(row)
+      if (event.id > highWaterMark) highWaterMark = event.id
+      if (recentIds.has(event.id)) continue
+      rememberId(event.id)
+      for (const subscriber of subscribers) {
+        if (isAddressedTo(event, subscriber.viewer)) subscriber.send(event)
+      }
+    }
+    cleanupOldEvents()
+  } catch (e) {
+    console.error('realtimeEvents poll error:', e.code || e.message)
+  } finally {
+    polling = false
+  }
+}
+
+function scheduleWake() {
+  if (!subscribers.size || wakeScheduled) return
+  wakeScheduled = true
+  // даём транзакции публикующего запроса время закоммититься
+  setTimeout(() => {
+    wakeScheduled = false
+    poll()
+  }, 200).unref()
+}
+
+/**
+ * Подписать соединение на события пользователя.
+ * @param {Object} viewer - результат loadRealtimeViewer
+ * @param {(event: Object) => void} send
+ * @returns {() => void} отписка
+ */
+function subscribe(viewer, send) {
+  const subscriber = { viewer, send }
+  subscribers.add(subscriber)
+  if (!pollTimer) {
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS)
+    pollTimer.unref()
+  }
+  return () => {
+    subscribers.delete(subscriber)
+    if (!subscribers.size && pollTimer) {
+      clearInterval(pollTimer)
+      pollTimer = null
+      // без подписчиков окно не читаем: при следующей подписке начинаем с текущего MAX(id)
+      highWaterMark = null
+      recentIds.clear()
+    }
+  }
+}
+
+/**
+ * Строка события в формате text/event-stream.
+ */
+function formatSseEvent(event) {
+  const data = JSON.stringify({
+    id: event.id,
+    type: event.type,
+    entity_type: event.entity_type,
+    entity_id: event.entity_id,
+    created_at: event.created_at,
+    data: event.payload,
+  })
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`
+}
+
+module.exports = {
+  fetchEventsSince,
+  formatSseEvent,
+  loadRealtimeViewer,
+  publishAssignmentChange,
+  publishRealtimeEvent,
+  publishStatusChange,
+  subscribe,
+}
@@ -0,0 +1,150 @@
+// utils/refreshTokenStore.js
+// Хранилище refresh-токенов (auth_refresh_tokens). Сам JWT подписывает
+// controllers/authController.js, здесь — только учёт: в БД лежит sha256 токена,
+// семейство (цепочка ротаций одного входа) и связанная сессия user_sessions.
+
+const crypto = require('crypto')
+const db = require('./db')
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+const newFamilyId = () => crypto.randomUUID()
+
+const closeSessions = async (conn, { userId = null, sessionIds = [] }, reason) => {
+  const ids = [...new Set(sessionIds.filter(Boolean))]
+  if (!userId && !ids.length) return
+  const where = ["status = 'active'"]
+  const params = [reason]
+  if (userId) {
+    where.push('user_id = ?')
+    params.push(userId)
+  } else {
+    where.push(`session_id IN (${ids.map(() => '?').join(',')})`)
+    params.push(...ids)
+  }
+  await conn.execute(
+    `UPDATE user_sessions
+        SET status = 'inactive',
+            ended_at = COALESCE(ended_at, NOW()),
+            is_visible = 0,
+            closed_reason = ?
+      WHERE ${where.join(' AND ')}`,
+    params
+  )
+}
+
+/**
+ * Записать выданный refresh-токен.
+ * @returns {Promise<number>} id записи
+ */
+async function recordRefreshToken(
+  conn,
+  { token, userId, familyId, parentId = null, sessionId = null, expiresAt, ip = null, userAgent = null }
+) {
+  const [ins] = await conn.execute(
+    `INSERT INTO auth_refresh_tokens
+       (user_id, family_id, parent_id, token_hash, session_id, expires_at, ip, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      familyId,
+      parentId,
+      hashRefreshToken(token),
+      sessionId,
+      expiresAt,
+      ip,
+      userAgent ? String(userAgent).slice(0, 255) : null,
+    ]
+  )
+  return ins.insertId
+}
+
+async function findRefreshToken(conn, token, { forUpdate = false } = {}) {
+  const [[row]] = await conn.execute(
+    `SELECT * FROM auth_refresh_tokens WHERE token_hash = ? ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [hashRefreshToken(token)]
+  )
+  return row || null
+}
+
+async function markRefreshTokenRotated(conn, id, replacedById) {
+  await conn.execute(
+    'UPDATE auth_refresh_tokens SET rotated_at = NOW(), replaced_by_id = ? WHERE id = ?',
+    [replacedById, id]
+  )
+}
+
+/**
+ * Погасить всю цепочку ротаций (один вход пользователя) и закрыть её сессии.
+ */
+async function revokeRefreshFamily(conn, familyId, reason) {
+  if (!familyId) return 0
+  const [sessions] = await conn.execute(
+    'SELECT DISTINCT session_id FROM auth_refresh_tokens WHERE family_id = ? AND session_id IS NOT NULL',
+    [familyId]
+  )
+  const [result] = await conn.execute(
+    `UPDATE auth_refresh_tokens
+        SET revoked_at = NOW(), revoked_reason = ?
+      WHERE family_id = ? AND revoked_at IS NULL`,
+    [reason, familyId]
+  )
+  await closeSessions(conn, { sessionIds: sessions.map((row) => row.session_id) }, reason)
+  return Number(result?.affectedRows || 0)
+}
+
+/**
+ * Погасить все refresh-токены пользователя и закрыть все его активные сессии.
+ */
+async function revokeUserRefreshTokens(conn, userId, reason) {
+  if (!userId) return 0
+  const [result] = await conn.execute(
+    `UPDATE auth_refresh_tokens
+        SET revoked_at = NOW(), revoked_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL`,
+    [reason, userId]
+  )
+  await closeSessions(conn, { userId }, reason)
+  return Number(result?.affectedRows || 0)
+}
+
+/**
+ * Активные входы пользователя: по одной строке на семейство (последний токен цепочки).
+ */
+async function listActiveRefreshFamilies(userId, conn = db) {
+  const [rows] = await conn.execute(
+    `SELECT t.family_id,
+            MAX(t.session_id) AS session_id,
+            MIN(t.issued_at) AS signed_in_at,
+            MAX(t.issued_at) AS last_refreshed_at,
+            MAX(t.expires_at) AS expires_at,
+            SUBSTRING_INDEX(GROUP_CONCAT(t.ip ORDER BY t.id DESC), ',', 1) AS ip,
+            SUBSTRING_INDEX(GROUP_CONCAT(t.user_agent ORDER BY t.id DESC SEPARATOR '\\n'), '\\n', 1) AS user_agent,
+            COUNT(*) AS rotations
+       FROM auth_refresh_tokens t
+      WHERE t.user_id = ?
+        AND t.family_id IN (
+          SELECT family_id
+            FROM auth_refresh_tokens
+           WHERE user_id = ?
+             AND revoked_at IS NULL
+             AND rotated_at IS NULL
+             AND expires_at > NOW()
+        )
+      GROUP BY t.family_id
+      ORDER BY last_refreshed_at DESC`,
+    [userId, userId]
+  )
+  return rows
+}
+
+module.exports = {
+  findRefreshToken,
+  hashRefreshToken,
+  listActiveRefreshFamilies,
+  markRefreshTokenRotated,
+  newFamilyId,
+  recordRefreshToken,
+  revokeRefreshFamily,
+  revokeUserRefreshTokens,
+}
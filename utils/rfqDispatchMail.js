@@ -0,0 +1,374 @@
+// utils/rfqDispatchMail.js
+// Почтовая доставка RFQ-пакетов: письмо с Excel-файлом поставщику по записи
+// rfq_supplier_dispatches. Статус доставки пишется в саму запись отправки.
+// Отправка идёт в фоне, а не в запросе: delivery_status = 'pending' — очередь,
+// её разбирает deliverPendingRfqDispatches (queueRfqDispatchDelivery будит
+// разбор). Неудачные отправки возвращаются в очередь через retryRfqDispatches.
+
+const db = require('./db')
+const { bucket, bucketName } = require('./gcsClient')
+const { isMailEnabled, sendMail } = require('./mailer')
+const { renderMailTemplate } = require('./mailTemplates')
+const logger = require('./logger')
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+// Без явного списка повторяются только неудачные отправки; skipped (нет
+// контакта, почта выключена или send_email=false) — только по явному списку.
+const RETRYABLE_STATUSES = ['failed']
+const EXPLICIT_RETRY_STATUSES = ['failed', 'skipped']
+const DELIVERY_BATCH_LIMIT = 50
+// Запись в очереди, взятая в работу, блокируется через last_delivery_attempt_at:
+// соседний инстанс возьмёт её, только если разбор не завершился за это время.
+const CLAIM_TIMEOUT_SECONDS = 10 * 60
+
+const MAX_ATTEMPTS_PER_CALL = (() => {
+  const raw = Number(process.env.MAIL_SEND_ATTEMPTS)
+  return Number.isInteger(raw) && raw > 0 ? Math.min(raw, 5) : 2
+})()
+
+const toId = (value) => {
+  const number = Number(value)
+  return Number.isInteger(number) && number > 0 ? number : null
+}
+
+const nz = (v) => {
+  if (v === undefined || v === null) return null
+  const s = String(v).trim()
+  return s === '' ? null : s
+}
+
+const COMPANY_INFO = {
+  name: nz(process.env.RFQ_COMPANY_NAME),
+  email: nz(process.env.RFQ_COMPANY_EMAIL),
+  phone: nz(process.env.RFQ_COMPANY_PHONE),
+  website: nz(process.env.RFQ_COMPANY_WEBSITE),
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const extractObjectPath = (fileUrl) => {
+  const raw = String(fileUrl || '').trim()
+  if (!raw) return ''
+  try {
+    const url = new URL(raw)
+    if (url.hostname === 'storage.googleapis.com') {
+      const parts = url.pathname.split('/').filter(Boolean)
+      if (parts[0] === bucketName) return parts.slice(1).map(decodeURIComponent).join('/')
+    }
+  } catch {}
+  return ''
+}
+
+const fetchDispatchForDelivery = async (conn, dispatchId) => {
+  const [[row]] = await conn.execute(
+    `
+    SELECT d.*,
+           r.rfq_number,
+           rr.rev_number,
+           rs.supplier_id,
+           rs.language,
+           ps.name AS supplier_name,
+           doc.file_name,
+           doc.file_type,
+           doc.file_url,
+           sc.name AS contact_person,
+           sc.email AS contact_email
+      FROM rfq_supplier_dispatches d
+      JOIN rfqs r ON r.id = d.rfq_id
+      JOIN rfq_suppliers rs ON rs.id = d.rfq_supplier_id
+      JOIN part_suppliers ps ON ps.id = rs.supplier_id
+      LEFT JOIN rfq_revisions rr ON rr.id = d.rfq_revision_id
+      LEFT JOIN rfq_documents doc ON doc.id = d.document_id
+      LEFT JOIN (
+        SELECT sc1.supplier_id, sc1.name, sc1.email,
+               ROW_NUMBER() OVER (
+                 PARTITION BY sc1.supplier_id
+                 ORDER BY sc1.is_primary DESC, sc1.created_at DESC, sc1.id DESC
+               ) AS rn
+          FROM supplier_contacts sc1
+         WHERE sc1.email IS NOT NULL AND TRIM(sc1.email) <> ''
+      ) sc ON sc.supplier_id = rs.supplier_id AND sc.rn = 1
+     WHERE d.id = ?
+    `,
+    [dispatchId]
+  )
+  return row || null
+}
+
+const loadAttachment = async (dispatch) => {
+  if (!bucket || !bucketName) throw new Error('GCS бакет не настроен — файл RFQ недоступен для письма')
+  const objectPath = extractObjectPath(dispatch.file_url)
+  if (!objectPath) throw new Error('У документа RFQ нет файла в бакете')
+  const [buffer] = await bucket.file(objectPath).download()
+  return buffer
+}
+
+const updateDeliveryState = async (conn, dispatchId, state) => {
+  await conn.execute(
+    `
+    UPDATE rfq_supplier_dispatches
+       SET delivery_status = ?,
+           recipient_email = ?,
+           delivery_lang = ?,
+           delivery_transport = ?,
+           delivery_message_id = COALESCE(?, delivery_message_id),
+           delivery_attempts = delivery_attempts + ?,
+           delivery_error = ?,
+           last_delivery_attempt_at = IF(? > 0, NOW(), last_delivery_attempt_at),
+           delivered_at = IF(? = 'sent', NOW(), delivered_at)
+     WHERE id = ?
+    `,
+    [
+      state.status,
+      state.recipient || null,
+      state.lang || null,
+      state.transport || null,
+      state.messageId || null,
+      state.attempts || 0,
+      state.error || null,
+      state.attempts || 0,
+      state.status,
+      dispatchId,
+    ]
+  )
+}
+
+/**
+ * Отправить поставщику письмо с RFQ-файлом по записи rfq_supplier_dispatches.
+ * Ошибки доставки не пробрасываются — они фиксируются в delivery_status/delivery_error.
+ * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} conn
+ * @param {number} dispatchId
+ * @param {Object} [options]
+ * @param {Buffer} [options.attachment] - уже сгенерированный файл (иначе скачивается из бакета)
+ * @param {string} [options.mode] - 'full' | 'delta', для текста письма
+ * @param {number} [options.rowsTotal]
+ */
+const deliverRfqDispatch = async (conn, dispatchId, { attachment = null, mode = null, rowsTotal = null } = {}) => {
+  const id = toId(dispatchId)
+  if (!id) return null
+
+  const dispatch = await fetchDispatchForDelivery(conn, id)
+  if (!dispatch) return null
+
+  const recipient = nz(dispatch.contact_email)
+  const base = {
+    dispatch_id: id,
+    rfq_supplier_id: dispatch.rfq_supplier_id,
+    supplier_id: dispatch.supplier_id,
+    supplier_name: dispatch.supplier_name,
+    recipient_email: recipient,
+  }
+
+  if (!isMailEnabled()) {
+    const error = 'Почтовый транспорт не настроен (MAIL_TRANSPORT)'
+    await updateDeliveryState(conn, id, { status: 'skipped', recipient, error })
+    return { ...base, delivery_status: 'skipped', delivery_error: error }
+  }
+  if (!recipient) {
+    const error = 'У поставщика нет контакта с email'
+    await updateDeliveryState(conn, id, { status: 'skipped', error })
+    return { ...base, delivery_status: 'skipped', delivery_error: error }
+  }
+
+  let note = {}
+  try {
+    note = dispatch.note ? JSON.parse(dispatch.note) : {}
+  } catch {
+    note = {}
+  }
+
+  const { subject, text, lang } = renderMailTemplate('rfq_dispatch', dispatch.language, {
+    rfq_number: dispatch.rfq_number || `RFQ-${dispatch.rfq_id}`,
+    rev_number: dispatch.rev_number,
+    supplier_name: dispatch.supplier_name,
+    contact_person: nz(dispatch.contact_person),
+    mode: mode || note.mode || String(dispatch.dispatch_type || '').toLowerCase(),
+    rows_total: rowsTotal ?? note.rows_total ?? null,
+    file_name: dispatch.file_name,
+    company: COMPANY_INFO,
+  })
+
+  let attempts = 0
+  let lastError = null
+  let result = null
+  try {
+    const content = attachment || (await loadAttachment(dispatch))
+    while (attempts < MAX_ATTEMPTS_PER_CALL && !result) {
+      attempts += 1
+      try {
+        result = await sendMail({
+          to: recipient,
+          subject,
+          text,
+          attachments: [
+            {
+              filename: dispatch.file_name || `rfq_${dispatch.rfq_id}.xlsx`,
+              content,
+              contentType: dispatch.file_type || XLSX_MIME,
+            },
+          ],
+        })
+      } catch (err) {
+        lastError = err
+        if (attempts < MAX_ATTEMPTS_PER_CALL) await sleep(500 * attempts)
+      }
+    }
+  } catch (err) {
+    lastError = err
+  }
+
+  if (result) {
+    await updateDeliveryState(conn, id, {
+      status: 'sent',
+      recipient,
+      lang,
+      transport: result.transport,
+      messageId: result.messageId,
+      attempts,
+    })
+    return { ...base, delivery_status: 'sent', delivery_error: null, message_id: result.messageId }
+  }
+
+  const error = lastError?.message || 'Ошибка отправки письма'
+  logger.warn('[MAIL] RFQ dispatch delivery failed', { dispatchId: id, error })
+  await updateDeliveryState(conn, id, {
+    status: 'failed',
+    recipient,
+    lang,
+    transport: null,
+    attempts,
+    error,
+  })
+  return { ...base, delivery_status: 'failed', delivery_error: error }
+}
+
+// Файлы, сгенерированные в запросе /send, чтобы не скачивать их обратно из бакета.
+const queuedOptions = new Map()
+let deliveryTimer = null
+let delivering = false
+let rerunRequested = false
+
+/**
+ * Разбудить фоновый разбор очереди писем.
+ */
+function scheduleRfqDispatchDelivery(delayMs = 200) {
+  if (deliveryTimer) return
+  deliveryTimer = setTimeout(() => {
+    deliveryTimer = null
+    deliverPendingRfqDispatches().catch((err) => console.error('deliverPendingRfqDispatches error:', err))
+  }, delayMs)
+  deliveryTimer.unref()
+}
+
+/**
+ * Поставить созданную запись отправки (delivery_status = 'pending') в разбор.
+ * @param {number} dispatchId
+ * @param {Object} [options] - { attachment, mode, rowsTotal } для deliverRfqDispatch
+ */
+function queueRfqDispatchDelivery(dispatchId, options = {}) {
+  const id = toId(dispatchId)
+  if (!id) return
+  queuedOptions.set(id, options)
+  scheduleRfqDispatchDelivery()
+}
+
+/**
+ * Разослать письма по записям в очереди (delivery_status = 'pending').
+ * Каждая запись сначала забирается условным UPDATE — её не отправят дважды.
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+async function deliverPendingRfqDispatches(conn = db) {
+  const summary = { sent: 0, failed: 0, skipped: 0 }
+  if (delivering) {
+    rerunRequested = true
+    return summary
+  }
+  delivering = true
+  try {
+    const [rows] = await conn.execute(
+      `SELECT id
+         FROM rfq_supplier_dispatches
+        WHERE delivery_status = 'pending'
+          AND (last_delivery_attempt_at IS NULL OR last_delivery_attempt_at < NOW() - INTERVAL ${CLAIM_TIMEOUT_SECONDS} SECOND)
+        ORDER BY id ASC
+        LIMIT ${DELIVERY_BATCH_LIMIT}`
+    )
+    for (const row of rows) {
+      const id = Number(row.id)
+      const options = queuedOptions.get(id) || {}
+      queuedOptions.delete(id)
+      const [claim] = await conn.execute(
+        `UPDATE rfq_supplier_dispatches
+            SET last_delivery_attempt_at = NOW()
+          WHERE id = ?
+            AND delivery_status = 'pending'
+            AND (last_delivery_attempt_at IS NULL OR last_delivery_attempt_at < NOW() - INTERVAL ${CLAIM_TIMEOUT_SECONDS} SECOND)`,
+        [id]
+      )
+      if (!claim.affectedRows) continue
+      const result = await deliverRfqDispatch(conn, id, options)
+      if (result?.delivery_status && summary[result.delivery_status] !== undefined) summary[result.delivery_status] += 1
+    }
+    if (rows.length === DELIVERY_BATCH_LIMIT) rerunRequested = true
+  } finally {
+    delivering = false
+    if (rerunRequested) {
+      rerunRequested = false
+      scheduleRfqDispatchDelivery()
+    }
+  }
+  return summary
+}
+
+/**
+ * Вернуть в очередь неудачные письма по RFQ. Пропущенные (skipped)
+ * возвращаются только по явному списку dispatchIds (например, у поставщика
+ * появился email); записи, уже стоящие в очереди, не трогаются.
+ * @param {Object} conn
+ * @param {number} rfqId
+ * @param {Object} [options]
+ * @param {number[]} [options.dispatchIds] - ограничить конкретными отправками
+ * @returns {Promise<number[]>} id записей, поставленных в очередь
+ */
+const retryRfqDispatches = async (conn, rfqId, { dispatchIds = [] } = {}) => {
+  const id = toId(rfqId)
+  if (!id) return []
+  const ids = (Array.isArray(dispatchIds) ? dispatchIds : []).map(toId).filter(Boolean)
+
+  const statuses = ids.length ? EXPLICIT_RETRY_STATUSES : RETRYABLE_STATUSES
+  const where = ['rfq_id = ?', `delivery_status IN (${statuses.map(() => '?').join(',')})`]
+  const params = [id, ...statuses]
+  if (ids.length) {
+    where.push(`id IN (${ids.map(() => '?').join(',')})`)
+    params.push(...ids)
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT id FROM rfq_supplier_dispatches WHERE ${where.join(' AND ')} ORDER BY id ASC`,
+    params
+  )
+  const queued = []
+  for (const row of rows) {
+    const [upd] = await conn.execute(
+      `UPDATE rfq_supplier_dispatches
+          SET delivery_status = 'pending',
+              delivery_error = NULL,
+              last_delivery_attempt_at = NULL
+        WHERE id = ?
+          AND delivery_status IN (${statuses.map(() => '?').join(',')})`,
+      [row.id, ...statuses]
+    )
+    if (upd.affectedRows) queued.push(Number(row.id))
+  }
+  // заодно подбираем записи, оставшиеся в очереди после перезапуска
+  scheduleRfqDispatchDelivery()
+  return queued
+}
+
+module.exports = {
+  deliverPendingRfqDispatches,
+  deliverRfqDispatch,
+  queueRfqDispatchDelivery,
+  retryRfqDispatches,
+  scheduleRfqDispatchDelivery,
+}
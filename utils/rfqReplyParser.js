@@ -0,0 +1,327 @@
+// utils/rfqReplyParser.js
+// Разбор ответа поставщика на RFQ: заполненный лист, который мы сгенерировали
+// в POST /rfqs/:id/send (или .eml с этим листом во вложении). На выходе —
+// шапка (RFQ / ревизия / поставщик) и строки в формате POST /rfqs/:id/responses/import.
+
+const XLSX = require('xlsx')
+const { simpleParser } = require('mailparser')
+const { RFQ_SHEET_COLUMNS, RFQ_SHEET_HEADER_LABELS } = require('./rfqSheetLayout')
+
+const SELECTION_KEY_RE = /^(demand|bom|kit|alt):(\d+)(?::|$)/i
+const WORKBOOK_EXT_RE = /\.(xlsx|xlsm|xls)$/i
+
+// Колонки, которые заполняет поставщик. Остальные (номер, описание, подсказки PN,
+// габариты, условия оплаты по умолчанию) мы предзаполняем сами, и по ним нельзя
+// понять, ответил ли поставщик на строку.
+const ANSWER_KEYS = [
+  'offer_type',
+  'supplier_reply_status',
+  'price',
+  'currency',
+  'lead_time_days',
+  'moq',
+  'packaging',
+  'incoterms',
+  'incoterms_place',
+  'origin_country',
+  'validity_days',
+  'note',
+]
+
+const IMPORT_KEYS = [
+  'supplier_part_number',
+  'supplier_description',
+  'offer_type',
+  'supplier_reply_status',
+  'price',
+  'currency',
+  'lead_time_days',
+  'weight_kg',
+  'length_cm',
+  'width_cm',
+  'height_cm',
+  'is_overweight',
+  'is_oversize',
+  'moq',
+  'packaging',
+  'incoterms',
+  'incoterms_place',
+  'origin_country',
+  'payment_terms',
+  'validity_days',
+  'note',
+]
+
+const toId = (value) => {
+  const number = Number(value)
+  return Number.isInteger(number) && number > 0 ? number : null
+}
+
+const cellText = (value) => {
+  if (value === undefined || value === null) return ''
+  if (value instanceof Date) return value.toISOString().slice(0, 10)
+  return String(value).trim()
+}
+
+const normLabel = (value) => cellText(value).toLowerCase().replace(/\s+/g, ' ')
+
+const canonicalNumber = (value) => {
+  const raw = cellText(value)
+  if (!raw) return null
+  return raw.replace(/[^A-Za-z0-9А-Яа-яЁё]+/g, '').toUpperCase() || null
+}
+
+const COLUMN_BY_LABEL = new Map()
+RFQ_SHEET_COLUMNS.forEach((col) => {
+  COLUMN_BY_LABEL.set(normLabel(col.ru), col.key)
+  COLUMN_BY_LABEL.set(normLabel(col.en), col.key)
+})
+
+const HEADER_FIELD_BY_LABEL = new Map()
+Object.entries(RFQ_SHEET_HEADER_LABELS).forEach(([lang, labels]) => {
+  Object.entries(labels).forEach(([field, label]) => {
+    if (!HEADER_FIELD_BY_LABEL.has(normLabel(label))) {
+      HEADER_FIELD_BY_LABEL.set(normLabel(label), { field, lang })
+    }
+  })
+})
+const EN_ONLY_HEADER_LABELS = new Set(
+  Object.values(RFQ_SHEET_HEADER_LABELS.en)
+    .map(normLabel)
+    .filter((label) => !Object.values(RFQ_SHEET_HEADER_LABELS.ru).map(normLabel).includes(label))
+)
+
+const isWorkbookName = (name) => WORKBOOK_EXT_RE.test(String(name || ''))
+
+const isEmlFile = ({ originalname, mimetype } = {}) =>
+  /\.eml$/i.test(String(originalname || '')) || String(mimetype || '').toLowerCase() === 'message/rfc822'
+
+/**
+ * Достать из письма (.eml) первое вложение-таблицу.
+ * @param {Buffer} buffer
+ * @returns {Promise<{buffer: Buffer, fileName: string, from: string|null, subject: string|null}>}
+ */
+const extractWorkbookFromEml = async (buffer) => {
+  const mail = await simpleParser(buffer)
+  const attachment = (mail.attachments || []).find(
+    (att) =>
+      isWorkbookName(att.filename) ||
+      /spreadsheetml|ms-excel/i.test(String(att.contentType || ''))
+  )
+  if (!attachment) {
+    throw Object.assign(new Error('В письме нет вложения Excel с ответом на RFQ'), { statusCode: 400 })
+  }
+  return {
+    buffer: attachment.content,
+    fileName: attachment.filename || 'reply.xlsx',
+    from: mail.from?.value?.[0]?.address || null,
+    subject: mail.subject || null,
+  }
+}
+
+const findTableHeader = (matrix) => {
+  for (let rowIndex = 0; rowIndex < matrix.length; rowIndex += 1) {
+    const columns = new Map()
+    ;(matrix[rowIndex] || []).forEach((value, colIndex) => {
+      const key = COLUMN_BY_LABEL.get(normLabel(value))
+      if (key && !columns.has(key)) columns.set(key, colIndex)
+    })
+    // Достаточно опознать основные колонки ответа: поставщик мог удалить
+    // или переименовать служебные.
+    if (columns.has('price') && columns.has('currency') && columns.size >= 6) {
+      return { rowIndex, columns }
+    }
+  }
+  return null
+}
+
+const readHeaderBlock = (matrix, tableRowIndex) => {
+  const header = { rfq_number: null, revision: null, supplier_name: null, date: null, lang: 'ru' }
+  for (let rowIndex = 0; rowIndex < tableRowIndex; rowIndex += 1) {
+    const row = matrix[rowIndex] || []
+    const label = normLabel(row[0])
+    const value = cellText(row[1])
+    const known = HEADER_FIELD_BY_LABEL.get(label)
+    if (!known || !value) continue
+    if (EN_ONLY_HEADER_LABELS.has(label)) header.lang = 'en'
+    if (known.field === 'rfq') header.rfq_number = value
+    if (known.field === 'revision') header.revision = value
+    if (known.field === 'supplier') header.supplier_name = value
+    if (known.field === 'date') header.date = value
+  }
+  return header
+}
+
+// В файлах, отправленных до выравнивания раскладки, в строке данных не хватало
+// ячейки «Пункт Incoterms»: условия оплаты попадали в неё, selection_key — в
+// «Комментарий», а rfq_item_id — в колонку selection_key.
+const isLegacyLayout = (records) => {
+  if (records.some((r) => cellText(r.rfq_item_id))) return false
+  if (records.some((r) => SELECTION_KEY_RE.test(cellText(r.selection_key)))) return false
+  return records.some((r) => /^\d+$/.test(cellText(r.selection_key)))
+}
+
+const unshiftLegacyRecord = (record) => ({
+  ...record,
+  rfq_item_id: record.selection_key,
+  selection_key: SELECTION_KEY_RE.test(cellText(record.note)) ? record.note : '',
+  note: SELECTION_KEY_RE.test(cellText(record.note)) ? '' : record.note,
+  payment_terms: cellText(record.payment_terms) ? record.payment_terms : record.incoterms_place,
+  incoterms_place: '',
+})
+
+/**
+ * Разобрать заполненный лист RFQ.
+ * @param {Buffer} buffer
+ * @returns {{header: Object, layout: 'current'|'legacy', rows: Object[]}}
+ */
+const parseRfqReplyWorkbook = (buffer) => {
+  const wb = XLSX.read(buffer, { type: 'buffer', cellDates: true })
+  let found = null
+  let matrix = []
+  for (const name of wb.SheetNames) {
+    matrix = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: '', raw: true })
+    found = findTableHeader(matrix)
+    if (found) break
+  }
+  if (!found) {
+    throw Object.assign(
+      new Error('Не найдена таблица RFQ: в файле нет строки заголовков с колонками «Цена» и «Валюта»'),
+      { statusCode: 400 }
+    )
+  }
+
+  const header = readHeaderBlock(matrix, found.rowIndex)
+  let records = []
+  for (let rowIndex = found.rowIndex + 1; rowIndex < matrix.length; rowIndex += 1) {
+    const row = matrix[rowIndex] || []
+    if (!row.some((value) => cellText(value))) continue
+    const record = { sheet_row: rowIndex + 1 }
+    found.columns.forEach((colIndex, key) => {
+      record[key] = row[colIndex] ?? ''
+    })
+    records.push(record)
+  }
+
+  const layout = isLegacyLayout(records) ? 'legacy' : 'current'
+  if (layout === 'legacy') records = records.map(unshiftLegacyRecord)
+
+  const rows = records.map((record) => {
+    const parsed = { sheet_row: record.sheet_row }
+    RFQ_SHEET_COLUMNS.forEach(({ key }) => {
+      const text = cellText(record[key])
+      parsed[key] = text === '' ? null : typeof record[key] === 'number' ? record[key] : text
+    })
+    parsed.rfq_item_id = toId(parsed.rfq_item_id)
+    parsed.answered = ANSWER_KEYS.some((key) => parsed[key] !== null)
+    return parsed
+  })
+
+  return { header, layout, rows }
+}
+
+/**
+ * Сопоставить строки ответа со строками RFQ.
+ * @param {Object[]} parsedRows - результат parseRfqReplyWorkbook().rows
+ * @param {Object} context
+ * @param {Array<{id: number, line_number: number}>} context.activeItems - активные rfq_items
+ * @param {Object[]} [context.structureRows] - structure_rows последнего отправленного документа
+ * @param {Set<string>} [context.selectionKeys] - сохранённые selection_key поставщика
+ * @returns {{rows: Object[], unmatched: Object[], skipped: number}}
+ */
+const mapReplyRowsToRfqItems = (parsedRows, { activeItems = [], structureRows = [], selectionKeys = new Set() } = {}) => {
+  const itemById = new Map(activeItems.map((item) => [Number(item.id), item]))
+  const structureByNumber = new Map()
+  structureRows.forEach((row) => {
+    const canonical = canonicalNumber(row.label || row.cat_number)
+    if (!canonical || !toId(row.rfq_item_id)) return
+    const list = structureByNumber.get(canonical) || []
+    list.push(row)
+    structureByNumber.set(canonical, list)
+  })
+
+  const rows = []
+  const unmatched = []
+  let skipped = 0
+
+  parsedRows.forEach((parsed) => {
+    if (!parsed.answered) {
+      skipped += 1
+      return
+    }
+    const flag = (reason) =>
+      unmatched.push({
+        sheet_row: parsed.sheet_row,
+        line: parsed.line,
+        cat_number: parsed.cat_number,
+        description: parsed.description,
+        price: parsed.price,
+        currency: parsed.currency,
+        reason,
+      })
+
+    let rfqItemId = parsed.rfq_item_id
+    let selectionKey = parsed.selection_key ? String(parsed.selection_key) : null
+    let matchedBy = rfqItemId ? 'rfq_item_id' : null
+
+    if (!rfqItemId && selectionKey) {
+      const match = selectionKey.match(SELECTION_KEY_RE)
+      rfqItemId = match ? toId(match[2]) : null
+      if (rfqItemId) matchedBy = 'selection_key'
+    }
+    if (!rfqItemId) {
+      const candidates = structureByNumber.get(canonicalNumber(parsed.cat_number)) || []
+      const itemIds = [...new Set(candidates.map((row) => toId(row.rfq_item_id)))]
+      if (itemIds.length === 1) {
+        rfqItemId = itemIds[0]
+        matchedBy = 'cat_number'
+        if (!selectionKey && candidates.length === 1) selectionKey = candidates[0].selection_key || null
+      } else if (itemIds.length > 1) {
+        flag('Номер встречается в нескольких строках RFQ — укажите строку вручную')
+        return
+      }
+    }
+    if (!rfqItemId) {
+      flag('Не удалось определить строку RFQ (нет rfq_item_id, selection_key и совпадения по номеру)')
+      return
+    }
+
+    const item = itemById.get(rfqItemId)
+    if (!item) {
+      flag('Строка RFQ не найдена среди активных строк текущей ревизии')
+      return
+    }
+
+    if (selectionKey && !selectionKeys.has(selectionKey)) {
+      // Строку «целиком» импорт сопоставит сам; компонент или роль без сохранённого
+      // выбора поставщика импортировать нельзя — цена ляжет не на ту позицию.
+      if (!/^demand:/i.test(selectionKey)) {
+        flag('Вариант поставки (состав/комплект) не выбран для этого поставщика')
+        return
+      }
+      selectionKey = null
+    }
+
+    const importRow = {
+      rfq_item_id: rfqItemId,
+      line_number: item.line_number ?? null,
+      sheet_row: parsed.sheet_row,
+      matched_by: matchedBy,
+    }
+    if (selectionKey) importRow.selection_key = selectionKey
+    IMPORT_KEYS.forEach((key) => {
+      if (parsed[key] !== null && parsed[key] !== undefined) importRow[key] = parsed[key]
+    })
+    rows.push(importRow)
+  })
+
+  return { rows, unmatched, skipped }
+}
+
+module.exports = {
+  extractWorkbookFromEml,
+  isEmlFile,
+  isWorkbookName,
+  mapReplyRowsToRfqItems,
+  parseRfqReplyWorkbook,
+}
@@ -0,0 +1,76 @@
+// utils/rfqSheetLayout.js
+// Раскладка листа RFQ, который уходит поставщику. Одна и та же таблица
+// используется при генерации файла (POST /rfqs/:id/send) и при разборе
+// заполненного ответа (utils/rfqReplyParser.js), поэтому порядок колонок
+// и подписи живут здесь, а не в обработчике.
+
+const RFQ_SHEET_COLUMNS = [
+  { key: 'line', ru: 'Строка', en: 'Line' },
+  { key: 'cat_number', ru: 'Кат. номер', en: 'Part No.' },
+  { key: 'description', ru: 'Описание', en: 'Description' },
+  { key: 'qty', ru: 'Кол-во', en: 'Qty' },
+  { key: 'uom', ru: 'Ед.', en: 'UoM' },
+  { key: 'supplier_part_number', ru: 'Деталь поставщика (PN)', en: 'Supplier PN' },
+  { key: 'supplier_description', ru: 'Описание поставщика', en: 'Supplier Description' },
+  { key: 'offer_type', ru: 'Тип предложения (OEM/ANALOG)', en: 'Offer type (OEM/ANALOG)' },
+  { key: 'supplier_reply_status', ru: 'Статус ответа', en: 'Reply status' },
+  { key: 'price', ru: 'Цена', en: 'Price' },
+  { key: 'currency', ru: 'Валюта', en: 'Currency' },
+  { key: 'lead_time_days', ru: 'Срок (дн.)', en: 'Lead time (days)' },
+  { key: 'weight_kg', ru: 'Вес, кг', en: 'Weight, kg' },
+  { key: 'length_cm', ru: 'Длина, см', en: 'Length, cm' },
+  { key: 'width_cm', ru: 'Ширина, см', en: 'Width, cm' },
+  { key: 'height_cm', ru: 'Высота, см', en: 'Height, cm' },
+  { key: 'is_overweight', ru: 'Тяжелая', en: 'Heavy' },
+  { key: 'is_oversize', ru: 'Негабарит', en: 'Oversize' },
+  { key: 'moq', ru: 'MOQ', en: 'MOQ' },
+  { key: 'packaging', ru: 'Упаковка', en: 'Pack' },
+  { key: 'incoterms', ru: 'Incoterms', en: 'Incoterms' },
+  { key: 'incoterms_place', ru: 'Пункт Incoterms', en: 'Named place' },
+  { key: 'origin_country', ru: 'Страна происхождения товара', en: 'Country of origin' },
+  { key: 'payment_terms', ru: 'Условия оплаты', en: 'Payment terms' },
+  { key: 'validity_days', ru: 'Срок действия цены (дн.)', en: 'Price validity (days)' },
+  { key: 'note', ru: 'Комментарий', en: 'Comment' },
+  { key: 'selection_key', ru: 'selection_key', en: 'selection_key' },
+  { key: 'rfq_item_id', ru: 'rfq_item_id', en: 'rfq_item_id' },
+]
+
+// Подписи шапки листа (пары «метка — значение» над таблицей).
+const RFQ_SHEET_HEADER_LABELS = {
+  en: {
+    rfq: 'RFQ',
+    revision: 'Revision',
+    date: 'Date',
+    supplier: 'Supplier',
+    contact: 'Contact',
+    company: 'Our company',
+    email: 'Email',
+    phone: 'Phone',
+    website: 'Website',
+    address: 'Address',
+  },
+  ru: {
+    rfq: 'RFQ',
+    revision: 'Ревизия',
+    date: 'Дата',
+    supplier: 'Поставщик',
+    contact: 'Контакт',
+    company: 'Наша компания',
+    email: 'Email',
+    phone: 'Телефон',
+    website: 'Сайт',
+    address: 'Адрес',
+  },
+}
+
+const rfqSheetHeader = (lang) => RFQ_SHEET_COLUMNS.map((col) => (lang === 'en' ? col.en : col.ru))
+
+/** 1-based номер колонки по ключу — для dataValidation и т.п. */
+const rfqSheetColumnNumber = (key) => RFQ_SHEET_COLUMNS.findIndex((col) => col.key === key) + 1
+
+module.exports = {
+  RFQ_SHEET_COLUMNS,
+  RFQ_SHEET_HEADER_LABELS,
+  rfqSheetHeader,
+  rfqSheetColumnNumber,
+}
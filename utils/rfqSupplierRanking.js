@@ -0,0 +1,418 @@
+// utils/rfqSupplierRanking.js
+// Ранжирование поставщиков-кандидатов по строкам RFQ.
+// Кандидаты — поставщики, у которых есть деталь, связанная с позицией каталога
+// строки (supplier_part_catalog_positions), котировки этой позиции в прошлых
+// RFQ или строка действующего прайс-листа. Балл 0–100 складывается из
+// компонентов с весами RANKING_WEIGHTS; по каждому компоненту возвращается
+// причина, чтобы закупщик видел, откуда взялась оценка.
+
+const { getRate } = require('./fxRatesService')
+const { collectSupplierStats } = require('./supplierScorecard')
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+const round2 = (value) => Math.round(value * 100) / 100
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+const normCode = (value) => {
+  const code = String(value || '').trim().toUpperCase()
+  return code.length === 3 ? code : null
+}
+const placeholders = (ids) => ids.map(() => '?').join(',')
+
+const RANKING_CURRENCY = normCode(process.env.KPI_CURRENCY) || 'RUB'
+const RANKING_LOOKBACK_DAYS = 365
+
+const RANKING_WEIGHTS = Object.freeze({
+  catalog_link: 25,
+  price: 25,
+  price_list: 15,
+  response_rate: 15,
+  lead_time: 10,
+  quality: 10,
+})
+
+// Штраф за качество: доля веса за единицу тяжести рекламации / задержки.
+const COMPLAINT_SEVERITY_PENALTY = 0.1
+const DELAY_SEVERITY_PENALTY = 0.05
+
+const formatMoney = (value, currency) => `${round2(value)} ${currency}`
+
+/**
+ * Баллы и причины по каждому кандидату одной строки RFQ.
+ * Цена и срок оцениваются относительно лучшего кандидата строки.
+ * @param {Object[]} candidates
+ * @param {Object} [options]
+ * @param {Object} [options.weights]
+ * @returns {Object[]} отсортировано по score, с rank
+ */
+function scoreLineCandidates(candidates, { weights = RANKING_WEIGHTS } = {}) {
+  const list = Array.isArray(candidates) ? candidates : []
+  const unitPrice = (candidate) => numOrNull(candidate.unit_price_base)
+  const leadTime = (candidate) => numOrNull(candidate.lead_time_days)
+  const prices = list.map(unitPrice).filter((value) => value !== null && value > 0)
+  const leadTimes = list.map(leadTime).filter((value) => value !== null && value >= 0)
+  const bestPrice = prices.length ? Math.min(...prices) : null
+  const bestLeadTime = leadTimes.length ? Math.min(...leadTimes) : null
+
+  const scored = list.map((candidate) => {
+    const reasons = []
+    const add = (code, ratio, text) => {
+      const weight = Number(weights[code] || 0)
+      const points = round2(weight * clamp(ratio, 0, 1))
+      reasons.push({ code, points, max_points: weight, text })
+      return points
+    }
+
+    const links = Array.isArray(candidate.linked_parts) ? candidate.linked_parts : []
+    if (links.length) {
+      const confidence = Math.max(
+        ...links.map((link) => {
+          const value = numOrNull(link.confidence)
+          return value === null ? 1 : value
+        })
+      )
+      add(
+        'catalog_link',
+        Math.max(confidence, 0.5),
+        `Связь с позицией каталога: ${links.map((link) => link.supplier_part_number || `#${link.supplier_part_id}`).join(', ')}`
+      )
+    } else {
+      add('catalog_link', 0, 'Нет детали поставщика, связанной с позицией каталога')
+    }
+
+    const price = unitPrice(candidate)
+    if (price !== null && price > 0 && bestPrice !== null) {
+      const source = candidate.price_source === 'PRICE_LIST' ? 'прайс-лист' : 'последняя котировка'
+      const priceText = formatMoney(candidate.unit_price, candidate.price_currency)
+      const ratio = bestPrice / price
+      add(
+        'price',
+        ratio,
+        ratio >= 1
+          ? `Лучшая цена среди кандидатов: ${priceText} (${source})`
+          : `Цена ${priceText} (${source}) выше лучшей на ${round2((price / bestPrice - 1) * 100)}%`
+      )
+    } else {
+      add('price', 0, 'Нет цены в котировках и прайс-листах')
+    }
+
+    const quotes = Number(candidate.quotes_count || 0)
+    if (quotes) {
+      reasons.push({
+        code: 'quote_history',
+        points: 0,
+        max_points: 0,
+        text: `Котировал позицию в прошлых RFQ: ${quotes}`,
+      })
+    }
+
+    if (candidate.price_list) {
+      const label = candidate.price_list.list_code || candidate.price_list.list_name || `#${candidate.price_list.price_list_id}`
+      add('price_list', 1, `Позиция есть в действующем прайс-листе ${label}`)
+    } else {
+      add('price_list', 0, 'Нет действующего прайс-листа с этой позицией')
+    }
+
+    const stats = candidate.stats || {}
+    const invited = Number(stats.rfq_invited || 0)
+    const responded = Number(stats.rfq_responded || 0)
+    if (invited) {
+      add('response_rate', responded / invited, `Ответил на ${responded} из ${invited} RFQ`)
+    } else {
+      add('response_rate', 0, 'Не приглашался в RFQ за период')
+    }
+
+    const lead = leadTime(candidate)
+    if (lead !== null && bestLeadTime !== null) {
+      const ratio = lead > 0 ? bestLeadTime / lead : 1
+      add(
+        'lead_time',
+        ratio,
+        ratio >= 1 ? `Лучший срок поставки: ${lead} дн.` : `Срок поставки ${lead} дн. (лучший ${bestLeadTime} дн.)`
+      )
+    } else {
+      add('lead_time', 0, 'Срок поставки неизвестен')
+    }
+
+    const complaints = Number(stats.complaints_count || 0)
+    const delays = Number(stats.delays_count || 0)
+    if (!complaints && !delays && !stats.has_activity) {
+      add('quality', 0, 'Нет истории работы за период')
+    } else {
+      const penalty =
+        Number(stats.complaint_severity_sum || 0) * COMPLAINT_SEVERITY_PENALTY +
+        Number(stats.delay_severity_sum || 0) * DELAY_SEVERITY_PENALTY
+      add(
+        'quality',
+        1 - penalty,
+        complaints || delays ? `Рекламаций: ${complaints}, задержек: ${delays}` : 'Нет рекламаций и задержек'
+      )
+    }
+
+    const score = round2(reasons.reduce((sum, reason) => sum + reason.points, 0))
+    return { ...candidate, score, reasons }
+  })
+
+  return scored
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        String(a.supplier_name || '').localeCompare(String(b.supplier_name || '')) ||
+        a.supplier_id - b.supplier_id
+    )
+    .map((row, index) => ({ ...row, rank: index + 1 }))
+}
+
+const toDateOnlyString = (date) => date.toISOString().slice(0, 10)
+
+async function fetchRankingItems(conn, rfqId) {
+  const [rows] = await conn.execute(
+    `SELECT ri.id AS rfq_item_id,
+            ri.line_number,
+            ri.requested_qty,
+            ri.uom,
+            COALESCE(ri.catalog_position_id, cri.catalog_position_id) AS catalog_position_id,
+            cp.display_name AS catalog_position_name,
+            cri.client_part_number,
+            cri.client_description
+       FROM rfq_items ri
+       JOIN rfqs r ON r.id = ri.rfq_id
+       JOIN client_request_revision_items cri ON cri.id = ri.client_request_revision_item_id
+       LEFT JOIN catalog_positions cp ON cp.id = COALESCE(ri.catalog_position_id, cri.catalog_position_id)
+      WHERE ri.rfq_id = ?
+        AND cri.client_request_revision_id = r.client_request_revision_id
+      ORDER BY ri.line_number, ri.id`,
+    [rfqId]
+  )
+  return rows
+}
+
+/**
+ * Кандидаты и баллы по каждой строке RFQ.
+ * @param {Object} conn
+ * @param {number} rfqId
+ * @param {Object} [options]
+ * @param {number} [options.limit] - сколько кандидатов вернуть на строку
+ * @param {number[]} [options.rfqItemIds] - только эти строки
+ * @param {string} [options.currency] - валюта сравнения цен
+ * @returns {Promise<Object>} { rfq_id, currency, period_start, period_end, weights, items }
+ */
+async function rankRfqSuppliers(
+  conn,
+  rfqId,
+  { limit = null, rfqItemIds = null, currency = RANKING_CURRENCY, lookbackDays = RANKING_LOOKBACK_DAYS } = {}
+) {
+  const [[rfq]] = await conn.execute('SELECT id FROM rfqs WHERE id = ? LIMIT 1', [rfqId])
+  if (!rfq) throw Object.assign(new Error('RFQ не найден'), { statusCode: 404 })
+
+  let items = await fetchRankingItems(conn, rfqId)
+  if (Array.isArray(rfqItemIds) && rfqItemIds.length) {
+    const wanted = new Set(rfqItemIds.map(Number))
+    items = items.filter((item) => wanted.has(Number(item.rfq_item_id)))
+  }
+
+  const periodEnd = new Date()
+  const periodStart = new Date(periodEnd.getTime() - lookbackDays * 24 * 60 * 60 * 1000)
+  const period = { periodStart: toDateOnlyString(periodStart), periodEnd: toDateOnlyString(periodEnd) }
+
+  const positionIds = [...new Set(items.map((item) => Number(item.catalog_position_id)).filter((id) => id > 0))]
+  const candidatesByPosition = new Map()
+  const ensureCandidate = (positionId, supplierId, supplierName) => {
+    if (!candidatesByPosition.has(positionId)) candidatesByPosition.set(positionId, new Map())
+    const bySupplier = candidatesByPosition.get(positionId)
+    if (!bySupplier.has(supplierId)) {
+      bySupplier.set(supplierId, {
+        supplier_id: supplierId,
+        supplier_name: supplierName,
+        linked_parts: [],
+        quotes_count: 0,
+        last_quote: null,
+        quoted_lead_times: [],
+        price_list: null,
+        part_lead_time_days: null,
+      })
+    }
+    return bySupplier.get(supplierId)
+  }
+
+  if (positionIds.length) {
+    const [linkRows] = await conn.execute(
+      `SELECT spcp.catalog_position_id,
+              spcp.confidence,
+              spcp.relationship_type,
+              sp.id AS supplier_part_id,
+              sp.supplier_part_number,
+              sp.lead_time_days,
+              sp.supplier_id,
+              ps.name AS supplier_name
+         FROM supplier_part_catalog_positions spcp
+         JOIN supplier_parts sp ON sp.id = spcp.supplier_part_id
+         JOIN part_suppliers ps ON ps.id = sp.supplier_id
+        WHERE spcp.catalog_position_id IN (${placeholders(positionIds)})
+        ORDER BY spcp.catalog_position_id, sp.supplier_id, sp.id`,
+      positionIds
+    )
+    linkRows.forEach((row) => {
+      const candidate = ensureCandidate(Number(row.catalog_position_id), Number(row.supplier_id), row.supplier_name)
+      candidate.linked_parts.push({
+        supplier_part_id: Number(row.supplier_part_id),
+        supplier_part_number: row.supplier_part_number,
+        relationship_type: row.relationship_type,
+        confidence: numOrNull(row.confidence),
+      })
+      const lead = numOrNull(row.lead_time_days)
+      if (lead !== null && (candidate.part_lead_time_days === null || lead < candidate.part_lead_time_days)) {
+        candidate.part_lead_time_days = lead
+      }
+    })
+
+    // Котировки этой позиции в других RFQ за период, от новых к старым.
+    const [quoteRows] = await conn.execute(
+      `SELECT rl.catalog_position_id,
+              rl.price,
+              rl.currency,
+              rl.lead_time_days,
+              rr.created_at,
+              rs.supplier_id,
+              ps.name AS supplier_name
+         FROM rfq_response_lines rl
+         JOIN rfq_response_revisions rr ON rr.id = rl.rfq_response_revision_id
+         JOIN rfq_supplier_responses rsr ON rsr.id = rr.rfq_supplier_response_id
+         JOIN rfq_suppliers rs ON rs.id = rsr.rfq_supplier_id
+         JOIN part_suppliers ps ON ps.id = rs.supplier_id
+        WHERE rl.catalog_position_id IN (${placeholders(positionIds)})
+          AND rs.rfq_id <> ?
+          AND rl.price > 0
+          AND DATE(rr.created_at) >= ?
+        ORDER BY rr.created_at DESC, rl.id DESC`,
+      [...positionIds, rfqId, period.periodStart]
+    )
+    quoteRows.forEach((row) => {
+      const candidate = ensureCandidate(Number(row.catalog_position_id), Number(row.supplier_id), row.supplier_name)
+      candidate.quotes_count += 1
+      if (!candidate.last_quote) {
+        candidate.last_quote = { price: Number(row.price), currency: normCode(row.currency), quoted_at: row.created_at }
+      }
+      const lead = numOrNull(row.lead_time_days)
+      if (lead !== null) candidate.quoted_lead_times.push(lead)
+    })
+
+    const [priceListRows] = await conn.execute(
+      `SELECT spcp.catalog_position_id,
+              sp.supplier_id,
+              ps.name AS supplier_name,
+              spl.id AS price_list_id,
+              spl.list_code,
+              spl.list_name,
+              COALESCE(spll.currency, spl.currency_default) AS currency,
+              spll.price,
+              spll.lead_time_days
+         FROM supplier_price_list_lines spll
+         JOIN supplier_price_lists spl ON spl.id = spll.supplier_price_list_id
+         JOIN supplier_parts sp ON sp.id = spll.matched_supplier_part_id
+         JOIN part_suppliers ps ON ps.id = sp.supplier_id
+         JOIN supplier_part_catalog_positions spcp ON spcp.supplier_part_id = sp.id
+        WHERE spcp.catalog_position_id IN (${placeholders(positionIds)})
+          AND spl.status = 'active'
+          AND (spl.valid_from IS NULL OR spl.valid_from <= CURDATE())
+          AND (spl.valid_to IS NULL OR spl.valid_to >= CURDATE())
+          AND (spll.valid_from IS NULL OR spll.valid_from <= CURDATE())
+          AND (spll.valid_to IS NULL OR spll.valid_to >= CURDATE())
+        ORDER BY spl.id DESC, spll.id DESC`,
+      positionIds
+    )
+    priceListRows.forEach((row) => {
+      const candidate = ensureCandidate(Number(row.catalog_position_id), Number(row.supplier_id), row.supplier_name)
+      if (candidate.price_list) return
+      candidate.price_list = {
+        price_list_id: Number(row.price_list_id),
+        list_code: row.list_code,
+        list_name: row.list_name,
+        price: numOrNull(row.price),
+        currency: normCode(row.currency),
+        lead_time_days: numOrNull(row.lead_time_days),
+      }
+    })
+  }
+
+  const supplierIds = [
+    ...new Set([...candidatesByPosition.values()].flatMap((bySupplier) => [...bySupplier.keys()])),
+  ]
+  const stats = await collectSupplierStats(conn, supplierIds, period)
+
+  const [invitedRows] = await conn.execute('SELECT id, supplier_id FROM rfq_suppliers WHERE rfq_id = ?', [rfqId])
+  const invited = new Map(invitedRows.map((row) => [Number(row.supplier_id), Number(row.id)]))
+
+  const rates = new Map([[currency, 1]])
+  const rateFor = async (code) => {
+    if (!code) return null
+    if (!rates.has(code)) {
+      rates.set(
+        code,
+        await getRate(code, currency)
+          .then((fx) => Number(fx.rate))
+          .catch(() => null)
+      )
+    }
+    return rates.get(code)
+  }
+
+  const resultItems = []
+  for (const item of items) {
+    const positionId = Number(item.catalog_position_id)
+    const raw = positionId ? [...(candidatesByPosition.get(positionId)?.values() || [])] : []
+    const candidates = []
+    for (const candidate of raw) {
+      // Действующий прайс-лист важнее старой котировки.
+      const listPrice = candidate.price_list?.price ? candidate.price_list : null
+      const priceSource = listPrice ? 'PRICE_LIST' : candidate.last_quote ? 'RFQ_RESPONSE' : null
+      const unitPrice = listPrice ? listPrice.price : candidate.last_quote?.price ?? null
+      const priceCurrency = listPrice ? listPrice.currency : candidate.last_quote?.currency ?? null
+      const rate = unitPrice !== null ? await rateFor(priceCurrency) : null
+      const quotedLead = candidate.quoted_lead_times.length
+        ? round2(candidate.quoted_lead_times.reduce((sum, value) => sum + value, 0) / candidate.quoted_lead_times.length)
+        : null
+      candidates.push({
+        supplier_id: candidate.supplier_id,
+        supplier_name: candidate.supplier_name,
+        rfq_supplier_id: invited.get(candidate.supplier_id) || null,
+        already_invited: invited.has(candidate.supplier_id),
+        linked_parts: candidate.linked_parts,
+        quotes_count: candidate.quotes_count,
+        last_quote: candidate.last_quote,
+        price_list: candidate.price_list,
+        price_source: priceSource,
+        unit_price: unitPrice,
+        price_currency: priceCurrency,
+        unit_price_base: unitPrice !== null && rate ? round2(unitPrice * rate) : null,
+        lead_time_days: candidate.price_list?.lead_time_days ?? quotedLead ?? candidate.part_lead_time_days,
+        stats: stats.get(candidate.supplier_id) || {},
+      })
+    }
+    const ranked = scoreLineCandidates(candidates)
+    resultItems.push({
+      ...item,
+      candidates_count: ranked.length,
+      candidates: limit ? ranked.slice(0, limit) : ranked,
+    })
+  }
+
+  return {
+    rfq_id: Number(rfq.id),
+    currency,
+    period_start: period.periodStart,
+    period_end: period.periodEnd,
+    weights: RANKING_WEIGHTS,
+    items: resultItems,
+  }
+}
+
+module.exports = {
+  RANKING_CURRENCY,
+  RANKING_WEIGHTS,
+  rankRfqSuppliers,
+  scoreLineCandidates,
+}
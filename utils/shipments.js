@@ -0,0 +1,359 @@
+// utils/shipments.js
+// Отгрузки по PO: статус партии определяется самой поздней достигнутой вехой,
+// фактический транзит (от picked_up до delivered) сравнивается со сроками
+// шаблона маршрута, при доставке готовится черновик прихода на склад.
+
+const { insertDraftDocument } = require('./warehouseDocuments')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const QTY_EPSILON = 0.0005
+
+// Порядок вех; exception фиксируется в журнале, но статус не меняет.
+const SHIPMENT_MILESTONES = ['picked_up', 'in_transit', 'at_port', 'customs', 'delivered']
+const SHIPMENT_EVENT_TYPES = new Set([...SHIPMENT_MILESTONES, 'exception'])
+
+const toId = (v) => {
+  const n = Number(v)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+const numOrNull = (v) => {
+  if (v === undefined || v === null || v === '') return null
+  const n = Number(String(v).replace(',', '.'))
+  return Number.isFinite(n) ? n : null
+}
+const toDate = (value) => {
+  if (!value) return null
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+const round1 = (value) => Math.round(value * 10) / 10
+
+/**
+ * Статус и ключевые даты отгрузки по журналу вех.
+ */
+const deriveShipmentProgress = (events = []) => {
+  let rank = -1
+  let pickedUpAt = null
+  let deliveredAt = null
+  for (const event of events) {
+    const index = SHIPMENT_MILESTONES.indexOf(event.milestone)
+    if (index < 0) continue
+    rank = Math.max(rank, index)
+    const occurredAt = toDate(event.occurred_at)
+    if (!occurredAt) continue
+    if (event.milestone === 'picked_up' && (!pickedUpAt || occurredAt < pickedUpAt)) pickedUpAt = occurredAt
+    if (event.milestone === 'delivered' && (!deliveredAt || occurredAt > deliveredAt)) deliveredAt = occurredAt
+  }
+  return {
+    status: rank < 0 ? 'planned' : SHIPMENT_MILESTONES[rank],
+    picked_up_at: pickedUpAt,
+    delivered_at: deliveredAt,
+  }
+}
+
+/**
+ * Сравнение транзита с окном ETA: для доставленных — early/on_time/late,
+ * для находящихся в пути — in_transit или overdue (окно уже превышено).
+ */
+const compareTransit = ({ pickedUpAt, deliveredAt, etaMinDays, etaMaxDays, asOf = new Date() }) => {
+  const start = toDate(pickedUpAt)
+  const end = toDate(deliveredAt)
+  const etaMin = numOrNull(etaMinDays)
+  const etaMax = numOrNull(etaMaxDays)
+  const result = {
+    transit_days: null,
+    eta_min_days: etaMin,
+    eta_max_days: etaMax,
+    expected_delivery_from: start && etaMin !== null ? new Date(start.getTime() + etaMin * DAY_MS) : null,
+    expected_delivery_to: start && etaMax !== null ? new Date(start.getTime() + etaMax * DAY_MS) : null,
+    deviation_days: null,
+    transit_status: 'not_started',
+  }
+  if (!start) return result
+
+  const transitDays = round1(((end || toDate(asOf)) - start) / DAY_MS)
+  result.transit_days = transitDays
+  if (etaMin === null && etaMax === null) {
+    result.transit_status = end ? 'delivered_no_eta' : 'in_transit'
+    return result
+  }
+  if (!end) {
+    result.transit_status = etaMax !== null && transitDays > etaMax ? 'overdue' : 'in_transit'
+    result.deviation_days = etaMax !== null && transitDays > etaMax ? round1(transitDays - etaMax) : 0
+    return result
+  }
+  if (etaMin !== null && transitDays < etaMin) {
+    result.transit_status = 'early'
+    result.deviation_days = round1(transitDays - etaMin)
+  } else if (etaMax !== null && transitDays > etaMax) {
+    result.transit_status = 'late'
+    result.deviation_days = round1(transitDays - etaMax)
+  } else {
+    result.transit_status = 'on_time'
+    result.deviation_days = 0
+  }
+  return result
+}
+
+const placeholders = (ids) => ids.map(() => '?').join(',')
+
+/**
+ * Проверяет строки партии: строка PO в отправленном/подтверждённом заказе,
+ * количество не больше остатка, не включённого в другие активные отгрузки.
+ */
+async function validateShipmentLines(conn, rawLines, { excludeShipmentId = null } = {}) {
+  const input = Array.isArray(rawLines) ? rawLines : []
+  const lines = []
+  for (const raw of input) {
+    const poLineId = toId(raw?.supplier_purchase_order_line_id ?? raw?.purchase_order_line_id)
+    const quantity = numOrNull(raw?.quantity)
+    if (!poLineId) continue
+    if (quantity !== null && quantity <= 0) {
+      throw Object.assign(new Error(`Строка PO #${poLineId}: количество должно быть больше нуля`), { statusCode: 400 })
+    }
+    lines.push({
+      supplier_purchase_order_line_id: poLineId,
+      quantity,
+      package_count: numOrNull(raw?.package_count),
+      gross_weight_kg: numOrNull(raw?.gross_weight_kg),
+      note: raw?.note ? String(raw.note).trim().slice(0, 500) || null : null,
+    })
+  }
+  if (!lines.length) {
+    throw Object.assign(new Error('Добавьте в отгрузку хотя бы одну строку PO'), { statusCode: 400 })
+  }
+  const ids = lines.map((line) => line.supplier_purchase_order_line_id)
+  if (new Set(ids).size !== ids.length) {
+    throw Object.assign(new Error('Строка PO указана в отгрузке несколько раз'), { statusCode: 400 })
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT pol.id,
+            pol.supplier_purchase_order_id,
+            pol.qty,
+            po.status,
+            po.supplier_id,
+            po.shipment_group_route_id,
+            (
+              SELECT COALESCE(SUM(sl.quantity), 0)
+                FROM shipment_lines sl
+                JOIN shipments s ON s.id = sl.shipment_id
+               WHERE sl.supplier_purchase_order_line_id = pol.id
+                 AND s.status <> 'cancelled'
+                 AND (? IS NULL OR s.id <> ?)
+            ) AS shipped_qty
+       FROM supplier_purchase_order_lines pol
+       JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+      WHERE pol.id IN (${placeholders(ids)})`,
+    [excludeShipmentId, excludeShipmentId, ...ids]
+  )
+  const byId = new Map(rows.map((row) => [Number(row.id), row]))
+
+  return lines.map((line) => {
+    const poLine = byId.get(line.supplier_purchase_order_line_id)
+    if (!poLine) {
+      throw Object.assign(new Error(`Строка PO #${line.supplier_purchase_order_line_id} не найдена`), { statusCode: 400 })
+    }
+    if (!['sent', 'confirmed'].includes(String(poLine.status || ''))) {
+      throw Object.assign(new Error(`PO #${poLine.supplier_purchase_order_id} не отправлен и не подтверждён`), {
+        statusCode: 409,
+      })
+    }
+    const available = Number(poLine.qty || 0) - Number(poLine.shipped_qty || 0)
+    const quantity = line.quantity === null ? available : line.quantity
+    if (quantity <= QTY_EPSILON || quantity > available + QTY_EPSILON) {
+      throw Object.assign(
+        new Error(`Строка PO #${poLine.id}: к отгрузке доступно ${Math.max(available, 0)}`),
+        { statusCode: 409 }
+      )
+    }
+    return {
+      ...line,
+      quantity,
+      supplier_purchase_order_id: Number(poLine.supplier_purchase_order_id),
+      supplier_id: Number(poLine.supplier_id),
+      shipment_group_route_id: toId(poLine.shipment_group_route_id),
+    }
+  })
+}
+
+async function replaceShipmentLines(conn, shipmentId, lines) {
+  await conn.execute('DELETE FROM shipment_lines WHERE shipment_id = ?', [shipmentId])
+  for (const line of lines) {
+    await conn.execute(
+      `INSERT INTO shipment_lines
+        (shipment_id, supplier_purchase_order_id, supplier_purchase_order_line_id, quantity, package_count, gross_weight_kg, note)
+       VALUES (?,?,?,?,?,?,?)`,
+      [
+        shipmentId,
+        line.supplier_purchase_order_id,
+        line.supplier_purchase_order_line_id,
+        line.quantity,
+        line.package_count,
+        line.gross_weight_kg,
+        line.note,
+      ]
+    )
+  }
+}
+
+/**
+ * Маршрут и окно ETA: явный шаблон или шаблон маршрута группы отгрузки PO.
+ */
+async function resolveShipmentRoute(conn, { routeTemplateId = null, shipmentGroupRouteId = null }) {
+  let templateId = toId(routeTemplateId)
+  let groupRoute = null
+  if (!templateId && shipmentGroupRouteId) {
+    const [[row]] = await conn.execute(
+      `SELECT id, route_template_id, eta_min_days_snapshot, eta_max_days_snapshot
+         FROM rfq_shipment_group_routes
+        WHERE id = ?`,
+      [shipmentGroupRouteId]
+    )
+    groupRoute = row || null
+    templateId = toId(row?.route_template_id)
+  }
+  let template = null
+  if (templateId) {
+    const [[row]] = await conn.execute(
+      `SELECT rt.id, rt.eta_min_days, rt.eta_max_days,
+              c.origin_country, c.destination_country, c.transport_mode
+         FROM logistics_route_templates rt
+         LEFT JOIN logistics_corridors c ON c.id = rt.corridor_id
+        WHERE rt.id = ?`,
+      [templateId]
+    )
+    if (!row && routeTemplateId) {
+      throw Object.assign(new Error('Шаблон маршрута не найден'), { statusCode: 400 })
+    }
+    template = row || null
+  }
+  return {
+    route_template_id: template ? Number(template.id) : null,
+    shipment_group_route_id: groupRoute ? Number(groupRoute.id) : null,
+    eta_min_days: numOrNull(template?.eta_min_days ?? groupRoute?.eta_min_days_snapshot),
+    eta_max_days: numOrNull(template?.eta_max_days ?? groupRoute?.eta_max_days_snapshot),
+    origin_country: template?.origin_country || null,
+    destination_country: template?.destination_country || null,
+    transport_mode: template?.transport_mode || null,
+  }
+}
+
+async function syncShipmentProgress(conn, shipmentId) {
+  const [events] = await conn.execute(
+    'SELECT milestone, occurred_at FROM shipment_events WHERE shipment_id = ? ORDER BY occurred_at, id',
+    [shipmentId]
+  )
+  const progress = deriveShipmentProgress(events)
+  await conn.execute(
+    `UPDATE shipments
+        SET status = ?,
+            picked_up_at = ?,
+            delivered_at = ?
+      WHERE id = ?
+        AND status <> 'cancelled'`,
+    [progress.status, progress.picked_up_at, progress.delivered_at, shipmentId]
+  )
+  return progress
+}
+
+/**
+ * Черновик прихода по доставленной отгрузке: по строке берётся количество
+ * партии, но не больше ещё не оформленного приходами остатка строки PO.
+ */
+async function createShipmentReceiptDraft(conn, shipment, { userId = null } = {}) {
+  if (shipment.receipt_document_id) {
+    const [[existing]] = await conn.execute(
+      "SELECT id, document_no, status FROM warehouse_documents WHERE id = ? AND status <> 'cancelled'",
+      [shipment.receipt_document_id]
+    )
+    if (existing) return { document: existing, skipped_lines: [] }
+  }
+  if (!shipment.warehouse_id) {
+    throw Object.assign(new Error('Для прихода по отгрузке укажите склад получения'), { statusCode: 400 })
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT sl.supplier_purchase_order_id,
+            sl.supplier_purchase_order_line_id,
+            sl.quantity,
+            pol.qty AS ordered_qty,
+            rl.supplier_part_id,
+            (
+              SELECT COALESCE(SUM(wdl.quantity), 0)
+                FROM warehouse_document_lines wdl
+                JOIN warehouse_documents wd ON wd.id = wdl.document_id
+               WHERE wd.doc_type = 'receipt'
+                 AND wd.status IN ('draft', 'posted')
+                 AND COALESCE(wdl.source_type, wd.source_type) = 'purchase_order'
+                 AND COALESCE(wdl.source_id, wd.source_id) = CAST(sl.supplier_purchase_order_id AS CHAR)
+                 AND wdl.source_line_id = CAST(sl.supplier_purchase_order_line_id AS CHAR)
+            ) AS receipt_qty
+       FROM shipment_lines sl
+       JOIN supplier_purchase_order_lines pol ON pol.id = sl.supplier_purchase_order_line_id
+       LEFT JOIN rfq_response_lines rl ON rl.id = pol.rfq_response_line_id
+      WHERE sl.shipment_id = ?
+      ORDER BY sl.id`,
+    [shipment.id]
+  )
+
+  const lines = []
+  const skipped = []
+  for (const row of rows) {
+    const remaining = Number(row.ordered_qty || 0) - Number(row.receipt_qty || 0)
+    const quantity = Math.min(Number(row.quantity || 0), remaining)
+    if (!toId(row.supplier_part_id)) {
+      skipped.push({ supplier_purchase_order_line_id: row.supplier_purchase_order_line_id, reason: 'no_supplier_part' })
+      continue
+    }
+    if (quantity <= QTY_EPSILON) {
+      skipped.push({ supplier_purchase_order_line_id: row.supplier_purchase_order_line_id, reason: 'already_received' })
+      continue
+    }
+    lines.push({
+      supplier_part_id: Number(row.supplier_part_id),
+      catalog_position_id: null,
+      storage_place_id: toId(shipment.storage_place_id),
+      target_storage_place_id: null,
+      quantity,
+      unit_cost: null,
+      currency: null,
+      unit_code: null,
+      reason: null,
+      notes: null,
+      source_type: 'purchase_order',
+      source_id: String(row.supplier_purchase_order_id),
+      source_line_id: String(row.supplier_purchase_order_line_id),
+      source_label: `Отгрузка ${shipment.shipment_no}`,
+    })
+  }
+  if (!lines.length) {
+    throw Object.assign(new Error('Нет строк для прихода: всё уже оформлено приходами'), { statusCode: 409 })
+  }
+
+  const transportRef = [shipment.awb_number, shipment.bl_number, shipment.container_number].filter(Boolean).join(' / ')
+  const created = await insertDraftDocument(conn, {
+    docType: 'receipt',
+    documentDate: shipment.delivered_at || new Date(),
+    warehouseId: toId(shipment.warehouse_id),
+    basisDocument: transportRef ? `${shipment.shipment_no} (${transportRef})` : shipment.shipment_no,
+    source: { source_type: 'purchase_order', source_label: `Отгрузка ${shipment.shipment_no}` },
+    notes: 'Черновик подготовлен автоматически по доставленной отгрузке',
+    lines,
+    userId,
+  })
+  await conn.execute('UPDATE shipments SET receipt_document_id = ? WHERE id = ?', [created.id, shipment.id])
+  return { document: { id: created.id, document_no: created.document_no, status: 'draft' }, skipped_lines: skipped }
+}
+
+module.exports = {
+  SHIPMENT_MILESTONES,
+  SHIPMENT_EVENT_TYPES,
+  deriveShipmentProgress,
+  compareTransit,
+  validateShipmentLines,
+  replaceShipmentLines,
+  resolveShipmentRoute,
+  syncShipmentProgress,
+  createShipmentReceiptDraft,
+}
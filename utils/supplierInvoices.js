@@ -0,0 +1,290 @@
+// utils/supplierInvoices.js
+// Счета поставщиков и трёхстороннее сопоставление (счёт — PO — приход).
+// Цена строки счёта сравнивается с ценой строки PO, количество (с учётом
+// других действующих счетов по той же строке) — с заказанным и с проведённым
+// приходами склада. Отклонения сверх допусков переводят счёт в disputed.
+// Допуски по умолчанию задаются через env и могут быть переопределены в счёте.
+
+const round2 = (value) => Math.round(value * 100) / 100
+const round3 = (value) => Math.round(value * 1000) / 1000
+const round4 = (value) => Math.round(value * 10000) / 10000
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(String(value).replace(',', '.'))
+  return Number.isFinite(n) ? n : null
+}
+const toId = (v) => {
+  const n = Number(v)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+const normCode = (value) => {
+  const code = String(value || '').trim().toUpperCase()
+  return code.length === 3 ? code : null
+}
+const nonNegative = (value, fallback) => {
+  const n = numOrNull(value)
+  return n !== null && n >= 0 ? n : fallback
+}
+
+const AMOUNT_EPSILON = 0.005
+const QTY_EPSILON = 0.0005
+
+const DEFAULT_TOLERANCES = {
+  price_pct: nonNegative(process.env.SUPPLIER_INVOICE_PRICE_TOLERANCE_PCT, 1),
+  qty_pct: nonNegative(process.env.SUPPLIER_INVOICE_QTY_TOLERANCE_PCT, 0),
+}
+
+// Статусы, в которых счёт ещё можно править и пересопоставлять.
+const EDITABLE_INVOICE_STATUSES = new Set(['draft', 'matched', 'disputed'])
+
+const resolveTolerances = (invoice = {}) => ({
+  price_pct: nonNegative(invoice.price_tolerance_pct, DEFAULT_TOLERANCES.price_pct),
+  qty_pct: nonNegative(invoice.qty_tolerance_pct, DEFAULT_TOLERANCES.qty_pct),
+})
+
+const exceeds = (value, limit, tolerancePct) =>
+  value > limit + Math.max(Math.abs(limit) * (tolerancePct / 100), QTY_EPSILON)
+
+/**
+ * Сверка одной строки счёта. Возвращает снимок PO/прихода, отклонения и
+ * список кодов нарушений (issues); пустой список — строка сопоставлена.
+ */
+const evaluateInvoiceLine = (line, context, { invoiceCurrency, tolerances = DEFAULT_TOLERANCES } = {}) => {
+  const quantity = Number(line.quantity || 0)
+  const unitPrice = Number(line.unit_price || 0)
+  const poQty = Number(context.po_qty || 0)
+  const poPrice = numOrNull(context.po_unit_price)
+  const receivedQty = Number(context.received_qty || 0)
+  const otherInvoiced = Number(context.invoiced_qty_other || 0)
+  const invoicedTotal = otherInvoiced + quantity
+  const issues = []
+
+  const poCurrency = normCode(context.po_currency)
+  const sameCurrency = !poCurrency || !invoiceCurrency || poCurrency === normCode(invoiceCurrency)
+  if (!sameCurrency) issues.push('currency_mismatch')
+
+  let priceVariancePct = null
+  if (poPrice !== null && poPrice > 0 && sameCurrency) {
+    priceVariancePct = round4(((unitPrice - poPrice) / poPrice) * 100)
+    if (Math.abs(priceVariancePct) > tolerances.price_pct) issues.push('price_variance')
+  }
+
+  if (exceeds(invoicedTotal, poQty, tolerances.qty_pct)) issues.push('qty_exceeds_ordered')
+  if (exceeds(invoicedTotal, receivedQty, tolerances.qty_pct)) issues.push('qty_exceeds_received')
+
+  const statedAmount = numOrNull(line.amount)
+  if (statedAmount !== null && Math.abs(statedAmount - quantity * unitPrice) > 0.01 + AMOUNT_EPSILON) {
+    issues.push('line_amount_mismatch')
+  }
+
+  return {
+    po_qty: poQty,
+    po_unit_price: poPrice,
+    po_currency: poCurrency,
+    received_qty: round3(receivedQty),
+    invoiced_qty_other: round3(otherInvoiced),
+    price_variance_pct: priceVariancePct,
+    qty_variance: round3(invoicedTotal - receivedQty),
+    match_status: issues.length ? 'variance' : 'matched',
+    issues,
+  }
+}
+
+/**
+ * Итог сверки счёта: matched, если все строки сопоставлены и сумма счёта
+ * совпадает с суммой строк, иначе disputed.
+ */
+const summarizeInvoiceMatch = (lines, { totalAmount = null } = {}) => {
+  const linesTotal = round2(lines.reduce((sum, line) => sum + Number(line.amount || 0), 0))
+  const issues = []
+  const stated = numOrNull(totalAmount)
+  if (stated !== null && Math.abs(stated - linesTotal) > 0.01 + AMOUNT_EPSILON) issues.push('total_mismatch')
+  if (!lines.length) issues.push('no_lines')
+  const varianceLines = lines.filter((line) => line.match_status === 'variance').length
+  return {
+    status: issues.length || varianceLines ? 'disputed' : 'matched',
+    lines_total: linesTotal,
+    variance_lines: varianceLines,
+    issues,
+  }
+}
+
+const placeholders = (ids) => ids.map(() => '?').join(',')
+
+/**
+ * Нормализует строки счёта: строка PO должна принадлежать поставщику счёта;
+ * сумма по умолчанию — количество × цена.
+ */
+async function normalizeInvoiceLines(conn, supplierId, rawLines) {
+  const input = Array.isArray(rawLines) ? rawLines : []
+  const lines = []
+  for (const raw of input) {
+    const poLineId = toId(raw?.supplier_purchase_order_line_id ?? raw?.purchase_order_line_id)
+    if (!poLineId) continue
+    const quantity = numOrNull(raw?.quantity)
+    const unitPrice = numOrNull(raw?.unit_price)
+    if (quantity === null || quantity <= 0) {
+      throw Object.assign(new Error(`Строка PO #${poLineId}: количество должно быть больше нуля`), { statusCode: 400 })
+    }
+    if (unitPrice === null || unitPrice < 0) {
+      throw Object.assign(new Error(`Строка PO #${poLineId}: укажите цену`), { statusCode: 400 })
+    }
+    const amount = numOrNull(raw?.amount)
+    lines.push({
+      supplier_purchase_order_line_id: poLineId,
+      quantity,
+      unit_price: unitPrice,
+      amount: round2(amount === null ? quantity * unitPrice : amount),
+      description: raw?.description ? String(raw.description).trim().slice(0, 500) || null : null,
+      note: raw?.note ? String(raw.note).trim().slice(0, 500) || null : null,
+    })
+  }
+  if (!lines.length) return []
+
+  const ids = [...new Set(lines.map((line) => line.supplier_purchase_order_line_id))]
+  const [rows] = await conn.execute(
+    `SELECT pol.id, pol.supplier_purchase_order_id, po.supplier_id, po.status
+       FROM supplier_purchase_order_lines pol
+       JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+      WHERE pol.id IN (${placeholders(ids)})`,
+    ids
+  )
+  const byId = new Map(rows.map((row) => [Number(row.id), row]))
+  return lines.map((line) => {
+    const poLine = byId.get(line.supplier_purchase_order_line_id)
+    if (!poLine) {
+      throw Object.assign(new Error(`Строка PO #${line.supplier_purchase_order_line_id} не найдена`), { statusCode: 400 })
+    }
+    if (Number(poLine.supplier_id) !== Number(supplierId)) {
+      throw Object.assign(new Error(`PO #${poLine.supplier_purchase_order_id} выставлен другому поставщику`), {
+        statusCode: 400,
+      })
+    }
+    if (String(poLine.status || '') === 'cancelled') {
+      throw Object.assign(new Error(`PO #${poLine.supplier_purchase_order_id} отменён`), { statusCode: 409 })
+    }
+    return { ...line, supplier_purchase_order_id: Number(poLine.supplier_purchase_order_id) }
+  })
+}
+
+async function replaceInvoiceLines(conn, invoiceId, lines) {
+  await conn.execute('DELETE FROM supplier_invoice_lines WHERE supplier_invoice_id = ?', [invoiceId])
+  for (const line of lines) {
+    await conn.execute(
+      `INSERT INTO supplier_invoice_lines
+        (supplier_invoice_id, supplier_purchase_order_id, supplier_purchase_order_line_id,
+         description, quantity, unit_price, amount, note)
+       VALUES (?,?,?,?,?,?,?,?)`,
+      [
+        invoiceId,
+        line.supplier_purchase_order_id,
+        line.supplier_purchase_order_line_id,
+        line.description,
+        line.quantity,
+        line.unit_price,
+        line.amount,
+        line.note,
+      ]
+    )
+  }
+}
+
+/**
+ * Пересопоставляет счёт с PO и приходами, сохраняет снимок по строкам и
+ * переводит счёт в matched/disputed.
+ */
+async function runThreeWayMatch(conn, invoiceId) {
+  const [[invoice]] = await conn.execute('SELECT * FROM supplier_invoices WHERE id = ? FOR UPDATE', [invoiceId])
+  if (!invoice) throw Object.assign(new Error('Счёт поставщика не найден'), { statusCode: 404 })
+  if (!EDITABLE_INVOICE_STATUSES.has(invoice.status)) {
+    throw Object.assign(new Error('Счёт уже утверждён к оплате или отменён'), { statusCode: 409 })
+  }
+
+  const [lines] = await conn.execute(
+    `SELECT sil.*,
+            pol.qty AS ctx_po_qty,
+            pol.price AS ctx_po_unit_price,
+            COALESCE(pol.currency, po.currency) AS ctx_po_currency,
+            (
+              SELECT COALESCE(SUM(wdl.quantity), 0)
+                FROM warehouse_document_lines wdl
+                JOIN warehouse_documents wd ON wd.id = wdl.document_id
+               WHERE wd.doc_type = 'receipt'
+                 AND wd.status = 'posted'
+                 AND COALESCE(wdl.source_type, wd.source_type) = 'purchase_order'
+                 AND COALESCE(wdl.source_id, wd.source_id) = CAST(pol.supplier_purchase_order_id AS CHAR)
+                 AND wdl.source_line_id = CAST(pol.id AS CHAR)
+            ) AS ctx_received_qty,
+            (
+              SELECT COALESCE(SUM(other.quantity), 0)
+                FROM supplier_invoice_lines other
+                JOIN supplier_invoices oi ON oi.id = other.supplier_invoice_id
+               WHERE other.supplier_purchase_order_line_id = sil.supplier_purchase_order_line_id
+                 AND oi.id <> sil.supplier_invoice_id
+                 AND oi.status <> 'cancelled'
+            ) AS ctx_invoiced_qty_other
+       FROM supplier_invoice_lines sil
+       JOIN supplier_purchase_order_lines pol ON pol.id = sil.supplier_purchase_order_line_id
+       JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+      WHERE sil.supplier_invoice_id = ?
+      ORDER BY sil.id`,
+    [invoiceId]
+  )
+
+  const tolerances = resolveTolerances(invoice)
+  const evaluated = []
+  for (const line of lines) {
+    const result = evaluateInvoiceLine(
+      line,
+      {
+        po_qty: line.ctx_po_qty,
+        po_unit_price: line.ctx_po_unit_price,
+        po_currency: line.ctx_po_currency,
+        received_qty: line.ctx_received_qty,
+        invoiced_qty_other: line.ctx_invoiced_qty_other,
+      },
+      { invoiceCurrency: invoice.currency, tolerances }
+    )
+    await conn.execute(
+      `UPDATE supplier_invoice_lines
+          SET po_qty = ?, po_unit_price = ?, po_currency = ?, received_qty = ?, invoiced_qty_other = ?,
+              price_variance_pct = ?, qty_variance = ?, match_status = ?, match_issues_json = ?
+        WHERE id = ?`,
+      [
+        result.po_qty,
+        result.po_unit_price,
+        result.po_currency,
+        result.received_qty,
+        result.invoiced_qty_other,
+        result.price_variance_pct,
+        result.qty_variance,
+        result.match_status,
+        JSON.stringify(result.issues),
+        line.id,
+      ]
+    )
+    evaluated.push({ id: Number(line.id), amount: line.amount, ...result })
+  }
+
+  const summary = summarizeInvoiceMatch(evaluated, { totalAmount: invoice.total_amount })
+  await conn.execute(
+    `UPDATE supplier_invoices
+        SET status = ?,
+            matched_at = NOW(),
+            dispute_reason = CASE WHEN ? = 'matched' THEN NULL ELSE dispute_reason END
+      WHERE id = ?`,
+    [summary.status, summary.status, invoiceId]
+  )
+  return { ...summary, tolerances, previous_status: invoice.status, lines: evaluated }
+}
+
+module.exports = {
+  DEFAULT_TOLERANCES,
+  EDITABLE_INVOICE_STATUSES,
+  resolveTolerances,
+  evaluateInvoiceLine,
+  summarizeInvoiceMatch,
+  normalizeInvoiceLines,
+  replaceInvoiceLines,
+  runThreeWayMatch,
+}
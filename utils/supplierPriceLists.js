@@ -0,0 +1,191 @@
+// utils/supplierPriceLists.js
+// Сроки действия прайс-листов и цен поставщиков.
+// Цена из прайс-листа действует в окне valid_from/valid_to списка и строки;
+// цена из ответа на RFQ или ручного ввода — с даты цены плюс validity_days.
+// При активации новый список вытесняет действующий список того же поставщика
+// и валюты; разница между ними (новые, снятые, переоценённые детали)
+// сохраняется в activation_diff_json.
+
+const round2 = (value) => Math.round(value * 100) / 100
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+
+/**
+ * Условие «цена spp действует на дату asOfExpr». Ожидает LEFT JOIN строки и
+ * шапки прайс-листа под алиасами spllAlias / splAlias.
+ */
+const priceValidOnSql = (sppAlias, spllAlias, splAlias, asOfExpr) => `
+  DATE(${sppAlias}.date) <= ${asOfExpr}
+  AND (
+    ${sppAlias}.validity_days IS NULL
+    OR ${sppAlias}.validity_days <= 0
+    OR DATE_ADD(DATE(${sppAlias}.date), INTERVAL ${sppAlias}.validity_days DAY) >= ${asOfExpr}
+  )
+  AND (${splAlias}.valid_from IS NULL OR ${splAlias}.valid_from <= ${asOfExpr})
+  AND (${splAlias}.valid_to IS NULL OR ${splAlias}.valid_to >= ${asOfExpr})
+  AND (${spllAlias}.valid_from IS NULL OR ${spllAlias}.valid_from <= ${asOfExpr})
+  AND (${spllAlias}.valid_to IS NULL OR ${spllAlias}.valid_to >= ${asOfExpr})
+`
+
+/**
+ * LEFT JOIN последней действующей на дату цены детали поставщика.
+ * Дата передаётся одним параметром (DATE(?)) — его нужно поставить в params
+ * на место этого фрагмента.
+ */
+const latestValidPriceJoinSql = ({ alias = 'lp', partIdExpr = 'sp.id' } = {}) => `
+  LEFT JOIN (
+    SELECT spp1.*
+    FROM supplier_part_prices spp1
+    JOIN (
+      SELECT spp0.supplier_part_id, MAX(spp0.id) AS max_id
+      FROM supplier_part_prices spp0
+      JOIN (SELECT DATE(?) AS d) as_of ON TRUE
+      LEFT JOIN supplier_price_list_lines spll0
+        ON spll0.id = spp0.source_id
+       AND spp0.source_type = 'PRICE_LIST'
+      LEFT JOIN supplier_price_lists spl0 ON spl0.id = spll0.supplier_price_list_id
+      WHERE ${priceValidOnSql('spp0', 'spll0', 'spl0', 'as_of.d')}
+      GROUP BY spp0.supplier_part_id
+    ) latest_valid ON latest_valid.max_id = spp1.id
+  ) ${alias} ON ${alias}.supplier_part_id = ${partIdExpr}
+`
+
+/**
+ * Разница между строками действующего и нового прайс-листа по деталям поставщика.
+ * @param {Object[]} previousLines - строки вытесняемых списков (matched_supplier_part_id, price, currency)
+ * @param {Object[]} nextLines - строки нового списка
+ * @returns {Object} { added, removed, repriced, unchanged_count, summary }
+ */
+function diffPriceListLines(previousLines, nextLines) {
+  const byPart = (lines) => {
+    const map = new Map()
+    ;(Array.isArray(lines) ? lines : []).forEach((line) => {
+      const partId = Number(line.matched_supplier_part_id || 0)
+      if (!partId || map.has(partId)) return
+      map.set(partId, line)
+    })
+    return map
+  }
+  const previous = byPart(previousLines)
+  const next = byPart(nextLines)
+  const describe = (partId, line) => ({
+    supplier_part_id: partId,
+    supplier_part_number: line.supplier_part_number || line.supplier_part_number_raw || null,
+    price: numOrNull(line.price),
+    currency: line.currency || null,
+  })
+
+  const added = []
+  const repriced = []
+  let unchangedCount = 0
+  for (const [partId, line] of next) {
+    const before = previous.get(partId)
+    if (!before) {
+      added.push(describe(partId, line))
+      continue
+    }
+    const oldPrice = numOrNull(before.price)
+    const newPrice = numOrNull(line.price)
+    if (oldPrice === newPrice && String(before.currency || '') === String(line.currency || '')) {
+      unchangedCount += 1
+      continue
+    }
+    const sameCurrency = String(before.currency || '') === String(line.currency || '')
+    repriced.push({
+      ...describe(partId, line),
+      old_price: oldPrice,
+      old_currency: before.currency || null,
+      change_pct:
+        sameCurrency && oldPrice && newPrice !== null ? round2(((newPrice - oldPrice) / oldPrice) * 100) : null,
+    })
+  }
+  const removed = [...previous]
+    .filter(([partId]) => !next.has(partId))
+    .map(([partId, line]) => describe(partId, line))
+
+  return {
+    added,
+    removed,
+    repriced,
+    unchanged_count: unchangedCount,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      repriced: repriced.length,
+      unchanged: unchangedCount,
+    },
+  }
+}
+
+/**
+ * Состояние срока действия списка на дату: scheduled / current / expired.
+ */
+const validityStateSql = (alias = 'spl') => `
+  CASE
+    WHEN ${alias}.valid_to IS NOT NULL AND ${alias}.valid_to < CURDATE() THEN 'expired'
+    WHEN ${alias}.valid_from IS NOT NULL AND ${alias}.valid_from > CURDATE() THEN 'scheduled'
+    ELSE 'current'
+  END
+`
+
+const matchedLinesSql = (listIdsPlaceholders) => `
+  SELECT spll.supplier_price_list_id,
+         spll.matched_supplier_part_id,
+         spll.price,
+         spll.currency,
+         spll.supplier_part_number_raw,
+         sp.supplier_part_number
+    FROM supplier_price_list_lines spll
+    LEFT JOIN supplier_parts sp ON sp.id = spll.matched_supplier_part_id
+   WHERE spll.supplier_price_list_id IN (${listIdsPlaceholders})
+     AND spll.line_status = 'matched'
+     AND spll.matched_supplier_part_id IS NOT NULL
+   ORDER BY spll.supplier_price_list_id DESC, spll.id ASC
+`
+
+/**
+ * Действующие списки, которые вытеснит активация list (тот же поставщик и валюта).
+ */
+async function findSupersededLists(conn, list, { forUpdate = false } = {}) {
+  const [rows] = await conn.execute(
+    `SELECT *
+       FROM supplier_price_lists
+      WHERE supplier_id = ?
+        AND status = 'active'
+        AND id <> ?
+        AND currency_default <=> ?
+      ORDER BY id DESC
+      ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [list.supplier_id, list.id, list.currency_default || null]
+  )
+  return rows
+}
+
+/**
+ * Разница нового списка с действующими списками того же поставщика и валюты.
+ */
+async function buildActivationDiff(conn, list, supersededLists) {
+  const previousIds = supersededLists.map((row) => Number(row.id))
+  const [nextLines] = await conn.execute(matchedLinesSql('?'), [list.id])
+  let previousLines = []
+  if (previousIds.length) {
+    ;[previousLines] = await conn.execute(matchedLinesSql(previousIds.map(() => '?').join(',')), previousIds)
+  }
+  return {
+    price_list_id: Number(list.id),
+    superseded_list_ids: previousIds,
+    ...diffPriceListLines(previousLines, nextLines),
+  }
+}
+
+module.exports = {
+  buildActivationDiff,
+  diffPriceListLines,
+  findSupersededLists,
+  latestValidPriceJoinSql,
+  priceValidOnSql,
+  validityStateSql,
+}
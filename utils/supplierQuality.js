@@ -0,0 +1,194 @@
+// utils/supplierQuality.js
+// События качества поставщиков (supplier_quality_events): контекст строки PO
+// и пересчёт производных полей поставщика (reliability_rating, risk_level).
+// Используется карточкой поставщика и автоматическими событиями просрочки PO.
+
+const QUALITY_RISK_LEVELS = ['low', 'medium', 'high', 'critical']
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+
+const loadSupplierQualityContextFromPoLine = async (conn, { supplierId, poId = null, poLineId }) => {
+  if (!supplierId || !poLineId) return null
+  const [[row]] = await conn.execute(
+    `SELECT
+        pol.id AS supplier_purchase_order_line_id,
+        pol.supplier_purchase_order_id,
+        pol.rfq_response_line_id,
+        pol.selection_line_id,
+        po.supplier_id,
+        po.selection_id,
+        po.shipment_group_id,
+        sl.rfq_item_id,
+        sq.id AS sales_quote_id,
+        ql.id AS sales_quote_line_id,
+        cri.oem_part_id
+       FROM supplier_purchase_order_lines pol
+       JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+       LEFT JOIN selection_lines sl
+         ON sl.id = COALESCE(
+          pol.selection_line_id,
+          (
+            SELECT sl2.id
+              FROM selection_lines sl2
+             WHERE sl2.selection_id = po.selection_id
+               AND sl2.rfq_response_line_id = pol.rfq_response_line_id
+               AND (sl2.supplier_id = po.supplier_id OR sl2.supplier_id IS NULL)
+               AND (po.shipment_group_id IS NULL OR sl2.shipment_group_id = po.shipment_group_id)
+             ORDER BY sl2.id ASC
+             LIMIT 1
+          )
+        )
+       LEFT JOIN rfq_items ri ON ri.id = sl.rfq_item_id
+       LEFT JOIN client_request_revision_items cri ON cri.id = ri.client_request_revision_item_id
+       LEFT JOIN client_contracts cc
+         ON cc.id = (
+           SELECT cc2.id
+             FROM client_contracts cc2
+             JOIN sales_quotes sq2 ON sq2.id = cc2.sales_quote_id
+            WHERE sq2.selection_id = po.selection_id
+              AND cc2.status IN ('signed', 'in_execution', 'completed', 'closed_with_issues')
+            ORDER BY cc2.contract_date DESC, cc2.id DESC
+            LIMIT 1
+         )
+       LEFT JOIN sales_quotes sq ON sq.id = cc.sales_quote_id
+       LEFT JOIN sales_quote_lines ql
+         ON ql.sales_quote_revision_id = cc.sales_quote_revision_id
+        AND ql.client_request_revision_item_id = ri.client_request_revision_item_id
+        AND COALESCE(ql.line_status, 'active') = 'active'
+      WHERE pol.id = ?
+        AND po.supplier_id = ?
+        AND (? IS NULL OR po.id = ?)
+      LIMIT 1`,
+    [poLineId, supplierId, poId, poId]
+  )
+  return row || null
+}
+
+const loadSupplierQualityAggregate = async (conn, supplierId) => {
+  const [[row]] = await conn.execute(
+    `
+    SELECT
+      COUNT(*) AS total,
+      SUM(CASE WHEN event_type = 'COMPLAINT' THEN 1 ELSE 0 END) AS complaints,
+      SUM(CASE WHEN event_type = 'DELAY' THEN 1 ELSE 0 END) AS delays,
+      SUM(CASE WHEN event_type = 'PROCESSING_RATING' THEN 1 ELSE 0 END) AS processing_ratings,
+      SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) AS open_count,
+      SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) AS closed_count,
+      SUM(CASE WHEN event_type = 'COMPLAINT' THEN severity ELSE 0 END) AS complaint_severity_sum,
+      SUM(CASE WHEN event_type = 'DELAY' THEN severity ELSE 0 END) AS delay_severity_sum,
+      SUM(CASE WHEN status = 'open' AND severity >= 4 THEN 1 ELSE 0 END) AS open_critical_count,
+      AVG(CASE WHEN event_type = 'PROCESSING_RATING' THEN rating END) AS avg_processing_rating,
+      AVG(CASE WHEN event_type = 'DELAY' THEN delay_days END) AS avg_delay_days,
+      MAX(COALESCE(occurred_at, created_at)) AS last_event_at
+    FROM supplier_quality_events
+    WHERE supplier_id = ?
+    `,
+    [supplierId]
+  )
+  return row || null
+}
+
+const deriveSupplierQualityMetrics = (summary) => {
+  const total = Number(summary?.total || 0)
+  if (!total) {
+    return {
+      reliability_rating: null,
+      risk_level: null,
+      risk_score: null,
+      quality_score: null,
+    }
+  }
+
+  const complaintSeverity = Number(summary?.complaint_severity_sum || 0)
+  const delaySeverity = Number(summary?.delay_severity_sum || 0)
+  const openCount = Number(summary?.open_count || 0)
+  const openCriticalCount = Number(summary?.open_critical_count || 0)
+  const avgDelayDays = Number(summary?.avg_delay_days || 0)
+  const avgProcessingRatingRaw = summary?.avg_processing_rating
+  const avgProcessingRating =
+    avgProcessingRatingRaw === null || avgProcessingRatingRaw === undefined
+      ? null
+      : Number(avgProcessingRatingRaw)
+
+  let qualityScore = 100
+  qualityScore -= complaintSeverity * 8
+  qualityScore -= delaySeverity * 5
+  qualityScore -= openCount * 6
+  qualityScore -= openCriticalCount * 7
+  qualityScore -= clamp(avgDelayDays, 0, 60) * 0.4
+
+  if (avgProcessingRating !== null && Number.isFinite(avgProcessingRating)) {
+    qualityScore += (avgProcessingRating - 3) * 6
+  }
+
+  qualityScore = clamp(Math.round(qualityScore), 1, 100)
+
+  let reliabilityRating = 1
+  if (qualityScore >= 85) reliabilityRating = 5
+  else if (qualityScore >= 70) reliabilityRating = 4
+  else if (qualityScore >= 50) reliabilityRating = 3
+  else if (qualityScore >= 30) reliabilityRating = 2
+
+  let riskLevel = 'critical'
+  if (qualityScore >= 85) riskLevel = 'low'
+  else if (qualityScore >= 65) riskLevel = 'medium'
+  else if (qualityScore >= 40) riskLevel = 'high'
+
+  return {
+    reliability_rating: reliabilityRating,
+    risk_level: riskLevel,
+    risk_score: qualityScore,
+    quality_score: qualityScore,
+  }
+}
+
+const syncSupplierQualityDerivedFields = async (conn, supplierId) => {
+  const summary = await loadSupplierQualityAggregate(conn, supplierId)
+  const derived = deriveSupplierQualityMetrics(summary)
+
+  await conn.execute(
+    `UPDATE part_suppliers
+        SET reliability_rating = ?,
+            risk_level = ?
+      WHERE id = ?`,
+    [derived.reliability_rating, derived.risk_level, supplierId]
+  )
+
+  await conn.execute(
+    `UPDATE supplier_risk_overrides
+        SET is_active = 0,
+            valid_to = COALESCE(valid_to, CURRENT_DATE())
+      WHERE supplier_id = ?
+        AND source = 'QUALITY_EVENTS'
+        AND is_active = 1`,
+    [supplierId]
+  )
+
+  if (derived.risk_level && QUALITY_RISK_LEVELS.includes(derived.risk_level)) {
+    await conn.execute(
+      `INSERT INTO supplier_risk_overrides
+        (supplier_id, risk_level, risk_score, source, valid_from, is_active, note, created_by_user_id)
+       VALUES (?,?,?,?,CURRENT_DATE(),1,?,?)`,
+      [
+        supplierId,
+        derived.risk_level,
+        derived.risk_score,
+        'QUALITY_EVENTS',
+        `Автопересчет по quality events: complaints=${Number(summary?.complaints || 0)}, delays=${Number(summary?.delays || 0)}, open=${Number(summary?.open_count || 0)}`,
+        null,
+      ]
+    )
+  }
+
+  return {
+    ...summary,
+    ...derived,
+  }
+}
+
+module.exports = {
+  loadSupplierQualityContextFromPoLine,
+  loadSupplierQualityAggregate,
+  deriveSupplierQualityMetrics,
+  syncSupplierQualityDerivedFields,
+}
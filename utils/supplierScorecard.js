@@ -0,0 +1,511 @@
+// utils/supplierScorecard.js
+// Оценка поставщиков по шаблонам scorecard за период.
+// Критерий с source = 'auto' считается из уже накопленных данных (события
+// качества, приходы по PO, ответы на RFQ), 'manual' — выставляет закупщик.
+// Все оценки критериев в шкале 0–100; итог — среднее, взвешенное по весам
+// тех критериев, по которым есть оценка (нет данных — критерий не штрафует).
+
+const db = require('./db')
+const { PO_LINE_DUE_DATE_SQL } = require('./purchaseOrderExpediting')
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+const round2 = (value) => Math.round(value * 100) / 100
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const toDateOnly = (value) => {
+  if (!value) return null
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (match) return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) return null
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+}
+
+// Скорость ответа на RFQ: до суток — 100, от 10 суток — 0, между ними линейно.
+const RESPONSE_FAST_HOURS = 24
+const RESPONSE_SLOW_HOURS = 240
+
+const scoreComplaints = (stats) => {
+  const complaints = Number(stats.complaints_count || 0)
+  if (!complaints && !stats.has_activity) return null
+  const severity = Number(stats.complaint_severity_sum || 0)
+  return {
+    raw_value: complaints,
+    score: clamp(100 - severity * 10, 0, 100),
+    details: { complaints, severity_sum: severity },
+  }
+}
+
+const scoreDelays = (stats) => {
+  const delays = Number(stats.delays_count || 0)
+  if (!delays && !stats.has_activity) return null
+  const severity = Number(stats.delay_severity_sum || 0)
+  const avgDelayDays = Number(stats.avg_delay_days || 0)
+  return {
+    raw_value: delays,
+    score: clamp(100 - severity * 8 - clamp(avgDelayDays, 0, 60), 0, 100),
+    details: { delays, severity_sum: severity, avg_delay_days: round2(avgDelayDays) },
+  }
+}
+
+const scoreProcessingRating = (stats) => {
+  const rating = numOrNull(stats.avg_processing_rating)
+  if (rating === null) return null
+  return {
+    raw_value: round2(rating),
+    score: clamp(((rating - 1) / 4) * 100, 0, 100),
+    details: { ratings: Number(stats.ratings_count || 0), avg_rating: round2(rating) },
+  }
+}
+
+const scorePoOnTime = (stats) => {
+  const due = Number(stats.po_lines_due || 0)
+  if (!due) return null
+  const onTime = Number(stats.po_lines_on_time || 0)
+  const share = onTime / due
+  return {
+    raw_value: round2(share * 100),
+    score: share * 100,
+    details: {
+      lines_due: due,
+      lines_on_time: onTime,
+      lines_late: due - onTime,
+      avg_late_days: round2(Number(stats.po_avg_late_days || 0)),
+    },
+  }
+}
+
+const scoreResponseRate = (stats) => {
+  const invited = Number(stats.rfq_invited || 0)
+  if (!invited) return null
+  const responded = Number(stats.rfq_responded || 0)
+  return {
+    raw_value: round2((responded / invited) * 100),
+    score: clamp((responded / invited) * 100, 0, 100),
+    details: { invited, responded },
+  }
+}
+
+const scoreResponseSpeed = (stats) => {
+  const hours = numOrNull(stats.rfq_avg_response_hours)
+  if (hours === null) return null
+  const score =
+    hours <= RESPONSE_FAST_HOURS
+      ? 100
+      : clamp(
+          100 - ((hours - RESPONSE_FAST_HOURS) / (RESPONSE_SLOW_HOURS - RESPONSE_FAST_HOURS)) * 100,
+          0,
+          100
+        )
+  return {
+    raw_value: round2(hours),
+    score,
+    details: { responded: Number(stats.rfq_responded || 0), avg_response_hours: round2(hours) },
+  }
+}
+
+const AUTO_METRICS = {
+  quality_complaints: { label: 'Рекламации (по тяжести)', compute: scoreComplaints },
+  quality_delays: { label: 'Задержки (события качества)', compute: scoreDelays },
+  quality_rating: { label: 'Оценка обработки заказов', compute: scoreProcessingRating },
+  po_on_time: { label: 'Своевременность поставок по PO', compute: scorePoOnTime },
+  rfq_response_rate: { label: 'Доля ответов на RFQ', compute: scoreResponseRate },
+  rfq_response_speed: { label: 'Скорость ответа на RFQ', compute: scoreResponseSpeed },
+}
+
+const listAutoMetrics = () =>
+  Object.entries(AUTO_METRICS).map(([metric, { label }]) => ({ metric, label }))
+
+const isAutoMetric = (metric) => Object.prototype.hasOwnProperty.call(AUTO_METRICS, metric)
+
+/**
+ * Оценка одного автоматического критерия по собранной статистике.
+ * @returns {{raw_value: number, score: number, details: Object}|null} null — нет данных за период
+ */
+const scoreAutoMetric = (metric, stats = {}) => {
+  if (!isAutoMetric(metric)) return null
+  const result = AUTO_METRICS[metric].compute(stats)
+  return result ? { ...result, score: round2(result.score) } : null
+}
+
+/**
+ * Итог оценки: взвешенное среднее по критериям с оценкой.
+ * @param {{score: number|null, weight: number}[]} scores
+ * @returns {{total_score: number|null, scored_weight: number, total_weight: number}}
+ */
+const computeWeightedTotal = (scores = []) => {
+  let scoredWeight = 0
+  let totalWeight = 0
+  let sum = 0
+  for (const item of scores) {
+    const weight = Math.max(Number(item.weight) || 0, 0)
+    totalWeight += weight
+    const score = numOrNull(item.score)
+    if (score === null || !weight) continue
+    scoredWeight += weight
+    sum += score * weight
+  }
+  return {
+    total_score: scoredWeight ? round2(sum / scoredWeight) : null,
+    scored_weight: round2(scoredWeight),
+    total_weight: round2(totalWeight),
+  }
+}
+
+/**
+ * Свести строки PO к счётчикам своевременности.
+ * Строка учитывается, если её плановая дата попала в период и уже наступила;
+ * вовремя — если полностью принята не позже плановой даты.
+ * @param {Object[]} rows - { due_date, qty, received_qty, completed_at }
+ */
+const summarizePoLines = (rows = [], { periodStart, periodEnd, today = new Date() }) => {
+  const from = toDateOnly(periodStart)
+  const to = toDateOnly(periodEnd)
+  const now = toDateOnly(today)
+  const cutoff = to && now && now < to ? now : to
+  let due = 0
+  let onTime = 0
+  let lateDaysSum = 0
+  for (const row of rows) {
+    const dueDate = toDateOnly(row.due_date)
+    if (!dueDate || (from && dueDate < from) || (cutoff && dueDate > cutoff)) continue
+    due += 1
+    const fullyReceived = Number(row.received_qty || 0) + 0.0005 >= Number(row.qty || 0)
+    const completedAt = fullyReceived ? toDateOnly(row.completed_at) : null
+    if (completedAt && completedAt <= dueDate) {
+      onTime += 1
+      continue
+    }
+    const lateUntil = completedAt || now
+    lateDaysSum += Math.max(Math.round((lateUntil - dueDate) / DAY_MS), 0)
+  }
+  const late = due - onTime
+  return {
+    po_lines_due: due,
+    po_lines_on_time: onTime,
+    po_avg_late_days: late ? lateDaysSum / late : 0,
+  }
+}
+
+const placeholders = (ids) => ids.map(() => '?').join(',')
+
+/**
+ * Статистика поставщиков за период для автоматических критериев.
+ * @returns {Promise<Map<number, Object>>}
+ */
+async function collectSupplierStats(conn, supplierIds, { periodStart, periodEnd }) {
+  const stats = new Map(supplierIds.map((id) => [id, { supplier_id: id }]))
+  if (!supplierIds.length) return stats
+  const merge = (supplierId, values) => {
+    const target = stats.get(Number(supplierId))
+    if (target) Object.assign(target, values)
+  }
+
+  const [qualityRows] = await conn.execute(
+    `SELECT supplier_id,
+            SUM(CASE WHEN event_type = 'COMPLAINT' THEN 1 ELSE 0 END) AS complaints_count,
+            SUM(CASE WHEN event_type = 'COMPLAINT' THEN severity ELSE 0 END) AS complaint_severity_sum,
+            SUM(CASE WHEN event_type = 'DELAY' THEN 1 ELSE 0 END) AS delays_count,
+            SUM(CASE WHEN event_type = 'DELAY' THEN severity ELSE 0 END) AS delay_severity_sum,
+            AVG(CASE WHEN event_type = 'DELAY' THEN delay_days END) AS avg_delay_days,
+            SUM(CASE WHEN event_type = 'PROCESSING_RATING' AND rating IS NOT NULL THEN 1 ELSE 0 END) AS ratings_count,
+            AVG(CASE WHEN event_type = 'PROCESSING_RATING' THEN rating END) AS avg_processing_rating
+       FROM supplier_quality_events
+      WHERE supplier_id IN (${placeholders(supplierIds)})
+        AND DATE(COALESCE(occurred_at, created_at)) BETWEEN ? AND ?
+      GROUP BY supplier_id`,
+    [...supplierIds, periodStart, periodEnd]
+  )
+  qualityRows.forEach((row) => merge(row.supplier_id, row))
+
+  const [poLineRows] = await conn.execute(
+    `SELECT po.supplier_id,
+            pol.qty,
+            ${PO_LINE_DUE_DATE_SQL} AS due_date,
+            COALESCE(rc.received_qty, 0) AS received_qty,
+            rc.completed_at
+       FROM supplier_purchase_order_lines pol
+       JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+       LEFT JOIN (
+         SELECT wdl.source_line_id AS po_line_id,
+                SUM(wdl.quantity) AS received_qty,
+                MAX(wd.document_date) AS completed_at
+           FROM warehouse_document_lines wdl
+           JOIN warehouse_documents wd ON wd.id = wdl.document_id
+          WHERE wd.doc_type = 'receipt'
+            AND wd.status = 'posted'
+            AND COALESCE(wdl.source_type, wd.source_type) = 'purchase_order'
+          GROUP BY wdl.source_line_id
+       ) rc ON rc.po_line_id = CAST(pol.id AS CHAR)
+      WHERE po.supplier_id IN (${placeholders(supplierIds)})
+        AND po.status IN ('sent', 'confirmed')
+        AND ${PO_LINE_DUE_DATE_SQL} BETWEEN ? AND ?`,
+    [...supplierIds, periodStart, periodEnd]
+  )
+  const poLinesBySupplier = new Map()
+  poLineRows.forEach((row) => {
+    const key = Number(row.supplier_id)
+    if (!poLinesBySupplier.has(key)) poLinesBySupplier.set(key, [])
+    poLinesBySupplier.get(key).push(row)
+  })
+  for (const [supplierId, rows] of poLinesBySupplier) {
+    merge(supplierId, summarizePoLines(rows, { periodStart, periodEnd }))
+  }
+
+  const [rfqRows] = await conn.execute(
+    `SELECT rs.supplier_id,
+            COUNT(*) AS rfq_invited,
+            SUM(CASE WHEN COALESCE(rs.responded_at, fr.first_response_at) IS NOT NULL THEN 1 ELSE 0 END) AS rfq_responded,
+            AVG(CASE
+                  WHEN COALESCE(rs.responded_at, fr.first_response_at) IS NOT NULL
+                  THEN TIMESTAMPDIFF(MINUTE, COALESCE(rs.invited_at, r.sent_at), COALESCE(rs.responded_at, fr.first_response_at)) / 60
+                END) AS rfq_avg_response_hours
+       FROM rfq_suppliers rs
+       JOIN rfqs r ON r.id = rs.rfq_id
+       LEFT JOIN (
+         SELECT rfq_supplier_id, MIN(created_at) AS first_response_at
+           FROM rfq_supplier_responses
+          GROUP BY rfq_supplier_id
+       ) fr ON fr.rfq_supplier_id = rs.id
+      WHERE rs.supplier_id IN (${placeholders(supplierIds)})
+        AND COALESCE(rs.invited_at, r.sent_at) IS NOT NULL
+        AND DATE(COALESCE(rs.invited_at, r.sent_at)) BETWEEN ? AND ?
+      GROUP BY rs.supplier_id`,
+    [...supplierIds, periodStart, periodEnd]
+  )
+  rfqRows.forEach((row) => merge(row.supplier_id, row))
+
+  // Без событий качества «ноль рекламаций» что-то значит только при работе с поставщиком в периоде.
+  for (const item of stats.values()) {
+    item.has_activity = Number(item.po_lines_due || 0) > 0 || Number(item.rfq_responded || 0) > 0
+  }
+  return stats
+}
+
+/**
+ * Поставщики, с которыми была работа в периоде: приглашения в RFQ, PO, события качества.
+ */
+async function findActiveSupplierIds(conn, { periodStart, periodEnd }) {
+  const [rows] = await conn.execute(
+    `SELECT rs.supplier_id
+       FROM rfq_suppliers rs
+       JOIN rfqs r ON r.id = rs.rfq_id
+      WHERE DATE(COALESCE(rs.invited_at, r.sent_at)) BETWEEN ? AND ?
+     UNION
+     SELECT po.supplier_id
+       FROM supplier_purchase_orders po
+      WHERE DATE(po.created_at) BETWEEN ? AND ?
+     UNION
+     SELECT e.supplier_id
+       FROM supplier_quality_events e
+      WHERE DATE(COALESCE(e.occurred_at, e.created_at)) BETWEEN ? AND ?`,
+    [periodStart, periodEnd, periodStart, periodEnd, periodStart, periodEnd]
+  )
+  return [...new Set(rows.map((row) => Number(row.supplier_id)).filter((id) => id > 0))]
+}
+
+async function fetchTemplateCriteria(conn, templateId) {
+  const [rows] = await conn.execute(
+    `SELECT id, code, name, weight, source, metric
+       FROM scorecard_criteria
+      WHERE template_id = ?
+      ORDER BY id ASC`,
+    [templateId]
+  )
+  return rows
+}
+
+/**
+ * Пересчитать итог оценки по сохранённым оценкам критериев.
+ */
+async function recalcEvaluationTotal(conn, evaluationId) {
+  const [scores] = await conn.execute(
+    'SELECT score, weight FROM supplier_evaluation_scores WHERE evaluation_id = ?',
+    [evaluationId]
+  )
+  const total = computeWeightedTotal(scores)
+  await conn.execute(
+    `UPDATE supplier_evaluations
+        SET total_score = ?, scored_weight = ?, total_weight = ?
+      WHERE id = ?`,
+    [total.total_score, total.scored_weight, total.total_weight, evaluationId]
+  )
+  return total
+}
+
+/**
+ * Рассчитать (или пересчитать) оценки поставщиков по шаблону за период.
+ * Автоматические критерии пересчитываются, ручные оценки сохраняются;
+ * финальные оценки не трогаем.
+ * @returns {Promise<{computed: number[], skipped_final: number[]}>} id поставщиков
+ */
+async function computeSupplierEvaluations(
+  conn,
+  { templateId, periodStart, periodEnd, supplierIds = null, userId = null }
+) {
+  const criteria = await fetchTemplateCriteria(conn, templateId)
+  if (!criteria.length) {
+    throw Object.assign(new Error('В шаблоне нет критериев'), { statusCode: 400 })
+  }
+  const ids = supplierIds?.length
+    ? [...new Set(supplierIds)]
+    : await findActiveSupplierIds(conn, { periodStart, periodEnd })
+  const summary = { computed: [], skipped_final: [] }
+  if (!ids.length) return summary
+
+  const stats = await collectSupplierStats(conn, ids, { periodStart, periodEnd })
+
+  for (const supplierId of ids) {
+    const [[existing]] = await conn.execute(
+      `SELECT id, status FROM supplier_evaluations
+        WHERE template_id = ? AND supplier_id = ? AND period_start = ? AND period_end = ?
+        FOR UPDATE`,
+      [templateId, supplierId, periodStart, periodEnd]
+    )
+    if (existing?.status === 'final') {
+      summary.skipped_final.push(supplierId)
+      continue
+    }
+    let evaluationId = existing?.id
+    if (evaluationId) {
+      await conn.execute('UPDATE supplier_evaluations SET computed_at = NOW() WHERE id = ?', [evaluationId])
+    } else {
+      const [result] = await conn.execute(
+        `INSERT INTO supplier_evaluations
+           (template_id, supplier_id, period_start, period_end, status, computed_at, created_by_user_id)
+         VALUES (?, ?, ?, ?, 'draft', NOW(), ?)`,
+        [templateId, supplierId, periodStart, periodEnd, userId]
+      )
+      evaluationId = result.insertId
+    }
+
+    for (const criterion of criteria) {
+      const weight = Number(criterion.weight) || 0
+      if (criterion.source === 'auto' && isAutoMetric(criterion.metric)) {
+        const result = scoreAutoMetric(criterion.metric, stats.get(supplierId))
+        await conn.execute(
+          `INSERT INTO supplier_evaluation_scores
+             (evaluation_id, criterion_id, source, metric, raw_value, details_json, score, weight)
+           VALUES (?, ?, 'auto', ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             source = 'auto',
+             metric = VALUES(metric),
+             raw_value = VALUES(raw_value),
+             details_json = VALUES(details_json),
+             score = VALUES(score),
+             weight = VALUES(weight)`,
+          [
+            evaluationId,
+            criterion.id,
+            criterion.metric,
+            result?.raw_value ?? null,
+            result ? JSON.stringify(result.details) : null,
+            result?.score ?? null,
+            weight,
+          ]
+        )
+      } else {
+        // ручной критерий: строку заводим пустой, выставленную оценку не трогаем
+        await conn.execute(
+          `INSERT INTO supplier_evaluation_scores (evaluation_id, criterion_id, source, weight)
+           VALUES (?, ?, 'manual', ?)
+           ON DUPLICATE KEY UPDATE source = 'manual', weight = VALUES(weight)`,
+          [evaluationId, criterion.id, weight]
+        )
+      }
+    }
+    await conn.execute(
+      `DELETE FROM supplier_evaluation_scores
+        WHERE evaluation_id = ?
+          AND criterion_id NOT IN (${placeholders(criteria)})`,
+      [evaluationId, ...criteria.map((criterion) => criterion.id)]
+    )
+    await recalcEvaluationTotal(conn, evaluationId)
+    summary.computed.push(supplierId)
+  }
+  return summary
+}
+
+/**
+ * Шаблон по умолчанию — последний активный шаблон для поставщиков.
+ */
+async function resolveScorecardTemplateId(conn, templateId = null) {
+  if (templateId) return templateId
+  const [[row]] = await conn.execute(
+    `SELECT id FROM scorecard_templates
+      WHERE is_active = 1 AND scope = 'SUPPLIER'
+      ORDER BY id DESC
+      LIMIT 1`
+  )
+  return row ? Number(row.id) : null
+}
+
+/**
+ * Рейтинг поставщиков по последней оценке с итогом (для подбора поставщиков в RFQ).
+ * @param {Object} options
+ * @param {number} [options.templateId] - по умолчанию последний активный шаблон
+ * @param {number[]} [options.supplierIds] - ограничить список
+ * @param {string} [options.periodStart] - вместе с periodEnd — только этот период
+ * @param {string} [options.periodEnd]
+ * @returns {Promise<Object[]>} отсортировано по total_score, с rank
+ */
+async function fetchSupplierRanking(
+  conn = db,
+  { templateId = null, supplierIds = null, periodStart = null, periodEnd = null } = {}
+) {
+  const resolvedTemplateId = await resolveScorecardTemplateId(conn, templateId)
+  if (!resolvedTemplateId) return []
+  if (Array.isArray(supplierIds) && !supplierIds.length) return []
+
+  const where = ['e.template_id = ?', 'e.total_score IS NOT NULL']
+  const params = [resolvedTemplateId]
+  if (periodStart && periodEnd) {
+    where.push('e.period_start = ?', 'e.period_end = ?')
+    params.push(periodStart, periodEnd)
+  }
+  if (supplierIds?.length) {
+    where.push(`e.supplier_id IN (${placeholders(supplierIds)})`)
+    params.push(...supplierIds)
+  }
+  const [rows] = await conn.execute(
+    `SELECT e.id AS evaluation_id, e.template_id, e.supplier_id, ps.name AS supplier_name,
+            e.period_start, e.period_end, e.status, e.total_score, e.scored_weight, e.total_weight
+       FROM supplier_evaluations e
+       JOIN part_suppliers ps ON ps.id = e.supplier_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY e.supplier_id ASC, e.period_end DESC, e.status = 'final' DESC, e.id DESC`,
+    params
+  )
+  const latest = new Map()
+  rows.forEach((row) => {
+    if (!latest.has(row.supplier_id)) latest.set(row.supplier_id, row)
+  })
+  return [...latest.values()]
+    .sort((a, b) => Number(b.total_score) - Number(a.total_score) || a.supplier_id - b.supplier_id)
+    .map((row, index) => ({
+      ...row,
+      total_score: Number(row.total_score),
+      coverage:
+        Number(row.total_weight) > 0 ? round2((Number(row.scored_weight) / Number(row.total_weight)) * 100) : null,
+      rank: index + 1,
+    }))
+}
+
+module.exports = {
+  AUTO_METRICS,
+  collectSupplierStats,
+  computeSupplierEvaluations,
+  computeWeightedTotal,
+  fetchSupplierRanking,
+  isAutoMetric,
+  listAutoMetrics,
+  recalcEvaluationTotal,
+  resolveScorecardTemplateId,
+  scoreAutoMetric,
+  summarizePoLines,
+}
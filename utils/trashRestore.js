@@ -350,6 +350,7 @@ const INSERTABLE_COLUMNS = {
     'id',
     'client_id',
     'equipment_model_id',
+    'bom_revision_id',
     'serial_number',
     'manufacture_year',
     'site_name',
@@ -361,14 +362,61 @@ const INSERTABLE_COLUMNS = {
     'created_at',
     'updated_at',
   ],
+  client_equipment_unit_bom_overrides: [
+    'id',
+    'client_equipment_unit_id',
+    'equipment_model_bom_item_id',
+    'status',
+    'difference_summary',
+    'client_part_number',
+    'client_drawing_number',
+    'client_revision',
+    'replacement_oem_part_id',
+    'replacement_catalog_position_id',
+    'client_part_id',
+    'service_life_hours',
+    'service_life_tonnage',
+    'notes',
+    'created_at',
+    'updated_at',
+  ],
+  client_equipment_unit_readings: [
+    'id',
+    'client_equipment_unit_id',
+    'reading_date',
+    'operating_hours',
+    'throughput_tonnage',
+    'notes',
+    'created_by_user_id',
+    'created_at',
+  ],
+  client_equipment_unit_part_replacements: [
+    'id',
+    'client_equipment_unit_id',
+    'equipment_model_bom_item_id',
+    'replacement_date',
+    'operating_hours_reading',
+    'throughput_tonnage_reading',
+    'quantity',
+    'client_request_id',
+    'client_request_revision_item_id',
+    'notes',
+    'created_by_user_id',
+    'created_at',
+  ],
   client_request_revision_items: [
     'id',
     'client_request_revision_id',
     'line_number',
+    'catalog_position_id',
     'oem_part_id',
     'standard_part_id',
     'equipment_model_id',
+    'client_equipment_unit_id',
+    'equipment_model_bom_item_id',
+    'client_part_id',
     'client_part_number',
+    'client_drawing_number',
     'client_description',
     'client_line_text',
     'requested_qty',
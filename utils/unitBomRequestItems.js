@@ -0,0 +1,216 @@
+// utils/unitBomRequestItems.js
+// Строки заявки клиента из BOM его машины. Выбранные строки BOM (или все
+// детали нижнего уровня выбранной сборки) разузловываются с учётом отличий
+// машины: позиция каталога берётся с учётом замены, номер и чертёж клиента —
+// из отличия строки, а без него — из детали клиента или самой строки BOM.
+// Машина с закреплённой ревизией BOM берёт строки этой ревизии.
+
+const { explodeBom } = require('./bomExplosion')
+const { fetchUnitBomItems } = require('./bomRevisions')
+
+const round3 = (value) => Math.round(value * 1000) / 1000
+const idOrNull = (value) => {
+  const n = Number(value)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+const text = (value) => {
+  if (value === undefined || value === null) return null
+  const s = String(value).trim()
+  return s === '' ? null : s
+}
+const positiveOrNull = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const n = Number(String(value).replace(',', '.'))
+  return Number.isFinite(n) && n > 0 ? n : null
+}
+
+/**
+ * Выбор строк разузлованного BOM для заявки. Сборка из assemblyItemIds
+ * раскрывается до деталей нижнего уровня; явно переданная строка items
+ * берётся как есть и заменяет ту же строку, попавшую из сборки.
+ * @param {Object[]} exploded - результат explodeBom для машины
+ * @param {Object} selection
+ * @param {Object[]} [selection.items] - [{ bom_item_id, quantity? }]
+ * @param {number[]} [selection.assemblyItemIds]
+ * @param {number} [selection.sets] - число комплектов на машину, по умолчанию 1
+ * @param {Set<number>} [selection.modelItemIds] - все строки BOM модели, чтобы
+ *   отличить исключённые на машине строки от чужих
+ * @returns {Object} { selected: [{ row, quantity, source }], skipped, unknown_item_ids }
+ */
+function selectBomRows(exploded, { items = [], assemblyItemIds = [], sets = 1, modelItemIds = null } = {}) {
+  const rows = Array.isArray(exploded) ? exploded : []
+  const byId = new Map(rows.map((row) => [row.bom_item_id, row]))
+  const children = new Map()
+  rows.forEach((row) => {
+    const parentId = row.parent_item_id || 0
+    if (!children.has(parentId)) children.set(parentId, [])
+    children.get(parentId).push(row)
+  })
+  const multiplier = positiveOrNull(sets) || 1
+
+  const selected = new Map()
+  const skipped = []
+  const unknown = []
+  const skip = (bomItemId) => {
+    if (modelItemIds && !modelItemIds.has(bomItemId)) {
+      unknown.push(bomItemId)
+      return
+    }
+    if (skipped.some((entry) => entry.bom_item_id === bomItemId)) return
+    skipped.push({
+      bom_item_id: bomItemId,
+      reason: 'not_applicable',
+      message: 'Строка или её сборка не применяется на машине',
+    })
+  }
+
+  const leavesOf = (row) => {
+    if (row.is_leaf) return [row]
+    return (children.get(row.bom_item_id) || []).flatMap(leavesOf)
+  }
+  for (const rawId of assemblyItemIds || []) {
+    const id = idOrNull(rawId)
+    if (!id) continue
+    const assembly = byId.get(id)
+    if (!assembly) {
+      skip(id)
+      continue
+    }
+    // количество детали в сборке = её полное количество на машину
+    for (const leaf of leavesOf(assembly)) {
+      selected.set(leaf.bom_item_id, {
+        row: leaf,
+        quantity: round3(leaf.extended_quantity * multiplier),
+        source: 'assembly',
+      })
+    }
+  }
+
+  for (const entry of items || []) {
+    const id = idOrNull(entry?.bom_item_id)
+    if (!id) continue
+    const row = byId.get(id)
+    if (!row) {
+      skip(id)
+      continue
+    }
+    const explicitQty = positiveOrNull(entry.quantity)
+    selected.set(id, {
+      row,
+      quantity: explicitQty !== null ? round3(explicitQty) : round3(row.extended_quantity * multiplier),
+      source: 'item',
+    })
+  }
+
+  // порядок строк заявки — порядок обхода BOM
+  const order = new Map(rows.map((row, index) => [row.bom_item_id, index]))
+  return {
+    selected: [...selected.values()].sort((a, b) => order.get(a.row.bom_item_id) - order.get(b.row.bom_item_id)),
+    skipped,
+    unknown_item_ids: [...new Set(unknown)],
+  }
+}
+
+/**
+ * Поля строки заявки для выбранной строки BOM машины.
+ * @param {Object} entry - { row, quantity } из selectBomRows
+ * @param {Object} context - { unit, override, clientPart, catalog }
+ */
+function buildRequestLine({ row, quantity }, { unit, override = null, clientPart = null, catalog = null } = {}) {
+  // чертёж строки BOM относится к исходной позиции и после замены неверен
+  const modelDrawing = row.replaced ? null : text(row.drawing_number)
+  const unitLabel = text(unit?.internal_name) || text(unit?.serial_number) || `#${unit?.id}`
+  return {
+    bom_item_id: row.bom_item_id,
+    path: row.path,
+    catalog_position_id: idOrNull(row.catalog_position_id),
+    client_part_id: clientPart ? idOrNull(clientPart.id) : null,
+    equipment_model_id: idOrNull(unit?.equipment_model_id),
+    client_part_number:
+      text(override?.client_part_number) ||
+      text(clientPart?.client_part_number) ||
+      text(row.manufacturer_part_number) ||
+      text(catalog?.manufacturer_part_number) ||
+      text(catalog?.position_code),
+    client_drawing_number:
+      text(override?.client_drawing_number) ||
+      text(clientPart?.drawing_number) ||
+      modelDrawing ||
+      text(catalog?.drawing_number),
+    client_description:
+      text(clientPart?.display_name) ||
+      text(clientPart?.description_ru) ||
+      text(catalog?.display_name_ru) ||
+      text(catalog?.display_name) ||
+      text(row.name),
+    requested_qty: quantity,
+    uom: text(catalog?.uom) || text(clientPart?.uom) || 'шт',
+    internal_comment: `Из BOM машины ${unitLabel}: ${row.path}`,
+  }
+}
+
+const inList = (ids) => ids.map(() => '?').join(',')
+
+/**
+ * Строки заявки из BOM машины клиента.
+ * @param {Object} conn
+ * @param {Object} unit - строка client_equipment_units
+ * @param {Object} selection - { items, assemblyItemIds, sets }
+ * @returns {Promise<Object>} { lines, skipped, unknown_item_ids }
+ */
+async function buildUnitBomRequestLines(conn, unit, selection = {}) {
+  const modelItems = await fetchUnitBomItems(conn, unit)
+  const [overrideRows] = await conn.execute(
+    `SELECT equipment_model_bom_item_id, status, client_part_number, client_drawing_number,
+            replacement_catalog_position_id, client_part_id
+       FROM client_equipment_unit_bom_overrides
+      WHERE client_equipment_unit_id = ?`,
+    [unit.id]
+  )
+  const overrides = new Map(overrideRows.map((row) => [Number(row.equipment_model_bom_item_id), row]))
+
+  const { selected, skipped, unknown_item_ids: unknownItemIds } = selectBomRows(
+    explodeBom(modelItems, { overrides }),
+    { ...selection, modelItemIds: new Set(modelItems.map((item) => Number(item.id))) }
+  )
+
+  const catalogIds = [...new Set(selected.map(({ row }) => row.catalog_position_id).filter(Boolean))]
+  const clientPartIds = [...new Set(selected.map(({ row }) => row.client_part_id).filter(Boolean))]
+  const catalogs = new Map()
+  if (catalogIds.length) {
+    const [rows] = await conn.execute(
+      `SELECT id, display_name, display_name_ru, position_code, manufacturer_part_number, drawing_number, uom
+         FROM catalog_positions
+        WHERE id IN (${inList(catalogIds)})`,
+      catalogIds
+    )
+    rows.forEach((row) => catalogs.set(Number(row.id), row))
+  }
+  const clientParts = new Map()
+  if (clientPartIds.length) {
+    const [rows] = await conn.execute(
+      `SELECT id, client_part_number, drawing_number, display_name, description_ru, uom
+         FROM client_parts
+        WHERE id IN (${inList(clientPartIds)})
+          AND client_id = ?`,
+      [...clientPartIds, unit.client_id]
+    )
+    rows.forEach((row) => clientParts.set(Number(row.id), row))
+  }
+
+  const lines = selected.map((entry) =>
+    buildRequestLine(entry, {
+      unit,
+      override: overrides.get(entry.row.bom_item_id) || null,
+      clientPart: clientParts.get(entry.row.client_part_id) || null,
+      catalog: catalogs.get(entry.row.catalog_position_id) || null,
+    })
+  )
+  return { lines, skipped, unknown_item_ids: unknownItemIds }
+}
+
+module.exports = {
+  buildRequestLine,
+  buildUnitBomRequestLines,
+  selectBomRows,
+}
@@ -135,4 +135,62 @@ function normalizeUom(value, { allowEmpty = true } = {}) {
   return { uom: null, error: `Некорректная единица измерения: ${value}` }
 }
 
-module.exports = { UNIT_ALIASES, isUnitCode, normalizeCode, normalizeUom }
+// Коэффициенты к базовой единице величины. Единицы разных величин
+// (и единицы без коэффициента) друг в друга не пересчитываются.
+const UNIT_FACTORS = new Map(
+  Object.entries({
+    мм: ['length', 0.001],
+    см: ['length', 0.01],
+    м: ['length', 1],
+    г: ['mass', 0.001],
+    кг: ['mass', 1],
+    т: ['mass', 1000],
+    л: ['volume', 0.001],
+    'м³': ['volume', 1],
+    бар: ['pressure', 0.1],
+    мпа: ['pressure', 1],
+  })
+)
+
+const roundConverted = (value) => Math.round(value * 1e6) / 1e6
+
+/**
+ * Пересчёт значения между единицами одной величины.
+ * @returns {Object} { value, error }
+ */
+function convertUnitValue(value, fromUnit, toUnit) {
+  const from = normalizeCode(fromUnit)
+  const to = normalizeCode(toUnit)
+  if (!from || !to || from === to) return { value, error: null }
+  const fromFactor = UNIT_FACTORS.get(from)
+  const toFactor = UNIT_FACTORS.get(to)
+  if (!fromFactor || !toFactor || fromFactor[0] !== toFactor[0]) {
+    return { value: null, error: `Нельзя пересчитать ${fromUnit} в ${toUnit}` }
+  }
+  return { value: roundConverted((value * fromFactor[1]) / toFactor[1]), error: null }
+}
+
+/**
+ * Число с необязательной единицей: «24», «24 мм», «2,4cm».
+ * @returns {Object|null} { value, unit } или null, если это не число
+ */
+function parseQuantity(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? { value: raw, unit: null } : null
+  const match = String(raw ?? '')
+    .trim()
+    .match(/^([-+]?\d+(?:[.,]\d+)?)\s*(\S*)$/)
+  if (!match) return null
+  const value = Number(match[1].replace(',', '.'))
+  if (!Number.isFinite(value)) return null
+  return { value, unit: match[2] ? normalizeCode(match[2]) : null }
+}
+
+module.exports = {
+  UNIT_ALIASES,
+  UNIT_FACTORS,
+  convertUnitValue,
+  isUnitCode,
+  normalizeCode,
+  normalizeUom,
+  parseQuantity,
+}
@@ -0,0 +1,319 @@
+// utils/warehouseDocuments.js
+// Общие проверки и создание черновиков складских документов. Используется
+// роутом склада и модулями, которые готовят документы автоматически
+// (например, приход по доставленной отгрузке).
+
+const { applyReceiptLineCost } = require('./warehouseValuation')
+
+const DOC_TYPES = {
+  receipt: { label: 'Приход', prefix: 'WH-RC' },
+  transfer: { label: 'Перемещение', prefix: 'WH-TR' },
+  writeoff: { label: 'Списание', prefix: 'WH-WO' },
+  reserve: { label: 'Резерв', prefix: 'WH-RS' },
+  unreserve: { label: 'Снятие резерва', prefix: 'WH-UR' },
+  inventory_count: { label: 'Инвентаризация', prefix: 'WH-IC' },
+  storno: { label: 'Сторно', prefix: 'WH-ST' },
+}
+
+const nz = (v) => {
+  if (v === undefined || v === null) return null
+  const s = String(v).trim()
+  return s === '' ? null : s
+}
+
+const toId = (v) => {
+  const n = Number(v)
+  return Number.isInteger(n) && n > 0 ? n : null
+}
+
+const mysqlDateTimeOrNow = (value) => {
+  const s = nz(value)
+  if (!s) return new Date()
+  const d = new Date(s)
+  return Number.isNaN(d.getTime()) ? new Date() : d
+}
+
+const toMysqlDateTime = (value) => {
+  const d = value instanceof Date ? value : mysqlDateTimeOrNow(value)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+}
+
+const assertWarehouse = async (conn, id, label = 'Склад') => {
+  const [[row]] = await conn.execute(
+    'SELECT * FROM warehouse_locations WHERE id = ? AND is_active = 1',
+    [id]
+  )
+  if (!row) throw Object.assign(new Error(`${label} не найден`), { status: 400 })
+  return row
+}
+
+const assertPlace = async (conn, id, warehouseId, label = 'Место хранения') => {
+  if (!id) return null
+  const [[row]] = await conn.execute(
+    'SELECT * FROM warehouse_storage_places WHERE id = ? AND warehouse_id = ? AND is_active = 1',
+    [id, warehouseId]
+  )
+  if (!row) throw Object.assign(new Error(`${label} не найдено на выбранном складе`), { status: 400 })
+  return row
+}
+
+const assertSupplierPart = async (conn, id) => {
+  const [[row]] = await conn.execute(
+    `
+    SELECT
+      sp.id,
+      sp.supplier_id,
+      sp.supplier_part_number,
+      sp.canonical_part_number,
+      sp.description_ru,
+      sp.description_en,
+      sp.uom,
+      ps.name AS supplier_name
+    FROM supplier_parts sp
+    JOIN part_suppliers ps ON ps.id = sp.supplier_id
+    WHERE sp.id = ?
+      AND COALESCE(sp.active, 1) = 1
+    `,
+    [id]
+  )
+  if (!row) throw Object.assign(new Error('Деталь поставщика не найдена'), { status: 400 })
+  return row
+}
+
+const resolveCatalogPositionForSupplierPart = async (conn, supplierPartId, catalogPositionId = null) => {
+  const requestedId = toId(catalogPositionId)
+  if (requestedId) {
+    const [[row]] = await conn.execute(
+      `
+      SELECT cp.id, cp.uom
+      FROM supplier_part_catalog_positions spcp
+      JOIN catalog_positions cp ON cp.id = spcp.catalog_position_id
+      WHERE spcp.supplier_part_id = ?
+        AND spcp.catalog_position_id = ?
+        AND cp.is_active = 1
+      LIMIT 1
+      `,
+      [supplierPartId, requestedId]
+    )
+    if (!row) {
+      throw Object.assign(new Error('Деталь поставщика не связана с выбранной карточкой позиции'), { status: 400 })
+    }
+    return row
+  }
+
+  const [[row]] = await conn.execute(
+    `
+    SELECT cp.id, cp.uom
+    FROM supplier_part_catalog_positions spcp
+    JOIN catalog_positions cp ON cp.id = spcp.catalog_position_id
+    WHERE spcp.supplier_part_id = ?
+      AND cp.is_active = 1
+    ORDER BY spcp.is_preferred DESC, spcp.priority_rank IS NULL, spcp.priority_rank, cp.id
+    LIMIT 1
+    `,
+    [supplierPartId]
+  )
+  return row || null
+}
+
+const withDocumentSourceFallback = (line, docSource, inheritDocumentLineId = false) => ({
+  ...line,
+  source_type: line.source_type || docSource.source_type || null,
+  source_id: line.source_id || docSource.source_id || null,
+  source_line_id: line.source_line_id || (inheritDocumentLineId ? docSource.source_line_id : null) || null,
+  source_label: line.source_label || docSource.source_label || null,
+})
+
+const resolveLineSku = async (conn, line) => {
+  const supplierPartId = toId(line?.supplier_part_id)
+  if (!supplierPartId) {
+    throw Object.assign(new Error('В строке документа выберите деталь поставщика'), { status: 400 })
+  }
+  const supplierPart = await assertSupplierPart(conn, supplierPartId)
+  const catalogPosition = await resolveCatalogPositionForSupplierPart(conn, supplierPartId, line.catalog_position_id)
+  line.catalog_position_id = catalogPosition?.id || null
+  return {
+    supplierPart,
+    catalogPosition,
+    catalogPositionId: catalogPosition?.id || null,
+  }
+}
+
+const validatePurchaseOrderReceiptLine = async (conn, line) => {
+  if (line.source_type !== 'purchase_order') return
+  const purchaseOrderId = toId(line.source_id)
+  const purchaseOrderLineId = toId(line.source_line_id)
+  if (!purchaseOrderId || !purchaseOrderLineId) {
+    throw Object.assign(new Error('Для прихода по PO нужна точная строка заказа поставщику'), { status: 400 })
+  }
+
+  const [[poLine]] = await conn.execute(
+    `
+    SELECT
+      pol.id,
+      pol.qty,
+      po.status,
+      po.supplier_reference,
+      rl.supplier_part_id
+    FROM supplier_purchase_order_lines pol
+    JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+    LEFT JOIN rfq_response_lines rl ON rl.id = pol.rfq_response_line_id
+    WHERE pol.id = ?
+      AND pol.supplier_purchase_order_id = ?
+    LIMIT 1
+    `,
+    [purchaseOrderLineId, purchaseOrderId]
+  )
+  if (!poLine) throw Object.assign(new Error('Строка заказа поставщику для прихода не найдена'), { status: 400 })
+  if (!['sent', 'confirmed'].includes(String(poLine.status || ''))) {
+    throw Object.assign(new Error('Приход можно оформлять только по отправленному или подтвержденному PO'), { status: 409 })
+  }
+  if (toId(poLine.supplier_part_id) !== toId(line.supplier_part_id)) {
+    throw Object.assign(new Error('Деталь поставщика в приходе не совпадает со строкой PO'), { status: 409 })
+  }
+
+  const [[received]] = await conn.execute(
+    `
+    SELECT COALESCE(SUM(wdl.quantity), 0) AS qty
+    FROM warehouse_document_lines wdl
+    JOIN warehouse_documents wd ON wd.id = wdl.document_id
+    WHERE wd.doc_type = 'receipt'
+      AND wd.status IN ('draft', 'posted')
+      AND COALESCE(wdl.source_type, wd.source_type) = 'purchase_order'
+      AND COALESCE(wdl.source_id, wd.source_id) = ?
+      AND wdl.source_line_id = ?
+    `,
+    [String(purchaseOrderId), String(purchaseOrderLineId)]
+  )
+  const orderedQty = Number(poLine.qty || 0)
+  const alreadyQty = Number(received?.qty || 0)
+  const nextQty = Number(line.quantity || 0)
+  if (alreadyQty + nextQty > orderedQty + 0.0005) {
+    throw Object.assign(
+      new Error(`По строке PO уже принято/подготовлено ${alreadyQty}. Нельзя принять больше ${orderedQty}.`),
+      { status: 409 }
+    )
+  }
+}
+
+/**
+ * Создаёт черновик складского документа со строками. Для прихода строки
+ * сверяются с PO и получают себестоимость; проведение — отдельно (postDocument).
+ */
+const insertDraftDocument = async (
+  conn,
+  {
+    docType,
+    documentDate = null,
+    warehouseId = null,
+    sourceWarehouseId = null,
+    targetWarehouseId = null,
+    storagePlaceId = null,
+    basisDocument = null,
+    clientReference = null,
+    source = {},
+    notes = null,
+    lines = [],
+    userId = null,
+  }
+) => {
+  const documentSource = {
+    source_type: source.source_type || null,
+    source_id: source.source_id || null,
+    source_line_id: source.source_line_id || null,
+    source_label: source.source_label || null,
+  }
+  const [ins] = await conn.execute(
+    `
+    INSERT INTO warehouse_documents
+      (doc_type, status, document_date, warehouse_id, source_warehouse_id, target_warehouse_id, storage_place_id, basis_document, client_reference, source_type, source_id, source_line_id, source_label, notes, created_by)
+    VALUES (?, 'draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      docType,
+      toMysqlDateTime(documentDate),
+      warehouseId,
+      sourceWarehouseId,
+      targetWarehouseId,
+      storagePlaceId,
+      basisDocument,
+      clientReference,
+      documentSource.source_type,
+      documentSource.source_id,
+      documentSource.source_line_id,
+      documentSource.source_label,
+      notes,
+      userId,
+    ]
+  )
+
+  const documentId = ins.insertId
+  const documentNo = `${DOC_TYPES[docType].prefix}-${String(documentId).padStart(6, '0')}`
+  await conn.execute('UPDATE warehouse_documents SET document_no = ? WHERE id = ?', [documentNo, documentId])
+
+  for (const rawLine of lines) {
+    const line = withDocumentSourceFallback(rawLine, documentSource, lines.length === 1)
+    const { supplierPart, catalogPosition, catalogPositionId } = await resolveLineSku(conn, line)
+    if (docType === 'receipt') {
+      await validatePurchaseOrderReceiptLine(conn, line)
+      await applyReceiptLineCost(conn, line)
+    }
+    const effectiveUnit = line.unit_code || supplierPart.uom || catalogPosition?.uom || 'шт'
+    await conn.execute(
+      `
+      INSERT INTO warehouse_document_lines
+        (
+          document_id,
+          supplier_part_id,
+          catalog_position_id,
+          storage_place_id,
+          target_storage_place_id,
+          quantity,
+          unit_cost,
+          currency,
+          cost_source,
+          unit_code,
+          reason,
+          notes,
+          source_type,
+          source_id,
+          source_line_id,
+          source_label
+        )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        documentId,
+        line.supplier_part_id,
+        catalogPositionId,
+        line.storage_place_id,
+        line.target_storage_place_id,
+        line.quantity,
+        docType === 'receipt' ? line.unit_cost ?? null : null,
+        docType === 'receipt' ? line.currency || null : null,
+        docType === 'receipt' ? line.cost_source || null : null,
+        effectiveUnit,
+        line.reason,
+        line.notes,
+        line.source_type,
+        line.source_id,
+        line.source_line_id,
+        line.source_label,
+      ]
+    )
+  }
+
+  return { id: documentId, document_no: documentNo }
+}
+
+module.exports = {
+  DOC_TYPES,
+  assertWarehouse,
+  assertPlace,
+  assertSupplierPart,
+  resolveCatalogPositionForSupplierPart,
+  resolveLineSku,
+  validatePurchaseOrderReceiptLine,
+  insertDraftDocument,
+}
@@ -0,0 +1,421 @@
+// utils/warehouseValuation.js
+// Стоимостной учёт склада.
+// Приход создаёт партию (warehouse_cost_layers) по цене строки, пересчитанной
+// в валюту оценки. Расход (списание, перемещение) получает себестоимость по
+// методу оценки: FIFO — из самых ранних партий, скользящее среднее — по средней
+// цене остатка склада. Стоимость на любую дату — сумма cost_amount движений.
+// Остаток, пришедший до включения учёта (или без цены), идёт как «без стоимости»:
+// costed_qty движения показывает, какая часть количества учтена по стоимости.
+
+const { getRate } = require('./fxRatesService')
+
+const VALUATION_METHODS = ['fifo', 'moving_average']
+const QTY_EPSILON = 0.0005
+
+const normCode = (v) => {
+  if (!v) return null
+  const s = String(v).trim().toUpperCase()
+  return s.length === 3 ? s : null
+}
+
+const getValuationMethod = () => {
+  const method = String(process.env.WAREHOUSE_VALUATION_METHOD || 'fifo').trim().toLowerCase()
+  return VALUATION_METHODS.includes(method) ? method : 'fifo'
+}
+
+const getValuationCurrency = () =>
+  normCode(process.env.WAREHOUSE_VALUATION_CURRENCY) || normCode(process.env.KPI_CURRENCY) || 'RUB'
+
+const roundQty = (value) => Math.round(Number(value || 0) * 1000) / 1000
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100
+const roundUnitCost = (value) => Math.round(Number(value || 0) * 1e6) / 1e6
+
+/**
+ * Разложить расход по партиям FIFO.
+ * @param {{id: number, remaining_qty: number, unit_cost: number}[]} layers - в порядке поступления
+ * @param {number} quantity
+ * @returns {{chunks: {layer_id: number, quantity: number, unit_cost: number, received_at: *}[], costedQty: number, costAmount: number, shortfall: number}}
+ */
+const allocateFifo = (layers = [], quantity) => {
+  let rest = Number(quantity) || 0
+  const chunks = []
+  let costAmount = 0
+  for (const layer of layers) {
+    if (rest <= QTY_EPSILON) break
+    const available = Number(layer.remaining_qty) || 0
+    if (available <= QTY_EPSILON) continue
+    const take = roundQty(Math.min(available, rest))
+    chunks.push({ layer_id: layer.id, quantity: take, unit_cost: Number(layer.unit_cost), received_at: layer.received_at })
+    costAmount += take * Number(layer.unit_cost)
+    rest = roundQty(rest - take)
+  }
+  const costedQty = roundQty(chunks.reduce((sum, chunk) => sum + chunk.quantity, 0))
+  return { chunks, costedQty, costAmount: roundMoney(costAmount), shortfall: Math.max(roundQty(rest), 0) }
+}
+
+/**
+ * Себестоимость расхода по скользящему среднему.
+ * @param {{qty: number, value: number}} balance - учтённый по стоимости остаток склада
+ * @param {number} quantity
+ */
+const allocateMovingAverage = (balance, quantity) => {
+  const onHand = Math.max(Number(balance?.qty) || 0, 0)
+  const value = Number(balance?.value) || 0
+  const costedQty = roundQty(Math.min(onHand, Number(quantity) || 0))
+  if (costedQty <= QTY_EPSILON || onHand <= QTY_EPSILON) {
+    return { costedQty: 0, unitCost: null, costAmount: 0, shortfall: roundQty(quantity) }
+  }
+  const unitCost = value / onHand
+  // последний расход забирает остаток стоимости целиком, чтобы не копить копейки округления
+  const costAmount = Math.abs(costedQty - onHand) <= QTY_EPSILON ? roundMoney(value) : roundMoney(costedQty * unitCost)
+  return {
+    costedQty,
+    unitCost: roundUnitCost(unitCost),
+    costAmount,
+    shortfall: Math.max(roundQty(Number(quantity) - costedQty), 0),
+  }
+}
+
+/**
+ * Пересчитать цену прихода в валюту оценки склада.
+ * @returns {Promise<{unitCost: number, currency: string}|null>} null — нет цены или курса
+ */
+async function convertUnitCost(unitCost, currency) {
+  const cost = Number(unitCost)
+  if (unitCost === null || unitCost === undefined || !Number.isFinite(cost) || cost < 0) return null
+  const valuationCurrency = getValuationCurrency()
+  const from = normCode(currency) || valuationCurrency
+  try {
+    const { rate } = await getRate(from, valuationCurrency)
+    return { unitCost: roundUnitCost(cost * Number(rate)), currency: valuationCurrency }
+  } catch (err) {
+    console.warn(`warehouse valuation: нет курса ${from}->${valuationCurrency}:`, err.message)
+    return null
+  }
+}
+
+/**
+ * Цена строки прихода: введённая вручную либо из связанной строки PO.
+ * Меняет line: unit_cost, currency, cost_source.
+ */
+async function applyReceiptLineCost(conn, line) {
+  if (line.unit_cost !== null && line.unit_cost !== undefined) {
+    line.currency = normCode(line.currency) || getValuationCurrency()
+    line.cost_source = 'manual'
+    return line
+  }
+  const purchaseOrderLineId = Number(line.source_line_id)
+  if (line.source_type !== 'purchase_order' || !Number.isInteger(purchaseOrderLineId) || purchaseOrderLineId <= 0) {
+    return line
+  }
+  const [[poLine]] = await conn.execute(
+    `
+    SELECT pol.price, COALESCE(NULLIF(pol.currency, ''), po.currency) AS currency
+    FROM supplier_purchase_order_lines pol
+    JOIN supplier_purchase_orders po ON po.id = pol.supplier_purchase_order_id
+    WHERE pol.id = ?
+    `,
+    [purchaseOrderLineId]
+  )
+  if (poLine?.price !== null && poLine?.price !== undefined) {
+    line.unit_cost = Number(poLine.price)
+    line.currency = normCode(poLine.currency)
+    line.cost_source = 'purchase_order'
+  }
+  return line
+}
+
+const fetchOpenLayers = async (conn, { supplierPartId, warehouseId }) => {
+  const [rows] = await conn.execute(
+    `
+    SELECT id, unit_cost, currency, remaining_qty, received_at
+    FROM warehouse_cost_layers
+    WHERE supplier_part_id = ?
+      AND warehouse_id = ?
+      AND remaining_qty > 0
+    ORDER BY received_at, id
+    FOR UPDATE
+    `,
+    [supplierPartId, warehouseId]
+  )
+  return rows
+}
+
+/**
+ * Учтённый по стоимости остаток детали на складе.
+ */
+async function fetchCostBalance(conn, { supplierPartId, warehouseId }) {
+  const [[row]] = await conn.execute(
+    `
+    SELECT COALESCE(SUM(remaining_qty), 0) AS qty
+    FROM warehouse_cost_layers
+    WHERE supplier_part_id = ? AND warehouse_id = ?
+    `,
+    [supplierPartId, warehouseId]
+  )
+  const [[book]] = await conn.execute(
+    `
+    SELECT COALESCE(SUM(cost_amount), 0) AS value
+    FROM warehouse_stock_movements
+    WHERE supplier_part_id = ? AND warehouse_id = ? AND cost_amount IS NOT NULL
+    `,
+    [supplierPartId, warehouseId]
+  )
+  return { qty: roundQty(row?.qty), value: roundMoney(book?.value) }
+}
+
+const insertLayer = async (conn, { supplierPartId, warehouseId, movementId, unitCost, currency, quantity, receivedAt }) => {
+  await conn.execute(
+    `
+    INSERT INTO warehouse_cost_layers
+      (supplier_part_id, warehouse_id, movement_id, unit_cost, currency, quantity, remaining_qty, received_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [supplierPartId, warehouseId, movementId, unitCost, currency, quantity, quantity, receivedAt]
+  )
+}
+
+/**
+ * Стоимость поступления для движения прихода.
+ * @returns {Promise<{costed_qty: number, unit_cost: number, cost_amount: number, cost_currency: string}|null>}
+ */
+async function buildReceiptCost(line) {
+  const converted = await convertUnitCost(line.unit_cost, line.currency)
+  if (!converted) return null
+  const quantity = roundQty(line.quantity)
+  return {
+    costed_qty: quantity,
+    unit_cost: converted.unitCost,
+    cost_amount: roundMoney(quantity * converted.unitCost),
+    cost_currency: converted.currency,
+  }
+}
+
+/**
+ * Стоимость излишка (инвентаризация): по средней цене учтённого остатка склада,
+ * а если его нет — по цене последней партии этой детали на любом складе.
+ * @returns {Promise<Object|null>} как buildReceiptCost; null — цены не из чего взять
+ */
+async function buildSurplusCost(conn, { supplierPartId, warehouseId, quantity }) {
+  const balance = await fetchCostBalance(conn, { supplierPartId, warehouseId })
+  let unitCost = balance.qty > QTY_EPSILON ? balance.value / balance.qty : null
+  if (unitCost === null) {
+    const [[layer]] = await conn.execute(
+      `
+      SELECT unit_cost
+      FROM warehouse_cost_layers
+      WHERE supplier_part_id = ?
+      ORDER BY received_at DESC, id DESC
+      LIMIT 1
+      `,
+      [supplierPartId]
+    )
+    unitCost = layer ? Number(layer.unit_cost) : null
+  }
+  if (unitCost === null) return null
+  const costedQty = roundQty(quantity)
+  return {
+    costed_qty: costedQty,
+    unit_cost: roundUnitCost(unitCost),
+    cost_amount: roundMoney(costedQty * unitCost),
+    cost_currency: getValuationCurrency(),
+  }
+}
+
+/**
+ * Открыть партию по уже записанному движению прихода.
+ */
+async function openReceiptLayer(conn, { movementId, supplierPartId, warehouseId, cost, receivedAt }) {
+  if (!cost || cost.costed_qty <= QTY_EPSILON) return
+  await insertLayer(conn, {
+    supplierPartId,
+    warehouseId,
+    movementId,
+    unitCost: cost.unit_cost,
+    currency: cost.cost_currency,
+    quantity: cost.costed_qty,
+    receivedAt,
+  })
+}
+
+/**
+ * Рассчитать себестоимость расхода и зарезервировать партии.
+ * Партии уменьшаются сразу; запись расхода по партиям — commitIssueCost после вставки движения.
+ * @returns {Promise<Object>} { costed_qty, unit_cost, cost_amount, cost_currency, cost_method, chunks, shortfall }
+ */
+async function allocateIssueCost(conn, { supplierPartId, warehouseId, quantity, method = getValuationMethod() }) {
+  const layers = await fetchOpenLayers(conn, { supplierPartId, warehouseId })
+  let chunks
+  let costedQty
+  let costAmount
+  let shortfall
+  if (method === 'moving_average') {
+    const balance = await fetchCostBalance(conn, { supplierPartId, warehouseId })
+    const average = allocateMovingAverage(balance, quantity)
+    // количество в партиях списываем по порядку поступления, цена — средняя
+    const fifo = allocateFifo(layers, average.costedQty)
+    chunks = fifo.chunks.map((chunk) => ({ ...chunk, unit_cost: average.unitCost }))
+    costedQty = average.costedQty
+    costAmount = average.costAmount
+    shortfall = average.shortfall
+  } else {
+    const fifo = allocateFifo(layers, quantity)
+    chunks = fifo.chunks
+    costedQty = fifo.costedQty
+    costAmount = fifo.costAmount
+    shortfall = fifo.shortfall
+  }
+
+  for (const chunk of chunks) {
+    await conn.execute('UPDATE warehouse_cost_layers SET remaining_qty = remaining_qty - ? WHERE id = ?', [
+      chunk.quantity,
+      chunk.layer_id,
+    ])
+  }
+  return {
+    costed_qty: costedQty,
+    unit_cost: costedQty > QTY_EPSILON ? roundUnitCost(costAmount / costedQty) : null,
+    cost_amount: costedQty > QTY_EPSILON ? costAmount : null,
+    cost_currency: costedQty > QTY_EPSILON ? getValuationCurrency() : null,
+    cost_method: method,
+    chunks,
+    shortfall,
+  }
+}
+
+/**
+ * Записать расход партий по вставленному движению.
+ */
+async function commitIssueCost(conn, { movementId, issue }) {
+  for (const chunk of issue?.chunks || []) {
+    await conn.execute(
+      `
+      INSERT INTO warehouse_cost_layer_consumptions (layer_id, movement_id, quantity, unit_cost)
+      VALUES (?, ?, ?, ?)
+      `,
+      [chunk.layer_id, movementId, chunk.quantity, chunk.unit_cost]
+    )
+  }
+}
+
+/**
+ * Перенести партии на склад получения (перемещение).
+ * FIFO сохраняет исходные цены и даты поступления, среднее — одна партия по средней цене.
+ */
+async function openTransferLayers(conn, { movementId, supplierPartId, warehouseId, issue, receivedAt }) {
+  if (!issue || issue.costed_qty <= QTY_EPSILON) return
+  if (issue.cost_method === 'moving_average') {
+    await insertLayer(conn, {
+      supplierPartId,
+      warehouseId,
+      movementId,
+      unitCost: issue.unit_cost,
+      currency: issue.cost_currency,
+      quantity: issue.costed_qty,
+      receivedAt,
+    })
+    return
+  }
+  for (const chunk of issue.chunks) {
+    await insertLayer(conn, {
+      supplierPartId,
+      warehouseId,
+      movementId,
+      unitCost: chunk.unit_cost,
+      currency: issue.cost_currency,
+      quantity: chunk.quantity,
+      receivedAt: chunk.received_at || receivedAt,
+    })
+  }
+}
+
+/**
+ * Откатить стоимостной след движения при сторно: израсходованные движением
+ * партии восстанавливаются, открытые им — закрываются. Если часть партии уже
+ * ушла в расход, по FIFO закрывается её остаток, а израсходованное количество
+ * списывается из других партий склада как обычный расход; по среднему всё
+ * поступление уходит расходом по средней цене.
+ * @returns {Promise<{cost: Object|null, issue: Object|null}>} cost — стоимость
+ *   движения сторно, если она отличается от обратной исходной (null — обратная);
+ *   issue — расход партий, который надо записать commitIssueCost по движению сторно
+ */
+async function reverseMovementCost(conn, { movementId }) {
+  const [layers] = await conn.execute(
+    `
+    SELECT id, supplier_part_id, warehouse_id, unit_cost, quantity, remaining_qty
+    FROM warehouse_cost_layers
+    WHERE movement_id = ?
+    FOR UPDATE
+    `,
+    [movementId]
+  )
+  let cost = null
+  let issue = null
+  const consumedQty = roundQty(
+    layers.reduce((sum, layer) => sum + Math.max(Number(layer.quantity) - Number(layer.remaining_qty), 0), 0)
+  )
+  if (consumedQty <= QTY_EPSILON) {
+    if (layers.length) {
+      await conn.execute('UPDATE warehouse_cost_layers SET remaining_qty = 0 WHERE movement_id = ?', [movementId])
+    }
+  } else {
+    const method = getValuationMethod()
+    const target = { supplierPartId: layers[0].supplier_part_id, warehouseId: layers[0].warehouse_id }
+    let remainingQty = 0
+    let remainingAmount = 0
+    if (method === 'moving_average') {
+      // по среднему цена партии не важна: сторно — расход всего поступления по средней
+      issue = await allocateIssueCost(conn, {
+        ...target,
+        quantity: roundQty(layers.reduce((sum, layer) => sum + Number(layer.quantity), 0)),
+        method,
+      })
+    } else {
+      remainingQty = roundQty(layers.reduce((sum, layer) => sum + Number(layer.remaining_qty), 0))
+      remainingAmount = roundMoney(
+        layers.reduce((sum, layer) => sum + Number(layer.remaining_qty) * Number(layer.unit_cost), 0)
+      )
+      await conn.execute('UPDATE warehouse_cost_layers SET remaining_qty = 0 WHERE movement_id = ?', [movementId])
+      issue = await allocateIssueCost(conn, { ...target, quantity: consumedQty, method })
+    }
+    const costedQty = roundQty(remainingQty + issue.costed_qty)
+    const costAmount = roundMoney(remainingAmount + Number(issue.cost_amount || 0))
+    cost = {
+      costed_qty: -costedQty,
+      unit_cost: costedQty > QTY_EPSILON ? roundUnitCost(costAmount / costedQty) : null,
+      cost_amount: costedQty > QTY_EPSILON ? -costAmount : null,
+      cost_currency: costedQty > QTY_EPSILON ? getValuationCurrency() : null,
+      cost_method: method,
+    }
+  }
+
+  const [consumptions] = await conn.execute(
+    'SELECT layer_id, quantity FROM warehouse_cost_layer_consumptions WHERE movement_id = ?',
+    [movementId]
+  )
+  for (const consumption of consumptions) {
+    await conn.execute('UPDATE warehouse_cost_layers SET remaining_qty = remaining_qty + ? WHERE id = ?', [
+      consumption.quantity,
+      consumption.layer_id,
+    ])
+  }
+  return { cost, issue }
+}
+
+module.exports = {
+  VALUATION_METHODS,
+  allocateFifo,
+  allocateIssueCost,
+  allocateMovingAverage,
+  applyReceiptLineCost,
+  buildReceiptCost,
+  buildSurplusCost,
+  commitIssueCost,
+  convertUnitCost,
+  fetchCostBalance,
+  getValuationCurrency,
+  getValuationMethod,
+  openReceiptLayer,
+  openTransferLayers,
+  reverseMovementCost,
+}
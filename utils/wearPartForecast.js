@@ -0,0 +1,465 @@
+// utils/wearPartForecast.js
+// Прогноз замен быстроизнашиваемых деталей по машинам клиентов.
+// Ресурс детали (моточасы и/или тонны) берётся из отличий BOM конкретной
+// машины, затем из строки BOM модели, затем из карточки позиции (meta_json).
+// Наработка считается по показаниям счётчиков машины от последней замены,
+// а если замен не было — от ввода в эксплуатацию (счётчики с нуля) или от
+// первого показания. Средний темп наработки берётся по показаниям за
+// последние READING_LOOKBACK_DAYS дней. Машина с закреплённой ревизией BOM
+// прогнозируется по строкам этой ревизии.
+
+const { fetchUnitBomItems } = require('./bomRevisions')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const READING_LOOKBACK_DAYS = 365
+const MEASURES = [
+  { key: 'hours', readingKey: 'operating_hours', replacementKey: 'operating_hours_reading' },
+  { key: 'tonnage', readingKey: 'throughput_tonnage', replacementKey: 'throughput_tonnage_reading' },
+]
+
+const round2 = (value) => Math.round(value * 100) / 100
+const numOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+const positiveOrNull = (value) => {
+  const n = numOrNull(value)
+  return n !== null && n > 0 ? n : null
+}
+
+// Дата DATE из mysql2 приходит объектом Date в локальной зоне — берём
+// календарный день без сдвига; строки 'YYYY-MM-DD' читаем как есть.
+const toDay = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null
+    return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / DAY_MS
+  }
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/)
+  if (!m) return null
+  return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / DAY_MS
+}
+const dayToIso = (day) => (day === null ? null : new Date(day * DAY_MS).toISOString().slice(0, 10))
+
+const parseMeta = (value) => {
+  if (!value) return {}
+  if (typeof value === 'object') return value
+  try {
+    return JSON.parse(value) || {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Показания одного счётчика, отсортированные по дате.
+ * @returns {Object[]} [{ day, value }]
+ */
+const counterSeries = (readings, readingKey) =>
+  (Array.isArray(readings) ? readings : [])
+    .map((row) => ({ day: toDay(row.reading_date), value: numOrNull(row[readingKey]) }))
+    .filter((row) => row.day !== null && row.value !== null)
+    .sort((a, b) => a.day - b.day)
+
+/**
+ * Средняя наработка в сутки по последним показаниям. Если показание одно,
+ * темп считается от даты ввода в эксплуатацию (счётчик с нуля).
+ */
+function usageRate(series, { commissioningDay = null, lookbackDays = READING_LOOKBACK_DAYS } = {}) {
+  if (!series.length) return null
+  const last = series[series.length - 1]
+  const window = series.filter((row) => row.day >= last.day - lookbackDays)
+  const first = window[0]
+  let rate = null
+  if (window.length >= 2 && last.day > first.day) {
+    rate = (last.value - first.value) / (last.day - first.day)
+  } else if (commissioningDay !== null && last.day > commissioningDay) {
+    rate = last.value / (last.day - commissioningDay)
+  }
+  return rate !== null && rate > 0 ? rate : null
+}
+
+/**
+ * Оценка счётчика на день: интерполяция между показаниями, за их пределами —
+ * экстраполяция по темпу.
+ */
+function counterAt(series, day, rate) {
+  if (!series.length || day === null) return null
+  const first = series[0]
+  const last = series[series.length - 1]
+  if (day >= last.day) return rate !== null ? last.value + rate * (day - last.day) : day === last.day ? last.value : null
+  if (day <= first.day) {
+    if (day === first.day) return first.value
+    return rate !== null ? Math.max(first.value - rate * (first.day - day), 0) : null
+  }
+  for (let i = 1; i < series.length; i += 1) {
+    const right = series[i]
+    if (right.day < day) continue
+    const left = series[i - 1]
+    if (right.day === left.day) return right.value
+    return left.value + ((right.value - left.value) * (day - left.day)) / (right.day - left.day)
+  }
+  return last.value
+}
+
+/**
+ * Эффективный ресурс строки BOM для машины: отличие машины → строка BOM → карточка.
+ */
+function effectiveServiceLife(row) {
+  const meta = parseMeta(row.catalog_meta_json)
+  const pick = (lifeKey) => {
+    const candidates = [
+      ['unit_override', row[`override_${lifeKey}`]],
+      ['bom_item', row[lifeKey]],
+      ['catalog_position', meta[lifeKey]],
+    ]
+    for (const [source, value] of candidates) {
+      const n = positiveOrNull(value)
+      if (n !== null) return { value: n, source }
+    }
+    return { value: null, source: null }
+  }
+  return { hours: pick('service_life_hours'), tonnage: pick('service_life_tonnage') }
+}
+
+/**
+ * Прогноз следующей замены одной детали на одной машине.
+ * @param {Object} params
+ * @param {Object} params.life - результат effectiveServiceLife
+ * @param {Object[]} params.readings - показания машины
+ * @param {Object|null} params.lastReplacement - последняя замена (replacement_date, показания на дату замены)
+ * @param {*} params.commissioningDate - дата ввода машины
+ * @param {number} params.asOfDay / params.horizonDay - дни от эпохи (UTC)
+ */
+function forecastWearItem({ life, readings, lastReplacement = null, commissioningDate = null, asOfDay, horizonDay }) {
+  const commissioningDay = toDay(commissioningDate)
+  const replacementDay = lastReplacement ? toDay(lastReplacement.replacement_date) : null
+  const measures = {}
+  let dueDay = null
+  let cycleDays = null
+  let basis = replacementDay !== null ? 'last_replacement' : commissioningDay !== null ? 'commissioning' : 'first_reading'
+
+  for (const measure of MEASURES) {
+    const lifeValue = life[measure.key].value
+    if (lifeValue === null) continue
+    const series = counterSeries(readings, measure.readingKey)
+    const rate = usageRate(series, { commissioningDay })
+
+    let baselineDay = replacementDay
+    let baseline = null
+    if (replacementDay !== null) {
+      baseline = numOrNull(lastReplacement[measure.replacementKey])
+      if (baseline === null) baseline = counterAt(series, replacementDay, rate)
+    } else if (commissioningDay !== null) {
+      baselineDay = commissioningDay
+      baseline = 0
+    } else if (series.length) {
+      baselineDay = series[0].day
+      baseline = series[0].value
+    }
+
+    const current = counterAt(series, asOfDay, rate)
+    const used = baseline !== null && current !== null ? Math.max(current - baseline, 0) : null
+    const remaining = used !== null ? lifeValue - used : null
+    const daysLeft = remaining !== null && rate !== null ? remaining / rate : null
+    const measureDueDay = daysLeft !== null ? asOfDay + Math.floor(daysLeft) : null
+
+    measures[measure.key] = {
+      service_life: lifeValue,
+      source: life[measure.key].source,
+      baseline_date: dayToIso(baselineDay),
+      used: used !== null ? round2(used) : null,
+      remaining: remaining !== null ? round2(remaining) : null,
+      rate_per_day: rate !== null ? round2(rate) : null,
+      due_date: dayToIso(measureDueDay),
+    }
+    if (measureDueDay !== null && (dueDay === null || measureDueDay < dueDay)) dueDay = measureDueDay
+    if (rate !== null) {
+      const cycle = lifeValue / rate
+      if (cycleDays === null || cycle < cycleDays) cycleDays = cycle
+    }
+  }
+
+  let status = 'no_data'
+  let replacementsInHorizon = 0
+  if (dueDay !== null) {
+    status = dueDay < asOfDay ? 'overdue' : dueDay <= horizonDay ? 'due' : 'ok'
+    if (dueDay <= horizonDay) {
+      // короткий ресурс может потребовать несколько замен за горизонт
+      const firstDay = Math.max(dueDay, asOfDay)
+      replacementsInHorizon = 1 + (cycleDays ? Math.floor((horizonDay - firstDay) / cycleDays) : 0)
+    }
+  }
+  if (status === 'no_data') basis = null
+
+  return {
+    status,
+    basis,
+    due_date: dayToIso(dueDay),
+    days_left: dueDay !== null ? dueDay - asOfDay : null,
+    replacements_in_horizon: replacementsInHorizon,
+    measures,
+  }
+}
+
+const addMonthsDay = (day, months) => {
+  const date = new Date(day * DAY_MS)
+  const target = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate())
+  return target / DAY_MS
+}
+
+const wearItemsSql = (unitPlaceholders) => `
+  SELECT ceu.id AS client_equipment_unit_id,
+         item.id AS equipment_model_bom_item_id,
+         item.item_no,
+         item.manufacturer_part_number,
+         COALESCE(item.manufacturer_part_name_ru, item.manufacturer_part_name, item.title) AS part_name,
+         item.quantity,
+         item.service_life_hours,
+         item.service_life_tonnage,
+         COALESCE(ov.replacement_catalog_position_id, item.catalog_position_id) AS catalog_position_id,
+         cp.display_name AS catalog_position_name,
+         cp.position_code AS catalog_position_code,
+         cp.meta_json AS catalog_meta_json,
+         ov.status AS override_status,
+         ov.client_part_id,
+         ov.service_life_hours AS override_service_life_hours,
+         ov.service_life_tonnage AS override_service_life_tonnage
+    FROM client_equipment_units ceu
+    JOIN equipment_model_bom_items item ON item.equipment_model_id = ceu.equipment_model_id
+    LEFT JOIN client_equipment_unit_bom_overrides ov
+      ON ov.client_equipment_unit_id = ceu.id
+     AND ov.equipment_model_bom_item_id = item.id
+    LEFT JOIN catalog_positions cp ON cp.id = COALESCE(ov.replacement_catalog_position_id, item.catalog_position_id)
+   WHERE ceu.id IN (${unitPlaceholders})
+     AND ceu.bom_revision_id IS NULL
+     AND (ov.status IS NULL OR ov.status <> 'not_applicable')
+     AND (
+       item.service_life_hours IS NOT NULL
+       OR item.service_life_tonnage IS NOT NULL
+       OR ov.service_life_hours IS NOT NULL
+       OR ov.service_life_tonnage IS NOT NULL
+       OR JSON_EXTRACT(cp.meta_json, '$.service_life_hours') IS NOT NULL
+       OR JSON_EXTRACT(cp.meta_json, '$.service_life_tonnage') IS NOT NULL
+     )
+   ORDER BY ceu.id, item.sort_order, item.id
+`
+
+const hasServiceLife = (row) => {
+  const life = effectiveServiceLife(row)
+  return life.hours.value !== null || life.tonnage.value !== null
+}
+
+/**
+ * Строки прогноза для машин с закреплённой ревизией BOM — те же поля, что
+ * отдаёт wearItemsSql, но строки берутся из ревизии.
+ */
+async function fetchPinnedWearItems(conn, units) {
+  const result = []
+  for (const unit of units) {
+    const items = await fetchUnitBomItems(conn, unit)
+    const [overrideRows] = await conn.execute(
+      `SELECT equipment_model_bom_item_id, status, replacement_catalog_position_id, client_part_id,
+              service_life_hours, service_life_tonnage
+         FROM client_equipment_unit_bom_overrides
+        WHERE client_equipment_unit_id = ?`,
+      [unit.id]
+    )
+    const overrides = new Map(overrideRows.map((row) => [Number(row.equipment_model_bom_item_id), row]))
+    const catalogIdOf = (item) =>
+      numOrNull(overrides.get(Number(item.id))?.replacement_catalog_position_id) ?? numOrNull(item.catalog_position_id)
+    const catalogIds = [...new Set(items.map(catalogIdOf).filter(Boolean))]
+    const catalogs = new Map()
+    if (catalogIds.length) {
+      const [rows] = await conn.execute(
+        `SELECT id, display_name, position_code, meta_json
+           FROM catalog_positions
+          WHERE id IN (${catalogIds.map(() => '?').join(',')})`,
+        catalogIds
+      )
+      rows.forEach((row) => catalogs.set(Number(row.id), row))
+    }
+
+    for (const item of items) {
+      const ov = overrides.get(Number(item.id)) || null
+      if (ov?.status === 'not_applicable') continue
+      const catalogId = catalogIdOf(item)
+      const catalog = catalogId ? catalogs.get(catalogId) || null : null
+      const row = {
+        client_equipment_unit_id: Number(unit.id),
+        equipment_model_bom_item_id: item.id,
+        item_no: item.item_no,
+        manufacturer_part_number: item.manufacturer_part_number,
+        part_name: item.manufacturer_part_name_ru || item.manufacturer_part_name || item.title,
+        quantity: item.quantity,
+        service_life_hours: item.service_life_hours,
+        service_life_tonnage: item.service_life_tonnage,
+        catalog_position_id: catalogId,
+        catalog_position_name: catalog?.display_name ?? null,
+        catalog_position_code: catalog?.position_code ?? null,
+        catalog_meta_json: catalog?.meta_json ?? null,
+        override_status: ov?.status ?? null,
+        client_part_id: ov?.client_part_id ?? null,
+        override_service_life_hours: ov?.service_life_hours ?? null,
+        override_service_life_tonnage: ov?.service_life_tonnage ?? null,
+      }
+      if (hasServiceLife(row)) result.push(row)
+    }
+  }
+  return result
+}
+
+/**
+ * Прогноз замен по активным машинам клиентов на горизонт months.
+ * @param {Object} conn
+ * @param {Object} options - { unitIds, clientId, months, asOf, includeAll }
+ * @returns {Promise<Object>} { as_of, horizon_end, months, items, by_client }
+ */
+async function buildWearForecast(conn, { unitIds = null, clientId = null, months = 6, asOf = null, includeAll = false } = {}) {
+  const asOfDay = toDay(asOf) ?? toDay(new Date())
+  const horizonDay = addMonthsDay(asOfDay, months)
+
+  const where = ["ceu.status = 'active'"]
+  const params = []
+  if (Array.isArray(unitIds) && unitIds.length) {
+    where.push(`ceu.id IN (${unitIds.map(() => '?').join(',')})`)
+    params.push(...unitIds)
+  }
+  if (clientId) {
+    where.push('ceu.client_id = ?')
+    params.push(clientId)
+  }
+  const [units] = await conn.execute(
+    `SELECT ceu.id, ceu.client_id, ceu.equipment_model_id, ceu.bom_revision_id, ceu.serial_number, ceu.internal_name, ceu.site_name,
+            ceu.commissioning_date, c.company_name AS client_name, em.model_name
+       FROM client_equipment_units ceu
+       JOIN clients c ON c.id = ceu.client_id
+       JOIN equipment_models em ON em.id = ceu.equipment_model_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY c.company_name ASC, ceu.id ASC`,
+    params
+  )
+  const result = { as_of: dayToIso(asOfDay), horizon_end: dayToIso(horizonDay), months, items: [], by_client: [] }
+  if (!units.length) return result
+
+  const ids = units.map((unit) => Number(unit.id))
+  const placeholders = ids.map(() => '?').join(',')
+  const [wearItems] = await conn.execute(wearItemsSql(placeholders), ids)
+  wearItems.push(...(await fetchPinnedWearItems(conn, units.filter((unit) => unit.bom_revision_id))))
+  if (!wearItems.length) return result
+
+  const [readings] = await conn.execute(
+    `SELECT client_equipment_unit_id, reading_date, operating_hours, throughput_tonnage
+       FROM client_equipment_unit_readings
+      WHERE client_equipment_unit_id IN (${placeholders})
+      ORDER BY reading_date ASC`,
+    ids
+  )
+  const [replacements] = await conn.execute(
+    `SELECT r.*, cr.internal_number AS client_request_number
+       FROM client_equipment_unit_part_replacements r
+       LEFT JOIN client_requests cr ON cr.id = r.client_request_id
+      WHERE r.client_equipment_unit_id IN (${placeholders})
+      ORDER BY r.replacement_date DESC, r.id DESC`,
+    ids
+  )
+
+  const readingsByUnit = new Map()
+  readings.forEach((row) => {
+    const key = Number(row.client_equipment_unit_id)
+    if (!readingsByUnit.has(key)) readingsByUnit.set(key, [])
+    readingsByUnit.get(key).push(row)
+  })
+  const lastReplacement = new Map()
+  replacements.forEach((row) => {
+    const key = `${row.client_equipment_unit_id}:${row.equipment_model_bom_item_id}`
+    if (!lastReplacement.has(key)) lastReplacement.set(key, row)
+  })
+  const unitById = new Map(units.map((unit) => [Number(unit.id), unit]))
+
+  for (const row of wearItems) {
+    const unit = unitById.get(Number(row.client_equipment_unit_id))
+    const replacement = lastReplacement.get(`${row.client_equipment_unit_id}:${row.equipment_model_bom_item_id}`) || null
+    const forecast = forecastWearItem({
+      life: effectiveServiceLife(row),
+      readings: readingsByUnit.get(Number(unit.id)) || [],
+      lastReplacement: replacement,
+      commissioningDate: unit.commissioning_date,
+      asOfDay,
+      horizonDay,
+    })
+    if (!includeAll && !['overdue', 'due'].includes(forecast.status)) continue
+    const quantity = numOrNull(row.quantity) || 1
+    result.items.push({
+      client_id: Number(unit.client_id),
+      client_name: unit.client_name,
+      client_equipment_unit_id: Number(unit.id),
+      unit_name: unit.internal_name || unit.serial_number || unit.model_name,
+      serial_number: unit.serial_number,
+      site_name: unit.site_name,
+      model_name: unit.model_name,
+      equipment_model_bom_item_id: Number(row.equipment_model_bom_item_id),
+      item_no: row.item_no,
+      manufacturer_part_number: row.manufacturer_part_number,
+      part_name: row.part_name,
+      catalog_position_id: row.catalog_position_id ? Number(row.catalog_position_id) : null,
+      catalog_position_name: row.catalog_position_name,
+      catalog_position_code: row.catalog_position_code,
+      client_part_id: row.client_part_id ? Number(row.client_part_id) : null,
+      quantity_per_replacement: quantity,
+      quantity_needed: round2(quantity * forecast.replacements_in_horizon),
+      last_replacement: replacement
+        ? {
+            id: Number(replacement.id),
+            replacement_date: dayToIso(toDay(replacement.replacement_date)),
+            client_request_id: replacement.client_request_id ? Number(replacement.client_request_id) : null,
+            client_request_number: replacement.client_request_number || null,
+          }
+        : null,
+      ...forecast,
+    })
+  }
+
+  const statusOrder = { overdue: 0, due: 1, ok: 2, no_data: 3 }
+  result.items.sort(
+    (a, b) =>
+      statusOrder[a.status] - statusOrder[b.status] ||
+      String(a.due_date || '9999').localeCompare(String(b.due_date || '9999')) ||
+      a.client_equipment_unit_id - b.client_equipment_unit_id
+  )
+
+  const byClient = new Map()
+  result.items.forEach((item) => {
+    if (!byClient.has(item.client_id)) {
+      byClient.set(item.client_id, {
+        client_id: item.client_id,
+        client_name: item.client_name,
+        units: new Set(),
+        overdue: 0,
+        due: 0,
+        quantity_needed: 0,
+        earliest_due_date: null,
+      })
+    }
+    const summary = byClient.get(item.client_id)
+    summary.units.add(item.client_equipment_unit_id)
+    if (item.status === 'overdue') summary.overdue += 1
+    if (item.status === 'due') summary.due += 1
+    summary.quantity_needed = round2(summary.quantity_needed + item.quantity_needed)
+    if (item.due_date && (!summary.earliest_due_date || item.due_date < summary.earliest_due_date)) {
+      summary.earliest_due_date = item.due_date
+    }
+  })
+  result.by_client = [...byClient.values()].map((summary) => ({ ...summary, units: summary.units.size }))
+  return result
+}
+
+module.exports = {
+  buildWearForecast,
+  counterAt,
+  effectiveServiceLife,
+  forecastWearItem,
+  toDay,
+  usageRate,
+}